@@ -0,0 +1,116 @@
+const AddressService = require('../services/addressService');
+const { resolveLocation } = require('../data/bangladeshLocations');
+const { createMockDb } = require('./helpers/mockDb');
+
+const { mockClient, mockDbPool } = createMockDb();
+
+describe('AddressService', () => {
+    let addressService;
+
+    const addressData = {
+        firstName: 'Rahim',
+        lastName: 'Uddin',
+        phone: '01712345678',
+        addressLine1: 'House 12, Road 5',
+        division: 'Dhaka',
+        district: 'Dhaka',
+        thana: 'Dhanmondi',
+        postalCode: '1205'
+    };
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        addressService = new AddressService(mockDbPool, null);
+    });
+
+    describe('createAddress', () => {
+        it('should make the first address the default for shipping and billing', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ count: '0' }] }) // existing addresses
+                .mockResolvedValueOnce({ rows: [] }) // clear default shipping
+                .mockResolvedValueOnce({ rows: [] }) // clear default billing
+                .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 7 }] }); // insert
+
+            const address = await addressService.createAddress(7, addressData);
+
+            const insertParams = mockClient.query.mock.calls[3][1];
+            expect(insertParams.slice(-2)).toEqual([true, true]);
+            expect(address.id).toBe(1);
+        });
+
+        it('should only clear the defaults that the new address takes over', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ count: '2' }] })
+                .mockResolvedValueOnce({ rows: [] }) // clear default billing
+                .mockResolvedValueOnce({ rows: [{ id: 3, user_id: 7 }] });
+
+            await addressService.createAddress(7, { ...addressData, isDefaultBilling: true });
+
+            expect(mockClient.query).toHaveBeenCalledTimes(3);
+            expect(mockClient.query.mock.calls[1][0]).toContain('is_default_billing = false');
+            expect(mockClient.query.mock.calls[2][1].slice(-2)).toEqual([false, true]);
+        });
+    });
+
+    describe('deleteAddress', () => {
+        it('should hand a removed default over to another address', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 1, is_default_shipping: true, is_default_billing: false }] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            await addressService.deleteAddress(7, 1);
+
+            expect(mockClient.query).toHaveBeenLastCalledWith(
+                expect.stringContaining('UPDATE user_addresses'),
+                [7, true, false]
+            );
+        });
+
+        it('should fail for addresses the user does not own', async () => {
+            mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+            await expect(addressService.deleteAddress(7, 99))
+                .rejects.toThrow('Address not found');
+        });
+    });
+
+    describe('toOrderSnapshot', () => {
+        it('should keep the legacy city/state keys alongside the Bangladesh fields', () => {
+            const snapshot = addressService.toOrderSnapshot({
+                id: 4,
+                first_name: 'Rahim',
+                last_name: 'Uddin',
+                phone: '01712345678',
+                address_line1: 'House 12, Road 5',
+                address_line2: null,
+                division: 'Dhaka',
+                district: 'Dhaka',
+                thana: 'Dhanmondi',
+                postal_code: '1205',
+                country: 'Bangladesh'
+            });
+
+            expect(snapshot).toMatchObject({
+                addressId: 4,
+                thana: 'Dhanmondi',
+                city: 'Dhaka',
+                state: 'Dhaka',
+                postalCode: '1205'
+            });
+        });
+    });
+});
+
+describe('resolveLocation', () => {
+    it('should return canonical names regardless of case', () => {
+        expect(resolveLocation('chattogram', "cox's bazar", 'teknaf')).toEqual({
+            division: 'Chattogram',
+            district: "Cox's Bazar",
+            thana: 'Teknaf'
+        });
+    });
+
+    it('should reject a thana that belongs to a different district', () => {
+        expect(resolveLocation('Dhaka', 'Gazipur', 'Dhanmondi')).toBeNull();
+    });
+});
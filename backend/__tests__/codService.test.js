@@ -0,0 +1,131 @@
+const CodService = require('../services/codService');
+const { createMockDb } = require('./helpers/mockDb');
+
+const { mockClient, mockDbPool } = createMockDb();
+
+const defaultRule = {
+    id: 1,
+    division: null,
+    is_enabled: true,
+    fee_flat: '0.00',
+    fee_percent: '1.00',
+    fee_min: '10.00',
+    fee_max: null,
+    max_order_amount: '20000.00'
+};
+
+describe('CodService', () => {
+    let codService;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        codService = new CodService(mockDbPool, null);
+    });
+
+    describe('calculateFee', () => {
+        it('should apply the flat and percentage fee within the min and max', () => {
+            expect(codService.calculateFee(defaultRule, 500)).toBe(10);
+            expect(codService.calculateFee(defaultRule, 2345.5)).toBe(23.46);
+            expect(codService.calculateFee({ ...defaultRule, fee_flat: '20.00', fee_max: '50.00' }, 9000)).toBe(50);
+        });
+    });
+
+    describe('quote', () => {
+        it('should add the fee to the order total under the regional limit', async () => {
+            mockDbPool.query.mockResolvedValueOnce({ rows: [defaultRule] });
+
+            const quote = await codService.quote({ division: 'Dhaka', subtotal: 1500 });
+
+            expect(quote).toEqual({ available: true, fee: 15, limit: 20000, total: 1515, reason: null });
+        });
+
+        it('should let the customer limit override the regional limit', async () => {
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [defaultRule] })
+                .mockResolvedValueOnce({ rows: [{ cod_limit: '1000.00' }] });
+
+            const quote = await codService.quote({ userId: 3, division: 'Dhaka', subtotal: 1500 });
+
+            expect(quote).toMatchObject({ available: false, limit: 1000, reason: 'order total exceeds the limit of 1000' });
+        });
+
+        it('should refuse COD where the region has it disabled', async () => {
+            mockDbPool.query.mockResolvedValueOnce({ rows: [{ ...defaultRule, division: 'Sylhet', is_enabled: false }] });
+
+            await expect(codService.assertAvailable({ division: 'Sylhet', subtotal: 100 }))
+                .rejects.toThrow('Cash on delivery is not available: not offered in this region');
+        });
+    });
+
+    describe('parseRemittance', () => {
+        it('should read courier column aliases, quoted fields and formatted amounts', () => {
+            const csv = '﻿Merchant Order ID,Cash Collected,Note\r\n' +
+                'ORD-1,"1,515.00","left at gate, ""blue"" door"\r\n' +
+                'ORD-2,Tk 300\r\n' +
+                ',100\r\n';
+
+            const { lines, invalid } = codService.parseRemittance(csv);
+
+            expect(lines).toEqual([
+                { row: 2, orderNumber: 'ORD-1', amount: 1515 },
+                { row: 3, orderNumber: 'ORD-2', amount: 300 }
+            ]);
+            expect(invalid).toEqual([{ row: 4, orderNumber: null, reason: 'invalid_row', received: '100' }]);
+        });
+
+        it('should reject files without the required columns', () => {
+            expect(() => codService.parseRemittance('consignment_id,status\n1,delivered'))
+                .toThrow('Remittance file must have order number and collected amount columns');
+        });
+    });
+
+    describe('reconcileRemittance', () => {
+        const csv = [
+            'order_number,collected_amount',
+            'ORD-1,1515',
+            'ORD-2,900',
+            'ORD-3,400',
+            'ORD-4,250',
+            'ORD-9,100',
+            'ORD-1,1515'
+        ].join('\n');
+        const orders = [
+            { id: 1, order_number: 'ORD-1', total_amount: '1515.00', status: 'delivered', payment_method: 'cash_on_delivery', cod_status: 'pending' },
+            { id: 2, order_number: 'ORD-2', total_amount: '950.00', status: 'delivered', payment_method: 'cash_on_delivery', cod_status: 'pending' },
+            { id: 3, order_number: 'ORD-3', total_amount: '400.00', status: 'delivered', payment_method: 'cash_on_delivery', cod_status: 'collected' },
+            { id: 4, order_number: 'ORD-4', total_amount: '250.00', status: 'delivered', payment_method: 'mobile_banking', cod_status: null }
+        ];
+
+        it('should collect matching orders and report every mismatch', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: orders })
+                .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            const report = await codService.reconcileRemittance(9, { courier: 'pathao', reference: 'RMT-1', csv });
+
+            expect(report).toMatchObject({ remittanceId: 5, totalRows: 6, matchedCount: 1, mismatchCount: 5, collectedAmount: 1515 });
+            expect(report.mismatches.map(mismatch => [mismatch.orderNumber, mismatch.reason])).toEqual([
+                ['ORD-2', 'amount_mismatch'],
+                ['ORD-3', 'already_collected'],
+                ['ORD-4', 'not_cod_order'],
+                ['ORD-9', 'order_not_found'],
+                ['ORD-1', 'duplicate_row']
+            ]);
+            expect(report.mismatches[0]).toMatchObject({ expected: 950, received: 900 });
+
+            const [updateSql, updateParams] = mockClient.query.mock.calls[2];
+            expect(updateSql).toContain("cod_status = 'collected'");
+            expect(updateParams).toEqual([[1], [1515], 5]);
+        });
+
+        it('should not write anything for a dry run', async () => {
+            mockClient.query.mockResolvedValueOnce({ rows: orders });
+
+            const report = await codService.reconcileRemittance(9, { courier: 'pathao', csv, dryRun: true });
+
+            expect(report).toMatchObject({ remittanceId: null, dryRun: true, matchedCount: 1 });
+            expect(mockClient.query).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -0,0 +1,175 @@
+const PathaoProvider = require('../services/couriers/pathaoProvider');
+const SteadfastProvider = require('../services/couriers/steadfastProvider');
+const RedxProvider = require('../services/couriers/redxProvider');
+const { startPathaoMockServer } = require('../mocks/couriers/pathaoMockServer');
+const { startSteadfastMockServer } = require('../mocks/couriers/steadfastMockServer');
+const { startRedxMockServer } = require('../mocks/couriers/redxMockServer');
+
+const parcel = {
+    orderId: 42,
+    orderNumber: 'ORD-20250112-000042',
+    reference: 'ORD-20250112-000042-1',
+    recipient: {
+        name: 'Rahim Uddin',
+        phone: '01712345678',
+        address: 'House 12, Road 5, Dhanmondi, Dhaka',
+        thana: 'Dhanmondi',
+        district: 'Dhaka',
+        division: 'Dhaka'
+    },
+    codAmount: 1250.5,
+    value: 1250.5,
+    weightGrams: 1800,
+    itemCount: 3,
+    description: '2 x Cotton Panjabi, 1 x Leather Wallet',
+    note: 'Call before delivery'
+};
+
+describe('PathaoProvider', () => {
+    let mock;
+    let provider;
+
+    beforeAll(async () => {
+        mock = await startPathaoMockServer();
+        provider = new PathaoProvider({
+            baseUrl: mock.url,
+            clientId: 'mock-client-id',
+            clientSecret: 'mock-client-secret',
+            username: 'mock@merchant.test',
+            password: 'mock-password',
+            storeId: '1001',
+            webhookSecret: 'mock-pathao-webhook-secret'
+        });
+    });
+
+    afterAll(() => mock.close());
+
+    it('should book a consignment collecting the rounded COD amount', async () => {
+        const consignment = await provider.createConsignment(parcel);
+
+        expect(consignment).toMatchObject({
+            status: 'created',
+            courierStatus: 'Pending',
+            deliveryFee: 75
+        });
+        expect(consignment.trackingUrl).toContain(consignment.consignmentId);
+        expect(mock.state.orders.get(consignment.consignmentId).amount_to_collect).toBe(1251);
+    });
+
+    it('should normalize webhook events and tracking lookups', async () => {
+        const { consignmentId } = await provider.createConsignment(parcel);
+
+        const webhook = await mock.state.pushStatus(consignmentId, 'order.at-the-sorting-hub');
+        const event = await provider.handleWebhook(webhook.payload, webhook.headers);
+        expect(event).toMatchObject({ consignmentId, status: 'in_transit', courierStatus: 'order.at-the-sorting-hub' });
+
+        const tracked = await provider.trackConsignment({ consignment_id: consignmentId });
+        expect(tracked).toMatchObject({ status: 'in_transit', courierStatus: 'At_The_Sorting_Hub' });
+    });
+
+    it('should reject webhooks without the configured secret', async () => {
+        const { consignmentId } = await provider.createConsignment(parcel);
+        const webhook = await mock.state.pushStatus(consignmentId, 'order.delivered');
+
+        await expect(provider.handleWebhook(webhook.payload, { 'x-pathao-signature': 'forged' }))
+            .rejects.toThrow('webhook authentication failed');
+    });
+});
+
+describe('SteadfastProvider', () => {
+    let mock;
+    let provider;
+
+    beforeAll(async () => {
+        mock = await startSteadfastMockServer();
+        provider = new SteadfastProvider({
+            baseUrl: mock.url,
+            apiKey: 'mock-api-key',
+            secretKey: 'mock-secret-key',
+            webhookSecret: 'mock-steadfast-webhook-token'
+        });
+    });
+
+    afterAll(() => mock.close());
+
+    it('should book a consignment and report its tracking code', async () => {
+        const consignment = await provider.createConsignment({ ...parcel, reference: 'ORD-STEADFAST-1' });
+
+        expect(consignment).toMatchObject({ status: 'created', courierStatus: 'in_review' });
+        expect(consignment.trackingUrl).toContain(consignment.trackingNumber);
+    });
+
+    it('should map display statuses from delivery webhooks', async () => {
+        const { consignmentId } = await provider.createConsignment({ ...parcel, reference: 'ORD-STEADFAST-2' });
+
+        const webhook = await mock.state.pushStatus(consignmentId, 'partial_delivered', 'Customer kept one item');
+        const event = await provider.handleWebhook(webhook.payload, webhook.headers);
+
+        expect(event).toMatchObject({
+            consignmentId,
+            status: 'delivered',
+            courierStatus: 'Partial Delivered',
+            description: 'Customer kept one item'
+        });
+    });
+
+    it('should record tracking updates without a status change', async () => {
+        const { consignmentId } = await provider.createConsignment({ ...parcel, reference: 'ORD-STEADFAST-3' });
+
+        const webhook = await mock.state.pushTrackingUpdate(consignmentId, 'Parcel reached Dhaka hub');
+        const event = await provider.handleWebhook(webhook.payload, webhook.headers);
+
+        expect(event).toMatchObject({ status: null, courierStatus: 'tracking_update', description: 'Parcel reached Dhaka hub' });
+    });
+
+    it('should surface courier validation errors', async () => {
+        await provider.createConsignment({ ...parcel, reference: 'ORD-STEADFAST-4' });
+
+        await expect(provider.createConsignment({ ...parcel, reference: 'ORD-STEADFAST-4' }))
+            .rejects.toThrow('invoice has already been taken');
+    });
+});
+
+describe('RedxProvider', () => {
+    let mock;
+    let provider;
+
+    beforeAll(async () => {
+        mock = await startRedxMockServer();
+        provider = new RedxProvider({
+            baseUrl: mock.url,
+            accessToken: 'mock-redx-token',
+            webhookSecret: 'mock-redx-webhook-secret'
+        });
+    });
+
+    afterAll(() => mock.close());
+
+    it('should book the parcel in the delivery area named after the thana', async () => {
+        const consignment = await provider.createConsignment(parcel);
+
+        expect(consignment.status).toBe('created');
+        expect(mock.state.parcels.get(consignment.consignmentId)).toMatchObject({
+            delivery_area: 'Dhanmondi',
+            delivery_area_id: 1,
+            cash_collection_amount: '1251'
+        });
+    });
+
+    it('should fail for districts RedX does not serve', async () => {
+        await expect(provider.createConsignment({
+            ...parcel,
+            recipient: { ...parcel.recipient, district: 'Bandarban', thana: 'Ruma' }
+        })).rejects.toThrow('RedX does not deliver to Bandarban');
+    });
+
+    it('should verify the webhook token and normalize the status', async () => {
+        const { consignmentId } = await provider.createConsignment(parcel);
+        const webhook = await mock.state.pushStatus(consignmentId, 'delivery-in-progress');
+
+        const event = await provider.handleWebhook(webhook.payload, {}, webhook.query);
+        expect(event).toMatchObject({ consignmentId, status: 'out_for_delivery', description: 'Parcel is out for delivery' });
+
+        await expect(provider.handleWebhook(webhook.payload, {}, {})).rejects.toThrow('webhook authentication failed');
+    });
+});
@@ -0,0 +1,174 @@
+const DocumentService = require('../services/documentService');
+const { invoiceTotals } = require('../services/documents/invoiceDocument');
+const { createMockDb } = require('./helpers/mockDb');
+
+const { mockClient, mockDbPool } = createMockDb();
+
+const seller = { name: 'DhakaCart', address: 'Gulshan, Dhaka', phone: null, bin: '000123456-0101' };
+
+const order = {
+    id: 7,
+    order_number: 'ORD-20250119-000007',
+    status: 'confirmed',
+    created_at: '2025-01-19T10:00:00Z',
+    payment_method: 'cash_on_delivery',
+    payment_status: 'pending',
+    shipping_address: { firstName: 'Rahim', lastName: 'Uddin', addressLine1: 'House 5, Road 2', city: 'Dhaka', phone: '01711000000' },
+    billing_address: null,
+    subtotal: '1500.00',
+    coupon_discount: '150.00',
+    shipping_cost: '0.00',
+    shipping_discount: '60.00',
+    cod_fee: '20.00',
+    total_amount: '1370.00',
+    notes: null
+};
+
+const line = (fields) => ({
+    order_id: 7,
+    product_id: 5,
+    variant_id: null,
+    variant_label: null,
+    product_name: 'Cotton Panjabi',
+    sku: 'PJ-001',
+    quantity: 2,
+    to_pack: 2,
+    ...fields
+});
+
+describe('DocumentService', () => {
+    let documentService;
+
+    beforeEach(() => {
+        jest.resetAllMocks();
+        mockDbPool.transaction.mockImplementation(callback => callback(mockClient));
+        documentService = new DocumentService(mockDbPool, null, seller);
+    });
+
+    describe('issueInvoice', () => {
+        it('should number invoices per year, apart from the order number', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ last_number: 42 }] })
+                .mockResolvedValueOnce({ rows: [{ id: 1, order_id: 7, invoice_number: 'INV-2025-000042' }] });
+
+            await documentService.issueInvoice(7);
+
+            const year = new Date().getFullYear();
+            expect(mockClient.query.mock.calls[0][0]).toContain('FOR UPDATE');
+            expect(mockClient.query.mock.calls[2][0]).toContain('ON CONFLICT (year)');
+            expect(mockClient.query.mock.calls[2][1]).toEqual([year]);
+            expect(mockClient.query.mock.calls[3][1]).toEqual([`INV-${year}-000042`, 7]);
+        });
+
+        it('should keep the number an order was first invoiced with', async () => {
+            const issued = { id: 1, order_id: 7, invoice_number: 'INV-2025-000042' };
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 7 }] })
+                .mockResolvedValueOnce({ rows: [issued] });
+
+            await expect(documentService.issueInvoice(7)).resolves.toBe(issued);
+            expect(mockClient.query).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('getInvoicePdf', () => {
+        it('should render a PDF of the invoice', async () => {
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [order] })
+                .mockResolvedValueOnce({
+                    rows: [{ quantity: 2, unit_price: '750.00', total_price: '1500.00', variant_label: 'L', tax_rate: '15.00', product_name: 'Cotton Panjabi', sku: 'PJ-001-L' }]
+                })
+                .mockResolvedValueOnce({
+                    rows: [{ name: 'Standard VAT', rate: '15.00', taxable_amount: '1173.91', tax_amount: '176.09' }]
+                });
+            jest.spyOn(documentService, 'issueInvoice').mockResolvedValue({
+                invoice_number: 'INV-2025-000042',
+                issued_at: '2025-01-19T10:00:00Z'
+            });
+
+            const { invoiceNumber, pdf } = await documentService.getInvoicePdf(7, 3);
+
+            expect(invoiceNumber).toBe('INV-2025-000042');
+            expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+            expect(mockDbPool.query.mock.calls[0][1]).toEqual([7, 3]);
+        });
+
+        it('should not invoice another customer\'s order', async () => {
+            mockDbPool.query.mockResolvedValueOnce({ rows: [] });
+
+            await expect(documentService.getInvoicePdf(7, 4)).rejects.toThrow('Order not found');
+        });
+    });
+
+    it('should show discounts, shipping before its discount and VAT', () => {
+        expect(invoiceTotals(order, [])).toEqual([
+            ['Subtotal', 1500],
+            ['Discount', -150],
+            ['Shipping', 60],
+            ['Shipping discount', -60],
+            ['Cash on delivery fee', 20],
+            ['VAT included', 0]
+        ]);
+    });
+
+    it('should show VAT per class, as included or added', () => {
+        const taxLines = [
+            { name: 'Standard VAT', rate: '15.00', tax_amount: '117.39' },
+            { name: 'Retail VAT', rate: '7.50', tax_amount: '10.47' }
+        ];
+
+        expect(invoiceTotals(order, [], taxLines).slice(-2)).toEqual([
+            ['Includes Standard VAT (15%)', 117.39],
+            ['Includes Retail VAT (7.5%)', 10.47]
+        ]);
+        expect(invoiceTotals({ ...order, prices_include_tax: false }, [], taxLines).slice(-2)).toEqual([
+            ['Standard VAT (15%)', 117.39],
+            ['Retail VAT (7.5%)', 10.47]
+        ]);
+    });
+
+    describe('packing slips', () => {
+        it('should sum the units to pick per product and variant', () => {
+            const pickList = DocumentService.buildPickList([
+                line({ variant_id: 12, variant_label: 'L', sku: 'PJ-001-L' }),
+                line({ order_id: 8, variant_id: 12, variant_label: 'L', sku: 'PJ-001-L', quantity: 1, to_pack: 1 }),
+                line({ order_id: 8, product_id: 9, product_name: 'Jamdani Saree', sku: 'JS-100', quantity: 1, to_pack: 1 }),
+                line({ order_id: 9, variant_id: 13, variant_label: 'XL', sku: 'PJ-001-XL', to_pack: 0 })
+            ]);
+
+            expect(pickList).toEqual([
+                { sku: 'JS-100', product_name: 'Jamdani Saree', variant_label: null, quantity: 1, orderCount: 1 },
+                { sku: 'PJ-001-L', product_name: 'Cotton Panjabi', variant_label: 'L', quantity: 3, orderCount: 2 }
+            ]);
+        });
+
+        it('should print the units not yet in a shipment', async () => {
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [order] })
+                .mockResolvedValueOnce({ rows: [line({ to_pack: 1 })] });
+
+            const pdf = await documentService.getPackingSlipsPdf([7]);
+
+            expect(pdf.subarray(0, 5).toString()).toBe('%PDF-');
+            expect(mockDbPool.query.mock.calls[1][1]).toEqual([[7], ['cancelled', 'returned']]);
+        });
+
+        it('should refuse orders that are missing, cancelled or already packed', async () => {
+            mockDbPool.query.mockResolvedValueOnce({ rows: [order] });
+            await expect(documentService.getPackingSlipsPdf([7, 8]))
+                .rejects.toThrow('Orders not found: 8');
+
+            mockDbPool.query.mockResolvedValueOnce({ rows: [{ ...order, status: 'cancelled' }] });
+            await expect(documentService.getPackingSlipsPdf([7]))
+                .rejects.toThrow('Cancelled orders cannot be packed: ORD-20250119-000007');
+
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [order] })
+                .mockResolvedValueOnce({ rows: [line({ to_pack: 0 })] });
+            await expect(documentService.getPackingSlipsPdf([7]))
+                .rejects.toThrow('Nothing left to pack for: ORD-20250119-000007');
+        });
+    });
+});
@@ -0,0 +1,141 @@
+const GuestCartService = require('../services/guestCartService');
+const CartService = require('../services/cartService');
+const jwtManager = require('../auth/jwt');
+
+// Mock the database and Redis pools
+const mockDbPool = {
+    query: jest.fn()
+};
+const mockRedisPool = {
+    isConnected: false,
+    get: jest.fn(),
+    set: jest.fn(),
+    del: jest.fn()
+};
+
+describe('GuestCartService', () => {
+    let guestCartService;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        guestCartService = new GuestCartService(mockDbPool, mockRedisPool);
+        mockRedisPool.set.mockResolvedValue(true);
+    });
+
+    describe('cart tokens', () => {
+        it('should resolve the cart ID from a token it issued', () => {
+            const { cartId, cartToken } = guestCartService.createCart();
+
+            expect(guestCartService.resolveCartId(cartToken)).toBe(cartId);
+        });
+
+        it('should reject access tokens used as cart tokens', () => {
+            const accessToken = jwtManager.generateAccessToken({ userId: 1 });
+
+            expect(() => guestCartService.resolveCartId(accessToken)).toThrow('Invalid cart token');
+        });
+    });
+
+    describe('addToCart', () => {
+        it('should add to the quantity already in the guest cart', async () => {
+            mockRedisPool.get.mockResolvedValueOnce(JSON.stringify({ 5: 2 }));
+            mockDbPool.query.mockResolvedValueOnce({ rows: [{ id: 5, stock_quantity: 10, is_active: true }] });
+
+            const cartItem = await guestCartService.addToCart('cart-1', 5, 3);
+
+            expect(cartItem).toEqual({ product_id: 5, variant_id: null, quantity: 5 });
+            expect(mockRedisPool.set).toHaveBeenCalledWith(
+                'guest_cart:cart-1',
+                JSON.stringify({ 5: 5 }),
+                { EX: guestCartService.cartTTL }
+            );
+        });
+
+        it('should keep each variant of a product on its own line', async () => {
+            mockRedisPool.get.mockResolvedValueOnce(JSON.stringify({ 5: 2, '8:21': 1 }));
+            mockDbPool.query.mockResolvedValueOnce({
+                rows: [{ id: 8, stock_quantity: 12, is_active: true, has_variants: true, variant_id: 22, variant_stock: 4, variant_active: true }]
+            });
+
+            const cartItem = await guestCartService.addToCart('cart-1', 8, 2, 22);
+
+            expect(cartItem).toEqual({ product_id: 8, variant_id: 22, quantity: 2 });
+            expect(mockRedisPool.set).toHaveBeenCalledWith(
+                'guest_cart:cart-1',
+                JSON.stringify({ 5: 2, '8:21': 1, '8:22': 2 }),
+                { EX: guestCartService.cartTTL }
+            );
+        });
+
+        it('should require a variant for products sold in variants', async () => {
+            mockRedisPool.get.mockResolvedValueOnce(null);
+            mockDbPool.query.mockResolvedValueOnce({
+                rows: [{ id: 8, stock_quantity: 12, is_active: true, has_variants: true, variant_id: null }]
+            });
+
+            await expect(guestCartService.addToCart('cart-1', 8, 1))
+                .rejects.toThrow('A variant must be selected for this product');
+        });
+
+        it('should check the variant stock rather than the product total', async () => {
+            mockRedisPool.get.mockResolvedValueOnce(null);
+            mockDbPool.query.mockResolvedValueOnce({
+                rows: [{ id: 8, stock_quantity: 12, is_active: true, has_variants: true, variant_id: 22, variant_stock: 1, variant_active: true }]
+            });
+
+            await expect(guestCartService.addToCart('cart-1', 8, 2, 22))
+                .rejects.toThrow('Insufficient stock available');
+        });
+
+        it('should reject quantities above available stock', async () => {
+            mockRedisPool.get.mockResolvedValueOnce(JSON.stringify({ 5: 8 }));
+            mockDbPool.query.mockResolvedValueOnce({ rows: [{ id: 5, stock_quantity: 10, is_active: true }] });
+
+            await expect(guestCartService.addToCart('cart-1', 5, 3))
+                .rejects.toThrow('Insufficient stock available');
+            expect(mockRedisPool.set).not.toHaveBeenCalled();
+        });
+
+        it('should fail loudly when Redis cannot store the cart', async () => {
+            mockRedisPool.get.mockResolvedValueOnce(null);
+            mockRedisPool.set.mockResolvedValueOnce(false);
+            mockDbPool.query.mockResolvedValueOnce({ rows: [{ id: 5, stock_quantity: 10, is_active: true }] });
+
+            await expect(guestCartService.addToCart('cart-1', 5, 1))
+                .rejects.toThrow('Guest cart storage is unavailable');
+        });
+    });
+
+    describe('mergeIntoUserCart', () => {
+        it('should merge guest lines into the user cart and drop the guest cart', async () => {
+            const { cartId, cartToken } = guestCartService.createCart();
+            mockRedisPool.get.mockResolvedValueOnce(JSON.stringify({ 5: 2, 9: 4, '11:30': 1 }));
+            mockDbPool.query.mockResolvedValueOnce({
+                rows: [{ product_id: 5, quantity: 3 }, { product_id: 9, quantity: 4 }, { product_id: 11, variant_id: 30, quantity: 1 }]
+            });
+
+            const result = await guestCartService.mergeIntoUserCart(cartToken, 7);
+
+            expect(mockDbPool.query).toHaveBeenCalledWith(
+                expect.stringContaining('LEAST(quantity, available)'),
+                [7, [5, 9, 11], [null, null, 30], [2, 4, 1]]
+            );
+            // Capped at stock not reserved by other checkouts
+            expect(mockDbPool.query.mock.calls[0][0]).toContain('stock_reservations');
+            expect(mockRedisPool.del).toHaveBeenCalledWith(`guest_cart:${cartId}`);
+            expect(result).toEqual({ merged: 3, skipped: 0 });
+        });
+    });
+});
+
+describe('CartService.mergeGuestCart', () => {
+    it('should not touch the database for an empty guest cart', async () => {
+        const cartService = new CartService(mockDbPool, null);
+        mockDbPool.query.mockClear();
+
+        const result = await cartService.mergeGuestCart(7, []);
+
+        expect(mockDbPool.query).not.toHaveBeenCalled();
+        expect(result).toEqual({ merged: 0, skipped: 0 });
+    });
+});
@@ -0,0 +1,16 @@
+// Database pool mock for service tests. Transactions run against the same
+// client mock, so a test queues the queries its transaction makes on
+// mockClient and the ones made outside it on mockDbPool.
+const createMockDb = () => {
+    const mockClient = {
+        query: jest.fn()
+    };
+    const mockDbPool = {
+        query: jest.fn(),
+        transaction: jest.fn(callback => callback(mockClient))
+    };
+
+    return { mockClient, mockDbPool };
+};
+
+module.exports = { createMockDb };
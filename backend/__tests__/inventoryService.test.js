@@ -0,0 +1,235 @@
+const InventoryService = require('../services/inventoryService');
+const { createMockDb } = require('./helpers/mockDb');
+
+const { mockClient, mockDbPool } = createMockDb();
+
+const dhaka = {
+    id: 1,
+    division: 'Dhaka',
+    district: 'Dhaka',
+    service_divisions: ['Dhaka', 'Mymensingh', 'Rajshahi', 'Rangpur', 'Khulna', 'Barishal'],
+    sort_order: 0
+};
+const chattogram = {
+    id: 2,
+    division: 'Chattogram',
+    district: 'Chattogram',
+    service_divisions: ['Chattogram', 'Sylhet'],
+    sort_order: 1
+};
+
+const items = [
+    { productId: 4, variantId: null, quantity: 2, name: 'Jamdani Saree' },
+    { productId: 9, variantId: 31, quantity: 3, name: 'Panjabi (M / White)' }
+];
+
+describe('InventoryService', () => {
+    let inventoryService;
+
+    beforeEach(() => {
+        jest.resetAllMocks();
+        mockDbPool.transaction.mockImplementation(callback => callback(mockClient));
+        inventoryService = new InventoryService(mockDbPool, null);
+    });
+
+    describe('rankWarehouses', () => {
+        it('should put the warehouse serving the delivery division first', () => {
+            const ranked = InventoryService.rankWarehouses([dhaka, chattogram], { division: 'Sylhet', district: 'Moulvibazar' });
+
+            expect(ranked.map(warehouse => warehouse.id)).toEqual([2, 1]);
+        });
+
+        it('should fall back to sort order outside every service area', () => {
+            const ranked = InventoryService.rankWarehouses([chattogram, dhaka], { city: 'Kolkata' });
+
+            expect(ranked.map(warehouse => warehouse.id)).toEqual([1, 2]);
+        });
+    });
+
+    describe('planAllocation', () => {
+        it('should ship the whole order from the nearest warehouse that has all of it', () => {
+            const stock = [
+                { warehouse_id: 2, product_id: 4, variant_id: null, available: 5 },
+                { warehouse_id: 1, product_id: 4, variant_id: null, available: 5 },
+                { warehouse_id: 1, product_id: 9, variant_id: 31, available: 3 }
+            ];
+
+            expect(InventoryService.planAllocation(items, [chattogram, dhaka], stock)).toEqual([
+                [{ warehouseId: 1, quantity: 2 }],
+                [{ warehouseId: 1, quantity: 3 }]
+            ]);
+        });
+
+        it('should split lines across warehouses when none has the whole order', () => {
+            const stock = [
+                { warehouse_id: 2, product_id: 4, variant_id: null, available: 5 },
+                { warehouse_id: 2, product_id: 9, variant_id: 31, available: 1 },
+                { warehouse_id: 1, product_id: 9, variant_id: 31, available: 2 }
+            ];
+
+            expect(InventoryService.planAllocation(items, [chattogram, dhaka], stock)).toEqual([
+                [{ warehouseId: 2, quantity: 2 }],
+                [{ warehouseId: 2, quantity: 1 }, { warehouseId: 1, quantity: 2 }]
+            ]);
+        });
+
+        it('should refuse lines the warehouses cannot fill between them', () => {
+            const stock = [{ warehouse_id: 1, product_id: 4, variant_id: null, available: 1 }];
+
+            expect(() => InventoryService.planAllocation(items.slice(0, 1), [dhaka, chattogram], stock))
+                .toThrow('Insufficient stock for "Jamdani Saree". Available: 1, Requested: 2');
+        });
+    });
+
+    describe('applyStockChange', () => {
+        it('should take stock returned to a closed warehouse in at the default one', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({
+                    rows: [
+                        { id: 1, is_active: true, is_default: true },
+                        { id: 3, is_active: false, is_default: false }
+                    ]
+                })
+                .mockResolvedValueOnce({ rows: [{ quantity: 5 }] })
+                .mockResolvedValueOnce({ rows: [{ quantity: 7 }] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ id: 4, stock_quantity: 7 }] });
+
+            await inventoryService.applyStockChange(mockClient, { productId: 4, warehouseId: 3, quantity: 2, operation: 'increment' }, {
+                kind: 'return',
+                actor: 'admin',
+                createdBy: 1,
+                orderId: 7,
+                returnId: 4
+            });
+
+            expect(mockClient.query.mock.calls[1][1]).toEqual([1, 4, null]);
+            expect(mockClient.query.mock.calls[2][0]).toContain('inventory_levels.quantity + $4');
+            expect(mockClient.query.mock.calls[2][1]).toEqual([1, 4, null, 2]);
+            expect(mockClient.query.mock.calls[3][1]).toEqual([4, null, 1, 'return', 2, 7, 'admin', 1, 7, 4, null, null, null]);
+        });
+
+        it('should not set stock at a closed warehouse', async () => {
+            mockClient.query.mockResolvedValueOnce({
+                rows: [
+                    { id: 1, is_active: true, is_default: true },
+                    { id: 3, is_active: false, is_default: false }
+                ]
+            });
+
+            await expect(inventoryService.applyStockChange(mockClient, { productId: 4, warehouseId: 3, quantity: 2 }))
+                .rejects.toThrow('Warehouse is inactive and cannot take stock');
+        });
+
+        it('should set the total by adding the difference at the default warehouse', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ warehouse_id: 1, quantity: 3 }, { warehouse_id: 2, quantity: 4 }] })
+                .mockResolvedValueOnce({ rows: [{ id: 1 }] })
+                .mockResolvedValueOnce({ rows: [{ id: 1, is_active: true, is_default: true }] })
+                .mockResolvedValueOnce({ rows: [{ quantity: 3 }] })
+                .mockResolvedValueOnce({ rows: [{ quantity: 6 }] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ id: 4, stock_quantity: 10 }] });
+
+            const product = await inventoryService.applyStockChange(mockClient, { productId: 4, quantity: 10, operation: 'set' });
+
+            expect(mockClient.query.mock.calls[4][1]).toEqual([1, 4, null, 3]);
+            expect(mockClient.query.mock.calls[5][1].slice(3, 8)).toEqual(['adjustment', 3, 6, 'system', null]);
+            expect(product.stock_quantity).toBe(10);
+        });
+
+        it('should leave the ledger alone when the level does not move', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 1, is_active: true, is_default: true }] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ quantity: 0 }] })
+                .mockResolvedValueOnce({ rows: [{ id: 4, stock_quantity: 0 }] });
+
+            await inventoryService.applyStockChange(mockClient, { productId: 4, warehouseId: 1, quantity: 2, operation: 'decrement' });
+
+            expect(mockClient.query).toHaveBeenCalledTimes(4);
+            expect(mockClient.query.mock.calls.some(([sql]) => sql.includes('inventory_movements'))).toBe(false);
+        });
+    });
+
+    describe('transfers', () => {
+        it('should only move what checkouts are not holding at the source', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 1 }, { id: 2 }] })
+                .mockResolvedValueOnce({ rows: [{ id: 9 }] })
+                .mockResolvedValueOnce({
+                    rows: [{ product_id: 9, variant_id: 31, name: 'Panjabi', variant_title: 'M / White', has_variants: true, known: true, available: 2 }]
+                });
+
+            await expect(inventoryService.createTransfer({
+                fromWarehouseId: 1,
+                toWarehouseId: 2,
+                items: [{ productId: 9, variantId: 31, quantity: 3 }]
+            }, 1)).rejects.toThrow('Not enough stock of "Panjabi (M / White)" to transfer. Available: 2, Requested: 3');
+
+            expect(mockClient.query.mock.calls[2][1]).toEqual([1, [9], [31]]);
+            expect(mockClient.query).toHaveBeenCalledTimes(3);
+        });
+
+        it('should dispatch the units out of the source', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 1 }, { id: 2 }] })
+                .mockResolvedValueOnce({ rows: [{ id: 4 }] })
+                .mockResolvedValueOnce({
+                    rows: [{ product_id: 4, variant_id: null, name: 'Jamdani Saree', variant_title: null, has_variants: false, known: true, available: 5 }]
+                })
+                .mockResolvedValueOnce({ rows: [{ id: 12 }] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ id: 1, is_active: true, is_default: true }] })
+                .mockResolvedValueOnce({ rows: [{ quantity: 5 }] })
+                .mockResolvedValueOnce({ rows: [{ quantity: 3 }] })
+                .mockResolvedValue({ rows: [] });
+            jest.spyOn(inventoryService, 'getTransferById').mockResolvedValue({ id: 12, items: [] });
+
+            await inventoryService.createTransfer({
+                fromWarehouseId: 1,
+                toWarehouseId: 2,
+                items: [{ productId: 4, quantity: 2 }]
+            }, 1);
+
+            expect(mockClient.query.mock.calls[4][1]).toEqual([12, 4, null, 2]);
+            expect(mockClient.query.mock.calls[7][0]).toContain('GREATEST(inventory_levels.quantity - $4, 0)');
+            expect(mockClient.query.mock.calls[7][1]).toEqual([1, 4, null, 2]);
+            expect(mockClient.query.mock.calls[8][1]).toEqual([4, null, 1, 'transfer_out', -2, 3, 'admin', 1, null, null, 12, null, null]);
+        });
+
+        it('should not receive a transfer twice', async () => {
+            mockClient.query.mockResolvedValueOnce({
+                rows: [{ id: 12, status: 'received', from_warehouse_id: 1, to_warehouse_id: 2 }]
+            });
+
+            await expect(inventoryService.receiveTransfer(12, 1))
+                .rejects.toThrow('Transfer has been received and cannot be received');
+            expect(mockClient.query).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('reconcile', () => {
+        it('should flag stock that disagrees with the ledger and resolve the rest', async () => {
+            const drift = [{ product_id: 4, variant_id: null, ledger_quantity: 5, stock_quantity: 7 }];
+            mockClient.query
+                .mockResolvedValueOnce({ rows: drift })
+                .mockResolvedValueOnce({ rows: [{ product_id: 4, variant_id: null, is_new: true }] })
+                .mockResolvedValueOnce({ rows: [{ id: 3 }] });
+
+            await expect(inventoryService.reconcile()).resolves.toEqual(drift);
+
+            expect(mockClient.query.mock.calls[1][0]).toContain('INSERT INTO inventory_drift');
+            expect(mockClient.query.mock.calls[1][1]).toEqual([[4], [null], [5], [7]]);
+            expect(mockClient.query.mock.calls[2][0]).toContain('SET resolved_at = CURRENT_TIMESTAMP');
+            expect(mockClient.query.mock.calls[2][1]).toEqual([[4], [0]]);
+        });
+    });
+
+    it('should not close a warehouse that still holds stock', async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [{ units: 14 }] });
+
+        await expect(inventoryService.updateWarehouse(2, { isActive: false }))
+            .rejects.toThrow('Warehouse still holds stock and cannot be deactivated');
+    });
+});
@@ -0,0 +1,49 @@
+const http = require('http');
+const { requestJson, TokenCache } = require('../services/http/jsonClient');
+
+describe('requestJson', () => {
+    let server;
+    let url;
+
+    beforeAll(async () => {
+        server = http.createServer((req, res) => {
+            if (req.url === '/slow') {
+                setTimeout(() => res.end('{}'), 500);
+                return;
+            }
+            res.writeHead(req.url === '/missing' ? 404 : 200, { 'Content-Type': 'application/json' });
+            res.end(req.url === '/missing' ? '{"statusMessage":"Payment not found"}' : '{"ok":true}');
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        url = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    afterAll(() => new Promise(resolve => server.close(resolve)));
+
+    it('should name the adapter in request errors', async () => {
+        await expect(requestJson(`${url}/ok`, { method: 'GET' }, 'Courier pathao')).resolves.toEqual({ ok: true });
+        await expect(requestJson(`${url}/missing`, { method: 'GET' }, 'Payment provider bkash'))
+            .rejects.toThrow('Payment provider bkash request failed: Payment not found');
+    });
+
+    it('should give up on a provider that does not answer in time', async () => {
+        await expect(requestJson(`${url}/slow`, { method: 'GET', timeoutMs: 50 }, 'Courier redx'))
+            .rejects.toThrow('Courier redx did not respond within 50ms');
+    });
+});
+
+describe('TokenCache', () => {
+    it('should issue one token for concurrent callers and reuse it until it expires', async () => {
+        const issue = jest.fn().mockResolvedValue({ token: 'tok_1', expiresIn: 3600 });
+        const tokens = new TokenCache(issue);
+
+        await expect(Promise.all([tokens.get(), tokens.get()])).resolves.toEqual(['tok_1', 'tok_1']);
+        await tokens.get();
+        expect(issue).toHaveBeenCalledTimes(1);
+
+        tokens.expiresAt = Date.now() - 1;
+        issue.mockResolvedValueOnce({ token: 'tok_2', expiresIn: 3600 });
+
+        await expect(tokens.get()).resolves.toBe('tok_2');
+    });
+});
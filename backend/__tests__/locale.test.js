@@ -0,0 +1,63 @@
+const { normalizeLocale, containsBangla, transliterateBangla } = require('../locale');
+const ProductService = require('../services/productService');
+
+describe('locale', () => {
+    describe('normalizeLocale', () => {
+        it('should map language tags to a supported locale', () => {
+            expect(normalizeLocale('bn')).toBe('bn');
+            expect(normalizeLocale('bn-BD')).toBe('bn');
+            expect(normalizeLocale('EN_us')).toBe('en');
+        });
+
+        it('should fall back to English for anything else', () => {
+            expect(normalizeLocale('fr')).toBe('en');
+            expect(normalizeLocale(undefined)).toBe('en');
+            expect(normalizeLocale(false)).toBe('en');
+        });
+    });
+
+    it('should detect Bangla text', () => {
+        expect(containsBangla('চাল')).toBe(true);
+        expect(containsBangla('Miniket চাল 5kg')).toBe(true);
+        expect(containsBangla('chal')).toBe(false);
+        expect(containsBangla(null)).toBe(false);
+    });
+
+    describe('transliterateBangla', () => {
+        it('should romanize names the way customers type them', () => {
+            expect(transliterateBangla('চাল')).toBe('chal');
+            expect(transliterateBangla('কলম')).toBe('kolom');
+            expect(transliterateBangla('বই')).toBe('boi');
+            expect(transliterateBangla('মিষ্টি')).toBe('mishti');
+            expect(transliterateBangla('পাঞ্জাবি')).toBe('panjabi');
+        });
+
+        it('should read nukta letters typed either way and Bangla digits', () => {
+            expect(transliterateBangla('শাড়ি')).toBe('shari');
+            expect(transliterateBangla('শাড়ি')).toBe('shari');
+            expect(transliterateBangla('চাল ৫ কেজি')).toBe('chal 5 keji');
+        });
+
+        it('should return an empty string without a name', () => {
+            expect(transliterateBangla(null)).toBe('');
+        });
+    });
+});
+
+describe('ProductService.textSearchSql', () => {
+    it('should search the Bangla fields for Bangla terms', () => {
+        const sql = ProductService.textSearchSql('চাল', '$2');
+
+        expect(sql).toContain('p.name_bn ILIKE $2');
+        expect(sql).toContain("plainto_tsquery('simple', $2)");
+        expect(sql).not.toContain("'english'");
+    });
+
+    it('should keep the English search for everything else', () => {
+        const sql = ProductService.textSearchSql('rice', '$2');
+
+        expect(sql).toContain('p.name ILIKE $2');
+        expect(sql).toContain("plainto_tsquery('english', $2)");
+        expect(sql).not.toContain('name_bn');
+    });
+});
@@ -0,0 +1,144 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const LocalStorageDriver = require('../services/storage/localStorageDriver');
+const S3StorageDriver = require('../services/storage/s3StorageDriver');
+const { loadStorageConfig, createStorage } = require('../services/storage');
+const { startS3MockServer } = require('../mocks/storage/s3MockServer');
+
+const image = Buffer.from('RIFF\u0000\u0000\u0000\u0000WEBPVP8 mock rendition');
+
+describe('LocalStorageDriver', () => {
+    let rootDir;
+    let storage;
+
+    beforeAll(async () => {
+        rootDir = await fs.mkdtemp(path.join(os.tmpdir(), 'media-'));
+        storage = new LocalStorageDriver({ rootDir, publicUrl: 'http://localhost:5000/media/' });
+    });
+
+    afterAll(() => fs.rm(rootDir, { recursive: true, force: true }));
+
+    it('should write objects under the root directory and serve them from the public URL', async () => {
+        const stored = await storage.put('products/12/abc/medium.webp', image, { contentType: 'image/webp' });
+
+        expect(stored).toEqual({
+            key: 'products/12/abc/medium.webp',
+            url: 'http://localhost:5000/media/products/12/abc/medium.webp',
+            size: image.length
+        });
+        expect(await fs.readFile(path.join(rootDir, 'products', '12', 'abc', 'medium.webp'))).toEqual(image);
+        expect(await storage.get('products/12/abc/medium.webp')).toEqual(image);
+    });
+
+    it('should treat missing objects as absent rather than failing', async () => {
+        await storage.put('reviews/3/def/large.webp', image);
+        await storage.delete('reviews/3/def/large.webp');
+
+        expect(await storage.get('reviews/3/def/large.webp')).toBeNull();
+        await expect(storage.delete('reviews/3/def/large.webp')).resolves.toBeUndefined();
+    });
+
+    it('should refuse keys that escape the root directory', async () => {
+        await expect(storage.put('../outside.webp', image)).rejects.toThrow('Invalid storage key');
+        await expect(storage.get('products/../../etc/passwd')).rejects.toThrow('Invalid storage key');
+    });
+});
+
+describe('S3StorageDriver', () => {
+    let mock;
+    let storage;
+
+    const config = {
+        region: 'us-east-1',
+        bucket: 'dhakacart-media',
+        accessKeyId: 'mock-access-key',
+        secretAccessKey: 'mock-secret-key'
+    };
+
+    beforeAll(async () => {
+        mock = await startS3MockServer();
+        storage = new S3StorageDriver({ ...config, endpoint: mock.url });
+    });
+
+    afterAll(() => mock.close());
+
+    it('should upload signed objects that are publicly readable from the bucket URL', async () => {
+        const stored = await storage.put('products/12/abc/thumbnail.webp', image, {
+            contentType: 'image/webp',
+            cacheControl: 'public, max-age=31536000, immutable'
+        });
+
+        expect(stored.url).toBe(`${mock.url}/dhakacart-media/products/12/abc/thumbnail.webp`);
+        expect(mock.state.objects.get('dhakacart-media/products/12/abc/thumbnail.webp')).toMatchObject({
+            contentType: 'image/webp',
+            cacheControl: 'public, max-age=31536000, immutable'
+        });
+
+        const response = await fetch(stored.url);
+        expect(response.status).toBe(200);
+        expect(response.headers.get('content-type')).toBe('image/webp');
+        expect(Buffer.from(await response.arrayBuffer())).toEqual(image);
+    });
+
+    it('should read and delete objects, reporting missing keys as null', async () => {
+        await storage.put('reviews/7/ghi/large.webp', image, { contentType: 'image/webp' });
+
+        expect(await storage.get('reviews/7/ghi/large.webp')).toEqual(image);
+
+        await storage.delete('reviews/7/ghi/large.webp');
+        expect(await storage.get('reviews/7/ghi/large.webp')).toBeNull();
+        await expect(storage.delete('reviews/7/ghi/large.webp')).resolves.toBeUndefined();
+    });
+
+    it('should surface the error code when the signature is rejected', async () => {
+        const wrongSecret = new S3StorageDriver({ ...config, endpoint: mock.url, secretAccessKey: 'not-the-secret' });
+
+        await expect(wrongSecret.put('products/1/x/large.webp', image))
+            .rejects.toThrow('Storage s3 PUT failed with HTTP 403 (SignatureDoesNotMatch');
+        expect(mock.state.objects.has('dhakacart-media/products/1/x/large.webp')).toBe(false);
+    });
+
+    it('should build URLs from the public URL or virtual-hosted bucket address', () => {
+        const cdn = new S3StorageDriver({ ...config, publicUrl: 'https://cdn.dhakacart.com/' });
+        expect(cdn.getUrl('products/1/x/large.webp')).toBe('https://cdn.dhakacart.com/products/1/x/large.webp');
+
+        const aws = new S3StorageDriver({ ...config, region: 'ap-south-1', forcePathStyle: false });
+        expect(aws.getUrl('products/1/x/large.webp'))
+            .toBe('https://dhakacart-media.s3.ap-south-1.amazonaws.com/products/1/x/large.webp');
+    });
+
+    it('should refuse to send requests without credentials', async () => {
+        const unconfigured = new S3StorageDriver({ endpoint: mock.url, bucket: 'dhakacart-media' });
+
+        await expect(unconfigured.put('products/1/x/large.webp', image)).rejects.toThrow('Storage s3 is not configured');
+    });
+});
+
+describe('createStorage', () => {
+    it('should default to local storage served from the API', () => {
+        const config = loadStorageConfig({ API_BASE_URL: 'https://api.dhakacart.com/' });
+        const storage = createStorage(config);
+
+        expect(storage.name).toBe('local');
+        expect(storage.getUrl('products/1/x/medium.webp')).toBe('https://api.dhakacart.com/media/products/1/x/medium.webp');
+    });
+
+    it('should build the S3 driver from the environment', () => {
+        const storage = createStorage(loadStorageConfig({
+            MEDIA_STORAGE_DRIVER: 's3',
+            S3_ENDPOINT: 'http://localhost:9000',
+            S3_BUCKET: 'dhakacart-media',
+            S3_ACCESS_KEY_ID: 'dhakacart',
+            S3_SECRET_ACCESS_KEY: 'dhakacart-secret'
+        }));
+
+        expect(storage.name).toBe('s3');
+        expect(storage.isConfigured()).toBe(true);
+        expect(storage.getUrl('a/b.webp')).toBe('http://localhost:9000/dhakacart-media/a/b.webp');
+    });
+
+    it('should reject unknown drivers', () => {
+        expect(() => createStorage({ driver: 'ftp' })).toThrow('Unknown media storage driver "ftp"');
+    });
+});
@@ -0,0 +1,162 @@
+const OrderService = require('../services/orderService');
+const { createMockDb } = require('./helpers/mockDb');
+
+const { mockClient, mockDbPool } = createMockDb();
+
+describe('OrderService status changes', () => {
+    let orderService;
+
+    beforeEach(() => {
+        jest.resetAllMocks();
+        mockDbPool.transaction.mockImplementation(callback => callback(mockClient));
+        orderService = new OrderService(mockDbPool, null);
+        orderService.stockReservationService = {
+            release: jest.fn().mockResolvedValue(0),
+            hasTakenStock: jest.fn().mockResolvedValue(false)
+        };
+    });
+
+    it('should only move orders forward', () => {
+        expect(OrderService.canTransition('pending', 'confirmed')).toBe(true);
+        expect(OrderService.canTransition('confirmed', 'shipped')).toBe(true);
+        expect(OrderService.canTransition('partially_shipped', 'shipped')).toBe(true);
+        expect(OrderService.canTransition('shipped', 'processing')).toBe(false);
+        expect(OrderService.canTransition('delivered', 'shipped')).toBe(false);
+        expect(OrderService.canTransition('cancelled', 'confirmed')).toBe(false);
+        expect(OrderService.canTransition('partially_shipped', 'cancelled')).toBe(false);
+    });
+
+    describe('updateOrderStatus', () => {
+        it('should record who moved the order and why', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 7, status: 'confirmed' }] })
+                .mockResolvedValueOnce({ rows: [{ id: 7, status: 'processing', order_number: 'ORD-7' }] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            const order = await orderService.updateOrderStatus(7, 'processing', 1, 'Packed at the warehouse');
+
+            expect(order.status).toBe('processing');
+            expect(mockClient.query.mock.calls[0][0]).toContain('FOR UPDATE');
+            expect(mockClient.query.mock.calls[2][0]).toContain('INSERT INTO order_status_history');
+            expect(mockClient.query.mock.calls[2][1]).toEqual([7, 'confirmed', 'processing', 'admin', 1, 'Packed at the warehouse']);
+        });
+
+        it('should name couriers and other services as the actor', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 7, status: 'processing' }] })
+                .mockResolvedValueOnce({ rows: [{ id: 7, status: 'shipped' }] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            await orderService.updateOrderStatus(7, 'shipped', 'courier:pathao');
+
+            expect(mockClient.query.mock.calls[2][1]).toEqual([7, 'processing', 'shipped', 'courier:pathao', null, null]);
+        });
+
+        it('should refuse moves the graph does not allow', async () => {
+            mockClient.query.mockResolvedValueOnce({ rows: [{ id: 7, status: 'shipped' }] });
+
+            await expect(orderService.updateOrderStatus(7, 'processing', 1))
+                .rejects.toThrow('Order cannot move from shipped to processing');
+
+            mockClient.query.mockResolvedValueOnce({ rows: [{ id: 7, status: 'delivered' }] });
+
+            await expect(orderService.updateOrderStatus(7, 'delivered', 1))
+                .rejects.toThrow('Order is already delivered');
+            expect(mockClient.query).toHaveBeenCalledTimes(2);
+        });
+
+        it('should put held stock back on sale when an order is cancelled', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 7, status: 'pending' }] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ id: 7, status: 'cancelled' }] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            await orderService.updateOrderStatus(7, 'cancelled', 1, 'Customer called to cancel');
+
+            expect(orderService.stockReservationService.release).toHaveBeenCalledWith(7, 'order_cancelled', mockClient);
+        });
+
+        it('should put stock a cash on delivery order took back when an admin cancels it', async () => {
+            orderService.stockReservationService.hasTakenStock.mockResolvedValueOnce(true);
+            orderService.inventoryService = {
+                getAllocations: jest.fn().mockResolvedValue([
+                    { order_item_id: 51, product_id: 9, variant_id: null, warehouse_id: 2, quantity: 3 }
+                ]),
+                applyStockChange: jest.fn().mockResolvedValue({})
+            };
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 7, status: 'processing' }] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ id: 7, status: 'cancelled', payment_method: 'cash_on_delivery' }] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            await orderService.updateOrderStatus(7, 'cancelled', 1, 'Customer refused on the phone');
+
+            expect(orderService.inventoryService.applyStockChange).toHaveBeenCalledWith(mockClient, {
+                productId: 9, variantId: null, warehouseId: 2, quantity: 3, operation: 'increment'
+            }, { kind: 'cancellation', actor: 'admin', createdBy: 1, orderId: 7 });
+            expect(orderService.stockReservationService.release).toHaveBeenCalledWith(7, 'order_cancelled', mockClient);
+        });
+    });
+
+    describe('cancelOrder', () => {
+        it('should record the customer and their reason', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 7, status: 'confirmed', order_number: 'ORD-7' }] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ id: 7, status: 'cancelled' }] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            await orderService.cancelOrder(3, 7, 'Ordered the wrong size');
+
+            expect(mockClient.query.mock.calls[3][1]).toEqual([7, 'confirmed', 'cancelled', 'customer', 3, 'Ordered the wrong size']);
+        });
+
+        it('should put the stock back at the warehouses it was taken from', async () => {
+            orderService.stockReservationService.hasTakenStock.mockResolvedValueOnce(true);
+            orderService.inventoryService = {
+                getAllocations: jest.fn().mockResolvedValue([
+                    { order_item_id: 51, product_id: 9, variant_id: 31, warehouse_id: 2, quantity: 1 },
+                    { order_item_id: 51, product_id: 9, variant_id: 31, warehouse_id: 1, quantity: 2 }
+                ]),
+                applyStockChange: jest.fn().mockResolvedValue({})
+            };
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 7, status: 'confirmed', order_number: 'ORD-7' }] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ id: 7, status: 'cancelled' }] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            await orderService.cancelOrder(3, 7, 'Ordered the wrong size');
+
+            expect(orderService.inventoryService.applyStockChange).toHaveBeenCalledTimes(2);
+            const movement = { kind: 'cancellation', actor: 'customer', createdBy: 3, orderId: 7 };
+            expect(orderService.inventoryService.applyStockChange).toHaveBeenCalledWith(mockClient, {
+                productId: 9, variantId: 31, warehouseId: 2, quantity: 1, operation: 'increment'
+            }, movement);
+            expect(orderService.inventoryService.applyStockChange).toHaveBeenCalledWith(mockClient, {
+                productId: 9, variantId: 31, warehouseId: 1, quantity: 2, operation: 'increment'
+            }, movement);
+        });
+
+        it('should not cancel an order while its shipment is booked with the courier', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 7, status: 'processing', order_number: 'ORD-7' }] })
+                .mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+
+            await expect(orderService.cancelOrder(3, 7, 'Found it cheaper'))
+                .rejects.toThrow('Order cannot be cancelled while a shipment is booked with the courier');
+            expect(mockClient.query.mock.calls[1][0]).toContain("status NOT IN ('cancelled', 'returned')");
+            expect(orderService.stockReservationService.release).not.toHaveBeenCalled();
+        });
+
+        it('should not cancel an order once part of it has shipped', async () => {
+            mockClient.query.mockResolvedValueOnce({ rows: [{ id: 7, status: 'partially_shipped' }] });
+
+            await expect(orderService.cancelOrder(3, 7, 'Too slow'))
+                .rejects.toThrow('Order cannot be cancelled');
+            expect(mockClient.query).toHaveBeenCalledTimes(1);
+        });
+    });
+});
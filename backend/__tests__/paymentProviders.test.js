@@ -0,0 +1,262 @@
+const crypto = require('crypto');
+const BkashProvider = require('../services/payments/bkashProvider');
+const NagadProvider = require('../services/payments/nagadProvider');
+const SslCommerzProvider = require('../services/payments/sslcommerzProvider');
+const StripeProvider = require('../services/payments/stripeProvider');
+const { startBkashMockServer } = require('../mocks/payments/bkashMockServer');
+const { startNagadMockServer } = require('../mocks/payments/nagadMockServer');
+const { startSslCommerzMockServer } = require('../mocks/payments/sslcommerzMockServer');
+const { startStripeMockServer } = require('../mocks/payments/stripeMockServer');
+
+const payment = {
+    orderId: 42,
+    orderNumber: 'ORD-20250109-000042',
+    amount: 1250.5,
+    currency: 'bdt',
+    customer: { name: 'Rahim Uddin', email: 'rahim@example.com', phone: '01712345678' },
+    callbackUrl: 'http://localhost:5000/api/payments/test/callback',
+    ipnUrl: 'http://localhost:5000/api/payments/test/ipn'
+};
+
+describe('BkashProvider', () => {
+    let mock;
+    let provider;
+
+    beforeAll(async () => {
+        mock = await startBkashMockServer();
+        provider = new BkashProvider({
+            baseUrl: mock.url,
+            appKey: 'mock-app-key',
+            appSecret: 'mock-app-secret',
+            username: 'mock-user',
+            password: 'mock-password'
+        });
+    });
+
+    afterAll(() => mock.close());
+
+    it('should complete a payment through create, callback and execute', async () => {
+        const initiated = await provider.initiatePayment(payment);
+        expect(initiated.redirectUrl).toContain(`paymentID=${initiated.transactionId}`);
+
+        const callback = mock.state.completeCheckout(initiated.transactionId, 'success');
+        const result = await provider.handleCallback(callback);
+
+        expect(result).toMatchObject({
+            transactionId: initiated.transactionId,
+            status: 'succeeded',
+            amount: 1250.5
+        });
+        expect(result.providerReference).toBeTruthy();
+    });
+
+    it('should read the stored state when a completed callback is replayed', async () => {
+        const initiated = await provider.initiatePayment(payment);
+        const callback = mock.state.completeCheckout(initiated.transactionId, 'success');
+        await provider.handleCallback(callback);
+
+        const replayed = await provider.handleCallback(callback);
+
+        expect(replayed.status).toBe('succeeded');
+    });
+
+    it('should report a cancelled checkout without executing it', async () => {
+        const initiated = await provider.initiatePayment(payment);
+        const callback = mock.state.completeCheckout(initiated.transactionId, 'cancel');
+
+        const result = await provider.handleCallback(callback);
+
+        expect(result.status).toBe('canceled');
+        expect(mock.state.payments.get(initiated.transactionId).transactionStatus).toBe('Cancelled');
+    });
+
+    it('should refund part of a completed payment', async () => {
+        const initiated = await provider.initiatePayment(payment);
+        const result = await provider.handleCallback(mock.state.completeCheckout(initiated.transactionId));
+
+        const refund = await provider.refund({
+            order_id: 42,
+            provider_transaction_id: initiated.transactionId,
+            provider_reference: result.providerReference
+        }, 250, 'requested_by_customer');
+
+        expect(refund).toMatchObject({ amount: 250, currency: 'bdt', status: 'succeeded' });
+    });
+
+    it('should reject non-BDT payments', async () => {
+        await expect(provider.initiatePayment({ ...payment, currency: 'usd' }))
+            .rejects.toThrow('bKash only supports BDT payments');
+    });
+});
+
+describe('NagadProvider', () => {
+    const keyOptions = {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+    };
+    let mock;
+    let provider;
+    let merchantKeys;
+
+    beforeAll(async () => {
+        merchantKeys = crypto.generateKeyPairSync('rsa', keyOptions);
+        const nagadKeys = crypto.generateKeyPairSync('rsa', keyOptions);
+
+        mock = await startNagadMockServer({
+            merchantId: '683002007104225',
+            merchantPublicKey: merchantKeys.publicKey,
+            nagadPrivateKey: nagadKeys.privateKey
+        });
+        provider = new NagadProvider({
+            baseUrl: mock.url,
+            merchantId: '683002007104225',
+            merchantNumber: '01711428036',
+            merchantPrivateKey: merchantKeys.privateKey,
+            publicKey: nagadKeys.publicKey
+        });
+    });
+
+    afterAll(() => mock.close());
+
+    it('should complete a payment through initialize, complete and verify', async () => {
+        const initiated = await provider.initiatePayment(payment);
+        expect(initiated.transactionId).toMatch(/^O42T\d+$/);
+
+        const paymentReferenceId = initiated.raw.paymentReferenceId;
+        expect(mock.state.sessions.get(paymentReferenceId).amount).toBe('1250.50');
+
+        const callback = mock.state.completeCheckout(paymentReferenceId, 'success');
+        const result = await provider.handleCallback(callback);
+
+        expect(result).toMatchObject({
+            transactionId: initiated.transactionId,
+            status: 'succeeded',
+            providerReference: paymentReferenceId,
+            amount: 1250.5
+        });
+    });
+
+    it('should trust the verify endpoint over the callback status', async () => {
+        const initiated = await provider.initiatePayment(payment);
+        const callback = mock.state.completeCheckout(initiated.raw.paymentReferenceId, 'failure');
+
+        const result = await provider.handleCallback({ ...callback, status: 'Success' });
+
+        expect(result.status).toBe('failed');
+    });
+
+    it('should reject responses not signed by Nagad', async () => {
+        const forged = crypto.generateKeyPairSync('rsa', keyOptions);
+        const plaintext = JSON.stringify({ paymentReferenceId: 'forged', challenge: 'x' });
+
+        expect(() => provider.openSensitiveData({
+            sensitiveData: crypto.publicEncrypt(
+                { key: merchantKeys.publicKey, padding: crypto.constants.RSA_PKCS1_PADDING },
+                Buffer.from(plaintext)
+            ).toString('base64'),
+            signature: crypto.sign('sha256', Buffer.from(plaintext), forged.privateKey).toString('base64')
+        })).toThrow('Nagad response signature is invalid');
+    });
+});
+
+describe('SslCommerzProvider', () => {
+    let mock;
+    let provider;
+
+    beforeAll(async () => {
+        mock = await startSslCommerzMockServer({ storeId: 'teststore', storePassword: 'teststore@ssl' });
+        provider = new SslCommerzProvider({
+            baseUrl: mock.url,
+            storeId: 'teststore',
+            storePassword: 'teststore@ssl'
+        });
+    });
+
+    afterAll(() => mock.close());
+
+    it('should validate a signed IPN and the later callback for the same payment', async () => {
+        const initiated = await provider.initiatePayment(payment);
+        expect(initiated.redirectUrl).toContain('/gwprocess/v4/gw.php');
+
+        const form = mock.state.completeCheckout(initiated.transactionId, 'success');
+
+        const ipnResult = await provider.handleIpn(form);
+        const callbackResult = await provider.handleCallback(form);
+
+        for (const result of [ipnResult, callbackResult]) {
+            expect(result).toMatchObject({
+                transactionId: initiated.transactionId,
+                status: 'succeeded',
+                providerReference: form.bank_tran_id,
+                amount: 1250.5
+            });
+        }
+    });
+
+    it('should reject an IPN with a tampered amount', async () => {
+        const initiated = await provider.initiatePayment(payment);
+        const form = mock.state.completeCheckout(initiated.transactionId, 'success');
+
+        await expect(provider.handleIpn({ ...form, amount: '1.00' }))
+            .rejects.toThrow('SSLCommerz IPN signature is invalid');
+    });
+
+    it('should not call the validation API for a failed payment', async () => {
+        const initiated = await provider.initiatePayment(payment);
+        const form = mock.state.completeCheckout(initiated.transactionId, 'failure');
+
+        const result = await provider.handleCallback(form);
+
+        expect(result.status).toBe('failed');
+        expect(mock.state.sessions.get(initiated.transactionId).validations).toBe(0);
+    });
+
+    it('should refund by bank transaction ID', async () => {
+        const initiated = await provider.initiatePayment(payment);
+        const result = await provider.handleIpn(mock.state.completeCheckout(initiated.transactionId));
+
+        const refund = await provider.refund({
+            provider_reference: result.providerReference,
+            currency: 'bdt'
+        }, 100, 'requested_by_customer');
+
+        expect(refund).toMatchObject({ amount: 100, status: 'succeeded' });
+    });
+});
+
+describe('StripeProvider', () => {
+    let mock;
+    let provider;
+
+    beforeAll(async () => {
+        mock = await startStripeMockServer({ secretKey: 'sk_test_mock' });
+        provider = new StripeProvider({ secretKey: 'sk_test_mock', apiHost: mock.url });
+    });
+
+    afterAll(() => mock.close());
+
+    it('should create, confirm and verify a payment intent', async () => {
+        const initiated = await provider.initiatePayment({ ...payment, userId: null, currency: 'usd' });
+        expect(initiated.clientSecret).toContain(initiated.transactionId);
+        expect(mock.state.intents.get(initiated.transactionId).metadata).toEqual({ orderId: '42' });
+
+        await provider.confirmPayment(initiated.transactionId, 'pm_card_visa');
+        const result = await provider.verifyPayment({ provider_transaction_id: initiated.transactionId });
+
+        expect(result).toMatchObject({ status: 'succeeded', amount: 1250.5, orderId: '42' });
+    });
+
+    it('should normalize webhook events and ignore unrelated ones', async () => {
+        const initiated = await provider.initiatePayment({ ...payment, currency: 'usd' });
+        await provider.confirmPayment(initiated.transactionId, 'pm_card_chargeDeclined');
+
+        const failed = await provider.handleIpn(
+            JSON.stringify(mock.state.buildEvent('payment_intent.payment_failed', initiated.transactionId))
+        );
+        const ignored = await provider.handleIpn({ id: 'evt_1', type: 'customer.created', data: { object: {} } });
+
+        expect(failed).toMatchObject({ status: 'failed', failureReason: 'Your card was declined.' });
+        expect(ignored).toBeNull();
+    });
+});
@@ -0,0 +1,232 @@
+const PaymentService = require('../services/paymentService');
+const { createMockDb } = require('./helpers/mockDb');
+
+const { mockClient, mockDbPool } = createMockDb();
+
+const createProvider = (name, overrides = {}) => ({
+    name,
+    isConfigured: () => true,
+    initiatePayment: jest.fn(),
+    handleCallback: jest.fn(),
+    handleIpn: jest.fn(),
+    verifyPayment: jest.fn(),
+    refund: jest.fn(),
+    ...overrides
+});
+
+describe('PaymentService', () => {
+    let paymentService;
+    let providers;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        providers = {
+            stripe: createProvider('stripe'),
+            bkash: createProvider('bkash'),
+            nagad: createProvider('nagad', { isConfigured: () => false })
+        };
+        paymentService = new PaymentService(mockDbPool, null, providers);
+    });
+
+    describe('initiatePayment', () => {
+        it('should record a pending transaction for the chosen provider', async () => {
+            mockDbPool.query
+                .mockResolvedValueOnce({
+                    rows: [{
+                        id: 7,
+                        user_id: 3,
+                        order_number: 'ORD-20250109-000007',
+                        total_amount: '1500.00',
+                        status: 'pending',
+                        payment_status: 'pending',
+                        shipping_address: { firstName: 'Karim', lastName: 'Ahmed', phone: '01812345678' },
+                        email: 'karim@example.com'
+                    }]
+                })
+                .mockResolvedValue({ rows: [] });
+            // No stock reservations: the order took its stock at placement
+            mockClient.query.mockResolvedValue({ rows: [] });
+            providers.bkash.initiatePayment.mockResolvedValue({
+                transactionId: 'TR0011ABC',
+                redirectUrl: 'https://bkash.example/checkout',
+                clientSecret: null,
+                raw: { transactionStatus: 'Initiated' }
+            });
+
+            const result = await paymentService.initiatePayment(7, 'bkash');
+
+            expect(providers.bkash.initiatePayment).toHaveBeenCalledWith(expect.objectContaining({
+                orderId: 7,
+                amount: 1500,
+                currency: 'bdt',
+                customer: expect.objectContaining({ name: 'Karim Ahmed', phone: '01812345678' }),
+                callbackUrl: expect.stringContaining('/api/payments/bkash/callback')
+            }));
+            expect(mockDbPool.query).toHaveBeenCalledWith(
+                expect.stringContaining('INSERT INTO payment_transactions'),
+                [7, 'bkash', 'TR0011ABC', 1500, 'bdt', JSON.stringify({ transactionStatus: 'Initiated' })]
+            );
+            expect(result).toMatchObject({
+                provider: 'bkash',
+                redirectUrl: 'https://bkash.example/checkout',
+                stockReservedUntil: null
+            });
+        });
+
+        it('should reject unknown and unconfigured providers', async () => {
+            await expect(paymentService.initiatePayment(7, 'paypal'))
+                .rejects.toThrow('Unsupported payment provider: paypal');
+            await expect(paymentService.initiatePayment(7, 'nagad'))
+                .rejects.toThrow('Payment provider nagad is not configured');
+            expect(mockDbPool.query).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('recordPaymentResult', () => {
+        const pendingTransaction = { id: 11, order_id: 7, amount: '1500.00', status: 'pending' };
+
+        it('should mark the transaction succeeded and the order paid', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [pendingTransaction] })
+                .mockResolvedValueOnce({ rows: [{ id: 7, status: 'confirmed' }] })
+                .mockResolvedValueOnce({ rows: [{ ...pendingTransaction, status: 'succeeded' }] })
+                .mockResolvedValueOnce({ rows: [{ id: 7, payment_status: 'paid', status: 'confirmed' }] })
+                .mockResolvedValue({ rows: [] });
+
+            const result = await paymentService.recordPaymentResult('bkash', {
+                transactionId: 'TR0011ABC',
+                status: 'succeeded',
+                providerReference: 'TRX123',
+                amount: 1500
+            });
+
+            expect(mockClient.query.mock.calls[1][0]).toContain('FOR UPDATE');
+            expect(mockClient.query.mock.calls[2][1].slice(0, 4)).toEqual([11, 'succeeded', 'TRX123', null]);
+            expect(mockClient.query.mock.calls[2][1][5]).toBe(false);
+            expect(mockClient.query.mock.calls[3][0]).toContain("payment_status = 'paid'");
+            expect(mockClient.query.mock.calls[4][0]).toContain('FROM stock_reservations');
+            expect(result.order.payment_status).toBe('paid');
+        });
+
+        it('should flag a payment for a cancelled order for refund without taking stock', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [pendingTransaction] })
+                .mockResolvedValueOnce({ rows: [{ id: 7, status: 'cancelled' }] })
+                .mockResolvedValueOnce({ rows: [{ ...pendingTransaction, status: 'succeeded', refund_due: true }] })
+                .mockResolvedValueOnce({ rows: [{ id: 7, payment_status: 'paid', status: 'cancelled', previous_status: 'cancelled' }] });
+
+            const result = await paymentService.recordPaymentResult('bkash', {
+                transactionId: 'TR0011ABC',
+                status: 'succeeded',
+                amount: 1500
+            });
+
+            expect(mockClient.query.mock.calls[2][1][5]).toBe(true);
+            expect(mockClient.query).toHaveBeenCalledTimes(4);
+            expect(result.transaction.refund_due).toBe(true);
+            expect(result.order.status).toBe('cancelled');
+        });
+
+        it('should record the payment confirming a pending order', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [pendingTransaction] })
+                .mockResolvedValueOnce({ rows: [{ id: 7, status: 'pending' }] })
+                .mockResolvedValueOnce({ rows: [{ ...pendingTransaction, status: 'succeeded' }] })
+                .mockResolvedValueOnce({ rows: [{ id: 7, payment_status: 'paid', status: 'confirmed', previous_status: 'pending' }] })
+                .mockResolvedValue({ rows: [] });
+
+            const result = await paymentService.recordPaymentResult('bkash', {
+                transactionId: 'TR0011ABC',
+                status: 'succeeded',
+                amount: 1500
+            });
+
+            expect(mockClient.query).toHaveBeenLastCalledWith(
+                expect.stringContaining('INSERT INTO order_status_history'),
+                [7, 'pending', 'confirmed', 'payment:bkash', null, null]
+            );
+            expect(result.order).not.toHaveProperty('previous_status');
+        });
+
+        it('should fail a confirmation for the wrong amount', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [pendingTransaction] })
+                .mockResolvedValueOnce({ rows: [{ ...pendingTransaction, status: 'failed' }] })
+                .mockResolvedValueOnce({ rows: [{ id: 7, payment_status: 'failed' }] })
+                .mockResolvedValue({ rows: [] });
+
+            const result = await paymentService.recordPaymentResult('sslcommerz', {
+                transactionId: 'ORD-1',
+                status: 'succeeded',
+                amount: 15
+            });
+
+            expect(result.status).toBe('failed');
+            expect(mockClient.query.mock.calls[1][1][3]).toContain('Amount mismatch');
+            expect(mockClient.query).toHaveBeenLastCalledWith(
+                expect.stringContaining('UPDATE stock_reservations'),
+                [7, 'payment_failed', 'released']
+            );
+        });
+
+        it('should leave an already succeeded transaction untouched', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ ...pendingTransaction, status: 'succeeded' }] })
+                .mockResolvedValueOnce({ rows: [{ id: 7, payment_status: 'paid' }] });
+
+            const result = await paymentService.recordPaymentResult('bkash', {
+                transactionId: 'TR0011ABC',
+                status: 'failed'
+            });
+
+            expect(mockClient.query).toHaveBeenCalledTimes(2);
+            expect(result.status).toBe('succeeded');
+        });
+    });
+
+    describe('refundPayment', () => {
+        it('should refund through the provider that took the payment', async () => {
+            const transaction = { id: 11, order_id: 7, provider: 'bkash', amount: '1500.00', currency: 'bdt' };
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [{ id: 7, payment_status: 'paid', total_amount: '1500.00' }] })
+                .mockResolvedValueOnce({ rows: [transaction] })
+                .mockResolvedValueOnce({ rows: [{ refunded: '500.00' }] })
+                .mockResolvedValue({ rows: [] });
+            providers.bkash.refund.mockResolvedValue({ refundId: 'RF1', currency: 'bdt', status: 'succeeded' });
+
+            const refund = await paymentService.refundPayment(7);
+
+            expect(providers.bkash.refund).toHaveBeenCalledWith(transaction, 1000, 'requested_by_customer', null);
+            expect(mockDbPool.query).toHaveBeenCalledWith(
+                expect.stringContaining("payment_status = 'refunded'"),
+                [7]
+            );
+            expect(refund).toMatchObject({ provider: 'bkash', amount: 1000, isFullRefund: true });
+        });
+
+        it('should not refund more than the remaining balance', async () => {
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [{ id: 7, payment_status: 'paid', total_amount: '1500.00' }] })
+                .mockResolvedValueOnce({ rows: [{ id: 11, order_id: 7, provider: 'bkash' }] })
+                .mockResolvedValueOnce({ rows: [{ refunded: '1400.00' }] });
+
+            await expect(paymentService.refundPayment(7, 200))
+                .rejects.toThrow('Refund amount exceeds the refundable balance of 100');
+            expect(providers.bkash.refund).not.toHaveBeenCalled();
+        });
+
+        it('should answer a retried refund from the one recorded under its key', async () => {
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [{ id: 7, payment_status: 'paid', total_amount: '1500.00' }] })
+                .mockResolvedValueOnce({ rows: [{
+                    provider: 'bkash', provider_refund_id: 'RF1', amount: '900.00', currency: 'bdt', status: 'succeeded'
+                }] });
+
+            const refund = await paymentService.refundPayment(7, 900, 'requested_by_customer', 'key-1');
+
+            expect(mockDbPool.query.mock.calls[1][1]).toEqual(['key-1']);
+            expect(providers.bkash.refund).not.toHaveBeenCalled();
+            expect(refund).toMatchObject({ refundId: 'RF1', amount: 900, status: 'succeeded', isFullRefund: false });
+        });
+    });
+});
@@ -0,0 +1,133 @@
+const ProductAlertService = require('../services/productAlertService');
+const { createMockDb } = require('./helpers/mockDb');
+
+const { mockClient, mockDbPool } = createMockDb();
+
+const firedAlert = (fields = {}) => ({
+    id: 31,
+    user_id: 7,
+    product_id: 4,
+    variant_id: null,
+    kind: 'back_in_stock',
+    target_price: null,
+    email: 'rahim@example.com',
+    first_name: 'Rahim',
+    last_name: 'Uddin',
+    locale: 'en',
+    product_name: 'Jamdani Saree',
+    product_name_bn: null,
+    variant_title: null,
+    price: '4500.00',
+    ...fields
+});
+
+describe('ProductAlertService', () => {
+    let productAlertService;
+    let emailService;
+    let webSocketService;
+
+    beforeEach(() => {
+        jest.resetAllMocks();
+        mockDbPool.transaction.mockImplementation(callback => callback(mockClient));
+        emailService = {
+            isInitialized: true,
+            sendProductAlertEmail: jest.fn().mockResolvedValue({ success: true })
+        };
+        webSocketService = { notifyProductAlert: jest.fn().mockResolvedValue(true) };
+        productAlertService = new ProductAlertService(mockDbPool, emailService, webSocketService);
+    });
+
+    describe('createAlert', () => {
+        it('should subscribe to a sold out product until the alert expires', async () => {
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [{ id: 4, name: 'Jamdani Saree', variant_id: null, price: '4500.00', available_quantity: 0 }] })
+                .mockResolvedValueOnce({ rows: [{ id: 12, kind: 'back_in_stock' }] });
+
+            const alert = await productAlertService.createAlert(7, { productId: 4, kind: 'back_in_stock' });
+
+            expect(alert.id).toBe(12);
+            expect(mockDbPool.query.mock.calls[1][0]).toContain("ON CONFLICT (user_id, product_id, (COALESCE(variant_id, 0)), kind) WHERE status = 'active'");
+            expect(mockDbPool.query.mock.calls[1][1]).toEqual([7, 4, null, 'back_in_stock', null, 90]);
+        });
+
+        it('should not wait for stock that is already there', async () => {
+            mockDbPool.query.mockResolvedValueOnce({ rows: [{ id: 4, name: 'Jamdani Saree', variant_id: null, price: '4500.00', available_quantity: 3 }] });
+
+            await expect(productAlertService.createAlert(7, { productId: 4, kind: 'back_in_stock' }))
+                .rejects.toThrow('"Jamdani Saree" is in stock');
+            expect(mockDbPool.query).toHaveBeenCalledTimes(1);
+        });
+
+        it('should want a target below the current price', async () => {
+            mockDbPool.query.mockResolvedValueOnce({ rows: [{ id: 4, name: 'Panjabi', variant_id: 31, variant_active: true, price: '1200.00', available_quantity: 5 }] });
+
+            await expect(productAlertService.createAlert(7, { productId: 4, variantId: 31, kind: 'price_drop', targetPrice: 1200 }))
+                .rejects.toThrow('Target price must be below the current price of ৳1200.00');
+        });
+
+        it('should reject a variant of another product', async () => {
+            mockDbPool.query.mockResolvedValueOnce({ rows: [{ id: 4, name: 'Panjabi', variant_id: null, price: '1200.00', available_quantity: 0 }] });
+
+            await expect(productAlertService.createAlert(7, { productId: 4, variantId: 99, kind: 'back_in_stock' }))
+                .rejects.toThrow('Product variant not found');
+        });
+    });
+
+    describe('processBatch', () => {
+        it('should send each customer one email for everything that fired', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 31 }, { id: 32 }, { id: 40 }] })
+                .mockResolvedValueOnce({
+                    rows: [
+                        firedAlert(),
+                        firedAlert({ id: 32, product_id: 9, variant_id: 51, kind: 'price_drop', target_price: '900.00', price: '850.00' }),
+                        firedAlert({ id: 40, user_id: 8, email: 'karima@example.com', first_name: 'Karima', locale: 'bn' })
+                    ]
+                });
+
+            const processed = await productAlertService.processBatch();
+
+            expect(processed).toBe(3);
+            expect(mockClient.query.mock.calls[0][0]).toContain("SET status = 'notified'");
+            expect(mockClient.query.mock.calls[0][0]).toContain('FOR UPDATE SKIP LOCKED');
+            expect(mockClient.query.mock.calls[1][1]).toEqual([[31, 32, 40]]);
+
+            expect(emailService.sendProductAlertEmail).toHaveBeenCalledTimes(2);
+            expect(emailService.sendProductAlertEmail.mock.calls[0][0]).toEqual({
+                email: 'rahim@example.com',
+                first_name: 'Rahim',
+                last_name: 'Uddin',
+                locale: 'en'
+            });
+            expect(emailService.sendProductAlertEmail.mock.calls[0][1].map(alert => alert.id)).toEqual([31, 32]);
+            expect(emailService.sendProductAlertEmail.mock.calls[1][1].map(alert => alert.id)).toEqual([40]);
+
+            expect(webSocketService.notifyProductAlert).toHaveBeenCalledTimes(3);
+            expect(webSocketService.notifyProductAlert).toHaveBeenCalledWith(8, expect.objectContaining({ id: 40 }));
+        });
+
+        it('should not send anything when no alert has fired', async () => {
+            mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+            await expect(productAlertService.processBatch()).resolves.toBe(0);
+            expect(mockClient.query).toHaveBeenCalledTimes(1);
+            expect(emailService.sendProductAlertEmail).not.toHaveBeenCalled();
+        });
+    });
+
+    it('should keep fired alerts waiting while email is unavailable', async () => {
+        emailService.isInitialized = false;
+
+        await productAlertService.run();
+
+        expect(mockDbPool.query).not.toHaveBeenCalled();
+        expect(mockDbPool.transaction).not.toHaveBeenCalled();
+    });
+
+    it('should only remove alerts of the signed in customer', async () => {
+        mockDbPool.query.mockResolvedValueOnce({ rows: [] });
+
+        await expect(productAlertService.deleteAlert(7, 12)).rejects.toThrow('Alert not found');
+        expect(mockDbPool.query.mock.calls[0][1]).toEqual([12, 7]);
+    });
+});
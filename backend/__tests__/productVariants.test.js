@@ -0,0 +1,174 @@
+const ProductService = require('../services/productService');
+const { createMockDb } = require('./helpers/mockDb');
+
+const { mockClient, mockDbPool } = createMockDb();
+
+const options = [
+    { name: 'Size', values: ['M', 'L'] },
+    { name: 'Colour', values: ['Red', 'Blue'] }
+];
+
+describe('ProductService variants', () => {
+    let productService;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        productService = new ProductService(mockDbPool, null);
+    });
+
+    describe('saveVariants', () => {
+        it('should title variants in option order and keep the product stock in sync', async () => {
+            let nextVariantId = 40;
+            mockClient.query.mockImplementation(async (sql) => {
+                if (sql.includes('INSERT INTO product_variants')) {
+                    return { rows: [{ id: nextVariantId++ }] };
+                }
+                return { rows: [{ id: 3 }] };
+            });
+
+            await productService.saveVariants(3, {
+                options,
+                variants: [
+                    { optionValues: { Colour: 'Red', Size: 'M' }, sku: 'TS-M-RED', price: 450, stockQuantity: 4 },
+                    { optionValues: { Size: 'L', Colour: 'Blue' }, stockQuantity: 6, isActive: false }
+                ]
+            });
+
+            const variantInserts = mockClient.query.mock.calls.filter(([sql]) => sql.includes('INSERT INTO product_variants'));
+            expect(variantInserts).toHaveLength(2);
+            expect(variantInserts[0][1]).toEqual([
+                3, 'TS-M-RED', 'M / Red', 450, 4, null, null, JSON.stringify({ Size: 'M', Colour: 'Red' }), true, 0
+            ]);
+            expect(variantInserts[1][1]).toEqual([
+                3, null, 'L / Blue', null, 6, null, null, JSON.stringify({ Size: 'L', Colour: 'Blue' }), false, 1
+            ]);
+
+            expect(mockClient.query).toHaveBeenCalledWith(
+                expect.stringContaining('DELETE FROM product_variants'),
+                [3, [40, 41]]
+            );
+            expect(mockClient.query).toHaveBeenCalledWith(
+                expect.stringContaining('FILTER (WHERE is_active)'),
+                [3]
+            );
+        });
+
+        it('should reject values that are not among the option values', async () => {
+            await expect(productService.saveVariants(3, {
+                options,
+                variants: [{ optionValues: { Size: 'XL', Colour: 'Red' } }]
+            })).rejects.toThrow('Variant 1 needs one of the Size values');
+            expect(mockDbPool.transaction).not.toHaveBeenCalled();
+        });
+
+        it('should reject the same combination twice', async () => {
+            await expect(productService.saveVariants(3, {
+                options,
+                variants: [
+                    { optionValues: { Size: 'M', Colour: 'Red' } },
+                    { optionValues: { Colour: 'Red', Size: 'M' } }
+                ]
+            })).rejects.toThrow('Duplicate variant M / Red');
+        });
+
+        it('should report SKUs already used by another variant', async () => {
+            const duplicate = Object.assign(new Error('duplicate key value'), { code: '23505' });
+            mockClient.query.mockImplementation(async (sql) => {
+                if (sql.includes('INSERT INTO product_variants')) {
+                    throw duplicate;
+                }
+                return { rows: [{ id: 3 }] };
+            });
+
+            await expect(productService.saveVariants(3, {
+                options: [{ name: 'Size', values: ['M'] }],
+                variants: [{ optionValues: { Size: 'M' }, sku: 'TAKEN' }]
+            })).rejects.toThrow('Variant SKU already exists');
+        });
+    });
+
+    describe('updateStock', () => {
+        it('should move the variant stock, record why and return the new product total', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 40 }] })
+                .mockResolvedValueOnce({ rows: [{ warehouse_id: 1, quantity: 4 }] })
+                .mockResolvedValueOnce({ rows: [{ id: 1, is_active: true, is_default: true }] })
+                .mockResolvedValueOnce({ rows: [{ quantity: 4 }] })
+                .mockResolvedValueOnce({ rows: [{ quantity: 2 }] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ id: 40, sku: 'TS-M-RED', title: 'M / Red', stock_quantity: 2, is_active: true }] })
+                .mockResolvedValueOnce({ rows: [{ id: 3, name: 'Cotton T-Shirt', stock_quantity: 8 }] });
+
+            const product = await productService.updateStock(3, 2, 'decrement', 40, null, {
+                kind: 'damage',
+                actor: 'admin',
+                createdBy: 1,
+                note: 'Torn in the warehouse'
+            });
+
+            expect(mockClient.query.mock.calls[0][1]).toEqual([40, 3]);
+            expect(mockClient.query.mock.calls[4][0]).toContain('GREATEST(inventory_levels.quantity - $4, 0)');
+            expect(mockClient.query.mock.calls[4][1]).toEqual([1, 3, 40, 2]);
+            expect(mockClient.query.mock.calls[5][0]).toContain('INSERT INTO inventory_movements');
+            expect(mockClient.query.mock.calls[5][1]).toEqual([3, 40, 1, 'damage', -2, 2, 'admin', 1, null, null, null, null, 'Torn in the warehouse']);
+            expect(product.stock_quantity).toBe(8);
+            expect(product.variant).toMatchObject({ id: 40, title: 'M / Red', stock_quantity: 2 });
+            expect(mockDbPool.query).not.toHaveBeenCalled();
+        });
+
+        it('should take stock from the default warehouse first, then the others', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 40 }] })
+                .mockResolvedValueOnce({ rows: [{ warehouse_id: 1, quantity: 1 }, { warehouse_id: 2, quantity: 5 }] })
+                .mockResolvedValueOnce({ rows: [{ id: 1, is_active: true, is_default: true }] })
+                .mockResolvedValueOnce({ rows: [{ quantity: 1 }] })
+                .mockResolvedValueOnce({ rows: [{ quantity: 0 }] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ id: 2, is_active: true, is_default: false }, { id: 1, is_active: true, is_default: true }] })
+                .mockResolvedValueOnce({ rows: [{ quantity: 5 }] })
+                .mockResolvedValueOnce({ rows: [{ quantity: 3 }] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ id: 40, stock_quantity: 3 }] })
+                .mockResolvedValueOnce({ rows: [{ id: 3, stock_quantity: 9 }] });
+
+            await productService.updateStock(3, 3, 'decrement', 40);
+
+            expect(mockClient.query.mock.calls[4][1]).toEqual([1, 3, 40, 1]);
+            expect(mockClient.query.mock.calls[5][1].slice(2, 6)).toEqual([1, 'adjustment', -1, 0]);
+            expect(mockClient.query.mock.calls[8][1]).toEqual([2, 3, 40, 2]);
+            expect(mockClient.query.mock.calls[9][1].slice(2, 6)).toEqual([2, 'adjustment', -2, 3]);
+        });
+
+        it('should set the stock at one warehouse when it is named', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 40 }] })
+                .mockResolvedValueOnce({ rows: [{ id: 2, is_active: true, is_default: false }, { id: 1, is_active: true, is_default: true }] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ quantity: 7 }] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ id: 40, stock_quantity: 12 }] })
+                .mockResolvedValueOnce({ rows: [{ id: 3, stock_quantity: 12 }] });
+
+            await productService.updateStock(3, 7, 'set', 40, 2, { kind: 'stock_count', actor: 'admin', createdBy: 1 });
+
+            expect(mockClient.query.mock.calls[3][0]).toContain('ON CONFLICT (warehouse_id, product_id, (COALESCE(variant_id, 0)))');
+            expect(mockClient.query.mock.calls[3][1]).toEqual([2, 3, 40, 7]);
+            expect(mockClient.query.mock.calls[4][1].slice(2, 6)).toEqual([2, 'stock_count', 7, 7]);
+        });
+
+        it('should report variants of other products as not found', async () => {
+            mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+            await expect(productService.updateStock(3, 5, 'set', 99))
+                .rejects.toThrow('Product variant not found or inactive');
+        });
+
+        it('should refuse a product-level stock change once the product has variants', async () => {
+            mockDbPool.query.mockResolvedValueOnce({ rows: [{ '?column?': 1 }] });
+
+            await expect(productService.updateStock(3, 20, 'set'))
+                .rejects.toThrow('Stock for products with variants must be updated per variant');
+            expect(mockDbPool.query).toHaveBeenCalledTimes(1);
+        });
+    });
+});
@@ -23,6 +23,12 @@ jest.mock('../auth/middleware', () => ({
         }
         return res.status(401).json({ error: 'Unauthorized' });
     },
+    optionalAuth: (req, res, next) => {
+        if (req.headers.authorization && req.headers.authorization.includes('mock-user-token')) {
+            req.user = { id: 1, email: 'user@test.com', role: 'customer' };
+        }
+        return next();
+    },
     requireAdmin: (req, res, next) => {
         if (req.user && req.user.role === 'admin') {
             return next();
@@ -34,6 +40,13 @@ jest.mock('../auth/middleware', () => ({
             return next();
         }
         return res.status(403).json({ error: 'Customer or admin access required' });
+    },
+    requireCartToken: (req, res, next) => {
+        if (req.headers['x-cart-token']) {
+            req.guestCartId = 'mock-guest-cart';
+            return next();
+        }
+        return res.status(401).json({ error: 'Cart token required' });
     }
 }));
 
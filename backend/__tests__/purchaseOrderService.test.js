@@ -0,0 +1,170 @@
+const PurchaseOrderService = require('../services/purchaseOrderService');
+const { renderPurchaseOrderCsv } = require('../services/documents/purchaseOrderDocument');
+const { createMockDb } = require('./helpers/mockDb');
+
+const { mockClient, mockDbPool } = createMockDb();
+
+const line = (fields = {}) => ({
+    id: 51,
+    product_id: 4,
+    variant_id: null,
+    quantity_ordered: 20,
+    quantity_received: 0,
+    name: 'Jamdani Saree',
+    variant_title: null,
+    known: true,
+    ...fields
+});
+
+describe('PurchaseOrderService', () => {
+    let purchaseOrderService;
+
+    beforeEach(() => {
+        jest.resetAllMocks();
+        mockDbPool.transaction.mockImplementation(callback => callback(mockClient));
+        purchaseOrderService = new PurchaseOrderService(mockDbPool, null);
+        purchaseOrderService.inventoryService = { applyStockChange: jest.fn().mockResolvedValue({}) };
+        jest.spyOn(purchaseOrderService, 'getPurchaseOrderById').mockImplementation(async (id) => ({ id, items: [] }));
+    });
+
+    describe('receivePurchaseOrder', () => {
+        it('should put the delivered units into stock at the order warehouse', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 8, status: 'sent', warehouse_id: 2 }] })
+                .mockResolvedValueOnce({ rows: [line(), line({ id: 52, product_id: 9, variant_id: 31, quantity_ordered: 5 })] })
+                .mockResolvedValue({ rows: [] });
+
+            await purchaseOrderService.receivePurchaseOrder(8, { items: [{ itemId: 51, quantity: 12 }], note: 'First truck' }, 1);
+
+            expect(mockClient.query.mock.calls[2][1]).toEqual([51, 12]);
+            expect(purchaseOrderService.inventoryService.applyStockChange).toHaveBeenCalledWith(mockClient, {
+                productId: 4,
+                variantId: null,
+                warehouseId: 2,
+                quantity: 12,
+                operation: 'increment'
+            }, { kind: 'purchase_receipt', actor: 'admin', createdBy: 1, purchaseOrderId: 8, note: 'First truck' });
+            expect(mockClient.query.mock.calls[3][1]).toEqual([8, 'partially_received']);
+        });
+
+        it('should mark the order received once every line has arrived', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 8, status: 'partially_received', warehouse_id: 2 }] })
+                .mockResolvedValueOnce({ rows: [line({ quantity_received: 12 })] })
+                .mockResolvedValue({ rows: [] });
+
+            await purchaseOrderService.receivePurchaseOrder(8, { items: [{ itemId: 51, quantity: 8 }] }, 1);
+
+            expect(mockClient.query.mock.calls[3][1]).toEqual([8, 'received']);
+        });
+
+        it('should not receive more than is still to come', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 8, status: 'sent', warehouse_id: 2 }] })
+                .mockResolvedValueOnce({ rows: [line({ quantity_received: 15 })] });
+
+            await expect(purchaseOrderService.receivePurchaseOrder(8, { items: [{ itemId: 51, quantity: 6 }] }, 1))
+                .rejects.toThrow('Only 5 of "Jamdani Saree" still to be received');
+            expect(purchaseOrderService.inventoryService.applyStockChange).not.toHaveBeenCalled();
+        });
+
+        it('should only receive orders that have been sent', async () => {
+            mockClient.query.mockResolvedValueOnce({ rows: [{ id: 8, status: 'draft', warehouse_id: 2 }] });
+
+            await expect(purchaseOrderService.receivePurchaseOrder(8, { items: [{ itemId: 51, quantity: 1 }] }, 1))
+                .rejects.toThrow('Purchase order is draft and cannot be received');
+            expect(mockClient.query).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('sendPurchaseOrder', () => {
+        it('should expect the stock within the supplier lead time', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 8, status: 'draft', lead_time_days: 10, line_count: 2 }] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            await purchaseOrderService.sendPurchaseOrder(8, 1);
+
+            expect(mockClient.query.mock.calls[1][0]).toContain('COALESCE(expected_at, CURRENT_DATE + $2::int)');
+            expect(mockClient.query.mock.calls[1][1]).toEqual([8, 10]);
+        });
+
+        it('should not send an order without lines', async () => {
+            mockClient.query.mockResolvedValueOnce({ rows: [{ id: 8, status: 'draft', lead_time_days: 10, line_count: 0 }] });
+
+            await expect(purchaseOrderService.sendPurchaseOrder(8, 1))
+                .rejects.toThrow('Add at least one item before sending the purchase order');
+        });
+    });
+
+    describe('draftReorders', () => {
+        it('should add low stock to the supplier draft, or open one', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({
+                    rows: [
+                        { product_id: 4, variant_id: null, supplier_id: 3, reorder_quantity: 20, last_unit_cost: '850.00' },
+                        { product_id: 9, variant_id: 31, supplier_id: 3, reorder_quantity: 12, last_unit_cost: null },
+                        { product_id: 11, variant_id: null, supplier_id: 5, reorder_quantity: 6, last_unit_cost: null }
+                    ]
+                })
+                .mockResolvedValueOnce({ rows: [{ id: 14 }] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ id: 15 }] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            const drafts = await purchaseOrderService.draftReorders([4, 9, 11]);
+
+            expect(mockClient.query.mock.calls[0][0]).toContain('pg_advisory_xact_lock');
+            expect(mockClient.query.mock.calls[1][1]).toEqual([[4, 9, 11], ['draft', 'sent', 'partially_received']]);
+            expect(mockClient.query.mock.calls[3][1]).toEqual([14, [4, 9], [null, 31], [20, 12], ['850.00', 0]]);
+            expect(mockClient.query.mock.calls[5][0]).toContain('INSERT INTO purchase_orders');
+            expect(mockClient.query.mock.calls[5][1]).toEqual([5]);
+            expect(mockClient.query.mock.calls[6][1]).toEqual([15, [11], [null], [6], [0]]);
+            expect(drafts).toEqual([
+                { purchaseOrderId: 14, supplierId: 3, lineCount: 2 },
+                { purchaseOrderId: 15, supplierId: 5, lineCount: 1 }
+            ]);
+        });
+
+        it('should leave stock above its reorder point alone', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            await expect(purchaseOrderService.draftReorders()).resolves.toEqual([]);
+            expect(mockClient.query).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    it('should only let admins edit drafts', async () => {
+        mockClient.query.mockResolvedValueOnce({ rows: [{ id: 8, status: 'partially_received' }] });
+
+        await expect(purchaseOrderService.updatePurchaseOrder(8, { note: 'Call first' }, 1))
+            .rejects.toThrow('Purchase order is partially received and cannot be edited');
+    });
+
+    it('should export the lines as CSV, quoting fields that need it', () => {
+        const csv = renderPurchaseOrderCsv({
+            purchaseOrder: {
+                po_number: 'PO-20250119-000008',
+                supplier_name: 'Tangail Weavers, Ltd',
+                items: [{
+                    sku: 'PJ-M-WHT',
+                    product_name: 'Panjabi',
+                    variant_title: 'M / White',
+                    quantity_ordered: 12,
+                    quantity_received: 4,
+                    unit_cost: '450.50'
+                }]
+            }
+        });
+
+        expect(csv.split('\r\n')).toEqual([
+            'PO number,Supplier,SKU,Item,Quantity,Received,Unit cost,Amount',
+            'PO-20250119-000008,"Tangail Weavers, Ltd",PJ-M-WHT,Panjabi (M / White),12,4,450.50,5406.00',
+            ''
+        ]);
+    });
+});
@@ -0,0 +1,314 @@
+// Photos are covered by the media tests; each test passes its own media service
+jest.mock('../services/mediaService', () => jest.fn());
+
+const ReturnService = require('../services/returnService');
+const PaymentService = require('../services/paymentService');
+const { createMockDb } = require('./helpers/mockDb');
+
+const { mockClient, mockDbPool } = createMockDb();
+
+const deliveredLine = {
+    id: 21,
+    order_id: 7,
+    product_id: 5,
+    variant_id: 12,
+    quantity: 3,
+    order_status: 'delivered',
+    delivered_at: new Date()
+};
+
+// A locked request as changeStatus reads it
+const lockedReturn = (fields = {}) => ({
+    id: 4,
+    order_id: 7,
+    order_item_id: 21,
+    user_id: 3,
+    type: 'return',
+    quantity: 2,
+    status: 'received',
+    exchange_variant_id: null,
+    product_id: 5,
+    variant_id: 12,
+    unit_price: '450.00',
+    item_quantity: 3,
+    total_price: '1350.00',
+    discount_amount: '0.00',
+    tax_amount: '176.09',
+    prices_include_tax: true,
+    warehouse_id: 2,
+    ...fields
+});
+
+describe('ReturnService', () => {
+    let returnService;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockClient.query.mockReset();
+        mockDbPool.query.mockReset();
+        returnService = new ReturnService(mockDbPool, null, {
+            processImages: jest.fn(),
+            deleteObjects: jest.fn()
+        });
+        returnService.productService = {
+            clearProductCache: jest.fn(),
+            clearProductsCache: jest.fn()
+        };
+        returnService.inventoryService = { applyStockChange: jest.fn().mockResolvedValue({}) };
+        returnService.paymentService = { refundPayment: jest.fn() };
+        jest.spyOn(returnService, 'getReturnById').mockImplementation(async (returnId) => ({ id: returnId }));
+    });
+
+    describe('createReturn', () => {
+        const request = { orderItemId: 21, type: 'return', quantity: 2, reason: 'damaged', details: 'Cracked screen' };
+
+        it('should record a request for part of a delivered line', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [deliveredLine] })
+                .mockResolvedValueOnce({ rows: [{ claimed: 1 }] })
+                .mockResolvedValueOnce({ rows: [{ id: 4, return_number: 'RMA-20250119-000004' }] });
+
+            await returnService.createReturn(3, request);
+
+            expect(mockClient.query.mock.calls[0][0]).toContain('FOR UPDATE OF oi');
+            expect(mockClient.query.mock.calls[0][1]).toEqual([21, 3]);
+            expect(mockClient.query.mock.calls[2][1]).toEqual([7, 21, 3, 'return', 2, 'damaged', 'Cracked screen', null]);
+            expect(returnService.getReturnById).toHaveBeenCalledWith(4, 3);
+        });
+
+        it('should not return more than is left of the line', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [deliveredLine] })
+                .mockResolvedValueOnce({ rows: [{ claimed: 2 }] });
+
+            await expect(returnService.createReturn(3, request))
+                .rejects.toThrow('Only 1 of this item can still be returned');
+        });
+
+        it('should only accept delivered orders within the return window', async () => {
+            mockClient.query.mockResolvedValueOnce({ rows: [{ ...deliveredLine, order_status: 'shipped' }] });
+
+            await expect(returnService.createReturn(3, request))
+                .rejects.toThrow('Only delivered orders can be returned');
+
+            mockClient.query.mockResolvedValueOnce({
+                rows: [{ ...deliveredLine, delivered_at: new Date(Date.now() - 8 * 24 * 60 * 60 * 1000) }]
+            });
+
+            await expect(returnService.createReturn(3, request))
+                .rejects.toThrow('Items can only be returned within 7 days of delivery');
+        });
+
+        it('should only exchange for a variant of the same product', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [deliveredLine] })
+                .mockResolvedValueOnce({ rows: [{ claimed: 0 }] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            await expect(returnService.createReturn(3, { ...request, type: 'exchange', exchangeVariantId: 99 }))
+                .rejects.toThrow('Exchange variant not found');
+            expect(mockClient.query.mock.calls[2][1]).toEqual([99, 5]);
+        });
+    });
+
+    describe('addPhotos', () => {
+        const processedImage = {
+            renditions: { large: 'r-large.webp', medium: 'r-medium.webp', thumbnail: 'r-thumb.webp' },
+            storageKeys: ['r-large.webp', 'r-medium.webp', 'r-thumb.webp'],
+            width: 1200,
+            height: 900,
+            fileSize: 20480,
+            mimeType: 'image/webp'
+        };
+
+        it('should check the limit again with the request locked', async () => {
+            returnService.mediaService.processImages.mockResolvedValueOnce([processedImage]);
+            mockDbPool.query.mockResolvedValueOnce({ rows: [{ status: 'requested', media_count: 4, next_position: 4 }] });
+            mockClient.query.mockResolvedValueOnce({ rows: [{ status: 'requested', media_count: 5, next_position: 5 }] });
+
+            await expect(returnService.addPhotos(4, 3, [{}]))
+                .rejects.toThrow('A return request can have at most 5 photos');
+            expect(mockClient.query.mock.calls[0][0]).toContain('FOR UPDATE');
+            expect(mockClient.query).toHaveBeenCalledTimes(1);
+            expect(returnService.mediaService.deleteObjects).toHaveBeenCalledWith(processedImage.storageKeys);
+        });
+    });
+
+    describe('status changes', () => {
+        it('should refuse steps the status does not allow', async () => {
+            mockClient.query.mockResolvedValueOnce({ rows: [lockedReturn({ status: 'pickup_scheduled' })] });
+
+            await expect(returnService.cancelReturn(4, 3))
+                .rejects.toThrow('Return request is pickup scheduled and cannot be cancelled');
+            expect(mockClient.query).toHaveBeenCalledTimes(1);
+        });
+
+        it('should restock received items where they shipped from', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [lockedReturn({ status: 'pickup_scheduled' })] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            await returnService.receiveReturn(4, { restock: true }, 1);
+
+            expect(returnService.inventoryService.applyStockChange).toHaveBeenCalledWith(mockClient,
+                { productId: 5, variantId: 12, warehouseId: 2, quantity: 2, operation: 'increment' },
+                { kind: 'return', actor: 'admin', createdBy: 1, orderId: 7, returnId: 4 });
+            expect(mockClient.query.mock.calls[1][1]).toEqual([4, true, null]);
+            expect(returnService.productService.clearProductCache).toHaveBeenCalledWith(5);
+        });
+
+        it('should not restock damaged items', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [lockedReturn({ status: 'approved' })] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            await returnService.receiveReturn(4, { restock: false, note: 'Screen cracked' }, 1);
+
+            expect(returnService.inventoryService.applyStockChange).not.toHaveBeenCalled();
+            expect(mockClient.query.mock.calls[1][1]).toEqual([4, false, 'Screen cracked']);
+        });
+
+        it('should refund the price paid for the returned units once the request is committed as refunding', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [lockedReturn()] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [lockedReturn({ status: 'refunding' })] })
+                .mockResolvedValueOnce({ rows: [] });
+            returnService.paymentService.refundPayment.mockImplementationOnce(async () => {
+                expect(mockDbPool.transaction).toHaveBeenCalledTimes(1);
+                return { refundId: 'rf_1', amount: 900, status: 'succeeded' };
+            });
+
+            await returnService.completeReturn(4, {}, 1);
+
+            const key = mockClient.query.mock.calls[1][1][2];
+            expect(mockClient.query.mock.calls[1][0]).toContain("status = 'refunding'");
+            expect(mockClient.query.mock.calls[1][1]).toEqual([4, 900, expect.any(String)]);
+            expect(returnService.paymentService.refundPayment).toHaveBeenCalledWith(7, 900, 'requested_by_customer', key);
+            // Settled like any other step, with the request locked
+            expect(mockClient.query.mock.calls[2][0]).toContain('FOR UPDATE OF rr');
+            expect(mockClient.query.mock.calls[3][0]).toContain("status = 'refunded'");
+            expect(mockClient.query.mock.calls[3][1]).toEqual([4, 900, 'rf_1', null]);
+            expect(mockDbPool.query).not.toHaveBeenCalled();
+        });
+
+        it('should record a cash refund for cash on delivery orders', async () => {
+            returnService.paymentService = new PaymentService(mockDbPool, null, {});
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [lockedReturn({ payment_method: 'cash_on_delivery', return_number: 'RMA-20250120-000004' })] })
+                .mockResolvedValueOnce({ rows: [{ id: 7, payment_method: 'cash_on_delivery', payment_status: 'pending', total_amount: '1410.00' }] })
+                .mockResolvedValueOnce({ rows: [{ refunded: '0' }] })
+                .mockResolvedValueOnce({ rows: [{ id: 15 }] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            await returnService.completeReturn(4, {}, 1);
+
+            expect(mockClient.query.mock.calls[3][0]).toContain("'cash_on_delivery'");
+            expect(mockClient.query.mock.calls[3][1]).toEqual([7, 'RMA-20250120-000004', 900, 'requested_by_customer']);
+            expect(mockClient.query.mock.calls[4][0]).toContain("status = 'refunded'");
+            expect(mockClient.query.mock.calls[4][1]).toEqual([4, 900, 'RMA-20250120-000004', null]);
+            expect(mockDbPool.query).not.toHaveBeenCalled();
+        });
+
+        it('should refund the units net of the coupon, with VAT charged on top', () => {
+            const returnRequest = lockedReturn({
+                discount_amount: '150.00',
+                tax_amount: '180.00',
+                prices_include_tax: false
+            });
+
+            expect(ReturnService.paidForUnits(returnRequest)).toBe(920);
+            expect(ReturnService.paidForUnits({ ...returnRequest, prices_include_tax: true })).toBe(800);
+        });
+
+        it('should put the request back to received when the provider turns the refund down', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [lockedReturn()] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [lockedReturn({ status: 'refunding' })] })
+                .mockResolvedValueOnce({ rows: [] });
+            returnService.paymentService.refundPayment.mockResolvedValueOnce({
+                refundId: null, amount: 500, status: 'failed'
+            });
+
+            await expect(returnService.completeReturn(4, { refundAmount: 500 }, 1))
+                .rejects.toThrow('Refund failed at the payment provider');
+            expect(mockClient.query.mock.calls[3][0]).toContain("SET status = 'received'");
+            expect(mockClient.query.mock.calls[3][0]).toContain('refund_key = NULL');
+        });
+
+        it('should leave the request refunding when the provider does not answer', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [lockedReturn()] })
+                .mockResolvedValueOnce({ rows: [] });
+            returnService.paymentService.refundPayment.mockRejectedValueOnce(
+                new Error('Payment provider stripe did not respond within 15000ms')
+            );
+
+            await expect(returnService.completeReturn(4, {}, 1))
+                .rejects.toThrow('Refund not confirmed by the payment provider');
+            expect(mockClient.query).toHaveBeenCalledTimes(2);
+            expect(mockDbPool.query).not.toHaveBeenCalled();
+        });
+
+        it('should put the request back to received when the refund is refused before reaching the provider', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [lockedReturn()] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [lockedReturn({ status: 'refunding' })] })
+                .mockResolvedValueOnce({ rows: [] });
+            returnService.paymentService.refundPayment.mockRejectedValueOnce(
+                new Error('Refund amount exceeds the refundable balance of 100')
+            );
+
+            await expect(returnService.completeReturn(4, {}, 1))
+                .rejects.toThrow('Refund amount exceeds the refundable balance of 100');
+            expect(mockClient.query.mock.calls[3][0]).toContain("SET status = 'received'");
+        });
+
+        it('should retry a refund still refunding under its key and amount', async () => {
+            const refunding = lockedReturn({ status: 'refunding', refund_amount: '900.00', refund_key: 'key-1' });
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [refunding] })
+                .mockResolvedValueOnce({ rows: [refunding] })
+                .mockResolvedValueOnce({ rows: [] });
+            returnService.paymentService.refundPayment.mockResolvedValueOnce({ refundId: 'rf_1', amount: 900, status: 'succeeded' });
+
+            await returnService.completeReturn(4, { refundAmount: 500 }, 1);
+
+            expect(returnService.paymentService.refundPayment).toHaveBeenCalledWith(7, 900, 'requested_by_customer', 'key-1');
+            expect(mockClient.query).toHaveBeenCalledTimes(3);
+            expect(mockClient.query.mock.calls[2][0]).toContain("status = 'refunded'");
+        });
+
+        it('should take an exchange replacement from stock that is not reserved', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [lockedReturn({ type: 'exchange', exchange_variant_id: 13 })] })
+                .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+                .mockResolvedValueOnce({ rows: [{ available: 2 }] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            await returnService.completeReturn(4, {}, 1);
+
+            expect(mockClient.query.mock.calls[1][0]).toContain('FOR UPDATE');
+            expect(mockClient.query.mock.calls[2][0]).toContain('stock_reservations');
+            expect(mockClient.query.mock.calls[2][1]).toEqual([5, 13]);
+            expect(returnService.inventoryService.applyStockChange).toHaveBeenCalledWith(mockClient,
+                { productId: 5, variantId: 13, quantity: 2, operation: 'decrement' },
+                expect.objectContaining({ kind: 'sale', returnId: 4, note: 'Exchange replacement' }));
+            expect(returnService.paymentService.refundPayment).not.toHaveBeenCalled();
+            expect(mockClient.query.mock.calls[3][0]).toContain("status = 'exchanged'");
+        });
+
+        it('should not exchange without stock for the replacement', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [lockedReturn({ type: 'exchange' })] })
+                .mockResolvedValueOnce({ rows: [{ id: 5 }] })
+                .mockResolvedValueOnce({ rows: [{ available: 1 }] });
+
+            await expect(returnService.completeReturn(4, {}, 1))
+                .rejects.toThrow('Not enough stock for the replacement');
+            expect(returnService.inventoryService.applyStockChange).not.toHaveBeenCalled();
+        });
+    });
+});
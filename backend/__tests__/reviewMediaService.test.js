@@ -0,0 +1,57 @@
+// Each test passes its own media service
+jest.mock('../services/mediaService', () => jest.fn());
+
+const ReviewMediaService = require('../services/reviewMediaService');
+const { createMockDb } = require('./helpers/mockDb');
+
+const { mockClient, mockDbPool } = createMockDb();
+
+const processedImage = (key) => ({
+    renditions: { large: `${key}-large.webp`, medium: `${key}-medium.webp`, thumbnail: `${key}-thumb.webp` },
+    storageKeys: [`${key}-large.webp`, `${key}-medium.webp`, `${key}-thumb.webp`],
+    width: 1200,
+    height: 900,
+    fileSize: 20480,
+    mimeType: 'image/webp'
+});
+
+describe('ReviewMediaService', () => {
+    let reviewMediaService;
+    let mediaService;
+
+    beforeEach(() => {
+        jest.resetAllMocks();
+        mockDbPool.transaction.mockImplementation(callback => callback(mockClient));
+        mediaService = {
+            processImages: jest.fn().mockResolvedValue([processedImage('a'), processedImage('b')]),
+            deleteObjects: jest.fn()
+        };
+        reviewMediaService = new ReviewMediaService(mockDbPool, null, mediaService);
+        jest.spyOn(reviewMediaService, 'clearReviewCache').mockResolvedValue();
+    });
+
+    it('should add photos after the last one with the review locked', async () => {
+        mockDbPool.query
+            .mockResolvedValueOnce({ rows: [{ product_id: 9, media_count: 1, next_position: 3 }] })
+            .mockResolvedValueOnce({ rows: [] });
+        mockClient.query
+            .mockResolvedValueOnce({ rows: [{ product_id: 9, media_count: 1, next_position: 3 }] })
+            .mockResolvedValue({ rows: [] });
+
+        await reviewMediaService.addPhotos(12, 3, [{}, {}]);
+
+        expect(mockClient.query.mock.calls[0][0]).toContain('FOR UPDATE');
+        expect(mockClient.query.mock.calls[1][1][10]).toBe(3);
+        expect(mockClient.query.mock.calls[2][1][10]).toBe(4);
+    });
+
+    it('should not go over the limit when another upload got there first', async () => {
+        mockDbPool.query.mockResolvedValueOnce({ rows: [{ product_id: 9, media_count: 3, next_position: 3 }] });
+        mockClient.query.mockResolvedValueOnce({ rows: [{ product_id: 9, media_count: 4, next_position: 4 }] });
+
+        await expect(reviewMediaService.addPhotos(12, 3, [{}, {}]))
+            .rejects.toThrow('A review can have at most 5 photos');
+        expect(mockClient.query).toHaveBeenCalledTimes(1);
+        expect(mediaService.deleteObjects).toHaveBeenCalledWith(expect.arrayContaining(['a-large.webp', 'b-thumb.webp']));
+    });
+});
@@ -0,0 +1,194 @@
+// Elasticsearch is unreachable in these tests, as when it is down in production
+jest.mock('@elastic/elasticsearch', () => ({
+    Client: jest.fn(() => ({
+        ping: jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED')),
+        search: jest.fn().mockRejectedValue(new Error('connect ECONNREFUSED'))
+    }))
+}));
+
+const SearchService = require('../services/searchService');
+
+const mockDbPool = {
+    query: jest.fn()
+};
+
+describe('SearchService facets', () => {
+    describe('parseFacetFilters', () => {
+        it('should accept repeated and comma-separated attribute values', () => {
+            const filters = SearchService.parseFacetFilters({
+                brand: ['Walton', 'Singer,Walton'],
+                color: 'Red, Blue ,',
+                inStock: 'true'
+            });
+
+            expect(filters.brand).toEqual(['Walton', 'Singer']);
+            expect(filters.color).toEqual(['Red', 'Blue']);
+            expect(filters.material).toEqual([]);
+            expect(filters.inStock).toBe(true);
+        });
+
+        it('should group spec values by name and ignore malformed pairs', () => {
+            const filters = SearchService.parseFacetFilters({
+                spec: ['RAM:8 GB', 'RAM:12 GB', 'Battery: 5,000 mAh', 'no-separator', ':8 GB', 'Size:']
+            });
+
+            expect(filters.specs).toEqual({
+                RAM: ['8 GB', '12 GB'],
+                Battery: ['5,000 mAh']
+            });
+            expect(filters.inStock).toBe(false);
+        });
+    });
+
+    describe('facetSearch', () => {
+        it('should filter the hits by every facet but count each facet without its own filter', () => {
+            const { postFilter, aggs } = SearchService.facetSearch({
+                category: 'phones',
+                brand: ['Walton'],
+                color: ['Red'],
+                specs: { RAM: ['8 GB'] }
+            });
+
+            expect(postFilter.bool.filter).toHaveLength(4);
+
+            const brandFilters = JSON.stringify(aggs.brand.filter);
+            expect(brandFilters).not.toContain('Walton');
+            expect(brandFilters).toContain('Red');
+            expect(brandFilters).toContain('phones');
+
+            expect(JSON.stringify(aggs.category.filter)).not.toContain('phones');
+            expect(JSON.stringify(aggs.spec_0.filter)).not.toContain('8 GB');
+            expect(aggs.spec_0.aggs.specs.aggs.name.filter).toEqual({ term: { 'specs.name': 'RAM' } });
+            expect(aggs.specs.filter.bool.filter).toHaveLength(4);
+        });
+
+        it('should leave the hits unfiltered without facet filters', () => {
+            const { postFilter, aggs } = SearchService.facetSearch({});
+
+            expect(postFilter).toBeNull();
+            expect(aggs.material.filter).toEqual({ bool: { filter: [] } });
+        });
+    });
+
+    it('should shape aggregations into facets and keep selected values listed', () => {
+        const empty = { values: { buckets: [] } };
+        const facets = SearchService.facetsFromAggregations({
+            category: {
+                values: {
+                    buckets: [{
+                        key: 'phones',
+                        doc_count: 7,
+                        label: { hits: { hits: [{ _source: { category_name: 'Phones', category_name_bn: 'ফোন' } }] } }
+                    }]
+                }
+            },
+            brand: { values: { buckets: [{ key: 'Walton', doc_count: 4 }, { key: 'Symphony', doc_count: 3 }] } },
+            color: empty,
+            material: empty,
+            availability: {
+                values: {
+                    buckets: [
+                        { key: 1, key_as_string: 'true', doc_count: 5 },
+                        { key: 0, key_as_string: 'false', doc_count: 2 }
+                    ]
+                }
+            },
+            specs: {
+                specs: {
+                    names: {
+                        buckets: [
+                            { key: 'Storage', values: { buckets: [{ key: '128 GB', doc_count: 9, products: { doc_count: 6 } }] } },
+                            { key: 'RAM', values: { buckets: [{ key: '8 GB', doc_count: 3, products: { doc_count: 3 } }] } }
+                        ]
+                    }
+                }
+            },
+            spec_0: {
+                specs: { name: { values: { buckets: [{ key: '4 GB', doc_count: 2, products: { doc_count: 2 } }] } } }
+            }
+        }, {
+            brand: ['Walton', 'Nokia'],
+            specs: { RAM: ['8 GB'] }
+        });
+
+        expect(facets.category).toEqual([{ value: 'phones', label: 'Phones', labelBn: 'ফোন', count: 7 }]);
+        expect(facets.brand).toEqual([
+            { value: 'Walton', count: 4 },
+            { value: 'Symphony', count: 3 },
+            { value: 'Nokia', count: 0 }
+        ]);
+        expect(facets.color).toEqual([]);
+        expect(facets.availability).toEqual({ inStock: 5, outOfStock: 2 });
+        expect(facets.specs).toEqual([
+            { name: 'RAM', values: [{ value: '4 GB', count: 2 }, { value: '8 GB', count: 0 }] },
+            { name: 'Storage', values: [{ value: '128 GB', count: 6 }] }
+        ]);
+    });
+
+    describe('database fallback', () => {
+        let searchService;
+
+        beforeEach(() => {
+            jest.clearAllMocks();
+            searchService = new SearchService(mockDbPool, null);
+        });
+
+        it('should build the same filters as the index, leaving out the counted facet', () => {
+            const filters = { category: 'phones', brand: ['Walton'], inStock: true, specs: { RAM: ['8 GB'] } };
+
+            const all = SearchService.fallbackConditions('', filters);
+            expect(all.where).toContain('c.slug = $1');
+            expect(all.where).toContain('p.brand = ANY($2)');
+            expect(all.where).toContain('p.stock_quantity > 0');
+            expect(all.where).toContain('p.specs ->> $3 = ANY($4)');
+            expect(all.params).toEqual(['phones', ['Walton'], 'RAM', ['8 GB']]);
+
+            const withoutBrand = SearchService.fallbackConditions('', filters, 'brand');
+            expect(withoutBrand.where).not.toContain('p.brand');
+            expect(withoutBrand.params).toEqual(['phones', 'RAM', ['8 GB']]);
+        });
+
+        it('should return products with facet counts from Postgres', async () => {
+            mockDbPool.query.mockImplementation(async (sql) => {
+                if (sql.includes('SELECT p.*')) {
+                    return { rows: [{ id: 1, name: 'Walton Primo', brand: 'Walton' }] };
+                }
+                if (sql.includes('COUNT(*) as total')) {
+                    return { rows: [{ total: '1' }] };
+                }
+                if (sql.includes('c.slug as value')) {
+                    return { rows: [{ value: 'phones', label: 'Phones', label_bn: null, count: 1 }] };
+                }
+                if (sql.includes('in_stock')) {
+                    return { rows: [{ in_stock: 1, out_of_stock: 0 }] };
+                }
+                if (sql.includes('p.brand as value')) {
+                    return { rows: [{ value: 'Walton', count: 1 }, { value: 'Symphony', count: 2 }] };
+                }
+                if (sql.includes('spec_counts')) {
+                    return { rows: [{ name: 'RAM', value: '8 GB', count: 1 }, { name: 'RAM', value: '4 GB', count: 1 }] };
+                }
+                return { rows: [] };
+            });
+
+            const result = await searchService.searchProducts('', { page: 1, limit: 20, brand: ['Walton'] });
+
+            expect(result.fallback).toBe(true);
+            expect(result.products).toHaveLength(1);
+            expect(result.pagination.total).toBe(1);
+            expect(result.filters.brand).toEqual(['Walton']);
+            expect(result.facets.category).toEqual([{ value: 'phones', label: 'Phones', labelBn: null, count: 1 }]);
+            expect(result.facets.brand).toEqual([{ value: 'Walton', count: 1 }, { value: 'Symphony', count: 2 }]);
+            expect(result.facets.availability).toEqual({ inStock: 1, outOfStock: 0 });
+            expect(result.facets.specs).toEqual([
+                { name: 'RAM', values: [{ value: '8 GB', count: 1 }, { value: '4 GB', count: 1 }] }
+            ]);
+
+            // The brand counts are taken without the brand filter, the colours with it
+            const brandCall = mockDbPool.query.mock.calls.find(([sql]) => sql.includes('p.brand as value'));
+            expect(brandCall[1]).toEqual([]);
+            const colorCall = mockDbPool.query.mock.calls.find(([sql]) => sql.includes('p.color as value'));
+            expect(colorCall[1]).toEqual([['Walton']]);
+        });
+    });
+});
@@ -0,0 +1,223 @@
+const mockClient = {
+    ping: jest.fn(),
+    bulk: jest.fn(),
+    count: jest.fn(),
+    indices: {
+        existsAlias: jest.fn(),
+        exists: jest.fn(),
+        getMapping: jest.fn(),
+        getAlias: jest.fn(),
+        create: jest.fn(),
+        refresh: jest.fn(),
+        updateAliases: jest.fn(),
+        delete: jest.fn()
+    }
+};
+
+jest.mock('@elastic/elasticsearch', () => ({
+    Client: jest.fn(() => mockClient)
+}));
+
+const SearchService = require('../services/searchService');
+const SearchIndexingService = require('../services/searchIndexingService');
+
+const mockDbClient = {
+    query: jest.fn()
+};
+const mockDbPool = {
+    query: jest.fn(),
+    transaction: jest.fn(async (callback) => callback(mockDbClient))
+};
+
+const product = (id, fields = {}) => ({
+    id,
+    name: `Product ${id}`,
+    is_active: true,
+    attributes: {},
+    rating_average: '4.5',
+    rating_count: '2',
+    sale_price: null,
+    ...fields
+});
+
+// Answer the product documents query and the popularity lookups
+const mockProducts = (products) => {
+    mockDbPool.query.mockImplementation(async (sql) => {
+        if (sql.includes('FROM products p')) {
+            return { rows: products };
+        }
+        return { rows: [{ order_count: '0', total_quantity: '0', avg_rating: '0', review_count: '0' }] };
+    });
+};
+
+describe('Search indexing', () => {
+    let searchService;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockDbPool.query.mockReset();
+        mockDbClient.query.mockReset();
+        mockClient.bulk.mockReset();
+        mockClient.count.mockResolvedValue({ count: 0 });
+        mockClient.indices.delete.mockResolvedValue({ acknowledged: true });
+        mockClient.ping.mockRejectedValue(new Error('connect ECONNREFUSED'));
+        searchService = new SearchService(mockDbPool, null);
+    });
+
+    describe('bulkIndexProducts', () => {
+        it('should index active products and remove the rest in one request', async () => {
+            mockProducts([product(1), product(2, { is_active: false })]);
+            mockClient.bulk.mockResolvedValueOnce({
+                items: [
+                    { index: { status: 200 } },
+                    { delete: { status: 200 } },
+                    { delete: { status: 404 } }
+                ]
+            });
+
+            const result = await searchService.bulkIndexProducts([1, 2, 3], 'products_1');
+
+            const operations = mockClient.bulk.mock.calls[0][0].body;
+            expect(operations[0]).toEqual({ index: { _index: 'products_1', _id: 1 } });
+            expect(operations[1]).toMatchObject({ id: 1, rating_average: 4.5, rating_count: 2 });
+            expect(operations.slice(2)).toEqual([
+                { delete: { _index: 'products_1', _id: 2 } },
+                { delete: { _index: 'products_1', _id: 3 } }
+            ]);
+            expect(result).toEqual({ indexed: 1, retry: [] });
+        });
+
+        it('should hand back the products Elasticsearch was too busy for', async () => {
+            mockProducts([product(1), product(2)]);
+            mockClient.bulk.mockResolvedValueOnce({
+                items: [
+                    { index: { status: 429, error: { type: 'es_rejected_execution_exception' } } },
+                    { index: { status: 400, error: { type: 'mapper_parsing_exception' } } }
+                ]
+            });
+
+            const result = await searchService.bulkIndexProducts([1, 2]);
+
+            expect(result).toEqual({ indexed: 0, retry: [1] });
+        });
+    });
+
+    describe('rebuildProductIndex', () => {
+        beforeEach(() => {
+            jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+            mockDbPool.query.mockImplementation(async (sql) => {
+                if (sql.includes('LOCALTIMESTAMP')) {
+                    return { rows: [{ started_at: '2025-01-18 10:00:00' }] };
+                }
+                return { rows: [], rowCount: 0 };
+            });
+        });
+
+        afterEach(() => {
+            Date.now.mockRestore();
+        });
+
+        it('should swap the alias to the new index and replay changes made meanwhile', async () => {
+            mockClient.indices.getAlias.mockResolvedValueOnce({ products_1600000000000: { aliases: {} } });
+
+            const result = await searchService.rebuildProductIndex();
+
+            expect(result).toEqual({ index: 'products_1700000000000', count: 0 });
+            expect(mockClient.indices.create.mock.calls[0][0].index).toBe('products_1700000000000');
+            expect(mockClient.indices.updateAliases).toHaveBeenCalledWith({
+                body: {
+                    actions: [
+                        { remove: { index: 'products_1600000000000', alias: 'products' } },
+                        { add: { index: 'products_1700000000000', alias: 'products' } }
+                    ]
+                }
+            });
+            expect(searchService.indexReady).toBe(true);
+
+            const replay = mockDbPool.query.mock.calls.find(([sql]) => sql.includes('reindex_replay'));
+            expect(replay[1]).toEqual(['2025-01-18 10:00:00']);
+            expect(mockClient.indices.delete).toHaveBeenCalledWith({ index: 'products_1600000000000' });
+        });
+
+        it('should replace a plain index from before the alias in the same step', async () => {
+            mockClient.indices.getAlias.mockRejectedValueOnce(Object.assign(new Error('alias missing'), {
+                meta: { statusCode: 404 }
+            }));
+            mockClient.indices.exists.mockResolvedValueOnce(true);
+
+            await searchService.rebuildProductIndex();
+
+            expect(mockClient.indices.updateAliases.mock.calls[0][0].body.actions).toEqual([
+                { remove_index: { index: 'products' } },
+                { add: { index: 'products_1700000000000', alias: 'products' } }
+            ]);
+        });
+
+        it('should drop the new index and leave the live one when loading fails', async () => {
+            mockDbPool.query.mockImplementation(async (sql) => {
+                if (sql.includes('LOCALTIMESTAMP')) {
+                    return { rows: [{ started_at: '2025-01-18 10:00:00' }] };
+                }
+                throw new Error('connection terminated');
+            });
+
+            await expect(searchService.rebuildProductIndex()).rejects.toThrow('connection terminated');
+
+            expect(mockClient.indices.updateAliases).not.toHaveBeenCalled();
+            expect(mockClient.indices.delete).toHaveBeenCalledWith({ index: 'products_1700000000000' });
+            expect(searchService.indexReady).toBe(false);
+        });
+    });
+
+    it('should keep an index built from the current mapping', async () => {
+        mockClient.indices.existsAlias.mockResolvedValueOnce(true);
+        mockClient.indices.getMapping.mockResolvedValueOnce({
+            products_1700000000000: { mappings: { _meta: { version: searchService.productIndexBody().mappings._meta.version } } }
+        });
+
+        await searchService.createProductIndex();
+
+        expect(mockClient.indices.create).not.toHaveBeenCalled();
+        expect(searchService.indexReady).toBe(true);
+    });
+
+    describe('SearchIndexingService', () => {
+        let indexingService;
+
+        beforeEach(() => {
+            indexingService = new SearchIndexingService(mockDbPool, searchService);
+        });
+
+        it('should index each claimed product once and queue the rejected ones again', async () => {
+            mockDbClient.query.mockResolvedValueOnce({
+                rows: [{ product_id: 4 }, { product_id: 9 }, { product_id: 4 }]
+            });
+            jest.spyOn(searchService, 'bulkIndexProducts').mockResolvedValueOnce({ indexed: 1, retry: [9] });
+
+            const result = await indexingService.processBatch();
+
+            expect(mockDbClient.query.mock.calls[0][0]).toContain('FOR UPDATE SKIP LOCKED');
+            expect(searchService.bulkIndexProducts).toHaveBeenCalledWith([4, 9]);
+            expect(mockDbClient.query.mock.calls[1][1]).toEqual([[9]]);
+            expect(result).toEqual({ processed: 2, retried: 1 });
+        });
+
+        it('should leave the outbox untouched when Elasticsearch is unreachable', async () => {
+            mockDbClient.query.mockResolvedValueOnce({ rows: [{ product_id: 4 }] });
+            jest.spyOn(searchService, 'bulkIndexProducts').mockRejectedValueOnce(new Error('connect ECONNREFUSED'));
+
+            await expect(indexingService.processBatch()).rejects.toThrow('connect ECONNREFUSED');
+            expect(mockDbClient.query).toHaveBeenCalledTimes(1);
+        });
+
+        it('should not touch the outbox before the index is set up', async () => {
+            jest.spyOn(searchService, 'initializeIndices').mockResolvedValueOnce();
+
+            await indexingService.run();
+            await indexingService.run();
+
+            expect(searchService.initializeIndices).toHaveBeenCalledTimes(1);
+            expect(mockDbPool.transaction).not.toHaveBeenCalled();
+        });
+    });
+});
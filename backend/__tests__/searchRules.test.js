@@ -0,0 +1,197 @@
+const mockClient = {
+    ping: jest.fn(),
+    search: jest.fn(),
+    index: jest.fn()
+};
+
+jest.mock('@elastic/elasticsearch', () => ({
+    Client: jest.fn(() => mockClient)
+}));
+
+const SearchService = require('../services/searchService');
+const SearchRuleService = require('../services/searchRuleService');
+
+const mockDbPool = {
+    query: jest.fn()
+};
+const mockRedis = {
+    isConnected: true,
+    getCachedData: jest.fn(),
+    setCachedData: jest.fn(),
+    invalidateCache: jest.fn()
+};
+
+const iftarRules = [
+    { id: 1, action: 'pin', query: 'iftar', product_id: 42, position: 2 },
+    { id: 2, action: 'pin', query: 'iftar', product_id: 7, position: 1 },
+    { id: 3, action: 'boost', query: null, category_id: 5, brand: null, product_id: null, out_of_stock: false },
+    { id: 4, action: 'bury', query: null, category_id: null, brand: null, product_id: null, out_of_stock: true }
+];
+
+const noValues = { values: { buckets: [] } };
+const emptySearchResponse = {
+    took: 3,
+    hits: { total: { value: 0 }, hits: [] },
+    aggregations: {
+        category: noValues,
+        brand: noValues,
+        color: noValues,
+        material: noValues,
+        availability: noValues,
+        specs: { specs: { names: { buckets: [] } } }
+    }
+};
+
+describe('Search merchandising rules', () => {
+    let searchService;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockDbPool.query.mockReset();
+        mockClient.search.mockReset();
+        mockClient.ping.mockRejectedValue(new Error('connect ECONNREFUSED'));
+        searchService = new SearchService(mockDbPool, mockRedis);
+    });
+
+    it('should match queries regardless of case and spacing', () => {
+        expect(SearchService.normalizeQuery('  Iftar   Box ')).toBe('iftar box');
+        expect(SearchService.normalizeQuery(undefined)).toBe('');
+    });
+
+    it('should order pins by position and offer a redirect', () => {
+        expect(SearchService.pinnedIds(iftarRules)).toEqual([7, 42]);
+        expect(SearchService.ruleRedirect(iftarRules)).toBeNull();
+
+        expect(SearchService.ruleRedirect([{
+            action: 'redirect', category_slug: 'televisions', category_name: 'Televisions', category_name_bn: 'টেলিভিশন'
+        }])).toEqual({ category: 'televisions', label: 'Televisions', labelBn: 'টেলিভিশন' });
+    });
+
+    it('should pin above boosted and buried relevance results, within the filters', () => {
+        const organic = {
+            bool: {
+                must: [{ term: { is_active: true } }],
+                should: [],
+                filter: [{ range: { price: { lte: 500 } } }]
+            }
+        };
+
+        const query = SearchService.merchandisedQuery(organic, iftarRules);
+
+        expect(query.bool.filter).toEqual([
+            { term: { is_active: true } },
+            { range: { price: { lte: 500 } } }
+        ]);
+        const { pinned } = query.bool.must[0];
+        expect(pinned.ids).toEqual(['7', '42']);
+        expect(pinned.organic.function_score.query).toBe(organic);
+        expect(pinned.organic.function_score.functions).toEqual([
+            { filter: { term: { category_id: 5 } }, weight: 10 },
+            { filter: { term: { in_stock: false } }, weight: 0.01 }
+        ]);
+    });
+
+    it('should leave the query alone without rules', () => {
+        const organic = { bool: { must: [], should: [], filter: [] } };
+
+        expect(SearchService.merchandisedQuery(organic, [])).toBe(organic);
+    });
+
+    it('should apply rules to relevance results only and pass on a redirect', async () => {
+        mockDbPool.query.mockResolvedValueOnce({
+            rows: [...iftarRules, { id: 5, action: 'redirect', query: 'iftar', category_slug: 'iftar-deals', category_name: 'Iftar Deals' }]
+        });
+        mockClient.search.mockResolvedValueOnce(emptySearchResponse);
+
+        const result = await searchService.searchProducts('  IFTAR ', { page: 1, limit: 20 });
+
+        expect(mockDbPool.query.mock.calls[0][1]).toEqual(['iftar']);
+        expect(mockClient.search.mock.calls[0][0].body.query.bool.must[0].pinned).toBeDefined();
+        expect(result.redirect).toEqual({ category: 'iftar-deals', label: 'Iftar Deals', labelBn: undefined });
+
+        mockDbPool.query.mockResolvedValueOnce({ rows: iftarRules });
+        mockClient.search.mockResolvedValueOnce(emptySearchResponse);
+
+        await searchService.searchProducts('iftar', { page: 1, limit: 20, sortBy: 'price_asc' });
+
+        expect(JSON.stringify(mockClient.search.mock.calls[1][0].body.query)).not.toContain('pinned');
+    });
+
+    it('should search without rules when they cannot be read', async () => {
+        mockDbPool.query.mockRejectedValueOnce(new Error('relation "search_rules" does not exist'));
+
+        await expect(searchService.getSearchRules('iftar')).resolves.toEqual([]);
+    });
+
+    it('should rank the database fallback the same way', async () => {
+        mockClient.search.mockRejectedValue(new Error('connect ECONNREFUSED'));
+        mockDbPool.query.mockImplementation(async (sql) => {
+            if (sql.includes('FROM search_rules')) {
+                return { rows: iftarRules };
+            }
+            if (sql.includes('COUNT(*) as total')) {
+                return { rows: [{ total: '2' }] };
+            }
+            return { rows: [] };
+        });
+
+        const result = await searchService.searchProducts('iftar', { page: 1, limit: 20 });
+
+        expect(result.fallback).toBe(true);
+        expect(result.redirect).toBeNull();
+
+        const [searchSql, searchParams] = mockDbPool.query.mock.calls.find(([sql]) => sql.includes('SELECT p.*'));
+        expect(searchSql).toContain('OR p.id = ANY($2)');
+        expect(searchSql).toMatch(/ORDER BY array_position\(\$3::int\[\], p\.id\) NULLS LAST, \(CASE WHEN p\.category_id = \$4 THEN 10 ELSE 1 END\) \* \(CASE WHEN p\.stock_quantity <= 0 THEN 0\.01 ELSE 1 END\) DESC, p\.created_at DESC/);
+        expect(searchParams).toEqual(['%iftar%', [7, 42], [7, 42], 5, 20, 0]);
+
+        // The count has the WHERE clause's values only
+        const [, countParams] = mockDbPool.query.mock.calls.find(([sql]) => sql.includes('COUNT(*) as total'));
+        expect(countParams).toEqual(['%iftar%', [7, 42]]);
+    });
+
+    describe('SearchRuleService', () => {
+        let ruleService;
+
+        beforeEach(() => {
+            ruleService = new SearchRuleService(mockDbPool, mockRedis);
+        });
+
+        it('should save a rule for the normalized query and drop cached results', async () => {
+            mockDbPool.query.mockResolvedValueOnce({ rows: [{ id: 1, action: 'pin', query: 'iftar box' }] });
+
+            await ruleService.createRule({ name: 'Iftar box', query: ' Iftar  Box', action: 'pin', productId: 7, position: 1 }, 2);
+
+            expect(mockDbPool.query.mock.calls[0][1]).toEqual([
+                'Iftar box', 'iftar box', 'pin', 7, null, null, false, 1, true, null, null, 2
+            ]);
+            expect(mockRedis.invalidateCache).toHaveBeenCalledWith('search:*');
+        });
+
+        it('should change only the given fields', async () => {
+            mockDbPool.query.mockResolvedValueOnce({ rows: [{ id: 3 }] });
+
+            await ruleService.updateRule(3, { isActive: false, expiresAt: null });
+
+            const [sql, values] = mockDbPool.query.mock.calls[0];
+            expect(sql).toContain('SET is_active = $2, expires_at = $3');
+            expect(values).toEqual([3, false, null]);
+        });
+
+        it('should explain a rule left without its target', async () => {
+            mockDbPool.query.mockRejectedValueOnce(Object.assign(new Error('violates check constraint'), {
+                constraint: 'search_rules_ranking_target'
+            }));
+
+            await expect(ruleService.updateRule(3, { brand: null }))
+                .rejects.toThrow('Boost and bury rules need exactly one of a product, a category, a brand or out-of-stock products');
+        });
+
+        it('should report a missing rule', async () => {
+            mockDbPool.query.mockResolvedValueOnce({ rows: [] });
+
+            await expect(ruleService.deleteRule(99)).rejects.toThrow('Search rule not found');
+            expect(mockRedis.invalidateCache).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,197 @@
+const mockClient = {
+    ping: jest.fn(),
+    search: jest.fn(),
+    index: jest.fn(),
+    synonyms: {
+        putSynonym: jest.fn()
+    }
+};
+
+jest.mock('@elastic/elasticsearch', () => ({
+    Client: jest.fn(() => mockClient)
+}));
+
+const SearchService = require('../services/searchService');
+const SearchSynonymService = require('../services/searchSynonymService');
+
+const mockDbPool = {
+    query: jest.fn()
+};
+const mockRedis = {
+    isConnected: true,
+    invalidateCache: jest.fn()
+};
+
+describe('Search synonyms and spelling', () => {
+    let searchService;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockDbPool.query.mockReset();
+        // Elasticsearch is down while the service starts up
+        mockClient.ping.mockRejectedValue(new Error('connect ECONNREFUSED'));
+        searchService = new SearchService(mockDbPool, mockRedis);
+    });
+
+    it('should write equivalent and one-way synonym rules', () => {
+        expect(SearchService.synonymRule({ terms: ['mobile', 'phone'], replacements: null }))
+            .toBe('mobile, phone');
+        expect(SearchService.synonymRule({ terms: ['phone cover', 'back cover'], replacements: ['case'] }))
+            .toBe('phone cover, back cover => case');
+    });
+
+    describe('did you mean', () => {
+        it('should offer the top correction', () => {
+            const suggest = {
+                did_you_mean: [{
+                    text: 'mobil cover',
+                    options: [{ text: 'mobile cover', highlighted: '<em>mobile</em> cover', score: 0.4 }]
+                }]
+            };
+
+            expect(SearchService.didYouMean(suggest, 'Mobil cover'))
+                .toEqual({ text: 'mobile cover', highlighted: '<em>mobile</em> cover' });
+        });
+
+        it('should offer nothing for a correctly spelled query', () => {
+            const suggest = { did_you_mean: [{ text: 'rice', options: [{ text: 'rice' }] }] };
+
+            expect(SearchService.didYouMean(suggest, ' Rice ')).toBeNull();
+            expect(SearchService.didYouMean({ did_you_mean: [{ options: [] }] }, 'rice')).toBeNull();
+            expect(SearchService.didYouMean(undefined, 'rice')).toBeNull();
+        });
+
+        it('should only accept corrections that find products', () => {
+            const { did_you_mean: suggester } = SearchService.didYouMeanSuggest('mobil');
+
+            expect(suggester.text).toBe('mobil');
+            expect(suggester.phrase.field).toBe('spelling');
+            expect(suggester.phrase.collate.prune).toBe(false);
+        });
+    });
+
+    it('should push the active rules to the synonyms set and drop cached results', async () => {
+        mockDbPool.query.mockResolvedValueOnce({
+            rows: [
+                { id: 3, terms: ['mobile', 'phone'], replacements: null },
+                { id: 7, terms: ['phone cover'], replacements: ['case'] }
+            ]
+        });
+
+        const count = await searchService.syncSynonyms();
+
+        expect(count).toBe(2);
+        expect(mockDbPool.query.mock.calls[0][0]).toContain('is_active = true');
+        expect(mockClient.synonyms.putSynonym).toHaveBeenCalledWith({
+            id: 'product-synonyms',
+            synonyms_set: [
+                { id: 'synonym-3', synonyms: 'mobile, phone' },
+                { id: 'synonym-7', synonyms: 'phone cover => case' }
+            ]
+        });
+        expect(mockRedis.invalidateCache).toHaveBeenCalledWith('search:*');
+    });
+
+    it('should log searches under the analytics field names', async () => {
+        await searchService.logSearchAnalytics({
+            query: '  Mobil ',
+            userId: 5,
+            resultsCount: 0,
+            hasFilters: false,
+            sessionId: 'abc',
+            ipAddress: '127.0.0.1',
+            userAgent: 'jest'
+        });
+
+        expect(mockClient.index).toHaveBeenCalledWith({
+            index: 'search_analytics',
+            body: expect.objectContaining({
+                query: 'mobil',
+                user_id: 5,
+                results_count: 0,
+                has_filters: false,
+                session_id: 'abc'
+            })
+        });
+    });
+
+    it('should report unfiltered zero-result queries and flag those a synonym covers', async () => {
+        mockClient.search.mockResolvedValueOnce({
+            aggregations: {
+                queries: {
+                    buckets: [
+                        { key: 'mobil', doc_count: 12, sessions: { value: 9 }, last_searched: { value_as_string: '2025-01-17T10:00:00.000Z' } },
+                        { key: 'panjabi', doc_count: 4, sessions: { value: 4 }, last_searched: { value_as_string: '2025-01-16T08:00:00.000Z' } }
+                    ]
+                }
+            }
+        });
+        mockDbPool.query.mockResolvedValueOnce({ rows: [{ term: 'mobil' }] });
+
+        const queries = await searchService.getZeroResultQueries({ days: 7, limit: 20 });
+
+        const { body } = mockClient.search.mock.calls[0][0];
+        expect(body.query.bool.filter).toContainEqual({ term: { results_count: 0 } });
+        expect(body.query.bool.must_not).toContainEqual({ term: { has_filters: true } });
+        expect(body.aggs.queries.terms.size).toBe(20);
+        expect(mockDbPool.query.mock.calls[0][1]).toEqual([['mobil', 'panjabi']]);
+        expect(queries).toEqual([
+            { query: 'mobil', searches: 12, sessions: 9, lastSearchedAt: '2025-01-17T10:00:00.000Z', coveredBySynonym: true },
+            { query: 'panjabi', searches: 4, sessions: 4, lastSearchedAt: '2025-01-16T08:00:00.000Z', coveredBySynonym: false }
+        ]);
+    });
+
+    describe('SearchSynonymService', () => {
+        let synonymService;
+
+        beforeEach(() => {
+            synonymService = new SearchSynonymService(mockDbPool, mockRedis, searchService);
+            jest.spyOn(searchService, 'syncSynonyms').mockResolvedValue(1);
+        });
+
+        it('should save a rule and apply it', async () => {
+            mockDbPool.query.mockResolvedValueOnce({ rows: [{ id: 1, terms: ['mobile', 'phone'] }] });
+
+            const result = await synonymService.createSynonym({ terms: ['mobile', 'phone'] }, 2);
+
+            expect(mockDbPool.query.mock.calls[0][1]).toEqual([['mobile', 'phone'], null, true, 2]);
+            expect(result).toEqual({ synonym: { id: 1, terms: ['mobile', 'phone'] }, applied: true });
+            expect(searchService.syncSynonyms).toHaveBeenCalled();
+        });
+
+        it('should keep a rule saved when Elasticsearch cannot be reached', async () => {
+            searchService.syncSynonyms.mockRejectedValue(new Error('connect ECONNREFUSED'));
+            mockDbPool.query.mockResolvedValueOnce({ rows: [{ id: 1 }] });
+
+            const result = await synonymService.createSynonym({ terms: ['mobile', 'phone'] }, 2);
+
+            expect(result.applied).toBe(false);
+        });
+
+        it('should clear replacements only when asked to', async () => {
+            mockDbPool.query.mockResolvedValue({ rows: [{ id: 4 }] });
+
+            await synonymService.updateSynonym(4, { isActive: false });
+            expect(mockDbPool.query.mock.calls[0][1]).toEqual([4, undefined, null, false, false]);
+
+            await synonymService.updateSynonym(4, { replacements: null });
+            expect(mockDbPool.query.mock.calls[1][1]).toEqual([4, undefined, null, true, undefined]);
+        });
+
+        it('should explain a rule left with a single term', async () => {
+            mockDbPool.query.mockRejectedValueOnce(Object.assign(new Error('violates check constraint'), {
+                constraint: 'search_synonyms_equivalent_terms'
+            }));
+
+            await expect(synonymService.updateSynonym(4, { replacements: null }))
+                .rejects.toThrow('Synonyms without replacements need at least two terms');
+        });
+
+        it('should report a missing rule', async () => {
+            mockDbPool.query.mockResolvedValueOnce({ rows: [] });
+
+            await expect(synonymService.deleteSynonym(99)).rejects.toThrow('Search synonym not found');
+            expect(searchService.syncSynonyms).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,320 @@
+const ShipmentService = require('../services/shipmentService');
+const { createMockDb } = require('./helpers/mockDb');
+
+const { mockClient, mockDbPool } = createMockDb();
+
+const codOrder = {
+    id: 7,
+    user_id: 3,
+    order_number: 'ORD-20250112-000007',
+    status: 'confirmed',
+    payment_status: 'pending',
+    cod_status: 'pending',
+    total_amount: '1560.00',
+    shipping_weight_grams: 1200,
+    shipping_address: {
+        firstName: 'Rahim',
+        lastName: 'Uddin',
+        phone: '01712345678',
+        addressLine1: 'House 12, Road 5',
+        thana: 'Dhanmondi',
+        district: 'Dhaka',
+        division: 'Dhaka'
+    }
+};
+
+const shipment = {
+    id: 11,
+    order_id: 7,
+    courier: 'pathao',
+    consignment_id: 'DL123',
+    tracking_number: 'DL123',
+    tracking_url: 'https://merchant.pathao.com/tracking?consignment_id=DL123',
+    status: 'created',
+    courier_status: 'Pending',
+    last_event_at: '2025-01-12T10:00:00.000Z'
+};
+
+// Order lines as getUnshippedItems returns them
+const panjabiLine = { id: 21, quantity: 2, unit_price: '650.00', name: 'Cotton Panjabi', unshipped: 2 };
+const tupiLine = { id: 22, quantity: 1, unit_price: '180.00', name: 'Prayer Cap', unshipped: 1 };
+
+const pickedEvent = {
+    consignmentId: 'DL123',
+    status: 'picked_up',
+    courierStatus: 'order.picked',
+    description: null,
+    location: null,
+    occurredAt: '2025-01-12T12:00:00.000Z',
+    raw: {}
+};
+
+describe('ShipmentService', () => {
+    let shipmentService;
+    let pathao;
+
+    beforeEach(() => {
+        jest.resetAllMocks();
+        mockDbPool.transaction.mockImplementation(callback => callback(mockClient));
+        pathao = {
+            name: 'pathao',
+            isConfigured: () => true,
+            createConsignment: jest.fn(),
+            handleWebhook: jest.fn(),
+            trackConsignment: jest.fn()
+        };
+        shipmentService = new ShipmentService(mockDbPool, null, { pathao });
+        shipmentService.orderService.updateOrderStatus = jest.fn(async (orderId, status) => ({ ...codOrder, status }));
+    });
+
+    describe('createShipment', () => {
+        const booked = { consignmentId: 'DL124', status: 'created', raw: {} };
+
+        it('should book a COD parcel for the order total and move the order to processing', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [codOrder] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [panjabiLine] })
+                .mockResolvedValueOnce({ rows: [{ booked: '0' }] })
+                .mockResolvedValueOnce({ rows: [{ count: 0 }] })
+                .mockResolvedValueOnce({ rows: [shipment] })
+                .mockResolvedValue({ rows: [] });
+            mockDbPool.query.mockResolvedValueOnce({ rows: [{ id: 21, quantity: 2, booked: 2, shipped: 0, delivered: 0 }] });
+            pathao.createConsignment.mockResolvedValueOnce({
+                consignmentId: 'DL123',
+                trackingNumber: 'DL123',
+                trackingUrl: shipment.tracking_url,
+                status: 'created',
+                courierStatus: 'Pending',
+                deliveryFee: 75,
+                raw: {}
+            });
+
+            const result = await shipmentService.createShipment(7, { courier: 'pathao' }, 1);
+
+            expect(pathao.createConsignment).toHaveBeenCalledWith(expect.objectContaining({
+                orderNumber: 'ORD-20250112-000007',
+                reference: 'ORD-20250112-000007-1',
+                codAmount: 1560,
+                weightGrams: 1200,
+                itemCount: 2,
+                description: '2 x Cotton Panjabi',
+                recipient: expect.objectContaining({
+                    name: 'Rahim Uddin',
+                    address: 'House 12, Road 5, Dhanmondi, Dhaka',
+                    district: 'Dhaka'
+                })
+            }));
+            expect(mockClient.query.mock.calls[6][1]).toEqual([11, [21], [2]]);
+            expect(shipmentService.orderService.updateOrderStatus).toHaveBeenCalledWith(7, 'processing', 'courier:pathao');
+            expect(result.orderStatusChanged).toBe(true);
+            expect(result.shipment).toEqual(shipment);
+        });
+
+        it('should book with the order and its lines locked under a reference per shipment', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [codOrder] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ ...panjabiLine, unshipped: 0 }, tupiLine] })
+                .mockResolvedValueOnce({ rows: [{ booked: '1300.00' }] })
+                .mockResolvedValueOnce({ rows: [{ count: 2 }] })
+                .mockResolvedValueOnce({ rows: [shipment] })
+                .mockResolvedValue({ rows: [] });
+            mockDbPool.query.mockResolvedValueOnce({ rows: [] });
+            pathao.createConsignment.mockResolvedValueOnce(booked);
+
+            await shipmentService.createShipment(7, { courier: 'pathao' }, 1);
+
+            expect(mockClient.query.mock.calls[0][0]).toContain('FOR UPDATE');
+            expect(mockClient.query.mock.calls[1][0]).toContain('FOR UPDATE');
+            // The earlier two shipments may since have been cancelled; the
+            // reference still moves on so the courier sees a new booking
+            expect(pathao.createConsignment.mock.calls[0][0].reference).toBe('ORD-20250112-000007-3');
+            expect(mockClient.query.mock.calls[5][1][12]).toBe('ORD-20250112-000007-3');
+        });
+
+        it('should save nothing when the courier does not confirm the booking', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [codOrder] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [panjabiLine] })
+                .mockResolvedValueOnce({ rows: [{ booked: '0' }] })
+                .mockResolvedValueOnce({ rows: [{ count: 0 }] });
+            pathao.createConsignment.mockRejectedValueOnce(new Error('Courier pathao did not respond within 15000ms'));
+
+            await expect(shipmentService.createShipment(7, { courier: 'pathao' }, 1))
+                .rejects.toThrow('Courier pathao did not respond within 15000ms');
+            expect(mockClient.query).toHaveBeenCalledTimes(5);
+            expect(shipmentService.orderService.updateOrderStatus).not.toHaveBeenCalled();
+        });
+
+        it('should ship selected items and collect their value on delivery', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [codOrder] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [panjabiLine, tupiLine] })
+                .mockResolvedValueOnce({ rows: [{ booked: '0' }] })
+                .mockResolvedValueOnce({ rows: [{ count: 0 }] })
+                .mockResolvedValueOnce({ rows: [shipment] })
+                .mockResolvedValue({ rows: [] });
+            mockDbPool.query.mockResolvedValueOnce({ rows: [] });
+            pathao.createConsignment.mockResolvedValueOnce(booked);
+
+            await shipmentService.createShipment(7, { courier: 'pathao', items: [{ orderItemId: 21, quantity: 1 }] }, 1);
+
+            expect(pathao.createConsignment).toHaveBeenCalledWith(expect.objectContaining({
+                codAmount: 650,
+                value: 650,
+                itemCount: 1,
+                description: '1 x Cotton Panjabi'
+            }));
+            expect(mockClient.query.mock.calls[6][1]).toEqual([11, [21], [1]]);
+        });
+
+        it('should collect the rest of the order total with the last parcel', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [codOrder] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ ...panjabiLine, unshipped: 0 }, tupiLine] })
+                .mockResolvedValueOnce({ rows: [{ booked: '1300.00' }] })
+                .mockResolvedValueOnce({ rows: [{ count: 1 }] })
+                .mockResolvedValueOnce({ rows: [shipment] })
+                .mockResolvedValue({ rows: [] });
+            mockDbPool.query.mockResolvedValueOnce({ rows: [] });
+            pathao.createConsignment.mockResolvedValueOnce(booked);
+
+            await shipmentService.createShipment(7, { courier: 'pathao' }, 1);
+
+            // Shipping and any discount land on the last parcel
+            expect(pathao.createConsignment).toHaveBeenCalledWith(expect.objectContaining({
+                codAmount: 260,
+                description: '1 x Prayer Cap'
+            }));
+        });
+
+        it('should not ship more than is left of a line', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [codOrder] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ ...panjabiLine, unshipped: 1 }] });
+
+            await expect(shipmentService.createShipment(7, {
+                courier: 'pathao',
+                items: [{ orderItemId: 21, quantity: 2 }]
+            }, 1)).rejects.toThrow('Only 1 of Cotton Panjabi can still be shipped');
+            expect(pathao.createConsignment).not.toHaveBeenCalled();
+        });
+
+        it('should refuse to ship an unpaid prepaid order', async () => {
+            mockClient.query.mockResolvedValueOnce({ rows: [{ ...codOrder, cod_status: null }] });
+
+            await expect(shipmentService.createShipment(7, { courier: 'pathao' }, 1))
+                .rejects.toThrow('Order must be paid before it can be shipped');
+            expect(pathao.createConsignment).not.toHaveBeenCalled();
+        });
+
+        it('should refuse a shipment once every unit is in one', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [codOrder] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ ...panjabiLine, unshipped: 0 }] });
+
+            await expect(shipmentService.createShipment(7, { courier: 'pathao' }, 1))
+                .rejects.toThrow('All items of this order are already in a shipment');
+        });
+    });
+
+    describe('recordTrackingEvent', () => {
+        it('should update the shipment and mark the order shipped once picked up', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [shipment] })
+                .mockResolvedValueOnce({ rows: [{ id: 90, courier_status: 'order.picked' }] })
+                .mockResolvedValueOnce({ rows: [{ ...shipment, status: 'picked_up', courier_status: 'order.picked' }] });
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [{ ...codOrder, status: 'processing' }] })
+                .mockResolvedValueOnce({ rows: [{ id: 21, quantity: 2, booked: 2, shipped: 2, delivered: 0 }] });
+
+            const result = await shipmentService.recordTrackingEvent('pathao', pickedEvent);
+
+            expect(result.shipment.status).toBe('picked_up');
+            expect(result.orderStatusChanged).toBe(true);
+            expect(result.order.status).toBe('shipped');
+            expect(shipmentService.orderService.updateOrderStatus).toHaveBeenCalledWith(7, 'shipped', 'courier:pathao');
+        });
+
+        it('should mark the order partially shipped while other items wait', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [shipment] })
+                .mockResolvedValueOnce({ rows: [{ id: 93 }] })
+                .mockResolvedValueOnce({ rows: [{ ...shipment, status: 'picked_up' }] });
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [{ ...codOrder, status: 'processing' }] })
+                .mockResolvedValueOnce({ rows: [
+                    { id: 21, quantity: 2, booked: 2, shipped: 2, delivered: 0 },
+                    { id: 22, quantity: 1, booked: 0, shipped: 0, delivered: 0 }
+                ] });
+
+            const result = await shipmentService.recordTrackingEvent('pathao', pickedEvent);
+
+            expect(result.order.status).toBe('partially_shipped');
+            expect(shipmentService.orderService.updateOrderStatus).toHaveBeenCalledWith(7, 'partially_shipped', 'courier:pathao');
+        });
+
+        it('should ignore redelivered events', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [shipment] })
+                .mockResolvedValueOnce({ rows: [] });
+            mockDbPool.query.mockResolvedValueOnce({ rows: [codOrder] });
+
+            const result = await shipmentService.recordTrackingEvent('pathao', pickedEvent);
+
+            expect(result.duplicate).toBe(true);
+            expect(mockClient.query).toHaveBeenCalledTimes(2);
+            expect(shipmentService.orderService.updateOrderStatus).not.toHaveBeenCalled();
+        });
+
+        it('should keep late events in the history without changing the status', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ ...shipment, status: 'delivered', last_event_at: '2025-01-13T09:00:00.000Z' }] })
+                .mockResolvedValueOnce({ rows: [{ id: 91 }] });
+            mockDbPool.query.mockResolvedValueOnce({ rows: [{ ...codOrder, status: 'delivered' }] });
+
+            const result = await shipmentService.recordTrackingEvent('pathao', pickedEvent);
+
+            expect(result.shipment.status).toBe('delivered');
+            expect(result.orderStatusChanged).toBe(false);
+            expect(mockClient.query).toHaveBeenCalledTimes(2);
+        });
+
+        it('should only mark the order delivered once every unit is', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [shipment] })
+                .mockResolvedValueOnce({ rows: [{ id: 94 }] })
+                .mockResolvedValueOnce({ rows: [{ ...shipment, status: 'delivered' }] });
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [{ ...codOrder, status: 'partially_shipped' }] })
+                .mockResolvedValueOnce({ rows: [
+                    { id: 21, quantity: 2, booked: 2, shipped: 2, delivered: 2 },
+                    { id: 22, quantity: 1, booked: 1, shipped: 1, delivered: 0 }
+                ] });
+
+            const result = await shipmentService.recordTrackingEvent('pathao', { ...pickedEvent, status: 'delivered' });
+
+            expect(result.order.status).toBe('shipped');
+            expect(shipmentService.orderService.updateOrderStatus).toHaveBeenCalledWith(7, 'shipped', 'courier:pathao');
+        });
+
+        it('should not move a cancelled order', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [shipment] })
+                .mockResolvedValueOnce({ rows: [{ id: 92 }] })
+                .mockResolvedValueOnce({ rows: [{ ...shipment, status: 'delivered' }] });
+            mockDbPool.query.mockResolvedValueOnce({ rows: [{ ...codOrder, status: 'cancelled' }] });
+
+            const result = await shipmentService.recordTrackingEvent('pathao', { ...pickedEvent, status: 'delivered' });
+
+            expect(result.orderStatusChanged).toBe(false);
+            expect(shipmentService.orderService.updateOrderStatus).not.toHaveBeenCalled();
+        });
+    });
+});
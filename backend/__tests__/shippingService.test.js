@@ -0,0 +1,203 @@
+const ShippingService = require('../services/shippingService');
+
+// Mock the database pool
+const mockDbPool = {
+    query: jest.fn(),
+    transaction: jest.fn()
+};
+
+const insideDhaka = { id: 1, code: 'inside_dhaka', name: 'Inside Dhaka', is_default: false };
+
+const rate = (overrides) => ({
+    id: 1,
+    zone_id: 1,
+    min_weight_grams: 0,
+    max_weight_grams: 1000,
+    min_order_amount: '0.00',
+    max_order_amount: null,
+    base_rate: '60.00',
+    per_kg_rate: '0.00',
+    is_active: true,
+    ...overrides
+});
+
+const insideDhakaRates = [
+    rate({ id: 1 }),
+    rate({ id: 2, min_weight_grams: 1000, max_weight_grams: null, per_kg_rate: '15.00' })
+];
+
+const standardVat = { id: 1, code: 'standard', name: 'Standard VAT', rate: '15.00' };
+
+const items = [
+    { product_id: 1, quantity: 2, product_price: '250.00', product_weight: 300 },
+    { product_id: 2, quantity: 1, product_price: '500.00', product_weight: null }
+];
+
+describe('ShippingService', () => {
+    let shippingService;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        shippingService = new ShippingService(mockDbPool, null);
+        shippingService.promotionalService.validateCoupon = jest.fn();
+        shippingService.taxService.pricesIncludeTax = true;
+        shippingService.taxService.resolveClasses = jest.fn().mockResolvedValue(new Map([
+            [1, standardVat],
+            [2, standardVat]
+        ]));
+    });
+
+    describe('calculateWeight', () => {
+        it('should fall back to the default weight for products without one', () => {
+            expect(shippingService.calculateWeight(items)).toBe(1100);
+        });
+    });
+
+    describe('selectRate', () => {
+        it('should pick the weight tier the parcel falls into', () => {
+            expect(shippingService.selectRate(insideDhakaRates, 0, 100).id).toBe(1);
+            expect(shippingService.selectRate(insideDhakaRates, 1000, 100).id).toBe(1);
+            expect(shippingService.selectRate(insideDhakaRates, 1001, 100).id).toBe(2);
+        });
+
+        it('should prefer the highest matching order value tier', () => {
+            const rates = [
+                ...insideDhakaRates,
+                rate({ id: 3, min_order_amount: '3000.00', max_weight_grams: null, base_rate: '0.00' })
+            ];
+
+            expect(shippingService.selectRate(rates, 2500, 2999.99).id).toBe(2);
+            expect(shippingService.selectRate(rates, 2500, 3000).id).toBe(3);
+        });
+
+        it('should ignore inactive rates and return null when nothing matches', () => {
+            expect(shippingService.selectRate([rate({ is_active: false })], 500, 100)).toBeNull();
+            expect(shippingService.selectRate([rate({ max_order_amount: '100.00' })], 500, 100)).toBeNull();
+        });
+    });
+
+    describe('calculateRate', () => {
+        it('should charge per started kilogram above the tier minimum', () => {
+            expect(shippingService.calculateRate(insideDhakaRates[0], 800)).toBe(60);
+            expect(shippingService.calculateRate(insideDhakaRates[1], 1100)).toBe(75);
+            expect(shippingService.calculateRate(insideDhakaRates[1], 3000)).toBe(90);
+        });
+    });
+
+    describe('quote', () => {
+        const shippingAddress = { division: 'Dhaka', district: 'Dhaka', thana: 'Dhanmondi' };
+
+        it('should price the shipping line for the resolved zone', async () => {
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [insideDhaka] })
+                .mockResolvedValueOnce({ rows: insideDhakaRates });
+
+            const quote = await shippingService.quote({ items, shippingAddress });
+
+            expect(mockDbPool.query.mock.calls[0][1]).toEqual(['Dhaka', 'Dhanmondi']);
+            expect(quote).toMatchObject({
+                zone: { id: 1, code: 'inside_dhaka', name: 'Inside Dhaka' },
+                rateId: 2,
+                weightGrams: 1100,
+                subtotal: 1000,
+                shippingCost: 75,
+                shipping: 75,
+                total: 1075,
+                coupon: null
+            });
+        });
+
+        it('should resolve legacy addresses by city', async () => {
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [insideDhaka] })
+                .mockResolvedValueOnce({ rows: insideDhakaRates });
+
+            await shippingService.quote({ items, shippingAddress: { city: 'Dhaka', state: 'Dhaka' } });
+
+            expect(mockDbPool.query.mock.calls[0][1]).toEqual(['Dhaka', null]);
+        });
+
+        it('should waive the shipping line for a free shipping coupon', async () => {
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [insideDhaka] })
+                .mockResolvedValueOnce({ rows: insideDhakaRates });
+            shippingService.promotionalService.validateCoupon.mockResolvedValueOnce({
+                valid: true,
+                coupon: { id: 7, code: 'SHIPFREE', type: 'free_shipping' },
+                discount: 0
+            });
+
+            const quote = await shippingService.quote({ items, shippingAddress, couponCode: 'SHIPFREE', userId: 3 });
+
+            expect(shippingService.promotionalService.validateCoupon).toHaveBeenCalledWith('SHIPFREE', 3, 1000);
+            expect(quote).toMatchObject({
+                discount: 0,
+                shippingCost: 75,
+                shippingDiscount: 75,
+                shipping: 0,
+                total: 1000,
+                coupon: { id: 7, code: 'SHIPFREE', type: 'free_shipping' }
+            });
+        });
+
+        it('should discount the subtotal for other coupon types', async () => {
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [insideDhaka] })
+                .mockResolvedValueOnce({ rows: insideDhakaRates });
+            shippingService.promotionalService.validateCoupon.mockResolvedValueOnce({
+                valid: true,
+                coupon: { id: 8, code: 'SAVE10', type: 'percentage' },
+                discount: 100
+            });
+
+            const quote = await shippingService.quote({ items, shippingAddress, couponCode: 'SAVE10' });
+
+            expect(quote).toMatchObject({ discount: 100, shippingDiscount: 0, shipping: 75, total: 975 });
+            expect(quote.tax.amount).toBe(117.4);
+        });
+
+        it('should include VAT in the prices or add it on top', async () => {
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [insideDhaka] })
+                .mockResolvedValueOnce({ rows: insideDhakaRates })
+                .mockResolvedValueOnce({ rows: [insideDhaka] })
+                .mockResolvedValueOnce({ rows: insideDhakaRates });
+
+            const inclusive = await shippingService.quote({ items, shippingAddress });
+            expect(inclusive.tax).toMatchObject({ pricesIncludeTax: true, amount: 130.44 });
+            expect(inclusive.total).toBe(1075);
+
+            shippingService.taxService.pricesIncludeTax = false;
+            const exclusive = await shippingService.quote({ items, shippingAddress });
+            expect(exclusive.tax).toMatchObject({ pricesIncludeTax: false, amount: 150 });
+            expect(exclusive.total).toBe(1225);
+        });
+
+        it('should reject a coupon that cannot be applied', async () => {
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [insideDhaka] })
+                .mockResolvedValueOnce({ rows: insideDhakaRates });
+            shippingService.promotionalService.validateCoupon.mockResolvedValueOnce({
+                valid: false,
+                error: 'Coupon has expired'
+            });
+
+            await expect(shippingService.quote({ items, shippingAddress, couponCode: 'OLD' }))
+                .rejects.toThrow('Coupon cannot be applied: Coupon has expired');
+        });
+
+        it('should fail when no zone or rate covers the order', async () => {
+            mockDbPool.query.mockResolvedValueOnce({ rows: [] });
+
+            await expect(shippingService.quote({ items, shippingAddress }))
+                .rejects.toThrow('Shipping is not available to this address');
+
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [insideDhaka] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            await expect(shippingService.quote({ items, shippingAddress }))
+                .rejects.toThrow('Shipping is not available for this order in Inside Dhaka');
+        });
+    });
+});
@@ -0,0 +1,182 @@
+const StockReservationService = require('../services/stockReservationService');
+const { createMockDb } = require('./helpers/mockDb');
+
+const { mockClient, mockDbPool } = createMockDb();
+
+const inFuture = () => new Date(Date.now() + 10 * 60 * 1000).toISOString();
+const inPast = () => new Date(Date.now() - 60 * 1000).toISOString();
+
+describe('StockReservationService', () => {
+    let service;
+
+    beforeEach(() => {
+        jest.resetAllMocks();
+        mockDbPool.transaction.mockImplementation(callback => callback(mockClient));
+        service = new StockReservationService(mockDbPool, null);
+    });
+
+    it('should hold stock only for payments settled online', () => {
+        expect(StockReservationService.holdsStock('stripe_card')).toBe(true);
+        expect(StockReservationService.holdsStock('mobile_banking')).toBe(true);
+        expect(StockReservationService.holdsStock('cash_on_delivery')).toBe(false);
+        expect(StockReservationService.holdsStock('bank_transfer')).toBe(false);
+    });
+
+    describe('assertAvailable', () => {
+        it('should lock the products and refuse lines beyond the unreserved stock', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 4 }, { id: 9 }] })
+                .mockResolvedValueOnce({
+                    rows: [
+                        { product_id: 4, variant_id: null, available: 5 },
+                        { product_id: 9, variant_id: 31, available: 1 }
+                    ]
+                });
+
+            await expect(service.assertAvailable(mockClient, [
+                { productId: 4, variantId: null, quantity: 5, name: 'Jamdani Saree' },
+                { productId: 9, variantId: 31, quantity: 2, name: 'Panjabi (M / White)' }
+            ])).rejects.toThrow('Insufficient stock for "Panjabi (M / White)". Available: 1, Requested: 2');
+
+            expect(mockClient.query.mock.calls[0][0]).toContain('FOR UPDATE');
+            expect(mockClient.query.mock.calls[0][1]).toEqual([[4, 9]]);
+            expect(mockClient.query.mock.calls[1][0]).toContain('FROM stock_reservations sr');
+        });
+    });
+
+    describe('commit', () => {
+        it('should take the ordered stock where it was allocated and commit the active reservations', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({
+                    rows: [
+                        { id: 21, status: 'released', expires_at: inPast() },
+                        { id: 22, status: 'active', expires_at: inFuture() }
+                    ]
+                })
+                .mockResolvedValueOnce({ rows: [{ order_item_id: 51, product_id: 4, variant_id: null, warehouse_id: 2, quantity: 2 }] })
+                .mockResolvedValueOnce({ rows: [{ id: 2, is_active: true, is_default: false }] })
+                .mockResolvedValueOnce({ rows: [{ quantity: 5 }] })
+                .mockResolvedValueOnce({ rows: [{ quantity: 3 }] })
+                .mockResolvedValue({ rows: [] });
+
+            await expect(service.commit(7, mockClient, { actor: 'payment:bkash' })).resolves.toBe(true);
+
+            expect(mockClient.query.mock.calls[1][0]).toContain('FROM order_item_allocations');
+            expect(mockClient.query.mock.calls[4][0]).toContain('GREATEST(inventory_levels.quantity - $4, 0)');
+            expect(mockClient.query.mock.calls[4][1]).toEqual([2, 4, null, 2]);
+            expect(mockClient.query.mock.calls[5][1]).toEqual([4, null, 2, 'sale', -2, 3, 'payment:bkash', null, 7, null, null, null, null]);
+            expect(mockClient.query.mock.calls[7][0]).toContain("SET status = 'committed'");
+            expect(mockClient.query.mock.calls[7][1]).toEqual([[22]]);
+        });
+
+        it('should still take the stock when the payment lands after the hold lapsed', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 22, status: 'expired', expires_at: inPast() }] })
+                .mockResolvedValueOnce({ rows: [{ order_item_id: 51, product_id: 4, variant_id: null, warehouse_id: 2, quantity: 2 }] })
+                .mockResolvedValueOnce({ rows: [{ id: 2, is_active: true, is_default: false }] })
+                .mockResolvedValueOnce({ rows: [{ quantity: 1 }] })
+                .mockResolvedValueOnce({ rows: [{ quantity: 0 }] })
+                .mockResolvedValue({ rows: [] });
+
+            await expect(service.commit(7, mockClient)).resolves.toBe(true);
+
+            expect(mockClient.query.mock.calls[5][1].slice(3, 7)).toEqual(['sale', -1, 0, 'system']);
+            expect(mockClient.query.mock.calls[7][0]).toContain("'committed', CURRENT_TIMESTAMP");
+        });
+
+        it('should leave orders that took their stock at placement alone', async () => {
+            mockClient.query.mockResolvedValueOnce({ rows: [] });
+
+            await expect(service.commit(7, mockClient)).resolves.toBe(false);
+            expect(mockClient.query).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('renew', () => {
+        it('should extend a live hold for a retried payment', async () => {
+            const expiresAt = inFuture();
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 22, status: 'active', expires_at: inFuture() }] })
+                .mockResolvedValueOnce({ rows: [{ expires_at: expiresAt }] });
+
+            await expect(service.renew(7)).resolves.toBe(expiresAt);
+            expect(mockClient.query.mock.calls[1][1]).toEqual([7, 15]);
+        });
+
+        it('should place a lapsed hold again, from wherever the stock now is', async () => {
+            const expiresAt = inFuture();
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 22, status: 'released', expires_at: inPast() }] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({
+                    rows: [{
+                        id: 51, product_id: 9, variant_id: 31, variant_label: 'M / White', quantity: 2, product_name: 'Panjabi',
+                        shipping_address: { division: 'Chattogram', district: 'Chattogram' }
+                    }]
+                })
+                .mockResolvedValueOnce({ rows: [{ id: 9 }] })
+                .mockResolvedValueOnce({ rows: [{ product_id: 9, variant_id: 31, available: 3 }] })
+                .mockResolvedValueOnce({
+                    rows: [
+                        { id: 1, division: 'Dhaka', district: 'Dhaka', service_divisions: ['Dhaka'], sort_order: 0 },
+                        { id: 2, division: 'Chattogram', district: 'Chattogram', service_divisions: ['Chattogram', 'Sylhet'], sort_order: 1 }
+                    ]
+                })
+                .mockResolvedValueOnce({
+                    rows: [
+                        { warehouse_id: 1, product_id: 9, variant_id: 31, available: 1 },
+                        { warehouse_id: 2, product_id: 9, variant_id: 31, available: 2 }
+                    ]
+                })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ expires_at: expiresAt }] });
+
+            await expect(service.renew(7)).resolves.toBe(expiresAt);
+            expect(mockClient.query.mock.calls[7][0]).toContain('DELETE FROM order_item_allocations');
+            expect(mockClient.query.mock.calls[8][1]).toEqual([[51], [2], [2]]);
+            expect(mockClient.query.mock.calls[9][0]).toContain('INSERT INTO stock_reservations');
+            expect(mockClient.query.mock.calls[9][1]).toEqual([7, [9], [31], [2], [2], 15]);
+        });
+
+        it('should fail the retry when the units have been sold since', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [{ id: 22, status: 'expired', expires_at: inPast() }] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({
+                    rows: [{ product_id: 4, variant_id: null, variant_label: null, quantity: 2, product_name: 'Jamdani Saree' }]
+                })
+                .mockResolvedValueOnce({ rows: [{ id: 4 }] })
+                .mockResolvedValueOnce({ rows: [{ product_id: 4, variant_id: null, available: 0 }] });
+
+            await expect(service.renew(7))
+                .rejects.toThrow('Insufficient stock for "Jamdani Saree". Available: 0, Requested: 2');
+        });
+    });
+
+    describe('expireReservations', () => {
+        it('should expire lapsed holds and push the sellable stock to product pages', async () => {
+            const webSocketService = { notifyInventoryUpdate: jest.fn() };
+            service = new StockReservationService(mockDbPool, null, webSocketService);
+
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [{ order_id: 7, product_id: 9, variant_id: 31 }] })
+                .mockResolvedValueOnce({ rows: [{ id: 9, stock_quantity: 8 }] })
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({
+                    rows: [
+                        { id: 31, title: 'M / White', stock_quantity: 3 },
+                        { id: 32, title: 'L / White', stock_quantity: 5 }
+                    ]
+                })
+                .mockResolvedValueOnce({ rows: [{ variant_id: 32, reserved: 1 }] });
+
+            await expect(service.expireReservations()).resolves.toBe(1);
+
+            expect(mockDbPool.query.mock.calls[0][0]).toContain("SET status = 'expired'");
+            expect(webSocketService.notifyInventoryUpdate).toHaveBeenCalledTimes(1);
+            expect(webSocketService.notifyInventoryUpdate).toHaveBeenCalledWith(9, 7, 10,
+                expect.objectContaining({ id: 31, stock_quantity: 3 }));
+        });
+    });
+});
@@ -0,0 +1,99 @@
+const TaxService = require('../services/taxService');
+const { createMockDb } = require('./helpers/mockDb');
+
+const { mockClient, mockDbPool } = createMockDb();
+
+const standard = { id: 1, code: 'standard', name: 'Standard VAT', rate: '15.00' };
+const low = { id: 4, code: 'low', name: 'Low VAT', rate: '5.00' };
+const exempt = { id: 5, code: 'exempt', name: 'VAT exempt', rate: '0.00' };
+
+const classes = new Map([
+    [1, standard],
+    [2, low],
+    [3, exempt]
+]);
+
+const items = [
+    { product_id: 1, quantity: 2, product_price: '575.00' },
+    { product_id: 2, quantity: 1, product_price: '420.00' },
+    { product_id: 3, quantity: 1, product_price: '300.00' }
+];
+
+describe('TaxService', () => {
+    let taxService;
+
+    beforeEach(() => {
+        jest.resetAllMocks();
+        mockDbPool.transaction.mockImplementation(callback => callback(mockClient));
+        taxService = new TaxService(mockDbPool, null);
+    });
+
+    describe('taxItems', () => {
+        it('should take VAT out of tax-inclusive prices, per class', () => {
+            const tax = TaxService.taxItems(items, classes, 0, true);
+
+            expect(tax.amount).toBe(170);
+            expect(tax.lines).toEqual([
+                { taxClassId: 1, code: 'standard', name: 'Standard VAT', rate: 15, taxableAmount: 1000, taxAmount: 150 },
+                { taxClassId: 4, code: 'low', name: 'Low VAT', rate: 5, taxableAmount: 400, taxAmount: 20 },
+                { taxClassId: 5, code: 'exempt', name: 'VAT exempt', rate: 0, taxableAmount: 300, taxAmount: 0 }
+            ]);
+        });
+
+        it('should add VAT on top of tax-exclusive prices', () => {
+            const tax = TaxService.taxItems(items, classes, 0, false);
+
+            expect(tax.items.map(item => item.taxAmount)).toEqual([172.5, 21, 0]);
+            expect(tax.amount).toBe(193.5);
+        });
+
+        it('should tax each item after its share of the coupon discount', () => {
+            const tax = TaxService.taxItems(items, classes, 200, true);
+
+            // 1150, 420 and 300 share 200: the last item takes the remainder
+            expect(tax.items.map(item => item.discount)).toEqual([122.99, 44.92, 32.09]);
+            expect(tax.items[0]).toMatchObject({ taxableAmount: 893.05, taxAmount: 133.96 });
+            expect(tax.items[1]).toMatchObject({ taxableAmount: 357.22, taxAmount: 17.86 });
+            expect(tax.amount).toBe(151.82);
+        });
+
+        it('should not share out more discount than the items are worth', () => {
+            const tax = TaxService.taxItems(items.slice(0, 1), classes, 2000, true);
+
+            expect(tax.items[0]).toMatchObject({ discount: 1150, taxableAmount: 0, taxAmount: 0 });
+        });
+    });
+
+    describe('calculate', () => {
+        it('should look up each product once and use the configured pricing', async () => {
+            taxService.pricesIncludeTax = false;
+            mockDbPool.query.mockResolvedValueOnce({ rows: [{ product_id: 1, ...standard }] });
+
+            const tax = await taxService.calculate([items[0], { ...items[0], variant_id: 9 }]);
+
+            expect(mockDbPool.query.mock.calls[0][1]).toEqual([[1]]);
+            expect(tax).toMatchObject({ pricesIncludeTax: false, amount: 345 });
+            expect(tax.items[1]).toMatchObject({ variantId: 9, taxClassId: 1 });
+        });
+    });
+
+    describe('classes', () => {
+        it('should hand the default over when another class becomes the default', async () => {
+            mockClient.query
+                .mockResolvedValueOnce({ rows: [] })
+                .mockResolvedValueOnce({ rows: [{ ...low, is_default: true }] });
+
+            await taxService.updateClass(4, { isDefault: true });
+
+            expect(mockClient.query.mock.calls[0][0]).toContain('SET is_default = false');
+            expect(mockClient.query.mock.calls[0][1]).toEqual([4]);
+        });
+
+        it('should not delete the default class', async () => {
+            mockDbPool.query.mockResolvedValueOnce({ rows: [] });
+
+            await expect(taxService.deleteClass(1))
+                .rejects.toThrow('Tax class not found or is the default class');
+        });
+    });
+});
@@ -0,0 +1,120 @@
+const WishlistService = require('../services/wishlistService');
+
+// Mock the database pool
+const mockDbPool = {
+    query: jest.fn()
+};
+
+describe('WishlistService', () => {
+    let wishlistService;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        wishlistService = new WishlistService(mockDbPool, null);
+        wishlistService.cartService = {
+            addToCart: jest.fn()
+        };
+    });
+
+    describe('addToWishlist', () => {
+        it('should add a product to the wishlist', async () => {
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [{ id: 5, is_active: true }] }) // product lookup
+                .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 7 }] }) // wishlist upsert
+                .mockResolvedValueOnce({ rows: [{ id: 10, wishlist_id: 1, product_id: 5 }] }); // item insert
+
+            const result = await wishlistService.addToWishlist(7, 5);
+
+            expect(mockDbPool.query).toHaveBeenLastCalledWith(
+                expect.stringContaining('INSERT INTO wishlist_items'),
+                [1, 5]
+            );
+            expect(result.alreadyPresent).toBe(false);
+            expect(result.wishlistItem.product_id).toBe(5);
+        });
+
+        it('should report an item that is already wishlisted', async () => {
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [{ id: 5, is_active: true }] })
+                .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 7 }] })
+                .mockResolvedValueOnce({ rows: [] });
+
+            const result = await wishlistService.addToWishlist(7, 5);
+
+            expect(result.alreadyPresent).toBe(true);
+            expect(result.wishlistItem).toBeNull();
+        });
+
+        it('should reject unknown products', async () => {
+            mockDbPool.query.mockResolvedValueOnce({ rows: [] });
+
+            await expect(wishlistService.addToWishlist(7, 999))
+                .rejects.toThrow('Product not found');
+        });
+
+        it('should reject inactive products', async () => {
+            mockDbPool.query.mockResolvedValueOnce({ rows: [{ id: 5, is_active: false }] });
+
+            await expect(wishlistService.addToWishlist(7, 5))
+                .rejects.toThrow('Product is not available');
+        });
+    });
+
+    describe('moveToCart', () => {
+        it('should add the item to the cart and then remove it from the wishlist', async () => {
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [{ id: 10 }] }) // wishlist membership
+                .mockResolvedValueOnce({ rows: [{ id: 10, product_id: 5 }] }); // delete
+            wishlistService.cartService.addToCart.mockResolvedValue({ id: 3, product_id: 5, quantity: 2 });
+
+            const cartItem = await wishlistService.moveToCart(7, 5, 2);
+
+            expect(wishlistService.cartService.addToCart).toHaveBeenCalledWith(7, 5, 2);
+            expect(mockDbPool.query).toHaveBeenLastCalledWith(
+                expect.stringContaining('DELETE FROM wishlist_items'),
+                [7, 5]
+            );
+            expect(cartItem.id).toBe(3);
+        });
+
+        it('should keep the wishlist item when the cart rejects it', async () => {
+            mockDbPool.query.mockResolvedValueOnce({ rows: [{ id: 10 }] });
+            wishlistService.cartService.addToCart.mockRejectedValue(new Error('Insufficient stock available'));
+
+            await expect(wishlistService.moveToCart(7, 5, 1))
+                .rejects.toThrow('Insufficient stock available');
+            expect(mockDbPool.query).toHaveBeenCalledTimes(1);
+        });
+
+        it('should fail when the product is not wishlisted', async () => {
+            mockDbPool.query.mockResolvedValueOnce({ rows: [] });
+
+            await expect(wishlistService.moveToCart(7, 5, 1))
+                .rejects.toThrow('Wishlist item not found');
+            expect(wishlistService.cartService.addToCart).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('mergeWishlist', () => {
+        it('should merge de-duplicated product IDs and count skipped ones', async () => {
+            mockDbPool.query
+                .mockResolvedValueOnce({ rows: [{ id: 1, user_id: 7 }] })
+                .mockResolvedValueOnce({ rows: [{ product_id: 1 }, { product_id: 2 }] });
+
+            const result = await wishlistService.mergeWishlist(7, [1, 2, 2, 3]);
+
+            expect(mockDbPool.query).toHaveBeenLastCalledWith(
+                expect.stringContaining('ON CONFLICT (wishlist_id, product_id) DO NOTHING'),
+                [1, [1, 2, 3]]
+            );
+            expect(result).toEqual({ merged: 2, skipped: 1 });
+        });
+
+        it('should not touch the database for an empty list', async () => {
+            const result = await wishlistService.mergeWishlist(7, []);
+
+            expect(mockDbPool.query).not.toHaveBeenCalled();
+            expect(result).toEqual({ merged: 0, skipped: 0 });
+        });
+    });
+});
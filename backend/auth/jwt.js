@@ -7,6 +7,8 @@ class JWTManager {
         this.refreshTokenSecret = process.env.JWT_REFRESH_SECRET || 'your-refresh-secret-key';
         this.accessTokenExpiry = process.env.JWT_ACCESS_EXPIRY || '15m';
         this.refreshTokenExpiry = process.env.JWT_REFRESH_EXPIRY || '7d';
+        this.cartTokenSecret = process.env.CART_TOKEN_SECRET || 'your-cart-token-secret-key';
+        this.cartTokenExpiry = process.env.CART_TOKEN_EXPIRY || '30d';
     }
 
     generateAccessToken(payload) {
@@ -67,6 +69,42 @@ class JWTManager {
         }
     }
 
+    // Guest cart tokens identify an anonymous cart; they carry no user identity
+    generateCartToken(cartId) {
+        try {
+            return jwt.sign({ cartId, type: 'guest_cart' }, this.cartTokenSecret, {
+                expiresIn: this.cartTokenExpiry,
+                issuer: 'dhakacart-api',
+                audience: 'dhakacart-client'
+            });
+        } catch (error) {
+            logger.error('Error generating cart token', { error: error.message });
+            throw new Error('Token generation failed');
+        }
+    }
+
+    verifyCartToken(token) {
+        try {
+            const decoded = jwt.verify(token, this.cartTokenSecret, {
+                issuer: 'dhakacart-api',
+                audience: 'dhakacart-client'
+            });
+
+            if (decoded.type !== 'guest_cart' || !decoded.cartId) {
+                throw new Error('Invalid cart token');
+            }
+
+            return decoded;
+        } catch (error) {
+            if (error.name === 'TokenExpiredError') {
+                throw new Error('Cart token expired');
+            } else if (error.name === 'JsonWebTokenError' || error.message === 'Invalid cart token') {
+                throw new Error('Invalid cart token');
+            }
+            throw new Error('Token verification failed');
+        }
+    }
+
     generateTokenPair(payload) {
         const accessToken = this.generateAccessToken(payload);
         const refreshToken = this.generateRefreshToken({ userId: payload.userId });
@@ -68,6 +68,37 @@ const optionalAuth = async (req, res, next) => {
     }
 };
 
+// Guest cart middleware - verifies the signed cart token sent in X-Cart-Token
+const requireCartToken = (req, res, next) => {
+    const cartToken = req.headers['x-cart-token'];
+
+    if (!cartToken) {
+        return res.status(401).json({
+            error: 'Cart token required',
+            code: 'CART_TOKEN_MISSING',
+            timestamp: new Date().toISOString(),
+            correlationId: req.correlationId
+        });
+    }
+
+    try {
+        req.guestCartId = jwtManager.verifyCartToken(cartToken).cartId;
+        next();
+    } catch (error) {
+        logger.warn('Cart token verification failed', {
+            error: error.message,
+            correlationId: req.correlationId
+        });
+
+        return res.status(401).json({
+            error: error.message,
+            code: 'CART_TOKEN_INVALID',
+            timestamp: new Date().toISOString(),
+            correlationId: req.correlationId
+        });
+    }
+};
+
 // Role-based authorization middleware
 const requireRole = (roles) => {
     return (req, res, next) => {
@@ -158,6 +189,7 @@ const requireSelfOrAdmin = (userIdParam = 'userId') => {
 module.exports = {
     authenticateToken,
     optionalAuth,
+    requireCartToken,
     requireRole,
     requireAdmin,
     requireCustomerOrAdmin,
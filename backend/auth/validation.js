@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { SUPPORTED_LOCALES } = require('../locale');
 
 // User registration validation schema
 const registerSchema = Joi.object({
@@ -33,24 +34,24 @@ const registerSchema = Joi.object({
     firstName: Joi.string()
         .min(1)
         .max(50)
-        .pattern(/^[a-zA-Z\s]+$/)
+        .pattern(/^[a-zA-Z\u0980-\u09FF\s]+$/)
         .required()
         .messages({
             'string.min': 'First name is required',
             'string.max': 'First name must be less than 50 characters',
-            'string.pattern.base': 'First name can only contain letters and spaces',
+            'string.pattern.base': 'First name can only contain English or Bangla letters and spaces',
             'any.required': 'First name is required'
         }),
 
     lastName: Joi.string()
         .min(1)
         .max(50)
-        .pattern(/^[a-zA-Z\s]+$/)
+        .pattern(/^[a-zA-Z\u0980-\u09FF\s]+$/)
         .required()
         .messages({
             'string.min': 'Last name is required',
             'string.max': 'Last name must be less than 50 characters',
-            'string.pattern.base': 'Last name can only contain letters and spaces',
+            'string.pattern.base': 'Last name can only contain English or Bangla letters and spaces',
             'any.required': 'Last name is required'
         }),
 
@@ -59,6 +60,13 @@ const registerSchema = Joi.object({
         .optional()
         .messages({
             'string.pattern.base': 'Please provide a valid Bangladeshi phone number (e.g., 01712345678 or +8801712345678)'
+        }),
+
+    locale: Joi.string()
+        .valid(...SUPPORTED_LOCALES)
+        .optional()
+        .messages({
+            'any.only': `Language must be one of: ${SUPPORTED_LOCALES.join(', ')}`
         })
 });
 
@@ -133,23 +141,23 @@ const profileUpdateSchema = Joi.object({
     firstName: Joi.string()
         .min(1)
         .max(50)
-        .pattern(/^[a-zA-Z\s]+$/)
+        .pattern(/^[a-zA-Z\u0980-\u09FF\s]+$/)
         .optional()
         .messages({
             'string.min': 'First name cannot be empty',
             'string.max': 'First name must be less than 50 characters',
-            'string.pattern.base': 'First name can only contain letters and spaces'
+            'string.pattern.base': 'First name can only contain English or Bangla letters and spaces'
         }),
 
     lastName: Joi.string()
         .min(1)
         .max(50)
-        .pattern(/^[a-zA-Z\s]+$/)
+        .pattern(/^[a-zA-Z\u0980-\u09FF\s]+$/)
         .optional()
         .messages({
             'string.min': 'Last name cannot be empty',
             'string.max': 'Last name must be less than 50 characters',
-            'string.pattern.base': 'Last name can only contain letters and spaces'
+            'string.pattern.base': 'Last name can only contain English or Bangla letters and spaces'
         }),
 
     phone: Joi.string()
@@ -158,6 +166,13 @@ const profileUpdateSchema = Joi.object({
         .allow('')
         .messages({
             'string.pattern.base': 'Please provide a valid Bangladeshi phone number (e.g., 01712345678 or +8801712345678)'
+        }),
+
+    locale: Joi.string()
+        .valid(...SUPPORTED_LOCALES)
+        .optional()
+        .messages({
+            'any.only': `Language must be one of: ${SUPPORTED_LOCALES.join(', ')}`
         })
 });
 
@@ -0,0 +1,249 @@
+const AddressService = require('../services/addressService');
+const { BANGLADESH_LOCATIONS } = require('../data/bangladeshLocations');
+const logger = require('../logger');
+const rateLimit = require('express-rate-limit');
+
+// Rate limiting for address book endpoints
+const addressLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // limit each IP to 100 requests per windowMs
+    message: {
+        error: 'Too many address requests, please try again later',
+        code: 'RATE_LIMIT_EXCEEDED'
+    }
+});
+
+class AddressController {
+    constructor(dbPool, redisPool, webSocketService = null, emailService = null) {
+        this.addressService = new AddressService(dbPool, redisPool);
+        this.webSocketService = webSocketService;
+        this.emailService = emailService;
+    }
+
+    // Division -> district -> thana tree used to build address forms
+    getLocations = async (req, res) => {
+        res.json({
+            success: true,
+            data: { locations: BANGLADESH_LOCATIONS },
+            timestamp: new Date().toISOString(),
+            correlationId: req.correlationId
+        });
+    };
+
+    // Get user's saved addresses
+    getAddresses = async (req, res) => {
+        try {
+            const userId = req.user.userId;
+            const addresses = await this.addressService.getAddresses(userId);
+
+            res.json({
+                success: true,
+                data: { addresses },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get addresses failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to fetch addresses',
+                code: 'ADDRESS_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Get a single saved address
+    getAddress = async (req, res) => {
+        try {
+            const userId = req.user.userId;
+            const address = await this.addressService.getAddressById(userId, req.params.addressId);
+
+            res.json({
+                success: true,
+                data: { address },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get address failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                addressId: req.params.addressId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 404 ? error.message : 'Failed to fetch address',
+                code: statusCode === 404 ? 'ADDRESS_NOT_FOUND' : 'ADDRESS_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Save a new address
+    createAddress = async (req, res) => {
+        try {
+            const userId = req.user.userId;
+            const address = await this.addressService.createAddress(userId, req.validatedData);
+
+            logger.info('Address created successfully', {
+                userId,
+                addressId: address.id,
+                correlationId: req.correlationId
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Address saved successfully',
+                data: { address },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Create address failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to save address',
+                code: 'ADDRESS_CREATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Update a saved address
+    updateAddress = async (req, res) => {
+        try {
+            const userId = req.user.userId;
+            const { addressId } = req.params;
+            const address = await this.addressService.updateAddress(userId, addressId, req.validatedData);
+
+            logger.info('Address updated successfully', {
+                userId,
+                addressId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Address updated successfully',
+                data: { address },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Update address failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                addressId: req.params.addressId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message.includes('No valid fields') ? 400 : 500;
+
+            res.status(statusCode).json({
+                error: error.message,
+                code: statusCode === 404 ? 'ADDRESS_NOT_FOUND' :
+                    statusCode === 400 ? 'INVALID_REQUEST' : 'ADDRESS_UPDATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Delete a saved address
+    deleteAddress = async (req, res) => {
+        try {
+            const userId = req.user.userId;
+            const { addressId } = req.params;
+            const address = await this.addressService.deleteAddress(userId, addressId);
+
+            logger.info('Address deleted successfully', {
+                userId,
+                addressId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Address deleted successfully',
+                data: { address },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Delete address failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                addressId: req.params.addressId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: error.message,
+                code: statusCode === 404 ? 'ADDRESS_NOT_FOUND' : 'ADDRESS_DELETE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Mark an address as the default shipping or billing address
+    setDefaultAddress = async (req, res) => {
+        try {
+            const userId = req.user.userId;
+            const { addressId } = req.params;
+            const { type } = req.validatedData;
+            const address = await this.addressService.setDefaultAddress(userId, addressId, type);
+
+            logger.info('Default address updated successfully', {
+                userId,
+                addressId,
+                type,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: `Default ${type} address updated successfully`,
+                data: { address },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Set default address failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                addressId: req.params.addressId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: error.message,
+                code: statusCode === 404 ? 'ADDRESS_NOT_FOUND' : 'ADDRESS_UPDATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+}
+
+module.exports = { AddressController, addressLimiter };
@@ -1,5 +1,13 @@
 const AdminService = require('../services/adminService');
 const OrderService = require('../services/orderService');
+const CodService = require('../services/codService');
+const ShippingService = require('../services/shippingService');
+const TaxService = require('../services/taxService');
+const ShipmentService = require('../services/shipmentService');
+const DocumentService = require('../services/documentService');
+const InventoryService = require('../services/inventoryService');
+const PurchaseOrderService = require('../services/purchaseOrderService');
+const StockReservationService = require('../services/stockReservationService');
 const logger = require('../logger');
 const rateLimit = require('express-rate-limit');
 
@@ -17,6 +25,14 @@ class AdminController {
     constructor(dbPool, redisPool, webSocketService = null, emailService = null) {
         this.adminService = new AdminService(dbPool, redisPool);
         this.orderService = new OrderService(dbPool, redisPool);
+        this.codService = new CodService(dbPool, redisPool);
+        this.shippingService = new ShippingService(dbPool, redisPool);
+        this.taxService = new TaxService(dbPool, redisPool);
+        this.shipmentService = new ShipmentService(dbPool, redisPool);
+        this.documentService = new DocumentService(dbPool, redisPool);
+        this.inventoryService = new InventoryService(dbPool, redisPool);
+        this.purchaseOrderService = new PurchaseOrderService(dbPool, redisPool);
+        this.stockReservationService = new StockReservationService(dbPool, redisPool, webSocketService);
         this.webSocketService = webSocketService;
         this.emailService = emailService;
     }
@@ -282,12 +298,82 @@ class AdminController {
         }
     };
 
+    getOrderInvoice = async (req, res) => {
+        try {
+            const { orderId } = req.params;
+            const { invoiceNumber, pdf } = await this.documentService.getInvoicePdf(orderId);
+
+            logger.info('Admin invoice downloaded', {
+                orderId,
+                invoiceNumber,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.type('application/pdf');
+            res.set('Content-Disposition', `attachment; filename="${invoiceNumber}.pdf"`);
+            res.send(pdf);
+        } catch (error) {
+            logger.error('Get admin invoice failed', {
+                error: error.message,
+                orderId: req.params.orderId,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to generate invoice' : error.message,
+                code: statusCode === 404 ? 'ORDER_NOT_FOUND' : 'INVOICE_GENERATION_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    getPackingSlips = async (req, res) => {
+        try {
+            const { orderIds } = req.validatedData;
+            const pdf = await this.documentService.getPackingSlipsPdf(orderIds);
+
+            logger.info('Packing slips printed', {
+                orderCount: orderIds.length,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.type('application/pdf');
+            res.set('Content-Disposition', 'attachment; filename="packing-slips.pdf"');
+            res.send(pdf);
+        } catch (error) {
+            logger.error('Packing slip printing failed', {
+                error: error.message,
+                orderIds: req.validatedData?.orderIds,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message.includes('cannot be packed') ? 400 :
+                    error.message.includes('Nothing left to pack') ? 400 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to generate packing slips' : error.message,
+                code: statusCode === 404 ? 'ORDER_NOT_FOUND' :
+                    statusCode === 400 ? 'NOTHING_TO_PACK' : 'PACKING_SLIP_GENERATION_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
     updateOrderStatus = async (req, res) => {
         try {
             const { orderId } = req.params;
-            const { status } = req.validatedData;
+            const { status, reason } = req.validatedData;
 
-            const order = await this.orderService.updateOrderStatus(orderId, status, req.user.userId);
+            const order = await this.orderService.updateOrderStatus(orderId, status, req.user.userId, reason || null);
 
             // Send order status update email
             if (this.emailService && order.user_id) {
@@ -343,12 +429,16 @@ class AdminController {
             });
 
             const statusCode = error.message.includes('not found') ? 404 :
-                error.message.includes('Invalid') ? 400 : 500;
+                error.message.includes('Invalid') ? 400 :
+                    error.message.includes('cannot move from') ? 409 :
+                        error.message.includes('is already') ? 409 :
+                            error.message.includes('cannot be cancelled') ? 409 : 500;
 
             res.status(statusCode).json({
                 error: error.message,
                 code: statusCode === 404 ? 'ORDER_NOT_FOUND' :
-                    statusCode === 400 ? 'INVALID_STATUS' : 'ORDER_STATUS_UPDATE_FAILED',
+                    statusCode === 400 ? 'INVALID_STATUS' :
+                        statusCode === 409 ? 'INVALID_STATUS_TRANSITION' : 'ORDER_STATUS_UPDATE_FAILED',
                 timestamp: new Date().toISOString(),
                 correlationId: req.correlationId
             });
@@ -399,6 +489,1560 @@ class AdminController {
         }
     };
 
+    // Cash on Delivery
+    getCodRules = async (req, res) => {
+        try {
+            const rules = await this.codService.getRules();
+
+            res.json({
+                success: true,
+                data: { rules },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get COD rules failed', {
+                error: error.message,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to fetch COD rules',
+                code: 'COD_RULES_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    saveCodRule = async (req, res) => {
+        try {
+            const rule = await this.codService.saveRule(req.validatedData);
+
+            logger.info('COD rule saved successfully', {
+                ruleId: rule.id,
+                division: rule.division,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'COD rule saved successfully',
+                data: { rule },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Save COD rule failed', {
+                error: error.message,
+                ruleData: req.validatedData,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 404 ? error.message : 'Failed to save COD rule',
+                code: statusCode === 404 ? 'COD_RULE_NOT_FOUND' : 'COD_RULE_SAVE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    deleteCodRule = async (req, res) => {
+        try {
+            const { ruleId } = req.params;
+            const rule = await this.codService.deleteRule(ruleId);
+
+            logger.info('COD rule deleted successfully', {
+                ruleId,
+                division: rule.division,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'COD rule deleted successfully',
+                data: { rule },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Delete COD rule failed', {
+                error: error.message,
+                ruleId: req.params.ruleId,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 404 ? error.message : 'Failed to delete COD rule',
+                code: statusCode === 404 ? 'COD_RULE_NOT_FOUND' : 'COD_RULE_DELETE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    updateUserCodLimit = async (req, res) => {
+        try {
+            const { userId } = req.params;
+            const { codLimit } = req.validatedData;
+
+            const user = await this.codService.setUserLimit(userId, codLimit);
+
+            logger.info('User COD limit updated successfully', {
+                targetUserId: userId,
+                codLimit,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'COD limit updated successfully',
+                data: { user },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Update user COD limit failed', {
+                error: error.message,
+                targetUserId: req.params.userId,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 404 ? error.message : 'Failed to update COD limit',
+                code: statusCode === 404 ? 'USER_NOT_FOUND' : 'COD_LIMIT_UPDATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    importCodRemittance = async (req, res) => {
+        try {
+            const report = await this.codService.reconcileRemittance(req.user.userId, req.validatedData);
+
+            logger.info('COD remittance imported successfully', {
+                remittanceId: report.remittanceId,
+                courier: report.courier,
+                dryRun: report.dryRun,
+                matched: report.matchedCount,
+                mismatches: report.mismatchCount,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: report.dryRun ? 'Remittance preview generated' : 'Remittance reconciled successfully',
+                data: { report },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Import COD remittance failed', {
+                error: error.message,
+                courier: req.validatedData?.courier,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('Remittance file') ? 400 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 400 ? error.message : 'Failed to reconcile remittance',
+                code: statusCode === 400 ? 'INVALID_REMITTANCE_FILE' : 'COD_REMITTANCE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    getCodRemittances = async (req, res) => {
+        try {
+            const remittances = await this.codService.getRemittances(req.validatedQuery);
+
+            res.json({
+                success: true,
+                data: { remittances },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get COD remittances failed', {
+                error: error.message,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to fetch COD remittances',
+                code: 'COD_REMITTANCES_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Shipping
+    getShippingZones = async (req, res) => {
+        try {
+            const zones = await this.shippingService.getZones({ includeInactive: true });
+
+            res.json({
+                success: true,
+                data: { zones },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get shipping zones failed', {
+                error: error.message,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to fetch shipping zones',
+                code: 'SHIPPING_ZONES_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    createShippingZone = async (req, res) => {
+        try {
+            const zone = await this.shippingService.createZone(req.validatedData);
+
+            logger.info('Shipping zone created successfully', {
+                zoneId: zone.id,
+                code: zone.code,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Shipping zone created successfully',
+                data: { zone },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Create shipping zone failed', {
+                error: error.message,
+                params: req.params,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message.includes('already') ? 409 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to create shipping zone' : error.message,
+                code: statusCode === 404 ? 'SHIPPING_ZONE_NOT_FOUND' :
+                    statusCode === 409 ? 'SHIPPING_ZONE_CONFLICT' : 'SHIPPING_ZONE_CREATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    updateShippingZone = async (req, res) => {
+        try {
+            const { zoneId } = req.params;
+            const zone = await this.shippingService.updateZone(zoneId, req.validatedData);
+
+            logger.info('Shipping zone updated successfully', {
+                zoneId,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Shipping zone updated successfully',
+                data: { zone },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Update shipping zone failed', {
+                error: error.message,
+                params: req.params,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message.includes('already') ? 409 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to update shipping zone' : error.message,
+                code: statusCode === 404 ? 'SHIPPING_ZONE_NOT_FOUND' :
+                    statusCode === 409 ? 'SHIPPING_ZONE_CONFLICT' : 'SHIPPING_ZONE_UPDATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    deleteShippingZone = async (req, res) => {
+        try {
+            const { zoneId } = req.params;
+            const zone = await this.shippingService.deleteZone(zoneId);
+
+            logger.info('Shipping zone deleted successfully', {
+                zoneId,
+                code: zone.code,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Shipping zone deleted successfully',
+                data: { zone },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Delete shipping zone failed', {
+                error: error.message,
+                params: req.params,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to delete shipping zone' : error.message,
+                code: statusCode === 404 ? 'SHIPPING_ZONE_NOT_FOUND' : 'SHIPPING_ZONE_DELETE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    createShippingRate = async (req, res) => {
+        try {
+            const { zoneId } = req.params;
+            const rate = await this.shippingService.createRate(zoneId, req.validatedData);
+
+            logger.info('Shipping rate created successfully', {
+                zoneId,
+                rateId: rate.id,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Shipping rate created successfully',
+                data: { rate },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Create shipping rate failed', {
+                error: error.message,
+                params: req.params,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message.includes('Invalid shipping rate') ? 400 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to create shipping rate' : error.message,
+                code: statusCode === 404 ? 'SHIPPING_ZONE_NOT_FOUND' :
+                    statusCode === 400 ? 'INVALID_SHIPPING_RATE' : 'SHIPPING_RATE_CREATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    updateShippingRate = async (req, res) => {
+        try {
+            const { rateId } = req.params;
+            const rate = await this.shippingService.updateRate(rateId, req.validatedData);
+
+            logger.info('Shipping rate updated successfully', {
+                rateId,
+                zoneId: rate.zone_id,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Shipping rate updated successfully',
+                data: { rate },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Update shipping rate failed', {
+                error: error.message,
+                params: req.params,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message.includes('Invalid shipping rate') ? 400 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to update shipping rate' : error.message,
+                code: statusCode === 404 ? 'SHIPPING_RATE_NOT_FOUND' :
+                    statusCode === 400 ? 'INVALID_SHIPPING_RATE' : 'SHIPPING_RATE_UPDATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    deleteShippingRate = async (req, res) => {
+        try {
+            const { rateId } = req.params;
+            const rate = await this.shippingService.deleteRate(rateId);
+
+            logger.info('Shipping rate deleted successfully', {
+                rateId,
+                zoneId: rate.zone_id,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Shipping rate deleted successfully',
+                data: { rate },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Delete shipping rate failed', {
+                error: error.message,
+                params: req.params,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to delete shipping rate' : error.message,
+                code: statusCode === 404 ? 'SHIPPING_RATE_NOT_FOUND' : 'SHIPPING_RATE_DELETE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // VAT classes
+    getTaxClasses = async (req, res) => {
+        try {
+            const taxClasses = await this.taxService.getClasses({ includeInactive: true });
+
+            res.json({
+                success: true,
+                data: { taxClasses, pricesIncludeTax: this.taxService.pricesIncludeTax },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get tax classes failed', {
+                error: error.message,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to fetch tax classes',
+                code: 'TAX_CLASSES_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    createTaxClass = async (req, res) => {
+        try {
+            const taxClass = await this.taxService.createClass(req.validatedData);
+
+            logger.info('Tax class created successfully', {
+                taxClassId: taxClass.id,
+                code: taxClass.code,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Tax class created successfully',
+                data: { taxClass },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Create tax class failed', {
+                error: error.message,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('already exists') ? 409 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to create tax class' : error.message,
+                code: statusCode === 409 ? 'TAX_CLASS_CONFLICT' : 'TAX_CLASS_CREATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    updateTaxClass = async (req, res) => {
+        try {
+            const { classId } = req.params;
+            const taxClass = await this.taxService.updateClass(classId, req.validatedData);
+
+            logger.info('Tax class updated successfully', {
+                taxClassId: classId,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Tax class updated successfully',
+                data: { taxClass },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Update tax class failed', {
+                error: error.message,
+                params: req.params,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to update tax class' : error.message,
+                code: statusCode === 404 ? 'TAX_CLASS_NOT_FOUND' : 'TAX_CLASS_UPDATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    deleteTaxClass = async (req, res) => {
+        try {
+            const { classId } = req.params;
+            const taxClass = await this.taxService.deleteClass(classId);
+
+            logger.info('Tax class deleted successfully', {
+                taxClassId: classId,
+                code: taxClass.code,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Tax class deleted successfully',
+                data: { taxClass },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Delete tax class failed', {
+                error: error.message,
+                params: req.params,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to delete tax class' : error.message,
+                code: statusCode === 404 ? 'TAX_CLASS_NOT_FOUND' : 'TAX_CLASS_DELETE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Warehouses and stock transfers
+    getWarehouses = async (req, res) => {
+        try {
+            const warehouses = await this.inventoryService.getWarehouses({ includeInactive: true });
+
+            res.json({
+                success: true,
+                data: { warehouses },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get warehouses failed', {
+                error: error.message,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to fetch warehouses',
+                code: 'WAREHOUSES_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    createWarehouse = async (req, res) => {
+        try {
+            const warehouse = await this.inventoryService.createWarehouse(req.validatedData);
+
+            logger.info('Warehouse created successfully', {
+                warehouseId: warehouse.id,
+                code: warehouse.code,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Warehouse created successfully',
+                data: { warehouse },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Create warehouse failed', {
+                error: error.message,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('already exists') ? 409 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to create warehouse' : error.message,
+                code: statusCode === 409 ? 'WAREHOUSE_CONFLICT' : 'WAREHOUSE_CREATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    updateWarehouse = async (req, res) => {
+        try {
+            const { warehouseId } = req.params;
+            const warehouse = await this.inventoryService.updateWarehouse(warehouseId, req.validatedData);
+
+            logger.info('Warehouse updated successfully', {
+                warehouseId,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Warehouse updated successfully',
+                data: { warehouse },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Update warehouse failed', {
+                error: error.message,
+                params: req.params,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message.includes('cannot be') ? 400 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to update warehouse' : error.message,
+                code: statusCode === 404 ? 'WAREHOUSE_NOT_FOUND' :
+                    statusCode === 400 ? 'WAREHOUSE_IN_USE' : 'WAREHOUSE_UPDATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Stock of one product per warehouse
+    getProductInventory = async (req, res) => {
+        try {
+            const { productId } = req.params;
+            const inventory = await this.inventoryService.getProductInventory(productId);
+
+            res.json({
+                success: true,
+                data: inventory,
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get product inventory failed', {
+                error: error.message,
+                params: req.params,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to fetch product inventory' : error.message,
+                code: statusCode === 404 ? 'PRODUCT_NOT_FOUND' : 'INVENTORY_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    getInventoryMovements = async (req, res) => {
+        try {
+            const { productId } = req.params;
+            const result = await this.inventoryService.getMovements(productId, req.validatedQuery);
+
+            res.json({
+                success: true,
+                data: result,
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get inventory movements failed', {
+                error: error.message,
+                params: req.params,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to fetch inventory movements',
+                code: 'INVENTORY_MOVEMENTS_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    getInventoryDrift = async (req, res) => {
+        try {
+            const drift = await this.inventoryService.getDrift();
+
+            res.json({
+                success: true,
+                data: { drift },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get inventory drift failed', {
+                error: error.message,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to fetch inventory drift',
+                code: 'INVENTORY_DRIFT_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Run the reconciliation job now rather than waiting for its interval
+    reconcileInventory = async (req, res) => {
+        try {
+            await this.inventoryService.reconcile();
+            const drift = await this.inventoryService.getDrift();
+
+            logger.info('Inventory reconciled by admin', {
+                drifted: drift.length,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: drift.length > 0 ? 'Inventory drift found' : 'Inventory ledger matches stock levels',
+                data: { drift },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Inventory reconciliation failed', {
+                error: error.message,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to reconcile inventory',
+                code: 'INVENTORY_RECONCILE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    getStockTransfers = async (req, res) => {
+        try {
+            const result = await this.inventoryService.getTransfers(req.validatedQuery);
+
+            res.json({
+                success: true,
+                data: result,
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get stock transfers failed', {
+                error: error.message,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to fetch stock transfers',
+                code: 'STOCK_TRANSFERS_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    createStockTransfer = async (req, res) => {
+        try {
+            const transfer = await this.inventoryService.createTransfer(req.validatedData, req.user.userId);
+
+            // Units in transit cannot be sold until they are received
+            await this.notifyItemAvailability(transfer.items);
+
+            logger.info('Stock transfer created successfully', {
+                transferId: transfer.id,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Stock transfer dispatched successfully',
+                data: { transfer },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Create stock transfer failed', {
+                error: error.message,
+                transferData: req.validatedData,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message.includes('Not enough stock') ||
+                    error.message.includes('Choose a variant') ? 400 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to create stock transfer' : error.message,
+                code: statusCode === 404 ? 'NOT_FOUND' :
+                    statusCode === 400 ? 'INVALID_STOCK_TRANSFER' : 'STOCK_TRANSFER_CREATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    receiveStockTransfer = async (req, res) => {
+        await this.completeStockTransfer(req, res, 'receive');
+    };
+
+    cancelStockTransfer = async (req, res) => {
+        await this.completeStockTransfer(req, res, 'cancel');
+    };
+
+    async completeStockTransfer(req, res, action) {
+        try {
+            const { transferId } = req.params;
+            const transfer = action === 'receive'
+                ? await this.inventoryService.receiveTransfer(transferId, req.user.userId)
+                : await this.inventoryService.cancelTransfer(transferId, req.user.userId);
+
+            await this.notifyItemAvailability(transfer.items);
+
+            logger.info('Stock transfer completed successfully', {
+                transferId,
+                status: transfer.status,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: action === 'receive' ? 'Stock transfer received successfully' : 'Stock transfer cancelled successfully',
+                data: { transfer },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Complete stock transfer failed', {
+                error: error.message,
+                params: req.params,
+                action,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message.includes('cannot be') ? 400 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to update stock transfer' : error.message,
+                code: statusCode === 404 ? 'STOCK_TRANSFER_NOT_FOUND' :
+                    statusCode === 400 ? 'INVALID_STOCK_TRANSFER' : 'STOCK_TRANSFER_UPDATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    }
+
+    // Push the changed sellable stock of every product among the transfer's
+    // or purchase order's items
+    async notifyItemAvailability(items) {
+        const changed = new Map();
+        for (const item of items) {
+            const variantIds = changed.get(item.product_id) || [];
+            if (item.variant_id) {
+                variantIds.push(item.variant_id);
+            }
+            changed.set(item.product_id, variantIds);
+        }
+
+        for (const [productId, variantIds] of changed) {
+            await this.stockReservationService.notifyAvailability(productId, variantIds);
+        }
+    }
+
+    // Suppliers, reorder rules and purchase orders
+    getSuppliers = async (req, res) => {
+        try {
+            const suppliers = await this.purchaseOrderService.getSuppliers({ includeInactive: true });
+
+            res.json({
+                success: true,
+                data: { suppliers },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get suppliers failed', {
+                error: error.message,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to fetch suppliers',
+                code: 'SUPPLIERS_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    createSupplier = async (req, res) => {
+        try {
+            const supplier = await this.purchaseOrderService.createSupplier(req.validatedData);
+
+            logger.info('Supplier created successfully', {
+                supplierId: supplier.id,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Supplier created successfully',
+                data: { supplier },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Create supplier failed', {
+                error: error.message,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('already exists') ? 409 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to create supplier' : error.message,
+                code: statusCode === 409 ? 'SUPPLIER_CONFLICT' : 'SUPPLIER_CREATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    updateSupplier = async (req, res) => {
+        try {
+            const { supplierId } = req.params;
+            const supplier = await this.purchaseOrderService.updateSupplier(supplierId, req.validatedData);
+
+            logger.info('Supplier updated successfully', {
+                supplierId,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Supplier updated successfully',
+                data: { supplier },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Update supplier failed', {
+                error: error.message,
+                supplierId: req.params.supplierId,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message.includes('already exists') ? 409 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to update supplier' : error.message,
+                code: statusCode === 404 ? 'SUPPLIER_NOT_FOUND' :
+                    statusCode === 409 ? 'SUPPLIER_CONFLICT' : 'SUPPLIER_UPDATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    getReorderRule = async (req, res) => {
+        try {
+            const reorderRule = await this.purchaseOrderService.getReorderRule(req.params.productId);
+
+            res.json({
+                success: true,
+                data: { reorderRule },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get reorder rule failed', {
+                error: error.message,
+                productId: req.params.productId,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to fetch reorder rule',
+                code: 'REORDER_RULE_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    setReorderRule = async (req, res) => {
+        try {
+            const { productId } = req.params;
+            const reorderRule = await this.purchaseOrderService.setReorderRule(productId, req.validatedData);
+
+            logger.info('Reorder rule saved successfully', {
+                productId,
+                supplierId: reorderRule.supplier_id,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Reorder rule saved successfully',
+                data: { reorderRule },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Save reorder rule failed', {
+                error: error.message,
+                productId: req.params.productId,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to save reorder rule' : error.message,
+                code: statusCode === 404 ? 'NOT_FOUND' : 'REORDER_RULE_SAVE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    removeReorderRule = async (req, res) => {
+        try {
+            const { productId } = req.params;
+            await this.purchaseOrderService.removeReorderRule(productId);
+
+            logger.info('Reorder rule removed successfully', {
+                productId,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Reorder rule removed successfully',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Remove reorder rule failed', {
+                error: error.message,
+                productId: req.params.productId,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to remove reorder rule' : error.message,
+                code: statusCode === 404 ? 'REORDER_RULE_NOT_FOUND' : 'REORDER_RULE_REMOVE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    getPurchaseOrders = async (req, res) => {
+        try {
+            const result = await this.purchaseOrderService.getPurchaseOrders(req.validatedQuery);
+
+            res.json({
+                success: true,
+                data: result,
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get purchase orders failed', {
+                error: error.message,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to fetch purchase orders',
+                code: 'PURCHASE_ORDERS_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    getPurchaseOrder = async (req, res) => {
+        try {
+            const purchaseOrder = await this.purchaseOrderService.getPurchaseOrderById(req.params.purchaseOrderId);
+
+            res.json({
+                success: true,
+                data: { purchaseOrder },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get purchase order failed', {
+                error: error.message,
+                purchaseOrderId: req.params.purchaseOrderId,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to fetch purchase order' : error.message,
+                code: statusCode === 404 ? 'PURCHASE_ORDER_NOT_FOUND' : 'PURCHASE_ORDER_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    createPurchaseOrder = async (req, res) => {
+        try {
+            const purchaseOrder = await this.purchaseOrderService.createPurchaseOrder(req.validatedData, req.user.userId);
+
+            logger.info('Purchase order created successfully', {
+                purchaseOrderId: purchaseOrder.id,
+                poNumber: purchaseOrder.po_number,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Purchase order created successfully',
+                data: { purchaseOrder },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Create purchase order failed', {
+                error: error.message,
+                purchaseOrderData: req.validatedData,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message.includes('Choose a variant') ? 400 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to create purchase order' : error.message,
+                code: statusCode === 404 ? 'NOT_FOUND' :
+                    statusCode === 400 ? 'INVALID_PURCHASE_ORDER' : 'PURCHASE_ORDER_CREATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    updatePurchaseOrder = async (req, res) => {
+        await this.changePurchaseOrder(req, res, 'update');
+    };
+
+    sendPurchaseOrder = async (req, res) => {
+        await this.changePurchaseOrder(req, res, 'send');
+    };
+
+    cancelPurchaseOrder = async (req, res) => {
+        await this.changePurchaseOrder(req, res, 'cancel');
+    };
+
+    receivePurchaseOrder = async (req, res) => {
+        await this.changePurchaseOrder(req, res, 'receive');
+    };
+
+    async changePurchaseOrder(req, res, action) {
+        try {
+            const { purchaseOrderId } = req.params;
+            const adminId = req.user.userId;
+            const purchaseOrder = action === 'update'
+                ? await this.purchaseOrderService.updatePurchaseOrder(purchaseOrderId, req.validatedData, adminId)
+                : action === 'send'
+                    ? await this.purchaseOrderService.sendPurchaseOrder(purchaseOrderId, adminId)
+                    : action === 'cancel'
+                        ? await this.purchaseOrderService.cancelPurchaseOrder(purchaseOrderId, adminId)
+                        : await this.purchaseOrderService.receivePurchaseOrder(purchaseOrderId, req.validatedData, adminId);
+
+            if (action === 'receive') {
+                const receivedIds = req.validatedData.items.map(item => item.itemId);
+                await this.notifyItemAvailability(purchaseOrder.items.filter(item => receivedIds.includes(item.id)));
+            }
+
+            logger.info('Purchase order changed successfully', {
+                purchaseOrderId,
+                action,
+                status: purchaseOrder.status,
+                adminId,
+                correlationId: req.correlationId
+            });
+
+            const messages = {
+                update: 'Purchase order updated successfully',
+                send: 'Purchase order sent successfully',
+                cancel: 'Purchase order cancelled successfully',
+                receive: 'Purchase order stock received successfully'
+            };
+
+            res.json({
+                success: true,
+                message: messages[action],
+                data: { purchaseOrder },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Change purchase order failed', {
+                error: error.message,
+                params: req.params,
+                action,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message.includes('cannot be') ||
+                    error.message.includes('still to be received') ||
+                    error.message.includes('Choose a variant') ||
+                    error.message.includes('Add at least one item') ? 400 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to update purchase order' : error.message,
+                code: statusCode === 404 ? 'NOT_FOUND' :
+                    statusCode === 400 ? 'INVALID_PURCHASE_ORDER' : 'PURCHASE_ORDER_UPDATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    }
+
+    exportPurchaseOrder = async (req, res) => {
+        try {
+            const { purchaseOrderId } = req.params;
+            const { format } = req.validatedQuery;
+            const { filename, contentType, content } = await this.documentService.getPurchaseOrderDocument(purchaseOrderId, format);
+
+            logger.info('Purchase order exported', {
+                purchaseOrderId,
+                format,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.type(contentType);
+            res.set('Content-Disposition', `attachment; filename="${filename}"`);
+            res.send(content);
+        } catch (error) {
+            logger.error('Export purchase order failed', {
+                error: error.message,
+                purchaseOrderId: req.params.purchaseOrderId,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to export purchase order' : error.message,
+                code: statusCode === 404 ? 'PURCHASE_ORDER_NOT_FOUND' : 'PURCHASE_ORDER_EXPORT_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Run the reorder check now rather than wait for the sweep
+    draftReorders = async (req, res) => {
+        try {
+            const drafts = await this.purchaseOrderService.draftReorders();
+
+            logger.info('Reorder check run by admin', {
+                drafts: drafts.length,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: drafts.length > 0 ? 'Purchase orders drafted for low stock' : 'Nothing needs reordering',
+                data: { drafts },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Reorder check failed', {
+                error: error.message,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to check stock for reordering',
+                code: 'REORDER_CHECK_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Courier Shipments
+    getCouriers = async (req, res) => {
+        res.json({
+            success: true,
+            data: { couriers: this.shipmentService.getCouriers() },
+            timestamp: new Date().toISOString(),
+            correlationId: req.correlationId
+        });
+    };
+
+    getOrderShipments = async (req, res) => {
+        try {
+            const { orderId } = req.params;
+            const [shipments, unshippedItems] = await Promise.all([
+                this.shipmentService.getOrderShipments(orderId),
+                this.shipmentService.getUnshippedItems(orderId)
+            ]);
+
+            res.json({
+                success: true,
+                data: { shipments, unshippedItems },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get order shipments failed', {
+                error: error.message,
+                orderId: req.params.orderId,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to fetch order shipments',
+                code: 'SHIPMENTS_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    createShipment = async (req, res) => {
+        try {
+            const { orderId } = req.params;
+            const result = await this.shipmentService.createShipment(orderId, req.validatedData, req.user.userId);
+
+            this.notifyTrackingUpdate(result);
+
+            logger.info('Shipment created successfully', {
+                orderId,
+                shipmentId: result.shipment.id,
+                courier: result.shipment.courier,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Consignment booked successfully',
+                data: { shipment: result.shipment, order: result.order },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Create shipment failed', {
+                error: error.message,
+                orderId: req.params.orderId,
+                shipmentData: req.validatedData,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('Order not found') ? 404 :
+                error.message.includes('already in a shipment') ? 409 :
+                    error.message.includes('already exists') ? 409 :
+                        error.message.includes('Cannot ship') ? 400 :
+                            error.message.includes('can still be shipped') ? 400 :
+                                error.message.includes('Order item') ? 400 :
+                                    error.message.includes('must be paid') ? 400 :
+                                        error.message.includes('missing a phone') ? 400 :
+                                            error.message.includes('not configured') ? 400 :
+                                                error.message.includes('does not deliver') ? 400 :
+                                                    error.message.includes('failed') ? 502 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to create shipment' : error.message,
+                code: statusCode === 404 ? 'ORDER_NOT_FOUND' :
+                    statusCode === 409 ? 'SHIPMENT_EXISTS' :
+                        statusCode === 400 ? 'SHIPMENT_NOT_ALLOWED' :
+                            statusCode === 502 ? 'COURIER_REQUEST_FAILED' : 'SHIPMENT_CREATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    refreshShipmentTracking = async (req, res) => {
+        try {
+            const { shipmentId } = req.params;
+            const result = await this.shipmentService.refreshTracking(shipmentId);
+
+            if (!result.duplicate) {
+                this.notifyTrackingUpdate(result);
+            }
+
+            res.json({
+                success: true,
+                message: result.duplicate ? 'Tracking is up to date' : 'Tracking updated',
+                data: { shipment: result.shipment, order: result.order },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Refresh shipment tracking failed', {
+                error: error.message,
+                shipmentId: req.params.shipmentId,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('Shipment not found') ? 404 :
+                error.message.includes('failed') ? 502 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to refresh shipment tracking' : error.message,
+                code: statusCode === 404 ? 'SHIPMENT_NOT_FOUND' :
+                    statusCode === 502 ? 'COURIER_REQUEST_FAILED' : 'SHIPMENT_REFRESH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    notifyTrackingUpdate({ shipment, event, order }) {
+        if (this.webSocketService && order?.user_id) {
+            this.webSocketService.notifyOrderUpdate(order.user_id, {
+                ...order,
+                tracking: this.shipmentService.toTrackingUpdate(shipment, event)
+            });
+        }
+    }
+
     // System Management
     getSystemConfig = async (req, res) => {
         try {
@@ -1,6 +1,8 @@
 const UserService = require('../services/userService');
+const GuestCartService = require('../services/guestCartService');
 const { validate, registerSchema, loginSchema, passwordResetRequestSchema, passwordResetSchema, emailVerificationSchema, changePasswordSchema } = require('../auth/validation');
 const logger = require('../logger');
+const { SUPPORTED_LOCALES, normalizeLocale } = require('../locale');
 const rateLimit = require('express-rate-limit');
 
 // Rate limiting for auth endpoints
@@ -27,21 +29,44 @@ const passwordResetLimiter = rateLimit({
 class AuthController {
     constructor(dbPool, redisPool, webSocketService = null, emailService = null) {
         this.userService = new UserService(dbPool, redisPool);
+        this.guestCartService = new GuestCartService(dbPool, redisPool);
         this.webSocketService = webSocketService;
         this.emailService = emailService;
     }
 
+    // Merge a guest cart sent in X-Cart-Token into the user's cart.
+    // A bad or expired token must never block login or registration.
+    mergeGuestCart = async (req, userId) => {
+        const cartToken = req.headers['x-cart-token'];
+        if (!cartToken) {
+            return null;
+        }
+
+        try {
+            return await this.guestCartService.mergeIntoUserCart(cartToken, userId);
+        } catch (error) {
+            logger.error('Guest cart merge failed', {
+                error: error.message,
+                userId,
+                correlationId: req.correlationId
+            });
+            return null;
+        }
+    };
+
     // User registration
     register = async (req, res) => {
         try {
-            const { email, password, firstName, lastName, phone } = req.validatedData;
+            const { email, password, firstName, lastName, phone, locale } = req.validatedData;
 
             const result = await this.userService.createUser({
                 email: email.toLowerCase(),
                 password,
                 firstName,
                 lastName,
-                phone
+                phone,
+                // Without an explicit choice, start in the browser's language
+                locale: locale || normalizeLocale(req.acceptsLanguages(...SUPPORTED_LOCALES))
             });
 
             // Send welcome email
@@ -62,6 +87,8 @@ class AuthController {
                 }
             }
 
+            const cartMerge = await this.mergeGuestCart(req, result.user.id);
+
             logger.info('User registration successful', {
                 userId: result.user.id,
                 email: result.user.email,
@@ -74,7 +101,8 @@ class AuthController {
                 data: {
                     user: result.user,
                     // In production, don't send verification token in response
-                    verificationToken: result.verificationToken
+                    verificationToken: result.verificationToken,
+                    cartMerge
                 },
                 timestamp: new Date().toISOString(),
                 correlationId: req.correlationId
@@ -103,6 +131,7 @@ class AuthController {
             const { email, password } = req.validatedData;
 
             const result = await this.userService.authenticateUser(email.toLowerCase(), password);
+            const cartMerge = await this.mergeGuestCart(req, result.user.id);
 
             logger.info('User login successful', {
                 userId: result.user.id,
@@ -115,7 +144,8 @@ class AuthController {
                 message: 'Login successful',
                 data: {
                     user: result.user,
-                    tokens: result.tokens
+                    tokens: result.tokens,
+                    cartMerge
                 },
                 timestamp: new Date().toISOString(),
                 correlationId: req.correlationId
@@ -387,6 +417,48 @@ class AuthController {
             });
         }
     };
+
+    // Update current user profile, including the storefront language
+    updateProfile = async (req, res) => {
+        try {
+            const { firstName, lastName, phone, locale } = req.validatedData;
+
+            const user = await this.userService.updateUser(req.user.userId, {
+                firstName,
+                lastName,
+                phone,
+                locale
+            });
+
+            logger.info('Profile update successful', {
+                userId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Profile updated successfully',
+                data: { user },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Profile update failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 404 ? error.message : 'Failed to update user profile',
+                code: statusCode === 404 ? 'USER_NOT_FOUND' : 'PROFILE_UPDATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
 }
 
 module.exports = { AuthController, authLimiter, passwordResetLimiter };
\ No newline at end of file
@@ -1,5 +1,7 @@
 const CartService = require('../services/cartService');
 const OrderService = require('../services/orderService');
+const ShipmentService = require('../services/shipmentService');
+const DocumentService = require('../services/documentService');
 const logger = require('../logger');
 const rateLimit = require('express-rate-limit');
 
@@ -26,6 +28,8 @@ class CartController {
     constructor(dbPool, redisPool, webSocketService = null, emailService = null) {
         this.cartService = new CartService(dbPool, redisPool);
         this.orderService = new OrderService(dbPool, redisPool);
+        this.shipmentService = new ShipmentService(dbPool, redisPool);
+        this.documentService = new DocumentService(dbPool, redisPool);
         this.webSocketService = webSocketService;
         this.emailService = emailService;
     }
@@ -69,9 +73,9 @@ class CartController {
     addToCart = async (req, res) => {
         try {
             const userId = req.user.userId;
-            const { productId, quantity } = req.validatedData;
+            const { productId, quantity, variantId } = req.validatedData;
 
-            const cartItem = await this.cartService.addToCart(userId, productId, quantity);
+            const cartItem = await this.cartService.addToCart(userId, productId, quantity, variantId || null);
 
             logger.info('Item added to cart successfully', {
                 userId,
@@ -98,7 +102,8 @@ class CartController {
 
             const statusCode = error.message.includes('not found') ? 404 :
                 error.message.includes('not available') ? 400 :
-                    error.message.includes('Insufficient stock') ? 400 : 500;
+                    error.message.includes('must be selected') ? 400 :
+                        error.message.includes('Insufficient stock') ? 400 : 500;
 
             res.status(statusCode).json({
                 error: error.message,
@@ -237,15 +242,28 @@ class CartController {
             const userId = req.user.userId;
             const orderData = req.validatedData;
 
-            // Validate cart before creating order
-            await this.cartService.validateCartForCheckout(userId);
+            // Validate and price the cart before creating order
+            await this.cartService.validateCartForCheckout(userId, {
+                shippingAddress: orderData.shippingAddress,
+                shippingAddressId: orderData.shippingAddressId,
+                couponCode: orderData.couponCode
+            });
 
             const order = await this.orderService.createOrder(userId, orderData);
 
             // Send order confirmation email
             if (this.emailService) {
                 try {
-                    await this.emailService.sendOrderConfirmationEmail(req.user, order);
+                    // The invoice is attached when it can be generated
+                    const invoice = await this.documentService.getInvoicePdf(order.id).catch((invoiceError) => {
+                        logger.error('Sending order confirmation without the invoice', {
+                            userId,
+                            orderId: order.id,
+                            error: invoiceError.message
+                        });
+                        return null;
+                    });
+                    await this.emailService.sendOrderConfirmationEmail(req.user, order, invoice);
                     logger.info('Order confirmation email sent', {
                         userId,
                         orderId: order.id,
@@ -294,7 +312,9 @@ class CartController {
 
             const statusCode = error.message.includes('Cart is empty') ? 400 :
                 error.message.includes('not available') ? 400 :
-                    error.message.includes('Insufficient stock') ? 400 : 500;
+                    error.message.includes('Insufficient stock') ? 400 :
+                        error.message.includes('Coupon cannot be applied') ? 400 :
+                            error.message.includes('Address not found') ? 400 : 500;
 
             res.status(statusCode).json({
                 error: error.message,
@@ -305,6 +325,41 @@ class CartController {
         }
     };
 
+    // Cash on delivery fee and availability for the current cart
+    getCodQuote = async (req, res) => {
+        try {
+            const userId = req.user.userId;
+            const { division } = req.validatedQuery;
+
+            const cart = await this.cartService.getCart(userId);
+            const quote = await this.orderService.codService.quote({
+                userId,
+                division,
+                subtotal: cart.summary.totalAmount
+            });
+
+            res.json({
+                success: true,
+                data: { quote },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('COD quote failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to calculate cash on delivery fee',
+                code: 'COD_QUOTE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
     // Get user's orders
     getOrders = async (req, res) => {
         try {
@@ -384,6 +439,69 @@ class CartController {
         }
     };
 
+    // Courier shipments and tracking history for one of the user's orders
+    getOrderTracking = async (req, res) => {
+        try {
+            const userId = req.user.userId;
+            const { orderId } = req.params;
+
+            const tracking = await this.shipmentService.getCustomerTracking(userId, orderId);
+
+            res.json({
+                success: true,
+                data: tracking,
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get order tracking failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                orderId: req.params.orderId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to fetch order tracking' : error.message,
+                code: statusCode === 404 ? 'ORDER_NOT_FOUND' : 'ORDER_TRACKING_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Invoice PDF for one of the customer's orders
+    getOrderInvoice = async (req, res) => {
+        try {
+            const userId = req.user.userId;
+            const { orderId } = req.params;
+
+            const { invoiceNumber, pdf } = await this.documentService.getInvoicePdf(orderId, userId);
+
+            res.type('application/pdf');
+            res.set('Content-Disposition', `attachment; filename="${invoiceNumber}.pdf"`);
+            res.send(pdf);
+        } catch (error) {
+            logger.error('Get order invoice failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                orderId: req.params.orderId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to generate invoice' : error.message,
+                code: statusCode === 404 ? 'ORDER_NOT_FOUND' : 'INVOICE_GENERATION_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
     // Cancel order
     cancelOrder = async (req, res) => {
         try {
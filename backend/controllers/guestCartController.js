@@ -0,0 +1,280 @@
+const GuestCartService = require('../services/guestCartService');
+const OrderService = require('../services/orderService');
+const DocumentService = require('../services/documentService');
+const logger = require('../logger');
+const { SUPPORTED_LOCALES, normalizeLocale } = require('../locale');
+
+class GuestCartController {
+    constructor(dbPool, redisPool, webSocketService = null, emailService = null) {
+        this.guestCartService = new GuestCartService(dbPool, redisPool);
+        this.orderService = new OrderService(dbPool, redisPool);
+        this.documentService = new DocumentService(dbPool, redisPool);
+        this.webSocketService = webSocketService;
+        this.emailService = emailService;
+    }
+
+    // Issue a new guest cart token
+    createCart = async (req, res) => {
+        try {
+            const { cartId, cartToken } = this.guestCartService.createCart();
+            const cart = await this.guestCartService.getCart(cartId);
+
+            res.status(201).json({
+                success: true,
+                message: 'Guest cart created successfully',
+                data: { cartToken, cart },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Create guest cart failed', {
+                error: error.message,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to create guest cart',
+                code: 'GUEST_CART_CREATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Get guest cart contents
+    getCart = async (req, res) => {
+        try {
+            const cart = await this.guestCartService.getCart(req.guestCartId);
+
+            res.json({
+                success: true,
+                data: { cart },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get guest cart failed', {
+                error: error.message,
+                cartId: req.guestCartId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to fetch cart',
+                code: 'CART_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Add item to guest cart
+    addToCart = async (req, res) => {
+        try {
+            const { productId, quantity, variantId } = req.validatedData;
+            const cartItem = await this.guestCartService.addToCart(req.guestCartId, productId, quantity, variantId || null);
+
+            res.status(201).json({
+                success: true,
+                message: 'Item added to cart successfully',
+                data: { cartItem },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Add to guest cart failed', {
+                error: error.message,
+                cartId: req.guestCartId,
+                productData: req.validatedData,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message.includes('not available') ? 400 :
+                    error.message.includes('must be selected') ? 400 :
+                        error.message.includes('Insufficient stock') ? 400 :
+                            error.message.includes('unavailable') ? 503 : 500;
+
+            res.status(statusCode).json({
+                error: error.message,
+                code: statusCode === 404 ? 'PRODUCT_NOT_FOUND' :
+                    statusCode === 400 ? 'INVALID_REQUEST' : 'ADD_TO_CART_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Update guest cart item quantity
+    updateCartItem = async (req, res) => {
+        try {
+            const productId = parseInt(req.params.productId);
+            const variantId = parseInt(req.query.variantId) || null;
+            const { quantity } = req.validatedData;
+            const cartItem = await this.guestCartService.updateCartItem(req.guestCartId, productId, quantity, variantId);
+
+            res.json({
+                success: true,
+                message: quantity > 0 ? 'Cart item updated successfully' : 'Item removed from cart successfully',
+                data: { cartItem },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Update guest cart item failed', {
+                error: error.message,
+                cartId: req.guestCartId,
+                productId: req.params.productId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message.includes('not available') ? 400 :
+                    error.message.includes('Insufficient stock') ? 400 :
+                        error.message.includes('unavailable') ? 503 : 500;
+
+            res.status(statusCode).json({
+                error: error.message,
+                code: statusCode === 404 ? 'CART_ITEM_NOT_FOUND' :
+                    statusCode === 400 ? 'INVALID_REQUEST' : 'UPDATE_CART_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Remove item from guest cart
+    removeFromCart = async (req, res) => {
+        try {
+            const productId = parseInt(req.params.productId);
+            const variantId = parseInt(req.query.variantId) || null;
+            const removedItem = await this.guestCartService.removeFromCart(req.guestCartId, productId, variantId);
+
+            res.json({
+                success: true,
+                message: 'Item removed from cart successfully',
+                data: { removedItem },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Remove from guest cart failed', {
+                error: error.message,
+                cartId: req.guestCartId,
+                productId: req.params.productId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: error.message,
+                code: statusCode === 404 ? 'CART_ITEM_NOT_FOUND' : 'REMOVE_FROM_CART_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Clear guest cart
+    clearCart = async (req, res) => {
+        try {
+            await this.guestCartService.clearCart(req.guestCartId);
+
+            res.json({
+                success: true,
+                message: 'Cart cleared successfully',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Clear guest cart failed', {
+                error: error.message,
+                cartId: req.guestCartId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to clear cart',
+                code: 'CLEAR_CART_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Place an order without an account
+    checkout = async (req, res) => {
+        try {
+            const { email, ...orderData } = req.validatedData;
+            const guestItems = await this.guestCartService.getItemList(req.guestCartId);
+
+            const order = await this.orderService.createGuestOrder(email.toLowerCase(), guestItems, {
+                ...orderData,
+                locale: orderData.locale || normalizeLocale(req.acceptsLanguages(...SUPPORTED_LOCALES))
+            });
+
+            await this.guestCartService.clearCart(req.guestCartId);
+
+            // Send order confirmation email
+            if (this.emailService) {
+                try {
+                    // The invoice is attached when it can be generated
+                    const invoice = await this.documentService.getInvoicePdf(order.id).catch((invoiceError) => {
+                        logger.error('Sending guest order confirmation without the invoice', {
+                            orderId: order.id,
+                            error: invoiceError.message
+                        });
+                        return null;
+                    });
+                    await this.emailService.sendOrderConfirmationEmail({
+                        email: order.guest_email,
+                        first_name: orderData.shippingAddress.firstName
+                    }, order, invoice);
+                } catch (emailError) {
+                    logger.error('Failed to send guest order confirmation email', {
+                        orderId: order.id,
+                        error: emailError.message
+                    });
+                    // Don't fail order creation if email fails
+                }
+            }
+
+            logger.info('Guest order created successfully', {
+                orderId: order.id,
+                orderNumber: order.order_number,
+                totalAmount: order.total_amount,
+                correlationId: req.correlationId
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Order created successfully',
+                data: { order },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Guest checkout failed', {
+                error: error.message,
+                cartId: req.guestCartId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('Cart is empty') ? 400 :
+                error.message.includes('not available') ? 400 :
+                    error.message.includes('Insufficient stock') ? 400 :
+                        error.message.includes('Coupon cannot be applied') ? 400 :
+                            error.message.includes('not found') ? 400 : 500;
+
+            res.status(statusCode).json({
+                error: error.message,
+                code: statusCode === 400 ? 'INVALID_REQUEST' : 'ORDER_CREATION_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+}
+
+module.exports = { GuestCartController };
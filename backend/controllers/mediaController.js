@@ -0,0 +1,285 @@
+const MediaService = require('../services/mediaService');
+const ProductImageService = require('../services/productImageService');
+const ReviewMediaService = require('../services/reviewMediaService');
+const logger = require('../logger');
+const rateLimit = require('express-rate-limit');
+
+// Rate limiting for media endpoints
+const mediaLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // limit each IP to 100 requests per windowMs
+    message: {
+        error: 'Too many media requests, please try again later',
+        code: 'RATE_LIMIT_EXCEEDED'
+    }
+});
+
+const mediaUploadLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 30, // limit each IP to 30 uploads per hour; each one is resized three times
+    message: {
+        error: 'Too many uploads, please try again later',
+        code: 'RATE_LIMIT_EXCEEDED'
+    }
+});
+
+const uploadErrorStatus = (error) => error.message.includes('not found') ? 404 :
+    error.message.includes('at most') ||
+        error.message.includes('not a supported image') ||
+        error.message.includes('Image order') ? 400 : 500;
+
+class MediaController {
+    constructor(dbPool, redisPool, webSocketService = null, emailService = null) {
+        const mediaService = new MediaService();
+        this.productImageService = new ProductImageService(dbPool, redisPool, mediaService);
+        this.reviewMediaService = new ReviewMediaService(dbPool, redisPool, mediaService);
+        this.webSocketService = webSocketService;
+        this.emailService = emailService;
+    }
+
+    // Upload images to a product's gallery (admin only)
+    uploadProductImages = async (req, res) => {
+        try {
+            const { productId } = req.params;
+            const images = await this.productImageService.addImages(productId, req.files, req.validatedData);
+
+            logger.info('Product images uploaded successfully', {
+                productId,
+                uploaded: req.files.length,
+                uploadedBy: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Images uploaded successfully',
+                data: { images },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Product image upload failed', {
+                error: error.message,
+                productId: req.params.productId,
+                uploadedBy: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = uploadErrorStatus(error);
+
+            res.status(statusCode).json({
+                error: error.message,
+                code: statusCode === 404 ? 'PRODUCT_NOT_FOUND' :
+                    statusCode === 400 ? 'INVALID_UPLOAD' : 'IMAGE_UPLOAD_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Update alt text or make an image primary (admin only)
+    updateProductImage = async (req, res) => {
+        try {
+            const { productId, imageId } = req.params;
+            const images = await this.productImageService.updateImage(productId, imageId, req.validatedData);
+
+            logger.info('Product image updated successfully', {
+                productId,
+                imageId,
+                updatedBy: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Image updated successfully',
+                data: { images },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Product image update failed', {
+                error: error.message,
+                productId: req.params.productId,
+                imageId: req.params.imageId,
+                updatedBy: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: error.message,
+                code: statusCode === 404 ? 'IMAGE_NOT_FOUND' : 'IMAGE_UPDATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Reorder a product's gallery (admin only)
+    reorderProductImages = async (req, res) => {
+        try {
+            const { productId } = req.params;
+            const images = await this.productImageService.reorderImages(productId, req.validatedData.imageIds);
+
+            logger.info('Product images reordered successfully', {
+                productId,
+                updatedBy: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Images reordered successfully',
+                data: { images },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Product image reorder failed', {
+                error: error.message,
+                productId: req.params.productId,
+                updatedBy: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = uploadErrorStatus(error);
+
+            res.status(statusCode).json({
+                error: error.message,
+                code: statusCode === 400 ? 'INVALID_IMAGE_ORDER' : 'IMAGE_REORDER_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Remove an image and its stored renditions (admin only)
+    deleteProductImage = async (req, res) => {
+        try {
+            const { productId, imageId } = req.params;
+            const images = await this.productImageService.deleteImage(productId, imageId);
+
+            logger.info('Product image deleted successfully', {
+                productId,
+                imageId,
+                deletedBy: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Image deleted successfully',
+                data: { images },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Product image deletion failed', {
+                error: error.message,
+                productId: req.params.productId,
+                imageId: req.params.imageId,
+                deletedBy: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: error.message,
+                code: statusCode === 404 ? 'IMAGE_NOT_FOUND' : 'IMAGE_DELETION_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Attach photos to the current user's review
+    uploadReviewPhotos = async (req, res) => {
+        try {
+            const { reviewId } = req.params;
+            const userId = req.user.userId;
+            const media = await this.reviewMediaService.addPhotos(reviewId, userId, req.files, req.validatedData);
+
+            logger.info('Review photos uploaded successfully', {
+                reviewId,
+                uploaded: req.files.length,
+                userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Photos uploaded successfully',
+                data: { media },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Review photo upload failed', {
+                error: error.message,
+                reviewId: req.params.reviewId,
+                userId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = uploadErrorStatus(error);
+
+            res.status(statusCode).json({
+                error: error.message,
+                code: statusCode === 404 ? 'REVIEW_NOT_FOUND' :
+                    statusCode === 400 ? 'INVALID_UPLOAD' : 'PHOTO_UPLOAD_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Remove a review photo (its author or an admin)
+    deleteReviewPhoto = async (req, res) => {
+        try {
+            const { reviewId, mediaId } = req.params;
+            const userId = req.user.userId;
+            const media = await this.reviewMediaService.deletePhoto(reviewId, mediaId, userId, req.user.role === 'admin');
+
+            logger.info('Review photo deleted successfully', {
+                reviewId,
+                mediaId,
+                userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Photo deleted successfully',
+                data: { media },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Review photo deletion failed', {
+                error: error.message,
+                reviewId: req.params.reviewId,
+                mediaId: req.params.mediaId,
+                userId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: error.message,
+                code: statusCode === 404 ? 'PHOTO_NOT_FOUND' : 'PHOTO_DELETION_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+}
+
+module.exports = {
+    MediaController,
+    mediaLimiter,
+    mediaUploadLimiter
+};
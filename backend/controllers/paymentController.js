@@ -50,12 +50,8 @@ class PaymentController {
                 });
             }
 
-            const paymentIntent = await this.paymentService.createPaymentIntent(
-                orderId,
-                order.total_amount,
-                currency,
-                metadata
-            );
+            const payment = await this.paymentService.initiatePayment(orderId, 'stripe', { currency, metadata });
+            const paymentIntent = this.toPaymentIntent(payment);
 
             logger.info('Payment intent created successfully', {
                 userId,
@@ -81,7 +77,8 @@ class PaymentController {
 
             const statusCode = error.message.includes('not found') ? 404 :
                 error.message.includes('already paid') ? 400 :
-                    error.message.includes('cancelled') ? 400 : 500;
+                    error.message.includes('cancelled') ? 400 :
+                        error.message.includes('Insufficient stock') ? 400 : 500;
 
             res.status(statusCode).json({
                 error: error.message,
@@ -141,10 +138,14 @@ class PaymentController {
     enhancedCheckout = async (req, res) => {
         try {
             const userId = req.user.userId;
-            const { paymentMethod, paymentMethodId, currency, ...orderData } = req.validatedData;
+            const { paymentMethod, paymentProvider, paymentMethodId, currency, ...orderData } = req.validatedData;
 
-            // Validate cart before creating order
-            await this.cartService.validateCartForCheckout(userId);
+            // Validate and price the cart before creating order
+            await this.cartService.validateCartForCheckout(userId, {
+                shippingAddress: orderData.shippingAddress,
+                shippingAddressId: orderData.shippingAddressId,
+                couponCode: orderData.couponCode
+            });
 
             // Create order
             const order = await this.orderService.createOrder(userId, {
@@ -153,6 +154,7 @@ class PaymentController {
             });
 
             let paymentIntent = null;
+            let payment = null;
 
             // Create payment intent for card payments
             if (paymentMethod === 'stripe_card') {
@@ -165,12 +167,11 @@ class PaymentController {
                     });
                 }
 
-                paymentIntent = await this.paymentService.createPaymentIntent(
-                    order.id,
-                    order.total_amount,
-                    currency,
-                    { userId: userId.toString() }
-                );
+                payment = await this.paymentService.initiatePayment(order.id, 'stripe', { currency });
+                paymentIntent = this.toPaymentIntent(payment);
+            } else if (paymentProvider) {
+                // Hosted gateways hand back a redirect URL for the customer
+                payment = await this.paymentService.initiatePayment(order.id, paymentProvider, { currency });
             }
 
             logger.info('Enhanced checkout completed successfully', {
@@ -178,8 +179,9 @@ class PaymentController {
                 orderId: order.id,
                 orderNumber: order.order_number,
                 paymentMethod,
+                paymentProvider: payment?.provider,
                 totalAmount: order.total_amount,
-                paymentIntentId: paymentIntent?.paymentIntentId,
+                transactionId: payment?.transactionId,
                 correlationId: req.correlationId
             });
 
@@ -188,7 +190,8 @@ class PaymentController {
                 message: 'Checkout completed successfully',
                 data: {
                     order,
-                    paymentIntent
+                    paymentIntent,
+                    payment
                 },
                 timestamp: new Date().toISOString(),
                 correlationId: req.correlationId
@@ -203,7 +206,10 @@ class PaymentController {
 
             const statusCode = error.message.includes('Cart is empty') ? 400 :
                 error.message.includes('not available') ? 400 :
-                    error.message.includes('Insufficient stock') ? 400 : 500;
+                    error.message.includes('Insufficient stock') ? 400 :
+                        error.message.includes('Address not found') ? 400 :
+                            error.message.includes('Coupon cannot be applied') ? 400 :
+                                error.message.includes('not configured') ? 400 : 500;
 
             res.status(statusCode).json({
                 error: error.message,
@@ -302,7 +308,8 @@ class PaymentController {
 
             const statusCode = error.message.includes('not found') ? 404 :
                 error.message.includes('not in paid status') ? 400 :
-                    error.message.includes('No payment intent') ? 400 : 500;
+                    error.message.includes('exceeds the refundable balance') ? 400 :
+                        error.message.includes('No payment transaction') ? 400 : 500;
 
             res.status(statusCode).json({
                 error: error.message,
@@ -317,7 +324,8 @@ class PaymentController {
     // Handle Stripe webhooks
     handleWebhook = async (req, res) => {
         try {
-            const payload = req.body;
+            // Signature verification needs the body exactly as Stripe sent it
+            const payload = req.rawBody || req.body;
             const signature = req.stripeSignature;
 
             const result = await this.paymentService.handleWebhook(payload, signature);
@@ -344,6 +352,147 @@ class PaymentController {
         }
     };
 
+    // List the payment providers that are configured for checkout
+    getProviders = async (req, res) => {
+        res.json({
+            success: true,
+            data: { providers: this.paymentService.getAvailableProviders() },
+            timestamp: new Date().toISOString(),
+            correlationId: req.correlationId
+        });
+    };
+
+    // Start a payment for an existing order with the chosen provider
+    initiatePayment = async (req, res) => {
+        try {
+            const { provider } = req.params;
+            const { orderId, currency, metadata } = req.validatedData;
+            const userId = req.user.userId;
+
+            // Verify order belongs to user
+            const order = await this.orderService.getOrderById(userId, orderId);
+
+            if (!order) {
+                return res.status(404).json({
+                    error: 'Order not found',
+                    code: 'ORDER_NOT_FOUND',
+                    timestamp: new Date().toISOString(),
+                    correlationId: req.correlationId
+                });
+            }
+
+            const payment = await this.paymentService.initiatePayment(orderId, provider, { currency, metadata });
+
+            logger.info('Payment initiated successfully', {
+                userId,
+                orderId,
+                provider,
+                transactionId: payment.transactionId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                data: { payment },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Initiate payment failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                provider: req.params.provider,
+                orderData: req.validatedData,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('Order not found') ? 404 :
+                error.message.includes('Unsupported payment provider') ? 400 :
+                    error.message.includes('not configured') ? 400 :
+                        error.message.includes('only supports') ? 400 :
+                            error.message.includes('already paid') ? 400 :
+                                error.message.includes('cancelled') ? 400 :
+                                    error.message.includes('Insufficient stock') ? 400 : 502;
+
+            res.status(statusCode).json({
+                error: error.message,
+                code: statusCode === 404 ? 'ORDER_NOT_FOUND' :
+                    statusCode === 400 ? 'INVALID_REQUEST' : 'PAYMENT_INITIATION_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Customer returning from a provider's hosted page; always redirects to the storefront
+    handleCallback = async (req, res) => {
+        const { provider } = req.params;
+        const params = req.method === 'GET' ? req.query : req.body;
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+
+        try {
+            const result = await this.paymentService.handleCallback(provider, params);
+            const orderId = result.order?.id || result.transaction.order_id;
+
+            this.notifyPaymentResult(result);
+
+            res.redirect(`${frontendUrl}/order-success?orderId=${orderId}&payment=${result.status}`);
+        } catch (error) {
+            logger.error('Payment callback failed', {
+                error: error.message,
+                provider,
+                correlationId: req.correlationId
+            });
+
+            res.redirect(`${frontendUrl}/checkout?payment=error`);
+        }
+    };
+
+    // Server-to-server payment notification
+    handleIpn = async (req, res) => {
+        const { provider } = req.params;
+
+        try {
+            const payload = provider === 'stripe' ? req.rawBody || req.body : req.body;
+            const result = await this.paymentService.handleIpn(provider, payload, req.headers);
+
+            if (result) {
+                this.notifyPaymentResult(result);
+            }
+
+            res.json({ received: true });
+        } catch (error) {
+            logger.error('Payment notification failed', {
+                error: error.message,
+                provider,
+                correlationId: req.correlationId
+            });
+
+            res.status(400).json({
+                error: 'Payment notification processing failed',
+                code: 'IPN_PROCESSING_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    notifyPaymentResult({ order }) {
+        if (this.webSocketService && order?.user_id) {
+            this.webSocketService.notifyOrderUpdate(order.user_id, order);
+        }
+    }
+
+    // Legacy response shape of /create-payment-intent
+    toPaymentIntent(payment) {
+        return {
+            clientSecret: payment.clientSecret,
+            paymentIntentId: payment.transactionId,
+            amount: Math.round(payment.amount * 100),
+            currency: payment.currency
+        };
+    }
+
     // Create Stripe customer (for saved payment methods)
     createCustomer = async (req, res) => {
         try {
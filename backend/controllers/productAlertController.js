@@ -0,0 +1,132 @@
+const ProductAlertService = require('../services/productAlertService');
+const logger = require('../logger');
+const rateLimit = require('express-rate-limit');
+
+// Rate limiting for product alert endpoints
+const productAlertLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // limit each IP to 100 requests per windowMs
+    message: {
+        error: 'Too many alert requests, please try again later',
+        code: 'RATE_LIMIT_EXCEEDED'
+    }
+});
+
+class ProductAlertController {
+    constructor(dbPool, redisPool, webSocketService = null, emailService = null) {
+        this.productAlertService = new ProductAlertService(dbPool, emailService, webSocketService);
+    }
+
+    // Get the user's waiting alerts, optionally for one product
+    getAlerts = async (req, res) => {
+        try {
+            const userId = req.user.userId;
+            const alerts = await this.productAlertService.getAlerts(userId, req.validatedQuery || {});
+
+            res.json({
+                success: true,
+                data: { alerts },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get product alerts failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to fetch alerts',
+                code: 'ALERTS_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Subscribe to a back-in-stock or price-drop alert
+    createAlert = async (req, res) => {
+        try {
+            const userId = req.user.userId;
+            const alert = await this.productAlertService.createAlert(userId, req.validatedData);
+
+            logger.info('Product alert created successfully', {
+                userId,
+                alertId: alert.id,
+                kind: alert.kind,
+                correlationId: req.correlationId
+            });
+
+            res.status(201).json({
+                success: true,
+                message: alert.kind === 'price_drop' ?
+                    'We will let you know when the price drops' :
+                    'We will let you know when it is back in stock',
+                data: { alert },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Create product alert failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                alertData: req.validatedData,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message.includes('in stock') || error.message.includes('Target price') ? 400 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to create alert' : error.message,
+                code: statusCode === 404 ? 'PRODUCT_NOT_FOUND' :
+                    statusCode === 400 ? 'INVALID_REQUEST' : 'CREATE_ALERT_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Unsubscribe from an alert
+    deleteAlert = async (req, res) => {
+        try {
+            const userId = req.user.userId;
+            const { alertId } = req.params;
+
+            const alert = await this.productAlertService.deleteAlert(userId, alertId);
+
+            logger.info('Product alert deleted successfully', {
+                userId,
+                alertId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Alert removed successfully',
+                data: { alert },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Delete product alert failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                alertId: req.params.alertId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 404 ? error.message : 'Failed to remove alert',
+                code: statusCode === 404 ? 'ALERT_NOT_FOUND' : 'DELETE_ALERT_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+}
+
+module.exports = { ProductAlertController, productAlertLimiter };
@@ -1,5 +1,6 @@
 const ProductService = require('../services/productService');
 const CategoryService = require('../services/categoryService');
+const StockReservationService = require('../services/stockReservationService');
 const logger = require('../logger');
 const rateLimit = require('express-rate-limit');
 
@@ -26,6 +27,7 @@ class ProductController {
     constructor(dbPool, redisPool, webSocketService = null, emailService = null) {
         this.productService = new ProductService(dbPool, redisPool);
         this.categoryService = new CategoryService(dbPool, redisPool);
+        this.stockReservationService = new StockReservationService(dbPool, redisPool, webSocketService);
         this.webSocketService = webSocketService;
         this.emailService = emailService;
     }
@@ -169,7 +171,7 @@ class ProductController {
                 }
             }
 
-            const product = await this.productService.createProduct(productData);
+            const product = await this.productService.createProduct(productData, req.user.userId);
 
             logger.info('Product created successfully', {
                 productId: product.id,
@@ -193,11 +195,13 @@ class ProductController {
                 correlationId: req.correlationId
             });
 
-            const statusCode = error.message.includes('already exists') ? 409 : 500;
+            const statusCode = error.message.includes('already exists') ? 409 :
+                error.message.includes('Tax class') ? 400 : 500;
 
             res.status(statusCode).json({
                 error: error.message,
-                code: statusCode === 409 ? 'PRODUCT_EXISTS' : 'PRODUCT_CREATION_FAILED',
+                code: statusCode === 409 ? 'PRODUCT_EXISTS' :
+                    statusCode === 400 ? 'INVALID_TAX_CLASS' : 'PRODUCT_CREATION_FAILED',
                 timestamp: new Date().toISOString(),
                 correlationId: req.correlationId
             });
@@ -223,7 +227,7 @@ class ProductController {
                 }
             }
 
-            const product = await this.productService.updateProduct(id, updateData);
+            const product = await this.productService.updateProduct(id, updateData, req.user.userId);
 
             logger.info('Product updated successfully', {
                 productId: product.id,
@@ -248,13 +252,15 @@ class ProductController {
                 correlationId: req.correlationId
             });
 
-            const statusCode = error.message.includes('not found') ? 404 :
-                error.message.includes('already exists') ? 409 : 500;
+            const statusCode = error.message.includes('Tax class') ? 400 :
+                error.message.includes('not found') ? 404 :
+                    error.message.includes('already exists') ? 409 : 500;
 
             res.status(statusCode).json({
                 error: error.message,
-                code: statusCode === 404 ? 'PRODUCT_NOT_FOUND' :
-                    statusCode === 409 ? 'PRODUCT_EXISTS' : 'PRODUCT_UPDATE_FAILED',
+                code: statusCode === 400 ? 'INVALID_TAX_CLASS' :
+                    statusCode === 404 ? 'PRODUCT_NOT_FOUND' :
+                        statusCode === 409 ? 'PRODUCT_EXISTS' : 'PRODUCT_UPDATE_FAILED',
                 timestamp: new Date().toISOString(),
                 correlationId: req.correlationId
             });
@@ -304,24 +310,27 @@ class ProductController {
     updateStock = async (req, res) => {
         try {
             const { id } = req.params;
-            const { quantity, operation } = req.validatedData;
+            const { quantity, operation, variantId, warehouseId, reason, note } = req.validatedData;
 
-            const product = await this.productService.updateStock(id, quantity, operation);
+            const product = await this.productService.updateStock(id, quantity, operation, variantId, warehouseId, {
+                kind: reason,
+                actor: 'admin',
+                createdBy: req.user.userId,
+                note: note || null
+            });
 
-            // Send real-time inventory update notification
-            if (this.webSocketService) {
-                await this.webSocketService.notifyInventoryUpdate(
-                    product.id,
-                    product.stock_quantity,
-                    10 // Low stock threshold
-                );
-            }
+            // Send real-time inventory update notification (sellable stock,
+            // less what unpaid checkouts hold)
+            await this.stockReservationService.notifyAvailability(product.id, product.variant ? [product.variant.id] : []);
 
             logger.info('Product stock updated successfully', {
                 productId: product.id,
+                variantId: product.variant?.id,
                 newStock: product.stock_quantity,
                 operation,
                 quantity,
+                warehouseId,
+                reason,
                 updatedBy: req.user.userId,
                 correlationId: req.correlationId
             });
@@ -334,7 +343,8 @@ class ProductController {
                         id: product.id,
                         name: product.name,
                         stock_quantity: product.stock_quantity
-                    }
+                    },
+                    variant: product.variant || null
                 },
                 timestamp: new Date().toISOString(),
                 correlationId: req.correlationId
@@ -348,7 +358,9 @@ class ProductController {
                 correlationId: req.correlationId
             });
 
-            const statusCode = error.message.includes('not found') ? 404 : 500;
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message.includes('per variant') ||
+                    error.message.includes('cannot take stock') ? 400 : 500;
 
             res.status(statusCode).json({
                 error: error.message,
@@ -359,6 +371,54 @@ class ProductController {
         }
     };
 
+    // Replace the product's options and variant matrix (admin only)
+    saveVariants = async (req, res) => {
+        try {
+            const { id } = req.params;
+            const result = await this.productService.saveVariants(id, req.validatedData, req.user.userId);
+            const product = await this.productService.getProductById(id);
+
+            // Variant stock may have changed along with the matrix
+            if (product) {
+                await this.stockReservationService.notifyAvailability(product.id);
+            }
+
+            logger.info('Product variants saved successfully', {
+                productId: id,
+                variantCount: result.variants.length,
+                updatedBy: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Product variants saved successfully',
+                data: result,
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Product variants save failed', {
+                error: error.message,
+                productId: req.params.id,
+                updatedBy: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message.includes('already exists') ? 409 :
+                    error.message.includes('Variant') ? 400 : 500;
+
+            res.status(statusCode).json({
+                error: error.message,
+                code: statusCode === 404 ? 'PRODUCT_NOT_FOUND' :
+                    statusCode === 409 ? 'VARIANT_SKU_EXISTS' : 'VARIANTS_SAVE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
     // Get all categories
     getCategories = async (req, res) => {
         try {
@@ -461,11 +521,13 @@ class ProductController {
                 correlationId: req.correlationId
             });
 
-            const statusCode = error.message.includes('already exists') ? 409 : 500;
+            const statusCode = error.message.includes('already exists') ? 409 :
+                error.message.includes('Tax class') ? 400 : 500;
 
             res.status(statusCode).json({
                 error: error.message,
-                code: statusCode === 409 ? 'CATEGORY_EXISTS' : 'CATEGORY_CREATION_FAILED',
+                code: statusCode === 409 ? 'CATEGORY_EXISTS' :
+                    statusCode === 400 ? 'INVALID_TAX_CLASS' : 'CATEGORY_CREATION_FAILED',
                 timestamp: new Date().toISOString(),
                 correlationId: req.correlationId
             });
@@ -503,13 +565,15 @@ class ProductController {
                 correlationId: req.correlationId
             });
 
-            const statusCode = error.message.includes('not found') ? 404 :
-                error.message.includes('already exists') ? 409 : 500;
+            const statusCode = error.message.includes('Tax class') ? 400 :
+                error.message.includes('not found') ? 404 :
+                    error.message.includes('already exists') ? 409 : 500;
 
             res.status(statusCode).json({
                 error: error.message,
-                code: statusCode === 404 ? 'CATEGORY_NOT_FOUND' :
-                    statusCode === 409 ? 'CATEGORY_EXISTS' : 'CATEGORY_UPDATE_FAILED',
+                code: statusCode === 400 ? 'INVALID_TAX_CLASS' :
+                    statusCode === 404 ? 'CATEGORY_NOT_FOUND' :
+                        statusCode === 409 ? 'CATEGORY_EXISTS' : 'CATEGORY_UPDATE_FAILED',
                 timestamp: new Date().toISOString(),
                 correlationId: req.correlationId
             });
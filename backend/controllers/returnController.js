@@ -0,0 +1,312 @@
+const ReturnService = require('../services/returnService');
+const logger = require('../logger');
+const rateLimit = require('express-rate-limit');
+
+// Rate limiting for return endpoints
+const returnLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // limit each IP to 100 requests per windowMs
+    message: {
+        error: 'Too many return requests, please try again later',
+        code: 'RATE_LIMIT_EXCEEDED'
+    }
+});
+
+const returnUploadLimiter = rateLimit({
+    windowMs: 60 * 60 * 1000, // 1 hour
+    max: 30, // each photo is resized three times
+    message: {
+        error: 'Too many uploads, please try again later',
+        code: 'RATE_LIMIT_EXCEEDED'
+    }
+});
+
+const returnErrorStatus = (error) => error.message.includes('not found') ? 404 :
+    error.message.includes('cannot be') ||
+        error.message.includes('can only be') ||
+        error.message.startsWith('Only') ||
+        error.message.includes('already been returned') ||
+        error.message.includes('at most') ||
+        error.message.includes('not a supported image') ||
+        error.message.includes('Not enough stock') ||
+        error.message.includes('refundable balance') ||
+        error.message.includes('not in paid status') ||
+        error.message.includes('No payment transaction') ||
+        error.message.includes('does not support refunds') ? 400 :
+        error.message.includes('failed') || error.message.includes('not confirmed') ? 502 : 500;
+
+const returnErrorCode = (statusCode, fallback) => statusCode === 404 ? 'RETURN_NOT_FOUND' :
+    statusCode === 400 ? 'INVALID_RETURN_REQUEST' :
+        statusCode === 502 ? 'REFUND_FAILED' : fallback;
+
+class ReturnController {
+    constructor(dbPool, redisPool, webSocketService = null, emailService = null) {
+        this.returnService = new ReturnService(dbPool, redisPool);
+        this.webSocketService = webSocketService;
+        this.emailService = emailService;
+    }
+
+    // Customer endpoints
+
+    createReturn = async (req, res) => {
+        try {
+            const userId = req.user.userId;
+            const returnRequest = await this.returnService.createReturn(userId, req.validatedData);
+
+            this.notifyReturnUpdate(returnRequest);
+
+            logger.info('Return request created successfully', {
+                returnId: returnRequest.id,
+                returnNumber: returnRequest.return_number,
+                userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Return request submitted successfully',
+                data: { return: returnRequest },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Create return request failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                returnData: req.validatedData,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = returnErrorStatus(error);
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to submit return request' : error.message,
+                code: returnErrorCode(statusCode, 'RETURN_CREATE_FAILED'),
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Photos of the item, uploaded as multipart/form-data in "images"
+    uploadReturnPhotos = async (req, res) => {
+        try {
+            const { returnId } = req.params;
+            const userId = req.user.userId;
+            const media = await this.returnService.addPhotos(returnId, userId, req.files);
+
+            logger.info('Return photos uploaded successfully', {
+                returnId,
+                uploaded: req.files.length,
+                userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Photos uploaded successfully',
+                data: { media },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Return photo upload failed', {
+                error: error.message,
+                returnId: req.params.returnId,
+                userId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = returnErrorStatus(error);
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to upload photos' : error.message,
+                code: returnErrorCode(statusCode, 'PHOTO_UPLOAD_FAILED'),
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    getMyReturns = async (req, res) => {
+        try {
+            const userId = req.user.userId;
+            const result = await this.returnService.getReturns({ ...req.validatedQuery, userId });
+
+            res.json({
+                success: true,
+                data: result,
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get user returns failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to fetch return requests',
+                code: 'RETURNS_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    getReturn = async (req, res) => {
+        try {
+            const { returnId } = req.params;
+            // Admins can open any request
+            const userId = req.user.role === 'admin' ? null : req.user.userId;
+            const returnRequest = await this.returnService.getReturnById(returnId, userId);
+
+            res.json({
+                success: true,
+                data: { return: returnRequest },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get return request failed', {
+                error: error.message,
+                returnId: req.params.returnId,
+                userId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 404 ? error.message : 'Failed to fetch return request',
+                code: statusCode === 404 ? 'RETURN_NOT_FOUND' : 'RETURN_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    cancelReturn = async (req, res) => {
+        await this.updateStatus(req, res, 'cancel', 'Return request cancelled',
+            () => this.returnService.cancelReturn(req.params.returnId, req.user.userId));
+    };
+
+    // Admin endpoints
+
+    getAllReturns = async (req, res) => {
+        try {
+            const result = await this.returnService.getReturns(req.validatedQuery);
+
+            res.json({
+                success: true,
+                data: result,
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get all returns failed', {
+                error: error.message,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to fetch return requests',
+                code: 'RETURNS_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    reviewReturn = async (req, res) => {
+        const approved = req.validatedData.decision === 'approve';
+
+        await this.updateStatus(req, res, 'review', approved ? 'Return request approved' : 'Return request rejected',
+            () => this.returnService.reviewReturn(req.params.returnId, req.validatedData, req.user.userId));
+    };
+
+    schedulePickup = async (req, res) => {
+        await this.updateStatus(req, res, 'schedule pickup', 'Pickup scheduled',
+            () => this.returnService.schedulePickup(req.params.returnId, req.validatedData, req.user.userId));
+    };
+
+    receiveReturn = async (req, res) => {
+        await this.updateStatus(req, res, 'receive', 'Return marked as received',
+            () => this.returnService.receiveReturn(req.params.returnId, req.validatedData, req.user.userId));
+    };
+
+    completeReturn = async (req, res) => {
+        await this.updateStatus(req, res, 'complete', 'Return request completed',
+            () => this.returnService.completeReturn(req.params.returnId, req.validatedData, req.user.userId));
+    };
+
+    // Run a status change, tell the customer and answer with the request
+    async updateStatus(req, res, action, message, change) {
+        try {
+            const returnRequest = await change();
+
+            this.notifyReturnUpdate(returnRequest);
+
+            logger.info('Return request status updated', {
+                returnId: returnRequest.id,
+                returnNumber: returnRequest.return_number,
+                status: returnRequest.status,
+                userId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message,
+                data: { return: returnRequest },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error(`Return request ${action} failed`, {
+                error: error.message,
+                returnId: req.params.returnId,
+                userId: req.user?.userId,
+                data: req.validatedData,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = returnErrorStatus(error);
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to update return request' : error.message,
+                code: returnErrorCode(statusCode, 'RETURN_UPDATE_FAILED'),
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    }
+
+    // Email and push every status change to the customer. Failures are
+    // logged; the change has already been made.
+    async notifyReturnUpdate(returnRequest) {
+        if (this.webSocketService) {
+            this.webSocketService.notifyReturnUpdate(returnRequest.user_id, returnRequest);
+        }
+
+        if (this.emailService) {
+            try {
+                await this.emailService.sendReturnStatusEmail({
+                    email: returnRequest.user_email,
+                    first_name: returnRequest.user_first_name,
+                    locale: returnRequest.user_locale
+                }, returnRequest);
+            } catch (error) {
+                logger.error('Failed to send return status email', {
+                    returnId: returnRequest.id,
+                    status: returnRequest.status,
+                    error: error.message
+                });
+            }
+        }
+    }
+}
+
+module.exports = { ReturnController, returnLimiter, returnUploadLimiter };
@@ -1,5 +1,7 @@
 const SearchService = require('../services/searchService');
 const RecommendationService = require('../services/recommendationService');
+const SearchSynonymService = require('../services/searchSynonymService');
+const SearchRuleService = require('../services/searchRuleService');
 const logger = require('../logger');
 const rateLimit = require('express-rate-limit');
 
@@ -23,9 +25,11 @@ const recommendationLimiter = rateLimit({
 });
 
 class SearchController {
-    constructor(dbPool, redisPool) {
-        this.searchService = new SearchService(dbPool, redisPool);
+    constructor(dbPool, redisPool, searchService = new SearchService(dbPool, redisPool)) {
+        this.searchService = searchService;
         this.recommendationService = new RecommendationService(dbPool, redisPool);
+        this.synonymService = new SearchSynonymService(dbPool, redisPool, this.searchService);
+        this.ruleService = new SearchRuleService(dbPool, redisPool);
     }
 
     // Advanced product search with Elasticsearch
@@ -48,6 +52,7 @@ class SearchController {
                 category: category || null,
                 minPrice: minPrice ? parseFloat(minPrice) : null,
                 maxPrice: maxPrice ? parseFloat(maxPrice) : null,
+                ...SearchService.parseFacetFilters(req.query),
                 sortBy: ['relevance', 'price_asc', 'price_desc', 'newest', 'popularity', 'rating'].includes(sortBy)
                     ? sortBy : 'relevance',
                 userId: req.user?.userId || null,
@@ -460,9 +465,12 @@ class SearchController {
     // Admin endpoint to reindex all products
     reindexProducts = async (req, res) => {
         try {
-            await this.searchService.indexAllProducts();
+            // Built beside the live index, which keeps serving searches
+            const { index, count } = await this.searchService.rebuildProductIndex();
 
             logger.info('Products reindexed successfully', {
+                index,
+                count,
                 adminId: req.user.userId,
                 correlationId: req.correlationId
             });
@@ -470,6 +478,7 @@ class SearchController {
             res.json({
                 success: true,
                 message: 'Products reindexed successfully',
+                data: { index, count },
                 timestamp: new Date().toISOString(),
                 correlationId: req.correlationId
             });
@@ -488,6 +497,325 @@ class SearchController {
             });
         }
     };
+
+    // Admin: synonym rules for product search
+    getSynonyms = async (req, res) => {
+        try {
+            const synonyms = await this.synonymService.getSynonyms();
+
+            res.json({
+                success: true,
+                data: { synonyms },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Failed to get search synonyms', {
+                error: error.message,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to get search synonyms',
+                code: 'SYNONYMS_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    createSynonym = async (req, res) => {
+        try {
+            const { synonym, applied } = await this.synonymService.createSynonym(req.validatedData, req.user.userId);
+
+            logger.info('Search synonym created', {
+                synonymId: synonym.id,
+                applied,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(201).json({
+                success: true,
+                message: applied
+                    ? 'Synonym created'
+                    : 'Synonym saved; it will apply once the search service is reachable',
+                data: { synonym, applied },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Failed to create search synonym', {
+                error: error.message,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('at least two terms') ? 400 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to create synonym' : error.message,
+                code: statusCode === 400 ? 'INVALID_SYNONYM' : 'SYNONYM_CREATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    updateSynonym = async (req, res) => {
+        try {
+            const { synonymId } = req.params;
+            const { synonym, applied } = await this.synonymService.updateSynonym(synonymId, req.validatedData);
+
+            logger.info('Search synonym updated', {
+                synonymId,
+                applied,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: applied
+                    ? 'Synonym updated'
+                    : 'Synonym saved; it will apply once the search service is reachable',
+                data: { synonym, applied },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Failed to update search synonym', {
+                error: error.message,
+                params: req.params,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message.includes('at least two terms') ? 400 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to update synonym' : error.message,
+                code: statusCode === 404 ? 'SYNONYM_NOT_FOUND' :
+                    statusCode === 400 ? 'INVALID_SYNONYM' : 'SYNONYM_UPDATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    deleteSynonym = async (req, res) => {
+        try {
+            const { synonymId } = req.params;
+            const { synonym, applied } = await this.synonymService.deleteSynonym(synonymId);
+
+            logger.info('Search synonym deleted', {
+                synonymId,
+                applied,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Synonym deleted',
+                data: { synonym, applied },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Failed to delete search synonym', {
+                error: error.message,
+                params: req.params,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to delete synonym' : error.message,
+                code: statusCode === 404 ? 'SYNONYM_NOT_FOUND' : 'SYNONYM_DELETE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Admin: searches that found nothing, to add synonyms for
+    getZeroResultQueries = async (req, res) => {
+        try {
+            const { days, limit } = req.validatedQuery;
+            const queries = await this.searchService.getZeroResultQueries({ days, limit });
+
+            res.json({
+                success: true,
+                data: { queries, days },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Failed to get zero-result queries', {
+                error: error.message,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to get zero-result queries',
+                code: 'ZERO_RESULT_REPORT_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+    // Admin: merchandising rules for product search
+    getRules = async (req, res) => {
+        try {
+            const rules = await this.ruleService.getRules();
+
+            res.json({
+                success: true,
+                data: { rules },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Failed to get search rules', {
+                error: error.message,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to get search rules',
+                code: 'RULES_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    createRule = async (req, res) => {
+        try {
+            const rule = await this.ruleService.createRule(req.validatedData, req.user.userId);
+
+            logger.info('Search rule created', {
+                ruleId: rule.id,
+                action: rule.action,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(201).json({
+                success: true,
+                message: 'Search rule created',
+                data: { rule },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Failed to create search rule', {
+                error: error.message,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                SearchController.isInvalidRule(error) ? 400 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to create search rule' : error.message,
+                code: statusCode === 404 ? 'RULE_TARGET_NOT_FOUND' :
+                    statusCode === 400 ? 'INVALID_RULE' : 'RULE_CREATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    updateRule = async (req, res) => {
+        try {
+            const { ruleId } = req.params;
+            const rule = await this.ruleService.updateRule(ruleId, req.validatedData);
+
+            logger.info('Search rule updated', {
+                ruleId,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Search rule updated',
+                data: { rule },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Failed to update search rule', {
+                error: error.message,
+                params: req.params,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                SearchController.isInvalidRule(error) ? 400 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to update search rule' : error.message,
+                code: statusCode === 404
+                    ? (error.message === 'Search rule not found' ? 'RULE_NOT_FOUND' : 'RULE_TARGET_NOT_FOUND') :
+                    statusCode === 400 ? 'INVALID_RULE' : 'RULE_UPDATE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    deleteRule = async (req, res) => {
+        try {
+            const { ruleId } = req.params;
+            const rule = await this.ruleService.deleteRule(ruleId);
+
+            logger.info('Search rule deleted', {
+                ruleId,
+                adminId: req.user.userId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Search rule deleted',
+                data: { rule },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Failed to delete search rule', {
+                error: error.message,
+                params: req.params,
+                adminId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to delete search rule' : error.message,
+                code: statusCode === 404 ? 'RULE_NOT_FOUND' : 'RULE_DELETE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Rules the table's check constraints turned down
+    static isInvalidRule(error) {
+        return error.message.includes('rules need') || error.message.includes('must start before');
+    }
 }
 
 module.exports = { SearchController, searchLimiter, recommendationLimiter };
\ No newline at end of file
@@ -0,0 +1,195 @@
+const ShippingService = require('../services/shippingService');
+const ShipmentService = require('../services/shipmentService');
+const CartService = require('../services/cartService');
+const GuestCartService = require('../services/guestCartService');
+const AddressService = require('../services/addressService');
+const CodService = require('../services/codService');
+const logger = require('../logger');
+const rateLimit = require('express-rate-limit');
+
+// Rate limiting for shipping endpoints
+const shippingLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 200, // quotes are re-requested as the checkout form changes
+    message: {
+        error: 'Too many shipping requests, please try again later',
+        code: 'RATE_LIMIT_EXCEEDED'
+    }
+});
+
+// Couriers retry failed deliveries, so allow bursts of tracking webhooks
+const courierWebhookLimiter = rateLimit({
+    windowMs: 60 * 1000, // 1 minute
+    max: 300,
+    message: {
+        error: 'Too many courier notifications',
+        code: 'RATE_LIMIT_EXCEEDED'
+    }
+});
+
+class ShippingController {
+    constructor(dbPool, redisPool, webSocketService = null, emailService = null) {
+        this.shippingService = new ShippingService(dbPool, redisPool);
+        this.shipmentService = new ShipmentService(dbPool, redisPool);
+        this.cartService = new CartService(dbPool, redisPool);
+        this.guestCartService = new GuestCartService(dbPool, redisPool);
+        this.addressService = new AddressService(dbPool, redisPool);
+        this.codService = new CodService(dbPool, redisPool);
+        this.webSocketService = webSocketService;
+        this.emailService = emailService;
+    }
+
+    // Active delivery zones and their rate tables
+    getZones = async (req, res) => {
+        try {
+            const zones = await this.shippingService.getZones();
+
+            res.json({
+                success: true,
+                data: { zones },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get shipping zones failed', {
+                error: error.message,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to fetch shipping zones',
+                code: 'SHIPPING_ZONES_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Price the shipping line (and COD fee, when asked) for explicit items or
+    // the caller's cart
+    getQuote = async (req, res) => {
+        try {
+            const userId = req.user?.userId || null;
+            const { shippingAddressId, items, couponCode, paymentMethod } = req.validatedData;
+            let { shippingAddress } = req.validatedData;
+
+            if (shippingAddressId) {
+                if (!userId) {
+                    throw new Error('Authentication required to use a saved address');
+                }
+                const address = await this.addressService.getAddressById(userId, shippingAddressId);
+                shippingAddress = this.addressService.toOrderSnapshot(address);
+            }
+
+            const cartItems = await this.resolveItems(req, items, userId);
+            if (cartItems.length === 0) {
+                throw new Error('Cart is empty');
+            }
+
+            const quote = await this.shippingService.quote({ items: cartItems, shippingAddress, couponCode, userId });
+
+            if (paymentMethod === CodService.COD_PAYMENT_METHOD) {
+                quote.cod = await this.codService.quote({
+                    userId,
+                    division: shippingAddress.division || shippingAddress.state,
+                    subtotal: quote.total
+                });
+            }
+
+            res.json({
+                success: true,
+                data: { quote },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Shipping quote failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('Authentication required') ? 401 :
+                error.message.toLowerCase().includes('cart token') ? 401 :
+                    error.message.includes('Address not found') ? 404 :
+                        error.message.includes('not found') ? 400 :
+                            error.message.includes('Cart is empty') ? 400 :
+                                error.message.includes('Items are required') ? 400 :
+                                    error.message.includes('not available') ? 400 :
+                                        error.message.includes('Coupon cannot be applied') ? 400 : 500;
+
+            res.status(statusCode).json({
+                error: statusCode === 500 ? 'Failed to calculate shipping' : error.message,
+                code: statusCode === 401 ? 'AUTHENTICATION_REQUIRED' :
+                    statusCode === 404 ? 'ADDRESS_NOT_FOUND' :
+                        statusCode === 400 ? 'SHIPPING_QUOTE_INVALID' : 'SHIPPING_QUOTE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Tracking push from a courier. Unknown consignments and bad secrets are
+    // rejected so the courier surfaces them in its delivery logs.
+    handleCourierWebhook = async (req, res) => {
+        const { courier } = req.params;
+
+        try {
+            const result = await this.shipmentService.handleWebhook(courier, req.body, req.headers, req.query);
+
+            if (result && !result.duplicate) {
+                this.notifyTrackingUpdate(result);
+            }
+
+            res.json({ received: true });
+        } catch (error) {
+            logger.error('Courier notification failed', {
+                error: error.message,
+                courier,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('webhook') ? 401 :
+                error.message.includes('Shipment not found') ? 404 : 400;
+
+            res.status(statusCode).json({
+                error: statusCode === 401 ? 'Courier notification rejected' : 'Courier notification processing failed',
+                code: statusCode === 401 ? 'WEBHOOK_AUTHENTICATION_FAILED' :
+                    statusCode === 404 ? 'SHIPMENT_NOT_FOUND' : 'COURIER_WEBHOOK_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    notifyTrackingUpdate({ shipment, event, order }) {
+        if (this.webSocketService && order?.user_id) {
+            this.webSocketService.notifyOrderUpdate(order.user_id, {
+                ...order,
+                tracking: this.shipmentService.toTrackingUpdate(shipment, event)
+            });
+        }
+    }
+
+    async resolveItems(req, items, userId) {
+        if (items) {
+            return this.shippingService.loadItems(items);
+        }
+
+        if (userId) {
+            const cart = await this.cartService.getCart(userId);
+            return cart.items;
+        }
+
+        const cartToken = req.headers['x-cart-token'];
+        if (cartToken) {
+            const cartId = this.guestCartService.resolveCartId(cartToken);
+            const guestItems = await this.guestCartService.getItemList(cartId);
+            return guestItems.length > 0 ? this.shippingService.loadItems(guestItems) : [];
+        }
+
+        throw new Error('Items are required without a signed-in or guest cart');
+    }
+}
+
+module.exports = { ShippingController, shippingLimiter, courierWebhookLimiter };
@@ -0,0 +1,259 @@
+const WishlistService = require('../services/wishlistService');
+const logger = require('../logger');
+const rateLimit = require('express-rate-limit');
+
+// Rate limiting for wishlist endpoints
+const wishlistLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000, // 15 minutes
+    max: 100, // limit each IP to 100 requests per windowMs
+    message: {
+        error: 'Too many wishlist requests, please try again later',
+        code: 'RATE_LIMIT_EXCEEDED'
+    }
+});
+
+class WishlistController {
+    constructor(dbPool, redisPool, webSocketService = null, emailService = null) {
+        this.wishlistService = new WishlistService(dbPool, redisPool);
+        this.webSocketService = webSocketService;
+        this.emailService = emailService;
+    }
+
+    // Get user's wishlist
+    getWishlist = async (req, res) => {
+        try {
+            const userId = req.user.userId;
+            const wishlist = await this.wishlistService.getWishlist(userId);
+
+            logger.info('Wishlist fetched successfully', {
+                userId,
+                itemCount: wishlist.items.length,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                data: { wishlist },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Get wishlist failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to fetch wishlist',
+                code: 'WISHLIST_FETCH_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Add product to wishlist
+    addToWishlist = async (req, res) => {
+        try {
+            const userId = req.user.userId;
+            const { productId } = req.validatedData;
+
+            const { wishlistItem, alreadyPresent } = await this.wishlistService.addToWishlist(userId, productId);
+
+            logger.info('Item added to wishlist successfully', {
+                userId,
+                productId,
+                alreadyPresent,
+                correlationId: req.correlationId
+            });
+
+            res.status(alreadyPresent ? 200 : 201).json({
+                success: true,
+                message: alreadyPresent ? 'Item is already in wishlist' : 'Item added to wishlist successfully',
+                data: { wishlistItem },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Add to wishlist failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                productData: req.validatedData,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message.includes('not available') ? 400 : 500;
+
+            res.status(statusCode).json({
+                error: error.message,
+                code: statusCode === 404 ? 'PRODUCT_NOT_FOUND' :
+                    statusCode === 400 ? 'INVALID_REQUEST' : 'ADD_TO_WISHLIST_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Remove product from wishlist
+    removeFromWishlist = async (req, res) => {
+        try {
+            const userId = req.user.userId;
+            const { productId } = req.params;
+
+            const removedItem = await this.wishlistService.removeFromWishlist(userId, productId);
+
+            logger.info('Item removed from wishlist successfully', {
+                userId,
+                productId,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Item removed from wishlist successfully',
+                data: { removedItem },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Remove from wishlist failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                productId: req.params.productId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 : 500;
+
+            res.status(statusCode).json({
+                error: error.message,
+                code: statusCode === 404 ? 'WISHLIST_ITEM_NOT_FOUND' : 'REMOVE_FROM_WISHLIST_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Clear entire wishlist
+    clearWishlist = async (req, res) => {
+        try {
+            const userId = req.user.userId;
+            const removedItems = await this.wishlistService.clearWishlist(userId);
+
+            logger.info('Wishlist cleared successfully', {
+                userId,
+                itemsRemoved: removedItems.length,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Wishlist cleared successfully',
+                data: { itemsRemoved: removedItems.length },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Clear wishlist failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to clear wishlist',
+                code: 'CLEAR_WISHLIST_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Move wishlist item into the cart
+    moveToCart = async (req, res) => {
+        try {
+            const userId = req.user.userId;
+            const { productId } = req.params;
+            const { quantity } = req.validatedData;
+
+            const cartItem = await this.wishlistService.moveToCart(userId, productId, quantity);
+
+            logger.info('Wishlist item moved to cart successfully', {
+                userId,
+                productId,
+                quantity,
+                cartItemId: cartItem.id,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Item moved to cart successfully',
+                data: { cartItem },
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Move to cart failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                productId: req.params.productId,
+                correlationId: req.correlationId
+            });
+
+            const statusCode = error.message.includes('not found') ? 404 :
+                error.message.includes('not available') ? 400 :
+                    error.message.includes('Insufficient stock') ? 400 : 500;
+
+            res.status(statusCode).json({
+                error: error.message,
+                code: statusCode === 404 ? 'WISHLIST_ITEM_NOT_FOUND' :
+                    statusCode === 400 ? 'INVALID_REQUEST' : 'MOVE_TO_CART_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+
+    // Merge a wishlist previously kept in browser storage
+    mergeWishlist = async (req, res) => {
+        try {
+            const userId = req.user.userId;
+            const { productIds } = req.validatedData;
+
+            const result = await this.wishlistService.mergeWishlist(userId, productIds);
+
+            logger.info('Wishlist merged successfully', {
+                userId,
+                merged: result.merged,
+                skipped: result.skipped,
+                correlationId: req.correlationId
+            });
+
+            res.json({
+                success: true,
+                message: 'Wishlist merged successfully',
+                data: result,
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        } catch (error) {
+            logger.error('Merge wishlist failed', {
+                error: error.message,
+                userId: req.user?.userId,
+                correlationId: req.correlationId
+            });
+
+            res.status(500).json({
+                error: 'Failed to merge wishlist',
+                code: 'WISHLIST_MERGE_FAILED',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+    };
+}
+
+module.exports = { WishlistController, wishlistLimiter };
@@ -10,6 +10,12 @@ const DatabaseConnectionPool = require('./database');
 const WebSocketService = require('./services/websocketService');
 const EmailService = require('./services/emailService');
 const EmailSchedulerService = require('./services/emailSchedulerService');
+const StockReservationService = require('./services/stockReservationService');
+const InventoryService = require('./services/inventoryService');
+const PurchaseOrderService = require('./services/purchaseOrderService');
+const ProductAlertService = require('./services/productAlertService');
+const SearchService = require('./services/searchService');
+const SearchIndexingService = require('./services/searchIndexingService');
 const { router: authRoutes, initializeController: initializeAuthController } = require('./routes/auth');
 const { router: productRoutes, initializeController: initializeProductController } = require('./routes/products');
 const { router: cartRoutes, initializeController: initializeCartController } = require('./routes/cart');
@@ -19,13 +25,25 @@ const { router: emailRoutes, initializeController: initializeEmailController } =
 const { router: reviewRoutes, initializeController: initializeReviewController } = require('./routes/reviews');
 const { router: searchRoutes, initializeSearchRoutes } = require('./routes/search');
 const { router: promotionRoutes, initializeController: initializePromotionController } = require('./routes/promotions');
+const { router: wishlistRoutes, initializeController: initializeWishlistController } = require('./routes/wishlist');
+const { router: guestCartRoutes, initializeController: initializeGuestCartController } = require('./routes/guestCart');
+const { router: shippingRoutes, initializeController: initializeShippingController } = require('./routes/shipping');
+const { router: mediaRoutes, initializeController: initializeMediaController } = require('./routes/media');
+const { router: returnRoutes, initializeController: initializeReturnController } = require('./routes/returns');
+const { router: productAlertRoutes, initializeController: initializeProductAlertController } = require('./routes/productAlerts');
+const { createStorage } = require('./services/storage');
 require("dotenv").config();
 
 const app = express();
 const server = http.createServer(app);
 
 // Middleware setup
-app.use(express.json());
+app.use(express.json({
+    // Keep the raw body for payment webhook signature verification
+    verify: (req, _res, buf) => {
+        req.rawBody = buf;
+    }
+}));
 app.use(correlationIdMiddleware);
 app.use(requestLoggingMiddleware);
 
@@ -45,6 +63,19 @@ const emailService = new EmailService();
 // Email scheduler service initialization
 let emailSchedulerService = null;
 
+// Expires stock held by checkouts that were never paid
+let stockReservationService = null;
+
+// Flags drift between the inventory ledger and stock levels
+let inventoryService = null;
+let purchaseOrderService = null;
+
+// Emails customers whose back-in-stock and price-drop alerts fired
+let productAlertService = null;
+
+// Sends product changes queued in the search index outbox to Elasticsearch
+let searchIndexingService = null;
+
 // Initialize database connection
 (async () => {
   try {
@@ -58,6 +89,27 @@ let emailSchedulerService = null;
     emailSchedulerService = new EmailSchedulerService(dbPool, emailService);
     emailSchedulerService.start();
 
+    // Initialize stock reservation sweeper
+    stockReservationService = new StockReservationService(dbPool, redisPool, webSocketService);
+    stockReservationService.start();
+
+    // Initialize inventory reconciliation
+    inventoryService = new InventoryService(dbPool, redisPool);
+    inventoryService.start();
+
+    // Initialize reorder check for products at their reorder point
+    purchaseOrderService = new PurchaseOrderService(dbPool, redisPool);
+    purchaseOrderService.start();
+
+    // Initialize product alert worker
+    productAlertService = new ProductAlertService(dbPool, emailService, webSocketService);
+    productAlertService.start();
+
+    // Initialize search index and outbox worker
+    const searchService = new SearchService(dbPool, redisPool);
+    searchIndexingService = new SearchIndexingService(dbPool, searchService);
+    searchIndexingService.start();
+
     // Initialize auth controller after database is ready
     initializeAuthController(dbPool, redisPool, webSocketService, emailService);
     initializeProductController(dbPool, redisPool, webSocketService, emailService);
@@ -66,8 +118,14 @@ let emailSchedulerService = null;
     initializeAdminController(dbPool, redisPool, webSocketService, emailService);
     initializeEmailController(dbPool, redisPool, webSocketService, emailService);
     initializeReviewController(dbPool, redisPool, webSocketService, emailService);
-    initializeSearchRoutes(dbPool, redisPool);
+    initializeSearchRoutes(dbPool, redisPool, searchService);
     initializePromotionController(dbPool, redisPool, webSocketService, emailService);
+    initializeWishlistController(dbPool, redisPool, webSocketService, emailService);
+    initializeGuestCartController(dbPool, redisPool, webSocketService, emailService);
+    initializeShippingController(dbPool, redisPool, webSocketService, emailService);
+    initializeMediaController(dbPool, redisPool, webSocketService, emailService);
+    initializeReturnController(dbPool, redisPool, webSocketService, emailService);
+    initializeProductAlertController(dbPool, redisPool, webSocketService, emailService);
   } catch (error) {
     logger.error('Failed to initialize database connection pool', { error: error.message });
     process.exit(1);
@@ -302,6 +360,31 @@ app.use('/api/search', searchRoutes);
 // Mount promotion routes
 app.use('/api/promotions', promotionRoutes);
 
+// Mount wishlist routes
+app.use('/api/wishlist', wishlistRoutes);
+
+// Mount guest cart routes
+app.use('/api/guest-cart', guestCartRoutes);
+
+// Mount shipping routes
+app.use('/api/shipping', shippingRoutes);
+
+// Mount media upload routes
+app.use('/api/media', mediaRoutes);
+
+// Mount return and exchange routes
+app.use('/api/returns', returnRoutes);
+
+// Mount back-in-stock and price-drop alert routes
+app.use('/api/product-alerts', productAlertRoutes);
+
+// Serve uploaded images when they are stored on local disk. Rendition keys
+// are unique per upload, so they can be cached indefinitely.
+const mediaStorage = createStorage();
+if (mediaStorage.name === 'local') {
+  app.use('/media', express.static(mediaStorage.rootDir, { index: false, maxAge: '365d', immutable: true }));
+}
+
 // Error handling middleware (must be last)
 app.use(errorLoggingMiddleware);
 
@@ -368,7 +451,42 @@ const gracefulShutdown = (signal) => {
       }) :
       Promise.resolve();
 
-    Promise.all([dbClosePromise, redisClosePromise, emailSchedulerClosePromise]).then(() => {
+    // Stop stock reservation sweeper
+    const stockReservationClosePromise = stockReservationService ?
+      Promise.resolve().then(() => {
+        stockReservationService.stop();
+      }) :
+      Promise.resolve();
+
+    // Stop inventory reconciliation
+    const inventoryClosePromise = inventoryService ?
+      Promise.resolve().then(() => {
+        inventoryService.stop();
+      }) :
+      Promise.resolve();
+
+    // Stop reorder check
+    const purchaseOrderClosePromise = purchaseOrderService ?
+      Promise.resolve().then(() => {
+        purchaseOrderService.stop();
+      }) :
+      Promise.resolve();
+
+    // Stop product alert worker
+    const productAlertClosePromise = productAlertService ?
+      Promise.resolve().then(() => {
+        productAlertService.stop();
+      }) :
+      Promise.resolve();
+
+    // Stop search indexing worker
+    const searchIndexingClosePromise = searchIndexingService ?
+      Promise.resolve().then(() => {
+        searchIndexingService.stop();
+      }) :
+      Promise.resolve();
+
+    Promise.all([dbClosePromise, redisClosePromise, emailSchedulerClosePromise, stockReservationClosePromise, inventoryClosePromise, purchaseOrderClosePromise, productAlertClosePromise, searchIndexingClosePromise]).then(() => {
       logger.info('Graceful shutdown completed');
       process.exit(0);
     });
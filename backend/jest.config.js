@@ -10,6 +10,8 @@ module.exports = {
     ],
     coverageReporters: ['text', 'lcov', 'html'],
     testMatch: ['**/__tests__/**/*.js', '**/?(*.)+(spec|test).js'],
+    // Shared mocks for the tests, not tests themselves
+    testPathIgnorePatterns: ['/node_modules/', '/__tests__/helpers/'],
     setupFilesAfterEnv: ['<rootDir>/jest.setup.js'],
     testTimeout: 10000,
     collectCoverage: true,
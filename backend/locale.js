@@ -0,0 +1,81 @@
+// Languages the storefront, catalog and emails are offered in
+const SUPPORTED_LOCALES = ['en', 'bn'];
+const DEFAULT_LOCALE = 'en';
+
+// Map any language tag ("bn-BD", "BN", "en_US") to a supported locale
+const normalizeLocale = (value) => {
+    const language = String(value || '').toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+};
+
+const BANGLA_PATTERN = /[\u0980-\u09FF]/;
+
+const containsBangla = (text) => BANGLA_PATTERN.test(text || '');
+
+// Romanization as customers type Bangla in Latin letters ("Banglish"), so
+// that "chal" finds চাল and "kolom" finds কলম
+const INDEPENDENT_VOWELS = {
+    'অ': 'o', 'আ': 'a', 'ই': 'i', 'ঈ': 'i', 'উ': 'u', 'ঊ': 'u', 'ঋ': 'ri',
+    'এ': 'e', 'ঐ': 'oi', 'ও': 'o', 'ঔ': 'ou'
+};
+
+const VOWEL_SIGNS = {
+    'া': 'a', 'ি': 'i', 'ী': 'i', 'ু': 'u', 'ূ': 'u', 'ৃ': 'ri',
+    'ে': 'e', 'ৈ': 'oi', 'ো': 'o', 'ৌ': 'ou'
+};
+
+const CONSONANTS = {
+    'ক': 'k', 'খ': 'kh', 'গ': 'g', 'ঘ': 'gh', 'ঙ': 'ng',
+    'চ': 'ch', 'ছ': 'chh', 'জ': 'j', 'ঝ': 'jh', 'ঞ': 'n',
+    'ট': 't', 'ঠ': 'th', 'ড': 'd', 'ঢ': 'dh', 'ণ': 'n',
+    'ত': 't', 'থ': 'th', 'দ': 'd', 'ধ': 'dh', 'ন': 'n',
+    'প': 'p', 'ফ': 'f', 'ব': 'b', 'ভ': 'bh', 'ম': 'm',
+    'য': 'j', 'র': 'r', 'ল': 'l', 'শ': 'sh', 'ষ': 'sh', 'স': 's', 'হ': 'h',
+    '\u09DC': 'r', '\u09DD': 'rh', '\u09DF': 'y', 'ৎ': 't'
+};
+
+const MARKS = { 'ং': 'ng', 'ঃ': 'h', 'ঁ': '' };
+
+const HASANTA = '্';
+
+// The inherent vowel is sounded before another letter in the same word
+// (কলম -> kolom) but not at the end of one (চাল -> chal)
+const transliterateBangla = (text) => {
+    // Nukta letters (ড়, ঢ়, য়) are typed both precomposed and as letter + nukta
+    const chars = Array.from(String(text || '')
+        .replace(/\u09A1\u09BC/g, '\u09DC')
+        .replace(/\u09A2\u09BC/g, '\u09DD')
+        .replace(/\u09AF\u09BC/g, '\u09DF')
+        .replace(/[\u200C\u200D]/g, ''));
+    let result = '';
+
+    chars.forEach((char, index) => {
+        if (CONSONANTS[char] !== undefined) {
+            const next = chars[index + 1];
+            result += CONSONANTS[char];
+            if (next && (CONSONANTS[next] !== undefined || INDEPENDENT_VOWELS[next] !== undefined)) {
+                result += 'o';
+            }
+        } else if (INDEPENDENT_VOWELS[char] !== undefined) {
+            result += INDEPENDENT_VOWELS[char];
+        } else if (VOWEL_SIGNS[char] !== undefined) {
+            result += VOWEL_SIGNS[char];
+        } else if (MARKS[char] !== undefined) {
+            result += MARKS[char];
+        } else if (char >= '\u09E6' && char <= '\u09EF') {
+            result += String(char.charCodeAt(0) - 0x09E6);
+        } else if (char !== HASANTA) {
+            result += char;
+        }
+    });
+
+    return result;
+};
+
+module.exports = {
+    SUPPORTED_LOCALES,
+    DEFAULT_LOCALE,
+    normalizeLocale,
+    containsBangla,
+    transliterateBangla
+};
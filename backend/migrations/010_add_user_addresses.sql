@@ -0,0 +1,33 @@
+-- Migration: Add user address book
+-- Created: 2025-01-07
+
+-- Saved shipping/billing addresses per user
+CREATE TABLE user_addresses (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    label VARCHAR(50),
+    first_name VARCHAR(50) NOT NULL,
+    last_name VARCHAR(50) NOT NULL,
+    phone VARCHAR(20) NOT NULL,
+    address_line1 VARCHAR(255) NOT NULL,
+    address_line2 VARCHAR(255),
+    division VARCHAR(50) NOT NULL,
+    district VARCHAR(50) NOT NULL,
+    thana VARCHAR(100) NOT NULL,
+    postal_code VARCHAR(10),
+    country VARCHAR(100) NOT NULL DEFAULT 'Bangladesh',
+    is_default_shipping BOOLEAN DEFAULT false,
+    is_default_billing BOOLEAN DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Indexes for performance optimization
+CREATE INDEX idx_user_addresses_user ON user_addresses(user_id);
+
+-- At most one default shipping and one default billing address per user
+CREATE UNIQUE INDEX idx_user_addresses_default_shipping ON user_addresses(user_id) WHERE is_default_shipping = true;
+CREATE UNIQUE INDEX idx_user_addresses_default_billing ON user_addresses(user_id) WHERE is_default_billing = true;
+
+-- Trigger for automatic timestamp updates
+CREATE TRIGGER update_user_addresses_updated_at BEFORE UPDATE ON user_addresses FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,8 @@
+-- Migration: Add guest checkout support
+-- Created: 2025-01-08
+
+-- Orders placed without an account keep the contact email on the order itself
+ALTER TABLE orders ADD COLUMN guest_email VARCHAR(255);
+
+-- Indexes for performance optimization
+CREATE INDEX idx_orders_guest_email ON orders(guest_email) WHERE guest_email IS NOT NULL;
@@ -0,0 +1,26 @@
+-- Migration: Record the payment provider on payment and refund transactions
+-- Created: 2025-01-09
+
+-- Stripe specific column names become provider neutral
+ALTER TABLE payment_transactions RENAME COLUMN payment_intent_id TO provider_transaction_id;
+ALTER TABLE payment_transactions RENAME COLUMN stripe_charge_id TO provider_reference;
+ALTER INDEX idx_payment_transactions_intent RENAME TO idx_payment_transactions_provider_txn;
+ALTER INDEX idx_payment_transactions_charge RENAME TO idx_payment_transactions_reference;
+
+-- Existing rows were all created through Stripe
+ALTER TABLE payment_transactions ADD COLUMN provider TEXT NOT NULL DEFAULT 'stripe'
+    CHECK (provider IN ('stripe', 'bkash', 'nagad', 'sslcommerz'));
+ALTER TABLE payment_transactions ALTER COLUMN provider DROP DEFAULT;
+ALTER TABLE payment_transactions ALTER COLUMN currency SET DEFAULT 'bdt';
+
+-- Callbacks and IPNs look transactions up by the gateway's own ID
+CREATE UNIQUE INDEX idx_payment_transactions_provider_unique
+    ON payment_transactions(provider, provider_transaction_id);
+
+ALTER TABLE refund_transactions RENAME COLUMN stripe_refund_id TO provider_refund_id;
+ALTER INDEX idx_refund_transactions_refund RENAME TO idx_refund_transactions_provider_refund;
+
+ALTER TABLE refund_transactions ADD COLUMN provider TEXT NOT NULL DEFAULT 'stripe'
+    CHECK (provider IN ('stripe', 'bkash', 'nagad', 'sslcommerz'));
+ALTER TABLE refund_transactions ALTER COLUMN provider DROP DEFAULT;
+ALTER TABLE refund_transactions ALTER COLUMN currency SET DEFAULT 'bdt';
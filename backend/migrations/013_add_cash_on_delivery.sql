@@ -0,0 +1,57 @@
+-- Migration: Cash on delivery fee rules, limits and courier remittance reconciliation
+-- Created: 2025-01-10
+
+-- COD fee and order limit per division; the row with no division is the default
+CREATE TABLE cod_rules (
+    id SERIAL PRIMARY KEY,
+    division TEXT UNIQUE,
+    is_enabled BOOLEAN NOT NULL DEFAULT true,
+    fee_flat NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (fee_flat >= 0),
+    fee_percent NUMERIC(5,2) NOT NULL DEFAULT 0 CHECK (fee_percent >= 0 AND fee_percent <= 100),
+    fee_min NUMERIC(10,2) CHECK (fee_min >= 0),
+    fee_max NUMERIC(10,2) CHECK (fee_max >= 0),
+    max_order_amount NUMERIC(10,2) CHECK (max_order_amount >= 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_cod_rules_default ON cod_rules ((division IS NULL)) WHERE division IS NULL;
+
+CREATE TRIGGER update_cod_rules_updated_at
+    BEFORE UPDATE ON cod_rules
+    FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO cod_rules (division, fee_percent, fee_min, max_order_amount)
+VALUES (NULL, 1.00, 10.00, 20000.00);
+
+-- Per-customer override of the regional limit; 0 blocks COD for the customer
+ALTER TABLE users ADD COLUMN cod_limit NUMERIC(10,2) CHECK (cod_limit >= 0);
+
+-- One row per imported courier remittance file
+CREATE TABLE cod_remittances (
+    id SERIAL PRIMARY KEY,
+    courier TEXT NOT NULL,
+    reference TEXT,
+    file_name TEXT,
+    imported_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    total_rows INTEGER NOT NULL DEFAULT 0,
+    matched_count INTEGER NOT NULL DEFAULT 0,
+    mismatch_count INTEGER NOT NULL DEFAULT 0,
+    collected_amount NUMERIC(12,2) NOT NULL DEFAULT 0,
+    report JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_cod_remittances_created ON cod_remittances(created_at);
+
+-- COD fee is part of total_amount; cod_status tracks cash the courier owes us
+ALTER TABLE orders ADD COLUMN cod_fee NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (cod_fee >= 0);
+ALTER TABLE orders ADD COLUMN cod_status TEXT CHECK (cod_status IN ('pending', 'collected'));
+ALTER TABLE orders ADD COLUMN cod_collected_amount NUMERIC(10,2);
+ALTER TABLE orders ADD COLUMN cod_collected_at TIMESTAMP;
+ALTER TABLE orders ADD COLUMN cod_remittance_id INTEGER REFERENCES cod_remittances(id) ON DELETE SET NULL;
+
+UPDATE orders SET cod_status = CASE WHEN payment_status = 'paid' THEN 'collected' ELSE 'pending' END
+WHERE payment_method = 'cash_on_delivery';
+
+CREATE INDEX idx_orders_cod_status ON orders(cod_status) WHERE cod_status IS NOT NULL;
@@ -0,0 +1,92 @@
+-- Migration: Shipping zones, rate tables and order shipping line
+-- Created: 2025-01-11
+
+-- Delivery zones; the default zone covers every area not listed elsewhere
+CREATE TABLE shipping_zones (
+    id SERIAL PRIMARY KEY,
+    code TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    description TEXT,
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_shipping_zones_default ON shipping_zones (is_default) WHERE is_default;
+
+-- Districts (or single thanas within a district) that belong to a zone.
+-- A thana entry wins over its district's entry.
+CREATE TABLE shipping_zone_areas (
+    id SERIAL PRIMARY KEY,
+    zone_id INTEGER NOT NULL REFERENCES shipping_zones(id) ON DELETE CASCADE,
+    district TEXT NOT NULL,
+    thana TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_shipping_zone_areas_location
+    ON shipping_zone_areas (LOWER(district), LOWER(COALESCE(thana, '')));
+CREATE INDEX idx_shipping_zone_areas_zone ON shipping_zone_areas(zone_id);
+
+-- Rate table per zone, tiered by parcel weight and order value. per_kg_rate is
+-- charged for every started kilogram above min_weight_grams.
+CREATE TABLE shipping_rates (
+    id SERIAL PRIMARY KEY,
+    zone_id INTEGER NOT NULL REFERENCES shipping_zones(id) ON DELETE CASCADE,
+    min_weight_grams INTEGER NOT NULL DEFAULT 0 CHECK (min_weight_grams >= 0),
+    max_weight_grams INTEGER CHECK (max_weight_grams IS NULL OR max_weight_grams > min_weight_grams),
+    min_order_amount NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (min_order_amount >= 0),
+    max_order_amount NUMERIC(10,2) CHECK (max_order_amount IS NULL OR max_order_amount > min_order_amount),
+    base_rate NUMERIC(10,2) NOT NULL CHECK (base_rate >= 0),
+    per_kg_rate NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (per_kg_rate >= 0),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_shipping_rates_zone ON shipping_rates(zone_id) WHERE is_active;
+
+CREATE TRIGGER update_shipping_zones_updated_at BEFORE UPDATE ON shipping_zones FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_shipping_rates_updated_at BEFORE UPDATE ON shipping_rates FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO shipping_zones (code, name, description, is_default, sort_order) VALUES
+    ('inside_dhaka', 'Inside Dhaka', 'Dhaka city corporation areas', false, 1),
+    ('dhaka_suburbs', 'Dhaka Suburbs', 'Savar, Keraniganj, Gazipur, Narayanganj and nearby upazilas', false, 2),
+    ('outside_dhaka', 'Outside Dhaka', 'Everywhere else in Bangladesh', true, 3);
+
+INSERT INTO shipping_zone_areas (zone_id, district, thana)
+SELECT z.id, a.district, a.thana
+FROM shipping_zones z
+JOIN (VALUES
+    ('inside_dhaka', 'Dhaka', NULL),
+    ('dhaka_suburbs', 'Dhaka', 'Savar'),
+    ('dhaka_suburbs', 'Dhaka', 'Keraniganj'),
+    ('dhaka_suburbs', 'Dhaka', 'Dhamrai'),
+    ('dhaka_suburbs', 'Dhaka', 'Dohar'),
+    ('dhaka_suburbs', 'Dhaka', 'Nawabganj'),
+    ('dhaka_suburbs', 'Gazipur', NULL),
+    ('dhaka_suburbs', 'Narayanganj', NULL)
+) AS a(zone_code, district, thana) ON a.zone_code = z.code;
+
+INSERT INTO shipping_rates (zone_id, min_weight_grams, max_weight_grams, base_rate, per_kg_rate)
+SELECT z.id, r.min_weight_grams, r.max_weight_grams, r.base_rate, r.per_kg_rate
+FROM shipping_zones z
+JOIN (VALUES
+    ('inside_dhaka', 0, 1000, 60.00, 0.00),
+    ('inside_dhaka', 1000, NULL, 60.00, 15.00),
+    ('dhaka_suburbs', 0, 1000, 100.00, 0.00),
+    ('dhaka_suburbs', 1000, NULL, 100.00, 20.00),
+    ('outside_dhaka', 0, 1000, 120.00, 0.00),
+    ('outside_dhaka', 1000, NULL, 120.00, 25.00)
+) AS r(zone_code, min_weight_grams, max_weight_grams, base_rate, per_kg_rate) ON r.zone_code = z.code;
+
+-- Parcel weight per unit; products without one are quoted at 500 g
+ALTER TABLE products ADD COLUMN weight_grams INTEGER CHECK (weight_grams > 0);
+
+-- Shipping line on orders; shipping_discount is what a free_shipping coupon waived
+ALTER TABLE orders ADD COLUMN shipping_zone_id INTEGER REFERENCES shipping_zones(id) ON DELETE SET NULL;
+ALTER TABLE orders ADD COLUMN shipping_weight_grams INTEGER;
+ALTER TABLE orders ADD COLUMN shipping_cost NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (shipping_cost >= 0);
+ALTER TABLE orders ADD COLUMN shipping_discount NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (shipping_discount >= 0);
@@ -0,0 +1,53 @@
+-- Migration: Courier shipments and tracking events
+-- Created: 2025-01-12
+
+-- A consignment booked with a courier for an order
+CREATE TABLE shipments (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    courier TEXT NOT NULL CHECK (courier IN ('pathao', 'steadfast', 'redx')),
+    consignment_id TEXT NOT NULL,
+    tracking_number TEXT,
+    tracking_url TEXT,
+    status TEXT NOT NULL DEFAULT 'created' CHECK (status IN (
+        'created', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered',
+        'on_hold', 'failed', 'returned', 'cancelled'
+    )),
+    -- Latest status exactly as the courier reported it
+    courier_status TEXT,
+    cod_amount NUMERIC(10,2) NOT NULL DEFAULT 0 CHECK (cod_amount >= 0),
+    delivery_fee NUMERIC(10,2),
+    weight_grams INTEGER,
+    note TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    last_event_at TIMESTAMP,
+    picked_up_at TIMESTAMP,
+    delivered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Webhooks look shipments up by the courier's own ID
+CREATE UNIQUE INDEX idx_shipments_consignment ON shipments(courier, consignment_id);
+CREATE INDEX idx_shipments_order ON shipments(order_id);
+
+-- Tracking history. status is NULL for informational updates that did not
+-- change the parcel's state. Redelivered webhooks hit the unique index.
+CREATE TABLE shipment_events (
+    id SERIAL PRIMARY KEY,
+    shipment_id INTEGER NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+    status TEXT CHECK (status IN (
+        'created', 'picked_up', 'in_transit', 'out_for_delivery', 'delivered',
+        'on_hold', 'failed', 'returned', 'cancelled'
+    )),
+    courier_status TEXT NOT NULL,
+    description TEXT,
+    location TEXT,
+    occurred_at TIMESTAMP NOT NULL,
+    raw JSONB,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_shipment_events_unique ON shipment_events(shipment_id, courier_status, occurred_at);
+
+CREATE TRIGGER update_shipments_updated_at BEFORE UPDATE ON shipments FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
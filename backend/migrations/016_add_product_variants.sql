@@ -0,0 +1,56 @@
+-- Migration: Product options and variants
+-- Created: 2025-01-13
+
+-- Options a product is sold in, e.g. Size (S, M, L) or Colour (Red, Blue)
+CREATE TABLE product_options (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    choices TEXT[] NOT NULL CHECK (cardinality(choices) > 0),
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_product_options_name ON product_options(product_id, LOWER(name));
+
+-- One sellable combination of option values, e.g. {"Size": "M", "Colour": "Red"},
+-- titled "M / Red" in option order. price and weight_grams fall back to the
+-- product's when NULL. Once a product has variants, products.stock_quantity
+-- holds the sum of its active variants' stock.
+CREATE TABLE product_variants (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    sku VARCHAR(100) UNIQUE,
+    title TEXT NOT NULL,
+    price NUMERIC(10,2) CHECK (price >= 0),
+    stock_quantity INTEGER NOT NULL DEFAULT 0 CHECK (stock_quantity >= 0),
+    weight_grams INTEGER CHECK (weight_grams > 0),
+    image_url TEXT,
+    option_values JSONB NOT NULL,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_product_variants_options ON product_variants(product_id, option_values);
+CREATE INDEX idx_product_variants_product ON product_variants(product_id);
+
+CREATE TRIGGER update_product_options_updated_at BEFORE UPDATE ON product_options FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+CREATE TRIGGER update_product_variants_updated_at BEFORE UPDATE ON product_variants FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Cart lines are per variant; products without variants keep variant_id NULL
+ALTER TABLE cart_items
+    ADD COLUMN variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE;
+
+ALTER TABLE cart_items DROP CONSTRAINT cart_items_user_id_product_id_key;
+CREATE UNIQUE INDEX idx_cart_items_line ON cart_items(user_id, product_id, COALESCE(variant_id, 0));
+
+-- Order lines keep the variant's SKU and label in case the variant is removed later
+ALTER TABLE order_items
+    ADD COLUMN variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL,
+    ADD COLUMN variant_sku VARCHAR(100),
+    ADD COLUMN variant_label TEXT;
+
+CREATE INDEX idx_order_items_variant ON order_items(variant_id);
@@ -0,0 +1,38 @@
+-- Migration: Product image galleries and uploaded review media
+-- Created: 2025-01-14
+
+-- Uploaded product images. Each upload is stored as thumbnail, medium and
+-- large renditions; storage_keys lists the stored objects so they can be
+-- removed with the row. products.image_url follows the primary image's
+-- medium rendition, so listings, carts and search keep a single URL.
+CREATE TABLE product_images (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    thumbnail_url TEXT NOT NULL,
+    medium_url TEXT NOT NULL,
+    large_url TEXT NOT NULL,
+    storage_keys TEXT[] NOT NULL DEFAULT '{}',
+    alt_text VARCHAR(200),
+    width INTEGER,
+    height INTEGER,
+    file_size INTEGER,
+    mime_type VARCHAR(100),
+    position INTEGER NOT NULL DEFAULT 0,
+    is_primary BOOLEAN NOT NULL DEFAULT false,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_product_images_product ON product_images(product_id, position);
+CREATE UNIQUE INDEX idx_product_images_primary ON product_images(product_id) WHERE is_primary;
+
+CREATE TRIGGER update_product_images_updated_at BEFORE UPDATE ON product_images FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Review photos go through the same pipeline: media_thumbnail_url and
+-- media_url hold the thumbnail and large renditions
+ALTER TABLE review_media
+    ADD COLUMN media_medium_url VARCHAR(500),
+    ADD COLUMN storage_keys TEXT[] NOT NULL DEFAULT '{}',
+    ADD COLUMN width INTEGER,
+    ADD COLUMN height INTEGER,
+    ADD COLUMN position INTEGER NOT NULL DEFAULT 0;
@@ -0,0 +1,27 @@
+-- Migration: Stock reservations for checkouts awaiting payment
+-- Created: 2025-01-15
+
+-- Orders paid online hold their stock here instead of taking it at placement.
+-- stock_quantity stays the count on hand; what can still be sold is
+-- stock_quantity less the active, unexpired reservations. A reservation is
+-- committed (stock taken) when payment succeeds, released when payment fails
+-- or the order is cancelled, and expired by the sweeper once expires_at passes.
+CREATE TABLE stock_reservations (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'committed', 'released', 'expired')),
+    expires_at TIMESTAMP NOT NULL,
+    released_at TIMESTAMP,
+    release_reason VARCHAR(50),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_stock_reservations_order ON stock_reservations(order_id);
+CREATE INDEX idx_stock_reservations_active_product ON stock_reservations(product_id, variant_id) WHERE status = 'active';
+CREATE INDEX idx_stock_reservations_active_expiry ON stock_reservations(expires_at) WHERE status = 'active';
+
+CREATE TRIGGER update_stock_reservations_updated_at BEFORE UPDATE ON stock_reservations FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,27 @@
+-- Migration: Bangla catalog fields, customer locale and Bangla search
+-- Created: 2025-01-16
+
+-- Bangla translations of the catalog text. The English columns stay the
+-- source of slugs; a missing translation falls back to English.
+ALTER TABLE products
+    ADD COLUMN name_bn VARCHAR(255),
+    ADD COLUMN description_bn TEXT;
+
+ALTER TABLE categories
+    ADD COLUMN name_bn TEXT,
+    ADD COLUMN description_bn TEXT;
+
+-- Language for emails and the storefront. Orders keep the language the
+-- customer checked out in, so guest and later status emails match it.
+ALTER TABLE users
+    ADD COLUMN locale VARCHAR(5) NOT NULL DEFAULT 'en' CHECK (locale IN ('en', 'bn'));
+
+ALTER TABLE orders
+    ADD COLUMN locale VARCHAR(5) NOT NULL DEFAULT 'en' CHECK (locale IN ('en', 'bn'));
+
+-- Postgres ships no Bangla stemmer, so the database fallback search matches
+-- Bangla text with the 'simple' configuration and trigrams
+CREATE INDEX IF NOT EXISTS idx_products_fulltext_search_bn
+ON products USING gin(to_tsvector('simple', COALESCE(name_bn, '') || ' ' || COALESCE(description_bn, '')));
+
+CREATE INDEX IF NOT EXISTS idx_products_name_bn_trgm ON products USING gin(name_bn gin_trgm_ops);
@@ -0,0 +1,16 @@
+-- Migration: Product attributes for faceted search
+-- Created: 2025-01-17
+
+-- Brand, colour and material are the attributes shoppers filter by most and
+-- get their own columns; anything else (screen size, fabric weight, ...) goes
+-- in specs as {"Name": "Value"} pairs.
+ALTER TABLE products
+    ADD COLUMN brand VARCHAR(100),
+    ADD COLUMN color VARCHAR(50),
+    ADD COLUMN material VARCHAR(100),
+    ADD COLUMN specs JSONB NOT NULL DEFAULT '{}' CHECK (jsonb_typeof(specs) = 'object');
+
+-- The database fallback search counts and filters on these
+CREATE INDEX IF NOT EXISTS idx_products_brand ON products(brand) WHERE brand IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_products_color ON products(color) WHERE color IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_products_material ON products(material) WHERE material IS NOT NULL;
@@ -0,0 +1,20 @@
+-- Migration: Search synonyms
+-- Created: 2025-01-17
+
+-- Synonym rules kept by merchandisers and pushed to the search engine's query
+-- analyzer. Without replacements the terms are equivalent ("mobile, phone,
+-- cellphone"); with replacements a search for any of the terms also finds
+-- the replacements, but not the other way round ("phone cover => case").
+CREATE TABLE search_synonyms (
+    id SERIAL PRIMARY KEY,
+    terms TEXT[] NOT NULL CHECK (cardinality(terms) > 0),
+    replacements TEXT[] CHECK (replacements IS NULL OR cardinality(replacements) > 0),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    -- Equivalence needs at least two terms
+    CONSTRAINT search_synonyms_equivalent_terms CHECK (replacements IS NOT NULL OR cardinality(terms) > 1)
+);
+
+CREATE TRIGGER update_search_synonyms_updated_at BEFORE UPDATE ON search_synonyms FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
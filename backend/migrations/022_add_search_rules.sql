@@ -0,0 +1,53 @@
+-- Migration: Search merchandising rules
+-- Created: 2025-01-18
+
+-- Rules merchandisers use to override search ranking. A rule applies to one
+-- query (stored normalized: trimmed, lowercased, single-spaced), or to every
+-- search and listing when query is NULL, between starts_at and expires_at.
+--   pin:      show product_id first; pins for one query are ordered by position
+--   boost:    rank the target higher
+--   bury:     rank the target lower
+--   redirect: send the query to the category_id page instead of results
+-- Boost and bury target exactly one of a category, a brand, a product or the
+-- out-of-stock products.
+CREATE TABLE search_rules (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    query VARCHAR(100),
+    action VARCHAR(20) NOT NULL CHECK (action IN ('pin', 'boost', 'bury', 'redirect')),
+    product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+    category_id INTEGER REFERENCES categories(id) ON DELETE CASCADE,
+    brand VARCHAR(100),
+    out_of_stock BOOLEAN NOT NULL DEFAULT false,
+    position INTEGER CHECK (position > 0),
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    starts_at TIMESTAMP,
+    expires_at TIMESTAMP,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT search_rules_valid_dates CHECK (starts_at IS NULL OR expires_at IS NULL OR starts_at < expires_at),
+    CONSTRAINT search_rules_pin_target CHECK (
+        action <> 'pin' OR (
+            query IS NOT NULL AND product_id IS NOT NULL AND position IS NOT NULL
+            AND category_id IS NULL AND brand IS NULL AND NOT out_of_stock
+        )
+    ),
+    CONSTRAINT search_rules_redirect_target CHECK (
+        action <> 'redirect' OR (
+            query IS NOT NULL AND category_id IS NOT NULL
+            AND product_id IS NULL AND brand IS NULL AND NOT out_of_stock
+        )
+    ),
+    CONSTRAINT search_rules_ranking_target CHECK (
+        action NOT IN ('boost', 'bury') OR (
+            num_nonnulls(product_id, category_id, brand, NULLIF(out_of_stock, false)) = 1
+            AND position IS NULL
+        )
+    )
+);
+
+-- Every search looks up the rules live for its query
+CREATE INDEX idx_search_rules_query ON search_rules(query) WHERE is_active = true;
+
+CREATE TRIGGER update_search_rules_updated_at BEFORE UPDATE ON search_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
@@ -0,0 +1,106 @@
+-- Migration: Search index outbox
+-- Created: 2025-01-18
+
+-- Products whose search document is out of date. Triggers add a row in the
+-- same transaction as every change to what the document is built from, so
+-- no code path can change a product without it being reindexed; the search
+-- indexing worker sends them to Elasticsearch in bulk and marks them
+-- processed. Processed rows are kept for a day so changes made during a full
+-- reindex can be replayed onto the new index.
+CREATE TABLE search_index_outbox (
+    id BIGSERIAL PRIMARY KEY,
+    -- No foreign key: a deleted product still has to leave the index
+    product_id INTEGER NOT NULL,
+    reason VARCHAR(50) NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    processed_at TIMESTAMP
+);
+
+CREATE INDEX idx_search_index_outbox_pending ON search_index_outbox(id) WHERE processed_at IS NULL;
+CREATE INDEX idx_search_index_outbox_created_at ON search_index_outbox(created_at);
+CREATE INDEX idx_search_index_outbox_processed_at ON search_index_outbox(processed_at) WHERE processed_at IS NOT NULL;
+
+-- Queue the product a row belongs to; TG_ARGV[0] names the row's product
+-- column. A row moved to another product queues both.
+CREATE OR REPLACE FUNCTION enqueue_search_index_update()
+RETURNS TRIGGER AS $$
+DECLARE
+    old_product_id INTEGER;
+    new_product_id INTEGER;
+BEGIN
+    IF TG_OP <> 'INSERT' THEN
+        old_product_id := (to_jsonb(OLD) ->> TG_ARGV[0])::INTEGER;
+    END IF;
+    IF TG_OP <> 'DELETE' THEN
+        new_product_id := (to_jsonb(NEW) ->> TG_ARGV[0])::INTEGER;
+    END IF;
+
+    IF old_product_id IS NOT NULL THEN
+        INSERT INTO search_index_outbox (product_id, reason)
+        VALUES (old_product_id, TG_TABLE_NAME || '_' || lower(TG_OP));
+    END IF;
+    IF new_product_id IS NOT NULL AND new_product_id IS DISTINCT FROM old_product_id THEN
+        INSERT INTO search_index_outbox (product_id, reason)
+        VALUES (new_product_id, TG_TABLE_NAME || '_' || lower(TG_OP));
+    END IF;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+-- Name, price, stock, attributes and status
+CREATE TRIGGER search_index_products
+    AFTER INSERT OR DELETE ON products
+    FOR EACH ROW EXECUTE FUNCTION enqueue_search_index_update('id');
+CREATE TRIGGER search_index_products_update
+    AFTER UPDATE ON products
+    FOR EACH ROW WHEN (OLD IS DISTINCT FROM NEW)
+    EXECUTE FUNCTION enqueue_search_index_update('id');
+
+-- Variants, for writers that change variant stock without the product total
+CREATE TRIGGER search_index_product_variants
+    AFTER INSERT OR UPDATE OR DELETE ON product_variants
+    FOR EACH ROW EXECUTE FUNCTION enqueue_search_index_update('product_id');
+
+-- Ratings count approved reviews only, so moderation changes them
+CREATE TRIGGER search_index_product_reviews
+    AFTER INSERT OR UPDATE OF rating, is_approved, product_id OR DELETE ON product_reviews
+    FOR EACH ROW EXECUTE FUNCTION enqueue_search_index_update('product_id');
+
+-- Sale prices
+CREATE TRIGGER search_index_flash_sale_products
+    AFTER INSERT OR UPDATE OR DELETE ON flash_sale_products
+    FOR EACH ROW EXECUTE FUNCTION enqueue_search_index_update('product_id');
+
+CREATE OR REPLACE FUNCTION enqueue_flash_sale_search_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO search_index_outbox (product_id, reason)
+    SELECT product_id, 'flash_sales_update'
+    FROM flash_sale_products
+    WHERE flash_sale_id = NEW.id;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER search_index_flash_sales
+    AFTER UPDATE OF is_active, starts_at, expires_at ON flash_sales
+    FOR EACH ROW EXECUTE FUNCTION enqueue_flash_sale_search_update();
+
+-- Category names are copied into every product of the category
+CREATE OR REPLACE FUNCTION enqueue_category_search_update()
+RETURNS TRIGGER AS $$
+BEGIN
+    INSERT INTO search_index_outbox (product_id, reason)
+    SELECT id, 'categories_update'
+    FROM products
+    WHERE category_id = NEW.id;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER search_index_categories
+    AFTER UPDATE OF name, name_bn, slug ON categories
+    FOR EACH ROW EXECUTE FUNCTION enqueue_category_search_update();
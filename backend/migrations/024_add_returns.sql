@@ -0,0 +1,77 @@
+-- Migration: Order returns and exchanges (RMA)
+-- Created: 2025-01-19
+
+-- A customer's request to return or exchange some of an order line. Requests
+-- move requested -> approved -> pickup_scheduled -> received -> refunded (a
+-- return) or exchanged (an exchange); they can be rejected while requested
+-- and cancelled by the customer until the pickup is booked.
+CREATE TABLE return_requests (
+    id SERIAL PRIMARY KEY,
+    -- Set by set_return_number_trigger, e.g. RMA-20250119-000042
+    return_number TEXT NOT NULL UNIQUE,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    order_item_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL CHECK (type IN ('return', 'exchange')),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    reason VARCHAR(30) NOT NULL CHECK (reason IN (
+        'damaged', 'defective', 'wrong_item', 'not_as_described', 'size_or_fit', 'changed_mind', 'other'
+    )),
+    details TEXT,
+    -- Variant the customer wants instead; NULL exchanges like for like
+    exchange_variant_id INTEGER REFERENCES product_variants(id) ON DELETE SET NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'requested' CHECK (status IN (
+        'requested', 'approved', 'rejected', 'pickup_scheduled', 'received', 'refunded', 'exchanged', 'cancelled'
+    )),
+    -- Shown to the customer with the latest status
+    admin_note TEXT,
+    pickup_date DATE,
+    restocked BOOLEAN NOT NULL DEFAULT false,
+    refund_amount NUMERIC(10,2) CHECK (refund_amount >= 0),
+    refund_id TEXT,
+    reviewed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    received_at TIMESTAMP,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_return_requests_user ON return_requests(user_id, created_at DESC);
+CREATE INDEX idx_return_requests_order ON return_requests(order_id);
+CREATE INDEX idx_return_requests_order_item ON return_requests(order_item_id);
+CREATE INDEX idx_return_requests_status ON return_requests(status, created_at);
+
+-- Photos of the items, stored like review photos. media_url holds the large
+-- rendition.
+CREATE TABLE return_media (
+    id SERIAL PRIMARY KEY,
+    return_id INTEGER NOT NULL REFERENCES return_requests(id) ON DELETE CASCADE,
+    media_url VARCHAR(500) NOT NULL,
+    media_medium_url VARCHAR(500),
+    media_thumbnail_url VARCHAR(500),
+    storage_keys TEXT[] NOT NULL DEFAULT '{}',
+    width INTEGER,
+    height INTEGER,
+    file_size INTEGER,
+    mime_type VARCHAR(100),
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_return_media_return ON return_media(return_id, position);
+
+CREATE SEQUENCE return_number_seq START 1;
+
+CREATE OR REPLACE FUNCTION set_return_number()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.return_number IS NULL OR NEW.return_number = '' THEN
+        NEW.return_number = 'RMA-' || TO_CHAR(NOW(), 'YYYYMMDD') || '-' || LPAD(nextval('return_number_seq')::TEXT, 6, '0');
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER set_return_number_trigger BEFORE INSERT ON return_requests FOR EACH ROW EXECUTE FUNCTION set_return_number();
+CREATE TRIGGER update_return_requests_updated_at BEFORE UPDATE ON return_requests FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
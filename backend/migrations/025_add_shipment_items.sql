@@ -0,0 +1,28 @@
+-- Migration: Split shipments with their own items
+-- Created: 2025-01-19
+
+-- Each shipment carries some of the order's units, so a back-ordered line
+-- no longer holds up the rest. Units of cancelled or returned shipments
+-- count as not shipped and can be booked again.
+CREATE TABLE shipment_items (
+    id SERIAL PRIMARY KEY,
+    shipment_id INTEGER NOT NULL REFERENCES shipments(id) ON DELETE CASCADE,
+    order_item_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (shipment_id, order_item_id)
+);
+
+CREATE INDEX idx_shipment_items_order_item ON shipment_items(order_item_id);
+
+-- Shipments booked before this carried the whole order
+INSERT INTO shipment_items (shipment_id, order_item_id, quantity)
+SELECT s.id, oi.id, oi.quantity
+FROM shipments s
+JOIN order_items oi ON oi.order_id = s.order_id;
+
+-- Some of the order's items are on their way, the rest are still to ship
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_check;
+ALTER TABLE orders ADD CONSTRAINT orders_status_check CHECK (status IN (
+    'pending', 'confirmed', 'processing', 'partially_shipped', 'shipped', 'delivered', 'cancelled'
+));
@@ -0,0 +1,23 @@
+-- Migration: Order status history
+-- Created: 2025-01-19
+
+-- Every change of an order's status. from_status is NULL for the order being
+-- placed. actor says who made the change: admin, customer, system,
+-- payment:<provider> or courier:<courier>; changed_by is set when a user did.
+CREATE TABLE order_status_history (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    from_status TEXT,
+    to_status TEXT NOT NULL,
+    actor TEXT NOT NULL,
+    changed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    reason TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_order_status_history_order ON order_status_history(order_id, created_at);
+
+-- Orders placed before this start their history at the status they have now
+INSERT INTO order_status_history (order_id, from_status, to_status, actor, reason, created_at)
+SELECT id, NULL, status, 'system', 'Status before history was recorded', COALESCE(updated_at, created_at)
+FROM orders;
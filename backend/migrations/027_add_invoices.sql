@@ -0,0 +1,18 @@
+-- Migration: Invoices
+-- Created: 2025-01-19
+
+-- Invoice numbers run per calendar year without gaps, separate from order
+-- numbers. The year's row is locked while a number is taken, so a rolled
+-- back invoice gives its number to the next one.
+CREATE TABLE invoice_sequences (
+    year INTEGER PRIMARY KEY,
+    last_number INTEGER NOT NULL
+);
+
+-- One invoice per order, issued when the order is placed
+CREATE TABLE invoices (
+    id SERIAL PRIMARY KEY,
+    invoice_number TEXT NOT NULL UNIQUE,
+    order_id INTEGER NOT NULL UNIQUE REFERENCES orders(id) ON DELETE RESTRICT,
+    issued_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
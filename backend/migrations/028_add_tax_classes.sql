@@ -0,0 +1,60 @@
+-- Migration: VAT classes and order tax lines
+-- Created: 2025-01-19
+
+-- VAT classes with their rate in percent. A product takes its own class,
+-- then its category's, then the default class.
+CREATE TABLE tax_classes (
+    id SERIAL PRIMARY KEY,
+    code TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    description TEXT,
+    rate NUMERIC(5,2) NOT NULL CHECK (rate >= 0 AND rate < 100),
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_tax_classes_default ON tax_classes (is_default) WHERE is_default;
+
+CREATE TRIGGER update_tax_classes_updated_at BEFORE UPDATE ON tax_classes FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO tax_classes (code, name, description, rate, is_default) VALUES
+    ('standard', 'Standard VAT', 'Standard rate for most goods', 15.00, true),
+    ('reduced', 'Reduced VAT', 'Reduced rate, e.g. some apparel and household goods', 10.00, false),
+    ('retail', 'Retail VAT', 'Rate on the retail trade of some goods', 7.50, false),
+    ('low', 'Low VAT', 'Low rate, e.g. some food and agricultural goods', 5.00, false),
+    ('exempt', 'VAT exempt', 'Goods exempt from VAT, e.g. books and unprocessed food', 0.00, false);
+
+ALTER TABLE categories ADD COLUMN tax_class_id INTEGER REFERENCES tax_classes(id) ON DELETE SET NULL;
+ALTER TABLE products ADD COLUMN tax_class_id INTEGER REFERENCES tax_classes(id) ON DELETE SET NULL;
+
+-- VAT charged on the order and whether the item prices already included it.
+-- Exclusive orders add tax_amount to total_amount; inclusive ones do not.
+ALTER TABLE orders
+    ADD COLUMN tax_amount NUMERIC(10,2) NOT NULL DEFAULT 0,
+    ADD COLUMN prices_include_tax BOOLEAN NOT NULL DEFAULT true;
+
+-- Each item keeps the class and rate it was taxed at, its share of the
+-- coupon discount and the VAT on what remains
+ALTER TABLE order_items
+    ADD COLUMN tax_class_id INTEGER REFERENCES tax_classes(id) ON DELETE SET NULL,
+    ADD COLUMN tax_rate NUMERIC(5,2) NOT NULL DEFAULT 0,
+    ADD COLUMN discount_amount NUMERIC(10,2) NOT NULL DEFAULT 0,
+    ADD COLUMN tax_amount NUMERIC(10,2) NOT NULL DEFAULT 0;
+
+-- VAT per class on an order, as printed on the invoice. Name and rate are
+-- copied so later changes to the class leave placed orders alone.
+CREATE TABLE order_tax_lines (
+    id SERIAL PRIMARY KEY,
+    order_id INTEGER NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    tax_class_id INTEGER REFERENCES tax_classes(id) ON DELETE SET NULL,
+    name TEXT NOT NULL,
+    rate NUMERIC(5,2) NOT NULL,
+    taxable_amount NUMERIC(10,2) NOT NULL,
+    tax_amount NUMERIC(10,2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_order_tax_lines_order ON order_tax_lines(order_id);
+CREATE INDEX idx_products_tax_class ON products(tax_class_id) WHERE tax_class_id IS NOT NULL;
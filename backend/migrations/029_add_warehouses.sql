@@ -0,0 +1,119 @@
+-- Migration: Warehouses, per-location stock and stock transfers
+-- Created: 2025-01-19
+
+-- Locations stock is kept and shipped from. Orders ship from the warehouse
+-- in the customer's district, then one serving their division, then the
+-- rest in sort_order. Deliveries outside every service area go to the
+-- nearest warehouse by sort_order.
+CREATE TABLE warehouses (
+    id SERIAL PRIMARY KEY,
+    code TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    address TEXT,
+    division TEXT NOT NULL,
+    district TEXT NOT NULL,
+    service_divisions TEXT[] NOT NULL DEFAULT '{}',
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    sort_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Stock added without naming a location goes to the default warehouse
+CREATE UNIQUE INDEX idx_warehouses_default ON warehouses (is_default) WHERE is_default;
+
+CREATE TRIGGER update_warehouses_updated_at BEFORE UPDATE ON warehouses FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+INSERT INTO warehouses (code, name, address, division, district, service_divisions, is_default, sort_order) VALUES
+    ('DHK', 'Dhaka Warehouse', 'Tejgaon Industrial Area, Dhaka', 'Dhaka', 'Dhaka',
+        ARRAY['Dhaka', 'Mymensingh', 'Rajshahi', 'Rangpur', 'Khulna', 'Barishal'], true, 0),
+    ('CTG', 'Chattogram Hub', 'Agrabad, Chattogram', 'Chattogram', 'Chattogram',
+        ARRAY['Chattogram', 'Sylhet'], false, 1);
+
+-- Units on hand per warehouse for a product, or for one of its variants.
+-- products.stock_quantity and product_variants.stock_quantity stay the
+-- totals across warehouses, so availability elsewhere reads them as before.
+CREATE TABLE inventory_levels (
+    id SERIAL PRIMARY KEY,
+    warehouse_id INTEGER NOT NULL REFERENCES warehouses(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL DEFAULT 0 CHECK (quantity >= 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_inventory_levels_location ON inventory_levels (warehouse_id, product_id, (COALESCE(variant_id, 0)));
+CREATE INDEX idx_inventory_levels_product ON inventory_levels(product_id, variant_id);
+
+CREATE TRIGGER update_inventory_levels_updated_at BEFORE UPDATE ON inventory_levels FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Existing stock was all kept in Dhaka
+INSERT INTO inventory_levels (warehouse_id, product_id, variant_id, quantity)
+SELECT w.id, p.id, NULL, p.stock_quantity
+FROM products p, warehouses w
+WHERE w.code = 'DHK' AND p.stock_quantity > 0
+  AND NOT EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = p.id);
+
+INSERT INTO inventory_levels (warehouse_id, product_id, variant_id, quantity)
+SELECT w.id, pv.product_id, pv.id, pv.stock_quantity
+FROM product_variants pv, warehouses w
+WHERE w.code = 'DHK' AND pv.stock_quantity > 0;
+
+-- Where each order line ships from; a line is split when no one warehouse
+-- holds all of it. Cancellations and returns put stock back where it came from.
+CREATE TABLE order_item_allocations (
+    id SERIAL PRIMARY KEY,
+    order_item_id INTEGER NOT NULL REFERENCES order_items(id) ON DELETE CASCADE,
+    warehouse_id INTEGER NOT NULL REFERENCES warehouses(id),
+    quantity INTEGER NOT NULL CHECK (quantity > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_order_item_allocations_item ON order_item_allocations(order_item_id);
+
+INSERT INTO order_item_allocations (order_item_id, warehouse_id, quantity)
+SELECT oi.id, w.id, oi.quantity
+FROM order_items oi, warehouses w
+WHERE w.code = 'DHK' AND oi.quantity > 0;
+
+-- Reservations hold stock at the warehouse the line was allocated to
+ALTER TABLE stock_reservations ADD COLUMN warehouse_id INTEGER REFERENCES warehouses(id);
+
+UPDATE stock_reservations SET warehouse_id = (SELECT id FROM warehouses WHERE code = 'DHK');
+
+ALTER TABLE stock_reservations ALTER COLUMN warehouse_id SET NOT NULL;
+
+CREATE INDEX idx_stock_reservations_active_warehouse ON stock_reservations(warehouse_id, product_id) WHERE status = 'active';
+
+-- Stock moved between warehouses. Units leave the source when the transfer
+-- is dispatched and reach the destination when it is received; in transit
+-- they cannot be sold. Cancelling puts them back at the source.
+CREATE TABLE stock_transfers (
+    id SERIAL PRIMARY KEY,
+    from_warehouse_id INTEGER NOT NULL REFERENCES warehouses(id),
+    to_warehouse_id INTEGER NOT NULL REFERENCES warehouses(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'in_transit' CHECK (status IN ('in_transit', 'received', 'cancelled')),
+    note TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    completed_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    completed_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK (from_warehouse_id <> to_warehouse_id)
+);
+
+CREATE INDEX idx_stock_transfers_status ON stock_transfers(status, created_at DESC);
+
+CREATE TRIGGER update_stock_transfers_updated_at BEFORE UPDATE ON stock_transfers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE stock_transfer_items (
+    id SERIAL PRIMARY KEY,
+    transfer_id INTEGER NOT NULL REFERENCES stock_transfers(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL CHECK (quantity > 0)
+);
+
+CREATE INDEX idx_stock_transfer_items_transfer ON stock_transfer_items(transfer_id);
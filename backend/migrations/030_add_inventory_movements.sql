@@ -0,0 +1,69 @@
+-- Migration: Inventory movement ledger and drift flags
+-- Created: 2025-01-19
+
+-- Every change to the units on hand at a warehouse, as InventoryService
+-- makes it. quantity is signed; quantity_after is the warehouse's level
+-- after the change. Summed per product (or variant) the ledger gives its
+-- stock_quantity. actor says who made the change, as in
+-- order_status_history: admin, customer, system or payment:<provider>;
+-- created_by is set when a user did. The reference columns point at the
+-- order, return or transfer the change belongs to.
+CREATE TABLE inventory_movements (
+    id BIGSERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+    -- No foreign key: the history of a removed variant is kept
+    variant_id INTEGER,
+    warehouse_id INTEGER NOT NULL REFERENCES warehouses(id),
+    kind TEXT NOT NULL CHECK (kind IN (
+        'opening_balance', 'sale', 'cancellation', 'return', 'adjustment',
+        'damage', 'stock_count', 'transfer_out', 'transfer_in'
+    )),
+    quantity INTEGER NOT NULL CHECK (quantity <> 0),
+    quantity_after INTEGER NOT NULL,
+    actor TEXT NOT NULL,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    order_id INTEGER REFERENCES orders(id) ON DELETE SET NULL,
+    return_id INTEGER REFERENCES return_requests(id) ON DELETE SET NULL,
+    transfer_id INTEGER REFERENCES stock_transfers(id) ON DELETE SET NULL,
+    note TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_inventory_movements_product ON inventory_movements(product_id, created_at DESC);
+CREATE INDEX idx_inventory_movements_order ON inventory_movements(order_id) WHERE order_id IS NOT NULL;
+
+-- The ledger is append-only. Only the references may change, when the row
+-- they point at is deleted.
+CREATE OR REPLACE FUNCTION reject_inventory_movement_change()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'inventory_movements is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER inventory_movements_append_only
+    BEFORE UPDATE OF product_id, variant_id, warehouse_id, kind, quantity, quantity_after, actor, note, created_at OR DELETE
+    ON inventory_movements
+    FOR EACH ROW EXECUTE FUNCTION reject_inventory_movement_change();
+
+-- Stock on hand before the ledger was kept opens it
+INSERT INTO inventory_movements (product_id, variant_id, warehouse_id, kind, quantity, quantity_after, actor, note)
+SELECT product_id, variant_id, warehouse_id, 'opening_balance', quantity, quantity, 'system', 'Stock before the ledger was kept'
+FROM inventory_levels
+WHERE quantity > 0;
+
+-- Products and variants whose stock_quantity does not match the sum of their
+-- ledger, as found by the reconciliation job. A flag stays open until a run
+-- finds the two agreeing again.
+CREATE TABLE inventory_drift (
+    id SERIAL PRIMARY KEY,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+    ledger_quantity INTEGER NOT NULL,
+    stock_quantity INTEGER NOT NULL,
+    detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    checked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    resolved_at TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_inventory_drift_open ON inventory_drift (product_id, (COALESCE(variant_id, 0))) WHERE resolved_at IS NULL;
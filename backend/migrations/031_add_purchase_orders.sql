@@ -0,0 +1,106 @@
+-- Migration: Suppliers, purchase orders and reorder points
+-- Created: 2025-01-19
+
+-- Who stock is bought from. lead_time_days is how long the supplier
+-- usually takes to deliver; new purchase orders expect their stock that
+-- many days after they are sent.
+CREATE TABLE suppliers (
+    id SERIAL PRIMARY KEY,
+    name TEXT NOT NULL,
+    contact_name TEXT,
+    email TEXT,
+    phone TEXT,
+    address TEXT,
+    lead_time_days INTEGER NOT NULL DEFAULT 7 CHECK (lead_time_days >= 0),
+    notes TEXT,
+    is_active BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE UNIQUE INDEX idx_suppliers_name ON suppliers (LOWER(name));
+
+CREATE TRIGGER update_suppliers_updated_at BEFORE UPDATE ON suppliers FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- When a product runs down to reorder_point units on hand, a purchase
+-- order for reorder_quantity units is drafted to its supplier. Products
+-- with variants have each variant checked against the rule.
+CREATE TABLE product_reorder_rules (
+    product_id INTEGER PRIMARY KEY REFERENCES products(id) ON DELETE CASCADE,
+    supplier_id INTEGER NOT NULL REFERENCES suppliers(id) ON DELETE CASCADE,
+    reorder_point INTEGER NOT NULL CHECK (reorder_point >= 0),
+    reorder_quantity INTEGER NOT NULL CHECK (reorder_quantity > 0),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_product_reorder_rules_supplier ON product_reorder_rules(supplier_id);
+
+CREATE TRIGGER update_product_reorder_rules_updated_at BEFORE UPDATE ON product_reorder_rules FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Stock bought from a supplier for one warehouse. Drafts can be edited;
+-- once sent the order is received, in one delivery or several, until
+-- everything ordered has arrived. auto_generated marks drafts opened by
+-- the reorder check, which adds further low lines to its open draft.
+CREATE TABLE purchase_orders (
+    id SERIAL PRIMARY KEY,
+    -- Set by set_po_number_trigger, e.g. PO-20250119-000042
+    po_number TEXT NOT NULL UNIQUE,
+    supplier_id INTEGER NOT NULL REFERENCES suppliers(id),
+    warehouse_id INTEGER NOT NULL REFERENCES warehouses(id),
+    status VARCHAR(20) NOT NULL DEFAULT 'draft' CHECK (status IN (
+        'draft', 'sent', 'partially_received', 'received', 'cancelled'
+    )),
+    auto_generated BOOLEAN NOT NULL DEFAULT false,
+    expected_at DATE,
+    note TEXT,
+    created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+    sent_at TIMESTAMP,
+    received_at TIMESTAMP,
+    cancelled_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX idx_purchase_orders_status ON purchase_orders(status, created_at DESC);
+CREATE INDEX idx_purchase_orders_supplier ON purchase_orders(supplier_id, created_at DESC);
+
+CREATE SEQUENCE po_number_seq START 1;
+
+CREATE OR REPLACE FUNCTION set_po_number()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF NEW.po_number IS NULL OR NEW.po_number = '' THEN
+        NEW.po_number = 'PO-' || TO_CHAR(NOW(), 'YYYYMMDD') || '-' || LPAD(nextval('po_number_seq')::TEXT, 6, '0');
+    END IF;
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER set_po_number_trigger BEFORE INSERT ON purchase_orders FOR EACH ROW EXECUTE FUNCTION set_po_number();
+CREATE TRIGGER update_purchase_orders_updated_at BEFORE UPDATE ON purchase_orders FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+CREATE TABLE purchase_order_items (
+    id SERIAL PRIMARY KEY,
+    purchase_order_id INTEGER NOT NULL REFERENCES purchase_orders(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+    -- No foreign key, as in inventory_movements: what was bought is kept
+    -- when the variant matrix changes
+    variant_id INTEGER,
+    quantity_ordered INTEGER NOT NULL CHECK (quantity_ordered > 0),
+    quantity_received INTEGER NOT NULL DEFAULT 0 CHECK (quantity_received >= 0 AND quantity_received <= quantity_ordered),
+    unit_cost DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (unit_cost >= 0)
+);
+
+CREATE UNIQUE INDEX idx_purchase_order_items_line ON purchase_order_items (purchase_order_id, product_id, (COALESCE(variant_id, 0)));
+CREATE INDEX idx_purchase_order_items_product ON purchase_order_items(product_id, variant_id);
+
+-- Stock received against a purchase order enters the ledger as a
+-- purchase_receipt pointing at the order
+ALTER TABLE inventory_movements ADD COLUMN purchase_order_id INTEGER REFERENCES purchase_orders(id) ON DELETE SET NULL;
+
+ALTER TABLE inventory_movements DROP CONSTRAINT inventory_movements_kind_check;
+ALTER TABLE inventory_movements ADD CONSTRAINT inventory_movements_kind_check CHECK (kind IN (
+    'opening_balance', 'sale', 'cancellation', 'return', 'adjustment',
+    'damage', 'stock_count', 'transfer_out', 'transfer_in', 'purchase_receipt'
+));
@@ -0,0 +1,74 @@
+-- Migration: Back-in-stock and price-drop alerts
+-- Created: 2025-01-20
+
+-- A customer asking to hear when a product (or one variant of it) is back
+-- in stock, or when its price falls to target_price. An alert fires once:
+-- triggers below move it from active to triggered when the product meets
+-- it, and the product alert worker emails the customer and marks it
+-- notified. Alerts that never fire expire at expires_at.
+CREATE TABLE product_alerts (
+    id SERIAL PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    variant_id INTEGER REFERENCES product_variants(id) ON DELETE CASCADE,
+    kind VARCHAR(20) NOT NULL CHECK (kind IN ('back_in_stock', 'price_drop')),
+    target_price DECIMAL(10,2) CHECK (target_price >= 0),
+    status VARCHAR(20) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'triggered', 'notified', 'expired')),
+    expires_at TIMESTAMP NOT NULL,
+    triggered_at TIMESTAMP,
+    notified_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    CHECK ((kind = 'price_drop') = (target_price IS NOT NULL))
+);
+
+-- One waiting alert of each kind per customer and product or variant
+CREATE UNIQUE INDEX idx_product_alerts_active ON product_alerts (user_id, product_id, (COALESCE(variant_id, 0)), kind) WHERE status = 'active';
+CREATE INDEX idx_product_alerts_product ON product_alerts(product_id) WHERE status = 'active';
+CREATE INDEX idx_product_alerts_triggered ON product_alerts(triggered_at) WHERE status = 'triggered';
+CREATE INDEX idx_product_alerts_expires_at ON product_alerts(expires_at) WHERE status = 'active';
+CREATE INDEX idx_product_alerts_user ON product_alerts(user_id, created_at DESC);
+
+CREATE TRIGGER update_product_alerts_updated_at BEFORE UPDATE ON product_alerts FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- Trigger the active alerts of the product a row belongs to that it now
+-- meets; TG_ARGV[0] names the row's product column. Stock is checked on
+-- hand, and a variant without its own price has the product's. Running in
+-- the same transaction as the change, no writer (stock updates, product
+-- edits, returns, purchase receipts) can bring a product back without its
+-- alerts firing.
+CREATE OR REPLACE FUNCTION trigger_product_alerts()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE product_alerts a
+    SET status = 'triggered', triggered_at = CURRENT_TIMESTAMP
+    FROM products p
+    WHERE p.id = (to_jsonb(NEW) ->> TG_ARGV[0])::INTEGER
+    AND a.product_id = p.id
+    AND a.status = 'active'
+    AND a.expires_at > CURRENT_TIMESTAMP
+    AND p.is_active = true
+    AND CASE
+        WHEN a.variant_id IS NULL THEN
+            CASE a.kind WHEN 'back_in_stock' THEN p.stock_quantity > 0 ELSE p.price <= a.target_price END
+        ELSE EXISTS (
+            SELECT 1 FROM product_variants v
+            WHERE v.id = a.variant_id
+            AND v.is_active = true
+            AND CASE a.kind WHEN 'back_in_stock' THEN v.stock_quantity > 0 ELSE COALESCE(v.price, p.price) <= a.target_price END
+        )
+    END;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER product_alerts_products
+    AFTER UPDATE OF stock_quantity, price, is_active ON products
+    FOR EACH ROW WHEN (NEW.stock_quantity > OLD.stock_quantity OR NEW.price < OLD.price OR (NEW.is_active AND NOT OLD.is_active))
+    EXECUTE FUNCTION trigger_product_alerts('id');
+
+CREATE TRIGGER product_alerts_product_variants
+    AFTER UPDATE OF stock_quantity, price, is_active ON product_variants
+    FOR EACH ROW WHEN (NEW.stock_quantity > OLD.stock_quantity OR NEW.price IS DISTINCT FROM OLD.price OR (NEW.is_active AND NOT OLD.is_active))
+    EXECUTE FUNCTION trigger_product_alerts('product_id');
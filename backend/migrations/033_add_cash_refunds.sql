@@ -0,0 +1,10 @@
+-- Migration: Cash refunds for cash on delivery orders
+-- Created: 2025-01-20
+
+-- Cash on delivery orders have no payment transaction to refund through a
+-- provider; refunds of them are paid out by hand (cash or mobile transfer)
+-- and recorded with provider cash_on_delivery and no payment transaction.
+ALTER TABLE refund_transactions DROP CONSTRAINT refund_transactions_provider_check;
+ALTER TABLE refund_transactions ADD CONSTRAINT refund_transactions_provider_check CHECK (provider IN (
+    'stripe', 'bkash', 'nagad', 'sslcommerz', 'cash_on_delivery'
+));
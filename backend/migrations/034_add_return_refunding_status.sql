@@ -0,0 +1,10 @@
+-- Migration: Returns waiting on the payment provider
+-- Created: 2025-01-20
+
+-- A return is committed as refunding before the provider is asked for the
+-- refund, so the request is not held locked during the call. It moves on to
+-- refunded, or back to received when the provider turns the refund down.
+ALTER TABLE return_requests DROP CONSTRAINT return_requests_status_check;
+ALTER TABLE return_requests ADD CONSTRAINT return_requests_status_check CHECK (status IN (
+    'requested', 'approved', 'rejected', 'pickup_scheduled', 'received', 'refunding', 'refunded', 'exchanged', 'cancelled'
+));
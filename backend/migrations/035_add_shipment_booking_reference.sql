@@ -0,0 +1,10 @@
+-- Migration: Booking references for shipments
+-- Created: 2025-01-21
+
+-- The merchant reference a consignment is booked under: the order number
+-- and how many shipments the order had before it. A booking retried after
+-- a timeout or a failed save goes out under the same reference, so the
+-- courier recognises it instead of booking a second parcel.
+ALTER TABLE shipments ADD COLUMN booking_reference TEXT;
+
+CREATE UNIQUE INDEX idx_shipments_booking_reference ON shipments(booking_reference);
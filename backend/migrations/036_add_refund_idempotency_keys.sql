@@ -0,0 +1,14 @@
+-- Migration: Idempotency keys for provider refunds
+-- Created: 2025-01-21
+
+-- A return moves to refunding with a fresh key, and every attempt at its
+-- refund goes to the provider under that key. A refund that timed out, or
+-- whose answer was lost in a crash, is retried under the same key, so the
+-- provider and refund_transactions see one refund rather than two.
+ALTER TABLE return_requests ADD COLUMN refund_key TEXT;
+
+ALTER TABLE refund_transactions ADD COLUMN idempotency_key TEXT;
+CREATE UNIQUE INDEX idx_refund_transactions_idempotency_key ON refund_transactions(idempotency_key);
+
+-- Refunds the provider turned down have no provider refund ID
+ALTER TABLE refund_transactions ALTER COLUMN provider_refund_id DROP NOT NULL;
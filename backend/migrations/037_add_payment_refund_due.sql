@@ -0,0 +1,9 @@
+-- Migration: Payments that arrive for cancelled orders
+-- Created: 2025-01-21
+
+-- A gateway can confirm a payment after the order was cancelled. The money
+-- has been taken but the order no longer takes its stock, so the payment is
+-- flagged for a refund; refunding the order in full clears the flag.
+ALTER TABLE payment_transactions ADD COLUMN refund_due BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE INDEX idx_payment_transactions_refund_due ON payment_transactions(order_id) WHERE refund_due;
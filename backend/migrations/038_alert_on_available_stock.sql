@@ -0,0 +1,51 @@
+-- Migration: Back-in-stock alerts follow sellable stock
+-- Created: 2025-01-21
+
+-- Customers can ask for a back-in-stock alert while a product's stock is
+-- all held by checkouts awaiting payment, so alerts fire on what can be
+-- sold: stock on hand less active, unexpired reservations, as
+-- StockReservationService.availableStockSql counts it. Stock that checkouts
+-- give back without stock_quantity changing, when a reservation is
+-- released or expires, fires them too.
+CREATE OR REPLACE FUNCTION trigger_product_alerts()
+RETURNS TRIGGER AS $$
+BEGIN
+    UPDATE product_alerts a
+    SET status = 'triggered', triggered_at = CURRENT_TIMESTAMP
+    FROM products p
+    WHERE p.id = (to_jsonb(NEW) ->> TG_ARGV[0])::INTEGER
+    AND a.product_id = p.id
+    AND a.status = 'active'
+    AND a.expires_at > CURRENT_TIMESTAMP
+    AND p.is_active = true
+    AND CASE
+        WHEN a.variant_id IS NULL THEN
+            CASE a.kind
+                WHEN 'back_in_stock' THEN p.stock_quantity > (
+                    SELECT COALESCE(SUM(sr.quantity), 0) FROM stock_reservations sr
+                    WHERE sr.product_id = p.id AND sr.status = 'active' AND sr.expires_at > CURRENT_TIMESTAMP
+                )
+                ELSE p.price <= a.target_price
+            END
+        ELSE EXISTS (
+            SELECT 1 FROM product_variants v
+            WHERE v.id = a.variant_id
+            AND v.is_active = true
+            AND CASE a.kind
+                WHEN 'back_in_stock' THEN v.stock_quantity > (
+                    SELECT COALESCE(SUM(sr.quantity), 0) FROM stock_reservations sr
+                    WHERE sr.variant_id = v.id AND sr.status = 'active' AND sr.expires_at > CURRENT_TIMESTAMP
+                )
+                ELSE COALESCE(v.price, p.price) <= a.target_price
+            END
+        )
+    END;
+
+    RETURN NULL;
+END;
+$$ LANGUAGE plpgsql;
+
+CREATE TRIGGER product_alerts_stock_reservations
+    AFTER UPDATE OF status ON stock_reservations
+    FOR EACH ROW WHEN (OLD.status = 'active' AND NEW.status IN ('released', 'expired'))
+    EXECUTE FUNCTION trigger_product_alerts('product_id');
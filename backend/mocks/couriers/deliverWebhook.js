@@ -0,0 +1,24 @@
+// Build the webhook request a mock courier would send and, when the mock was
+// started with a webhookUrl, POST it to the API under test.
+// Resolves with { payload, headers, query, status } where status is the HTTP
+// status the API answered with (null when nothing was sent).
+const deliverWebhook = async (webhookUrl, { payload, headers = {}, query = {} }) => {
+    if (!webhookUrl) {
+        return { payload, headers, query, status: null };
+    }
+
+    const url = new URL(webhookUrl);
+    for (const [key, value] of Object.entries(query)) {
+        url.searchParams.set(key, value);
+    }
+
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(payload)
+    });
+
+    return { payload, headers, query, status: response.status };
+};
+
+module.exports = deliverWebhook;
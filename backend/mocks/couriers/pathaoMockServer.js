@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const express = require('express');
+const listen = require('../listen');
+const deliverWebhook = require('./deliverWebhook');
+
+// Local stand-in for the Pathao courier merchant API. Parcels move through
+// states when the test (or a developer) calls state.pushStatus, which also
+// sends the signed webhook to webhookUrl when one is configured.
+//
+//   node mocks/couriers/pathaoMockServer.js [port] [webhookUrl]
+const createPathaoMockServer = ({
+    clientId = 'mock-client-id',
+    clientSecret = 'mock-client-secret',
+    username = 'mock@merchant.test',
+    password = 'mock-password',
+    storeId = 1001,
+    webhookSecret = 'mock-pathao-webhook-secret',
+    webhookUrl = null
+} = {}) => {
+    const app = express();
+    const accessToken = `mock-pathao-token-${crypto.randomBytes(8).toString('hex')}`;
+    const orders = new Map();
+    const state = { orders, baseUrl: null, webhookUrl };
+
+    app.use(express.json());
+
+    const fail = (res, code, message, errors) => res.status(code).json({ message, type: 'error', code, errors });
+
+    app.post('/aladdin/api/v1/issue-token', (req, res) => {
+        const body = req.body;
+        if (body.client_id !== clientId || body.client_secret !== clientSecret ||
+            body.username !== username || body.password !== password || body.grant_type !== 'password') {
+            return fail(res, 401, 'Invalid credentials');
+        }
+
+        res.json({
+            token_type: 'Bearer',
+            expires_in: 432000,
+            access_token: accessToken,
+            refresh_token: `refresh-${accessToken}`
+        });
+    });
+
+    app.use('/aladdin/api/v1/orders', (req, res, next) => {
+        if (req.headers.authorization !== `Bearer ${accessToken}`) {
+            return fail(res, 401, 'Unauthenticated');
+        }
+        next();
+    });
+
+    app.post('/aladdin/api/v1/orders', (req, res) => {
+        const body = req.body;
+        const errors = {};
+
+        if (body.store_id !== storeId) errors.store_id = ['The selected store id is invalid.'];
+        if (!body.merchant_order_id) errors.merchant_order_id = ['The merchant order id field is required.'];
+        if (!body.recipient_name) errors.recipient_name = ['The recipient name field is required.'];
+        if (!/^01\d{9}$/.test(body.recipient_phone || '')) errors.recipient_phone = ['The recipient phone must be 11 digits.'];
+        if (String(body.recipient_address || '').length < 10) errors.recipient_address = ['The recipient address must be at least 10 characters.'];
+        if (![12, 48].includes(body.delivery_type)) errors.delivery_type = ['The selected delivery type is invalid.'];
+        if (![1, 2].includes(body.item_type)) errors.item_type = ['The selected item type is invalid.'];
+        if (!(body.item_weight >= 0.5 && body.item_weight <= 10)) errors.item_weight = ['The item weight must be between 0.5 and 10.'];
+        if (!Number.isInteger(body.amount_to_collect) || body.amount_to_collect < 0) errors.amount_to_collect = ['The amount to collect must be an integer.'];
+
+        if (Object.keys(errors).length > 0) {
+            return fail(res, 422, 'Please fix the given errors', errors);
+        }
+
+        const consignmentId = `DL${Date.now().toString(36).toUpperCase()}${crypto.randomBytes(2).toString('hex').toUpperCase()}`;
+        const order = {
+            consignment_id: consignmentId,
+            merchant_order_id: body.merchant_order_id,
+            order_status: 'Pending',
+            delivery_fee: body.item_weight > 1 ? 60 + Math.ceil(body.item_weight - 1) * 15 : 60,
+            amount_to_collect: body.amount_to_collect,
+            updated_at: new Date().toISOString()
+        };
+        orders.set(consignmentId, order);
+
+        res.json({
+            message: 'Order Created Successfully',
+            type: 'success',
+            code: 200,
+            data: {
+                consignment_id: order.consignment_id,
+                merchant_order_id: order.merchant_order_id,
+                order_status: order.order_status,
+                delivery_fee: order.delivery_fee
+            }
+        });
+    });
+
+    app.get('/aladdin/api/v1/orders/:consignmentId/info', (req, res) => {
+        const order = orders.get(req.params.consignmentId);
+        if (!order) {
+            return fail(res, 404, 'Order not found');
+        }
+
+        res.json({
+            message: 'Order info',
+            type: 'success',
+            code: 200,
+            data: {
+                consignment_id: order.consignment_id,
+                merchant_order_id: order.merchant_order_id,
+                order_status: order.order_status,
+                order_status_slug: order.order_status,
+                updated_at: order.updated_at,
+                invoice_id: null
+            }
+        });
+    });
+
+    // Move a parcel to a new state, e.g. 'order.picked' or 'order.delivered',
+    // and emit the webhook Pathao would send for it
+    state.pushStatus = async (consignmentId, event, { reason } = {}) => {
+        const order = orders.get(consignmentId);
+        if (!order) {
+            throw new Error(`Unknown consignment ${consignmentId}`);
+        }
+
+        // 'order.at-the-sorting-hub' -> 'At_The_Sorting_Hub', as the info API reports it
+        order.order_status = event.replace(/^order\./, '').split('-')
+            .map(word => word.charAt(0).toUpperCase() + word.slice(1)).join('_');
+        order.updated_at = new Date().toISOString();
+
+        return deliverWebhook(state.webhookUrl, {
+            payload: {
+                consignment_id: order.consignment_id,
+                merchant_order_id: order.merchant_order_id,
+                store_id: storeId,
+                event,
+                reason,
+                delivery_fee: order.delivery_fee,
+                updated_at: order.updated_at,
+                timestamp: order.updated_at
+            },
+            headers: { 'x-pathao-signature': webhookSecret }
+        });
+    };
+
+    return { app, state };
+};
+
+const startPathaoMockServer = async (options = {}, port = 0) => {
+    const { app, state } = createPathaoMockServer(options);
+    const server = await listen(app, port);
+    state.baseUrl = server.url;
+    return { ...server, state };
+};
+
+if (require.main === module) {
+    startPathaoMockServer({ webhookUrl: process.argv[3] || null }, parseInt(process.argv[2]) || 4020).then(({ url }) => {
+        process.stdout.write(`Pathao mock server listening on ${url}\n`);
+    });
+}
+
+module.exports = { createPathaoMockServer, startPathaoMockServer };
@@ -0,0 +1,143 @@
+const crypto = require('crypto');
+const express = require('express');
+const listen = require('../listen');
+const deliverWebhook = require('./deliverWebhook');
+
+// A handful of RedX delivery areas, enough to book parcels in tests
+const AREAS = [
+    { id: 1, name: 'Dhanmondi', post_code: 1205, district_name: 'Dhaka', division_name: 'Dhaka', zone_id: 1 },
+    { id: 2, name: 'Gulshan', post_code: 1212, district_name: 'Dhaka', division_name: 'Dhaka', zone_id: 1 },
+    { id: 3, name: 'Mirpur', post_code: 1216, district_name: 'Dhaka', division_name: 'Dhaka', zone_id: 1 },
+    { id: 4, name: 'Savar', post_code: 1340, district_name: 'Dhaka', division_name: 'Dhaka', zone_id: 2 },
+    { id: 10, name: 'Panchlaish', post_code: 4203, district_name: 'Chattogram', division_name: 'Chattogram', zone_id: 3 },
+    { id: 11, name: 'Kotwali', post_code: 4000, district_name: 'Chattogram', division_name: 'Chattogram', zone_id: 3 },
+    { id: 20, name: 'Tongi', post_code: 1710, district_name: 'Gazipur', division_name: 'Dhaka', zone_id: 2 }
+];
+
+const MESSAGES = {
+    'pickup-pending': 'Parcel is waiting to be picked up',
+    'picked-up': 'Parcel has been picked up',
+    'ready-for-delivery': 'Parcel has reached the delivery hub',
+    'delivery-in-progress': 'Parcel is out for delivery',
+    'delivered': 'Parcel has been delivered',
+    'agent-hold': 'Parcel is on hold at the delivery hub',
+    'agent-returning': 'Parcel is being returned to the merchant',
+    'returned': 'Parcel has been returned to the merchant'
+};
+
+// Local stand-in for the RedX parcel API. state.pushStatus emits the webhook
+// RedX sends to the callback URL, with the webhook secret as ?token=.
+//
+//   node mocks/couriers/redxMockServer.js [port] [webhookUrl]
+const createRedxMockServer = ({
+    accessToken = 'mock-redx-token',
+    webhookSecret = 'mock-redx-webhook-secret',
+    webhookUrl = null
+} = {}) => {
+    const app = express();
+    const parcels = new Map();
+    const state = { parcels, baseUrl: null, webhookUrl };
+
+    app.use(express.json());
+
+    app.use((req, res, next) => {
+        if (req.headers['api-access-token'] !== `Bearer ${accessToken}`) {
+            return res.status(401).json({ message: 'Unauthorized' });
+        }
+        next();
+    });
+
+    app.get('/areas', (req, res) => {
+        const district = String(req.query.district_name || '').toLowerCase();
+        res.json({ areas: AREAS.filter(area => !district || area.district_name.toLowerCase() === district) });
+    });
+
+    app.post('/parcel', (req, res) => {
+        const body = req.body;
+        const errors = [];
+
+        if (!body.customer_name) errors.push({ field: 'customer_name', message: 'customer_name is required' });
+        if (!/^01\d{9}$/.test(body.customer_phone || '')) errors.push({ field: 'customer_phone', message: 'customer_phone is invalid' });
+        if (!body.customer_address) errors.push({ field: 'customer_address', message: 'customer_address is required' });
+        if (!AREAS.some(area => area.id === body.delivery_area_id && area.name === body.delivery_area)) {
+            errors.push({ field: 'delivery_area_id', message: 'delivery_area_id is invalid' });
+        }
+        if (!body.merchant_invoice_id) errors.push({ field: 'merchant_invoice_id', message: 'merchant_invoice_id is required' });
+        if (typeof body.cash_collection_amount !== 'string' || Number.isNaN(Number(body.cash_collection_amount))) {
+            errors.push({ field: 'cash_collection_amount', message: 'cash_collection_amount must be a numeric string' });
+        }
+        if (!(body.parcel_weight > 0)) errors.push({ field: 'parcel_weight', message: 'parcel_weight is required' });
+
+        if (errors.length > 0) {
+            return res.status(400).json({ message: 'Validation failed', validation_errors: errors });
+        }
+
+        const trackingId = `${new Date().getFullYear() % 100}A${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+        const now = new Date().toISOString();
+        parcels.set(trackingId, {
+            tracking_id: trackingId,
+            customer_name: body.customer_name,
+            customer_phone: body.customer_phone,
+            customer_address: body.customer_address,
+            delivery_area: body.delivery_area,
+            delivery_area_id: body.delivery_area_id,
+            merchant_invoice_id: body.merchant_invoice_id,
+            cash_collection_amount: body.cash_collection_amount,
+            parcel_weight: body.parcel_weight,
+            status: 'pickup-pending',
+            created_at: now,
+            updated_at: now
+        });
+
+        res.json({ tracking_id: trackingId });
+    });
+
+    app.get('/parcel/info/:trackingId', (req, res) => {
+        const parcel = parcels.get(req.params.trackingId);
+        if (!parcel) {
+            return res.status(404).json({ message: 'Parcel not found' });
+        }
+
+        res.json({ parcel });
+    });
+
+    // Move a parcel to a RedX status such as 'delivery-in-progress'
+    state.pushStatus = async (trackingId, status) => {
+        const parcel = parcels.get(trackingId);
+        if (!parcel) {
+            throw new Error(`Unknown parcel ${trackingId}`);
+        }
+
+        parcel.status = status;
+        parcel.updated_at = new Date().toISOString();
+
+        return deliverWebhook(state.webhookUrl, {
+            payload: {
+                tracking_number: parcel.tracking_id,
+                timestamp: parcel.updated_at,
+                status,
+                message_en: MESSAGES[status] || status,
+                message_bn: null,
+                invoice_number: parcel.merchant_invoice_id
+            },
+            query: { token: webhookSecret }
+        });
+    };
+
+    return { app, state };
+};
+
+const startRedxMockServer = async (options = {}, port = 0) => {
+    const { app, state } = createRedxMockServer(options);
+    const server = await listen(app, port);
+    state.baseUrl = server.url;
+    return { ...server, state };
+};
+
+if (require.main === module) {
+    startRedxMockServer({ webhookUrl: process.argv[3] || null }, parseInt(process.argv[2]) || 4022).then(({ url }) => {
+        process.stdout.write(`RedX mock server listening on ${url}\n`);
+    });
+}
+
+module.exports = { createRedxMockServer, startRedxMockServer };
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const express = require('express');
+const listen = require('../listen');
+const deliverWebhook = require('./deliverWebhook');
+
+// Local stand-in for the Steadfast (Packzy) courier API. state.pushStatus and
+// state.pushTrackingUpdate emit the two webhook types Steadfast sends.
+//
+//   node mocks/couriers/steadfastMockServer.js [port] [webhookUrl]
+const createSteadfastMockServer = ({
+    apiKey = 'mock-api-key',
+    secretKey = 'mock-secret-key',
+    webhookSecret = 'mock-steadfast-webhook-token',
+    webhookUrl = null
+} = {}) => {
+    const app = express();
+    const consignments = new Map();
+    const state = { consignments, baseUrl: null, webhookUrl };
+    let nextConsignmentId = 1000001;
+
+    app.use(express.json());
+
+    app.use((req, res, next) => {
+        if (req.headers['api-key'] !== apiKey || req.headers['secret-key'] !== secretKey) {
+            return res.status(401).json({ status: 401, message: 'Unauthorized' });
+        }
+        next();
+    });
+
+    app.post('/create_order', (req, res) => {
+        const body = req.body;
+        const errors = [];
+
+        if (!body.invoice) errors.push('The invoice field is required.');
+        if ([...consignments.values()].some(consignment => consignment.invoice === body.invoice)) {
+            errors.push('The invoice has already been taken.');
+        }
+        if (!body.recipient_name || body.recipient_name.length > 100) errors.push('The recipient name is invalid.');
+        if (!/^01\d{9}$/.test(body.recipient_phone || '')) errors.push('The recipient phone must be 11 digits.');
+        if (!body.recipient_address) errors.push('The recipient address field is required.');
+        if (typeof body.cod_amount !== 'number' || body.cod_amount < 0) errors.push('The cod amount must be a number.');
+
+        if (errors.length > 0) {
+            return res.status(422).json({ status: 422, message: errors.join(' ') });
+        }
+
+        const now = new Date().toISOString();
+        const consignment = {
+            consignment_id: nextConsignmentId++,
+            invoice: body.invoice,
+            tracking_code: crypto.randomBytes(4).toString('hex').toUpperCase(),
+            recipient_name: body.recipient_name,
+            recipient_phone: body.recipient_phone,
+            recipient_address: body.recipient_address,
+            cod_amount: body.cod_amount,
+            status: 'in_review',
+            note: body.note || null,
+            created_at: now,
+            updated_at: now
+        };
+        consignments.set(String(consignment.consignment_id), consignment);
+
+        res.json({
+            status: 200,
+            message: 'Consignment has been created successfully.',
+            consignment
+        });
+    });
+
+    app.get('/status_by_cid/:consignmentId', (req, res) => {
+        const consignment = consignments.get(req.params.consignmentId);
+        if (!consignment) {
+            return res.status(404).json({ status: 404, message: 'Consignment not found' });
+        }
+
+        res.json({ status: 200, delivery_status: consignment.status });
+    });
+
+    const find = (consignmentId) => {
+        const consignment = consignments.get(String(consignmentId));
+        if (!consignment) {
+            throw new Error(`Unknown consignment ${consignmentId}`);
+        }
+        return consignment;
+    };
+
+    const headers = { authorization: `Bearer ${webhookSecret}` };
+
+    // status is an API status such as 'pending' or 'partial_delivered'; the
+    // webhook reports it in display form ("Partial Delivered") like Steadfast
+    state.pushStatus = async (consignmentId, status, trackingMessage = null) => {
+        const consignment = find(consignmentId);
+        consignment.status = status;
+        consignment.updated_at = new Date().toISOString();
+
+        return deliverWebhook(state.webhookUrl, {
+            payload: {
+                notification_type: 'delivery_status',
+                consignment_id: consignment.consignment_id,
+                invoice: consignment.invoice,
+                cod_amount: consignment.cod_amount,
+                status: status.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' '),
+                delivery_charge: 60,
+                tracking_message: trackingMessage,
+                updated_at: consignment.updated_at
+            },
+            headers
+        });
+    };
+
+    state.pushTrackingUpdate = async (consignmentId, trackingMessage) => {
+        const consignment = find(consignmentId);
+
+        return deliverWebhook(state.webhookUrl, {
+            payload: {
+                notification_type: 'tracking_update',
+                consignment_id: consignment.consignment_id,
+                invoice: consignment.invoice,
+                tracking_message: trackingMessage,
+                updated_at: new Date().toISOString()
+            },
+            headers
+        });
+    };
+
+    return { app, state };
+};
+
+const startSteadfastMockServer = async (options = {}, port = 0) => {
+    const { app, state } = createSteadfastMockServer(options);
+    const server = await listen(app, port);
+    state.baseUrl = server.url;
+    return { ...server, state };
+};
+
+if (require.main === module) {
+    startSteadfastMockServer({ webhookUrl: process.argv[3] || null }, parseInt(process.argv[2]) || 4021).then(({ url }) => {
+        process.stdout.write(`Steadfast mock server listening on ${url}\n`);
+    });
+}
+
+module.exports = { createSteadfastMockServer, startSteadfastMockServer };
@@ -0,0 +1,16 @@
+// Start an express app on the given port (0 picks a free one) and resolve
+// with its base URL and a close function.
+const listen = (app, port = 0) => {
+    return new Promise((resolve, reject) => {
+        const server = app.listen(port, '127.0.0.1', () => {
+            const { port: boundPort } = server.address();
+            resolve({
+                url: `http://127.0.0.1:${boundPort}`,
+                close: () => new Promise(done => server.close(done))
+            });
+        });
+        server.on('error', reject);
+    });
+};
+
+module.exports = listen;
@@ -0,0 +1,186 @@
+const crypto = require('crypto');
+const express = require('express');
+const listen = require('../listen');
+
+// Local stand-in for the bKash tokenized checkout API. Like the real gateway
+// it reports business errors with HTTP 200 and a non-zero statusCode.
+//
+//   node mocks/payments/bkashMockServer.js [port]
+const createBkashMockServer = ({
+    appKey = 'mock-app-key',
+    appSecret = 'mock-app-secret',
+    username = 'mock-user',
+    password = 'mock-password'
+} = {}) => {
+    const app = express();
+    const idToken = `mock-id-token-${crypto.randomBytes(8).toString('hex')}`;
+    const payments = new Map();
+    const state = { payments, baseUrl: null };
+
+    app.use(express.json());
+
+    const fail = (res, statusCode, statusMessage) => res.json({ statusCode, statusMessage });
+
+    app.post('/tokenized/checkout/token/grant', (req, res) => {
+        if (req.headers.username !== username || req.headers.password !== password ||
+            req.body.app_key !== appKey || req.body.app_secret !== appSecret) {
+            return res.status(401).json({ statusCode: '2079', statusMessage: 'Invalid username and password' });
+        }
+
+        res.json({
+            statusCode: '0000',
+            statusMessage: 'Successful',
+            id_token: idToken,
+            token_type: 'Bearer',
+            expires_in: 3600,
+            refresh_token: `refresh-${idToken}`
+        });
+    });
+
+    app.use('/tokenized/checkout', (req, res, next) => {
+        if (req.headers.authorization !== idToken || req.headers['x-app-key'] !== appKey) {
+            return res.status(401).json({ statusCode: '2001', statusMessage: 'Invalid App Key' });
+        }
+        next();
+    });
+
+    app.post('/tokenized/checkout/create', (req, res) => {
+        const { mode, amount, currency, intent, callbackURL, merchantInvoiceNumber, payerReference } = req.body;
+
+        if (mode !== '0011' || intent !== 'sale' || currency !== 'BDT' || !callbackURL) {
+            return fail(res, '2006', 'Invalid request body');
+        }
+
+        const paymentID = `TR0011${crypto.randomBytes(10).toString('hex').toUpperCase()}`;
+        payments.set(paymentID, {
+            paymentID,
+            amount,
+            currency,
+            callbackURL,
+            merchantInvoiceNumber,
+            payerReference,
+            transactionStatus: 'Initiated',
+            approved: false,
+            trxID: null,
+            refunded: 0
+        });
+
+        res.json({
+            statusCode: '0000',
+            statusMessage: 'Successful',
+            paymentID,
+            bkashURL: `${state.baseUrl}/checkout?paymentID=${paymentID}`,
+            callbackURL,
+            amount,
+            currency,
+            intent,
+            merchantInvoiceNumber,
+            transactionStatus: 'Initiated'
+        });
+    });
+
+    // Stands in for the wallet UI: ?action=success|failure|cancel
+    app.get('/checkout', (req, res) => {
+        const params = state.completeCheckout(req.query.paymentID, req.query.action || 'success');
+        if (!params) {
+            return res.status(404).send('Unknown payment');
+        }
+        res.redirect(`${payments.get(req.query.paymentID).callbackURL}?${new URLSearchParams(params)}`);
+    });
+
+    app.post('/tokenized/checkout/execute', (req, res) => {
+        const payment = payments.get(req.body.paymentID);
+
+        if (!payment) {
+            return fail(res, '2056', 'Invalid Payment State');
+        }
+        if (payment.transactionStatus === 'Completed') {
+            return fail(res, '2062', 'The payment has already been completed');
+        }
+        if (!payment.approved) {
+            return fail(res, '2056', 'Invalid Payment State');
+        }
+
+        payment.transactionStatus = 'Completed';
+        payment.trxID = `MOCK${crypto.randomBytes(4).toString('hex').toUpperCase()}`;
+
+        res.json({ statusCode: '0000', statusMessage: 'Successful', ...state.describe(payment) });
+    });
+
+    app.post('/tokenized/checkout/payment/status', (req, res) => {
+        const payment = payments.get(req.body.paymentID);
+
+        if (!payment) {
+            return fail(res, '2056', 'Invalid Payment State');
+        }
+
+        res.json({ statusCode: '0000', statusMessage: 'Successful', ...state.describe(payment) });
+    });
+
+    app.post('/tokenized/checkout/payment/refund', (req, res) => {
+        const { paymentID, trxID, amount } = req.body;
+        const payment = payments.get(paymentID);
+
+        if (!payment || payment.transactionStatus !== 'Completed' || payment.trxID !== trxID) {
+            return fail(res, '2071', 'Invalid transaction for refund');
+        }
+        if (parseFloat(amount) + payment.refunded > parseFloat(payment.amount)) {
+            return fail(res, '2072', 'Refund amount exceeds the transaction amount');
+        }
+
+        payment.refunded += parseFloat(amount);
+
+        res.json({
+            statusCode: '0000',
+            statusMessage: 'Successful',
+            originalTrxID: trxID,
+            refundTrxID: `RF${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+            transactionStatus: 'Completed',
+            amount,
+            currency: 'BDT'
+        });
+    });
+
+    state.describe = (payment) => ({
+        paymentID: payment.paymentID,
+        trxID: payment.trxID,
+        transactionStatus: payment.transactionStatus,
+        amount: payment.amount,
+        currency: payment.currency,
+        intent: 'sale',
+        merchantInvoiceNumber: payment.merchantInvoiceNumber
+    });
+
+    // Simulates the customer finishing in the wallet; returns the callback query
+    state.completeCheckout = (paymentID, outcome = 'success') => {
+        const payment = payments.get(paymentID);
+        if (!payment) {
+            return null;
+        }
+
+        if (outcome === 'success') {
+            payment.approved = true;
+        } else {
+            payment.transactionStatus = outcome === 'cancel' ? 'Cancelled' : 'Failed';
+        }
+
+        return { paymentID, status: outcome, signature: crypto.randomBytes(8).toString('hex') };
+    };
+
+    return { app, state };
+};
+
+const startBkashMockServer = async (options = {}, port = 0) => {
+    const { app, state } = createBkashMockServer(options);
+    const server = await listen(app, port);
+    state.baseUrl = server.url;
+    return { ...server, state };
+};
+
+if (require.main === module) {
+    startBkashMockServer({}, parseInt(process.argv[2]) || 4010).then(({ url }) => {
+        process.stdout.write(`bKash mock server listening on ${url}\n`);
+    });
+}
+
+module.exports = { createBkashMockServer, startBkashMockServer };
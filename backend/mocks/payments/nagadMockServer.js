@@ -0,0 +1,189 @@
+const crypto = require('crypto');
+const express = require('express');
+const listen = require('../listen');
+const nagadCrypto = require('../../services/payments/nagadCrypto');
+
+// Local stand-in for the Nagad checkout API. It holds Nagad's key pair and
+// the merchant's public key, so sensitiveData is encrypted and signed in both
+// directions exactly as the merchant adapter expects.
+//
+//   node mocks/payments/nagadMockServer.js [port]   (generates throwaway keys)
+const createNagadMockServer = ({ merchantId = '683002007104225', merchantPublicKey, nagadPrivateKey }) => {
+    const app = express();
+    const sessions = new Map();
+    const state = { sessions, baseUrl: null };
+
+    app.use(express.json());
+
+    const open = ({ sensitiveData, signature }) => {
+        const plaintext = nagadCrypto.decryptSensitiveData(sensitiveData, nagadPrivateKey);
+        if (!nagadCrypto.verify(plaintext, signature, merchantPublicKey)) {
+            throw new Error('Invalid merchant signature');
+        }
+        return JSON.parse(plaintext);
+    };
+
+    const seal = (data) => {
+        const plaintext = JSON.stringify(data);
+        return {
+            sensitiveData: nagadCrypto.encryptSensitiveData(plaintext, merchantPublicKey),
+            signature: nagadCrypto.sign(plaintext, nagadPrivateKey)
+        };
+    };
+
+    const reject = (res, reason, message) => res.status(400).json({ reason, message });
+
+    app.use('/api/dfs', (req, res, next) => {
+        if (req.headers['x-km-api-version'] !== 'v-0.2.0' || !req.headers['x-km-client-type']) {
+            return reject(res, 'InvalidHeader', 'Missing X-KM headers');
+        }
+        next();
+    });
+
+    app.post('/api/dfs/check-out/initialize/:merchantId/:orderId', (req, res) => {
+        let data;
+        try {
+            data = open(req.body);
+        } catch (error) {
+            return reject(res, 'InvalidSignature', error.message);
+        }
+
+        if (req.params.merchantId !== merchantId || data.merchantId !== merchantId || data.orderId !== req.params.orderId) {
+            return reject(res, 'InvalidMerchant', 'Merchant or order mismatch');
+        }
+
+        const paymentReferenceId = `MDIy${crypto.randomBytes(12).toString('hex')}`;
+        const challenge = nagadCrypto.randomChallenge();
+        sessions.set(paymentReferenceId, { orderId: data.orderId, challenge, status: 'Initiated' });
+
+        res.json(seal({ paymentReferenceId, challenge, acceptDateTime: data.datetime }));
+    });
+
+    app.post('/api/dfs/check-out/complete/:paymentReferenceId', (req, res) => {
+        const session = sessions.get(req.params.paymentReferenceId);
+        if (!session) {
+            return reject(res, 'InvalidReference', 'Unknown payment reference');
+        }
+
+        let data;
+        try {
+            data = open(req.body);
+        } catch (error) {
+            return reject(res, 'InvalidSignature', error.message);
+        }
+
+        if (data.challenge !== session.challenge || data.orderId !== session.orderId || data.currencyCode !== '050') {
+            return reject(res, 'InvalidChallenge', 'Challenge mismatch');
+        }
+
+        Object.assign(session, {
+            amount: data.amount,
+            callbackUrl: req.body.merchantCallbackURL,
+            additionalMerchantInfo: req.body.additionalMerchantInfo
+        });
+
+        res.json({
+            status: 'Success',
+            callBackUrl: `${state.baseUrl}/checkout/${req.params.paymentReferenceId}`
+        });
+    });
+
+    // Stands in for the wallet UI: ?action=success|failure|cancel
+    app.get('/checkout/:paymentReferenceId', (req, res) => {
+        const params = state.completeCheckout(req.params.paymentReferenceId, req.query.action || 'success');
+        if (!params) {
+            return res.status(404).send('Unknown payment');
+        }
+        res.redirect(`${sessions.get(req.params.paymentReferenceId).callbackUrl}?${new URLSearchParams(params)}`);
+    });
+
+    app.get('/api/dfs/verify/payment/:paymentReferenceId', (req, res) => {
+        const session = sessions.get(req.params.paymentReferenceId);
+        if (!session) {
+            return reject(res, 'InvalidReference', 'Unknown payment reference');
+        }
+
+        res.json({
+            merchantId,
+            orderId: session.orderId,
+            paymentRefId: req.params.paymentReferenceId,
+            amount: session.amount,
+            clientMobileNo: '017****1234',
+            issuerPaymentRefNo: session.issuerPaymentRefNo || null,
+            status: session.status,
+            statusCode: session.status === 'Success' ? '000' : '001'
+        });
+    });
+
+    app.post('/api/dfs/purchase/cancel', (req, res) => {
+        const session = sessions.get(req.query.paymentRefId);
+        if (!session || session.status !== 'Success') {
+            return reject(res, 'InvalidReference', 'Payment cannot be cancelled');
+        }
+
+        let data;
+        try {
+            data = open(req.body);
+        } catch (error) {
+            return reject(res, 'InvalidSignature', error.message);
+        }
+
+        if (parseFloat(data.cancelAmount) > parseFloat(session.amount)) {
+            return reject(res, 'InvalidAmount', 'Cancel amount exceeds the payment amount');
+        }
+
+        res.json(seal({
+            originalRequestDate: data.originalRequestDate,
+            cancelAmount: data.cancelAmount,
+            cancelTrxId: `CT${crypto.randomBytes(4).toString('hex').toUpperCase()}`,
+            cancelIssuerRefNo: `CR${crypto.randomBytes(4).toString('hex').toUpperCase()}`
+        }));
+    });
+
+    // Simulates the customer finishing in the wallet; returns the callback query
+    state.completeCheckout = (paymentReferenceId, outcome = 'success') => {
+        const session = sessions.get(paymentReferenceId);
+        if (!session) {
+            return null;
+        }
+
+        session.status = outcome === 'success' ? 'Success' : outcome === 'cancel' ? 'Aborted' : 'Failed';
+        if (outcome === 'success') {
+            session.issuerPaymentRefNo = crypto.randomBytes(4).toString('hex').toUpperCase();
+        }
+
+        return {
+            merchant: merchantId,
+            order_id: session.orderId,
+            payment_ref_id: paymentReferenceId,
+            status: session.status,
+            status_code: outcome === 'success' ? '00_0000_000' : '00_1111_111',
+            message: outcome === 'success' ? 'Successful Transaction' : 'Transaction not completed'
+        };
+    };
+
+    return { app, state };
+};
+
+const startNagadMockServer = async (options, port = 0) => {
+    const { app, state } = createNagadMockServer(options);
+    const server = await listen(app, port);
+    state.baseUrl = server.url;
+    return { ...server, state };
+};
+
+if (require.main === module) {
+    const pem = { publicKeyEncoding: { type: 'spki', format: 'pem' }, privateKeyEncoding: { type: 'pkcs8', format: 'pem' } };
+    const merchant = crypto.generateKeyPairSync('rsa', { modulusLength: 2048, ...pem });
+    const nagad = crypto.generateKeyPairSync('rsa', { modulusLength: 2048, ...pem });
+
+    startNagadMockServer({
+        merchantPublicKey: merchant.publicKey,
+        nagadPrivateKey: nagad.privateKey
+    }, parseInt(process.argv[2]) || 4011).then(({ url }) => {
+        process.stdout.write(`Nagad mock server listening on ${url}\n`);
+        process.stdout.write(`NAGAD_MERCHANT_PRIVATE_KEY:\n${merchant.privateKey}\nNAGAD_PUBLIC_KEY:\n${nagad.publicKey}\n`);
+    });
+}
+
+module.exports = { createNagadMockServer, startNagadMockServer };
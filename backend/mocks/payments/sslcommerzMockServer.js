@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const express = require('express');
+const listen = require('../listen');
+
+const md5 = (value) => crypto.createHash('md5').update(value).digest('hex');
+
+// Local stand-in for the SSLCommerz session, validation and refund APIs.
+// completeCheckout() builds the signed form the gateway would POST to the
+// merchant's success/fail/cancel URL and IPN listener.
+//
+//   node mocks/payments/sslcommerzMockServer.js [port]
+const createSslCommerzMockServer = ({ storeId = 'mockstore', storePassword = 'mockstore@ssl' } = {}) => {
+    const app = express();
+    const sessions = new Map();
+    const state = { sessions, baseUrl: null };
+
+    app.use(express.urlencoded({ extended: false }));
+
+    const hasCredentials = (params) => params.store_id === storeId && params.store_passwd === storePassword;
+
+    app.post('/gwprocess/v4/api.php', (req, res) => {
+        if (!hasCredentials(req.body)) {
+            return res.json({ status: 'FAILED', failedreason: 'Store Credential Error Or Store is De-active' });
+        }
+
+        const { tran_id: tranId, total_amount: amount, currency, success_url: successUrl, ipn_url: ipnUrl } = req.body;
+        if (!tranId || !amount || !currency || !successUrl) {
+            return res.json({ status: 'FAILED', failedreason: 'Mandatory field missing' });
+        }
+
+        const sessionkey = crypto.randomBytes(16).toString('hex').toUpperCase();
+        sessions.set(tranId, {
+            tranId,
+            amount,
+            currency,
+            successUrl,
+            failUrl: req.body.fail_url,
+            cancelUrl: req.body.cancel_url,
+            ipnUrl,
+            sessionkey,
+            status: 'PENDING',
+            validations: 0,
+            refunds: []
+        });
+
+        res.json({
+            status: 'SUCCESS',
+            sessionkey,
+            GatewayPageURL: `${state.baseUrl}/gwprocess/v4/gw.php?Q=pay&SESSIONKEY=${sessionkey}`
+        });
+    });
+
+    // Stands in for the hosted payment page: auto-submits the result form
+    app.get('/gwprocess/v4/gw.php', (req, res) => {
+        const session = [...sessions.values()].find(entry => entry.sessionkey === req.query.SESSIONKEY);
+        if (!session) {
+            return res.status(404).send('Unknown session');
+        }
+
+        const outcome = req.query.action || 'success';
+        const payload = state.completeCheckout(session.tranId, outcome);
+        const target = outcome === 'success' ? session.successUrl : outcome === 'cancel' ? session.cancelUrl : session.failUrl;
+        const inputs = Object.entries(payload)
+            .map(([name, value]) => `<input type="hidden" name="${name}" value="${value}">`)
+            .join('');
+
+        res.send(`<form id="f" method="POST" action="${target}">${inputs}</form><script>document.getElementById('f').submit()</script>`);
+    });
+
+    app.get('/validator/api/validationserverAPI.php', (req, res) => {
+        if (!hasCredentials(req.query)) {
+            return res.json({ status: 'INVALID_TRANSACTION', error: 'Store credential mismatch' });
+        }
+
+        const session = [...sessions.values()].find(entry => entry.valId === req.query.val_id);
+        if (!session || session.status !== 'VALID') {
+            return res.json({ status: 'INVALID_TRANSACTION' });
+        }
+
+        session.validations += 1;
+
+        res.json({
+            status: session.validations === 1 ? 'VALID' : 'VALIDATED',
+            tran_id: session.tranId,
+            val_id: session.valId,
+            amount: session.amount,
+            currency: session.currency,
+            bank_tran_id: session.bankTranId,
+            card_type: 'BKASH-BKash',
+            risk_level: '0'
+        });
+    });
+
+    app.get('/validator/api/merchantTransIDvalidationAPI.php', (req, res) => {
+        if (!hasCredentials(req.query)) {
+            return res.json({ APIConnect: 'INVALID_REQUEST' });
+        }
+
+        // Refund request
+        if (req.query.bank_tran_id) {
+            const session = [...sessions.values()].find(entry => entry.bankTranId === req.query.bank_tran_id);
+            const refunded = session ? session.refunds.reduce((sum, value) => sum + value, 0) : 0;
+            const amount = parseFloat(req.query.refund_amount);
+
+            if (!session || session.status !== 'VALID' || refunded + amount > parseFloat(session.amount)) {
+                return res.json({ APIConnect: 'DONE', status: 'failed', errorReason: 'Invalid refund request' });
+            }
+
+            session.refunds.push(amount);
+            return res.json({
+                APIConnect: 'DONE',
+                bank_tran_id: session.bankTranId,
+                trans_id: session.tranId,
+                refund_ref_id: `RF${crypto.randomBytes(6).toString('hex')}`,
+                status: 'success'
+            });
+        }
+
+        // Transaction query
+        const session = sessions.get(req.query.tran_id);
+        res.json({
+            APIConnect: 'DONE',
+            no_of_trans_found: session && session.valId ? 1 : 0,
+            element: session && session.valId ? [{
+                tran_id: session.tranId,
+                val_id: session.valId,
+                amount: session.amount,
+                bank_tran_id: session.bankTranId,
+                status: session.status
+            }] : []
+        });
+    });
+
+    // Simulates the customer finishing on the hosted page; returns the
+    // signed form body SSLCommerz posts to the callback and IPN URLs
+    state.completeCheckout = (tranId, outcome = 'success') => {
+        const session = sessions.get(tranId);
+        if (!session) {
+            return null;
+        }
+
+        session.status = outcome === 'success' ? 'VALID' : outcome === 'cancel' ? 'CANCELLED' : 'FAILED';
+        session.valId = `${Date.now()}${crypto.randomBytes(4).toString('hex')}`;
+        session.bankTranId = `${Date.now()}${crypto.randomBytes(2).toString('hex')}`;
+
+        const payload = {
+            tran_id: tranId,
+            val_id: session.valId,
+            amount: session.amount,
+            card_type: 'BKASH-BKash',
+            store_amount: (parseFloat(session.amount) * 0.975).toFixed(2),
+            bank_tran_id: session.bankTranId,
+            status: session.status,
+            tran_date: new Date().toISOString().replace('T', ' ').slice(0, 19),
+            currency: session.currency
+        };
+
+        return state.sign(payload);
+    };
+
+    state.sign = (payload) => {
+        const keys = Object.keys(payload);
+        const fields = { ...payload, store_passwd: md5(storePassword) };
+        const hashString = [...keys, 'store_passwd'].sort()
+            .map(key => `${key}=${fields[key]}`)
+            .join('&');
+
+        return { ...payload, verify_key: keys.join(','), verify_sign: md5(hashString) };
+    };
+
+    return { app, state };
+};
+
+const startSslCommerzMockServer = async (options = {}, port = 0) => {
+    const { app, state } = createSslCommerzMockServer(options);
+    const server = await listen(app, port);
+    state.baseUrl = server.url;
+    return { ...server, state };
+};
+
+if (require.main === module) {
+    startSslCommerzMockServer({}, parseInt(process.argv[2]) || 4012).then(({ url }) => {
+        process.stdout.write(`SSLCommerz mock server listening on ${url}\n`);
+    });
+}
+
+module.exports = { createSslCommerzMockServer, startSslCommerzMockServer };
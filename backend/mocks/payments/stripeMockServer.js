@@ -0,0 +1,119 @@
+const crypto = require('crypto');
+const express = require('express');
+const listen = require('../listen');
+
+// Local stand-in for the handful of Stripe API endpoints the adapter uses.
+// The Stripe SDK is pointed here through STRIPE_API_HOST.
+//
+//   node mocks/payments/stripeMockServer.js [port]
+const createStripeMockServer = ({ secretKey = 'sk_test_mock' } = {}) => {
+    const app = express();
+    const intents = new Map();
+    const state = { intents, baseUrl: null };
+
+    const id = (prefix) => `${prefix}_mock_${crypto.randomBytes(8).toString('hex')}`;
+    const stripeError = (res, status, message) => res.status(status).json({
+        error: { type: 'invalid_request_error', message }
+    });
+
+    app.use(express.urlencoded({ extended: true }));
+
+    app.use('/v1', (req, res, next) => {
+        if (req.headers.authorization !== `Bearer ${secretKey}`) {
+            return stripeError(res, 401, 'Invalid API Key provided');
+        }
+        next();
+    });
+
+    app.post('/v1/payment_intents', (req, res) => {
+        const intentId = id('pi');
+        const intent = {
+            id: intentId,
+            object: 'payment_intent',
+            amount: parseInt(req.body.amount),
+            currency: req.body.currency,
+            status: 'requires_payment_method',
+            client_secret: `${intentId}_secret_${crypto.randomBytes(6).toString('hex')}`,
+            metadata: req.body.metadata || {},
+            latest_charge: null,
+            last_payment_error: null
+        };
+        intents.set(intentId, intent);
+        res.json(intent);
+    });
+
+    app.get('/v1/payment_intents/:id', (req, res) => {
+        const intent = intents.get(req.params.id);
+        if (!intent) {
+            return stripeError(res, 404, `No such payment_intent: '${req.params.id}'`);
+        }
+        res.json(intent);
+    });
+
+    // pm_card_chargeDeclined fails like Stripe's test card; anything else succeeds
+    app.post('/v1/payment_intents/:id/confirm', (req, res) => {
+        const intent = intents.get(req.params.id);
+        if (!intent) {
+            return stripeError(res, 404, `No such payment_intent: '${req.params.id}'`);
+        }
+
+        if (req.body.payment_method === 'pm_card_chargeDeclined') {
+            intent.status = 'requires_payment_method';
+            intent.last_payment_error = { message: 'Your card was declined.' };
+        } else {
+            intent.status = 'succeeded';
+            intent.latest_charge = id('ch');
+        }
+        res.json(intent);
+    });
+
+    app.post('/v1/refunds', (req, res) => {
+        const intent = intents.get(req.body.payment_intent);
+        if (!intent || intent.status !== 'succeeded') {
+            return stripeError(res, 400, 'This PaymentIntent does not have a successful charge to refund.');
+        }
+
+        res.json({
+            id: id('re'),
+            object: 'refund',
+            amount: parseInt(req.body.amount) || intent.amount,
+            currency: intent.currency,
+            payment_intent: intent.id,
+            reason: req.body.reason,
+            status: 'succeeded'
+        });
+    });
+
+    app.post('/v1/customers', (req, res) => {
+        res.json({ id: id('cus'), object: 'customer', email: req.body.email, name: req.body.name, metadata: req.body.metadata || {} });
+    });
+
+    app.get('/v1/payment_methods', (req, res) => {
+        res.json({ object: 'list', data: [], has_more: false, url: '/v1/payment_methods' });
+    });
+
+    // Webhook event for an intent, as Stripe would deliver it
+    state.buildEvent = (type, intentId) => ({
+        id: id('evt'),
+        object: 'event',
+        type,
+        data: { object: intents.get(intentId) }
+    });
+
+    return { app, state };
+};
+
+const startStripeMockServer = async (options = {}, port = 0) => {
+    const { app, state } = createStripeMockServer(options);
+    const server = await listen(app, port);
+    state.baseUrl = server.url;
+    return { ...server, state };
+};
+
+if (require.main === module) {
+    startStripeMockServer({}, parseInt(process.argv[2]) || 4013).then(({ url }) => {
+        process.stdout.write(`Stripe mock server listening on ${url}\n`);
+    });
+}
+
+module.exports = { createStripeMockServer, startStripeMockServer };
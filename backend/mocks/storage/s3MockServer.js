@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const express = require('express');
+const listen = require('../listen');
+
+// Local stand-in for an S3-compatible bucket (path-style, like MinIO). It
+// checks Signature Version 4 on every signed request and, like a bucket with
+// anonymous downloads enabled, serves unsigned GETs. Objects live in
+// state.objects keyed by "bucket/key".
+//
+//   node mocks/storage/s3MockServer.js [port]
+const createS3MockServer = ({
+    accessKeyId = 'mock-access-key',
+    secretAccessKey = 'mock-secret-key',
+    region = 'us-east-1',
+    buckets = ['dhakacart-media']
+} = {}) => {
+    const app = express();
+    const objects = new Map();
+    const state = { objects, requests: [], baseUrl: null };
+
+    app.use(express.raw({ type: () => true, limit: '25mb' }));
+
+    const sendError = (res, status, code, message) => {
+        res.status(status).type('application/xml').send(
+            `<?xml version="1.0" encoding="UTF-8"?><Error><Code>${code}</Code><Message>${message}</Message></Error>`
+        );
+    };
+
+    const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+    const hash = value => crypto.createHash('sha256').update(value).digest('hex');
+
+    // Returns an error code, or null when the signature checks out
+    const verifySignature = (req, body) => {
+        const match = /^AWS4-HMAC-SHA256 Credential=([^/]+)\/(\d{8})\/([^/]+)\/s3\/aws4_request, SignedHeaders=([^,]+), Signature=([0-9a-f]{64})$/
+            .exec(req.headers.authorization || '');
+
+        if (!match) {
+            return 'AuthorizationHeaderMalformed';
+        }
+
+        const [, keyId, dateStamp, signedRegion, signedHeaders, signature] = match;
+
+        if (keyId !== accessKeyId) {
+            return 'InvalidAccessKeyId';
+        }
+        if (signedRegion !== region) {
+            return 'AuthorizationHeaderMalformed';
+        }
+        if (req.headers['x-amz-content-sha256'] !== hash(body)) {
+            return 'XAmzContentSHA256Mismatch';
+        }
+
+        const canonicalHeaders = signedHeaders.split(';')
+            .map(name => `${name}:${String(req.headers[name] || '').trim()}\n`)
+            .join('');
+        const canonicalRequest = [
+            req.method,
+            req.path,
+            '',
+            canonicalHeaders,
+            signedHeaders,
+            req.headers['x-amz-content-sha256']
+        ].join('\n');
+        const scope = `${dateStamp}/${region}/s3/aws4_request`;
+        const stringToSign = ['AWS4-HMAC-SHA256', req.headers['x-amz-date'], scope, hash(canonicalRequest)].join('\n');
+
+        let signingKey = hmac(`AWS4${secretAccessKey}`, dateStamp);
+        for (const part of [region, 's3', 'aws4_request']) {
+            signingKey = hmac(signingKey, part);
+        }
+
+        return hmac(signingKey, stringToSign).toString('hex') === signature ? null : 'SignatureDoesNotMatch';
+    };
+
+    app.use((req, res) => {
+        const [bucket, ...keyParts] = req.path.split('/').slice(1).map(decodeURIComponent);
+        const key = keyParts.join('/');
+        const body = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+        const signed = Boolean(req.headers.authorization);
+
+        state.requests.push({ method: req.method, bucket, key, signed });
+
+        if (!buckets.includes(bucket)) {
+            return sendError(res, 404, 'NoSuchBucket', 'The specified bucket does not exist');
+        }
+        if (!key) {
+            return sendError(res, 400, 'InvalidRequest', 'Bucket operations are not supported by the mock');
+        }
+
+        if (signed) {
+            const errorCode = verifySignature(req, body);
+            if (errorCode) {
+                return sendError(res, 403, errorCode, 'The request signature could not be verified');
+            }
+        } else if (req.method !== 'GET') {
+            return sendError(res, 403, 'AccessDenied', 'Access Denied');
+        }
+
+        const id = `${bucket}/${key}`;
+
+        if (req.method === 'PUT') {
+            objects.set(id, {
+                body,
+                contentType: req.headers['content-type'] || 'application/octet-stream',
+                cacheControl: req.headers['cache-control'] || null
+            });
+            return res.set('ETag', `"${crypto.createHash('md5').update(body).digest('hex')}"`).status(200).end();
+        }
+
+        if (req.method === 'GET') {
+            const object = objects.get(id);
+            if (!object) {
+                return sendError(res, 404, 'NoSuchKey', 'The specified key does not exist.');
+            }
+            if (object.cacheControl) {
+                res.set('Cache-Control', object.cacheControl);
+            }
+            return res.type(object.contentType).send(object.body);
+        }
+
+        if (req.method === 'DELETE') {
+            objects.delete(id);
+            return res.status(204).end();
+        }
+
+        sendError(res, 405, 'MethodNotAllowed', 'The specified method is not allowed against this resource.');
+    });
+
+    return { app, state };
+};
+
+const startS3MockServer = async (options = {}, port = 0) => {
+    const { app, state } = createS3MockServer(options);
+    const server = await listen(app, port);
+    state.baseUrl = server.url;
+    return { ...server, state };
+};
+
+if (require.main === module) {
+    startS3MockServer({}, parseInt(process.argv[2]) || 4030).then(({ url }) => {
+        process.stdout.write(`S3 mock server listening on ${url}\n`);
+    });
+}
+
+module.exports = { createS3MockServer, startS3MockServer };
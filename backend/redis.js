@@ -308,6 +308,10 @@ class RedisConnectionPool {
         return success;
     }
 
+    async deleteCachedData(key) {
+        return await this.del(`cache:${key}`);
+    }
+
     async invalidateCache(pattern) {
         if (!this.isConnected) {
             logger.warn('Redis not connected, skipping cache invalidation', { pattern });
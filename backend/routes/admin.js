@@ -10,7 +10,32 @@ const {
     updateOrderStatusSchema,
     updatePaymentStatusSchema,
     salesAnalyticsQuerySchema,
-    cacheQuerySchema
+    cacheQuerySchema,
+    codRuleSchema,
+    updateUserCodLimitSchema,
+    codRemittanceSchema,
+    codRemittanceQuerySchema,
+    createShippingZoneSchema,
+    updateShippingZoneSchema,
+    createShippingRateSchema,
+    updateShippingRateSchema,
+    createTaxClassSchema,
+    updateTaxClassSchema,
+    createWarehouseSchema,
+    updateWarehouseSchema,
+    createStockTransferSchema,
+    stockTransferQuerySchema,
+    inventoryMovementQuerySchema,
+    createSupplierSchema,
+    updateSupplierSchema,
+    reorderRuleSchema,
+    createPurchaseOrderSchema,
+    updatePurchaseOrderSchema,
+    receivePurchaseOrderSchema,
+    purchaseOrderQuerySchema,
+    purchaseOrderExportSchema,
+    createShipmentSchema,
+    packingSlipsSchema
 } = require('../validation/adminValidation');
 
 const router = express.Router();
@@ -53,6 +78,11 @@ router.patch('/users/:userId/role',
     (req, res) => adminController.updateUserRole(req, res)
 );
 
+router.patch('/users/:userId/cod-limit',
+    validate(updateUserCodLimitSchema),
+    (req, res) => adminController.updateUserCodLimit(req, res)
+);
+
 // Order Management
 router.get('/orders',
     validate(adminOrderQuerySchema),
@@ -63,6 +93,16 @@ router.get('/orders/:orderId',
     (req, res) => adminController.getOrderDetails(req, res)
 );
 
+// Invoices and warehouse documents
+router.get('/orders/:orderId/invoice',
+    (req, res) => adminController.getOrderInvoice(req, res)
+);
+
+router.post('/orders/packing-slips',
+    validate(packingSlipsSchema),
+    (req, res) => adminController.getPackingSlips(req, res)
+);
+
 router.patch('/orders/:orderId/status',
     validate(updateOrderStatusSchema),
     (req, res) => adminController.updateOrderStatus(req, res)
@@ -73,6 +113,222 @@ router.patch('/orders/:orderId/payment-status',
     (req, res) => adminController.updatePaymentStatus(req, res)
 );
 
+// Courier shipments
+router.get('/couriers',
+    (req, res) => adminController.getCouriers(req, res)
+);
+
+router.get('/orders/:orderId/shipments',
+    (req, res) => adminController.getOrderShipments(req, res)
+);
+
+router.post('/orders/:orderId/shipments',
+    validate(createShipmentSchema),
+    (req, res) => adminController.createShipment(req, res)
+);
+
+router.post('/shipments/:shipmentId/refresh',
+    (req, res) => adminController.refreshShipmentTracking(req, res)
+);
+
+// Cash on Delivery
+router.get('/cod/rules',
+    (req, res) => adminController.getCodRules(req, res)
+);
+
+router.put('/cod/rules',
+    validate(codRuleSchema),
+    (req, res) => adminController.saveCodRule(req, res)
+);
+
+router.delete('/cod/rules/:ruleId',
+    (req, res) => adminController.deleteCodRule(req, res)
+);
+
+router.get('/cod/remittances',
+    validate(codRemittanceQuerySchema),
+    (req, res) => adminController.getCodRemittances(req, res)
+);
+
+router.post('/cod/remittances',
+    validate(codRemittanceSchema),
+    (req, res) => adminController.importCodRemittance(req, res)
+);
+
+// Shipping
+router.get('/shipping/zones',
+    (req, res) => adminController.getShippingZones(req, res)
+);
+
+router.post('/shipping/zones',
+    validate(createShippingZoneSchema),
+    (req, res) => adminController.createShippingZone(req, res)
+);
+
+router.patch('/shipping/zones/:zoneId',
+    validate(updateShippingZoneSchema),
+    (req, res) => adminController.updateShippingZone(req, res)
+);
+
+router.delete('/shipping/zones/:zoneId',
+    (req, res) => adminController.deleteShippingZone(req, res)
+);
+
+router.post('/shipping/zones/:zoneId/rates',
+    validate(createShippingRateSchema),
+    (req, res) => adminController.createShippingRate(req, res)
+);
+
+router.patch('/shipping/rates/:rateId',
+    validate(updateShippingRateSchema),
+    (req, res) => adminController.updateShippingRate(req, res)
+);
+
+router.delete('/shipping/rates/:rateId',
+    (req, res) => adminController.deleteShippingRate(req, res)
+);
+
+// VAT classes
+router.get('/tax/classes',
+    (req, res) => adminController.getTaxClasses(req, res)
+);
+
+router.post('/tax/classes',
+    validate(createTaxClassSchema),
+    (req, res) => adminController.createTaxClass(req, res)
+);
+
+router.patch('/tax/classes/:classId',
+    validate(updateTaxClassSchema),
+    (req, res) => adminController.updateTaxClass(req, res)
+);
+
+router.delete('/tax/classes/:classId',
+    (req, res) => adminController.deleteTaxClass(req, res)
+);
+
+// Warehouses and stock per location
+router.get('/warehouses',
+    (req, res) => adminController.getWarehouses(req, res)
+);
+
+router.post('/warehouses',
+    validate(createWarehouseSchema),
+    (req, res) => adminController.createWarehouse(req, res)
+);
+
+router.patch('/warehouses/:warehouseId',
+    validate(updateWarehouseSchema),
+    (req, res) => adminController.updateWarehouse(req, res)
+);
+
+router.get('/products/:productId/inventory',
+    (req, res) => adminController.getProductInventory(req, res)
+);
+
+// Inventory ledger, and drift between it and stock levels
+router.get('/products/:productId/inventory/movements',
+    validate(inventoryMovementQuerySchema),
+    (req, res) => adminController.getInventoryMovements(req, res)
+);
+
+router.get('/inventory/drift',
+    (req, res) => adminController.getInventoryDrift(req, res)
+);
+
+router.post('/inventory/reconcile',
+    (req, res) => adminController.reconcileInventory(req, res)
+);
+
+// Transfers leave the source when created and reach the destination when received
+router.get('/stock-transfers',
+    validate(stockTransferQuerySchema),
+    (req, res) => adminController.getStockTransfers(req, res)
+);
+
+router.post('/stock-transfers',
+    validate(createStockTransferSchema),
+    (req, res) => adminController.createStockTransfer(req, res)
+);
+
+router.post('/stock-transfers/:transferId/receive',
+    (req, res) => adminController.receiveStockTransfer(req, res)
+);
+
+router.post('/stock-transfers/:transferId/cancel',
+    (req, res) => adminController.cancelStockTransfer(req, res)
+);
+
+// Suppliers and restocking. Stock at a product's reorder point drafts a
+// purchase order to its supplier; received stock goes into the warehouse
+router.get('/suppliers',
+    (req, res) => adminController.getSuppliers(req, res)
+);
+
+router.post('/suppliers',
+    validate(createSupplierSchema),
+    (req, res) => adminController.createSupplier(req, res)
+);
+
+router.patch('/suppliers/:supplierId',
+    validate(updateSupplierSchema),
+    (req, res) => adminController.updateSupplier(req, res)
+);
+
+router.get('/products/:productId/reorder-rule',
+    (req, res) => adminController.getReorderRule(req, res)
+);
+
+router.put('/products/:productId/reorder-rule',
+    validate(reorderRuleSchema),
+    (req, res) => adminController.setReorderRule(req, res)
+);
+
+router.delete('/products/:productId/reorder-rule',
+    (req, res) => adminController.removeReorderRule(req, res)
+);
+
+router.get('/purchase-orders',
+    validate(purchaseOrderQuerySchema),
+    (req, res) => adminController.getPurchaseOrders(req, res)
+);
+
+router.post('/purchase-orders',
+    validate(createPurchaseOrderSchema),
+    (req, res) => adminController.createPurchaseOrder(req, res)
+);
+
+router.post('/purchase-orders/reorder',
+    (req, res) => adminController.draftReorders(req, res)
+);
+
+router.get('/purchase-orders/:purchaseOrderId',
+    (req, res) => adminController.getPurchaseOrder(req, res)
+);
+
+router.patch('/purchase-orders/:purchaseOrderId',
+    validate(updatePurchaseOrderSchema),
+    (req, res) => adminController.updatePurchaseOrder(req, res)
+);
+
+router.get('/purchase-orders/:purchaseOrderId/export',
+    validate(purchaseOrderExportSchema),
+    (req, res) => adminController.exportPurchaseOrder(req, res)
+);
+
+router.post('/purchase-orders/:purchaseOrderId/send',
+    (req, res) => adminController.sendPurchaseOrder(req, res)
+);
+
+router.post('/purchase-orders/:purchaseOrderId/receive',
+    validate(receivePurchaseOrderSchema),
+    (req, res) => adminController.receivePurchaseOrder(req, res)
+);
+
+router.post('/purchase-orders/:purchaseOrderId/cancel',
+    (req, res) => adminController.cancelPurchaseOrder(req, res)
+);
+
 // System Management
 router.get('/system/config',
     (req, res) => adminController.getSystemConfig(req, res)
@@ -1,5 +1,6 @@
 const express = require('express');
 const { AuthController, authLimiter, passwordResetLimiter } = require('../controllers/authController');
+const { AddressController, addressLimiter } = require('../controllers/addressController');
 const { authenticateToken } = require('../auth/middleware');
 const {
     validate,
@@ -8,16 +9,25 @@ const {
     passwordResetRequestSchema,
     passwordResetSchema,
     emailVerificationSchema,
+    profileUpdateSchema,
     changePasswordSchema
 } = require('../auth/validation');
+const {
+    validate: validateAddress,
+    createAddressSchema,
+    updateAddressSchema,
+    setDefaultAddressSchema
+} = require('../validation/addressValidation');
 
 const router = express.Router();
 
 // Initialize controller - will be set when routes are mounted
 let authController = null;
+let addressController = null;
 
 const initializeController = (dbPool, redisPool, webSocketService = null, emailService = null) => {
     authController = new AuthController(dbPool, redisPool, webSocketService, emailService);
+    addressController = new AddressController(dbPool, redisPool, webSocketService, emailService);
 };
 
 // Public routes (no authentication required)
@@ -66,10 +76,61 @@ router.get('/profile',
     (req, res) => authController.getProfile(req, res)
 );
 
+router.put('/profile',
+    authenticateToken,
+    validate(profileUpdateSchema),
+    (req, res) => authController.updateProfile(req, res)
+);
+
 router.post('/change-password',
     authenticateToken,
     validate(changePasswordSchema),
     (req, res) => authController.changePassword(req, res)
 );
 
+// Address book routes
+router.get('/addresses/locations',
+    addressLimiter,
+    (req, res) => addressController.getLocations(req, res)
+);
+
+router.get('/addresses',
+    addressLimiter,
+    authenticateToken,
+    (req, res) => addressController.getAddresses(req, res)
+);
+
+router.post('/addresses',
+    addressLimiter,
+    authenticateToken,
+    validateAddress(createAddressSchema),
+    (req, res) => addressController.createAddress(req, res)
+);
+
+router.get('/addresses/:addressId',
+    addressLimiter,
+    authenticateToken,
+    (req, res) => addressController.getAddress(req, res)
+);
+
+router.put('/addresses/:addressId',
+    addressLimiter,
+    authenticateToken,
+    validateAddress(updateAddressSchema),
+    (req, res) => addressController.updateAddress(req, res)
+);
+
+router.delete('/addresses/:addressId',
+    addressLimiter,
+    authenticateToken,
+    (req, res) => addressController.deleteAddress(req, res)
+);
+
+router.post('/addresses/:addressId/default',
+    addressLimiter,
+    authenticateToken,
+    validateAddress(setDefaultAddressSchema),
+    (req, res) => addressController.setDefaultAddress(req, res)
+);
+
 module.exports = { router, initializeController };
\ No newline at end of file
@@ -7,7 +7,8 @@ const {
     updateCartItemSchema,
     createOrderSchema,
     orderQuerySchema,
-    cancelOrderSchema
+    cancelOrderSchema,
+    codQuoteQuerySchema
 } = require('../validation/cartValidation');
 
 const router = express.Router();
@@ -53,6 +54,12 @@ router.delete('/',
     (req, res) => cartController.clearCart(req, res)
 );
 
+router.get('/cod-quote',
+    cartLimiter,
+    validate(codQuoteQuerySchema),
+    (req, res) => cartController.getCodQuote(req, res)
+);
+
 // Order routes
 router.post('/checkout',
     orderLimiter,
@@ -71,6 +78,16 @@ router.get('/orders/:orderId',
     (req, res) => cartController.getOrderById(req, res)
 );
 
+router.get('/orders/:orderId/tracking',
+    cartLimiter,
+    (req, res) => cartController.getOrderTracking(req, res)
+);
+
+router.get('/orders/:orderId/invoice',
+    cartLimiter,
+    (req, res) => cartController.getOrderInvoice(req, res)
+);
+
 router.post('/orders/:orderId/cancel',
     cartLimiter,
     validate(cancelOrderSchema),
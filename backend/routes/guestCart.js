@@ -0,0 +1,60 @@
+const express = require('express');
+const { GuestCartController } = require('../controllers/guestCartController');
+const { cartLimiter, orderLimiter } = require('../controllers/cartController');
+const { requireCartToken } = require('../auth/middleware');
+const {
+    validate,
+    addToCartSchema,
+    updateCartItemSchema,
+    guestCheckoutSchema
+} = require('../validation/cartValidation');
+
+const router = express.Router();
+
+// Initialize controller - will be set when routes are mounted
+let guestCartController = null;
+
+const initializeController = (dbPool, redisPool, webSocketService = null, emailService = null) => {
+    guestCartController = new GuestCartController(dbPool, redisPool, webSocketService, emailService);
+};
+
+router.use(cartLimiter);
+
+// Issue a cart token (no authentication required)
+router.post('/',
+    (req, res) => guestCartController.createCart(req, res)
+);
+
+// Remaining routes act on the cart identified by the X-Cart-Token header
+router.use(requireCartToken);
+
+router.get('/',
+    (req, res) => guestCartController.getCart(req, res)
+);
+
+router.post('/items',
+    validate(addToCartSchema),
+    (req, res) => guestCartController.addToCart(req, res)
+);
+
+// Lines for a product sold in variants are addressed with ?variantId=
+router.put('/items/:productId',
+    validate(updateCartItemSchema),
+    (req, res) => guestCartController.updateCartItem(req, res)
+);
+
+router.delete('/items/:productId',
+    (req, res) => guestCartController.removeFromCart(req, res)
+);
+
+router.delete('/',
+    (req, res) => guestCartController.clearCart(req, res)
+);
+
+router.post('/checkout',
+    orderLimiter,
+    validate(guestCheckoutSchema),
+    (req, res) => guestCartController.checkout(req, res)
+);
+
+module.exports = { router, initializeController };
@@ -0,0 +1,76 @@
+const express = require('express');
+const { MediaController, mediaLimiter, mediaUploadLimiter } = require('../controllers/mediaController');
+const { authenticateToken, requireAdmin, requireCustomerOrAdmin } = require('../auth/middleware');
+const { uploadImages } = require('../upload');
+const {
+    validate,
+    imageUploadSchema,
+    productImageUpdateSchema,
+    productImageOrderSchema
+} = require('../validation/mediaValidation');
+
+const router = express.Router();
+
+// Initialize controller - will be set when routes are mounted
+let mediaController = null;
+
+const initializeController = (dbPool, redisPool, webSocketService = null, emailService = null) => {
+    mediaController = new MediaController(dbPool, redisPool, webSocketService, emailService);
+};
+
+// Product galleries (admin only). Uploads are multipart/form-data with the
+// files in "images" and an optional "altText" field. Galleries are read
+// through GET /api/products/:id, which includes them as "images".
+
+router.post('/products/:productId/images',
+    mediaUploadLimiter,
+    authenticateToken,
+    requireAdmin,
+    uploadImages('images', 10),
+    validate(imageUploadSchema),
+    (req, res) => mediaController.uploadProductImages(req, res)
+);
+
+router.put('/products/:productId/images/order',
+    mediaLimiter,
+    authenticateToken,
+    requireAdmin,
+    validate(productImageOrderSchema),
+    (req, res) => mediaController.reorderProductImages(req, res)
+);
+
+router.patch('/products/:productId/images/:imageId',
+    mediaLimiter,
+    authenticateToken,
+    requireAdmin,
+    validate(productImageUpdateSchema),
+    (req, res) => mediaController.updateProductImage(req, res)
+);
+
+router.delete('/products/:productId/images/:imageId',
+    mediaLimiter,
+    authenticateToken,
+    requireAdmin,
+    (req, res) => mediaController.deleteProductImage(req, res)
+);
+
+// Review photos. Uploaded by the review's author; returned with the review
+// in GET /api/reviews/products/:productId.
+
+router.post('/reviews/:reviewId',
+    mediaUploadLimiter,
+    authenticateToken,
+    requireCustomerOrAdmin,
+    uploadImages('images', 5),
+    validate(imageUploadSchema),
+    (req, res) => mediaController.uploadReviewPhotos(req, res)
+);
+
+router.delete('/reviews/:reviewId/:mediaId',
+    mediaLimiter,
+    authenticateToken,
+    requireCustomerOrAdmin,
+    (req, res) => mediaController.deleteReviewPhoto(req, res)
+);
+
+module.exports = { router, initializeController };
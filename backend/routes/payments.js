@@ -1,10 +1,12 @@
 const express = require('express');
-const { PaymentController, paymentLimiter, webhookLimiter, authLimiter } = require('../controllers/paymentController');
+const { PaymentController, paymentLimiter, webhookLimiter } = require('../controllers/paymentController');
 const { authenticateToken, requireAdmin, requireCustomerOrAdmin } = require('../auth/middleware');
 const {
     validate,
     validateWebhook,
+    validateProvider,
     createPaymentIntentSchema,
+    initiatePaymentSchema,
     confirmPaymentSchema,
     refundPaymentSchema,
     createCustomerSchema,
@@ -28,9 +30,45 @@ router.post('/webhook',
     (req, res) => paymentController.handleWebhook(req, res)
 );
 
+// Providers available at checkout
+router.get('/providers',
+    paymentLimiter,
+    (req, res) => paymentController.getProviders(req, res)
+);
+
+// Customers return from hosted payment pages by GET (bKash, Nagad) or form POST (SSLCommerz)
+router.get('/:provider/callback',
+    webhookLimiter,
+    validateProvider,
+    (req, res) => paymentController.handleCallback(req, res)
+);
+
+router.post('/:provider/callback',
+    webhookLimiter,
+    validateProvider,
+    express.urlencoded({ extended: false }),
+    (req, res) => paymentController.handleCallback(req, res)
+);
+
+// Server-to-server payment notifications
+router.post('/:provider/ipn',
+    webhookLimiter,
+    validateProvider,
+    express.urlencoded({ extended: false }),
+    (req, res) => paymentController.handleIpn(req, res)
+);
+
 // All other routes require authentication
 router.use(authenticateToken);
 
+router.post('/:provider/initiate',
+    paymentLimiter,
+    requireCustomerOrAdmin,
+    validateProvider,
+    validate(initiatePaymentSchema),
+    (req, res) => paymentController.initiatePayment(req, res)
+);
+
 // Customer and admin routes
 router.post('/create-payment-intent',
     paymentLimiter,
@@ -0,0 +1,39 @@
+const express = require('express');
+const { ProductAlertController, productAlertLimiter } = require('../controllers/productAlertController');
+const { authenticateToken, requireCustomerOrAdmin } = require('../auth/middleware');
+const {
+    validate,
+    createAlertSchema,
+    alertQuerySchema
+} = require('../validation/productAlertValidation');
+
+const router = express.Router();
+
+// Initialize controller - will be set when routes are mounted
+let productAlertController = null;
+
+const initializeController = (dbPool, redisPool, webSocketService = null, emailService = null) => {
+    productAlertController = new ProductAlertController(dbPool, redisPool, webSocketService, emailService);
+};
+
+// Apply rate limiting before authentication/authorization
+router.use(productAlertLimiter);
+// All alert routes require authentication
+router.use(authenticateToken);
+router.use(requireCustomerOrAdmin);
+
+router.get('/',
+    validate(alertQuerySchema),
+    (req, res) => productAlertController.getAlerts(req, res)
+);
+
+router.post('/',
+    validate(createAlertSchema),
+    (req, res) => productAlertController.createAlert(req, res)
+);
+
+router.delete('/:alertId',
+    (req, res) => productAlertController.deleteAlert(req, res)
+);
+
+module.exports = { router, initializeController };
@@ -7,6 +7,7 @@ const {
     updateProductSchema,
     productQuerySchema,
     stockUpdateSchema,
+    productVariantsSchema,
     createCategorySchema,
     updateCategorySchema
 } = require('../validation/productValidation');
@@ -71,6 +72,14 @@ router.patch('/:id/stock',
     (req, res) => productController.updateStock(req, res)
 );
 
+router.put('/:id/variants',
+    productLimiter,
+    authenticateToken,
+    requireAdmin,
+    validate(productVariantsSchema),
+    (req, res) => productController.saveVariants(req, res)
+);
+
 // Category routes
 
 // Public routes
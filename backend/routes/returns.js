@@ -0,0 +1,102 @@
+const express = require('express');
+const { ReturnController, returnLimiter, returnUploadLimiter } = require('../controllers/returnController');
+const { authenticateToken, requireAdmin, requireCustomerOrAdmin } = require('../auth/middleware');
+const { uploadImages } = require('../upload');
+const {
+    validate,
+    createReturnSchema,
+    returnQuerySchema,
+    reviewReturnSchema,
+    schedulePickupSchema,
+    receiveReturnSchema,
+    completeReturnSchema
+} = require('../validation/returnValidation');
+
+const router = express.Router();
+
+// Initialize controller - will be set when routes are mounted
+let returnController = null;
+
+const initializeController = (dbPool, redisPool, webSocketService = null, emailService = null) => {
+    returnController = new ReturnController(dbPool, redisPool, webSocketService, emailService);
+};
+
+// All return routes require authentication
+router.use(authenticateToken);
+
+// Admin routes (admin authentication required). Requests move requested ->
+// approved -> pickup_scheduled -> received -> (refunding ->) refunded/exchanged.
+// Completing a request left refunding retries its refund.
+
+router.get('/admin',
+    returnLimiter,
+    requireAdmin,
+    validate(returnQuerySchema),
+    (req, res) => returnController.getAllReturns(req, res)
+);
+
+router.patch('/admin/:returnId/review',
+    returnLimiter,
+    requireAdmin,
+    validate(reviewReturnSchema),
+    (req, res) => returnController.reviewReturn(req, res)
+);
+
+router.post('/admin/:returnId/pickup',
+    returnLimiter,
+    requireAdmin,
+    validate(schedulePickupSchema),
+    (req, res) => returnController.schedulePickup(req, res)
+);
+
+router.post('/admin/:returnId/receive',
+    returnLimiter,
+    requireAdmin,
+    validate(receiveReturnSchema),
+    (req, res) => returnController.receiveReturn(req, res)
+);
+
+// Refunds a return or takes an exchange's replacement from stock
+router.post('/admin/:returnId/complete',
+    returnLimiter,
+    requireAdmin,
+    validate(completeReturnSchema),
+    (req, res) => returnController.completeReturn(req, res)
+);
+
+// Customer routes
+
+router.get('/',
+    returnLimiter,
+    requireCustomerOrAdmin,
+    validate(returnQuerySchema),
+    (req, res) => returnController.getMyReturns(req, res)
+);
+
+router.post('/',
+    returnLimiter,
+    requireCustomerOrAdmin,
+    validate(createReturnSchema),
+    (req, res) => returnController.createReturn(req, res)
+);
+
+router.get('/:returnId',
+    returnLimiter,
+    requireCustomerOrAdmin,
+    (req, res) => returnController.getReturn(req, res)
+);
+
+router.post('/:returnId/photos',
+    returnUploadLimiter,
+    requireCustomerOrAdmin,
+    uploadImages('images', 5),
+    (req, res) => returnController.uploadReturnPhotos(req, res)
+);
+
+router.post('/:returnId/cancel',
+    returnLimiter,
+    requireCustomerOrAdmin,
+    (req, res) => returnController.cancelReturn(req, res)
+);
+
+module.exports = { router, initializeController };
@@ -1,14 +1,22 @@
 const express = require('express');
 const { SearchController, searchLimiter, recommendationLimiter } = require('../controllers/searchController');
 const { authenticateToken, requireAdmin } = require('../auth/middleware');
+const {
+    validate,
+    createSynonymSchema,
+    updateSynonymSchema,
+    zeroResultQuerySchema,
+    createRuleSchema,
+    updateRuleSchema
+} = require('../validation/searchValidation');
 
 const router = express.Router();
 
 // Initialize controller
 let searchController;
 
-const initializeSearchRoutes = (dbPool, redisPool) => {
-    searchController = new SearchController(dbPool, redisPool);
+const initializeSearchRoutes = (dbPool, redisPool, searchService) => {
+    searchController = new SearchController(dbPool, redisPool, searchService);
     return router;
 };
 
@@ -106,4 +114,117 @@ router.post('/admin/reindex',
     }
 );
 
+router.get('/admin/synonyms',
+    searchLimiter,
+    authenticateToken,
+    requireAdmin,
+    (req, res) => {
+        if (!searchController) {
+            return res.status(503).json({ error: 'Search service not initialized' });
+        }
+        return searchController.getSynonyms(req, res);
+    }
+);
+
+router.post('/admin/synonyms',
+    searchLimiter,
+    authenticateToken,
+    requireAdmin,
+    validate(createSynonymSchema),
+    (req, res) => {
+        if (!searchController) {
+            return res.status(503).json({ error: 'Search service not initialized' });
+        }
+        return searchController.createSynonym(req, res);
+    }
+);
+
+router.patch('/admin/synonyms/:synonymId',
+    searchLimiter,
+    authenticateToken,
+    requireAdmin,
+    validate(updateSynonymSchema),
+    (req, res) => {
+        if (!searchController) {
+            return res.status(503).json({ error: 'Search service not initialized' });
+        }
+        return searchController.updateSynonym(req, res);
+    }
+);
+
+router.delete('/admin/synonyms/:synonymId',
+    searchLimiter,
+    authenticateToken,
+    requireAdmin,
+    (req, res) => {
+        if (!searchController) {
+            return res.status(503).json({ error: 'Search service not initialized' });
+        }
+        return searchController.deleteSynonym(req, res);
+    }
+);
+
+router.get('/admin/rules',
+    searchLimiter,
+    authenticateToken,
+    requireAdmin,
+    (req, res) => {
+        if (!searchController) {
+            return res.status(503).json({ error: 'Search service not initialized' });
+        }
+        return searchController.getRules(req, res);
+    }
+);
+
+router.post('/admin/rules',
+    searchLimiter,
+    authenticateToken,
+    requireAdmin,
+    validate(createRuleSchema),
+    (req, res) => {
+        if (!searchController) {
+            return res.status(503).json({ error: 'Search service not initialized' });
+        }
+        return searchController.createRule(req, res);
+    }
+);
+
+router.patch('/admin/rules/:ruleId',
+    searchLimiter,
+    authenticateToken,
+    requireAdmin,
+    validate(updateRuleSchema),
+    (req, res) => {
+        if (!searchController) {
+            return res.status(503).json({ error: 'Search service not initialized' });
+        }
+        return searchController.updateRule(req, res);
+    }
+);
+
+router.delete('/admin/rules/:ruleId',
+    searchLimiter,
+    authenticateToken,
+    requireAdmin,
+    (req, res) => {
+        if (!searchController) {
+            return res.status(503).json({ error: 'Search service not initialized' });
+        }
+        return searchController.deleteRule(req, res);
+    }
+);
+
+router.get('/admin/zero-results',
+    searchLimiter,
+    authenticateToken,
+    requireAdmin,
+    validate(zeroResultQuerySchema),
+    (req, res) => {
+        if (!searchController) {
+            return res.status(503).json({ error: 'Search service not initialized' });
+        }
+        return searchController.getZeroResultQueries(req, res);
+    }
+);
+
 module.exports = { router, initializeSearchRoutes };
\ No newline at end of file
@@ -0,0 +1,39 @@
+const express = require('express');
+const { ShippingController, shippingLimiter, courierWebhookLimiter } = require('../controllers/shippingController');
+const { optionalAuth } = require('../auth/middleware');
+const {
+    validate,
+    validateCourier,
+    shippingQuoteSchema
+} = require('../validation/shippingValidation');
+
+const router = express.Router();
+
+// Initialize controller - will be set when routes are mounted
+let shippingController = null;
+
+const initializeController = (dbPool, redisPool, webSocketService = null, emailService = null) => {
+    shippingController = new ShippingController(dbPool, redisPool, webSocketService, emailService);
+};
+
+// Courier tracking webhooks (no authentication; each courier's webhook secret is verified)
+router.post('/couriers/:courier/webhook',
+    courierWebhookLimiter,
+    validateCourier,
+    (req, res) => shippingController.handleCourierWebhook(req, res)
+);
+
+router.use(shippingLimiter);
+
+// Public routes; a signed-in customer is quoted with their own cart and coupon usage
+router.get('/zones',
+    (req, res) => shippingController.getZones(req, res)
+);
+
+router.post('/quote',
+    optionalAuth,
+    validate(shippingQuoteSchema),
+    (req, res) => shippingController.getQuote(req, res)
+);
+
+module.exports = { router, initializeController };
@@ -0,0 +1,53 @@
+const express = require('express');
+const { WishlistController, wishlistLimiter } = require('../controllers/wishlistController');
+const { authenticateToken, requireCustomerOrAdmin } = require('../auth/middleware');
+const {
+    validate,
+    addToWishlistSchema,
+    moveToCartSchema,
+    mergeWishlistSchema
+} = require('../validation/wishlistValidation');
+
+const router = express.Router();
+
+// Initialize controller - will be set when routes are mounted
+let wishlistController = null;
+
+const initializeController = (dbPool, redisPool, webSocketService = null, emailService = null) => {
+    wishlistController = new WishlistController(dbPool, redisPool, webSocketService, emailService);
+};
+
+// Apply rate limiting before authentication/authorization
+router.use(wishlistLimiter);
+// All wishlist routes require authentication
+router.use(authenticateToken);
+router.use(requireCustomerOrAdmin);
+
+router.get('/',
+    (req, res) => wishlistController.getWishlist(req, res)
+);
+
+router.post('/items',
+    validate(addToWishlistSchema),
+    (req, res) => wishlistController.addToWishlist(req, res)
+);
+
+router.delete('/items/:productId',
+    (req, res) => wishlistController.removeFromWishlist(req, res)
+);
+
+router.post('/items/:productId/move-to-cart',
+    validate(moveToCartSchema),
+    (req, res) => wishlistController.moveToCart(req, res)
+);
+
+router.post('/merge',
+    validate(mergeWishlistSchema),
+    (req, res) => wishlistController.mergeWishlist(req, res)
+);
+
+router.delete('/',
+    (req, res) => wishlistController.clearWishlist(req, res)
+);
+
+module.exports = { router, initializeController };
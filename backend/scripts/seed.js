@@ -243,6 +243,24 @@ class DatabaseSeeder {
                 );
             }
 
+            // Seeded stock is kept at the default warehouse
+            await this.dbPool.query(
+                `INSERT INTO inventory_levels (warehouse_id, product_id, quantity)
+           SELECT w.id, p.id, p.stock_quantity
+           FROM products p, warehouses w
+           WHERE w.is_default = true AND p.stock_quantity > 0
+             AND NOT EXISTS (SELECT 1 FROM inventory_levels il WHERE il.product_id = p.id)`
+            );
+
+            // and opens the inventory ledger
+            await this.dbPool.query(
+                `INSERT INTO inventory_movements (product_id, variant_id, warehouse_id, kind, quantity, quantity_after, actor, note)
+           SELECT il.product_id, il.variant_id, il.warehouse_id, 'opening_balance', il.quantity, il.quantity, 'system', 'Seeded stock'
+           FROM inventory_levels il
+           WHERE il.quantity > 0
+             AND NOT EXISTS (SELECT 1 FROM inventory_movements m WHERE m.product_id = il.product_id)`
+            );
+
             logger.info('Products seeded successfully', { count: products.length });
         } catch (error) {
             logger.error('Failed to seed products', { error: error.message });
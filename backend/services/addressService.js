@@ -0,0 +1,279 @@
+const logger = require('../logger');
+
+// Maps validated request fields to user_addresses columns
+const ADDRESS_COLUMNS = {
+    label: 'label',
+    firstName: 'first_name',
+    lastName: 'last_name',
+    phone: 'phone',
+    addressLine1: 'address_line1',
+    addressLine2: 'address_line2',
+    division: 'division',
+    district: 'district',
+    thana: 'thana',
+    postalCode: 'postal_code'
+};
+
+class AddressService {
+    constructor(dbPool, redisPool) {
+        this.db = dbPool;
+        this.redis = redisPool;
+    }
+
+    async getAddresses(userId) {
+        try {
+            const result = await this.db.query(`
+                SELECT *
+                FROM user_addresses
+                WHERE user_id = $1
+                ORDER BY is_default_shipping DESC, is_default_billing DESC, created_at DESC
+            `, [userId]);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Error fetching addresses', { error: error.message, userId });
+            throw error;
+        }
+    }
+
+    async getAddressById(userId, addressId, client = this.db) {
+        try {
+            const result = await client.query(
+                'SELECT * FROM user_addresses WHERE id = $1 AND user_id = $2',
+                [addressId, userId]
+            );
+
+            if (result.rows.length === 0) {
+                throw new Error('Address not found');
+            }
+
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Error fetching address', { error: error.message, userId, addressId });
+            throw error;
+        }
+    }
+
+    async createAddress(userId, addressData) {
+        const { isDefaultShipping = false, isDefaultBilling = false } = addressData;
+
+        try {
+            return await this.db.transaction(async (client) => {
+                // The first saved address becomes the default for both purposes
+                const countResult = await client.query(
+                    'SELECT COUNT(*) FROM user_addresses WHERE user_id = $1',
+                    [userId]
+                );
+                const isFirst = parseInt(countResult.rows[0].count) === 0;
+                const defaultShipping = isFirst || isDefaultShipping;
+                const defaultBilling = isFirst || isDefaultBilling;
+
+                await this.clearDefaults(client, userId, defaultShipping, defaultBilling);
+
+                const result = await client.query(`
+                    INSERT INTO user_addresses (
+                        user_id, label, first_name, last_name, phone,
+                        address_line1, address_line2, division, district, thana,
+                        postal_code, is_default_shipping, is_default_billing
+                    )
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+                    RETURNING *
+                `, [
+                    userId,
+                    addressData.label || null,
+                    addressData.firstName,
+                    addressData.lastName,
+                    addressData.phone,
+                    addressData.addressLine1,
+                    addressData.addressLine2 || null,
+                    addressData.division,
+                    addressData.district,
+                    addressData.thana,
+                    addressData.postalCode || null,
+                    defaultShipping,
+                    defaultBilling
+                ]);
+
+                const address = result.rows[0];
+
+                logger.info('Address created successfully', { userId, addressId: address.id });
+
+                return address;
+            });
+        } catch (error) {
+            logger.error('Error creating address', { error: error.message, userId });
+            throw error;
+        }
+    }
+
+    async updateAddress(userId, addressId, addressData) {
+        try {
+            return await this.db.transaction(async (client) => {
+                await this.getAddressById(userId, addressId, client);
+
+                const fields = [];
+                const values = [];
+                let paramCount = 0;
+
+                for (const [key, column] of Object.entries(ADDRESS_COLUMNS)) {
+                    if (addressData[key] !== undefined) {
+                        paramCount++;
+                        fields.push(`${column} = $${paramCount}`);
+                        values.push(addressData[key] === '' ? null : addressData[key]);
+                    }
+                }
+
+                // Defaults can only be switched on here; unsetting happens by choosing another address
+                if (addressData.isDefaultShipping || addressData.isDefaultBilling) {
+                    await this.clearDefaults(client, userId, addressData.isDefaultShipping, addressData.isDefaultBilling);
+                }
+                if (addressData.isDefaultShipping) {
+                    fields.push('is_default_shipping = true');
+                }
+                if (addressData.isDefaultBilling) {
+                    fields.push('is_default_billing = true');
+                }
+
+                if (fields.length === 0) {
+                    throw new Error('No valid fields to update');
+                }
+
+                values.push(addressId, userId);
+                const result = await client.query(`
+                    UPDATE user_addresses
+                    SET ${fields.join(', ')}, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $${paramCount + 1} AND user_id = $${paramCount + 2}
+                    RETURNING *
+                `, values);
+
+                logger.info('Address updated successfully', { userId, addressId });
+
+                return result.rows[0];
+            });
+        } catch (error) {
+            logger.error('Error updating address', { error: error.message, userId, addressId });
+            throw error;
+        }
+    }
+
+    async deleteAddress(userId, addressId) {
+        try {
+            return await this.db.transaction(async (client) => {
+                const result = await client.query(
+                    'DELETE FROM user_addresses WHERE id = $1 AND user_id = $2 RETURNING *',
+                    [addressId, userId]
+                );
+
+                if (result.rows.length === 0) {
+                    throw new Error('Address not found');
+                }
+
+                const deleted = result.rows[0];
+
+                // Hand a removed default over to the most recently added address
+                if (deleted.is_default_shipping || deleted.is_default_billing) {
+                    await client.query(`
+                        UPDATE user_addresses
+                        SET is_default_shipping = is_default_shipping OR $2,
+                            is_default_billing = is_default_billing OR $3,
+                            updated_at = CURRENT_TIMESTAMP
+                        WHERE id = (
+                            SELECT id FROM user_addresses
+                            WHERE user_id = $1
+                            ORDER BY created_at DESC
+                            LIMIT 1
+                        )
+                    `, [userId, deleted.is_default_shipping, deleted.is_default_billing]);
+                }
+
+                logger.info('Address deleted successfully', { userId, addressId });
+
+                return deleted;
+            });
+        } catch (error) {
+            logger.error('Error deleting address', { error: error.message, userId, addressId });
+            throw error;
+        }
+    }
+
+    async setDefaultAddress(userId, addressId, type) {
+        const column = type === 'billing' ? 'is_default_billing' : 'is_default_shipping';
+
+        try {
+            return await this.db.transaction(async (client) => {
+                await this.getAddressById(userId, addressId, client);
+                await this.clearDefaults(client, userId, type === 'shipping', type === 'billing');
+
+                const result = await client.query(`
+                    UPDATE user_addresses
+                    SET ${column} = true, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1 AND user_id = $2
+                    RETURNING *
+                `, [addressId, userId]);
+
+                logger.info('Default address updated successfully', { userId, addressId, type });
+
+                return result.rows[0];
+            });
+        } catch (error) {
+            logger.error('Error setting default address', { error: error.message, userId, addressId, type });
+            throw error;
+        }
+    }
+
+    async clearDefaults(client, userId, shipping, billing) {
+        if (shipping) {
+            await client.query(
+                'UPDATE user_addresses SET is_default_shipping = false WHERE user_id = $1 AND is_default_shipping = true',
+                [userId]
+            );
+        }
+        if (billing) {
+            await client.query(
+                'UPDATE user_addresses SET is_default_billing = false WHERE user_id = $1 AND is_default_billing = true',
+                [userId]
+            );
+        }
+    }
+
+    // Copy of an address as stored on an order, so later edits to the
+    // address book never rewrite order history
+    toOrderSnapshot(address) {
+        return {
+            addressId: address.id,
+            label: address.label,
+            firstName: address.first_name,
+            lastName: address.last_name,
+            phone: address.phone,
+            addressLine1: address.address_line1,
+            addressLine2: address.address_line2,
+            thana: address.thana,
+            district: address.district,
+            division: address.division,
+            city: address.district,
+            state: address.division,
+            postalCode: address.postal_code,
+            country: address.country
+        };
+    }
+
+    // Same snapshot for an address entered at checkout without being saved
+    toOrderSnapshotFromInput(address) {
+        return {
+            firstName: address.firstName,
+            lastName: address.lastName,
+            phone: address.phone,
+            addressLine1: address.addressLine1,
+            addressLine2: address.addressLine2 || null,
+            thana: address.thana,
+            district: address.district,
+            division: address.division,
+            city: address.district,
+            state: address.division,
+            postalCode: address.postalCode || null,
+            country: 'Bangladesh'
+        };
+    }
+}
+
+module.exports = AddressService;
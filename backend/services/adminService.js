@@ -1,9 +1,11 @@
+const OrderService = require('./orderService');
 const logger = require('../logger');
 
 class AdminService {
     constructor(dbPool, redisPool) {
         this.db = dbPool;
         this.redis = redisPool;
+        this.orderService = new OrderService(dbPool, redisPool);
         this.cachePrefix = 'admin:';
         this.cacheTTL = 300; // 5 minutes
     }
@@ -177,20 +179,40 @@ class AdminService {
                     ${groupBy} as date,
                     COUNT(*) as order_count,
                     COALESCE(SUM(CASE WHEN payment_status = 'paid' THEN total_amount ELSE 0 END), 0) as revenue,
-                    COALESCE(AVG(CASE WHEN payment_status = 'paid' THEN total_amount ELSE NULL END), 0) as avg_order_value
+                    COALESCE(AVG(CASE WHEN payment_status = 'paid' THEN total_amount ELSE NULL END), 0) as avg_order_value,
+                    COALESCE(SUM(CASE WHEN payment_status = 'paid' THEN tax_amount ELSE 0 END), 0) as tax_collected
                 FROM orders
                 WHERE ${dateFilter}
                 GROUP BY ${groupBy}
                 ORDER BY date ASC
             `);
 
+            // VAT collected on paid orders per class and rate, for the VAT return
+            const taxResult = await this.db.query(`
+                SELECT t.name, t.rate,
+                    SUM(t.taxable_amount) as taxable_amount,
+                    SUM(t.tax_amount) as tax_amount
+                FROM order_tax_lines t
+                JOIN orders ON orders.id = t.order_id
+                WHERE orders.payment_status = 'paid' AND orders.${dateFilter}
+                GROUP BY t.name, t.rate
+                ORDER BY t.rate DESC, t.name
+            `);
+
             const analytics = {
                 period,
                 data: salesResult.rows.map(row => ({
                     date: row.date,
                     orderCount: parseInt(row.order_count),
                     revenue: parseFloat(row.revenue),
-                    avgOrderValue: parseFloat(row.avg_order_value)
+                    avgOrderValue: parseFloat(row.avg_order_value),
+                    taxCollected: parseFloat(row.tax_collected)
+                })),
+                taxCollected: taxResult.rows.map(row => ({
+                    name: row.name,
+                    rate: parseFloat(row.rate),
+                    taxableAmount: parseFloat(row.taxable_amount),
+                    taxAmount: parseFloat(row.tax_amount)
                 }))
             };
 
@@ -393,7 +415,7 @@ class AdminService {
             let query = `
                 SELECT 
                     o.*,
-                    u.email as user_email,
+                    COALESCE(u.email, o.guest_email) as user_email,
                     u.first_name as user_first_name,
                     u.last_name as user_last_name,
                     COUNT(oi.id) as item_count
@@ -427,7 +449,7 @@ class AdminService {
                 paramCount++;
                 query += ` AND (
                     o.order_number ILIKE $${paramCount} OR
-                    u.email ILIKE $${paramCount} OR
+                    COALESCE(u.email, o.guest_email) ILIKE $${paramCount} OR
                     u.first_name ILIKE $${paramCount} OR
                     u.last_name ILIKE $${paramCount}
                 )`;
@@ -470,7 +492,7 @@ class AdminService {
                 countParamCount++;
                 countQuery += ` AND (
                     o.order_number ILIKE $${countParamCount} OR
-                    u.email ILIKE $${countParamCount} OR
+                    COALESCE(u.email, o.guest_email) ILIKE $${countParamCount} OR
                     u.first_name ILIKE $${countParamCount} OR
                     u.last_name ILIKE $${countParamCount}
                 )`;
@@ -516,7 +538,7 @@ class AdminService {
             const orderResult = await this.db.query(`
                 SELECT 
                     o.*,
-                    u.email as user_email,
+                    COALESCE(u.email, o.guest_email) as user_email,
                     u.first_name as user_first_name,
                     u.last_name as user_last_name,
                     u.phone as user_phone
@@ -538,18 +560,28 @@ class AdminService {
                     p.name as product_name,
                     p.image_url as product_image,
                     p.slug as product_slug,
-                    p.sku as product_sku
+                    p.sku as product_sku,
+                    (
+                        SELECT json_agg(json_build_object('warehouse_id', a.warehouse_id, 'warehouse_name', w.name, 'quantity', a.quantity)
+                            ORDER BY a.id)
+                        FROM order_item_allocations a
+                        JOIN warehouses w ON w.id = a.warehouse_id
+                        WHERE a.order_item_id = oi.id
+                    ) as allocations
                 FROM order_items oi
                 JOIN products p ON oi.product_id = p.id
                 WHERE oi.order_id = $1
                 ORDER BY oi.id ASC
             `, [orderId]);
 
+            const statusHistory = await this.orderService.getStatusHistory(orderId);
+
             const orderWithItems = {
                 ...order,
                 shipping_address: JSON.parse(order.shipping_address || '{}'),
                 billing_address: JSON.parse(order.billing_address || '{}'),
-                items: itemsResult.rows
+                items: itemsResult.rows,
+                status_history: statusHistory
             };
 
             logger.info('Admin order details fetched successfully', {
@@ -1,9 +1,14 @@
+const AddressService = require('./addressService');
+const ShippingService = require('./shippingService');
+const StockReservationService = require('./stockReservationService');
 const logger = require('../logger');
 
 class CartService {
     constructor(dbPool, redisPool) {
         this.db = dbPool;
         this.redis = redisPool;
+        this.addressService = new AddressService(dbPool, redisPool);
+        this.shippingService = new ShippingService(dbPool, redisPool);
         this.cachePrefix = 'cart:';
         this.cacheTTL = 1800; // 30 minutes
     }
@@ -21,23 +26,30 @@ class CartService {
                 }
             }
 
-            // Get cart from database
+            // Get cart from database. Variant lines take the variant's price,
+            // stock, weight and image where it sets them. product_stock is
+            // what can be sold, less stock held by unpaid checkouts.
             const result = await this.db.query(`
                 SELECT 
                     ci.id,
                     ci.product_id,
+                    ci.variant_id,
                     ci.quantity,
                     ci.created_at,
                     ci.updated_at,
                     p.name as product_name,
-                    p.price as product_price,
-                    p.image_url as product_image,
+                    pv.title as variant_title,
+                    pv.sku as variant_sku,
+                    COALESCE(pv.price, p.price) as product_price,
+                    COALESCE(pv.image_url, p.image_url) as product_image,
                     p.slug as product_slug,
-                    p.stock_quantity as product_stock,
-                    p.is_active as product_active,
-                    (ci.quantity * p.price) as item_total
+                    ${StockReservationService.availableStockSql('p', 'pv')} as product_stock,
+                    (p.is_active AND COALESCE(pv.is_active, true)) as product_active,
+                    COALESCE(pv.weight_grams, p.weight_grams) as product_weight,
+                    (ci.quantity * COALESCE(pv.price, p.price)) as item_total
                 FROM cart_items ci
                 JOIN products p ON ci.product_id = p.id
+                LEFT JOIN product_variants pv ON ci.variant_id = pv.id
                 WHERE ci.user_id = $1 AND p.is_active = true
                 ORDER BY ci.created_at ASC
             `, [userId]);
@@ -76,32 +88,18 @@ class CartService {
         }
     }
 
-    async addToCart(userId, productId, quantity = 1) {
+    async addToCart(userId, productId, quantity = 1, variantId = null) {
         try {
-            // Check if product exists and is active
-            const productResult = await this.db.query(
-                'SELECT id, name, price, stock_quantity, is_active FROM products WHERE id = $1',
-                [productId]
-            );
-
-            if (productResult.rows.length === 0) {
-                throw new Error('Product not found');
-            }
-
-            const product = productResult.rows[0];
-
-            if (!product.is_active) {
-                throw new Error('Product is not available');
-            }
+            const stockQuantity = await this.getAvailableStock(productId, variantId);
 
-            if (product.stock_quantity < quantity) {
+            if (stockQuantity < quantity) {
                 throw new Error('Insufficient stock available');
             }
 
             // Check if item already exists in cart
             const existingItemResult = await this.db.query(
-                'SELECT id, quantity FROM cart_items WHERE user_id = $1 AND product_id = $2',
-                [userId, productId]
+                'SELECT id, quantity FROM cart_items WHERE user_id = $1 AND product_id = $2 AND variant_id IS NOT DISTINCT FROM $3',
+                [userId, productId, variantId]
             );
 
             let cartItem;
@@ -111,25 +109,25 @@ class CartService {
                 const existingItem = existingItemResult.rows[0];
                 const newQuantity = existingItem.quantity + quantity;
 
-                if (product.stock_quantity < newQuantity) {
+                if (stockQuantity < newQuantity) {
                     throw new Error('Insufficient stock available');
                 }
 
                 const updateResult = await this.db.query(`
                     UPDATE cart_items 
-                    SET quantity = $3, updated_at = CURRENT_TIMESTAMP
-                    WHERE user_id = $1 AND product_id = $2
+                    SET quantity = $2, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
                     RETURNING *
-                `, [userId, productId, newQuantity]);
+                `, [existingItem.id, newQuantity]);
 
                 cartItem = updateResult.rows[0];
             } else {
                 // Add new item
                 const insertResult = await this.db.query(`
-                    INSERT INTO cart_items (user_id, product_id, quantity)
-                    VALUES ($1, $2, $3)
+                    INSERT INTO cart_items (user_id, product_id, variant_id, quantity)
+                    VALUES ($1, $2, $3, $4)
                     RETURNING *
-                `, [userId, productId, quantity]);
+                `, [userId, productId, variantId, quantity]);
 
                 cartItem = insertResult.rows[0];
             }
@@ -140,17 +138,63 @@ class CartService {
             logger.info('Item added to cart successfully', {
                 userId,
                 productId,
+                variantId,
                 quantity,
                 cartItemId: cartItem.id
             });
 
             return cartItem;
         } catch (error) {
-            logger.error('Error adding item to cart', { error: error.message, userId, productId, quantity });
+            logger.error('Error adding item to cart', { error: error.message, userId, productId, variantId, quantity });
             throw error;
         }
     }
 
+    // Stock available for a cart line: the product's, or for a product sold in
+    // variants, the chosen variant's, less what unpaid checkouts are holding.
+    // Throws when the line cannot be bought.
+    async getAvailableStock(productId, variantId = null) {
+        const result = await this.db.query(`
+            SELECT
+                p.id,
+                GREATEST(p.stock_quantity - ${StockReservationService.reservedQuantitySql('p')}, 0) as stock_quantity,
+                p.is_active,
+                EXISTS (SELECT 1 FROM product_variants WHERE product_id = p.id) as has_variants,
+                pv.id as variant_id,
+                GREATEST(pv.stock_quantity - ${StockReservationService.reservedQuantitySql('pv', 'variant_id')}, 0) as variant_stock,
+                pv.is_active as variant_active
+            FROM products p
+            LEFT JOIN product_variants pv ON pv.id = $2 AND pv.product_id = p.id
+            WHERE p.id = $1
+        `, [productId, variantId]);
+
+        if (result.rows.length === 0) {
+            throw new Error('Product not found');
+        }
+
+        const product = result.rows[0];
+
+        if (!product.is_active) {
+            throw new Error('Product is not available');
+        }
+
+        if (variantId) {
+            if (!product.variant_id) {
+                throw new Error('Product variant not found');
+            }
+            if (!product.variant_active) {
+                throw new Error('Product variant is not available');
+            }
+            return product.variant_stock;
+        }
+
+        if (product.has_variants) {
+            throw new Error('A variant must be selected for this product');
+        }
+
+        return product.stock_quantity;
+    }
+
     async updateCartItem(userId, cartItemId, quantity) {
         try {
             if (quantity <= 0) {
@@ -159,7 +203,11 @@ class CartService {
 
             // Check if cart item belongs to user
             const cartItemResult = await this.db.query(
-                'SELECT ci.*, p.stock_quantity FROM cart_items ci JOIN products p ON ci.product_id = p.id WHERE ci.id = $1 AND ci.user_id = $2',
+                `SELECT ci.*, ${StockReservationService.availableStockSql('p', 'pv')} as stock_quantity
+                 FROM cart_items ci
+                 JOIN products p ON ci.product_id = p.id
+                 LEFT JOIN product_variants pv ON ci.variant_id = pv.id
+                 WHERE ci.id = $1 AND ci.user_id = $2`,
                 [cartItemId, userId]
             );
 
@@ -251,7 +299,9 @@ class CartService {
         }
     }
 
-    async validateCartForCheckout(userId) {
+    // With a shipping address the cart is also priced for delivery, so an
+    // address or coupon that cannot be served fails before the order is placed
+    async validateCartForCheckout(userId, { shippingAddress = null, shippingAddressId = null, couponCode = null } = {}) {
         try {
             const cart = await this.getCart(userId);
 
@@ -273,6 +323,20 @@ class CartService {
                 throw new Error(`Cart validation failed: ${validationErrors.join(', ')}`);
             }
 
+            if (shippingAddressId) {
+                const address = await this.addressService.getAddressById(userId, shippingAddressId);
+                shippingAddress = this.addressService.toOrderSnapshot(address);
+            }
+
+            if (shippingAddress) {
+                cart.quote = await this.shippingService.quote({
+                    items: cart.items,
+                    shippingAddress,
+                    couponCode,
+                    userId
+                });
+            }
+
             logger.info('Cart validation successful', {
                 userId,
                 itemCount: cart.items.length,
@@ -286,6 +350,69 @@ class CartService {
         }
     }
 
+    // Fold guest cart lines into a user's cart. Quantities for products already
+    // in the cart are summed, and every line is capped at available stock.
+    async mergeGuestCart(userId, guestItems) {
+        try {
+            if (guestItems.length === 0) {
+                return { merged: 0, skipped: 0 };
+            }
+
+            // Unknown, inactive and out-of-stock products and variants are
+            // skipped, as are lines for a product with variants that name none.
+            // Quantities are capped at stock not reserved by other checkouts,
+            // as checkout itself counts it.
+            const result = await this.db.query(`
+                WITH guest AS (
+                    SELECT p.id as product_id, pv.id as variant_id, g.quantity,
+                           ${StockReservationService.availableStockSql('p', 'pv')} as available
+                    FROM unnest($2::int[], $3::int[], $4::int[]) AS g(product_id, variant_id, quantity)
+                    JOIN products p ON p.id = g.product_id
+                    LEFT JOIN product_variants pv ON pv.id = g.variant_id AND pv.product_id = p.id
+                    WHERE p.is_active = true
+                      AND CASE
+                            WHEN g.variant_id IS NULL THEN NOT EXISTS (SELECT 1 FROM product_variants WHERE product_id = p.id)
+                            ELSE pv.is_active IS TRUE
+                          END
+                )
+                INSERT INTO cart_items (user_id, product_id, variant_id, quantity)
+                SELECT $1, product_id, variant_id, LEAST(quantity, available)
+                FROM guest
+                WHERE available > 0
+                ON CONFLICT (user_id, product_id, (COALESCE(variant_id, 0))) DO UPDATE
+                SET quantity = LEAST(
+                        cart_items.quantity + EXCLUDED.quantity,
+                        (SELECT available FROM guest
+                         WHERE guest.product_id = EXCLUDED.product_id
+                           AND guest.variant_id IS NOT DISTINCT FROM EXCLUDED.variant_id
+                         LIMIT 1)
+                    ),
+                    updated_at = CURRENT_TIMESTAMP
+                RETURNING product_id, variant_id, quantity
+            `, [
+                userId,
+                guestItems.map(item => item.productId),
+                guestItems.map(item => item.variantId || null),
+                guestItems.map(item => item.quantity)
+            ]);
+
+            await this.clearCartCache(userId);
+
+            const merged = result.rows.length;
+
+            logger.info('Guest cart merged successfully', {
+                userId,
+                requested: guestItems.length,
+                merged
+            });
+
+            return { merged, skipped: guestItems.length - merged };
+        } catch (error) {
+            logger.error('Error merging guest cart', { error: error.message, userId });
+            throw error;
+        }
+    }
+
     async clearCartCache(userId) {
         if (this.redis && this.redis.isConnected) {
             await this.redis.deleteCachedData(`${this.cachePrefix}${userId}`);
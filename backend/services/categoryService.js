@@ -9,7 +9,7 @@ class CategoryService {
     }
 
     async createCategory(categoryData) {
-        const { name, description } = categoryData;
+        const { name, description, nameBn, descriptionBn, taxClassId } = categoryData;
 
         try {
             // Generate slug from name
@@ -22,10 +22,10 @@ class CategoryService {
             }
 
             const result = await this.db.query(`
-                INSERT INTO categories (name, description, slug)
-                VALUES ($1, $2, $3)
+                INSERT INTO categories (name, description, slug, name_bn, description_bn, tax_class_id)
+                VALUES ($1, $2, $3, $4, $5, $6)
                 RETURNING *
-            `, [name, description, slug]);
+            `, [name, description, slug, nameBn || null, descriptionBn || null, taxClassId || null]);
 
             const category = result.rows[0];
 
@@ -40,6 +40,9 @@ class CategoryService {
 
             return category;
         } catch (error) {
+            if (error.code === '23503' && error.constraint?.includes('tax_class')) {
+                throw new Error('Tax class not found');
+            }
             logger.error('Error creating category', { error: error.message, categoryData });
             throw error;
         }
@@ -157,7 +160,7 @@ class CategoryService {
     }
 
     async updateCategory(categoryId, updateData) {
-        const { name, description, isActive } = updateData;
+        const { name, description, nameBn, descriptionBn, isActive, taxClassId } = updateData;
 
         try {
             // Check if category exists
@@ -184,10 +187,14 @@ class CategoryService {
                     description = COALESCE($3, description),
                     slug = COALESCE($4, slug),
                     is_active = COALESCE($5, is_active),
+                    name_bn = COALESCE($6, name_bn),
+                    description_bn = COALESCE($7, description_bn),
+                    -- A null tax class hands the category back to the default class
+                    tax_class_id = CASE WHEN $8::boolean THEN $9::integer ELSE tax_class_id END,
                     updated_at = CURRENT_TIMESTAMP
                 WHERE id = $1 AND is_active = true
                 RETURNING *
-            `, [categoryId, name, description, slug, isActive]);
+            `, [categoryId, name, description, slug, isActive, nameBn, descriptionBn, taxClassId !== undefined, taxClassId ?? null]);
 
             if (result.rows.length === 0) {
                 throw new Error('Category not found or inactive');
@@ -206,6 +213,9 @@ class CategoryService {
 
             return category;
         } catch (error) {
+            if (error.code === '23503' && error.constraint?.includes('tax_class')) {
+                throw new Error('Tax class not found');
+            }
             logger.error('Error updating category', { error: error.message, categoryId, updateData });
             throw error;
         }
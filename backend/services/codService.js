@@ -0,0 +1,417 @@
+const logger = require('../logger');
+
+const COD_PAYMENT_METHOD = 'cash_on_delivery';
+
+// Header aliases used by the couriers' remittance exports
+const ORDER_NUMBER_COLUMNS = ['order_number', 'merchant_order_id', 'invoice', 'invoice_id', 'order_id'];
+const AMOUNT_COLUMNS = ['collected_amount', 'cod_amount', 'cash_collected', 'amount'];
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes, CRLF and a UTF-8 BOM
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+};
+
+const normalizeHeader = (header) => header.trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '');
+
+class CodService {
+    constructor(dbPool, redisPool) {
+        this.db = dbPool;
+        this.redis = redisPool;
+    }
+
+    async getRules() {
+        try {
+            const result = await this.db.query(`
+                SELECT * FROM cod_rules
+                ORDER BY division NULLS FIRST
+            `);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Error fetching COD rules', { error: error.message });
+            throw error;
+        }
+    }
+
+    // The division's own rule wins over the default (division IS NULL) rule
+    async getRuleForDivision(division, client = this.db) {
+        const result = await client.query(`
+            SELECT * FROM cod_rules
+            WHERE division IS NULL OR LOWER(division) = LOWER($1)
+            ORDER BY division NULLS LAST
+            LIMIT 1
+        `, [division || null]);
+
+        return result.rows[0] || null;
+    }
+
+    calculateFee(rule, subtotal) {
+        let fee = parseFloat(rule.fee_flat) + subtotal * parseFloat(rule.fee_percent) / 100;
+
+        if (rule.fee_min !== null && rule.fee_min !== undefined) {
+            fee = Math.max(fee, parseFloat(rule.fee_min));
+        }
+        if (rule.fee_max !== null && rule.fee_max !== undefined) {
+            fee = Math.min(fee, parseFloat(rule.fee_max));
+        }
+
+        return roundMoney(fee);
+    }
+
+    // Whether COD can be offered for an order and what it costs. A customer's
+    // own cod_limit overrides the regional limit.
+    async quote({ userId = null, division, subtotal }, client = this.db) {
+        try {
+            const rule = await this.getRuleForDivision(division, client);
+
+            if (!rule || !rule.is_enabled) {
+                return { available: false, fee: 0, limit: null, total: roundMoney(subtotal), reason: 'not offered in this region' };
+            }
+
+            const fee = this.calculateFee(rule, subtotal);
+            const total = roundMoney(subtotal + fee);
+            let limit = rule.max_order_amount !== null ? parseFloat(rule.max_order_amount) : null;
+
+            if (userId) {
+                const userResult = await client.query('SELECT cod_limit FROM users WHERE id = $1', [userId]);
+                const userLimit = userResult.rows[0]?.cod_limit;
+                if (userLimit !== null && userLimit !== undefined) {
+                    limit = parseFloat(userLimit);
+                }
+            }
+
+            if (limit !== null && total > limit) {
+                return {
+                    available: false,
+                    fee,
+                    limit,
+                    total,
+                    reason: limit === 0 ? 'not available for this account' : `order total exceeds the limit of ${limit}`
+                };
+            }
+
+            return { available: true, fee, limit, total, reason: null };
+        } catch (error) {
+            logger.error('Error calculating COD quote', { error: error.message, userId, division, subtotal });
+            throw error;
+        }
+    }
+
+    async assertAvailable(options, client = this.db) {
+        const quote = await this.quote(options, client);
+
+        if (!quote.available) {
+            throw new Error(`Cash on delivery is not available: ${quote.reason}`);
+        }
+
+        return quote;
+    }
+
+    async saveRule(data) {
+        const { division = null, isEnabled = true, feeFlat = 0, feePercent = 0, feeMin = null, feeMax = null, maxOrderAmount = null } = data;
+
+        try {
+            const values = [division, isEnabled, feeFlat, feePercent, feeMin, feeMax, maxOrderAmount];
+
+            // ON CONFLICT cannot target the NULL division, so the default rule is updated in place
+            const result = division === null
+                ? await this.db.query(`
+                    UPDATE cod_rules
+                    SET is_enabled = $1, fee_flat = $2, fee_percent = $3, fee_min = $4, fee_max = $5, max_order_amount = $6
+                    WHERE division IS NULL
+                    RETURNING *
+                `, values.slice(1))
+                : await this.db.query(`
+                    INSERT INTO cod_rules (division, is_enabled, fee_flat, fee_percent, fee_min, fee_max, max_order_amount)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7)
+                    ON CONFLICT (division) DO UPDATE
+                    SET is_enabled = EXCLUDED.is_enabled,
+                        fee_flat = EXCLUDED.fee_flat,
+                        fee_percent = EXCLUDED.fee_percent,
+                        fee_min = EXCLUDED.fee_min,
+                        fee_max = EXCLUDED.fee_max,
+                        max_order_amount = EXCLUDED.max_order_amount
+                    RETURNING *
+                `, values);
+
+            if (result.rows.length === 0) {
+                throw new Error('Default COD rule not found');
+            }
+
+            logger.info('COD rule saved', { division, ruleId: result.rows[0].id });
+
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Error saving COD rule', { error: error.message, division });
+            throw error;
+        }
+    }
+
+    async deleteRule(ruleId) {
+        try {
+            const result = await this.db.query(
+                'DELETE FROM cod_rules WHERE id = $1 AND division IS NOT NULL RETURNING *',
+                [ruleId]
+            );
+
+            if (result.rows.length === 0) {
+                throw new Error('COD rule not found or is the default rule');
+            }
+
+            logger.info('COD rule deleted', { ruleId, division: result.rows[0].division });
+
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Error deleting COD rule', { error: error.message, ruleId });
+            throw error;
+        }
+    }
+
+    async setUserLimit(userId, codLimit) {
+        try {
+            const result = await this.db.query(`
+                UPDATE users
+                SET cod_limit = $2, updated_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+                RETURNING id, email, cod_limit
+            `, [userId, codLimit]);
+
+            if (result.rows.length === 0) {
+                throw new Error('User not found');
+            }
+
+            logger.info('User COD limit updated', { userId, codLimit });
+
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Error updating user COD limit', { error: error.message, userId, codLimit });
+            throw error;
+        }
+    }
+
+    // Turn remittance CSV text into { row, orderNumber, amount } lines.
+    // Rows that cannot be read are returned separately with a reason.
+    parseRemittance(csv) {
+        const [header, ...rows] = parseCsv(csv);
+
+        if (!header) {
+            throw new Error('Remittance file is empty');
+        }
+
+        const columns = header.map(normalizeHeader);
+        const orderColumn = columns.findIndex(column => ORDER_NUMBER_COLUMNS.includes(column));
+        const amountColumn = columns.findIndex(column => AMOUNT_COLUMNS.includes(column));
+
+        if (orderColumn === -1 || amountColumn === -1) {
+            throw new Error('Remittance file must have order number and collected amount columns');
+        }
+
+        const lines = [];
+        const invalid = [];
+
+        rows.forEach((cells, index) => {
+            const row = index + 2; // 1-based, after the header
+            const orderNumber = (cells[orderColumn] || '').trim();
+            const rawAmount = (cells[amountColumn] || '').trim();
+            const amount = parseFloat(rawAmount.replace(/[^0-9.-]/g, ''));
+
+            if (!orderNumber || Number.isNaN(amount)) {
+                invalid.push({ row, orderNumber: orderNumber || null, reason: 'invalid_row', received: rawAmount || null });
+            } else {
+                lines.push({ row, orderNumber, amount: roundMoney(amount) });
+            }
+        });
+
+        return { lines, invalid };
+    }
+
+    // Apply a courier remittance: every line whose order is an uncollected COD
+    // order for the exact amount is marked collected and paid. Everything else
+    // is reported as a mismatch and left untouched. With dryRun nothing is saved.
+    async reconcileRemittance(adminId, { courier, reference, fileName, csv, dryRun = false }) {
+        try {
+            const { lines, invalid } = this.parseRemittance(csv);
+
+            return await this.db.transaction(async (client) => {
+                const orderResult = await client.query(`
+                    SELECT id, order_number, total_amount, status, payment_method, payment_status, cod_status
+                    FROM orders
+                    WHERE order_number = ANY($1::text[])
+                    FOR UPDATE
+                `, [lines.map(line => line.orderNumber)]);
+
+                const ordersByNumber = new Map(orderResult.rows.map(order => [order.order_number, order]));
+                const seen = new Set();
+                const matched = [];
+                const mismatches = [...invalid];
+
+                for (const line of lines) {
+                    const order = ordersByNumber.get(line.orderNumber);
+                    const expected = order ? parseFloat(order.total_amount) : null;
+                    const mismatch = (reason) => mismatches.push({
+                        row: line.row,
+                        orderNumber: line.orderNumber,
+                        orderId: order?.id || null,
+                        reason,
+                        expected,
+                        received: line.amount
+                    });
+
+                    if (seen.has(line.orderNumber)) {
+                        mismatch('duplicate_row');
+                    } else if (!order) {
+                        mismatch('order_not_found');
+                    } else if (order.payment_method !== COD_PAYMENT_METHOD) {
+                        mismatch('not_cod_order');
+                    } else if (order.status === 'cancelled') {
+                        mismatch('order_cancelled');
+                    } else if (order.cod_status === 'collected') {
+                        mismatch('already_collected');
+                    } else if (Math.abs(expected - line.amount) > 0.009) {
+                        mismatch('amount_mismatch');
+                    } else {
+                        matched.push({ row: line.row, orderNumber: line.orderNumber, orderId: order.id, amount: line.amount });
+                    }
+
+                    seen.add(line.orderNumber);
+                }
+
+                mismatches.sort((a, b) => a.row - b.row);
+
+                const collectedAmount = roundMoney(matched.reduce((sum, line) => sum + line.amount, 0));
+                const report = {
+                    remittanceId: null,
+                    courier,
+                    reference: reference || null,
+                    dryRun,
+                    totalRows: lines.length + invalid.length,
+                    matchedCount: matched.length,
+                    mismatchCount: mismatches.length,
+                    collectedAmount,
+                    matched,
+                    mismatches
+                };
+
+                if (dryRun) {
+                    return report;
+                }
+
+                const remittanceResult = await client.query(`
+                    INSERT INTO cod_remittances
+                        (courier, reference, file_name, imported_by, total_rows, matched_count, mismatch_count, collected_amount, report)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                    RETURNING id
+                `, [
+                    courier,
+                    reference || null,
+                    fileName || null,
+                    adminId,
+                    report.totalRows,
+                    report.matchedCount,
+                    report.mismatchCount,
+                    collectedAmount,
+                    JSON.stringify({ mismatches })
+                ]);
+
+                report.remittanceId = remittanceResult.rows[0].id;
+
+                if (matched.length > 0) {
+                    await client.query(`
+                        UPDATE orders o
+                        SET payment_status = 'paid',
+                            cod_status = 'collected',
+                            cod_collected_amount = m.amount,
+                            cod_collected_at = CURRENT_TIMESTAMP,
+                            cod_remittance_id = $3,
+                            updated_at = CURRENT_TIMESTAMP
+                        FROM unnest($1::int[], $2::numeric[]) AS m(order_id, amount)
+                        WHERE o.id = m.order_id
+                    `, [matched.map(line => line.orderId), matched.map(line => line.amount), report.remittanceId]);
+                }
+
+                logger.info('COD remittance reconciled', {
+                    remittanceId: report.remittanceId,
+                    courier,
+                    reference,
+                    adminId,
+                    matched: report.matchedCount,
+                    mismatches: report.mismatchCount,
+                    collectedAmount
+                });
+
+                return report;
+            });
+        } catch (error) {
+            logger.error('Error reconciling COD remittance', { error: error.message, courier, reference, adminId });
+            throw error;
+        }
+    }
+
+    async getRemittances({ page = 1, limit = 20 } = {}) {
+        try {
+            const offset = (page - 1) * limit;
+
+            const result = await this.db.query(`
+                SELECT r.id, r.courier, r.reference, r.file_name, r.total_rows, r.matched_count,
+                       r.mismatch_count, r.collected_amount, r.created_at,
+                       u.email as imported_by_email
+                FROM cod_remittances r
+                LEFT JOIN users u ON r.imported_by = u.id
+                ORDER BY r.created_at DESC
+                LIMIT $1 OFFSET $2
+            `, [limit, offset]);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Error fetching COD remittances', { error: error.message });
+            throw error;
+        }
+    }
+}
+
+CodService.COD_PAYMENT_METHOD = COD_PAYMENT_METHOD;
+
+module.exports = CodService;
@@ -0,0 +1,86 @@
+const crypto = require('crypto');
+const { requestJson } = require('../http/jsonClient');
+
+// Shipment statuses shared by every courier. Couriers report far more detailed
+// states; adapters map them onto these and keep the original as courierStatus.
+const SHIPMENT_STATUSES = [
+    'created',
+    'picked_up',
+    'in_transit',
+    'out_for_delivery',
+    'delivered',
+    'on_hold',
+    'failed',
+    'returned',
+    'cancelled'
+];
+
+// Base class for courier adapters. ShipmentService only talks to couriers
+// through these methods, so every adapter translates its courier's responses
+// into the normalized shapes documented below.
+//
+// Normalized tracking event (webhooks and tracking lookups):
+//   { consignmentId, status, courierStatus, description, location, occurredAt, raw }
+// where status is one of SHIPMENT_STATUSES, or null for informational updates
+// that do not move the parcel to a new state.
+class CourierProvider {
+    constructor(name, config = {}) {
+        this.name = name;
+        this.config = config;
+    }
+
+    // Whether the credentials needed to talk to the courier are present
+    isConfigured() {
+        return true;
+    }
+
+    // Book a parcel with the courier.
+    // parcel: { orderId, orderNumber, reference, recipient, codAmount, value, weightGrams, itemCount, description, note }
+    // where recipient is { name, phone, address, thana, district, division }.
+    // reference is unique per shipment and stays the same when a booking is
+    // retried; adapters send it as the courier's merchant order reference.
+    // Returns { consignmentId, trackingNumber, trackingUrl, status, courierStatus, deliveryFee, raw }
+    async createConsignment(_parcel) {
+        throw new Error(`Courier ${this.name} does not support creating consignments`);
+    }
+
+    // Current state of a stored shipment, as a normalized tracking event
+    async trackConsignment(_shipment) {
+        throw new Error(`Courier ${this.name} does not support tracking lookups`);
+    }
+
+    // Status push from the courier. Returns a normalized tracking event, or
+    // null for notifications that need no action. Throws when the request
+    // does not carry the configured webhook secret.
+    async handleWebhook(_payload, _headers, _query) {
+        throw new Error(`Courier ${this.name} does not support tracking webhooks`);
+    }
+
+    // Constant time comparison against the configured webhook secret
+    verifyWebhookSecret(received) {
+        const expected = this.config.webhookSecret;
+
+        if (!expected) {
+            throw new Error(`Courier ${this.name} webhook secret is not configured`);
+        }
+
+        const digest = value => crypto.createHash('sha256').update(String(value || '')).digest();
+        if (!received || !crypto.timingSafeEqual(digest(received), digest(expected))) {
+            throw new Error(`Courier ${this.name} webhook authentication failed`);
+        }
+    }
+
+    toTimestamp(value) {
+        const date = value ? new Date(value) : new Date();
+        return Number.isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+    }
+
+    // JSON request helper shared by the HTTP based adapters
+    async requestJson(url, options = {}) {
+        return requestJson(url, options, `Courier ${this.name}`);
+    }
+}
+
+CourierProvider.SHIPMENT_STATUSES = SHIPMENT_STATUSES;
+
+module.exports = CourierProvider;
@@ -0,0 +1,51 @@
+const PathaoProvider = require('./pathaoProvider');
+const SteadfastProvider = require('./steadfastProvider');
+const RedxProvider = require('./redxProvider');
+
+const COURIER_CLASSES = {
+    pathao: PathaoProvider,
+    steadfast: SteadfastProvider,
+    redx: RedxProvider
+};
+
+const COURIER_NAMES = Object.keys(COURIER_CLASSES);
+
+// Courier credentials and endpoints come from the environment. The base URLs
+// default to each courier's sandbox and are overridden to hit mock servers.
+const loadCourierConfig = (env = process.env) => ({
+    pathao: {
+        baseUrl: env.PATHAO_BASE_URL,
+        clientId: env.PATHAO_CLIENT_ID,
+        clientSecret: env.PATHAO_CLIENT_SECRET,
+        username: env.PATHAO_USERNAME,
+        password: env.PATHAO_PASSWORD,
+        storeId: env.PATHAO_STORE_ID,
+        webhookSecret: env.PATHAO_WEBHOOK_SECRET
+    },
+    steadfast: {
+        baseUrl: env.STEADFAST_BASE_URL,
+        apiKey: env.STEADFAST_API_KEY,
+        secretKey: env.STEADFAST_SECRET_KEY,
+        webhookSecret: env.STEADFAST_WEBHOOK_SECRET
+    },
+    redx: {
+        baseUrl: env.REDX_BASE_URL,
+        accessToken: env.REDX_ACCESS_TOKEN,
+        pickupStoreId: env.REDX_PICKUP_STORE_ID,
+        webhookSecret: env.REDX_WEBHOOK_SECRET
+    }
+});
+
+const createCourierProviders = (config = loadCourierConfig()) => {
+    const providers = {};
+    for (const name of COURIER_NAMES) {
+        providers[name] = new COURIER_CLASSES[name](config[name] || {});
+    }
+    return providers;
+};
+
+module.exports = {
+    COURIER_NAMES,
+    loadCourierConfig,
+    createCourierProviders
+};
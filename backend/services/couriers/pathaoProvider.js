@@ -0,0 +1,155 @@
+const CourierProvider = require('./courierProvider');
+const { TokenCache } = require('../http/jsonClient');
+
+// Pathao order states, keyed by the slug shared by webhook events
+// ("order.at-the-sorting-hub") and order info ("At_the_Sorting_HUB")
+const STATUS_MAP = {
+    'pending': 'created',
+    'created': 'created',
+    'pickup-requested': 'created',
+    'assigned-for-pickup': 'created',
+    'pickup-failed': 'created',
+    'picked': 'picked_up',
+    'pickup-cancelled': 'cancelled',
+    'at-the-sorting-hub': 'in_transit',
+    'in-transit': 'in_transit',
+    'received-at-last-mile-hub': 'in_transit',
+    'assigned-for-delivery': 'out_for_delivery',
+    'delivered': 'delivered',
+    'partial-delivery': 'delivered',
+    'exchange': 'delivered',
+    'on-hold': 'on_hold',
+    'delivery-failed': 'failed',
+    'return': 'returned',
+    'returned': 'returned',
+    'paid-return': 'returned'
+};
+
+// Pathao courier merchant API. Consignments are tracked by consignment_id and
+// status changes arrive as webhooks signed with the merchant's webhook secret.
+class PathaoProvider extends CourierProvider {
+    constructor(config = {}) {
+        super('pathao', config);
+        this.baseUrl = (config.baseUrl || 'https://courier-api-sandbox.pathao.com').replace(/\/$/, '');
+        this.tokens = new TokenCache(() => this.issueToken());
+    }
+
+    isConfigured() {
+        return Boolean(this.config.clientId && this.config.clientSecret &&
+            this.config.username && this.config.password && this.config.storeId);
+    }
+
+    async issueToken() {
+        const data = await this.requestJson(`${this.baseUrl}/aladdin/api/v1/issue-token`, {
+            body: {
+                client_id: this.config.clientId,
+                client_secret: this.config.clientSecret,
+                username: this.config.username,
+                password: this.config.password,
+                grant_type: 'password'
+            }
+        });
+
+        if (!data.access_token) {
+            throw new Error(`Pathao token request failed: ${data.message || 'no token returned'}`);
+        }
+
+        return { token: data.access_token, expiresIn: data.expires_in };
+    }
+
+    async call(path, { method = 'POST', body } = {}) {
+        const data = await this.requestJson(`${this.baseUrl}${path}`, {
+            method,
+            headers: { Authorization: `Bearer ${await this.tokens.get()}` },
+            body
+        });
+
+        if (data.code && data.code !== 200) {
+            throw new Error(`Pathao request failed: ${data.message || data.code}`);
+        }
+
+        return data.data || {};
+    }
+
+    toSlug(status) {
+        return String(status || '').replace(/^order\./, '').toLowerCase().replace(/_/g, '-');
+    }
+
+    trackingUrl(consignmentId, phone) {
+        return `https://merchant.pathao.com/tracking?consignment_id=${encodeURIComponent(consignmentId)}` +
+            `&phone=${encodeURIComponent(phone || '')}`;
+    }
+
+    async createConsignment({ reference, recipient, codAmount, weightGrams, itemCount, description, note }) {
+        const data = await this.call('/aladdin/api/v1/orders', {
+            body: {
+                store_id: Number(this.config.storeId),
+                merchant_order_id: reference,
+                recipient_name: recipient.name,
+                recipient_phone: recipient.phone,
+                recipient_address: recipient.address,
+                delivery_type: 48, // normal delivery
+                item_type: 2, // parcel
+                special_instruction: note || undefined,
+                item_quantity: itemCount,
+                // Pathao takes kilograms between 0.5 and 10
+                item_weight: Math.min(Math.max(weightGrams / 1000, 0.5), 10),
+                amount_to_collect: Math.round(codAmount),
+                item_description: description
+            }
+        });
+
+        return {
+            consignmentId: data.consignment_id,
+            trackingNumber: data.consignment_id,
+            trackingUrl: this.trackingUrl(data.consignment_id, recipient.phone),
+            status: STATUS_MAP[this.toSlug(data.order_status)] || 'created',
+            courierStatus: data.order_status || 'Pending',
+            deliveryFee: data.delivery_fee !== undefined ? parseFloat(data.delivery_fee) : null,
+            raw: data
+        };
+    }
+
+    async trackConsignment(shipment) {
+        const data = await this.call(`/aladdin/api/v1/orders/${encodeURIComponent(shipment.consignment_id)}/info`, {
+            method: 'GET'
+        });
+
+        return {
+            consignmentId: data.consignment_id,
+            status: STATUS_MAP[this.toSlug(data.order_status_slug || data.order_status)] || null,
+            courierStatus: data.order_status,
+            description: null,
+            location: null,
+            occurredAt: this.toTimestamp(data.updated_at),
+            raw: data
+        };
+    }
+
+    async handleWebhook(payload, headers = {}) {
+        this.verifyWebhookSecret(headers['x-pathao-signature']);
+
+        // Sent once when the webhook URL is registered in the merchant panel
+        if (!payload.consignment_id || payload.event === 'webhook_integration') {
+            return null;
+        }
+
+        const slug = this.toSlug(payload.event);
+        if (slug === 'paid') {
+            // Remittance notices are reconciled through the COD import instead
+            return null;
+        }
+
+        return {
+            consignmentId: payload.consignment_id,
+            status: STATUS_MAP[slug] || null,
+            courierStatus: payload.event,
+            description: payload.reason || null,
+            location: null,
+            occurredAt: this.toTimestamp(payload.updated_at || payload.timestamp),
+            raw: payload
+        };
+    }
+}
+
+module.exports = PathaoProvider;
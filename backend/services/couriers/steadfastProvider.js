@@ -0,0 +1,115 @@
+const CourierProvider = require('./courierProvider');
+
+// Steadfast delivery statuses. The *_approval_pending states mean the rider
+// has reported the outcome and Steadfast has not confirmed it yet.
+const STATUS_MAP = {
+    'in_review': 'created',
+    'pending': 'in_transit',
+    'hold': 'on_hold',
+    'delivered_approval_pending': 'delivered',
+    'partial_delivered_approval_pending': 'delivered',
+    'delivered': 'delivered',
+    'partial_delivered': 'delivered',
+    'cancelled_approval_pending': 'cancelled',
+    'cancelled': 'cancelled'
+};
+
+// Steadfast (Packzy) courier API. Requests are authenticated with the API key
+// pair; webhooks carry the merchant's webhook token as a bearer token.
+class SteadfastProvider extends CourierProvider {
+    constructor(config = {}) {
+        super('steadfast', config);
+        this.baseUrl = (config.baseUrl || 'https://portal.packzy.com/api/v1').replace(/\/$/, '');
+    }
+
+    isConfigured() {
+        return Boolean(this.config.apiKey && this.config.secretKey);
+    }
+
+    async call(path, { method = 'POST', body } = {}) {
+        const data = await this.requestJson(`${this.baseUrl}${path}`, {
+            method,
+            headers: {
+                'Api-Key': this.config.apiKey,
+                'Secret-Key': this.config.secretKey
+            },
+            body
+        });
+
+        if (data.status && data.status !== 200) {
+            throw new Error(`Steadfast request failed: ${data.message || data.status}`);
+        }
+
+        return data;
+    }
+
+    // Webhooks send "Partial Delivered", the status API "partial_delivered"
+    toKey(status) {
+        return String(status || '').trim().toLowerCase().replace(/\s+/g, '_');
+    }
+
+    async createConsignment({ reference, recipient, codAmount, description, note }) {
+        const data = await this.call('/create_order', {
+            body: {
+                invoice: reference,
+                recipient_name: recipient.name,
+                recipient_phone: recipient.phone,
+                recipient_address: recipient.address,
+                cod_amount: Math.round(codAmount),
+                note: note || undefined,
+                item_description: description
+            }
+        });
+
+        const consignment = data.consignment || {};
+
+        return {
+            consignmentId: String(consignment.consignment_id),
+            trackingNumber: consignment.tracking_code,
+            trackingUrl: `https://steadfast.com.bd/t/${encodeURIComponent(consignment.tracking_code)}`,
+            status: STATUS_MAP[this.toKey(consignment.status)] || 'created',
+            courierStatus: consignment.status || 'in_review',
+            deliveryFee: null,
+            raw: consignment
+        };
+    }
+
+    async trackConsignment(shipment) {
+        const data = await this.call(`/status_by_cid/${encodeURIComponent(shipment.consignment_id)}`, {
+            method: 'GET'
+        });
+
+        return {
+            consignmentId: shipment.consignment_id,
+            status: STATUS_MAP[this.toKey(data.delivery_status)] || null,
+            courierStatus: data.delivery_status,
+            description: null,
+            location: null,
+            occurredAt: this.toTimestamp(),
+            raw: data
+        };
+    }
+
+    async handleWebhook(payload, headers = {}) {
+        this.verifyWebhookSecret(String(headers.authorization || '').replace(/^Bearer\s+/i, ''));
+
+        if (!payload.consignment_id) {
+            return null;
+        }
+
+        // tracking_update carries a progress message without a status change
+        const isStatusChange = payload.notification_type === 'delivery_status';
+
+        return {
+            consignmentId: String(payload.consignment_id),
+            status: isStatusChange ? STATUS_MAP[this.toKey(payload.status)] || null : null,
+            courierStatus: isStatusChange ? payload.status : payload.notification_type,
+            description: payload.tracking_message || null,
+            location: null,
+            occurredAt: this.toTimestamp(payload.updated_at),
+            raw: payload
+        };
+    }
+}
+
+module.exports = SteadfastProvider;
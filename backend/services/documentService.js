@@ -0,0 +1,231 @@
+const ShipmentService = require('./shipmentService');
+const PurchaseOrderService = require('./purchaseOrderService');
+const {
+    loadSellerConfig,
+    renderInvoice,
+    renderPackingSlips,
+    renderPurchaseOrder,
+    renderPurchaseOrderCsv
+} = require('./documents');
+const logger = require('../logger');
+
+class DocumentService {
+    constructor(dbPool, redisPool, seller = loadSellerConfig()) {
+        this.db = dbPool;
+        this.redis = redisPool;
+        this.seller = seller;
+        this.purchaseOrderService = new PurchaseOrderService(dbPool, redisPool);
+    }
+
+    static formatInvoiceNumber(year, number) {
+        return `INV-${year}-${String(number).padStart(6, '0')}`;
+    }
+
+    // The order's invoice, issued with the next number of the year the first
+    // time it is asked for
+    async issueInvoice(orderId) {
+        return this.db.transaction(async (client) => {
+            const orderResult = await client.query(
+                'SELECT id FROM orders WHERE id = $1 FOR UPDATE',
+                [orderId]
+            );
+
+            if (orderResult.rows.length === 0) {
+                throw new Error('Order not found');
+            }
+
+            const existing = await client.query('SELECT * FROM invoices WHERE order_id = $1', [orderId]);
+            if (existing.rows.length > 0) {
+                return existing.rows[0];
+            }
+
+            const year = new Date().getFullYear();
+            const sequenceResult = await client.query(`
+                INSERT INTO invoice_sequences (year, last_number)
+                VALUES ($1, 1)
+                ON CONFLICT (year) DO UPDATE SET last_number = invoice_sequences.last_number + 1
+                RETURNING last_number
+            `, [year]);
+
+            const invoiceResult = await client.query(`
+                INSERT INTO invoices (invoice_number, order_id)
+                VALUES ($1, $2)
+                RETURNING *
+            `, [DocumentService.formatInvoiceNumber(year, sequenceResult.rows[0].last_number), orderId]);
+
+            logger.info('Invoice issued', {
+                orderId,
+                invoiceNumber: invoiceResult.rows[0].invoice_number
+            });
+
+            return invoiceResult.rows[0];
+        });
+    }
+
+    // Invoice PDF for an order; with a userId only for that customer's own orders
+    async getInvoicePdf(orderId, userId = null) {
+        try {
+            const orderResult = await this.db.query(`
+                SELECT o.*, COALESCE(u.email, o.guest_email) as user_email
+                FROM orders o
+                LEFT JOIN users u ON o.user_id = u.id
+                WHERE o.id = $1 AND ($2::int IS NULL OR o.user_id = $2)
+            `, [orderId, userId]);
+
+            if (orderResult.rows.length === 0) {
+                throw new Error('Order not found');
+            }
+
+            const invoice = await this.issueInvoice(orderId);
+
+            const itemsResult = await this.db.query(`
+                SELECT oi.quantity, oi.unit_price, oi.total_price, oi.variant_label, oi.tax_rate,
+                       p.name as product_name, COALESCE(oi.variant_sku, p.sku) as sku
+                FROM order_items oi
+                JOIN products p ON oi.product_id = p.id
+                WHERE oi.order_id = $1
+                ORDER BY oi.id
+            `, [orderId]);
+
+            const taxLinesResult = await this.db.query(`
+                SELECT name, rate, taxable_amount, tax_amount
+                FROM order_tax_lines
+                WHERE order_id = $1
+                ORDER BY rate DESC, id
+            `, [orderId]);
+
+            const order = orderResult.rows[0];
+            const pdf = await renderInvoice({
+                invoice,
+                order: {
+                    ...order,
+                    shipping_address: order.shipping_address || {},
+                    billing_address: order.billing_address || null
+                },
+                items: itemsResult.rows,
+                taxLines: taxLinesResult.rows,
+                seller: this.seller
+            });
+
+            return { invoiceNumber: invoice.invoice_number, pdf };
+        } catch (error) {
+            logger.error('Error generating invoice', { error: error.message, orderId, userId });
+            throw error;
+        }
+    }
+
+    // Units of each product and variant to pick across a batch of orders,
+    // ordered by SKU so the picker walks the shelves once
+    static buildPickList(lines) {
+        const entries = new Map();
+
+        for (const line of lines) {
+            if (line.to_pack <= 0) {
+                continue;
+            }
+
+            const key = `${line.product_id}:${line.variant_id || ''}`;
+            const entry = entries.get(key) || {
+                sku: line.sku,
+                product_name: line.product_name,
+                variant_label: line.variant_label,
+                quantity: 0,
+                orders: new Set()
+            };
+            entry.quantity += line.to_pack;
+            entry.orders.add(line.order_id);
+            entries.set(key, entry);
+        }
+
+        return [...entries.values()]
+            .map(({ orders, ...entry }) => ({ ...entry, orderCount: orders.size }))
+            .sort((a, b) => String(a.sku || a.product_name).localeCompare(String(b.sku || b.product_name)));
+    }
+
+    // Pick list and packing slips for the units of the given orders that are
+    // not yet in a shipment
+    async getPackingSlipsPdf(orderIds) {
+        try {
+            const ordersResult = await this.db.query(`
+                SELECT id, order_number, status, created_at, payment_method, shipping_address, notes
+                FROM orders
+                WHERE id = ANY($1::int[])
+                ORDER BY created_at, id
+            `, [orderIds]);
+
+            const missing = orderIds.filter(id => !ordersResult.rows.some(order => order.id === id));
+            if (missing.length > 0) {
+                throw new Error(`Orders not found: ${missing.join(', ')}`);
+            }
+
+            const cancelled = ordersResult.rows.filter(order => order.status === 'cancelled');
+            if (cancelled.length > 0) {
+                throw new Error(`Cancelled orders cannot be packed: ${cancelled.map(order => order.order_number).join(', ')}`);
+            }
+
+            const linesResult = await this.db.query(`
+                SELECT oi.order_id, oi.product_id, oi.variant_id, oi.variant_label, oi.quantity,
+                       p.name as product_name, COALESCE(oi.variant_sku, p.sku) as sku,
+                       oi.quantity - COALESCE((
+                           SELECT SUM(si.quantity)
+                           FROM shipment_items si
+                           JOIN shipments s ON si.shipment_id = s.id
+                           WHERE si.order_item_id = oi.id AND s.status <> ALL($2::text[])
+                       ), 0)::int as to_pack
+                FROM order_items oi
+                JOIN products p ON oi.product_id = p.id
+                WHERE oi.order_id = ANY($1::int[])
+                ORDER BY oi.order_id, oi.id
+            `, [orderIds, ShipmentService.CLOSED_SHIPMENT_STATUSES]);
+
+            const orders = ordersResult.rows.map(order => ({
+                ...order,
+                shipping_address: order.shipping_address || {},
+                lines: linesResult.rows.filter(line => line.order_id === order.id && line.to_pack > 0)
+            }));
+
+            const packed = orders.filter(order => order.lines.length === 0);
+            if (packed.length > 0) {
+                throw new Error(`Nothing left to pack for: ${packed.map(order => order.order_number).join(', ')}`);
+            }
+
+            const pdf = await renderPackingSlips({
+                orders,
+                pickList: DocumentService.buildPickList(linesResult.rows)
+            });
+
+            logger.info('Packing slips generated', { orderCount: orders.length });
+
+            return pdf;
+        } catch (error) {
+            logger.error('Error generating packing slips', { error: error.message, orderIds });
+            throw error;
+        }
+    }
+
+    // A purchase order to send to its supplier, as a PDF or a CSV of its lines
+    async getPurchaseOrderDocument(purchaseOrderId, format = 'pdf') {
+        try {
+            const purchaseOrder = await this.purchaseOrderService.getPurchaseOrderById(purchaseOrderId);
+
+            if (format === 'csv') {
+                return {
+                    filename: `${purchaseOrder.po_number}.csv`,
+                    contentType: 'text/csv',
+                    content: renderPurchaseOrderCsv({ purchaseOrder })
+                };
+            }
+
+            return {
+                filename: `${purchaseOrder.po_number}.pdf`,
+                contentType: 'application/pdf',
+                content: await renderPurchaseOrder({ purchaseOrder, buyer: this.seller })
+            };
+        } catch (error) {
+            logger.error('Error generating purchase order document', { error: error.message, purchaseOrderId, format });
+            throw error;
+        }
+    }
+}
+
+module.exports = DocumentService;
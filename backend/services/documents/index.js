@@ -0,0 +1,11 @@
+const { loadSellerConfig, renderInvoice } = require('./invoiceDocument');
+const { renderPackingSlips } = require('./packingSlipDocument');
+const { renderPurchaseOrder, renderPurchaseOrderCsv } = require('./purchaseOrderDocument');
+
+module.exports = {
+    loadSellerConfig,
+    renderInvoice,
+    renderPackingSlips,
+    renderPurchaseOrder,
+    renderPurchaseOrderCsv
+};
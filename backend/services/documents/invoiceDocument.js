@@ -0,0 +1,135 @@
+const {
+    FONT,
+    BOLD_FONT,
+    formatAmount,
+    formatDate,
+    formatAddress,
+    renderPdf,
+    drawTable
+} = require('./pdf');
+
+// Seller details printed on every invoice. The BIN (business identification
+// number) is the VAT registration the invoice is issued under.
+const loadSellerConfig = (env = process.env) => ({
+    name: env.INVOICE_SELLER_NAME || 'DhakaCart',
+    address: env.INVOICE_SELLER_ADDRESS || null,
+    phone: env.INVOICE_SELLER_PHONE || null,
+    bin: env.INVOICE_SELLER_BIN || null
+});
+
+const formatRate = (rate) => `${Number(rate)}%`;
+
+// VAT lines, one per tax class. VAT already in the prices is shown as
+// included rather than added; orders placed before tax classes have no
+// lines, only their tax_amount.
+const vatTotals = (order, taxLines) => {
+    const included = order.prices_include_tax !== false;
+
+    if (taxLines.length === 0) {
+        return [[included ? 'VAT included' : 'VAT', Number(order.tax_amount || 0)]];
+    }
+
+    return taxLines.map(line => [
+        `${included ? 'Includes ' : ''}${line.name} (${formatRate(line.rate)})`,
+        Number(line.tax_amount)
+    ]);
+};
+
+// Amount lines under the items. Shipping is shown before its discount;
+// orders store the shipping they charged after it.
+const invoiceTotals = (order, items, taxLines = []) => {
+    const subtotal = order.subtotal !== null && order.subtotal !== undefined
+        ? Number(order.subtotal)
+        : items.reduce((sum, item) => sum + Number(item.total_price), 0);
+    const shippingDiscount = Number(order.shipping_discount || 0);
+
+    return [
+        ['Subtotal', subtotal],
+        ['Discount', -Number(order.coupon_discount || 0)],
+        ['Shipping', Number(order.shipping_cost || 0) + shippingDiscount],
+        ['Shipping discount', -shippingDiscount],
+        ['Cash on delivery fee', Number(order.cod_fee || 0)]
+    ].filter(([label, amount]) => amount !== 0 || label === 'Subtotal')
+        .concat(vatTotals(order, taxLines));
+};
+
+const renderInvoice = ({ invoice, order, items, taxLines = [], seller = loadSellerConfig() }) => renderPdf((doc) => {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const top = doc.y;
+
+    // Seller on the left, invoice details on the right
+    doc.font(BOLD_FONT).fontSize(16).text(seller.name, left, top, { width: width / 2 });
+    doc.font(FONT).fontSize(9);
+    [seller.address, seller.phone, seller.bin && `BIN: ${seller.bin}`]
+        .filter(Boolean)
+        .forEach(line => doc.text(line, { width: width / 2 }));
+    const sellerBottom = doc.y;
+
+    doc.font(BOLD_FONT).fontSize(16).text('Tax Invoice', left + width / 2, top, { width: width / 2, align: 'right' });
+    doc.font(FONT).fontSize(9);
+    [
+        `Invoice number: ${invoice.invoice_number}`,
+        `Invoice date: ${formatDate(invoice.issued_at)}`,
+        `Order number: ${order.order_number}`,
+        `Order date: ${formatDate(order.created_at)}`,
+        `Payment: ${order.payment_method.replace(/_/g, ' ')} (${order.payment_status})`
+    ].forEach(line => doc.text(line, left + width / 2, doc.y, { width: width / 2, align: 'right' }));
+
+    // Billing and delivery addresses side by side
+    const addressTop = Math.max(sellerBottom, doc.y) + 20;
+    const billing = order.billing_address || order.shipping_address;
+    doc.font(BOLD_FONT).text('Bill to', left, addressTop, { width: width / 2 });
+    doc.font(FONT).text(formatAddress(billing).join('\n') || order.user_email || '', { width: width / 2 });
+    const billingBottom = doc.y;
+
+    doc.font(BOLD_FONT).text('Ship to', left + width / 2, addressTop, { width: width / 2 });
+    doc.font(FONT).text(formatAddress(order.shipping_address).join('\n'), { width: width / 2 });
+
+    doc.x = left;
+    doc.y = Math.max(billingBottom, doc.y) + 20;
+
+    drawTable(doc, [
+        { header: '#', width: 25 },
+        { header: 'Item', width: width - 330 },
+        { header: 'Qty', width: 40, align: 'right' },
+        { header: 'VAT', width: 45, align: 'right' },
+        { header: 'Unit price', width: 110, align: 'right' },
+        { header: 'Amount', width: 110, align: 'right' }
+    ], items.map((item, index) => [
+        index + 1,
+        [
+            item.variant_label ? `${item.product_name} (${item.variant_label})` : item.product_name,
+            item.sku && `SKU: ${item.sku}`
+        ].filter(Boolean).join('\n'),
+        item.quantity,
+        item.tax_rate !== null && item.tax_rate !== undefined ? formatRate(item.tax_rate) : '-',
+        formatAmount(item.unit_price),
+        formatAmount(item.total_price)
+    ]));
+
+    // Totals, right aligned under the amount column
+    doc.moveDown();
+    const labelX = left + width - 330;
+    invoiceTotals(order, items, taxLines).forEach(([label, amount]) => {
+        const y = doc.y;
+        doc.font(FONT).fontSize(9).text(label, labelX, y, { width: 200, align: 'right' });
+        doc.text(amount < 0 ? `- ${formatAmount(-amount)}` : formatAmount(amount), labelX + 220, y, {
+            width: 110,
+            align: 'right'
+        });
+    });
+
+    const totalY = doc.y + 4;
+    doc.font(BOLD_FONT).fontSize(11).text('Total', labelX, totalY, { width: 200, align: 'right' });
+    doc.text(formatAmount(order.total_amount), labelX + 220, totalY, { width: 110, align: 'right' });
+
+    doc.font(FONT).fontSize(8).fillColor('#6b7280')
+        .text(`Thank you for shopping with ${seller.name}.`, left, doc.y + 30, { width, align: 'center' });
+}, { title: `Invoice ${invoice.invoice_number}` });
+
+module.exports = {
+    loadSellerConfig,
+    invoiceTotals,
+    renderInvoice
+};
@@ -0,0 +1,70 @@
+const {
+    FONT,
+    BOLD_FONT,
+    formatDate,
+    formatAddress,
+    renderPdf,
+    drawTable
+} = require('./pdf');
+
+const itemName = (line) => (line.variant_label ? `${line.product_name} (${line.variant_label})` : line.product_name);
+
+// A pick list for the whole batch, then one packing slip per order. orders
+// carry the lines still to pack; pickList sums them per product and variant.
+const renderPackingSlips = ({ orders, pickList, printedAt = new Date() }) => renderPdf((doc) => {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+
+    doc.font(BOLD_FONT).fontSize(16).text('Pick List', left, doc.y, { width });
+    doc.font(FONT).fontSize(9).text(
+        `${orders.length} order${orders.length === 1 ? '' : 's'} • printed ${formatDate(printedAt)}`,
+        { width }
+    );
+    doc.moveDown();
+
+    drawTable(doc, [
+        { header: 'SKU', width: 110 },
+        { header: 'Item', width: width - 260 },
+        { header: 'Qty', width: 50, align: 'right' },
+        { header: 'Orders', width: 60, align: 'right' },
+        { header: 'Picked', width: 40 }
+    ], pickList.map(entry => [entry.sku || '-', itemName(entry), entry.quantity, entry.orderCount, '']));
+
+    orders.forEach((order) => {
+        doc.addPage();
+        const top = doc.y;
+
+        doc.font(BOLD_FONT).fontSize(16).text('Packing Slip', left, top, { width: width / 2 });
+        doc.font(FONT).fontSize(9);
+        [
+            `Order number: ${order.order_number}`,
+            `Order date: ${formatDate(order.created_at)}`,
+            `Payment: ${order.payment_method.replace(/_/g, ' ')}`
+        ].forEach(line => doc.text(line, { width: width / 2 }));
+        const detailsBottom = doc.y;
+
+        doc.font(BOLD_FONT).text('Ship to', left + width / 2, top, { width: width / 2 });
+        doc.font(FONT).text(formatAddress(order.shipping_address).join('\n'), { width: width / 2 });
+
+        doc.x = left;
+        doc.y = Math.max(detailsBottom, doc.y) + 20;
+
+        drawTable(doc, [
+            { header: 'SKU', width: 110 },
+            { header: 'Item', width: width - 260 },
+            { header: 'Pack', width: 50, align: 'right' },
+            { header: 'Ordered', width: 60, align: 'right' },
+            { header: 'Packed', width: 40 }
+        ], order.lines.map(line => [line.sku || '-', itemName(line), line.to_pack, line.quantity, '']));
+
+        if (order.notes) {
+            doc.moveDown();
+            doc.font(BOLD_FONT).fontSize(9).text('Customer notes', left, doc.y, { width });
+            doc.font(FONT).text(order.notes, { width });
+        }
+    });
+}, { title: 'Packing slips' });
+
+module.exports = {
+    renderPackingSlips
+};
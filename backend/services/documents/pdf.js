@@ -0,0 +1,96 @@
+const PDFDocument = require('pdfkit');
+
+const FONT = 'Helvetica';
+const BOLD_FONT = 'Helvetica-Bold';
+
+// The standard PDF fonts only cover Latin text, so amounts are written with
+// the currency code instead of the taka sign
+const formatAmount = (value) => `BDT ${Number(value || 0).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2
+})}`;
+
+const formatDate = (date) => new Date(date).toLocaleDateString('en-GB', {
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric'
+});
+
+// Address lines as printed on documents; orders store the address as JSON
+const formatAddress = (address = {}) => [
+    [address.firstName, address.lastName].filter(Boolean).join(' '),
+    address.addressLine1,
+    address.addressLine2,
+    [address.thana, address.district || address.city].filter(Boolean).join(', '),
+    [address.division || address.state, address.postalCode].filter(Boolean).join(' '),
+    address.country,
+    address.phone
+].filter(Boolean);
+
+// Render a document with build(doc) and resolve with the finished file
+const renderPdf = (build, { title } = {}) => new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: title } });
+    const chunks = [];
+
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+        doc.font(FONT);
+        build(doc);
+        doc.end();
+    } catch (error) {
+        reject(error);
+    }
+});
+
+// Rows of text cells under a header row. columns are { header, width, align };
+// the table continues on a new page, header and all, when it runs out of room.
+const drawTable = (doc, columns, rows) => {
+    const left = doc.page.margins.left;
+    const right = doc.page.width - doc.page.margins.right;
+
+    const drawRow = (cells, font) => {
+        doc.font(font).fontSize(9);
+        const height = Math.max(...cells.map((cell, index) => doc.heightOfString(String(cell), {
+            width: columns[index].width - 6
+        }))) + 6;
+
+        if (doc.y + height > doc.page.height - doc.page.margins.bottom) {
+            doc.addPage();
+            if (font !== BOLD_FONT) {
+                drawRow(columns.map(column => column.header), BOLD_FONT);
+                doc.font(font).fontSize(9);
+            }
+        }
+
+        const top = doc.y;
+        let x = left;
+        cells.forEach((cell, index) => {
+            doc.text(String(cell), x + 3, top + 3, {
+                width: columns[index].width - 6,
+                align: columns[index].align || 'left'
+            });
+            x += columns[index].width;
+        });
+
+        doc.moveTo(left, top + height).lineTo(right, top + height).strokeColor('#e5e7eb').stroke();
+        doc.x = left;
+        doc.y = top + height;
+    };
+
+    drawRow(columns.map(column => column.header), BOLD_FONT);
+    rows.forEach(row => drawRow(row, FONT));
+    doc.font(FONT);
+};
+
+module.exports = {
+    FONT,
+    BOLD_FONT,
+    formatAmount,
+    formatDate,
+    formatAddress,
+    renderPdf,
+    drawTable
+};
@@ -0,0 +1,114 @@
+const {
+    FONT,
+    BOLD_FONT,
+    formatAmount,
+    formatDate,
+    renderPdf,
+    drawTable
+} = require('./pdf');
+const { loadSellerConfig } = require('./invoiceDocument');
+
+const itemName = (item) => (item.variant_title ? `${item.product_name} (${item.variant_title})` : item.product_name);
+
+const lineTotal = (item) => Number(item.unit_cost) * item.quantity_ordered;
+
+// The order as sent to the supplier: who is buying, the supplier, where to
+// deliver and the lines with their costs
+const renderPurchaseOrder = ({ purchaseOrder, buyer = loadSellerConfig() }) => renderPdf((doc) => {
+    const left = doc.page.margins.left;
+    const width = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+    const top = doc.y;
+    const { items } = purchaseOrder;
+
+    // Buyer on the left, order details on the right
+    doc.font(BOLD_FONT).fontSize(16).text(buyer.name, left, top, { width: width / 2 });
+    doc.font(FONT).fontSize(9);
+    [buyer.address, buyer.phone, buyer.bin && `BIN: ${buyer.bin}`]
+        .filter(Boolean)
+        .forEach(line => doc.text(line, { width: width / 2 }));
+    const buyerBottom = doc.y;
+
+    doc.font(BOLD_FONT).fontSize(16).text('Purchase Order', left + width / 2, top, { width: width / 2, align: 'right' });
+    doc.font(FONT).fontSize(9);
+    [
+        `PO number: ${purchaseOrder.po_number}`,
+        `Date: ${formatDate(purchaseOrder.sent_at || purchaseOrder.created_at)}`,
+        purchaseOrder.expected_at && `Expected by: ${formatDate(purchaseOrder.expected_at)}`,
+        `Status: ${purchaseOrder.status.replace(/_/g, ' ')}`
+    ].filter(Boolean).forEach(line => doc.text(line, left + width / 2, doc.y, { width: width / 2, align: 'right' }));
+
+    // Supplier and delivery address side by side
+    const addressTop = Math.max(buyerBottom, doc.y) + 20;
+    doc.font(BOLD_FONT).text('Supplier', left, addressTop, { width: width / 2 });
+    doc.font(FONT).text([
+        purchaseOrder.supplier_name,
+        purchaseOrder.supplier_contact_name,
+        purchaseOrder.supplier_address,
+        purchaseOrder.supplier_phone,
+        purchaseOrder.supplier_email
+    ].filter(Boolean).join('\n'), { width: width / 2 });
+    const supplierBottom = doc.y;
+
+    doc.font(BOLD_FONT).text('Deliver to', left + width / 2, addressTop, { width: width / 2 });
+    doc.font(FONT).text([purchaseOrder.warehouse_name, purchaseOrder.warehouse_address]
+        .filter(Boolean).join('\n'), { width: width / 2 });
+
+    doc.x = left;
+    doc.y = Math.max(supplierBottom, doc.y) + 20;
+
+    drawTable(doc, [
+        { header: '#', width: 25 },
+        { header: 'Item', width: width - 325 },
+        { header: 'Qty', width: 45, align: 'right' },
+        { header: 'Received', width: 55, align: 'right' },
+        { header: 'Unit cost', width: 100, align: 'right' },
+        { header: 'Amount', width: 100, align: 'right' }
+    ], items.map((item, index) => [
+        index + 1,
+        [itemName(item), item.sku && `SKU: ${item.sku}`].filter(Boolean).join('\n'),
+        item.quantity_ordered,
+        item.quantity_received,
+        formatAmount(item.unit_cost),
+        formatAmount(lineTotal(item))
+    ]));
+
+    doc.moveDown();
+    const totalY = doc.y;
+    doc.font(BOLD_FONT).fontSize(11).text('Total', left + width - 330, totalY, { width: 200, align: 'right' });
+    doc.text(formatAmount(items.reduce((sum, item) => sum + lineTotal(item), 0)), left + width - 110, totalY, {
+        width: 110,
+        align: 'right'
+    });
+
+    if (purchaseOrder.note) {
+        doc.moveDown(2);
+        doc.font(BOLD_FONT).fontSize(9).text('Notes', left, doc.y, { width });
+        doc.font(FONT).text(purchaseOrder.note, { width });
+    }
+}, { title: `Purchase order ${purchaseOrder.po_number}` });
+
+// Quote a CSV field when it holds a separator, quote or line break
+const csvField = (value) => {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+// One row per line, for suppliers and spreadsheets that take orders as CSV
+const renderPurchaseOrderCsv = ({ purchaseOrder }) => [
+    ['PO number', 'Supplier', 'SKU', 'Item', 'Quantity', 'Received', 'Unit cost', 'Amount'],
+    ...purchaseOrder.items.map(item => [
+        purchaseOrder.po_number,
+        purchaseOrder.supplier_name,
+        item.sku,
+        itemName(item),
+        item.quantity_ordered,
+        item.quantity_received,
+        Number(item.unit_cost).toFixed(2),
+        lineTotal(item).toFixed(2)
+    ])
+].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+
+module.exports = {
+    renderPurchaseOrder,
+    renderPurchaseOrderCsv
+};
@@ -80,6 +80,7 @@ class EmailSchedulerService {
           u.email,
           u.first_name,
           u.last_name,
+          u.locale,
           c.updated_at as last_activity,
           COUNT(ci.id) as item_count
         FROM cart_items ci
@@ -95,7 +96,7 @@ class EmailSchedulerService {
               AND el.template_name = 'abandoned-cart'
               AND el.sent_at > NOW() - INTERVAL '24 hours'
           )
-        GROUP BY c.user_id, u.email, u.first_name, u.last_name, c.updated_at
+        GROUP BY c.user_id, u.email, u.first_name, u.last_name, u.locale, c.updated_at
         HAVING COUNT(ci.id) > 0
         LIMIT 50
       `);
@@ -114,7 +115,7 @@ class EmailSchedulerService {
                 try {
                     // Get cart items for this user
                     const cartItemsResult = await this.dbPool.query(`
-            SELECT ci.quantity, p.name as product_name, p.price
+            SELECT ci.quantity, p.name as product_name, p.name_bn as product_name_bn, p.price
             FROM cart_items ci
             JOIN carts c ON ci.cart_id = c.id
             JOIN products p ON ci.product_id = p.id
@@ -130,7 +131,8 @@ class EmailSchedulerService {
                         {
                             email: cart.email,
                             first_name: cart.first_name,
-                            last_name: cart.last_name
+                            last_name: cart.last_name,
+                            locale: cart.locale
                         },
                         cartItems
                     );
@@ -143,7 +145,7 @@ class EmailSchedulerService {
                             campaignId: null,
                             recipientEmail: cart.email,
                             templateName: 'abandoned-cart',
-                            subject: 'Complete Your Purchase',
+                            subject: result.subject,
                             status: 'sent',
                             messageId: result.messageId
                         });
@@ -155,7 +157,7 @@ class EmailSchedulerService {
                             campaignId: null,
                             recipientEmail: cart.email,
                             templateName: 'abandoned-cart',
-                            subject: 'Complete Your Purchase',
+                            subject: result.subject,
                             status: 'failed',
                             errorMessage: result.error
                         });
@@ -191,7 +193,7 @@ class EmailSchedulerService {
 
             // Find users who registered but haven't been sent a welcome reminder
             const usersResult = await this.dbPool.query(`
-        SELECT u.id, u.email, u.first_name, u.last_name, u.created_at
+        SELECT u.id, u.email, u.first_name, u.last_name, u.locale, u.created_at
         FROM users u
         WHERE u.created_at > NOW() - INTERVAL '7 days'
           AND u.created_at < NOW() - INTERVAL '24 hours'
@@ -219,18 +221,7 @@ class EmailSchedulerService {
             for (const user of users) {
                 try {
                     // Send welcome reminder using newsletter template
-                    const result = await this.emailService.sendEmail(
-                        user.email,
-                        'Welcome to DhakaCart - Get Started!',
-                        'newsletter',
-                        {
-                            title: 'Welcome to DhakaCart!',
-                            content: `Hi ${user.first_name || user.email.split('@')[0]}, welcome to DhakaCart! We're excited to have you join our community. Start exploring our products and find great deals today.`,
-                            ctaText: 'Start Shopping',
-                            ctaUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/products`,
-                            unsubscribeUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/unsubscribe?email=${encodeURIComponent(user.email)}`
-                        }
-                    );
+                    const result = await this.emailService.sendWelcomeReminderEmail(user);
 
                     if (result.success) {
                         emailsSent++;
@@ -240,7 +231,7 @@ class EmailSchedulerService {
                             campaignId: null,
                             recipientEmail: user.email,
                             templateName: 'welcome-reminder',
-                            subject: 'Welcome to DhakaCart - Get Started!',
+                            subject: result.subject,
                             status: 'sent',
                             messageId: result.messageId
                         });
@@ -252,7 +243,7 @@ class EmailSchedulerService {
                             campaignId: null,
                             recipientEmail: user.email,
                             templateName: 'welcome-reminder',
-                            subject: 'Welcome to DhakaCart - Get Started!',
+                            subject: result.subject,
                             status: 'failed',
                             errorMessage: result.error
                         });
@@ -288,7 +279,7 @@ class EmailSchedulerService {
 
             // Find delivered orders that need follow-up emails (after 3 days)
             const ordersResult = await this.dbPool.query(`
-        SELECT o.id, o.order_number, o.total_amount, o.updated_at,
+        SELECT o.id, o.order_number, o.total_amount, o.updated_at, o.locale,
                u.email, u.first_name, u.last_name
         FROM orders o
         JOIN users u ON o.user_id = u.id
@@ -319,17 +310,13 @@ class EmailSchedulerService {
             for (const order of orders) {
                 try {
                     // Send order follow-up using newsletter template
-                    const result = await this.emailService.sendEmail(
-                        order.email,
-                        'How was your DhakaCart experience?',
-                        'newsletter',
+                    const result = await this.emailService.sendOrderFollowUpEmail(
                         {
-                            title: 'Thank you for your order!',
-                            content: `Hi ${order.first_name || order.email.split('@')[0]}, we hope you're enjoying your recent purchase from order #${order.order_number}. We'd love to hear about your experience and help you find more great products.`,
-                            ctaText: 'Shop Again',
-                            ctaUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/products`,
-                            unsubscribeUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/unsubscribe?email=${encodeURIComponent(order.email)}`
-                        }
+                            email: order.email,
+                            first_name: order.first_name,
+                            last_name: order.last_name
+                        },
+                        order
                     );
 
                     if (result.success) {
@@ -340,7 +327,7 @@ class EmailSchedulerService {
                             campaignId: null,
                             recipientEmail: order.email,
                             templateName: 'order-followup',
-                            subject: 'How was your DhakaCart experience?',
+                            subject: result.subject,
                             status: 'sent',
                             messageId: result.messageId
                         });
@@ -352,7 +339,7 @@ class EmailSchedulerService {
                             campaignId: null,
                             recipientEmail: order.email,
                             templateName: 'order-followup',
-                            subject: 'How was your DhakaCart experience?',
+                            subject: result.subject,
                             status: 'failed',
                             errorMessage: result.error
                         });
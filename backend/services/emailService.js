@@ -5,6 +5,154 @@ const fs = require('fs').promises;
 const path = require('path');
 const logger = require('../logger');
 const { htmlToText } = require('html-to-text');
+const { DEFAULT_LOCALE, normalizeLocale } = require('../locale');
+
+// Subjects and copy written by the workflow methods, per locale. Template
+// text lives in the templates themselves ('welcome', 'welcome.bn', ...).
+const MESSAGES = {
+    en: {
+        dateLocale: undefined,
+        welcomeSubject: 'Welcome to DhakaCart!',
+        orderConfirmationSubject: orderNumber => `Order Confirmation - ${orderNumber}`,
+        orderStatusSubject: orderNumber => `Order Update - ${orderNumber}`,
+        passwordResetSubject: 'Password Reset Request',
+        statusLabels: {
+            'partially_shipped': 'Partially shipped'
+        },
+        statusMessages: {
+            'confirmed': 'Your order has been confirmed and is being prepared.',
+            'processing': 'Your order is currently being processed.',
+            'partially_shipped': 'Part of your order has been shipped. The remaining items will follow in a separate parcel.',
+            'shipped': 'Great news! Your order has been shipped and is on its way.',
+            'delivered': 'Your order has been delivered successfully.',
+            'cancelled': 'Your order has been cancelled. If you have any questions, please contact support.'
+        },
+        defaultStatusMessage: 'Your order status has been updated.',
+        returnStatusSubject: returnNumber => `Return Update - ${returnNumber}`,
+        returnStatusLabels: {
+            'requested': 'Requested',
+            'approved': 'Approved',
+            'rejected': 'Not approved',
+            'pickup_scheduled': 'Pickup scheduled',
+            'received': 'Received',
+            'refunded': 'Refunded',
+            'exchanged': 'Exchanged',
+            'cancelled': 'Cancelled'
+        },
+        // Functions take the pickup date or the refunded amount
+        returnStatusMessages: {
+            'requested': 'We have received your request and will review it shortly.',
+            'approved': 'Your request has been approved. We will let you know when a courier is booked to collect the item.',
+            'rejected': 'Unfortunately we could not approve your request.',
+            'pickup_scheduled': date => `A courier will collect the item on ${date}. Please keep it packed with its tags and accessories.`,
+            'received': 'We have received the item and are checking it.',
+            'refunded': amount => `Your refund of ৳${amount} has been issued. It can take a few working days to reach your account.`,
+            'exchanged': 'Your replacement is being prepared and will be shipped to you soon.',
+            'cancelled': 'Your request has been cancelled.'
+        },
+        abandonedCart: {
+            subject: 'Complete Your Purchase',
+            title: 'You left something in your cart!',
+            item: (name, quantity) => `${name} (Qty: ${quantity})`,
+            content: (name, items) => `Hi ${name}, you have items waiting in your cart: ${items}. Complete your purchase before they're gone!`,
+            ctaText: 'Complete Purchase'
+        },
+        welcomeReminder: {
+            subject: 'Welcome to DhakaCart - Get Started!',
+            title: 'Welcome to DhakaCart!',
+            content: name => `Hi ${name}, welcome to DhakaCart! We're excited to have you join our community. Start exploring our products and find great deals today.`,
+            ctaText: 'Start Shopping'
+        },
+        orderFollowUp: {
+            subject: 'How was your DhakaCart experience?',
+            title: 'Thank you for your order!',
+            content: (name, orderNumber) => `Hi ${name}, we hope you're enjoying your recent purchase from order #${orderNumber}. We'd love to hear about your experience and help you find more great products.`,
+            ctaText: 'Shop Again'
+        },
+        // Functions take the product name, and the new price for price drops
+        productAlert: {
+            subject: count => (count === 1 ? 'An item you asked about is ready' : `${count} items you asked about are ready`),
+            title: 'Good news from DhakaCart!',
+            backInStock: name => `${name} is back in stock`,
+            priceDrop: (name, price) => `${name} is now ৳${price}`,
+            content: (name, items) => `Hi ${name}, ${items}. Stock can go quickly, so order soon!`,
+            ctaText: 'Shop Now'
+        }
+    },
+    bn: {
+        dateLocale: 'bn-BD',
+        welcomeSubject: 'ঢাকাকার্টে স্বাগতম!',
+        orderConfirmationSubject: orderNumber => `অর্ডার নিশ্চিতকরণ - ${orderNumber}`,
+        orderStatusSubject: orderNumber => `অর্ডার আপডেট - ${orderNumber}`,
+        passwordResetSubject: 'পাসওয়ার্ড রিসেটের অনুরোধ',
+        statusLabels: {
+            'pending': 'অপেক্ষমাণ',
+            'confirmed': 'নিশ্চিত',
+            'processing': 'প্রক্রিয়াধীন',
+            'partially_shipped': 'আংশিক পাঠানো হয়েছে',
+            'shipped': 'পাঠানো হয়েছে',
+            'delivered': 'ডেলিভারি সম্পন্ন',
+            'cancelled': 'বাতিল'
+        },
+        statusMessages: {
+            'confirmed': 'আপনার অর্ডারটি নিশ্চিত হয়েছে এবং প্রস্তুত করা হচ্ছে।',
+            'processing': 'আপনার অর্ডারটি বর্তমানে প্রক্রিয়াধীন।',
+            'partially_shipped': 'আপনার অর্ডারের কিছু পণ্য পাঠানো হয়েছে। বাকি পণ্যগুলো আলাদা পার্সেলে আসবে।',
+            'shipped': 'সুখবর! আপনার অর্ডারটি পাঠানো হয়েছে এবং পথে আছে।',
+            'delivered': 'আপনার অর্ডারটি সফলভাবে ডেলিভারি হয়েছে।',
+            'cancelled': 'আপনার অর্ডারটি বাতিল করা হয়েছে। কোনো প্রশ্ন থাকলে আমাদের সাপোর্ট টিমের সাথে যোগাযোগ করুন।'
+        },
+        defaultStatusMessage: 'আপনার অর্ডারের অবস্থা আপডেট করা হয়েছে।',
+        returnStatusSubject: returnNumber => `রিটার্ন আপডেট - ${returnNumber}`,
+        returnStatusLabels: {
+            'requested': 'অনুরোধ করা হয়েছে',
+            'approved': 'অনুমোদিত',
+            'rejected': 'অনুমোদিত হয়নি',
+            'pickup_scheduled': 'পিকআপ নির্ধারিত',
+            'received': 'গৃহীত',
+            'refunded': 'টাকা ফেরত দেওয়া হয়েছে',
+            'exchanged': 'বদলে দেওয়া হয়েছে',
+            'cancelled': 'বাতিল'
+        },
+        returnStatusMessages: {
+            'requested': 'আমরা আপনার অনুরোধটি পেয়েছি এবং শীঘ্রই পর্যালোচনা করব।',
+            'approved': 'আপনার অনুরোধটি অনুমোদিত হয়েছে। পণ্যটি সংগ্রহের জন্য কুরিয়ার ঠিক হলে আমরা আপনাকে জানাব।',
+            'rejected': 'দুঃখিত, আমরা আপনার অনুরোধটি অনুমোদন করতে পারিনি।',
+            'pickup_scheduled': date => `${date} তারিখে কুরিয়ার পণ্যটি সংগ্রহ করবে। অনুগ্রহ করে ট্যাগ ও আনুষঙ্গিক জিনিসসহ পণ্যটি প্যাক করে রাখুন।`,
+            'received': 'আমরা পণ্যটি পেয়েছি এবং যাচাই করছি।',
+            'refunded': amount => `আপনার ৳${amount} ফেরত দেওয়া হয়েছে। আপনার অ্যাকাউন্টে পৌঁছাতে কয়েক কার্যদিবস লাগতে পারে।`,
+            'exchanged': 'আপনার বদলি পণ্যটি প্রস্তুত করা হচ্ছে এবং শীঘ্রই পাঠানো হবে।',
+            'cancelled': 'আপনার অনুরোধটি বাতিল করা হয়েছে।'
+        },
+        abandonedCart: {
+            subject: 'আপনার কেনাকাটা সম্পন্ন করুন',
+            title: 'আপনার কার্টে কিছু পণ্য রয়ে গেছে!',
+            item: (name, quantity) => `${name} (পরিমাণ: ${quantity})`,
+            content: (name, items) => `প্রিয় ${name}, আপনার কার্টে পণ্য অপেক্ষা করছে: ${items}। শেষ হয়ে যাওয়ার আগেই কেনাকাটা সম্পন্ন করুন!`,
+            ctaText: 'কেনাকাটা সম্পন্ন করুন'
+        },
+        welcomeReminder: {
+            subject: 'ঢাকাকার্টে স্বাগতম - শুরু করুন!',
+            title: 'ঢাকাকার্টে স্বাগতম!',
+            content: name => `প্রিয় ${name}, ঢাকাকার্টে আপনাকে স্বাগতম! আমাদের কমিউনিটিতে আপনাকে পেয়ে আমরা আনন্দিত। আমাদের পণ্যগুলো ঘুরে দেখুন এবং আজই দারুণ সব অফার খুঁজে নিন।`,
+            ctaText: 'কেনাকাটা শুরু করুন'
+        },
+        orderFollowUp: {
+            subject: 'ঢাকাকার্টে আপনার অভিজ্ঞতা কেমন ছিল?',
+            title: 'আপনার অর্ডারের জন্য ধন্যবাদ!',
+            content: (name, orderNumber) => `প্রিয় ${name}, আশা করি #${orderNumber} অর্ডারের পণ্যগুলো আপনার ভালো লাগছে। আপনার অভিজ্ঞতার কথা শুনতে এবং আরও দারুণ পণ্য খুঁজে পেতে আপনাকে সাহায্য করতে পারলে আমরা খুশি হব।`,
+            ctaText: 'আবার কেনাকাটা করুন'
+        },
+        productAlert: {
+            subject: count => (count === 1 ? 'আপনার জানতে চাওয়া পণ্যটি এখন পাওয়া যাচ্ছে' : `আপনার জানতে চাওয়া ${count}টি পণ্য এখন পাওয়া যাচ্ছে`),
+            title: 'ঢাকাকার্ট থেকে সুখবর!',
+            backInStock: name => `${name} আবার স্টকে এসেছে`,
+            priceDrop: (name, price) => `${name} এখন ৳${price}`,
+            content: (name, items) => `প্রিয় ${name}, ${items}। স্টক দ্রুত শেষ হয়ে যেতে পারে, তাই শীঘ্রই অর্ডার করুন!`,
+            ctaText: 'এখনই কিনুন'
+        }
+    }
+};
 
 class EmailService {
     constructor() {
@@ -94,10 +242,9 @@ class EmailService {
                 }
             }
 
-            // Create default templates if none exist
-            if (this.templates.size === 0) {
-                await this.createDefaultTemplates();
-            }
+            // Create any default templates that are missing, such as the
+            // Bangla variants on installs that predate them
+            await this.createDefaultTemplates();
 
             logger.info(`Loaded ${this.templates.size} email templates`);
         } catch (error) {
@@ -170,7 +317,8 @@ class EmailService {
         <mj-text font-size="14px" color="#666666">
           Order Number: {{orderNumber}}<br>
           Order Date: {{orderDate}}<br>
-          Total Amount: ${{ totalAmount }}
+          Total Amount: ৳{{totalAmount}}
+          {{#if invoiceNumber}}<br>Invoice: {{invoiceNumber}} (attached){{/if}}
         </mj-text>
         <mj-button background-color="#28a745" color="white" href="{{orderUrl}}">
           View Order Details
@@ -215,6 +363,43 @@ class EmailService {
   </mj-body>
 </mjml>`;
 
+        // Return and exchange status update template
+        const returnStatusTemplate = `
+<mjml>
+  <mj-head>
+    <mj-title>Return Update - {{returnNumber}}</mj-title>
+    <mj-attributes>
+      <mj-all font-family="Arial, sans-serif" />
+    </mj-attributes>
+  </mj-head>
+  <mj-body background-color="#f4f4f4">
+    <mj-section background-color="#ffffff" padding="20px">
+      <mj-column>
+        <mj-text font-size="24px" color="#333333" align="center" font-weight="bold">
+          {{#if isExchange}}Exchange{{else}}Return{{/if}} Update
+        </mj-text>
+        <mj-text font-size="16px" color="#666666" line-height="24px">
+          Hi {{customerName}},
+        </mj-text>
+        <mj-text font-size="16px" color="#666666" line-height="24px">
+          Your request {{returnNumber}} for {{productName}} from order {{orderNumber}} is now: <strong>{{status}}</strong>
+        </mj-text>
+        <mj-text font-size="16px" color="#666666" line-height="24px">
+          {{statusMessage}}
+        </mj-text>
+        {{#if note}}
+        <mj-text font-size="14px" color="#666666" line-height="22px">
+          Note from our team: {{note}}
+        </mj-text>
+        {{/if}}
+        <mj-button background-color="#007bff" color="white" href="{{returnUrl}}">
+          View Your Orders
+        </mj-button>
+      </mj-column>
+    </mj-section>
+  </mj-body>
+</mjml>`;
+
         // Password reset template
         const passwordResetTemplate = `
 <mjml>
@@ -278,16 +463,231 @@ class EmailService {
   </mj-body>
 </mjml>`;
 
+        // Bangla variants, chosen for customers whose locale is 'bn'
+        const welcomeTemplateBn = `
+<mjml>
+  <mj-head>
+    <mj-title>ঢাকাকার্টে স্বাগতম</mj-title>
+    <mj-attributes>
+      <mj-all font-family="'Noto Sans Bengali', Arial, sans-serif" />
+    </mj-attributes>
+  </mj-head>
+  <mj-body background-color="#f4f4f4">
+    <mj-section background-color="#ffffff" padding="20px">
+      <mj-column>
+        <mj-text font-size="24px" color="#333333" align="center" font-weight="bold">
+          ঢাকাকার্টে আপনাকে স্বাগতম!
+        </mj-text>
+        <mj-text font-size="16px" color="#666666" line-height="24px">
+          প্রিয় {{firstName}},
+        </mj-text>
+        <mj-text font-size="16px" color="#666666" line-height="24px">
+          ঢাকাকার্টে যোগ দেওয়ার জন্য ধন্যবাদ! আমাদের কমিউনিটিতে আপনাকে পেয়ে আমরা আনন্দিত।
+        </mj-text>
+        <mj-text font-size="16px" color="#666666" line-height="24px">
+          আপনার অ্যাকাউন্টটি এই ইমেইল দিয়ে তৈরি হয়েছে: {{email}}
+        </mj-text>
+        <mj-button background-color="#007bff" color="white" href="{{loginUrl}}">
+          কেনাকাটা শুরু করুন
+        </mj-button>
+        <mj-text font-size="14px" color="#999999" align="center">
+          কোনো প্রশ্ন থাকলে আমাদের সাপোর্ট টিমের সাথে যোগাযোগ করুন।
+        </mj-text>
+      </mj-column>
+    </mj-section>
+  </mj-body>
+</mjml>`;
+
+        const orderConfirmationTemplateBn = `
+<mjml>
+  <mj-head>
+    <mj-title>অর্ডার নিশ্চিতকরণ - {{orderNumber}}</mj-title>
+    <mj-attributes>
+      <mj-all font-family="'Noto Sans Bengali', Arial, sans-serif" />
+    </mj-attributes>
+  </mj-head>
+  <mj-body background-color="#f4f4f4">
+    <mj-section background-color="#ffffff" padding="20px">
+      <mj-column>
+        <mj-text font-size="24px" color="#333333" align="center" font-weight="bold">
+          অর্ডার নিশ্চিতকরণ
+        </mj-text>
+        <mj-text font-size="16px" color="#666666" line-height="24px">
+          প্রিয় {{customerName}},
+        </mj-text>
+        <mj-text font-size="16px" color="#666666" line-height="24px">
+          আপনার অর্ডারের জন্য ধন্যবাদ! আমরা আপনার অর্ডারটি পেয়েছি এবং এটি প্রক্রিয়াধীন আছে।
+        </mj-text>
+        <mj-text font-size="16px" color="#333333" font-weight="bold">
+          অর্ডারের বিবরণ:
+        </mj-text>
+        <mj-text font-size="14px" color="#666666">
+          অর্ডার নম্বর: {{orderNumber}}<br>
+          অর্ডারের তারিখ: {{orderDate}}<br>
+          মোট মূল্য: ৳{{totalAmount}}
+          {{#if invoiceNumber}}<br>ইনভয়েস: {{invoiceNumber}} (সংযুক্ত){{/if}}
+        </mj-text>
+        <mj-button background-color="#28a745" color="white" href="{{orderUrl}}">
+          অর্ডারের বিস্তারিত দেখুন
+        </mj-button>
+        <mj-text font-size="14px" color="#999999" align="center">
+          অর্ডারটি পাঠানো হলে আমরা আপনাকে আরেকটি ইমেইল পাঠাব।
+        </mj-text>
+      </mj-column>
+    </mj-section>
+  </mj-body>
+</mjml>`;
+
+        const orderStatusTemplateBn = `
+<mjml>
+  <mj-head>
+    <mj-title>অর্ডার আপডেট - {{orderNumber}}</mj-title>
+    <mj-attributes>
+      <mj-all font-family="'Noto Sans Bengali', Arial, sans-serif" />
+    </mj-attributes>
+  </mj-head>
+  <mj-body background-color="#f4f4f4">
+    <mj-section background-color="#ffffff" padding="20px">
+      <mj-column>
+        <mj-text font-size="24px" color="#333333" align="center" font-weight="bold">
+          অর্ডারের অবস্থা আপডেট
+        </mj-text>
+        <mj-text font-size="16px" color="#666666" line-height="24px">
+          প্রিয় {{customerName}},
+        </mj-text>
+        <mj-text font-size="16px" color="#666666" line-height="24px">
+          আপনার অর্ডার {{orderNumber}}-এর বর্তমান অবস্থা: <strong>{{status}}</strong>
+        </mj-text>
+        <mj-text font-size="16px" color="#666666" line-height="24px">
+          {{statusMessage}}
+        </mj-text>
+        <mj-button background-color="#007bff" color="white" href="{{trackingUrl}}">
+          অর্ডার ট্র্যাক করুন
+        </mj-button>
+      </mj-column>
+    </mj-section>
+  </mj-body>
+</mjml>`;
+
+        const returnStatusTemplateBn = `
+<mjml>
+  <mj-head>
+    <mj-title>রিটার্ন আপডেট - {{returnNumber}}</mj-title>
+    <mj-attributes>
+      <mj-all font-family="'Noto Sans Bengali', Arial, sans-serif" />
+    </mj-attributes>
+  </mj-head>
+  <mj-body background-color="#f4f4f4">
+    <mj-section background-color="#ffffff" padding="20px">
+      <mj-column>
+        <mj-text font-size="24px" color="#333333" align="center" font-weight="bold">
+          {{#if isExchange}}এক্সচেঞ্জ{{else}}রিটার্ন{{/if}} আপডেট
+        </mj-text>
+        <mj-text font-size="16px" color="#666666" line-height="24px">
+          প্রিয় {{customerName}},
+        </mj-text>
+        <mj-text font-size="16px" color="#666666" line-height="24px">
+          অর্ডার {{orderNumber}}-এর {{productName}} পণ্যের জন্য আপনার অনুরোধ {{returnNumber}}-এর বর্তমান অবস্থা: <strong>{{status}}</strong>
+        </mj-text>
+        <mj-text font-size="16px" color="#666666" line-height="24px">
+          {{statusMessage}}
+        </mj-text>
+        {{#if note}}
+        <mj-text font-size="14px" color="#666666" line-height="22px">
+          আমাদের টিমের মন্তব্য: {{note}}
+        </mj-text>
+        {{/if}}
+        <mj-button background-color="#007bff" color="white" href="{{returnUrl}}">
+          আপনার অর্ডারগুলো দেখুন
+        </mj-button>
+      </mj-column>
+    </mj-section>
+  </mj-body>
+</mjml>`;
+
+        const passwordResetTemplateBn = `
+<mjml>
+  <mj-head>
+    <mj-title>পাসওয়ার্ড রিসেটের অনুরোধ</mj-title>
+    <mj-attributes>
+      <mj-all font-family="'Noto Sans Bengali', Arial, sans-serif" />
+    </mj-attributes>
+  </mj-head>
+  <mj-body background-color="#f4f4f4">
+    <mj-section background-color="#ffffff" padding="20px">
+      <mj-column>
+        <mj-text font-size="24px" color="#333333" align="center" font-weight="bold">
+          পাসওয়ার্ড রিসেটের অনুরোধ
+        </mj-text>
+        <mj-text font-size="16px" color="#666666" line-height="24px">
+          প্রিয় {{firstName}},
+        </mj-text>
+        <mj-text font-size="16px" color="#666666" line-height="24px">
+          আপনার ঢাকাকার্ট অ্যাকাউন্টের পাসওয়ার্ড রিসেট করার একটি অনুরোধ আমরা পেয়েছি।
+        </mj-text>
+        <mj-button background-color="#dc3545" color="white" href="{{resetUrl}}">
+          পাসওয়ার্ড রিসেট করুন
+        </mj-button>
+        <mj-text font-size="14px" color="#999999">
+          লিংকটি ১ ঘণ্টা পর মেয়াদোত্তীর্ণ হবে। আপনি রিসেটের অনুরোধ না করে থাকলে এই ইমেইলটি উপেক্ষা করুন।
+        </mj-text>
+      </mj-column>
+    </mj-section>
+  </mj-body>
+</mjml>`;
+
+        const newsletterTemplateBn = `
+<mjml>
+  <mj-head>
+    <mj-title>{{subject}}</mj-title>
+    <mj-attributes>
+      <mj-all font-family="'Noto Sans Bengali', Arial, sans-serif" />
+    </mj-attributes>
+  </mj-head>
+  <mj-body background-color="#f4f4f4">
+    <mj-section background-color="#ffffff" padding="20px">
+      <mj-column>
+        <mj-text font-size="24px" color="#333333" align="center" font-weight="bold">
+          {{title}}
+        </mj-text>
+        <mj-text font-size="16px" color="#666666" line-height="24px">
+          {{content}}
+        </mj-text>
+        {{#if ctaText}}
+        <mj-button background-color="#007bff" color="white" href="{{ctaUrl}}">
+          {{ctaText}}
+        </mj-button>
+        {{/if}}
+        <mj-text font-size="12px" color="#999999" align="center">
+          এই ইমেইলগুলো আর পেতে না চাইলে <a href="{{unsubscribeUrl}}">আনসাবস্ক্রাইব করুন</a>।
+        </mj-text>
+      </mj-column>
+    </mj-section>
+  </mj-body>
+</mjml>`;
+
         // Save templates
         const templates = {
             'welcome': welcomeTemplate,
             'order-confirmation': orderConfirmationTemplate,
             'order-status': orderStatusTemplate,
+            'return-status': returnStatusTemplate,
             'password-reset': passwordResetTemplate,
-            'newsletter': newsletterTemplate
+            'newsletter': newsletterTemplate,
+            'welcome.bn': welcomeTemplateBn,
+            'order-confirmation.bn': orderConfirmationTemplateBn,
+            'order-status.bn': orderStatusTemplateBn,
+            'return-status.bn': returnStatusTemplateBn,
+            'password-reset.bn': passwordResetTemplateBn,
+            'newsletter.bn': newsletterTemplateBn
         };
 
         for (const [name, content] of Object.entries(templates)) {
+            // Keep templates already on disk, which may have been edited
+            if (this.templates.has(name)) {
+                continue;
+            }
+
             const filePath = path.join(templatesDir, `${name}.mjml`);
             await fs.writeFile(filePath, content.trim());
 
@@ -300,7 +700,9 @@ class EmailService {
         }
     }
 
-    async sendEmail(to, subject, templateName, templateData = {}) {
+    // Sends `templateName` in the recipient's locale: the '<name>.<locale>'
+    // variant when there is one, otherwise the base (English) template
+    async sendEmail(to, subject, templateName, templateData = {}, locale = DEFAULT_LOCALE, attachments = []) {
         if (!this.isInitialized) {
             logger.error('Email service not initialized');
             return { success: false, error: 'Email service not initialized' };
@@ -308,7 +710,7 @@ class EmailService {
 
         try {
             // Get template
-            const template = this.templates.get(templateName);
+            const template = this.templates.get(`${templateName}.${locale}`) || this.templates.get(templateName);
             if (!template) {
                 throw new Error(`Email template '${templateName}' not found`);
             }
@@ -328,7 +730,8 @@ class EmailService {
                 subject,
                 html,
                 // Add text version for better deliverability
-                text: this.htmlToText(html)
+                text: this.htmlToText(html),
+                attachments
             };
 
             // Send email
@@ -338,6 +741,7 @@ class EmailService {
                 to: mailOptions.to,
                 subject,
                 templateName,
+                locale,
                 messageId: result.messageId
             });
 
@@ -380,66 +784,120 @@ class EmailService {
     }
 
     // Email workflow methods
+    getMessages(locale) {
+        return MESSAGES[normalizeLocale(locale)];
+    }
+
+    formatDate(date, locale) {
+        return new Date(date).toLocaleDateString(this.getMessages(locale).dateLocale);
+    }
+
     async sendWelcomeEmail(user) {
+        const locale = normalizeLocale(user.locale);
+
         return this.sendEmail(
             user.email,
-            'Welcome to DhakaCart!',
+            this.getMessages(locale).welcomeSubject,
             'welcome',
             {
                 firstName: user.first_name || user.email.split('@')[0],
                 email: user.email,
                 loginUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/login`
-            }
+            },
+            locale
         );
     }
 
-    async sendOrderConfirmationEmail(user, order) {
+    // Order emails go out in the language the order was placed in. The
+    // invoice ({ invoiceNumber, pdf }) is attached when there is one.
+    async sendOrderConfirmationEmail(user, order, invoice = null) {
+        const locale = normalizeLocale(order.locale || user.locale);
+
         return this.sendEmail(
             user.email,
-            `Order Confirmation - ${order.order_number}`,
+            this.getMessages(locale).orderConfirmationSubject(order.order_number),
             'order-confirmation',
             {
                 customerName: user.first_name || user.email.split('@')[0],
                 orderNumber: order.order_number,
-                orderDate: new Date(order.created_at).toLocaleDateString(),
+                orderDate: this.formatDate(order.created_at, locale),
                 totalAmount: order.total_amount,
+                invoiceNumber: invoice?.invoiceNumber,
                 orderUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/orders/${order.id}`
-            }
+            },
+            locale,
+            invoice ? [{
+                filename: `${invoice.invoiceNumber}.pdf`,
+                content: invoice.pdf,
+                contentType: 'application/pdf'
+            }] : []
         );
     }
 
     async sendOrderStatusEmail(user, order) {
-        const statusMessages = {
-            'confirmed': 'Your order has been confirmed and is being prepared.',
-            'processing': 'Your order is currently being processed.',
-            'shipped': 'Great news! Your order has been shipped and is on its way.',
-            'delivered': 'Your order has been delivered successfully.',
-            'cancelled': 'Your order has been cancelled. If you have any questions, please contact support.'
-        };
+        const locale = normalizeLocale(order.locale || user.locale);
+        const messages = this.getMessages(locale);
 
         return this.sendEmail(
             user.email,
-            `Order Update - ${order.order_number}`,
+            messages.orderStatusSubject(order.order_number),
             'order-status',
             {
                 customerName: user.first_name || user.email.split('@')[0],
                 orderNumber: order.order_number,
-                status: order.status.charAt(0).toUpperCase() + order.status.slice(1),
-                statusMessage: statusMessages[order.status] || 'Your order status has been updated.',
+                status: messages.statusLabels[order.status] || order.status.charAt(0).toUpperCase() + order.status.slice(1),
+                statusMessage: messages.statusMessages[order.status] || messages.defaultStatusMessage,
                 trackingUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/orders/${order.id}`
-            }
+            },
+            locale
+        );
+    }
+
+    // Return and exchange updates follow the order's language, like order
+    // status emails
+    async sendReturnStatusEmail(user, returnRequest) {
+        const locale = normalizeLocale(returnRequest.order_locale || user.locale);
+        const messages = this.getMessages(locale);
+        const status = returnRequest.status;
+
+        let statusMessage = messages.returnStatusMessages[status] || messages.defaultStatusMessage;
+        if (status === 'pickup_scheduled') {
+            statusMessage = statusMessage(this.formatDate(returnRequest.pickup_date, locale));
+        } else if (status === 'refunded') {
+            statusMessage = statusMessage(returnRequest.refund_amount);
+        }
+
+        return this.sendEmail(
+            user.email,
+            messages.returnStatusSubject(returnRequest.return_number),
+            'return-status',
+            {
+                customerName: user.first_name || user.email.split('@')[0],
+                returnNumber: returnRequest.return_number,
+                orderNumber: returnRequest.order_number,
+                productName: (locale === 'bn' && returnRequest.product_name_bn) || returnRequest.product_name,
+                isExchange: returnRequest.type === 'exchange',
+                status: messages.returnStatusLabels[status] || status,
+                statusMessage,
+                note: returnRequest.admin_note,
+                returnUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/orders`
+            },
+            locale
         );
     }
 
     async sendPasswordResetEmail(user, resetToken) {
+        const locale = normalizeLocale(user.locale);
+
         return this.sendEmail(
             user.email,
-            'Password Reset Request',
+            this.getMessages(locale).passwordResetSubject,
             'password-reset',
             {
                 firstName: user.first_name || user.email.split('@')[0],
                 resetUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/reset-password?token=${resetToken}`
-            }
+            },
+            locale
         );
     }
 
@@ -472,21 +930,91 @@ class EmailService {
 
     // Abandoned cart email
     async sendAbandonedCartEmail(user, cartItems) {
+        const locale = normalizeLocale(user.locale);
+        const copy = this.getMessages(locale).abandonedCart;
         const itemsText = cartItems.map(item =>
-            `${item.product_name} (Qty: ${item.quantity})`
+            copy.item((locale === 'bn' && item.product_name_bn) || item.product_name, item.quantity)
         ).join(', ');
 
         return this.sendEmail(
             user.email,
-            'Complete Your Purchase',
+            copy.subject,
             'newsletter',
             {
-                title: 'You left something in your cart!',
-                content: `Hi ${user.first_name || user.email.split('@')[0]}, you have items waiting in your cart: ${itemsText}. Complete your purchase before they're gone!`,
-                ctaText: 'Complete Purchase',
+                title: copy.title,
+                content: copy.content(user.first_name || user.email.split('@')[0], itemsText),
+                ctaText: copy.ctaText,
                 ctaUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/cart`,
                 unsubscribeUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/unsubscribe?email=${encodeURIComponent(user.email)}`
-            }
+            },
+            locale
+        );
+    }
+
+    // Reminder for customers who registered but haven't started shopping
+    async sendWelcomeReminderEmail(user) {
+        const locale = normalizeLocale(user.locale);
+        const copy = this.getMessages(locale).welcomeReminder;
+
+        return this.sendEmail(
+            user.email,
+            copy.subject,
+            'newsletter',
+            {
+                title: copy.title,
+                content: copy.content(user.first_name || user.email.split('@')[0]),
+                ctaText: copy.ctaText,
+                ctaUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/products`,
+                unsubscribeUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/unsubscribe?email=${encodeURIComponent(user.email)}`
+            },
+            locale
+        );
+    }
+
+    // Follow-up a few days after an order is delivered
+    async sendOrderFollowUpEmail(user, order) {
+        const locale = normalizeLocale(order.locale || user.locale);
+        const copy = this.getMessages(locale).orderFollowUp;
+
+        return this.sendEmail(
+            user.email,
+            copy.subject,
+            'newsletter',
+            {
+                title: copy.title,
+                content: copy.content(user.first_name || user.email.split('@')[0], order.order_number),
+                ctaText: copy.ctaText,
+                ctaUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/products`,
+                unsubscribeUrl: `${process.env.FRONTEND_URL || 'http://localhost:3000'}/unsubscribe?email=${encodeURIComponent(user.email)}`
+            },
+            locale
+        );
+    }
+
+    // Back-in-stock and price-drop alerts that fired for one customer, in a
+    // single email. The button goes to the product when there is only one.
+    async sendProductAlertEmail(user, alerts) {
+        const locale = normalizeLocale(user.locale);
+        const copy = this.getMessages(locale).productAlert;
+        const frontendUrl = process.env.FRONTEND_URL || 'http://localhost:3000';
+        const itemsText = alerts.map(alert => {
+            const name = (locale === 'bn' && alert.product_name_bn) || alert.product_name;
+            const fullName = alert.variant_title ? `${name} (${alert.variant_title})` : name;
+            return alert.kind === 'price_drop' ? copy.priceDrop(fullName, alert.price) : copy.backInStock(fullName);
+        }).join(', ');
+
+        return this.sendEmail(
+            user.email,
+            copy.subject(alerts.length),
+            'newsletter',
+            {
+                title: copy.title,
+                content: copy.content(user.first_name || user.email.split('@')[0], itemsText),
+                ctaText: copy.ctaText,
+                ctaUrl: alerts.length === 1 ? `${frontendUrl}/products/${alerts[0].product_id}` : `${frontendUrl}/account`,
+                unsubscribeUrl: `${frontendUrl}/unsubscribe?email=${encodeURIComponent(user.email)}`
+            },
+            locale
         );
     }
 
@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const CartService = require('./cartService');
+const StockReservationService = require('./stockReservationService');
+const jwtManager = require('../auth/jwt');
+const logger = require('../logger');
+
+// Cart lines are keyed "productId", or "productId:variantId" for a product
+// sold in variants
+const lineKey = (productId, variantId = null) => (variantId ? `${productId}:${variantId}` : String(productId));
+
+const parseLineKey = (key) => {
+    const [productId, variantId] = key.split(':').map(id => parseInt(id));
+    return { productId, variantId: variantId || null };
+};
+
+// Anonymous carts live in Redis as { lineKey: quantity } keyed by a random
+// cart ID. Clients hold a signed cart token carrying that ID.
+class GuestCartService {
+    constructor(dbPool, redisPool) {
+        this.db = dbPool;
+        this.redis = redisPool;
+        this.cartService = new CartService(dbPool, redisPool);
+        this.keyPrefix = 'guest_cart:';
+        this.cartTTL = 30 * 24 * 60 * 60; // 30 days, matching the cart token expiry
+    }
+
+    createCart() {
+        const cartId = crypto.randomUUID();
+        const cartToken = jwtManager.generateCartToken(cartId);
+
+        logger.info('Guest cart created', { cartId });
+
+        return { cartId, cartToken };
+    }
+
+    resolveCartId(cartToken) {
+        return jwtManager.verifyCartToken(cartToken).cartId;
+    }
+
+    async loadItems(cartId) {
+        const data = await this.redis.get(`${this.keyPrefix}${cartId}`);
+        return data ? JSON.parse(data) : {};
+    }
+
+    async saveItems(cartId, items) {
+        const key = `${this.keyPrefix}${cartId}`;
+
+        if (Object.keys(items).length === 0) {
+            await this.redis.del(key);
+            return;
+        }
+
+        const saved = await this.redis.set(key, JSON.stringify(items), { EX: this.cartTTL });
+        if (!saved) {
+            throw new Error('Guest cart storage is unavailable');
+        }
+    }
+
+    async getCart(cartId) {
+        try {
+            const stored = await this.loadItems(cartId);
+            const lines = Object.keys(stored).map(parseLineKey);
+
+            let items = [];
+            if (lines.length > 0) {
+                const result = await this.db.query(`
+                    SELECT
+                        p.id as product_id,
+                        pv.id as variant_id,
+                        p.name as product_name,
+                        pv.title as variant_title,
+                        pv.sku as variant_sku,
+                        COALESCE(pv.price, p.price) as product_price,
+                        COALESCE(pv.image_url, p.image_url) as product_image,
+                        p.slug as product_slug,
+                        ${StockReservationService.availableStockSql('p', 'pv')} as product_stock,
+                        (p.is_active AND COALESCE(pv.is_active, true)) as product_active
+                    FROM unnest($1::int[], $2::int[]) AS g(product_id, variant_id)
+                    JOIN products p ON p.id = g.product_id
+                    LEFT JOIN product_variants pv ON pv.id = g.variant_id AND pv.product_id = p.id
+                    WHERE p.is_active = true AND (g.variant_id IS NULL OR pv.id IS NOT NULL)
+                    ORDER BY p.id ASC, pv.position ASC
+                `, [lines.map(line => line.productId), lines.map(line => line.variantId)]);
+
+                items = result.rows.map(row => {
+                    const quantity = stored[lineKey(row.product_id, row.variant_id)];
+                    return {
+                        ...row,
+                        quantity,
+                        item_total: parseFloat((quantity * parseFloat(row.product_price)).toFixed(2))
+                    };
+                });
+            }
+
+            const totalAmount = items.reduce((sum, item) => sum + item.item_total, 0);
+            const totalItems = items.reduce((sum, item) => sum + item.quantity, 0);
+
+            return {
+                cartId,
+                items,
+                summary: {
+                    totalItems,
+                    totalAmount: parseFloat(totalAmount.toFixed(2)),
+                    itemCount: items.length
+                },
+                updatedAt: new Date().toISOString()
+            };
+        } catch (error) {
+            logger.error('Error fetching guest cart', { error: error.message, cartId });
+            throw error;
+        }
+    }
+
+    async checkProductStock(productId, quantity, variantId = null) {
+        const stockQuantity = await this.cartService.getAvailableStock(productId, variantId);
+
+        if (stockQuantity < quantity) {
+            throw new Error('Insufficient stock available');
+        }
+    }
+
+    async addToCart(cartId, productId, quantity = 1, variantId = null) {
+        try {
+            const items = await this.loadItems(cartId);
+            const key = lineKey(productId, variantId);
+            const newQuantity = (items[key] || 0) + quantity;
+
+            await this.checkProductStock(productId, newQuantity, variantId);
+
+            items[key] = newQuantity;
+            await this.saveItems(cartId, items);
+
+            logger.info('Item added to guest cart successfully', { cartId, productId, variantId, quantity });
+
+            return { product_id: productId, variant_id: variantId, quantity: newQuantity };
+        } catch (error) {
+            logger.error('Error adding item to guest cart', { error: error.message, cartId, productId, variantId, quantity });
+            throw error;
+        }
+    }
+
+    async updateCartItem(cartId, productId, quantity, variantId = null) {
+        try {
+            if (quantity <= 0) {
+                return await this.removeFromCart(cartId, productId, variantId);
+            }
+
+            const items = await this.loadItems(cartId);
+            const key = lineKey(productId, variantId);
+            if (!items[key]) {
+                throw new Error('Cart item not found');
+            }
+
+            await this.checkProductStock(productId, quantity, variantId);
+
+            items[key] = quantity;
+            await this.saveItems(cartId, items);
+
+            logger.info('Guest cart item updated successfully', { cartId, productId, variantId, newQuantity: quantity });
+
+            return { product_id: productId, variant_id: variantId, quantity };
+        } catch (error) {
+            logger.error('Error updating guest cart item', { error: error.message, cartId, productId, variantId, quantity });
+            throw error;
+        }
+    }
+
+    async removeFromCart(cartId, productId, variantId = null) {
+        try {
+            const items = await this.loadItems(cartId);
+            const key = lineKey(productId, variantId);
+            if (!items[key]) {
+                throw new Error('Cart item not found');
+            }
+
+            const quantity = items[key];
+            delete items[key];
+            await this.saveItems(cartId, items);
+
+            logger.info('Item removed from guest cart successfully', { cartId, productId, variantId });
+
+            return { product_id: productId, variant_id: variantId, quantity };
+        } catch (error) {
+            logger.error('Error removing item from guest cart', { error: error.message, cartId, productId, variantId });
+            throw error;
+        }
+    }
+
+    async clearCart(cartId) {
+        try {
+            await this.redis.del(`${this.keyPrefix}${cartId}`);
+            logger.info('Guest cart cleared successfully', { cartId });
+        } catch (error) {
+            logger.error('Error clearing guest cart', { error: error.message, cartId });
+            throw error;
+        }
+    }
+
+    // Guest cart lines in the { productId, variantId, quantity } form used by
+    // merge and checkout
+    async getItemList(cartId) {
+        const items = await this.loadItems(cartId);
+        return Object.entries(items).map(([key, quantity]) => ({
+            ...parseLineKey(key),
+            quantity
+        }));
+    }
+
+    // Called after login/registration; the guest cart is dropped once merged
+    async mergeIntoUserCart(cartToken, userId) {
+        try {
+            const cartId = this.resolveCartId(cartToken);
+            const guestItems = await this.getItemList(cartId);
+
+            const result = await this.cartService.mergeGuestCart(userId, guestItems);
+            await this.clearCart(cartId);
+
+            logger.info('Guest cart merged into user cart', { cartId, userId, ...result });
+
+            return result;
+        } catch (error) {
+            logger.error('Error merging guest cart into user cart', { error: error.message, userId });
+            throw error;
+        }
+    }
+}
+
+module.exports = GuestCartService;
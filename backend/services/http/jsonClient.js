@@ -0,0 +1,87 @@
+// HTTP helpers shared by the payment gateway and courier adapters. Errors
+// name the adapter through `label`, e.g. "Payment provider bkash" or
+// "Courier pathao".
+
+// Gateways and couriers that stop answering must not hold a checkout or an
+// admin request open indefinitely
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.PROVIDER_HTTP_TIMEOUT_MS) || 15000;
+
+// JSON request with a timeout. `form` sends a URL-encoded body instead of
+// a JSON one, for gateways that only take forms.
+const requestJson = async (url, { method = 'POST', headers = {}, body, form, timeoutMs = DEFAULT_TIMEOUT_MS } = {}, label = 'Provider') => {
+    let response;
+    try {
+        response = await fetch(url, {
+            method,
+            headers: {
+                'Content-Type': form ? 'application/x-www-form-urlencoded' : 'application/json',
+                Accept: 'application/json',
+                ...headers
+            },
+            body: form ? new URLSearchParams(form) : body === undefined ? undefined : JSON.stringify(body),
+            signal: AbortSignal.timeout(timeoutMs)
+        });
+    } catch (error) {
+        if (error.name === 'TimeoutError') {
+            throw new Error(`${label} did not respond within ${timeoutMs}ms`);
+        }
+        throw error;
+    }
+
+    const text = await response.text();
+    let data;
+    try {
+        data = text ? JSON.parse(text) : {};
+    } catch {
+        throw new Error(`${label} returned an invalid response`);
+    }
+
+    if (!response.ok) {
+        const message = data.message || data.statusMessage || data.errorMessage || data.error || response.statusText;
+        throw new Error(`${label} request failed: ${message}`);
+    }
+
+    return data;
+};
+
+// Bearer token kept until a minute before it expires, so in-flight requests
+// never carry an expired token. `issue` asks the API for a new one and
+// returns { token, expiresIn } with expiresIn in seconds; concurrent callers
+// share one request.
+class TokenCache {
+    constructor(issue) {
+        this.issue = issue;
+        this.token = null;
+        this.expiresAt = 0;
+        this.pending = null;
+    }
+
+    async get() {
+        if (this.token && Date.now() < this.expiresAt) {
+            return this.token;
+        }
+
+        if (!this.pending) {
+            this.pending = this.refresh().finally(() => {
+                this.pending = null;
+            });
+        }
+
+        return this.pending;
+    }
+
+    async refresh() {
+        const { token, expiresIn } = await this.issue();
+
+        this.token = token;
+        this.expiresAt = Date.now() + ((Number(expiresIn) || 3600) - 60) * 1000;
+
+        return this.token;
+    }
+}
+
+module.exports = {
+    DEFAULT_TIMEOUT_MS,
+    requestJson,
+    TokenCache
+};
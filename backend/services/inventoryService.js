@@ -0,0 +1,915 @@
+const logger = require('../logger');
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+// Stock per warehouse lives in inventory_levels. products.stock_quantity and
+// product_variants.stock_quantity are kept as the totals across warehouses,
+// so every stock change goes through applyStockChange, which moves the
+// levels and brings the totals in line.
+class InventoryService {
+    constructor(dbPool, redisPool) {
+        this.db = dbPool;
+        this.redis = redisPool;
+        this.reconcileIntervalMs = (parseInt(process.env.INVENTORY_RECONCILE_INTERVAL_MINUTES) || 60) * 60 * 1000;
+        this.intervalId = null;
+    }
+
+    // Units held by live reservations at the inventory level aliased as `alias`
+    static reservedAtSql(alias = 'il') {
+        return `(SELECT COALESCE(SUM(sr.quantity), 0)::int FROM stock_reservations sr
+                 WHERE sr.warehouse_id = ${alias}.warehouse_id AND sr.product_id = ${alias}.product_id
+                   AND sr.variant_id IS NOT DISTINCT FROM ${alias}.variant_id
+                   AND sr.status = 'active' AND sr.expires_at > CURRENT_TIMESTAMP)`;
+    }
+
+    // Nearest first: the warehouse in the delivery district, then those
+    // serving its division, then the rest, each group in sort_order
+    static rankWarehouses(warehouses, address) {
+        const district = normalize(address?.district || address?.city);
+        const division = normalize(address?.division || address?.state);
+
+        const distance = (warehouse) => {
+            if (district && normalize(warehouse.district) === district) {
+                return 0;
+            }
+            if (division && (normalize(warehouse.division) === division ||
+                (warehouse.service_divisions || []).some(served => normalize(served) === division))) {
+                return 1;
+            }
+            return 2;
+        };
+
+        return [...warehouses].sort((a, b) =>
+            distance(a) - distance(b) || a.sort_order - b.sort_order || a.id - b.id);
+    }
+
+    // Decide where each line ships from, given ranked warehouses and the
+    // sellable stock at each. The nearest warehouse that can send the whole
+    // order wins, so it leaves as one parcel; otherwise each line is filled
+    // from the nearest warehouses holding it. Returns one list of
+    // { warehouseId, quantity } per item.
+    static planAllocation(items, warehouses, stock) {
+        const key = (warehouseId, productId, variantId) => `${warehouseId}:${productId}:${variantId || 0}`;
+        const available = new Map(stock.map(row =>
+            [key(row.warehouse_id, row.product_id, row.variant_id), row.available]));
+        const availableAt = (warehouseId, item) => available.get(key(warehouseId, item.productId, item.variantId)) || 0;
+
+        const whole = warehouses.find(warehouse => items.every(item => availableAt(warehouse.id, item) >= item.quantity));
+        if (whole) {
+            return items.map(item => [{ warehouseId: whole.id, quantity: item.quantity }]);
+        }
+
+        return items.map(item => {
+            const parts = [];
+            let remaining = item.quantity;
+
+            for (const warehouse of warehouses) {
+                const take = Math.min(availableAt(warehouse.id, item), remaining);
+                if (take > 0) {
+                    parts.push({ warehouseId: warehouse.id, quantity: take });
+                    available.set(key(warehouse.id, item.productId, item.variantId), availableAt(warehouse.id, item) - take);
+                    remaining -= take;
+                }
+                if (remaining === 0) {
+                    break;
+                }
+            }
+
+            if (remaining > 0) {
+                throw new Error(`Insufficient stock for "${item.name}". Available: ${item.quantity - remaining}, Requested: ${item.quantity}`);
+            }
+
+            return parts;
+        });
+    }
+
+    // Allocate order lines (productId, variantId, quantity, name) to
+    // warehouses for delivery to `address`. Runs inside the checkout
+    // transaction, after StockReservationService.assertAvailable has locked
+    // the products.
+    async allocate(client, items, address) {
+        const warehousesResult = await client.query(`
+            SELECT id, division, district, service_divisions, sort_order
+            FROM warehouses
+            WHERE is_active = true
+        `);
+
+        const stockResult = await client.query(`
+            SELECT il.warehouse_id, il.product_id, il.variant_id,
+                   GREATEST(il.quantity - ${InventoryService.reservedAtSql('il')}, 0) as available
+            FROM inventory_levels il
+            WHERE il.product_id = ANY($1::int[]) AND il.quantity > 0
+        `, [[...new Set(items.map(item => item.productId))]]);
+
+        const warehouses = InventoryService.rankWarehouses(warehousesResult.rows, address);
+        return InventoryService.planAllocation(items, warehouses, stockResult.rows);
+    }
+
+    // Store the plan from allocate against the order's items, in item order.
+    // Returns one line per allocation.
+    async recordAllocations(client, orderItems, allocations) {
+        const lines = orderItems.flatMap((item, index) => allocations[index].map(allocation => ({
+            orderItemId: item.id,
+            productId: item.productId,
+            variantId: item.variantId || null,
+            warehouseId: allocation.warehouseId,
+            quantity: allocation.quantity
+        })));
+
+        await client.query(`
+            INSERT INTO order_item_allocations (order_item_id, warehouse_id, quantity)
+            SELECT * FROM unnest($1::int[], $2::int[], $3::int[])
+        `, [
+            lines.map(line => line.orderItemId),
+            lines.map(line => line.warehouseId),
+            lines.map(line => line.quantity)
+        ]);
+
+        return lines;
+    }
+
+    async getAllocations(orderId, client = this.db) {
+        const result = await client.query(`
+            SELECT a.order_item_id, oi.product_id, oi.variant_id, a.warehouse_id, a.quantity
+            FROM order_item_allocations a
+            JOIN order_items oi ON oi.id = a.order_item_id
+            WHERE oi.order_id = $1
+            ORDER BY a.id ASC
+        `, [orderId]);
+
+        return result.rows;
+    }
+
+    // Change stock at one warehouse, or across warehouses when none is named:
+    // additions go to the default warehouse and removals come out of the
+    // default first, then the others in sort_order. A set without a warehouse
+    // sets the total. Decrements stop at zero. Each level that moves gets an
+    // inventory_movements entry described by `movement` (kind, actor,
+    // createdBy, orderId, returnId, transferId, purchaseOrderId, note). Runs
+    // in the caller's transaction; returns the product row, with `variant`
+    // for variant stock.
+    async applyStockChange(client, { productId, variantId = null, warehouseId = null, quantity, operation = 'set' }, movement = {}) {
+        if (warehouseId) {
+            await this.changeLevel(client, { productId, variantId, warehouseId }, quantity, operation, movement);
+        } else {
+            await this.spreadChange(client, { productId, variantId }, quantity, operation, movement);
+        }
+
+        return await this.syncTotals(client, productId, variantId);
+    }
+
+    async changeLevel(client, { productId, variantId, warehouseId }, quantity, operation, movement = {}) {
+        // Stock coming back to a closed warehouse (a cancelled order, a
+        // return) is taken in by the default one instead
+        const warehouseResult = await client.query(
+            'SELECT id, is_active, is_default FROM warehouses WHERE id = $1 OR is_default = true',
+            [warehouseId]
+        );
+
+        let warehouse = warehouseResult.rows.find(row => row.id === warehouseId);
+
+        if (!warehouse) {
+            throw new Error('Warehouse not found');
+        }
+        if (!warehouse.is_active && operation === 'set') {
+            throw new Error('Warehouse is inactive and cannot take stock');
+        }
+        if (!warehouse.is_active && operation === 'increment') {
+            warehouse = warehouseResult.rows.find(row => row.is_default);
+        }
+
+        // Lock the level so the change written to the ledger is the one made
+        const levelResult = await client.query(`
+            SELECT quantity FROM inventory_levels
+            WHERE warehouse_id = $1 AND product_id = $2 AND COALESCE(variant_id, 0) = COALESCE($3::int, 0)
+            FOR UPDATE
+        `, [warehouse.id, productId, variantId]);
+        const before = levelResult.rows[0]?.quantity || 0;
+
+        const expressions = {
+            set: ['$4', '$4'],
+            increment: ['$4', 'inventory_levels.quantity + $4'],
+            decrement: ['0', 'GREATEST(inventory_levels.quantity - $4, 0)']
+        };
+        const [insertExpression, updateExpression] = expressions[operation] || expressions.set;
+
+        const result = await client.query(`
+            INSERT INTO inventory_levels (warehouse_id, product_id, variant_id, quantity)
+            VALUES ($1, $2, $3, ${insertExpression})
+            ON CONFLICT (warehouse_id, product_id, (COALESCE(variant_id, 0))) DO UPDATE
+            SET quantity = ${updateExpression}
+            RETURNING quantity
+        `, [warehouse.id, productId, variantId, quantity]);
+        const after = result.rows[0].quantity;
+
+        if (after !== before) {
+            await this.recordMovement(client, {
+                productId,
+                variantId,
+                warehouseId: warehouse.id,
+                quantity: after - before,
+                quantityAfter: after
+            }, movement);
+        }
+    }
+
+    async spreadChange(client, { productId, variantId }, quantity, operation, movement = {}) {
+        const levelsResult = await client.query(`
+            SELECT il.warehouse_id, il.quantity
+            FROM inventory_levels il
+            JOIN warehouses w ON w.id = il.warehouse_id
+            WHERE il.product_id = $1 AND il.variant_id IS NOT DISTINCT FROM $2 AND w.is_active = true
+            ORDER BY w.is_default DESC, w.sort_order ASC, w.id ASC
+            FOR UPDATE OF il
+        `, [productId, variantId]);
+
+        const levels = levelsResult.rows;
+        const onHand = levels.reduce((total, level) => total + level.quantity, 0);
+        const delta = operation === 'increment' ? quantity
+            : operation === 'decrement' ? -Math.min(quantity, onHand)
+                : quantity - onHand;
+
+        if (delta > 0) {
+            const defaultResult = await client.query('SELECT id FROM warehouses WHERE is_default = true');
+            await this.changeLevel(client, { productId, variantId, warehouseId: defaultResult.rows[0]?.id }, delta, 'increment', movement);
+            return;
+        }
+
+        let remaining = -delta;
+        for (const level of levels) {
+            const take = Math.min(level.quantity, remaining);
+            if (take > 0) {
+                await this.changeLevel(client, { productId, variantId, warehouseId: level.warehouse_id }, take, 'decrement', movement);
+                remaining -= take;
+            }
+        }
+    }
+
+    async recordMovement(client, { productId, variantId, warehouseId, quantity, quantityAfter }, movement) {
+        const {
+            kind = 'adjustment',
+            actor = 'system',
+            createdBy = null,
+            orderId = null,
+            returnId = null,
+            transferId = null,
+            purchaseOrderId = null,
+            note = null
+        } = movement;
+
+        await client.query(`
+            INSERT INTO inventory_movements (product_id, variant_id, warehouse_id, kind, quantity, quantity_after,
+                                             actor, created_by, order_id, return_id, transfer_id, purchase_order_id, note)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+        `, [productId, variantId, warehouseId, kind, quantity, quantityAfter,
+            actor, createdBy, orderId, returnId, transferId, purchaseOrderId, note]);
+    }
+
+    // Delete the product's levels except those of keptVariantIds (null
+    // standing for the product's own stock), writing the units they held
+    // out of the ledger. Used when the variant matrix changes.
+    async removeLevels(client, productId, keptVariantIds, movement = {}) {
+        const { kind = 'adjustment', actor = 'system', createdBy = null, note = null } = movement;
+
+        await client.query(`
+            WITH removed AS (
+                DELETE FROM inventory_levels
+                WHERE product_id = $1 AND NOT (COALESCE(variant_id, 0) = ANY($2::int[]))
+                RETURNING warehouse_id, product_id, variant_id, quantity
+            )
+            INSERT INTO inventory_movements (product_id, variant_id, warehouse_id, kind, quantity, quantity_after, actor, created_by, note)
+            SELECT product_id, variant_id, warehouse_id, $3, -quantity, 0, $4, $5, $6
+            FROM removed
+            WHERE quantity > 0
+        `, [productId, keptVariantIds.map(id => id || 0), kind, actor, createdBy, note]);
+    }
+
+    // Totals from the levels: a variant's is the sum over warehouses; a
+    // product with variants holds the sum of its active variants (as
+    // ProductService.syncVariantStock keeps it), one without its own levels'
+    async syncTotals(client, productId, variantId = null) {
+        if (!variantId) {
+            const productResult = await client.query(`
+                UPDATE products p
+                SET stock_quantity = (
+                        SELECT COALESCE(SUM(quantity), 0)::int FROM inventory_levels
+                        WHERE product_id = p.id AND variant_id IS NULL
+                    ),
+                    updated_at = CURRENT_TIMESTAMP
+                WHERE p.id = $1
+                RETURNING p.*
+            `, [productId]);
+
+            return productResult.rows[0] || null;
+        }
+
+        const variantResult = await client.query(`
+            UPDATE product_variants pv
+            SET stock_quantity = (SELECT COALESCE(SUM(quantity), 0)::int FROM inventory_levels WHERE variant_id = pv.id)
+            WHERE pv.id = $1
+            RETURNING id, sku, title, stock_quantity, is_active
+        `, [variantId]);
+
+        const productResult = await client.query(`
+            UPDATE products p
+            SET stock_quantity = (
+                    SELECT COALESCE(SUM(stock_quantity) FILTER (WHERE is_active), 0)::int
+                    FROM product_variants WHERE product_id = p.id
+                ),
+                updated_at = CURRENT_TIMESTAMP
+            WHERE p.id = $1
+            RETURNING p.*
+        `, [productId]);
+
+        return { ...productResult.rows[0], variant: variantResult.rows[0] };
+    }
+
+    // Stock of a product per warehouse, as shown in admin: each level with
+    // what checkouts hold there, the active warehouses (so stock can be
+    // added where there is none yet) and units in transit
+    async getProductInventory(productId) {
+        try {
+            const productResult = await this.db.query(
+                'SELECT id, name, stock_quantity FROM products WHERE id = $1',
+                [productId]
+            );
+
+            if (productResult.rows.length === 0) {
+                throw new Error('Product not found');
+            }
+
+            const warehousesResult = await this.db.query(`
+                SELECT id, code, name, is_default, is_active
+                FROM warehouses
+                WHERE is_active = true OR EXISTS (
+                    SELECT 1 FROM inventory_levels il WHERE il.warehouse_id = warehouses.id AND il.product_id = $1 AND il.quantity > 0
+                )
+                ORDER BY sort_order ASC, id ASC
+            `, [productId]);
+
+            const levelsResult = await this.db.query(`
+                SELECT il.warehouse_id, il.variant_id, pv.title as variant_title, il.quantity,
+                       ${InventoryService.reservedAtSql('il')} as reserved_quantity
+                FROM inventory_levels il
+                LEFT JOIN product_variants pv ON pv.id = il.variant_id
+                WHERE il.product_id = $1
+                ORDER BY pv.position NULLS FIRST, il.warehouse_id
+            `, [productId]);
+
+            const transitResult = await this.db.query(`
+                SELECT t.id as transfer_id, t.from_warehouse_id, t.to_warehouse_id, ti.variant_id, ti.quantity, t.created_at
+                FROM stock_transfer_items ti
+                JOIN stock_transfers t ON t.id = ti.transfer_id
+                WHERE ti.product_id = $1 AND t.status = 'in_transit'
+                ORDER BY t.created_at ASC
+            `, [productId]);
+
+            const driftResult = await this.db.query(`
+                SELECT d.variant_id, pv.title as variant_title, d.ledger_quantity, d.stock_quantity, d.detected_at, d.checked_at
+                FROM inventory_drift d
+                LEFT JOIN product_variants pv ON pv.id = d.variant_id
+                WHERE d.product_id = $1 AND d.resolved_at IS NULL
+                ORDER BY pv.position NULLS FIRST
+            `, [productId]);
+
+            return {
+                product: productResult.rows[0],
+                warehouses: warehousesResult.rows,
+                levels: levelsResult.rows.map(level => ({
+                    ...level,
+                    available_quantity: Math.max(level.quantity - level.reserved_quantity, 0)
+                })),
+                inTransit: transitResult.rows,
+                drift: driftResult.rows
+            };
+        } catch (error) {
+            logger.error('Error fetching product inventory', { error: error.message, productId });
+            throw error;
+        }
+    }
+
+    // A product's ledger, newest first, with who made each change and the
+    // order, return, transfer or purchase order it belongs to
+    async getMovements(productId, filters = {}) {
+        const { page = 1, limit = 50, kind, warehouseId, variantId } = filters;
+
+        try {
+            const offset = (page - 1) * limit;
+            const conditions = ['m.product_id = $1'];
+            const params = [productId];
+
+            if (kind) {
+                params.push(kind);
+                conditions.push(`m.kind = $${params.length}`);
+            }
+            if (warehouseId) {
+                params.push(warehouseId);
+                conditions.push(`m.warehouse_id = $${params.length}`);
+            }
+            if (variantId) {
+                params.push(variantId);
+                conditions.push(`m.variant_id = $${params.length}`);
+            }
+
+            const whereClause = `WHERE ${conditions.join(' AND ')}`;
+
+            const result = await this.db.query(`
+                SELECT m.*, w.name as warehouse_name, pv.title as variant_title,
+                       NULLIF(CONCAT_WS(' ', u.first_name, u.last_name), '') as created_by_name,
+                       o.order_number, rr.return_number, po.po_number
+                FROM inventory_movements m
+                JOIN warehouses w ON w.id = m.warehouse_id
+                LEFT JOIN product_variants pv ON pv.id = m.variant_id
+                LEFT JOIN users u ON u.id = m.created_by
+                LEFT JOIN orders o ON o.id = m.order_id
+                LEFT JOIN return_requests rr ON rr.id = m.return_id
+                LEFT JOIN purchase_orders po ON po.id = m.purchase_order_id
+                ${whereClause}
+                ORDER BY m.created_at DESC, m.id DESC
+                LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+            `, [...params, limit, offset]);
+
+            const countResult = await this.db.query(`
+                SELECT COUNT(*) as total FROM inventory_movements m ${whereClause}
+            `, params);
+            const total = parseInt(countResult.rows[0].total);
+
+            return {
+                movements: result.rows,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / limit),
+                    hasNext: page * limit < total,
+                    hasPrev: page > 1
+                }
+            };
+        } catch (error) {
+            logger.error('Error fetching inventory movements', { error: error.message, productId, filters });
+            throw error;
+        }
+    }
+
+    // Warehouses as managed from admin, with the units each holds
+    async getWarehouses({ includeInactive = false } = {}) {
+        try {
+            const result = await this.db.query(`
+                SELECT w.*,
+                    (SELECT COALESCE(SUM(il.quantity), 0)::int FROM inventory_levels il WHERE il.warehouse_id = w.id) as units_on_hand
+                FROM warehouses w
+                WHERE $1::boolean OR w.is_active = true
+                ORDER BY w.sort_order ASC, w.id ASC
+            `, [includeInactive]);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Error fetching warehouses', { error: error.message });
+            throw error;
+        }
+    }
+
+    async createWarehouse(warehouseData) {
+        const {
+            code, name, address = null, division, district, serviceDivisions = [],
+            isDefault = false, isActive = true, sortOrder = 0
+        } = warehouseData;
+
+        try {
+            return await this.db.transaction(async (client) => {
+                if (isDefault) {
+                    await client.query('UPDATE warehouses SET is_default = false WHERE is_default = true');
+                }
+
+                const result = await client.query(`
+                    INSERT INTO warehouses (code, name, address, division, district, service_divisions, is_default, is_active, sort_order)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+                    RETURNING *
+                `, [code, name, address, division, district, serviceDivisions, isDefault, isDefault || isActive, sortOrder]);
+
+                logger.info('Warehouse created', { warehouseId: result.rows[0].id, code });
+
+                return result.rows[0];
+            });
+        } catch (error) {
+            if (error.code === '23505') {
+                throw new Error('Warehouse code already exists');
+            }
+            logger.error('Error creating warehouse', { error: error.message, code });
+            throw error;
+        }
+    }
+
+    // A warehouse can only be closed once its stock has been moved out, so
+    // the totals never count units no order can be allocated
+    async updateWarehouse(warehouseId, warehouseData) {
+        const { name, address, division, district, serviceDivisions, isDefault, isActive, sortOrder } = warehouseData;
+
+        try {
+            return await this.db.transaction(async (client) => {
+                if (isActive === false) {
+                    const stockResult = await client.query(
+                        'SELECT COALESCE(SUM(quantity), 0)::int as units FROM inventory_levels WHERE warehouse_id = $1',
+                        [warehouseId]
+                    );
+
+                    if (stockResult.rows[0].units > 0) {
+                        throw new Error('Warehouse still holds stock and cannot be deactivated');
+                    }
+                }
+
+                if (isDefault) {
+                    await client.query(
+                        'UPDATE warehouses SET is_default = false WHERE is_default = true AND id <> $1',
+                        [warehouseId]
+                    );
+                }
+
+                // The default warehouse stays active, and stays the default until another takes over
+                const result = await client.query(`
+                    UPDATE warehouses
+                    SET name = COALESCE($2, name),
+                        address = COALESCE($3, address),
+                        division = COALESCE($4, division),
+                        district = COALESCE($5, district),
+                        service_divisions = COALESCE($6, service_divisions),
+                        is_default = is_default OR COALESCE($7, false),
+                        is_active = CASE WHEN is_default OR COALESCE($7, false) THEN true ELSE COALESCE($8, is_active) END,
+                        sort_order = COALESCE($9, sort_order)
+                    WHERE id = $1
+                    RETURNING *
+                `, [warehouseId, name, address, division, district, serviceDivisions, isDefault, isActive, sortOrder]);
+
+                if (result.rows.length === 0) {
+                    throw new Error('Warehouse not found');
+                }
+
+                logger.info('Warehouse updated', { warehouseId, isActive: result.rows[0].is_active });
+
+                return result.rows[0];
+            });
+        } catch (error) {
+            logger.error('Error updating warehouse', { error: error.message, warehouseId });
+            throw error;
+        }
+    }
+
+    async getTransfers(filters = {}) {
+        const { page = 1, limit = 20, status, warehouseId } = filters;
+
+        try {
+            const offset = (page - 1) * limit;
+            const conditions = [];
+            const params = [];
+
+            if (status) {
+                params.push(status);
+                conditions.push(`t.status = $${params.length}`);
+            }
+            if (warehouseId) {
+                params.push(warehouseId);
+                conditions.push(`(t.from_warehouse_id = $${params.length} OR t.to_warehouse_id = $${params.length})`);
+            }
+
+            const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const result = await this.db.query(`
+                SELECT t.*,
+                       fw.name as from_warehouse_name, tw.name as to_warehouse_name,
+                       (SELECT COALESCE(SUM(ti.quantity), 0)::int FROM stock_transfer_items ti WHERE ti.transfer_id = t.id) as unit_count
+                FROM stock_transfers t
+                JOIN warehouses fw ON fw.id = t.from_warehouse_id
+                JOIN warehouses tw ON tw.id = t.to_warehouse_id
+                ${whereClause}
+                ORDER BY t.created_at DESC
+                LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+            `, [...params, limit, offset]);
+
+            const countResult = await this.db.query(`
+                SELECT COUNT(*) as total FROM stock_transfers t ${whereClause}
+            `, params);
+            const total = parseInt(countResult.rows[0].total);
+
+            return {
+                transfers: result.rows,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / limit),
+                    hasNext: page * limit < total,
+                    hasPrev: page > 1
+                }
+            };
+        } catch (error) {
+            logger.error('Error fetching stock transfers', { error: error.message, filters });
+            throw error;
+        }
+    }
+
+    async getTransferById(transferId, client = this.db) {
+        const result = await client.query(`
+            SELECT t.*, fw.name as from_warehouse_name, tw.name as to_warehouse_name
+            FROM stock_transfers t
+            JOIN warehouses fw ON fw.id = t.from_warehouse_id
+            JOIN warehouses tw ON tw.id = t.to_warehouse_id
+            WHERE t.id = $1
+        `, [transferId]);
+
+        if (result.rows.length === 0) {
+            throw new Error('Transfer not found');
+        }
+
+        const itemsResult = await client.query(`
+            SELECT ti.product_id, ti.variant_id, ti.quantity, p.name as product_name, p.sku, pv.title as variant_title
+            FROM stock_transfer_items ti
+            JOIN products p ON p.id = ti.product_id
+            LEFT JOIN product_variants pv ON pv.id = ti.variant_id
+            WHERE ti.transfer_id = $1
+            ORDER BY ti.id ASC
+        `, [transferId]);
+
+        return { ...result.rows[0], items: itemsResult.rows };
+    }
+
+    // Dispatch stock from one warehouse to another. The units leave the
+    // source now; only what checkouts are not holding there can be moved.
+    async createTransfer({ fromWarehouseId, toWarehouseId, items, note = null }, adminId) {
+        try {
+            const transferId = await this.db.transaction(async (client) => {
+                const warehousesResult = await client.query(
+                    'SELECT id FROM warehouses WHERE id = ANY($1::int[]) AND is_active = true',
+                    [[fromWarehouseId, toWarehouseId]]
+                );
+
+                if (warehousesResult.rows.length !== 2) {
+                    throw new Error('Warehouse not found');
+                }
+
+                // Lock the products as checkout does, so the stock checked
+                // here cannot be reserved before it is moved
+                await client.query(`
+                    SELECT id FROM products WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE
+                `, [[...new Set(items.map(item => item.productId))]]);
+
+                const stockResult = await client.query(`
+                    SELECT g.product_id, g.variant_id, p.name, pv.title as variant_title,
+                           EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id) as has_variants,
+                           (g.variant_id IS NULL OR pv.id IS NOT NULL) as known,
+                           COALESCE(GREATEST(il.quantity - ${InventoryService.reservedAtSql('il')}, 0), 0) as available
+                    FROM unnest($2::int[], $3::int[]) AS g(product_id, variant_id)
+                    JOIN products p ON p.id = g.product_id
+                    LEFT JOIN product_variants pv ON pv.id = g.variant_id AND pv.product_id = p.id
+                    LEFT JOIN inventory_levels il ON il.warehouse_id = $1 AND il.product_id = g.product_id
+                        AND COALESCE(il.variant_id, 0) = COALESCE(g.variant_id, 0)
+                `, [fromWarehouseId, items.map(item => item.productId), items.map(item => item.variantId || null)]);
+
+                for (const item of items) {
+                    const row = stockResult.rows.find(line =>
+                        line.product_id === item.productId && line.variant_id === (item.variantId || null));
+
+                    if (!row || !row.known) {
+                        throw new Error('Product not found');
+                    }
+
+                    const name = row.variant_title ? `${row.name} (${row.variant_title})` : row.name;
+
+                    if (row.has_variants && !item.variantId) {
+                        throw new Error(`Choose a variant of "${name}" to transfer`);
+                    }
+                    if (row.available < item.quantity) {
+                        throw new Error(`Not enough stock of "${name}" to transfer. Available: ${row.available}, Requested: ${item.quantity}`);
+                    }
+                }
+
+                const transferResult = await client.query(`
+                    INSERT INTO stock_transfers (from_warehouse_id, to_warehouse_id, note, created_by)
+                    VALUES ($1, $2, $3, $4)
+                    RETURNING id
+                `, [fromWarehouseId, toWarehouseId, note, adminId]);
+                const id = transferResult.rows[0].id;
+
+                for (const item of items) {
+                    await client.query(`
+                        INSERT INTO stock_transfer_items (transfer_id, product_id, variant_id, quantity)
+                        VALUES ($1, $2, $3, $4)
+                    `, [id, item.productId, item.variantId || null, item.quantity]);
+
+                    await this.applyStockChange(client, {
+                        productId: item.productId,
+                        variantId: item.variantId || null,
+                        warehouseId: fromWarehouseId,
+                        quantity: item.quantity,
+                        operation: 'decrement'
+                    }, { kind: 'transfer_out', actor: 'admin', createdBy: adminId, transferId: id });
+                }
+
+                return id;
+            });
+
+            logger.info('Stock transfer dispatched', { transferId, fromWarehouseId, toWarehouseId, lineCount: items.length, adminId });
+
+            return await this.getTransferById(transferId);
+        } catch (error) {
+            logger.error('Error creating stock transfer', { error: error.message, fromWarehouseId, toWarehouseId, adminId });
+            throw error;
+        }
+    }
+
+    // The units arrive at the destination
+    async receiveTransfer(transferId, adminId) {
+        return this.completeTransfer(transferId, 'received', adminId);
+    }
+
+    // The units go back on the source's shelves
+    async cancelTransfer(transferId, adminId) {
+        return this.completeTransfer(transferId, 'cancelled', adminId);
+    }
+
+    async completeTransfer(transferId, status, adminId) {
+        try {
+            await this.db.transaction(async (client) => {
+                const result = await client.query(
+                    'SELECT id, status, from_warehouse_id, to_warehouse_id FROM stock_transfers WHERE id = $1 FOR UPDATE',
+                    [transferId]
+                );
+
+                if (result.rows.length === 0) {
+                    throw new Error('Transfer not found');
+                }
+
+                const transfer = result.rows[0];
+
+                if (transfer.status !== 'in_transit') {
+                    throw new Error(`Transfer has been ${transfer.status} and cannot be ${status === 'received' ? 'received' : 'cancelled'}`);
+                }
+
+                const itemsResult = await client.query(
+                    'SELECT product_id, variant_id, quantity FROM stock_transfer_items WHERE transfer_id = $1 ORDER BY id ASC',
+                    [transferId]
+                );
+
+                const movement = {
+                    kind: 'transfer_in',
+                    actor: 'admin',
+                    createdBy: adminId,
+                    transferId: transfer.id,
+                    note: status === 'cancelled' ? 'Transfer cancelled' : null
+                };
+
+                for (const item of itemsResult.rows) {
+                    await this.applyStockChange(client, {
+                        productId: item.product_id,
+                        variantId: item.variant_id,
+                        warehouseId: status === 'received' ? transfer.to_warehouse_id : transfer.from_warehouse_id,
+                        quantity: item.quantity,
+                        operation: 'increment'
+                    }, movement);
+                }
+
+                await client.query(`
+                    UPDATE stock_transfers
+                    SET status = $2, completed_by = $3, completed_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                `, [transferId, status, adminId]);
+            });
+
+            logger.info('Stock transfer completed', { transferId, status, adminId });
+
+            return await this.getTransferById(transferId);
+        } catch (error) {
+            logger.error('Error completing stock transfer', { error: error.message, transferId, status, adminId });
+            throw error;
+        }
+    }
+
+    // Compare each product's (or variant's) stock_quantity with the sum of
+    // its ledger. Mismatches are flagged in inventory_drift; flags whose
+    // stock agrees again are resolved. Products with variants are checked
+    // per variant, their own total being the variants' sum. Returns the
+    // open drift.
+    async reconcile() {
+        try {
+            return await this.db.transaction(async (client) => {
+                const driftResult = await client.query(`
+                    WITH expected AS (
+                        SELECT p.id as product_id, NULL::int as variant_id, p.stock_quantity
+                        FROM products p
+                        WHERE NOT EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = p.id)
+                        UNION ALL
+                        SELECT pv.product_id, pv.id, pv.stock_quantity
+                        FROM product_variants pv
+                    ),
+                    ledger AS (
+                        SELECT product_id, variant_id, SUM(quantity)::int as quantity
+                        FROM inventory_movements
+                        GROUP BY product_id, variant_id
+                    )
+                    SELECT e.product_id, e.variant_id, COALESCE(l.quantity, 0) as ledger_quantity, e.stock_quantity
+                    FROM expected e
+                    LEFT JOIN ledger l ON l.product_id = e.product_id AND l.variant_id IS NOT DISTINCT FROM e.variant_id
+                    WHERE e.stock_quantity <> COALESCE(l.quantity, 0)
+                    ORDER BY e.product_id, e.variant_id NULLS FIRST
+                `);
+                const drift = driftResult.rows;
+
+                const flagResult = await client.query(`
+                    INSERT INTO inventory_drift (product_id, variant_id, ledger_quantity, stock_quantity)
+                    SELECT * FROM unnest($1::int[], $2::int[], $3::int[], $4::int[])
+                    ON CONFLICT (product_id, (COALESCE(variant_id, 0))) WHERE resolved_at IS NULL DO UPDATE
+                    SET ledger_quantity = EXCLUDED.ledger_quantity,
+                        stock_quantity = EXCLUDED.stock_quantity,
+                        checked_at = CURRENT_TIMESTAMP
+                    RETURNING product_id, variant_id, (detected_at = checked_at) as is_new
+                `, [
+                    drift.map(row => row.product_id),
+                    drift.map(row => row.variant_id),
+                    drift.map(row => row.ledger_quantity),
+                    drift.map(row => row.stock_quantity)
+                ]);
+
+                const resolvedResult = await client.query(`
+                    UPDATE inventory_drift
+                    SET resolved_at = CURRENT_TIMESTAMP
+                    WHERE resolved_at IS NULL
+                      AND (product_id, COALESCE(variant_id, 0)) NOT IN (
+                          SELECT * FROM unnest($1::int[], $2::int[])
+                      )
+                    RETURNING id
+                `, [drift.map(row => row.product_id), drift.map(row => row.variant_id || 0)]);
+
+                for (const flag of flagResult.rows.filter(row => row.is_new)) {
+                    const row = drift.find(line => line.product_id === flag.product_id && line.variant_id === flag.variant_id);
+                    logger.warn('Inventory drift detected', {
+                        productId: row.product_id,
+                        variantId: row.variant_id,
+                        ledgerQuantity: row.ledger_quantity,
+                        stockQuantity: row.stock_quantity
+                    });
+                }
+
+                logger.info('Inventory reconciled', { drifted: drift.length, resolved: resolvedResult.rows.length });
+
+                return drift;
+            });
+        } catch (error) {
+            logger.error('Error reconciling inventory', { error: error.message });
+            throw error;
+        }
+    }
+
+    async getDrift() {
+        try {
+            const result = await this.db.query(`
+                SELECT d.*, p.name as product_name, p.sku, pv.title as variant_title
+                FROM inventory_drift d
+                JOIN products p ON p.id = d.product_id
+                LEFT JOIN product_variants pv ON pv.id = d.variant_id
+                WHERE d.resolved_at IS NULL
+                ORDER BY d.detected_at DESC, d.id DESC
+            `);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Error fetching inventory drift', { error: error.message });
+            throw error;
+        }
+    }
+
+    start() {
+        if (this.intervalId) {
+            logger.warn('Inventory reconciliation already running');
+            return;
+        }
+
+        this.intervalId = setInterval(async () => {
+            try {
+                await this.reconcile();
+            } catch (error) {
+                logger.error('Inventory reconciliation failed', { error: error.message });
+            }
+        }, this.reconcileIntervalMs);
+
+        logger.info(`Inventory reconciliation started (interval: ${this.reconcileIntervalMs}ms)`);
+    }
+
+    stop() {
+        if (!this.intervalId) {
+            return;
+        }
+
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+        logger.info('Inventory reconciliation stopped');
+    }
+}
+
+// What can change stock, as recorded in inventory_movements.kind. Admins
+// adjusting stock by hand pick one of MANUAL_MOVEMENT_KINDS.
+InventoryService.MOVEMENT_KINDS = [
+    'opening_balance', 'sale', 'cancellation', 'return', 'adjustment',
+    'damage', 'stock_count', 'transfer_out', 'transfer_in', 'purchase_receipt'
+];
+InventoryService.MANUAL_MOVEMENT_KINDS = ['adjustment', 'damage', 'stock_count'];
+
+module.exports = InventoryService;
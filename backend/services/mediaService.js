@@ -0,0 +1,99 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { createStorage } = require('./storage');
+const logger = require('../logger');
+
+// Longest edge in pixels for each stored rendition. Images are never
+// enlarged, so a small upload may produce renditions of the same size.
+const IMAGE_RENDITIONS = {
+    thumbnail: 160,
+    medium: 640,
+    large: 1600
+};
+
+// Upload pipeline shared by product images and review photos: decode the
+// upload, apply its EXIF orientation, write every rendition as WebP and store
+// it. The original file is not kept.
+class MediaService {
+    constructor(storage = createStorage()) {
+        this.storage = storage;
+    }
+
+    // file is a multer memory upload ({ buffer, mimetype, size, originalname }).
+    // Returns { renditions: { thumbnail, medium, large }, storageKeys, width,
+    // height, fileSize, mimeType } where renditions holds the public URLs.
+    async processImage(file, prefix) {
+        let metadata;
+        try {
+            metadata = await sharp(file.buffer).metadata();
+        } catch (error) {
+            throw new Error(`"${file.originalname}" is not a supported image`);
+        }
+
+        // Orientations 5-8 are stored rotated by 90 degrees
+        const rotated = metadata.orientation >= 5;
+        const id = crypto.randomUUID();
+        const stored = [];
+        const renditions = {};
+
+        try {
+            for (const [name, size] of Object.entries(IMAGE_RENDITIONS)) {
+                const body = await sharp(file.buffer)
+                    .rotate()
+                    .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+                    .webp({ quality: 82 })
+                    .toBuffer();
+
+                const object = await this.storage.put(`${prefix}/${id}/${name}.webp`, body, {
+                    contentType: 'image/webp',
+                    cacheControl: 'public, max-age=31536000, immutable'
+                });
+                stored.push(object.key);
+                renditions[name] = object.url;
+            }
+        } catch (error) {
+            await this.deleteObjects(stored);
+            logger.error('Error storing image renditions', { error: error.message, prefix, file: file.originalname });
+            throw error;
+        }
+
+        return {
+            renditions,
+            storageKeys: stored,
+            width: rotated ? metadata.height : metadata.width,
+            height: rotated ? metadata.width : metadata.height,
+            fileSize: file.size,
+            mimeType: file.mimetype
+        };
+    }
+
+    // Processes uploads one at a time to keep memory flat. If any upload fails,
+    // the renditions already stored for the others are removed.
+    async processImages(files, prefix) {
+        const processed = [];
+
+        try {
+            for (const file of files) {
+                processed.push(await this.processImage(file, prefix));
+            }
+        } catch (error) {
+            await this.deleteObjects(processed.flatMap(image => image.storageKeys));
+            throw error;
+        }
+
+        return processed;
+    }
+
+    // Best effort: a failed delete leaves an orphaned object, not a broken page
+    async deleteObjects(keys) {
+        for (const key of keys) {
+            try {
+                await this.storage.delete(key);
+            } catch (error) {
+                logger.warn('Failed to delete stored media', { error: error.message, key });
+            }
+        }
+    }
+}
+
+module.exports = MediaService;
@@ -1,30 +1,71 @@
+const AddressService = require('./addressService');
+const CodService = require('./codService');
+const InventoryService = require('./inventoryService');
+const ShippingService = require('./shippingService');
+const StockReservationService = require('./stockReservationService');
 const logger = require('../logger');
+const { DEFAULT_LOCALE } = require('../locale');
+
+// Statuses an order can move to from each status. Orders only move forward,
+// and once any of an order has shipped it can no longer be cancelled.
+const ORDER_TRANSITIONS = {
+    pending: ['confirmed', 'processing', 'partially_shipped', 'shipped', 'delivered', 'cancelled'],
+    confirmed: ['processing', 'partially_shipped', 'shipped', 'delivered', 'cancelled'],
+    processing: ['partially_shipped', 'shipped', 'delivered', 'cancelled'],
+    partially_shipped: ['shipped', 'delivered'],
+    shipped: ['delivered'],
+    delivered: [],
+    cancelled: []
+};
 
 class OrderService {
     constructor(dbPool, redisPool) {
         this.db = dbPool;
         this.redis = redisPool;
+        this.addressService = new AddressService(dbPool, redisPool);
+        this.codService = new CodService(dbPool, redisPool);
+        this.inventoryService = new InventoryService(dbPool, redisPool);
+        this.shippingService = new ShippingService(dbPool, redisPool);
+        this.stockReservationService = new StockReservationService(dbPool, redisPool);
         this.cachePrefix = 'order:';
         this.cacheTTL = 3600; // 1 hour
     }
 
     async createOrder(userId, orderData) {
-        const { shippingAddress, billingAddress, paymentMethod, notes } = orderData;
+        const { shippingAddressId, billingAddressId, paymentMethod, notes, couponCode } = orderData;
+        let { shippingAddress, billingAddress } = orderData;
 
         try {
             // Start transaction
             return await this.db.transaction(async (client) => {
-                // Get cart items
+                // Snapshot address book entries chosen by id
+                if (shippingAddressId) {
+                    const address = await this.addressService.getAddressById(userId, shippingAddressId, client);
+                    shippingAddress = this.addressService.toOrderSnapshot(address);
+                }
+
+                if (billingAddressId) {
+                    const address = await this.addressService.getAddressById(userId, billingAddressId, client);
+                    billingAddress = this.addressService.toOrderSnapshot(address);
+                }
+
+                // Get cart items, priced and stocked per variant where chosen
                 const cartResult = await client.query(`
                     SELECT 
                         ci.product_id,
+                        ci.variant_id,
                         ci.quantity,
                         p.name as product_name,
-                        p.price as product_price,
-                        p.stock_quantity as product_stock,
-                        p.is_active as product_active
+                        pv.title as variant_title,
+                        pv.sku as variant_sku,
+                        COALESCE(pv.price, p.price) as product_price,
+                        COALESCE(pv.stock_quantity, p.stock_quantity) as product_stock,
+                        (p.is_active AND COALESCE(pv.is_active, true)) as product_active,
+                        COALESCE(pv.weight_grams, p.weight_grams) as product_weight,
+                        EXISTS (SELECT 1 FROM product_variants WHERE product_id = p.id) as product_has_variants
                     FROM cart_items ci
                     JOIN products p ON ci.product_id = p.id
+                    LEFT JOIN product_variants pv ON ci.variant_id = pv.id
                     WHERE ci.user_id = $1 AND p.is_active = true
                 `, [userId]);
 
@@ -33,73 +74,15 @@ class OrderService {
                 }
 
                 const cartItems = cartResult.rows;
-
-                // Validate stock and calculate total
-                let totalAmount = 0;
-                const orderItems = [];
-
-                for (const item of cartItems) {
-                    if (!item.product_active) {
-                        throw new Error(`Product "${item.product_name}" is no longer available`);
-                    }
-
-                    if (item.product_stock < item.quantity) {
-                        throw new Error(`Insufficient stock for "${item.product_name}". Available: ${item.product_stock}, Requested: ${item.quantity}`);
-                    }
-
-                    const itemTotal = item.quantity * parseFloat(item.product_price);
-                    totalAmount += itemTotal;
-
-                    orderItems.push({
-                        productId: item.product_id,
-                        quantity: item.quantity,
-                        unitPrice: parseFloat(item.product_price),
-                        totalPrice: itemTotal
-                    });
-                }
-
-                // Create order
-                const orderResult = await client.query(`
-                    INSERT INTO orders (
-                        user_id, 
-                        total_amount, 
-                        status, 
-                        shipping_address, 
-                        billing_address, 
-                        payment_method, 
-                        payment_status,
-                        notes
-                    )
-                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-                    RETURNING *
-                `, [
+                const { order, itemCount } = await this.placeOrder(client, {
                     userId,
-                    totalAmount,
-                    'pending',
-                    JSON.stringify(shippingAddress),
-                    JSON.stringify(billingAddress || shippingAddress),
+                    cartItems,
+                    shippingAddress,
+                    billingAddress,
                     paymentMethod,
-                    'pending',
-                    notes
-                ]);
-
-                const order = orderResult.rows[0];
-
-                // Create order items and update stock
-                for (const item of orderItems) {
-                    // Insert order item
-                    await client.query(`
-                        INSERT INTO order_items (order_id, product_id, quantity, unit_price, total_price)
-                        VALUES ($1, $2, $3, $4, $5)
-                    `, [order.id, item.productId, item.quantity, item.unitPrice, item.totalPrice]);
-
-                    // Update product stock
-                    await client.query(`
-                        UPDATE products 
-                        SET stock_quantity = stock_quantity - $2, updated_at = CURRENT_TIMESTAMP
-                        WHERE id = $1
-                    `, [item.productId, item.quantity]);
-                }
+                    notes,
+                    couponCode
+                });
 
                 // Clear cart
                 await client.query('DELETE FROM cart_items WHERE user_id = $1', [userId]);
@@ -108,8 +91,8 @@ class OrderService {
                     orderId: order.id,
                     orderNumber: order.order_number,
                     userId,
-                    totalAmount,
-                    itemCount: orderItems.length
+                    totalAmount: order.total_amount,
+                    itemCount
                 });
 
                 return order;
@@ -120,6 +103,255 @@ class OrderService {
         }
     }
 
+    // Guest checkout: items come from a guest cart instead of cart_items and
+    // the order is recorded against an email address with no user_id
+    async createGuestOrder(guestEmail, guestItems, orderData) {
+        const { paymentMethod, notes, couponCode, locale } = orderData;
+        const shippingAddress = this.addressService.toOrderSnapshotFromInput(orderData.shippingAddress);
+        const billingAddress = orderData.billingAddress
+            ? this.addressService.toOrderSnapshotFromInput(orderData.billingAddress)
+            : null;
+
+        try {
+            if (guestItems.length === 0) {
+                throw new Error('Cart is empty');
+            }
+
+            return await this.db.transaction(async (client) => {
+                const productResult = await client.query(`
+                    SELECT
+                        g.product_id,
+                        g.variant_id,
+                        p.name as product_name,
+                        pv.title as variant_title,
+                        pv.sku as variant_sku,
+                        COALESCE(pv.price, p.price) as product_price,
+                        COALESCE(pv.stock_quantity, p.stock_quantity) as product_stock,
+                        (p.is_active AND COALESCE(pv.is_active, true)) as product_active,
+                        COALESCE(pv.weight_grams, p.weight_grams) as product_weight,
+                        EXISTS (SELECT 1 FROM product_variants WHERE product_id = p.id) as product_has_variants
+                    FROM unnest($1::int[], $2::int[]) AS g(product_id, variant_id)
+                    JOIN products p ON p.id = g.product_id
+                    LEFT JOIN product_variants pv ON pv.id = g.variant_id AND pv.product_id = p.id
+                    WHERE g.variant_id IS NULL OR pv.id IS NOT NULL
+                `, [guestItems.map(item => item.productId), guestItems.map(item => item.variantId || null)]);
+
+                const cartItems = guestItems.map(item => {
+                    const product = productResult.rows.find(row =>
+                        row.product_id === item.productId && row.variant_id === (item.variantId || null));
+                    if (!product) {
+                        throw new Error('Product not found');
+                    }
+                    return { ...product, quantity: item.quantity };
+                });
+
+                const { order, itemCount } = await this.placeOrder(client, {
+                    userId: null,
+                    guestEmail,
+                    cartItems,
+                    shippingAddress,
+                    billingAddress,
+                    paymentMethod,
+                    notes,
+                    couponCode,
+                    locale
+                });
+
+                logger.info('Guest order created successfully', {
+                    orderId: order.id,
+                    orderNumber: order.order_number,
+                    guestEmail,
+                    totalAmount: order.total_amount,
+                    itemCount
+                });
+
+                return order;
+            });
+        } catch (error) {
+            logger.error('Error creating guest order', { error: error.message, guestEmail });
+            throw error;
+        }
+    }
+
+    // Validates stock, prices the order (items, coupon, shipping and COD fee),
+    // writes the order and its items, and either decrements stock or, for
+    // orders paid online, reserves it until the payment settles. The order
+    // takes the customer's language, or `locale` for guests, for its emails.
+    // Runs inside the caller's transaction.
+    async placeOrder(client, { userId, guestEmail = null, cartItems, shippingAddress, billingAddress, paymentMethod, notes, couponCode = null, locale = null }) {
+        const orderItems = [];
+
+        for (const item of cartItems) {
+            const name = item.variant_title ? `${item.product_name} (${item.variant_title})` : item.product_name;
+
+            if (!item.product_active) {
+                throw new Error(`Product "${name}" is no longer available`);
+            }
+
+            // Lines added before the product was split into variants
+            if (item.product_has_variants && !item.variant_id) {
+                throw new Error(`Please choose a variant of "${name}"`);
+            }
+
+            const itemTotal = item.quantity * parseFloat(item.product_price);
+
+            orderItems.push({
+                name,
+                productId: item.product_id,
+                variantId: item.variant_id || null,
+                variantSku: item.variant_sku || null,
+                variantTitle: item.variant_title || null,
+                quantity: item.quantity,
+                unitPrice: parseFloat(item.product_price),
+                totalPrice: itemTotal
+            });
+        }
+
+        // Validate stock, less what other checkouts are holding, and pick the
+        // warehouses each line ships from
+        await this.stockReservationService.assertAvailable(client, orderItems);
+        const allocations = await this.inventoryService.allocate(client, orderItems, shippingAddress);
+
+        // Same pricing as the checkout quote: subtotal, coupon, VAT and shipping line
+        const quote = await this.shippingService.quote({ items: cartItems, shippingAddress, couponCode, userId }, client);
+        let totalAmount = quote.total;
+
+        // Cash on delivery carries a fee and is limited per region and customer
+        let codFee = 0;
+        if (paymentMethod === CodService.COD_PAYMENT_METHOD) {
+            const codQuote = await this.codService.assertAvailable({
+                userId,
+                division: shippingAddress.division || shippingAddress.state,
+                subtotal: totalAmount
+            }, client);
+            codFee = codQuote.fee;
+            totalAmount = codQuote.total;
+        }
+
+        // Create order
+        const orderResult = await client.query(`
+            INSERT INTO orders (
+                user_id, 
+                total_amount, 
+                status, 
+                shipping_address, 
+                billing_address, 
+                payment_method, 
+                payment_status,
+                notes,
+                guest_email,
+                cod_fee,
+                cod_status,
+                subtotal,
+                coupon_id,
+                coupon_discount,
+                shipping_zone_id,
+                shipping_weight_grams,
+                shipping_cost,
+                shipping_discount,
+                tax_amount,
+                prices_include_tax,
+                locale
+            )
+            VALUES (
+                $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20,
+                COALESCE((SELECT locale FROM users WHERE id = $1), $21)
+            )
+            RETURNING *
+        `, [
+            userId,
+            totalAmount,
+            'pending',
+            JSON.stringify(shippingAddress),
+            JSON.stringify(billingAddress || shippingAddress),
+            paymentMethod,
+            'pending',
+            notes,
+            guestEmail,
+            codFee,
+            paymentMethod === CodService.COD_PAYMENT_METHOD ? 'pending' : null,
+            quote.subtotal,
+            quote.coupon?.id || null,
+            quote.discount,
+            quote.zone.id,
+            quote.weightGrams,
+            quote.shipping,
+            quote.shippingDiscount,
+            quote.tax.amount,
+            quote.tax.pricesIncludeTax,
+            locale || DEFAULT_LOCALE
+        ]);
+
+        const order = orderResult.rows[0];
+
+        await OrderService.recordStatusChange(client, {
+            orderId: order.id,
+            from: null,
+            to: order.status,
+            actor: 'customer',
+            changedBy: userId
+        });
+
+        if (quote.coupon) {
+            await client.query(`
+                INSERT INTO coupon_usage (coupon_id, user_id, order_id, discount_amount)
+                VALUES ($1, $2, $3, $4)
+            `, [quote.coupon.id, userId, order.id, quote.discount + quote.shippingDiscount]);
+        }
+
+        // Create order items, each with its share of the coupon and its VAT
+        for (const [index, item] of orderItems.entries()) {
+            const tax = quote.tax.items[index];
+
+            const itemResult = await client.query(`
+                INSERT INTO order_items (order_id, product_id, variant_id, variant_sku, variant_label, quantity, unit_price, total_price,
+                                         tax_class_id, tax_rate, discount_amount, tax_amount)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                RETURNING id
+            `, [order.id, item.productId, item.variantId, item.variantSku, item.variantTitle, item.quantity, item.unitPrice, item.totalPrice,
+                tax.taxClassId, tax.rate, tax.discount, tax.taxAmount]);
+            item.id = itemResult.rows[0].id;
+        }
+
+        for (const line of quote.tax.lines) {
+            await client.query(`
+                INSERT INTO order_tax_lines (order_id, tax_class_id, name, rate, taxable_amount, tax_amount)
+                VALUES ($1, $2, $3, $4, $5, $6)
+            `, [order.id, line.taxClassId, line.name, line.rate, line.taxableAmount, line.taxAmount]);
+        }
+
+        const lines = await this.inventoryService.recordAllocations(client, orderItems, allocations);
+
+        // Online payments hold the stock until they settle; everything else takes it now
+        if (StockReservationService.holdsStock(paymentMethod)) {
+            order.stock_reserved_until = await this.stockReservationService.reserve(client, order.id, lines);
+        } else {
+            for (const line of lines) {
+                await this.adjustStock(client, line.productId, line.variantId, -line.quantity, line.warehouseId, {
+                    kind: 'sale',
+                    actor: 'customer',
+                    createdBy: userId,
+                    orderId: order.id
+                });
+            }
+        }
+
+        return { order, itemCount: orderItems.length };
+    }
+
+    // Change stock by delta for an order line at the warehouse it was
+    // allocated to. Variant lines move the variant's stock and the product
+    // total follows; `movement` describes the change for the ledger.
+    async adjustStock(client, productId, variantId, delta, warehouseId = null, movement = {}) {
+        await this.inventoryService.applyStockChange(client, {
+            productId,
+            variantId,
+            warehouseId,
+            quantity: Math.abs(delta),
+            operation: delta < 0 ? 'decrement' : 'increment'
+        }, movement);
+    }
+
     async getOrders(userId, filters = {}) {
         const { page = 1, limit = 10, status } = filters;
 
@@ -257,26 +489,97 @@ class OrderService {
         }
     }
 
-    async updateOrderStatus(orderId, status, updatedBy) {
+    static canTransition(from, to) {
+        return (ORDER_TRANSITIONS[from] || []).includes(to);
+    }
+
+    static assertTransition(from, to) {
+        if (from === to) {
+            throw new Error(`Order is already ${from.replace(/_/g, ' ')}`);
+        }
+
+        if (!OrderService.canTransition(from, to)) {
+            throw new Error(`Order cannot move from ${from.replace(/_/g, ' ')} to ${to.replace(/_/g, ' ')}`);
+        }
+    }
+
+    // Who made a status change as the history stores it: a user id is an
+    // admin acting from the dashboard, anything else (e.g. 'courier:pathao')
+    // names the actor itself
+    static toActor(updatedBy) {
+        return typeof updatedBy === 'number'
+            ? { actor: 'admin', changedBy: updatedBy }
+            : { actor: updatedBy || 'system', changedBy: null };
+    }
+
+    static async recordStatusChange(client, { orderId, from, to, actor, changedBy = null, reason = null }) {
+        await client.query(`
+            INSERT INTO order_status_history (order_id, from_status, to_status, actor, changed_by, reason)
+            VALUES ($1, $2, $3, $4, $5, $6)
+        `, [orderId, from, to, actor, changedBy, reason]);
+    }
+
+    // Oldest first, with the name of the user behind each change
+    async getStatusHistory(orderId) {
+        const result = await this.db.query(`
+            SELECT h.id, h.from_status, h.to_status, h.actor, h.changed_by, h.reason, h.created_at,
+                   NULLIF(CONCAT_WS(' ', u.first_name, u.last_name), '') as changed_by_name
+            FROM order_status_history h
+            LEFT JOIN users u ON h.changed_by = u.id
+            WHERE h.order_id = $1
+            ORDER BY h.created_at, h.id
+        `, [orderId]);
+
+        return result.rows;
+    }
+
+    async updateOrderStatus(orderId, status, updatedBy, reason = null) {
         try {
-            const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+            const validStatuses = ['pending', 'confirmed', 'processing', 'partially_shipped', 'shipped', 'delivered', 'cancelled'];
 
             if (!validStatuses.includes(status)) {
                 throw new Error('Invalid order status');
             }
 
-            const result = await this.db.query(`
-                UPDATE orders 
-                SET status = $2, updated_at = CURRENT_TIMESTAMP
-                WHERE id = $1
-                RETURNING *
-            `, [orderId, status]);
+            const { order, previousStatus } = await this.db.transaction(async (client) => {
+                const currentResult = await client.query(
+                    'SELECT id, status FROM orders WHERE id = $1 FOR UPDATE',
+                    [orderId]
+                );
 
-            if (result.rows.length === 0) {
-                throw new Error('Order not found');
-            }
+                if (currentResult.rows.length === 0) {
+                    throw new Error('Order not found');
+                }
 
-            const order = result.rows[0];
+                const previous = currentResult.rows[0].status;
+                OrderService.assertTransition(previous, status);
+
+                if (status === 'cancelled') {
+                    await OrderService.assertNoOpenShipments(client, orderId);
+                }
+
+                const result = await client.query(`
+                    UPDATE orders 
+                    SET status = $2, updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                    RETURNING *
+                `, [orderId, status]);
+
+                await OrderService.recordStatusChange(client, {
+                    orderId: result.rows[0].id,
+                    from: previous,
+                    to: status,
+                    ...OrderService.toActor(updatedBy),
+                    reason
+                });
+
+                if (status === 'cancelled') {
+                    const { actor, changedBy } = OrderService.toActor(updatedBy);
+                    await this.restoreCancelledStock(client, orderId, { actor, createdBy: changedBy });
+                }
+
+                return { order: result.rows[0], previousStatus: previous };
+            });
 
             // Clear order cache
             await this.clearOrderCache(orderId);
@@ -284,6 +587,7 @@ class OrderService {
             logger.info('Order status updated successfully', {
                 orderId,
                 orderNumber: order.order_number,
+                previousStatus,
                 newStatus: status,
                 updatedBy
             });
@@ -303,9 +607,24 @@ class OrderService {
                 throw new Error('Invalid payment status');
             }
 
+            // Marking a COD order paid by hand also records the cash as collected
             const result = await this.db.query(`
                 UPDATE orders 
-                SET payment_status = $2, updated_at = CURRENT_TIMESTAMP
+                SET payment_status = $2,
+                    cod_status = CASE
+                        WHEN cod_status IS NULL THEN NULL
+                        WHEN $2 = 'paid' THEN 'collected'
+                        ELSE cod_status
+                    END,
+                    cod_collected_amount = CASE
+                        WHEN cod_status = 'pending' AND $2 = 'paid' THEN total_amount
+                        ELSE cod_collected_amount
+                    END,
+                    cod_collected_at = CASE
+                        WHEN cod_status = 'pending' AND $2 = 'paid' THEN CURRENT_TIMESTAMP
+                        ELSE cod_collected_at
+                    END,
+                    updated_at = CURRENT_TIMESTAMP
                 WHERE id = $1
                 RETURNING *
             `, [orderId, paymentStatus]);
@@ -316,6 +635,14 @@ class OrderService {
 
             const order = result.rows[0];
 
+            // Payment taken outside a gateway (e.g. a confirmed bank or bKash
+            // transfer) takes the reserved stock like a gateway payment would
+            if (paymentStatus === 'paid') {
+                const { actor, changedBy } = OrderService.toActor(updatedBy);
+                await this.db.transaction(client =>
+                    this.stockReservationService.commit(orderId, client, { actor, createdBy: changedBy }));
+            }
+
             // Clear order cache
             await this.clearOrderCache(orderId);
 
@@ -333,6 +660,41 @@ class OrderService {
         }
     }
 
+    // A booked consignment moves the order to processing, which can still
+    // be cancelled; the parcel has to be cancelled (or come back) with the
+    // courier first, so the order and the courier never disagree
+    static async assertNoOpenShipments(client, orderId) {
+        const shipmentResult = await client.query(`
+            SELECT 1 FROM shipments
+            WHERE order_id = $1 AND status NOT IN ('cancelled', 'returned')
+            LIMIT 1
+        `, [orderId]);
+
+        if (shipmentResult.rows.length > 0) {
+            throw new Error('Order cannot be cancelled while a shipment is booked with the courier');
+        }
+    }
+
+    // Restore stock a cancelled order took to the warehouses it came from;
+    // an unpaid order only held a reservation, which goes back on sale.
+    // `movement` names who cancelled, for the ledger.
+    async restoreCancelledStock(client, orderId, { actor, createdBy = null }) {
+        if (await this.stockReservationService.hasTakenStock(orderId, client)) {
+            const allocations = await this.inventoryService.getAllocations(orderId, client);
+
+            for (const allocation of allocations) {
+                await this.adjustStock(client, allocation.product_id, allocation.variant_id, allocation.quantity, allocation.warehouse_id, {
+                    kind: 'cancellation',
+                    actor,
+                    createdBy,
+                    orderId
+                });
+            }
+        }
+
+        await this.stockReservationService.release(orderId, 'order_cancelled', client);
+    }
+
     async cancelOrder(userId, orderId, reason) {
         try {
             return await this.db.transaction(async (client) => {
@@ -340,6 +702,7 @@ class OrderService {
                 const orderResult = await client.query(`
                     SELECT * FROM orders 
                     WHERE id = $1 AND user_id = $2
+                    FOR UPDATE
                 `, [orderId, userId]);
 
                 if (orderResult.rows.length === 0) {
@@ -349,24 +712,13 @@ class OrderService {
                 const order = orderResult.rows[0];
 
                 // Check if order can be cancelled
-                if (['shipped', 'delivered', 'cancelled'].includes(order.status)) {
+                if (!OrderService.canTransition(order.status, 'cancelled')) {
                     throw new Error('Order cannot be cancelled');
                 }
 
-                // Get order items to restore stock
-                const itemsResult = await client.query(`
-                    SELECT product_id, quantity FROM order_items 
-                    WHERE order_id = $1
-                `, [orderId]);
-
-                // Restore stock for each item
-                for (const item of itemsResult.rows) {
-                    await client.query(`
-                        UPDATE products 
-                        SET stock_quantity = stock_quantity + $2, updated_at = CURRENT_TIMESTAMP
-                        WHERE id = $1
-                    `, [item.product_id, item.quantity]);
-                }
+                await OrderService.assertNoOpenShipments(client, order.id);
+
+                await this.restoreCancelledStock(client, order.id, { actor: 'customer', createdBy: userId });
 
                 // Update order status
                 const updatedOrderResult = await client.query(`
@@ -380,6 +732,15 @@ class OrderService {
 
                 const updatedOrder = updatedOrderResult.rows[0];
 
+                await OrderService.recordStatusChange(client, {
+                    orderId,
+                    from: order.status,
+                    to: 'cancelled',
+                    actor: 'customer',
+                    changedBy: userId,
+                    reason
+                });
+
                 // Clear order cache
                 await this.clearOrderCache(orderId);
 
@@ -408,7 +769,7 @@ class OrderService {
             let query = `
                 SELECT 
                     o.*,
-                    u.email as user_email,
+                    COALESCE(u.email, o.guest_email) as user_email,
                     u.first_name as user_first_name,
                     u.last_name as user_last_name,
                     COUNT(oi.id) as item_count
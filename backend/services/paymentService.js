@@ -1,21 +1,49 @@
-const Stripe = require('stripe');
 const logger = require('../logger');
+const OrderService = require('./orderService');
+const StockReservationService = require('./stockReservationService');
+const { createPaymentProviders } = require('./payments');
 
 class PaymentService {
-    constructor(dbPool, redisPool) {
+    constructor(dbPool, redisPool, providers = createPaymentProviders()) {
         this.db = dbPool;
         this.redis = redisPool;
-        this.stripe = new Stripe(process.env.STRIPE_SECRET_KEY || 'sk_test_dummy_key');
-        this.webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+        this.providers = providers;
+        this.stockReservationService = new StockReservationService(dbPool, redisPool);
+        // Public URL of this API, used for gateway callback and IPN URLs
+        this.apiBaseUrl = (process.env.API_BASE_URL || 'http://localhost:5000').replace(/\/$/, '');
     }
 
-    async createPaymentIntent(orderId, amount, currency = 'usd', metadata = {}) {
+    getProvider(name) {
+        const provider = this.providers[name];
+
+        if (!provider) {
+            throw new Error(`Unsupported payment provider: ${name}`);
+        }
+
+        return provider;
+    }
+
+    getAvailableProviders() {
+        return Object.values(this.providers)
+            .filter(provider => provider.isConfigured())
+            .map(provider => provider.name);
+    }
+
+    async initiatePayment(orderId, providerName, { currency = 'bdt', metadata = {} } = {}) {
         try {
-            // Validate order exists and belongs to user
-            const orderResult = await this.db.query(
-                'SELECT id, user_id, total_amount, status, payment_status FROM orders WHERE id = $1',
-                [orderId]
-            );
+            const provider = this.getProvider(providerName);
+
+            if (!provider.isConfigured()) {
+                throw new Error(`Payment provider ${providerName} is not configured`);
+            }
+
+            const orderResult = await this.db.query(`
+                SELECT o.id, o.user_id, o.order_number, o.total_amount, o.status, o.payment_status,
+                       o.shipping_address, COALESCE(u.email, o.guest_email) as email
+                FROM orders o
+                LEFT JOIN users u ON o.user_id = u.id
+                WHERE o.id = $1
+            `, [orderId]);
 
             if (orderResult.rows.length === 0) {
                 throw new Error('Order not found');
@@ -31,45 +59,66 @@ class PaymentService {
                 throw new Error('Cannot process payment for cancelled order');
             }
 
-            // Create Stripe payment intent
-            const paymentIntent = await this.stripe.paymentIntents.create({
-                amount: Math.round(amount * 100), // Convert to cents
-                currency: currency.toLowerCase(),
-                metadata: {
-                    orderId: orderId.toString(),
-                    userId: order.user_id.toString(),
-                    ...metadata
-                },
-                automatic_payment_methods: {
-                    enabled: true,
+            // Hold the stock for this attempt; a retry after the hold lapsed
+            // fails here if the units have since been sold
+            const stockReservedUntil = await this.stockReservationService.renew(order.id);
+
+            const amount = parseFloat(order.total_amount);
+            const address = order.shipping_address || {};
+
+            const payment = await provider.initiatePayment({
+                orderId: order.id,
+                orderNumber: order.order_number,
+                userId: order.user_id,
+                amount,
+                currency,
+                customer: {
+                    name: [address.firstName, address.lastName].filter(Boolean).join(' '),
+                    email: order.email,
+                    phone: address.phone,
+                    addressLine1: address.addressLine1,
+                    city: address.city
                 },
+                callbackUrl: `${this.apiBaseUrl}/api/payments/${provider.name}/callback`,
+                ipnUrl: `${this.apiBaseUrl}/api/payments/${provider.name}/ipn`,
+                metadata
             });
 
-            // Store payment intent ID in database
             await this.db.query(`
-                UPDATE orders 
+                INSERT INTO payment_transactions
+                    (order_id, provider, provider_transaction_id, amount, currency, status, metadata)
+                VALUES ($1, $2, $3, $4, $5, 'pending', $6)
+            `, [order.id, provider.name, payment.transactionId, amount, currency.toLowerCase(), JSON.stringify(payment.raw || {})]);
+
+            // orders.payment_intent_id tracks the latest attempt for the order
+            await this.db.query(`
+                UPDATE orders
                 SET payment_intent_id = $2, updated_at = CURRENT_TIMESTAMP
                 WHERE id = $1
-            `, [orderId, paymentIntent.id]);
+            `, [order.id, payment.transactionId]);
 
-            logger.info('Payment intent created successfully', {
-                orderId,
-                paymentIntentId: paymentIntent.id,
+            logger.info('Payment initiated successfully', {
+                orderId: order.id,
+                provider: provider.name,
+                transactionId: payment.transactionId,
                 amount,
                 currency
             });
 
             return {
-                clientSecret: paymentIntent.client_secret,
-                paymentIntentId: paymentIntent.id,
-                amount: paymentIntent.amount,
-                currency: paymentIntent.currency
+                provider: provider.name,
+                transactionId: payment.transactionId,
+                redirectUrl: payment.redirectUrl,
+                clientSecret: payment.clientSecret,
+                amount,
+                currency: currency.toLowerCase(),
+                stockReservedUntil
             };
         } catch (error) {
-            logger.error('Error creating payment intent', {
+            logger.error('Error initiating payment', {
                 error: error.message,
                 orderId,
-                amount,
+                provider: providerName,
                 currency
             });
             throw error;
@@ -78,9 +127,7 @@ class PaymentService {
 
     async confirmPayment(paymentIntentId, paymentMethodId) {
         try {
-            const paymentIntent = await this.stripe.paymentIntents.confirm(paymentIntentId, {
-                payment_method: paymentMethodId,
-            });
+            const paymentIntent = await this.getProvider('stripe').confirmPayment(paymentIntentId, paymentMethodId);
 
             logger.info('Payment confirmed successfully', {
                 paymentIntentId,
@@ -98,183 +145,182 @@ class PaymentService {
         }
     }
 
-    async handleWebhook(payload, signature) {
+    // Customer returning from a hosted payment page
+    async handleCallback(providerName, params) {
         try {
-            let event;
-
-            if (this.webhookSecret) {
-                // Verify webhook signature
-                event = this.stripe.webhooks.constructEvent(payload, signature, this.webhookSecret);
-            } else {
-                // For development/testing without webhook secret
-                event = JSON.parse(payload);
-            }
-
-            logger.info('Webhook received', {
-                eventType: event.type,
-                eventId: event.id
-            });
-
-            switch (event.type) {
-                case 'payment_intent.succeeded':
-                    await this.handlePaymentSuccess(event.data.object);
-                    break;
-                case 'payment_intent.payment_failed':
-                    await this.handlePaymentFailure(event.data.object);
-                    break;
-                case 'payment_intent.canceled':
-                    await this.handlePaymentCancellation(event.data.object);
-                    break;
-                default:
-                    logger.info('Unhandled webhook event type', { eventType: event.type });
-            }
-
-            return { received: true };
+            const result = await this.getProvider(providerName).handleCallback(params);
+            return await this.recordPaymentResult(providerName, result);
         } catch (error) {
-            logger.error('Webhook handling failed', { error: error.message });
+            logger.error('Payment callback handling failed', { error: error.message, provider: providerName });
             throw error;
         }
     }
 
-    async handlePaymentSuccess(paymentIntent) {
+    // Server-to-server notification (Stripe webhook, SSLCommerz IPN)
+    async handleIpn(providerName, payload, headers = {}) {
         try {
-            const orderId = paymentIntent.metadata.orderId;
-
-            if (!orderId) {
-                throw new Error('Order ID not found in payment intent metadata');
-            }
-
-            // Update order payment status
-            const result = await this.db.query(`
-                UPDATE orders 
-                SET payment_status = 'paid', 
-                    status = CASE WHEN status = 'pending' THEN 'confirmed' ELSE status END,
-                    updated_at = CURRENT_TIMESTAMP
-                WHERE id = $1
-                RETURNING *
-            `, [orderId]);
+            const result = await this.getProvider(providerName).handleIpn(payload, headers);
 
-            if (result.rows.length === 0) {
-                throw new Error('Order not found');
+            if (!result) {
+                logger.info('Unhandled payment notification', { provider: providerName });
+                return null;
             }
 
-            const order = result.rows[0];
-
-            logger.info('Payment success handled', {
-                orderId,
-                paymentIntentId: paymentIntent.id,
-                orderNumber: order.order_number
-            });
-
-            // Here you could trigger additional actions like:
-            // - Send confirmation email
-            // - Update inventory
-            // - Notify fulfillment system
-
-            return order;
+            return await this.recordPaymentResult(providerName, result);
         } catch (error) {
-            logger.error('Error handling payment success', {
-                error: error.message,
-                paymentIntentId: paymentIntent.id
-            });
+            logger.error('Payment notification handling failed', { error: error.message, provider: providerName });
             throw error;
         }
     }
 
-    async handlePaymentFailure(paymentIntent) {
-        try {
-            const orderId = paymentIntent.metadata.orderId;
+    async handleWebhook(payload, signature) {
+        await this.handleIpn('stripe', payload, { 'stripe-signature': signature });
+        return { received: true };
+    }
 
-            if (!orderId) {
-                throw new Error('Order ID not found in payment intent metadata');
+    // Apply a normalized provider result to the stored transaction and its
+    // order. Callbacks and IPNs for the same payment can arrive in any order,
+    // so a transaction that already succeeded is left as it is.
+    async recordPaymentResult(providerName, result) {
+        return await this.db.transaction(async (client) => {
+            const transactionResult = await client.query(`
+                SELECT * FROM payment_transactions
+                WHERE provider = $1 AND provider_transaction_id = $2
+                FOR UPDATE
+            `, [providerName, result.transactionId]);
+
+            let transaction = transactionResult.rows[0];
+
+            // Stripe intents created before transactions were recorded carry the order ID in metadata
+            if (!transaction && providerName === 'stripe' && result.orderId) {
+                const insertResult = await client.query(`
+                    INSERT INTO payment_transactions
+                        (order_id, provider, provider_transaction_id, amount, currency, status)
+                    SELECT id, 'stripe', $2, $3, 'usd', 'pending' FROM orders WHERE id = $1
+                    RETURNING *
+                `, [result.orderId, result.transactionId, result.amount]);
+                transaction = insertResult.rows[0];
             }
 
-            // Update order payment status
-            const result = await this.db.query(`
-                UPDATE orders 
-                SET payment_status = 'failed', 
-                    updated_at = CURRENT_TIMESTAMP
-                WHERE id = $1
-                RETURNING *
-            `, [orderId]);
-
-            if (result.rows.length === 0) {
-                throw new Error('Order not found');
+            if (!transaction) {
+                throw new Error('Payment transaction not found');
             }
 
-            const order = result.rows[0];
-
-            logger.info('Payment failure handled', {
-                orderId,
-                paymentIntentId: paymentIntent.id,
-                orderNumber: order.order_number,
-                failureReason: paymentIntent.last_payment_error?.message
-            });
+            if (transaction.status === 'succeeded') {
+                const orderResult = await client.query('SELECT * FROM orders WHERE id = $1', [transaction.order_id]);
+                return { order: orderResult.rows[0], transaction, status: transaction.status };
+            }
 
-            // Here you could trigger additional actions like:
-            // - Send payment failure notification
-            // - Restore inventory if needed
-            // - Retry payment logic
+            let status = result.status;
+            let failureReason = result.failureReason || null;
 
-            return order;
-        } catch (error) {
-            logger.error('Error handling payment failure', {
-                error: error.message,
-                paymentIntentId: paymentIntent.id
-            });
-            throw error;
-        }
-    }
-
-    async handlePaymentCancellation(paymentIntent) {
-        try {
-            const orderId = paymentIntent.metadata.orderId;
+            // Never accept a gateway confirmation for less than was requested
+            if (status === 'succeeded' && result.amount !== null && result.amount !== undefined &&
+                Math.abs(result.amount - parseFloat(transaction.amount)) > 0.009) {
+                status = 'failed';
+                failureReason = `Amount mismatch: expected ${transaction.amount}, received ${result.amount}`;
+            }
 
-            if (!orderId) {
-                throw new Error('Order ID not found in payment intent metadata');
+            // The order may have been cancelled while the customer paid. Its
+            // status is read under lock, so a cancellation cannot slip in
+            // between; a cancelled order does not take its stock back and
+            // the payment is flagged for a refund instead.
+            let refundDue = false;
+            if (status === 'succeeded') {
+                const lockedResult = await client.query(
+                    'SELECT id, status FROM orders WHERE id = $1 FOR UPDATE',
+                    [transaction.order_id]
+                );
+                refundDue = lockedResult.rows[0]?.status === 'cancelled';
             }
 
-            // Update order payment status
-            const result = await this.db.query(`
-                UPDATE orders 
-                SET payment_status = 'failed', 
+            const updateResult = await client.query(`
+                UPDATE payment_transactions
+                SET status = $2,
+                    provider_reference = COALESCE($3, provider_reference),
+                    failure_reason = $4,
+                    metadata = COALESCE(metadata, '{}'::jsonb) || $5::jsonb,
+                    refund_due = $6,
                     updated_at = CURRENT_TIMESTAMP
                 WHERE id = $1
                 RETURNING *
-            `, [orderId]);
-
-            if (result.rows.length === 0) {
-                throw new Error('Order not found');
+            `, [transaction.id, status, result.providerReference || null, failureReason, JSON.stringify(result.raw || {}), refundDue]);
+
+            transaction = updateResult.rows[0];
+
+            let orderResult;
+            if (status === 'succeeded') {
+                orderResult = await client.query(`
+                    UPDATE orders o
+                    SET payment_status = 'paid',
+                        status = CASE WHEN o.status = 'pending' THEN 'confirmed' ELSE o.status END,
+                        updated_at = CURRENT_TIMESTAMP
+                    FROM (SELECT id, status FROM orders WHERE id = $1 FOR UPDATE) previous
+                    WHERE o.id = previous.id
+                    RETURNING o.*, previous.status as previous_status
+                `, [transaction.order_id]);
+            } else if (status === 'failed' || status === 'canceled') {
+                // A later attempt may already have paid the order
+                orderResult = await client.query(`
+                    UPDATE orders
+                    SET payment_status = CASE WHEN payment_status = 'paid' THEN payment_status ELSE 'failed' END,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                    RETURNING *
+                `, [transaction.order_id]);
+            } else {
+                orderResult = await client.query('SELECT * FROM orders WHERE id = $1', [transaction.order_id]);
             }
 
-            const order = result.rows[0];
+            const { previous_status: previousStatus, ...order } = orderResult.rows[0] || {};
+
+            // Paid orders take their reserved stock; failed and cancelled
+            // payments put it back on sale until the customer retries
+            if (refundDue) {
+                logger.warn('Payment received for a cancelled order, refund due', {
+                    orderId: transaction.order_id,
+                    provider: providerName,
+                    transactionId: result.transactionId
+                });
+            } else if (status === 'succeeded') {
+                await this.stockReservationService.commit(transaction.order_id, client, { actor: `payment:${providerName}` });
+
+                if (previousStatus === 'pending') {
+                    await OrderService.recordStatusChange(client, {
+                        orderId: transaction.order_id,
+                        from: previousStatus,
+                        to: order.status,
+                        actor: `payment:${providerName}`
+                    });
+                }
+            } else if (status === 'failed' || status === 'canceled') {
+                await this.stockReservationService.release(transaction.order_id,
+                    status === 'canceled' ? 'payment_canceled' : 'payment_failed', client);
+            }
 
-            logger.info('Payment cancellation handled', {
-                orderId,
-                paymentIntentId: paymentIntent.id,
-                orderNumber: order.order_number
+            logger.info('Payment result recorded', {
+                orderId: transaction.order_id,
+                orderNumber: order?.order_number,
+                provider: providerName,
+                transactionId: result.transactionId,
+                status,
+                failureReason
             });
 
-            return order;
-        } catch (error) {
-            logger.error('Error handling payment cancellation', {
-                error: error.message,
-                paymentIntentId: paymentIntent.id
-            });
-            throw error;
-        }
+            return { order, transaction, status };
+        });
     }
 
     async getPaymentStatus(orderId) {
         try {
             const result = await this.db.query(`
-                SELECT 
-                    id, 
-                    payment_status, 
-                    payment_intent_id, 
+                SELECT
+                    id,
+                    payment_status,
+                    payment_intent_id,
                     total_amount,
                     status
-                FROM orders 
+                FROM orders
                 WHERE id = $1
             `, [orderId]);
 
@@ -284,52 +330,67 @@ class PaymentService {
 
             const order = result.rows[0];
 
-            // If we have a payment intent ID, get the latest status from Stripe
-            if (order.payment_intent_id) {
-                try {
-                    const paymentIntent = await this.stripe.paymentIntents.retrieve(order.payment_intent_id);
+            const transactionResult = await this.db.query(`
+                SELECT * FROM payment_transactions
+                WHERE order_id = $1
+                ORDER BY created_at DESC, id DESC
+                LIMIT 1
+            `, [orderId]);
 
-                    return {
-                        orderId: order.id,
-                        paymentStatus: order.payment_status,
-                        orderStatus: order.status,
-                        totalAmount: order.total_amount,
-                        stripeStatus: paymentIntent.status,
-                        paymentIntentId: order.payment_intent_id
-                    };
-                } catch (stripeError) {
-                    logger.warn('Failed to retrieve payment intent from Stripe', {
-                        orderId,
-                        paymentIntentId: order.payment_intent_id,
-                        error: stripeError.message
-                    });
-                }
+            let transaction = transactionResult.rows[0];
+
+            // Orders paid before transactions were recorded only have a Stripe intent ID
+            if (!transaction && order.payment_intent_id) {
+                transaction = { provider: 'stripe', provider_transaction_id: order.payment_intent_id, order_id: order.id };
             }
 
-            return {
+            const paymentStatus = {
                 orderId: order.id,
                 paymentStatus: order.payment_status,
                 orderStatus: order.status,
                 totalAmount: order.total_amount,
-                paymentIntentId: order.payment_intent_id
+                paymentIntentId: order.payment_intent_id,
+                provider: transaction?.provider || null,
+                transactionId: transaction?.provider_transaction_id || null
             };
+
+            // Get the latest status from the gateway
+            if (transaction) {
+                try {
+                    const providerResult = await this.getProvider(transaction.provider).verifyPayment(transaction);
+                    paymentStatus.providerStatus = providerResult.status;
+                } catch (providerError) {
+                    logger.warn('Failed to retrieve payment status from provider', {
+                        orderId,
+                        provider: transaction.provider,
+                        transactionId: transaction.provider_transaction_id,
+                        error: providerError.message
+                    });
+                }
+            }
+
+            return paymentStatus;
         } catch (error) {
             logger.error('Error getting payment status', { error: error.message, orderId });
             throw error;
         }
     }
 
-    async refundPayment(orderId, amount = null, reason = 'requested_by_customer') {
+    // Refund through the gateway that took the payment. With an
+    // idempotencyKey a retried refund is answered from the one already
+    // recorded under that key, and gateways that take a key get it, so a
+    // refund whose answer was lost is not made twice.
+    async refundPayment(orderId, amount = null, reason = 'requested_by_customer', idempotencyKey = null) {
         try {
             // Get order details
             const orderResult = await this.db.query(`
-                SELECT 
-                    id, 
-                    payment_intent_id, 
-                    payment_status, 
+                SELECT
+                    id,
+                    payment_intent_id,
+                    payment_status,
                     total_amount,
                     status
-                FROM orders 
+                FROM orders
                 WHERE id = $1
             `, [orderId]);
 
@@ -339,48 +400,117 @@ class PaymentService {
 
             const order = orderResult.rows[0];
 
+            if (idempotencyKey) {
+                const recordedResult = await this.db.query(
+                    'SELECT * FROM refund_transactions WHERE idempotency_key = $1',
+                    [idempotencyKey]
+                );
+                const recorded = recordedResult.rows[0];
+
+                if (recorded) {
+                    return {
+                        refundId: recorded.provider_refund_id,
+                        provider: recorded.provider,
+                        amount: parseFloat(recorded.amount),
+                        currency: recorded.currency,
+                        status: recorded.status,
+                        isFullRefund: order.payment_status === 'refunded'
+                    };
+                }
+            }
+
             if (order.payment_status !== 'paid') {
                 throw new Error('Order payment is not in paid status');
             }
 
-            if (!order.payment_intent_id) {
-                throw new Error('No payment intent found for this order');
+            const transactionResult = await this.db.query(`
+                SELECT * FROM payment_transactions
+                WHERE order_id = $1 AND status = 'succeeded'
+                ORDER BY created_at DESC, id DESC
+                LIMIT 1
+            `, [orderId]);
+
+            let transaction = transactionResult.rows[0];
+
+            if (!transaction && order.payment_intent_id) {
+                transaction = {
+                    id: null,
+                    provider: 'stripe',
+                    provider_transaction_id: order.payment_intent_id,
+                    order_id: order.id,
+                    amount: order.total_amount,
+                    currency: 'usd'
+                };
+            }
+
+            if (!transaction) {
+                throw new Error('No payment transaction found for this order');
             }
 
-            // Create refund in Stripe
-            const refundAmount = amount ? Math.round(amount * 100) : Math.round(order.total_amount * 100);
+            const refundedResult = await this.db.query(`
+                SELECT COALESCE(SUM(amount), 0) as refunded
+                FROM refund_transactions
+                WHERE order_id = $1 AND status IN ('pending', 'succeeded')
+            `, [orderId]);
 
-            const refund = await this.stripe.refunds.create({
-                payment_intent: order.payment_intent_id,
-                amount: refundAmount,
-                reason: reason,
-                metadata: {
-                    orderId: orderId.toString()
-                }
-            });
+            const totalAmount = parseFloat(order.total_amount);
+            const alreadyRefunded = parseFloat(refundedResult.rows[0].refunded);
+            const refundable = parseFloat((totalAmount - alreadyRefunded).toFixed(2));
+            const refundAmount = amount ? parseFloat(amount) : refundable;
 
-            // Update order payment status
-            const isFullRefund = refundAmount >= Math.round(order.total_amount * 100);
-            const newPaymentStatus = isFullRefund ? 'refunded' : 'paid'; // Partial refunds keep 'paid' status
+            if (refundAmount <= 0 || refundAmount > refundable) {
+                throw new Error(`Refund amount exceeds the refundable balance of ${refundable}`);
+            }
+
+            const refund = await this.getProvider(transaction.provider).refund(transaction, refundAmount, reason, idempotencyKey);
 
             await this.db.query(`
-                UPDATE orders 
-                SET payment_status = $2, 
-                    updated_at = CURRENT_TIMESTAMP
-                WHERE id = $1
-            `, [orderId, newPaymentStatus]);
+                INSERT INTO refund_transactions
+                    (order_id, payment_transaction_id, provider, provider_refund_id, amount, currency, status, reason, metadata,
+                     idempotency_key)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+            `, [
+                orderId,
+                transaction.id,
+                transaction.provider,
+                refund.refundId,
+                refundAmount,
+                refund.currency || transaction.currency,
+                refund.status,
+                reason,
+                JSON.stringify(refund.raw || {}),
+                idempotencyKey
+            ]);
+
+            // Partial refunds keep 'paid' status
+            const isFullRefund = refund.status !== 'failed' && alreadyRefunded + refundAmount >= totalAmount - 0.009;
+
+            if (isFullRefund) {
+                await this.db.query(`
+                    UPDATE orders
+                    SET payment_status = 'refunded',
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                `, [orderId]);
+                await this.db.query(
+                    'UPDATE payment_transactions SET refund_due = FALSE WHERE order_id = $1 AND refund_due',
+                    [orderId]
+                );
+            }
 
             logger.info('Refund processed successfully', {
                 orderId,
-                refundId: refund.id,
-                refundAmount: refundAmount / 100,
+                provider: transaction.provider,
+                refundId: refund.refundId,
+                refundAmount,
                 isFullRefund
             });
 
             return {
-                refundId: refund.id,
-                amount: refundAmount / 100,
-                currency: refund.currency,
+                refundId: refund.refundId,
+                provider: transaction.provider,
+                amount: refundAmount,
+                currency: refund.currency || transaction.currency,
                 status: refund.status,
                 isFullRefund
             };
@@ -390,14 +520,87 @@ class PaymentService {
         }
     }
 
-    async createCustomer(userEmail, userName, metadata = {}) {
+    // Cash on delivery orders are refunded by hand; this only records the
+    // refund against the order's balance. `reference` says where the money
+    // went (e.g. the return number). Runs on `client` when given, so callers
+    // can record it in their own transaction.
+    async recordCashRefund(orderId, amount, reference, reason = 'requested_by_customer', client = this.db) {
         try {
-            const customer = await this.stripe.customers.create({
-                email: userEmail,
-                name: userName,
-                metadata: metadata
+            const orderResult = await client.query(`
+                SELECT id, payment_method, payment_status, total_amount
+                FROM orders
+                WHERE id = $1
+            `, [orderId]);
+
+            if (orderResult.rows.length === 0) {
+                throw new Error('Order not found');
+            }
+
+            const order = orderResult.rows[0];
+
+            if (order.payment_method !== 'cash_on_delivery') {
+                throw new Error('Only cash on delivery orders can be refunded in cash');
+            }
+
+            const refundedResult = await client.query(`
+                SELECT COALESCE(SUM(amount), 0) as refunded
+                FROM refund_transactions
+                WHERE order_id = $1 AND status IN ('pending', 'succeeded')
+            `, [orderId]);
+
+            const totalAmount = parseFloat(order.total_amount);
+            const alreadyRefunded = parseFloat(refundedResult.rows[0].refunded);
+            const refundable = parseFloat((totalAmount - alreadyRefunded).toFixed(2));
+            const refundAmount = parseFloat(amount);
+
+            if (refundAmount <= 0 || refundAmount > refundable) {
+                throw new Error(`Refund amount exceeds the refundable balance of ${refundable}`);
+            }
+
+            const refundResult = await client.query(`
+                INSERT INTO refund_transactions
+                    (order_id, payment_transaction_id, provider, provider_refund_id, amount, currency, status, reason)
+                VALUES ($1, NULL, 'cash_on_delivery', $2, $3, 'bdt', 'succeeded', $4)
+                RETURNING id
+            `, [orderId, reference, refundAmount, reason]);
+
+            const isFullRefund = alreadyRefunded + refundAmount >= totalAmount - 0.009;
+
+            if (isFullRefund) {
+                await client.query(`
+                    UPDATE orders
+                    SET payment_status = 'refunded',
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                `, [orderId]);
+            }
+
+            logger.info('Cash refund recorded', {
+                orderId,
+                reference,
+                refundAmount,
+                isFullRefund
             });
 
+            return {
+                refundId: reference,
+                refundTransactionId: refundResult.rows[0].id,
+                provider: 'cash_on_delivery',
+                amount: refundAmount,
+                currency: 'bdt',
+                status: 'succeeded',
+                isFullRefund
+            };
+        } catch (error) {
+            logger.error('Error recording cash refund', { error: error.message, orderId, amount, reference });
+            throw error;
+        }
+    }
+
+    async createCustomer(userEmail, userName, metadata = {}) {
+        try {
+            const customer = await this.getProvider('stripe').createCustomer(userEmail, userName, metadata);
+
             logger.info('Stripe customer created', {
                 customerId: customer.id,
                 email: userEmail
@@ -412,12 +615,7 @@ class PaymentService {
 
     async getPaymentMethods(customerId) {
         try {
-            const paymentMethods = await this.stripe.paymentMethods.list({
-                customer: customerId,
-                type: 'card',
-            });
-
-            return paymentMethods.data;
+            return await this.getProvider('stripe').getPaymentMethods(customerId);
         } catch (error) {
             logger.error('Error retrieving payment methods', { error: error.message, customerId });
             throw error;
@@ -425,4 +623,4 @@ class PaymentService {
     }
 }
 
-module.exports = PaymentService;
\ No newline at end of file
+module.exports = PaymentService;
@@ -0,0 +1,152 @@
+const PaymentProvider = require('./paymentProvider');
+const { TokenCache } = require('../http/jsonClient');
+
+// bKash tokenized checkout. The customer is redirected to bkashURL and comes
+// back to our callback with ?paymentID&status; the payment only completes once
+// we call execute, so there is no separate IPN.
+class BkashProvider extends PaymentProvider {
+    constructor(config = {}) {
+        super('bkash', config);
+        this.baseUrl = (config.baseUrl || 'https://tokenized.sandbox.bka.sh/v1.2.0-beta').replace(/\/$/, '');
+        this.tokens = new TokenCache(() => this.grantToken());
+    }
+
+    isConfigured() {
+        return Boolean(this.config.appKey && this.config.appSecret && this.config.username && this.config.password);
+    }
+
+    // bKash reports most errors with HTTP 200 and a non-zero statusCode
+    async call(path, body) {
+        const data = await this.requestJson(`${this.baseUrl}${path}`, {
+            headers: {
+                Authorization: await this.tokens.get(),
+                'X-App-Key': this.config.appKey
+            },
+            body
+        });
+
+        if (data.statusCode && data.statusCode !== '0000') {
+            throw new Error(`bKash request failed: ${data.statusMessage || data.statusCode}`);
+        }
+
+        return data;
+    }
+
+    async grantToken() {
+        const data = await this.requestJson(`${this.baseUrl}/tokenized/checkout/token/grant`, {
+            headers: {
+                username: this.config.username,
+                password: this.config.password
+            },
+            body: {
+                app_key: this.config.appKey,
+                app_secret: this.config.appSecret
+            }
+        });
+
+        if (!data.id_token) {
+            throw new Error(`bKash token grant failed: ${data.statusMessage || data.msg || 'no token returned'}`);
+        }
+
+        return { token: data.id_token, expiresIn: data.expires_in };
+    }
+
+    async initiatePayment({ orderNumber, amount, currency, customer = {}, callbackUrl }) {
+        if (currency.toUpperCase() !== 'BDT') {
+            throw new Error('bKash only supports BDT payments');
+        }
+
+        const data = await this.call('/tokenized/checkout/create', {
+            mode: '0011',
+            payerReference: customer.phone || orderNumber,
+            callbackURL: callbackUrl,
+            amount: Number(amount).toFixed(2),
+            currency: 'BDT',
+            intent: 'sale',
+            merchantInvoiceNumber: orderNumber
+        });
+
+        return {
+            transactionId: data.paymentID,
+            redirectUrl: data.bkashURL,
+            clientSecret: null,
+            raw: { transactionStatus: data.transactionStatus }
+        };
+    }
+
+    toResult(data) {
+        const completed = data.transactionStatus === 'Completed';
+
+        return {
+            transactionId: data.paymentID,
+            status: completed ? 'succeeded' : data.transactionStatus === 'Initiated' ? 'pending' : 'failed',
+            providerReference: data.trxID || null,
+            amount: data.amount ? parseFloat(data.amount) : null,
+            failureReason: completed ? null : data.statusMessage || data.transactionStatus,
+            raw: data
+        };
+    }
+
+    async handleCallback({ paymentID, status }) {
+        if (!paymentID) {
+            throw new Error('bKash callback is missing paymentID');
+        }
+
+        if (status === 'cancel' || status === 'failure') {
+            return {
+                transactionId: paymentID,
+                status: status === 'cancel' ? 'canceled' : 'failed',
+                providerReference: null,
+                amount: null,
+                failureReason: `Customer returned with status ${status}`,
+                raw: { status }
+            };
+        }
+
+        try {
+            return this.toResult(await this.call('/tokenized/checkout/execute', { paymentID }));
+        } catch (error) {
+            // Execute is not idempotent; a retried callback must read the stored state instead
+            const query = await this.call('/tokenized/checkout/payment/status', { paymentID });
+            if (query.transactionStatus === 'Completed') {
+                return this.toResult(query);
+            }
+            throw error;
+        }
+    }
+
+    async verifyPayment(transaction) {
+        return this.toResult(await this.call('/tokenized/checkout/payment/status', {
+            paymentID: transaction.provider_transaction_id
+        }));
+    }
+
+    async refund(transaction, amount, reason) {
+        let data;
+        try {
+            data = await this.call('/tokenized/checkout/payment/refund', {
+                paymentID: transaction.provider_transaction_id,
+                trxID: transaction.provider_reference,
+                amount: Number(amount).toFixed(2),
+                sku: `order-${transaction.order_id}`,
+                reason
+            });
+        } catch (error) {
+            // bKash answered with an error code, so no refund was made
+            if (error.message.startsWith('bKash request failed')) {
+                return { refundId: null, amount: Number(amount), currency: 'bdt', status: 'failed', raw: { error: error.message } };
+            }
+            throw error;
+        }
+
+        return {
+            refundId: data.refundTrxID,
+            amount: parseFloat(data.amount),
+            currency: 'bdt',
+            status: data.transactionStatus === 'Completed' ? 'succeeded' : 'pending',
+            raw: data
+        };
+    }
+}
+
+module.exports = BkashProvider;
@@ -0,0 +1,57 @@
+const StripeProvider = require('./stripeProvider');
+const BkashProvider = require('./bkashProvider');
+const NagadProvider = require('./nagadProvider');
+const SslCommerzProvider = require('./sslcommerzProvider');
+
+const PROVIDER_CLASSES = {
+    stripe: StripeProvider,
+    bkash: BkashProvider,
+    nagad: NagadProvider,
+    sslcommerz: SslCommerzProvider
+};
+
+const PROVIDER_NAMES = Object.keys(PROVIDER_CLASSES);
+
+// Gateway credentials and endpoints come from the environment. The base URLs
+// default to each gateway's sandbox and are overridden to hit mock servers.
+const loadProviderConfig = (env = process.env) => ({
+    stripe: {
+        secretKey: env.STRIPE_SECRET_KEY,
+        webhookSecret: env.STRIPE_WEBHOOK_SECRET,
+        apiHost: env.STRIPE_API_HOST
+    },
+    bkash: {
+        baseUrl: env.BKASH_BASE_URL,
+        appKey: env.BKASH_APP_KEY,
+        appSecret: env.BKASH_APP_SECRET,
+        username: env.BKASH_USERNAME,
+        password: env.BKASH_PASSWORD
+    },
+    nagad: {
+        baseUrl: env.NAGAD_BASE_URL,
+        merchantId: env.NAGAD_MERCHANT_ID,
+        merchantNumber: env.NAGAD_MERCHANT_NUMBER,
+        merchantPrivateKey: env.NAGAD_MERCHANT_PRIVATE_KEY,
+        publicKey: env.NAGAD_PUBLIC_KEY,
+        serverIp: env.NAGAD_SERVER_IP
+    },
+    sslcommerz: {
+        baseUrl: env.SSLCOMMERZ_BASE_URL,
+        storeId: env.SSLCOMMERZ_STORE_ID,
+        storePassword: env.SSLCOMMERZ_STORE_PASSWORD
+    }
+});
+
+const createPaymentProviders = (config = loadProviderConfig()) => {
+    const providers = {};
+    for (const name of PROVIDER_NAMES) {
+        providers[name] = new PROVIDER_CLASSES[name](config[name] || {});
+    }
+    return providers;
+};
+
+module.exports = {
+    PROVIDER_NAMES,
+    loadProviderConfig,
+    createPaymentProviders
+};
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+// Nagad exchanges "sensitiveData" encrypted with the receiver's RSA public key
+// (PKCS#1 v1.5) and signed with the sender's private key (SHA256withRSA).
+
+// Keys are usually issued as bare base64 bodies; accept those as well as PEM
+const toPem = (key, type) => {
+    if (!key) {
+        return key;
+    }
+    if (key.includes('-----BEGIN')) {
+        return key;
+    }
+    const body = key.replace(/\s+/g, '').match(/.{1,64}/g).join('\n');
+    return `-----BEGIN ${type}-----\n${body}\n-----END ${type}-----`;
+};
+
+const toBuffer = (data) => Buffer.from(typeof data === 'string' ? data : JSON.stringify(data));
+
+const encryptSensitiveData = (data, publicKey) => {
+    return crypto.publicEncrypt(
+        { key: toPem(publicKey, 'PUBLIC KEY'), padding: crypto.constants.RSA_PKCS1_PADDING },
+        toBuffer(data)
+    ).toString('base64');
+};
+
+// Node no longer decrypts PKCS#1 v1.5 directly (CVE-2023-46809), so decrypt
+// without padding and strip the 0x00 0x02 <non-zero padding> 0x00 prefix here.
+// Returns the plaintext so the caller can check its signature before parsing.
+const decryptSensitiveData = (encrypted, privateKey) => {
+    const block = crypto.privateDecrypt(
+        { key: toPem(privateKey, 'PRIVATE KEY'), padding: crypto.constants.RSA_NO_PADDING },
+        Buffer.from(encrypted, 'base64')
+    );
+
+    const separator = block.indexOf(0, 2);
+    if (block[0] !== 0 || block[1] !== 2 || separator < 10) {
+        throw new Error('Nagad sensitive data could not be decrypted');
+    }
+
+    return block.subarray(separator + 1).toString();
+};
+
+const sign = (data, privateKey) => {
+    return crypto.sign('sha256', toBuffer(data), toPem(privateKey, 'PRIVATE KEY'))
+        .toString('base64');
+};
+
+const verify = (data, signature, publicKey) => {
+    return crypto.verify(
+        'sha256',
+        toBuffer(data),
+        toPem(publicKey, 'PUBLIC KEY'),
+        Buffer.from(signature, 'base64')
+    );
+};
+
+const randomChallenge = () => crypto.randomBytes(20).toString('hex');
+
+module.exports = {
+    toPem,
+    randomChallenge,
+    encryptSensitiveData,
+    decryptSensitiveData,
+    sign,
+    verify
+};
@@ -0,0 +1,203 @@
+const PaymentProvider = require('./paymentProvider');
+const nagadCrypto = require('./nagadCrypto');
+
+const CALLBACK_STATUS = {
+    Success: 'succeeded',
+    Aborted: 'canceled',
+    Cancelled: 'canceled',
+    Failed: 'failed'
+};
+
+// Nagad checkout: initialize returns a challenge, complete returns the hosted
+// page URL, and the customer comes back to our callback with payment_ref_id.
+// The outcome is always confirmed through the verify endpoint.
+class NagadProvider extends PaymentProvider {
+    constructor(config = {}) {
+        super('nagad', config);
+        this.baseUrl = (config.baseUrl || 'http://sandbox.mynagad.com:10080/remote-payment-gateway-1.0').replace(/\/$/, '');
+    }
+
+    isConfigured() {
+        return Boolean(this.config.merchantId && this.config.merchantNumber &&
+            this.config.merchantPrivateKey && this.config.publicKey);
+    }
+
+    get headers() {
+        return {
+            'X-KM-Api-Version': 'v-0.2.0',
+            'X-KM-IP-V4': this.config.serverIp || '127.0.0.1',
+            'X-KM-Client-Type': 'PC_WEB'
+        };
+    }
+
+    // Nagad expects Asia/Dhaka time as yyyyMMddHHmmss
+    formatDateTime(date = new Date()) {
+        const dhaka = new Date(date.getTime() + 6 * 60 * 60 * 1000);
+        return dhaka.toISOString().replace(/[-:T]/g, '').slice(0, 14);
+    }
+
+    sealSensitiveData(data) {
+        const plaintext = JSON.stringify(data);
+
+        return {
+            sensitiveData: nagadCrypto.encryptSensitiveData(plaintext, this.config.publicKey),
+            signature: nagadCrypto.sign(plaintext, this.config.merchantPrivateKey)
+        };
+    }
+
+    openSensitiveData({ sensitiveData, signature }) {
+        const plaintext = nagadCrypto.decryptSensitiveData(sensitiveData, this.config.merchantPrivateKey);
+
+        if (!signature || !nagadCrypto.verify(plaintext, signature, this.config.publicKey)) {
+            throw new Error('Nagad response signature is invalid');
+        }
+
+        return JSON.parse(plaintext);
+    }
+
+    async initiatePayment({ orderId, amount, currency, callbackUrl, metadata = {} }) {
+        if (currency.toUpperCase() !== 'BDT') {
+            throw new Error('Nagad only supports BDT payments');
+        }
+
+        const { merchantId, merchantNumber } = this.config;
+        // Nagad order IDs must be alphanumeric and unique per attempt
+        const nagadOrderId = `O${orderId}T${Date.now()}`;
+        const dateTime = this.formatDateTime();
+
+        const initialized = await this.requestJson(
+            `${this.baseUrl}/api/dfs/check-out/initialize/${merchantId}/${nagadOrderId}?locale=EN`,
+            {
+                headers: this.headers,
+                body: {
+                    accountNumber: merchantNumber,
+                    dateTime,
+                    ...this.sealSensitiveData({
+                        merchantId,
+                        datetime: dateTime,
+                        orderId: nagadOrderId,
+                        challenge: nagadCrypto.randomChallenge()
+                    })
+                }
+            }
+        );
+
+        if (!initialized.sensitiveData) {
+            throw new Error(`Nagad initialization failed: ${initialized.message || initialized.reason || 'no data returned'}`);
+        }
+
+        const { paymentReferenceId, challenge } = this.openSensitiveData(initialized);
+
+        const completed = await this.requestJson(
+            `${this.baseUrl}/api/dfs/check-out/complete/${paymentReferenceId}`,
+            {
+                headers: this.headers,
+                body: {
+                    ...this.sealSensitiveData({
+                        merchantId,
+                        orderId: nagadOrderId,
+                        currencyCode: '050',
+                        amount: Number(amount).toFixed(2),
+                        challenge
+                    }),
+                    merchantCallbackURL: callbackUrl,
+                    additionalMerchantInfo: { orderId: String(orderId), ...metadata }
+                }
+            }
+        );
+
+        if (completed.status !== 'Success' || !completed.callBackUrl) {
+            throw new Error(`Nagad checkout failed: ${completed.message || completed.status}`);
+        }
+
+        return {
+            transactionId: nagadOrderId,
+            redirectUrl: completed.callBackUrl,
+            clientSecret: null,
+            raw: { paymentReferenceId }
+        };
+    }
+
+    toResult(data) {
+        const status = CALLBACK_STATUS[data.status] || 'pending';
+
+        return {
+            transactionId: data.orderId,
+            status,
+            providerReference: data.paymentRefId || null,
+            amount: data.amount ? parseFloat(data.amount) : null,
+            failureReason: status === 'succeeded' ? null : data.statusCode || data.status,
+            raw: data
+        };
+    }
+
+    async fetchPayment(paymentRefId) {
+        return await this.requestJson(`${this.baseUrl}/api/dfs/verify/payment/${paymentRefId}`, {
+            method: 'GET',
+            headers: this.headers
+        });
+    }
+
+    // The callback query string is not signed, so only the reference is trusted
+    async handleCallback({ payment_ref_id: paymentRefId, order_id: nagadOrderId, status }) {
+        if (!paymentRefId) {
+            if (!nagadOrderId) {
+                throw new Error('Nagad callback is missing payment_ref_id');
+            }
+            return {
+                transactionId: nagadOrderId,
+                status: CALLBACK_STATUS[status] === 'canceled' ? 'canceled' : 'failed',
+                providerReference: null,
+                amount: null,
+                failureReason: `Customer returned with status ${status}`,
+                raw: { status }
+            };
+        }
+
+        return this.toResult(await this.fetchPayment(paymentRefId));
+    }
+
+    async verifyPayment(transaction) {
+        if (!transaction.provider_reference) {
+            return {
+                transactionId: transaction.provider_transaction_id,
+                status: 'pending',
+                providerReference: null,
+                amount: null,
+                failureReason: null,
+                raw: {}
+            };
+        }
+
+        return this.toResult(await this.fetchPayment(transaction.provider_reference));
+    }
+
+    async refund(transaction, amount, reason, idempotencyKey = null) {
+        const data = await this.requestJson(
+            `${this.baseUrl}/api/dfs/purchase/cancel?paymentRefId=${encodeURIComponent(transaction.provider_reference)}`,
+            {
+                headers: this.headers,
+                body: this.sealSensitiveData({
+                    merchantId: this.config.merchantId,
+                    originalRequestDate: this.formatDateTime(new Date(transaction.created_at)).slice(0, 8),
+                    originalAmount: Number(transaction.amount).toFixed(2),
+                    cancelAmount: Number(amount).toFixed(2),
+                    referenceNo: idempotencyKey || `R${transaction.order_id}T${Date.now()}`,
+                    referenceMessage: reason
+                })
+            }
+        );
+
+        const result = this.openSensitiveData(data);
+
+        return {
+            refundId: result.cancelIssuerRefNo || result.cancelTrxId,
+            amount: parseFloat(result.cancelAmount),
+            currency: 'bdt',
+            status: 'succeeded',
+            raw: result
+        };
+    }
+}
+
+module.exports = NagadProvider;
@@ -0,0 +1,59 @@
+const { requestJson } = require('../http/jsonClient');
+
+// Base class for payment gateway adapters. PaymentService only talks to
+// gateways through these methods, so every adapter translates its gateway's
+// responses into the normalized shapes documented below.
+//
+// Normalized payment result (callbacks, IPNs and verification):
+//   { transactionId, status, providerReference, amount, failureReason, raw }
+// where status is one of 'pending', 'succeeded', 'failed' or 'canceled'.
+class PaymentProvider {
+    constructor(name, config = {}) {
+        this.name = name;
+        this.config = config;
+    }
+
+    // Whether the credentials needed to talk to the gateway are present
+    isConfigured() {
+        return true;
+    }
+
+    // Start a payment for an order.
+    // payment: { orderId, orderNumber, amount, currency, customer, callbackUrl, ipnUrl, metadata }
+    // Returns { transactionId, redirectUrl, clientSecret, raw }
+    async initiatePayment(_payment) {
+        throw new Error(`Payment provider ${this.name} does not support initiating payments`);
+    }
+
+    // Customer returning from the gateway's hosted page
+    async handleCallback(_params) {
+        throw new Error(`Payment provider ${this.name} does not support callbacks`);
+    }
+
+    // Server-to-server notification from the gateway. Returns a normalized
+    // result, or null for notifications that need no action.
+    async handleIpn(_payload, _headers) {
+        throw new Error(`Payment provider ${this.name} does not support IPN`);
+    }
+
+    // Query the gateway for the current state of a stored transaction
+    async verifyPayment(_transaction) {
+        throw new Error(`Payment provider ${this.name} does not support payment verification`);
+    }
+
+    // Returns { refundId, amount, currency, status, raw }, with status
+    // 'failed' when the gateway answered and turned the refund down. Errors
+    // are left to throw: the refund may or may not have been made. Gateways
+    // that accept one are sent idempotencyKey, so retrying under the same
+    // key cannot refund twice.
+    async refund(_transaction, _amount, _reason, _idempotencyKey = null) {
+        throw new Error(`Payment provider ${this.name} does not support refunds`);
+    }
+
+    // JSON request helper shared by the HTTP based adapters
+    async requestJson(url, options = {}) {
+        return requestJson(url, options, `Payment provider ${this.name}`);
+    }
+}
+
+module.exports = PaymentProvider;
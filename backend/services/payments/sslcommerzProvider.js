@@ -0,0 +1,181 @@
+const crypto = require('crypto');
+const PaymentProvider = require('./paymentProvider');
+
+const VALIDATION_STATUS = {
+    VALID: 'succeeded',
+    VALIDATED: 'succeeded',
+    PENDING: 'pending',
+    FAILED: 'failed',
+    CANCELLED: 'canceled',
+    UNATTEMPTED: 'pending',
+    EXPIRED: 'failed'
+};
+
+// SSLCommerz hosted checkout. The gateway POSTs the customer back to our
+// callback and separately sends an IPN; both are confirmed with the
+// validation API using val_id before an order is marked paid.
+class SslCommerzProvider extends PaymentProvider {
+    constructor(config = {}) {
+        super('sslcommerz', config);
+        this.baseUrl = (config.baseUrl || 'https://sandbox.sslcommerz.com').replace(/\/$/, '');
+    }
+
+    isConfigured() {
+        return Boolean(this.config.storeId && this.config.storePassword);
+    }
+
+    get credentials() {
+        return {
+            store_id: this.config.storeId,
+            store_passwd: this.config.storePassword
+        };
+    }
+
+    async queryApi(path, params) {
+        const query = new URLSearchParams({ ...params, ...this.credentials, format: 'json' });
+        return await this.requestJson(`${this.baseUrl}${path}?${query}`, { method: 'GET' });
+    }
+
+    async initiatePayment({ orderId, orderNumber, amount, currency, customer = {}, callbackUrl, ipnUrl }) {
+        // tran_id must be unique per attempt, so retries get a fresh suffix
+        const tranId = `${orderNumber}-${Date.now()}`;
+
+        const data = await this.requestJson(`${this.baseUrl}/gwprocess/v4/api.php`, {
+            form: {
+                ...this.credentials,
+                total_amount: Number(amount).toFixed(2),
+                currency: currency.toUpperCase(),
+                tran_id: tranId,
+                success_url: callbackUrl,
+                fail_url: callbackUrl,
+                cancel_url: callbackUrl,
+                ipn_url: ipnUrl,
+                cus_name: customer.name || 'Customer',
+                cus_email: customer.email || 'customer@dhakacart.com',
+                cus_phone: customer.phone || '01700000000',
+                cus_add1: customer.addressLine1 || 'Dhaka',
+                cus_city: customer.city || 'Dhaka',
+                cus_country: 'Bangladesh',
+                shipping_method: 'NO',
+                product_name: `Order ${orderNumber}`,
+                product_category: 'general',
+                product_profile: 'general',
+                value_a: String(orderId)
+            }
+        });
+
+        if (data.status !== 'SUCCESS' || !data.GatewayPageURL) {
+            throw new Error(`SSLCommerz session failed: ${data.failedreason || data.status}`);
+        }
+
+        return {
+            transactionId: tranId,
+            redirectUrl: data.GatewayPageURL,
+            clientSecret: null,
+            raw: { sessionkey: data.sessionkey }
+        };
+    }
+
+    // verify_sign is md5 over the fields named in verify_key plus md5(store_passwd)
+    isSignatureValid(payload) {
+        if (!payload.verify_sign || !payload.verify_key) {
+            return false;
+        }
+
+        const fields = { store_passwd: crypto.createHash('md5').update(this.config.storePassword || '').digest('hex') };
+        for (const key of payload.verify_key.split(',')) {
+            fields[key] = payload[key];
+        }
+
+        const hashString = Object.keys(fields).sort()
+            .map(key => `${key}=${fields[key]}`)
+            .join('&');
+
+        const expected = crypto.createHash('md5').update(hashString).digest('hex');
+        return expected === payload.verify_sign;
+    }
+
+    toResult(data) {
+        const status = VALIDATION_STATUS[data.status] || 'failed';
+
+        return {
+            transactionId: data.tran_id,
+            status,
+            providerReference: data.bank_tran_id || null,
+            amount: data.amount ? parseFloat(data.amount) : null,
+            failureReason: status === 'succeeded' ? null : data.error || data.status,
+            raw: {
+                status: data.status,
+                val_id: data.val_id,
+                card_type: data.card_type,
+                risk_level: data.risk_level
+            }
+        };
+    }
+
+    async validate(valId) {
+        return this.toResult(await this.queryApi('/validator/api/validationserverAPI.php', { val_id: valId }));
+    }
+
+    async handleCallback(payload) {
+        if (!payload.tran_id) {
+            throw new Error('SSLCommerz callback is missing tran_id');
+        }
+
+        if (payload.status !== 'VALID' || !payload.val_id) {
+            return this.toResult(payload);
+        }
+
+        return await this.validate(payload.val_id);
+    }
+
+    async handleIpn(payload) {
+        if (!this.isSignatureValid(payload)) {
+            throw new Error('SSLCommerz IPN signature is invalid');
+        }
+
+        return await this.handleCallback(payload);
+    }
+
+    async verifyPayment(transaction) {
+        const data = await this.queryApi('/validator/api/merchantTransIDvalidationAPI.php', {
+            tran_id: transaction.provider_transaction_id
+        });
+
+        const attempts = data.element || [];
+        const paid = attempts.find(attempt => VALIDATION_STATUS[attempt.status] === 'succeeded');
+
+        if (paid || attempts.length > 0) {
+            return this.toResult(paid || attempts[0]);
+        }
+
+        return this.toResult({ tran_id: transaction.provider_transaction_id, status: 'PENDING' });
+    }
+
+    async refund(transaction, amount, reason, idempotencyKey = null) {
+        const data = await this.queryApi('/validator/api/merchantTransIDvalidationAPI.php', {
+            bank_tran_id: transaction.provider_reference,
+            refund_amount: Number(amount).toFixed(2),
+            refund_remarks: reason,
+            ...(idempotencyKey ? { refe_id: idempotencyKey } : {})
+        });
+
+        if (data.APIConnect !== 'DONE') {
+            throw new Error(`SSLCommerz refund failed: ${data.APIConnect}`);
+        }
+
+        if (data.status === 'failed') {
+            return { refundId: null, amount: Number(amount), currency: transaction.currency, status: 'failed', raw: data };
+        }
+
+        return {
+            refundId: data.refund_ref_id,
+            amount: Number(amount),
+            currency: transaction.currency,
+            status: data.status === 'success' ? 'succeeded' : 'pending',
+            raw: data
+        };
+    }
+}
+
+module.exports = SslCommerzProvider;
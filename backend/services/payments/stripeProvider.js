@@ -0,0 +1,149 @@
+const Stripe = require('stripe');
+const PaymentProvider = require('./paymentProvider');
+
+// Stripe payment intents. Card details are collected client-side with the
+// returned client secret, so there is no redirect; results arrive by webhook.
+const INTENT_STATUS = {
+    succeeded: 'succeeded',
+    canceled: 'canceled',
+    requires_payment_method: 'failed'
+};
+
+class StripeProvider extends PaymentProvider {
+    constructor(config = {}) {
+        super('stripe', config);
+
+        const options = {};
+        if (config.apiHost) {
+            // Lets tests point the SDK at the local mock server
+            const apiUrl = new URL(config.apiHost);
+            options.host = apiUrl.hostname;
+            options.port = apiUrl.port;
+            options.protocol = apiUrl.protocol.replace(':', '');
+        }
+
+        this.stripe = new Stripe(config.secretKey || 'sk_test_dummy_key', options);
+        this.webhookSecret = config.webhookSecret;
+    }
+
+    toCents(amount) {
+        return Math.round(amount * 100);
+    }
+
+    async initiatePayment({ orderId, userId, amount, currency, metadata = {} }) {
+        const paymentIntent = await this.stripe.paymentIntents.create({
+            amount: this.toCents(amount),
+            currency: currency.toLowerCase(),
+            metadata: {
+                orderId: orderId.toString(),
+                ...(userId ? { userId: userId.toString() } : {}),
+                ...metadata
+            },
+            automatic_payment_methods: {
+                enabled: true,
+            },
+        });
+
+        return {
+            transactionId: paymentIntent.id,
+            clientSecret: paymentIntent.client_secret,
+            redirectUrl: null,
+            raw: {
+                amount: paymentIntent.amount,
+                currency: paymentIntent.currency,
+                status: paymentIntent.status
+            }
+        };
+    }
+
+    async confirmPayment(paymentIntentId, paymentMethodId) {
+        return await this.stripe.paymentIntents.confirm(paymentIntentId, {
+            payment_method: paymentMethodId,
+        });
+    }
+
+    toResult(paymentIntent) {
+        return {
+            transactionId: paymentIntent.id,
+            status: INTENT_STATUS[paymentIntent.status] || 'pending',
+            providerReference: paymentIntent.latest_charge || null,
+            amount: paymentIntent.amount / 100,
+            failureReason: paymentIntent.last_payment_error?.message || null,
+            orderId: paymentIntent.metadata?.orderId,
+            raw: { status: paymentIntent.status }
+        };
+    }
+
+    async handleIpn(payload, headers = {}) {
+        let event;
+
+        if (this.webhookSecret) {
+            // Verify webhook signature
+            event = this.stripe.webhooks.constructEvent(payload, headers['stripe-signature'], this.webhookSecret);
+        } else {
+            // For development/testing without webhook secret
+            event = Buffer.isBuffer(payload) || typeof payload === 'string'
+                ? JSON.parse(payload.toString())
+                : payload;
+        }
+
+        switch (event.type) {
+            case 'payment_intent.succeeded':
+                return { ...this.toResult(event.data.object), status: 'succeeded', eventId: event.id };
+            case 'payment_intent.payment_failed':
+                return { ...this.toResult(event.data.object), status: 'failed', eventId: event.id };
+            case 'payment_intent.canceled':
+                return { ...this.toResult(event.data.object), status: 'canceled', eventId: event.id };
+            default:
+                return null;
+        }
+    }
+
+    async verifyPayment(transaction) {
+        const paymentIntent = await this.stripe.paymentIntents.retrieve(transaction.provider_transaction_id);
+        return this.toResult(paymentIntent);
+    }
+
+    async refund(transaction, amount, reason, idempotencyKey = null) {
+        let refund;
+        try {
+            refund = await this.stripe.refunds.create({
+                payment_intent: transaction.provider_transaction_id,
+                amount: this.toCents(amount),
+                reason,
+                metadata: {
+                    orderId: transaction.order_id.toString()
+                }
+            }, idempotencyKey ? { idempotencyKey } : undefined);
+        } catch (error) {
+            // Stripe looked at the request and refused it
+            if (['StripeInvalidRequestError', 'StripeCardError'].includes(error.type)) {
+                return { refundId: null, amount, currency: transaction.currency, status: 'failed', raw: { error: error.message } };
+            }
+            throw error;
+        }
+
+        return {
+            refundId: refund.id,
+            amount: refund.amount / 100,
+            currency: refund.currency,
+            status: ['succeeded', 'failed', 'canceled'].includes(refund.status) ? refund.status : 'pending',
+            raw: { status: refund.status }
+        };
+    }
+
+    async createCustomer(email, name, metadata = {}) {
+        return await this.stripe.customers.create({ email, name, metadata });
+    }
+
+    async getPaymentMethods(customerId) {
+        const paymentMethods = await this.stripe.paymentMethods.list({
+            customer: customerId,
+            type: 'card',
+        });
+
+        return paymentMethods.data;
+    }
+}
+
+module.exports = StripeProvider;
@@ -0,0 +1,282 @@
+const StockReservationService = require('./stockReservationService');
+const logger = require('../logger');
+
+// Triggered alerts claimed per run of processBatch
+const BATCH_SIZE = 200;
+
+// Back-in-stock and price-drop alerts. Customers subscribe while a product
+// is sold out or above the price they want; database triggers on products,
+// product_variants and stock_reservations mark their alerts triggered in the
+// same transaction as the stock or price change (see migrations 032 and
+// 038). Sold out means no sellable stock, net of reservations, both here and
+// in the triggers. This worker then sends each customer one email covering
+// all of their triggered alerts, plus a websocket notification per alert,
+// and marks them notified so every alert fires only once. Alerts that never
+// fire expire after ALERT_TTL_DAYS.
+class ProductAlertService {
+    constructor(dbPool, emailService = null, webSocketService = null) {
+        this.db = dbPool;
+        this.emailService = emailService;
+        this.webSocketService = webSocketService;
+        this.ttlDays = parseInt(process.env.PRODUCT_ALERT_TTL_DAYS) || 90;
+        this.intervalMs = (parseInt(process.env.PRODUCT_ALERT_INTERVAL_MINUTES) || 5) * 60 * 1000;
+        this.intervalId = null;
+        this.isProcessing = false;
+    }
+
+    async getAlerts(userId, filters = {}) {
+        const { productId } = filters;
+
+        try {
+            const params = [userId];
+            let productCondition = '';
+            if (productId) {
+                params.push(productId);
+                productCondition = `AND a.product_id = $${params.length}`;
+            }
+
+            const result = await this.db.query(`
+                SELECT a.id, a.product_id, a.variant_id, a.kind, a.target_price, a.status,
+                       a.expires_at, a.triggered_at, a.notified_at, a.created_at,
+                       p.name as product_name, p.name_bn as product_name_bn,
+                       p.image_url as product_image, pv.title as variant_title,
+                       COALESCE(pv.price, p.price) as current_price,
+                       ${StockReservationService.availableStockSql('p', 'pv')} as available_quantity
+                FROM product_alerts a
+                JOIN products p ON p.id = a.product_id
+                LEFT JOIN product_variants pv ON pv.id = a.variant_id
+                WHERE a.user_id = $1 AND a.status IN ('active', 'triggered')
+                ${productCondition}
+                ORDER BY a.created_at DESC
+            `, params);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Error fetching product alerts', { error: error.message, userId, filters });
+            throw error;
+        }
+    }
+
+    // A back-in-stock alert needs the product (or variant) to be sold out
+    // and a price-drop alert a target below the current price, otherwise it
+    // would fire straight away. Subscribing again to the same alert moves its
+    // target and expiry.
+    async createAlert(userId, alertData) {
+        const { productId, variantId = null, kind, targetPrice = null } = alertData;
+
+        try {
+            const productResult = await this.db.query(`
+                SELECT p.id, p.name, pv.id as variant_id, pv.is_active as variant_active,
+                       COALESCE(pv.price, p.price) as price,
+                       ${StockReservationService.availableStockSql('p', 'pv')} as available_quantity
+                FROM products p
+                LEFT JOIN product_variants pv ON pv.id = $2 AND pv.product_id = p.id
+                WHERE p.id = $1 AND p.is_active = true
+            `, [productId, variantId]);
+
+            const product = productResult.rows[0];
+            if (!product) {
+                throw new Error('Product not found');
+            }
+            if (variantId && (!product.variant_id || !product.variant_active)) {
+                throw new Error('Product variant not found');
+            }
+
+            if (kind === 'back_in_stock' && product.available_quantity > 0) {
+                throw new Error(`"${product.name}" is in stock`);
+            }
+            if (kind === 'price_drop' && targetPrice >= Number(product.price)) {
+                throw new Error(`Target price must be below the current price of ৳${product.price}`);
+            }
+
+            const result = await this.db.query(`
+                INSERT INTO product_alerts (user_id, product_id, variant_id, kind, target_price, expires_at)
+                VALUES ($1, $2, $3, $4, $5, CURRENT_TIMESTAMP + $6 * INTERVAL '1 day')
+                ON CONFLICT (user_id, product_id, (COALESCE(variant_id, 0)), kind) WHERE status = 'active' DO UPDATE
+                SET target_price = EXCLUDED.target_price, expires_at = EXCLUDED.expires_at
+                RETURNING *
+            `, [userId, productId, variantId, kind, kind === 'price_drop' ? targetPrice : null, this.ttlDays]);
+
+            const alert = result.rows[0];
+
+            logger.info('Product alert saved', {
+                alertId: alert.id,
+                userId,
+                productId,
+                variantId,
+                kind
+            });
+
+            return alert;
+        } catch (error) {
+            logger.error('Error creating product alert', { error: error.message, userId, alertData });
+            throw error;
+        }
+    }
+
+    async deleteAlert(userId, alertId) {
+        try {
+            const result = await this.db.query(`
+                DELETE FROM product_alerts
+                WHERE id = $1 AND user_id = $2 AND status IN ('active', 'triggered')
+                RETURNING *
+            `, [alertId, userId]);
+
+            if (result.rows.length === 0) {
+                throw new Error('Alert not found');
+            }
+
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Error deleting product alert', { error: error.message, userId, alertId });
+            throw error;
+        }
+    }
+
+    async expireAlerts() {
+        const result = await this.db.query(`
+            UPDATE product_alerts
+            SET status = 'expired'
+            WHERE status = 'active' AND expires_at <= CURRENT_TIMESTAMP
+        `);
+
+        return result.rowCount;
+    }
+
+    // Claim triggered alerts, skipping any another worker holds, and mark
+    // them notified before anything is sent: a failed email is logged rather
+    // than retried, so no customer hears about the same alert twice. Returns
+    // the number of alerts processed.
+    async processBatch() {
+        const alerts = await this.db.transaction(async (client) => {
+            const claimed = await client.query(`
+                UPDATE product_alerts
+                SET status = 'notified', notified_at = CURRENT_TIMESTAMP
+                WHERE id IN (
+                    SELECT id FROM product_alerts
+                    WHERE status = 'triggered'
+                    ORDER BY triggered_at
+                    LIMIT $1
+                    FOR UPDATE SKIP LOCKED
+                )
+                RETURNING id
+            `, [BATCH_SIZE]);
+
+            if (claimed.rows.length === 0) {
+                return [];
+            }
+
+            const result = await client.query(`
+                SELECT a.id, a.user_id, a.product_id, a.variant_id, a.kind, a.target_price,
+                       u.email, u.first_name, u.last_name, u.locale,
+                       p.name as product_name, p.name_bn as product_name_bn, p.slug as product_slug,
+                       pv.title as variant_title, COALESCE(pv.price, p.price) as price
+                FROM product_alerts a
+                JOIN users u ON u.id = a.user_id
+                JOIN products p ON p.id = a.product_id
+                LEFT JOIN product_variants pv ON pv.id = a.variant_id
+                WHERE a.id = ANY($1::int[]) AND u.is_active = true
+                ORDER BY a.user_id, a.triggered_at
+            `, [claimed.rows.map(row => row.id)]);
+
+            return result.rows;
+        });
+
+        // One email per customer for everything that fired for them
+        const byUser = new Map();
+        for (const alert of alerts) {
+            if (!byUser.has(alert.user_id)) {
+                byUser.set(alert.user_id, []);
+            }
+            byUser.get(alert.user_id).push(alert);
+        }
+
+        for (const [userId, userAlerts] of byUser) {
+            const [first] = userAlerts;
+            const user = {
+                email: first.email,
+                first_name: first.first_name,
+                last_name: first.last_name,
+                locale: first.locale
+            };
+
+            if (this.emailService) {
+                const result = await this.emailService.sendProductAlertEmail(user, userAlerts);
+                if (!result.success) {
+                    logger.error('Failed to send product alert email', {
+                        userId,
+                        alertIds: userAlerts.map(alert => alert.id),
+                        error: result.error
+                    });
+                }
+            }
+
+            if (this.webSocketService) {
+                for (const alert of userAlerts) {
+                    await this.webSocketService.notifyProductAlert(userId, alert);
+                }
+            }
+        }
+
+        return alerts.length;
+    }
+
+    async run() {
+        // Hold triggered alerts until there is a way to email them
+        if (!this.emailService || !this.emailService.isInitialized) {
+            return;
+        }
+
+        await this.expireAlerts();
+
+        let processed = 0;
+        let batch;
+        do {
+            batch = await this.processBatch();
+            processed += batch;
+        } while (batch === BATCH_SIZE);
+
+        if (processed > 0) {
+            logger.info('Product alerts sent', { alerts: processed });
+        }
+    }
+
+    start() {
+        if (this.intervalId) {
+            logger.warn('Product alert worker already running');
+            return;
+        }
+
+        this.intervalId = setInterval(async () => {
+            // A run can outlast the interval while a backlog drains
+            if (this.isProcessing) {
+                return;
+            }
+
+            this.isProcessing = true;
+            try {
+                await this.run();
+            } catch (error) {
+                logger.error('Product alert worker failed', { error: error.message });
+            } finally {
+                this.isProcessing = false;
+            }
+        }, this.intervalMs);
+
+        logger.info(`Product alert worker started (interval: ${this.intervalMs}ms)`);
+    }
+
+    stop() {
+        if (!this.intervalId) {
+            return;
+        }
+
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+        logger.info('Product alert worker stopped');
+    }
+}
+
+ProductAlertService.KINDS = ['back_in_stock', 'price_drop'];
+
+module.exports = ProductAlertService;
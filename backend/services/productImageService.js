@@ -0,0 +1,267 @@
+const MediaService = require('./mediaService');
+const ProductService = require('./productService');
+const logger = require('../logger');
+
+const MAX_PRODUCT_IMAGES = 12;
+
+// Product galleries. Uploads go through MediaService; this service keeps the
+// rows ordered, exactly one image primary while any exist, and
+// products.image_url pointing at the primary image's medium rendition.
+class ProductImageService {
+    constructor(dbPool, redisPool, mediaService = new MediaService()) {
+        this.db = dbPool;
+        this.redis = redisPool;
+        this.mediaService = mediaService;
+        this.productService = new ProductService(dbPool, redisPool);
+    }
+
+    // Appends the uploads to the end of the gallery. The first image of a
+    // product without one becomes primary.
+    async addImages(productId, files, { altText = null } = {}) {
+        try {
+            const countResult = await this.db.query(`
+                SELECT p.id, COUNT(pi.id)::int as image_count
+                FROM products p
+                LEFT JOIN product_images pi ON pi.product_id = p.id
+                WHERE p.id = $1
+                GROUP BY p.id
+            `, [productId]);
+
+            if (countResult.rows.length === 0) {
+                throw new Error('Product not found');
+            }
+
+            if (countResult.rows[0].image_count + files.length > MAX_PRODUCT_IMAGES) {
+                throw new Error(`A product can have at most ${MAX_PRODUCT_IMAGES} images`);
+            }
+
+            const processed = await this.mediaService.processImages(files, `products/${productId}`);
+
+            let images;
+            try {
+                images = await this.db.transaction(async (client) => {
+                    // Lock the product so concurrent uploads get distinct positions
+                    const productResult = await client.query(
+                        'SELECT id FROM products WHERE id = $1 FOR UPDATE',
+                        [productId]
+                    );
+
+                    if (productResult.rows.length === 0) {
+                        throw new Error('Product not found');
+                    }
+
+                    const galleryResult = await client.query(`
+                        SELECT COALESCE(MAX(position) + 1, 0) as next_position,
+                               COALESCE(BOOL_OR(is_primary), false) as has_primary
+                        FROM product_images
+                        WHERE product_id = $1
+                    `, [productId]);
+
+                    let position = galleryResult.rows[0].next_position;
+                    let hasPrimary = galleryResult.rows[0].has_primary;
+
+                    for (const image of processed) {
+                        await client.query(`
+                            INSERT INTO product_images (
+                                product_id, thumbnail_url, medium_url, large_url, storage_keys,
+                                alt_text, width, height, file_size, mime_type, position, is_primary
+                            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                        `, [
+                            productId,
+                            image.renditions.thumbnail,
+                            image.renditions.medium,
+                            image.renditions.large,
+                            image.storageKeys,
+                            altText || null,
+                            image.width,
+                            image.height,
+                            image.fileSize,
+                            image.mimeType,
+                            position++,
+                            !hasPrimary
+                        ]);
+                        hasPrimary = true;
+                    }
+
+                    await this.syncPrimaryImage(productId, client);
+                    return this.productService.getProductImages(productId, client);
+                });
+            } catch (error) {
+                // The renditions never made it into the gallery
+                await this.mediaService.deleteObjects(processed.flatMap(image => image.storageKeys));
+                throw error;
+            }
+
+            await this.clearProductCaches(productId);
+
+            logger.info('Product images uploaded', {
+                productId,
+                uploaded: processed.length,
+                total: images.length
+            });
+
+            return images;
+        } catch (error) {
+            logger.error('Error uploading product images', { error: error.message, productId });
+            throw error;
+        }
+    }
+
+    // altText of '' clears it. isPrimary moves the primary flag to this image;
+    // a product always keeps one primary image, so it cannot be unset directly.
+    async updateImage(productId, imageId, { altText, isPrimary }) {
+        try {
+            const images = await this.db.transaction(async (client) => {
+                const imageResult = await client.query(
+                    'SELECT id FROM product_images WHERE id = $1 AND product_id = $2 FOR UPDATE',
+                    [imageId, productId]
+                );
+
+                if (imageResult.rows.length === 0) {
+                    throw new Error('Product image not found');
+                }
+
+                if (altText !== undefined) {
+                    await client.query(
+                        'UPDATE product_images SET alt_text = $2 WHERE id = $1',
+                        [imageId, altText || null]
+                    );
+                }
+
+                if (isPrimary) {
+                    // Clear the old primary first; one primary per product is a unique index
+                    await client.query(
+                        'UPDATE product_images SET is_primary = false WHERE product_id = $1 AND is_primary AND id <> $2',
+                        [productId, imageId]
+                    );
+                    await client.query(
+                        'UPDATE product_images SET is_primary = true WHERE id = $1',
+                        [imageId]
+                    );
+                    await this.syncPrimaryImage(productId, client);
+                }
+
+                return this.productService.getProductImages(productId, client);
+            });
+
+            await this.clearProductCaches(productId);
+
+            logger.info('Product image updated', { productId, imageId, isPrimary: Boolean(isPrimary) });
+
+            return images;
+        } catch (error) {
+            logger.error('Error updating product image', { error: error.message, productId, imageId });
+            throw error;
+        }
+    }
+
+    // imageIds lists the whole gallery in its new order
+    async reorderImages(productId, imageIds) {
+        try {
+            const images = await this.db.transaction(async (client) => {
+                const currentResult = await client.query(
+                    'SELECT id FROM product_images WHERE product_id = $1 FOR UPDATE',
+                    [productId]
+                );
+
+                const currentIds = currentResult.rows.map(row => row.id).sort((a, b) => a - b);
+                const requestedIds = [...imageIds].sort((a, b) => a - b);
+
+                if (currentIds.length !== requestedIds.length ||
+                    currentIds.some((id, index) => id !== requestedIds[index])) {
+                    throw new Error('Image order must list every image of the product exactly once');
+                }
+
+                await client.query(`
+                    UPDATE product_images pi
+                    SET position = o.position - 1
+                    FROM unnest($2::int[]) WITH ORDINALITY AS o(id, position)
+                    WHERE pi.id = o.id AND pi.product_id = $1
+                `, [productId, imageIds]);
+
+                return this.productService.getProductImages(productId, client);
+            });
+
+            await this.clearProductCaches(productId);
+
+            logger.info('Product images reordered', { productId, count: imageIds.length });
+
+            return images;
+        } catch (error) {
+            logger.error('Error reordering product images', { error: error.message, productId });
+            throw error;
+        }
+    }
+
+    // Removing the primary image promotes the first remaining one. Stored
+    // renditions are deleted once the row is gone.
+    async deleteImage(productId, imageId) {
+        try {
+            const { deleted, images } = await this.db.transaction(async (client) => {
+                const deleteResult = await client.query(
+                    'DELETE FROM product_images WHERE id = $1 AND product_id = $2 RETURNING *',
+                    [imageId, productId]
+                );
+
+                if (deleteResult.rows.length === 0) {
+                    throw new Error('Product image not found');
+                }
+
+                const deletedImage = deleteResult.rows[0];
+
+                if (deletedImage.is_primary) {
+                    await client.query(`
+                        UPDATE product_images SET is_primary = true
+                        WHERE id = (
+                            SELECT id FROM product_images
+                            WHERE product_id = $1
+                            ORDER BY position ASC, id ASC
+                            LIMIT 1
+                        )
+                    `, [productId]);
+
+                    // Without images left the product falls back to no image
+                    await client.query(
+                        'UPDATE products SET image_url = NULL WHERE id = $1 AND image_url = $2',
+                        [productId, deletedImage.medium_url]
+                    );
+                    await this.syncPrimaryImage(productId, client);
+                }
+
+                return {
+                    deleted: deletedImage,
+                    images: await this.productService.getProductImages(productId, client)
+                };
+            });
+
+            await this.mediaService.deleteObjects(deleted.storage_keys);
+            await this.clearProductCaches(productId);
+
+            logger.info('Product image deleted', { productId, imageId });
+
+            return images;
+        } catch (error) {
+            logger.error('Error deleting product image', { error: error.message, productId, imageId });
+            throw error;
+        }
+    }
+
+    async syncPrimaryImage(productId, client = this.db) {
+        await client.query(`
+            UPDATE products p
+            SET image_url = pi.medium_url
+            FROM product_images pi
+            WHERE p.id = $1
+              AND pi.product_id = p.id
+              AND pi.is_primary
+              AND p.image_url IS DISTINCT FROM pi.medium_url
+        `, [productId]);
+    }
+
+    async clearProductCaches(productId) {
+        await this.productService.clearProductCache(productId);
+        await this.productService.clearProductsCache();
+    }
+}
+
+module.exports = ProductImageService;
@@ -1,16 +1,38 @@
+const InventoryService = require('./inventoryService');
 const logger = require('../logger');
+const { containsBangla } = require('../locale');
 
 class ProductService {
     constructor(dbPool, redisPool, searchService = null) {
         this.db = dbPool;
         this.redis = redisPool;
         this.searchService = searchService;
+        this.inventoryService = new InventoryService(dbPool, redisPool);
         this.cachePrefix = 'product:';
         this.cacheTTL = 300; // 5 minutes
     }
 
-    async createProduct(productData) {
-        const { name, description, price, stockQuantity, categoryId, imageUrl, sku } = productData;
+    // Text match for products aliased "p", with `param` bound to '%term%'.
+    // Bangla terms search the Bangla fields with the 'simple' configuration,
+    // as Postgres has no Bangla stemmer; anything else searches the English ones.
+    static textSearchSql(term, param) {
+        if (containsBangla(term)) {
+            return `(
+                p.name_bn ILIKE ${param} OR
+                p.description_bn ILIKE ${param} OR
+                to_tsvector('simple', COALESCE(p.name_bn, '') || ' ' || COALESCE(p.description_bn, '')) @@ plainto_tsquery('simple', ${param})
+            )`;
+        }
+
+        return `(
+                p.name ILIKE ${param} OR 
+                p.description ILIKE ${param} OR
+                to_tsvector('english', p.name || ' ' || COALESCE(p.description, '')) @@ plainto_tsquery('english', ${param})
+            )`;
+    }
+
+    async createProduct(productData, adminId = null) {
+        const { name, description, nameBn, descriptionBn, price, stockQuantity, categoryId, imageUrl, sku, weightGrams, brand, color, material, specs, taxClassId } = productData;
 
         try {
             // Generate slug from name
@@ -30,13 +52,26 @@ class ProductService {
                 }
             }
 
-            const result = await this.db.query(`
-                INSERT INTO products (name, description, price, stock_quantity, category_id, image_url, slug, sku)
-                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
-                RETURNING *
-            `, [name, description, price, stockQuantity || 0, categoryId, imageUrl, slug, sku]);
+            const product = await this.db.transaction(async (client) => {
+                const result = await client.query(`
+                    INSERT INTO products (name, description, price, category_id, image_url, slug, sku, weight_grams, name_bn, description_bn,
+                                          brand, color, material, specs, tax_class_id)
+                    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+                    RETURNING *
+                `, [name, description, price, categoryId, imageUrl, slug, sku, weightGrams || null, nameBn || null, descriptionBn || null,
+                    brand || null, color || null, material || null, JSON.stringify(specs || {}), taxClassId || null]);
 
-            const product = result.rows[0];
+                // Opening stock goes to the default warehouse
+                if (!stockQuantity) {
+                    return result.rows[0];
+                }
+
+                return await this.inventoryService.applyStockChange(client, {
+                    productId: result.rows[0].id,
+                    quantity: stockQuantity,
+                    operation: 'set'
+                }, { kind: 'adjustment', actor: 'admin', createdBy: adminId, note: 'Opening stock' });
+            });
 
             // Clear products cache
             await this.clearProductsCache();
@@ -54,6 +89,9 @@ class ProductService {
 
             return product;
         } catch (error) {
+            if (error.code === '23503' && error.constraint?.includes('tax_class')) {
+                throw new Error('Tax class not found');
+            }
             logger.error('Error creating product', { error: error.message, productData });
             throw error;
         }
@@ -87,7 +125,7 @@ class ProductService {
 
             // Build dynamic query
             let query = `
-                SELECT p.*, c.name as category_name, c.slug as category_slug
+                SELECT p.*, c.name as category_name, c.name_bn as category_name_bn, c.slug as category_slug
                 FROM products p
                 LEFT JOIN categories c ON p.category_id = c.id
                 WHERE p.is_active = $1
@@ -104,11 +142,7 @@ class ProductService {
 
             if (search) {
                 paramCount++;
-                query += ` AND (
-                    p.name ILIKE $${paramCount} OR 
-                    p.description ILIKE $${paramCount} OR
-                    to_tsvector('english', p.name || ' ' || COALESCE(p.description, '')) @@ plainto_tsquery('english', $${paramCount})
-                )`;
+                query += ` AND ${ProductService.textSearchSql(search, `$${paramCount}`)}`;
                 params.push(`%${search}%`);
             }
 
@@ -164,11 +198,7 @@ class ProductService {
 
             if (search) {
                 countParamCount++;
-                countQuery += ` AND (
-                    p.name ILIKE $${countParamCount} OR 
-                    p.description ILIKE $${countParamCount} OR
-                    to_tsvector('english', p.name || ' ' || COALESCE(p.description, '')) @@ plainto_tsquery('english', $${countParamCount})
-                )`;
+                countQuery += ` AND ${ProductService.textSearchSql(search, `$${countParamCount}`)}`;
                 countParams.push(`%${search}%`);
             }
 
@@ -234,12 +264,12 @@ class ProductService {
                 const cachedProduct = await this.redis.getCachedData(cacheKey);
                 if (cachedProduct) {
                     logger.debug('Product served from cache', { productId });
-                    return cachedProduct;
+                    return await this.withAvailability(cachedProduct);
                 }
             }
 
             const result = await this.db.query(`
-                SELECT p.*, c.name as category_name, c.slug as category_slug
+                SELECT p.*, c.name as category_name, c.name_bn as category_name_bn, c.slug as category_slug
                 FROM products p
                 LEFT JOIN categories c ON p.category_id = c.id
                 WHERE p.id = $1 AND p.is_active = true
@@ -247,11 +277,16 @@ class ProductService {
 
             const product = result.rows[0] || null;
 
+            if (product) {
+                Object.assign(product, await this.getVariantDetails(product.id));
+                product.images = await this.getProductImages(product.id);
+            }
+
             if (product && this.redis && this.redis.isConnected) {
                 await this.redis.setCachedData(cacheKey, product, this.cacheTTL);
             }
 
-            return product;
+            return product && await this.withAvailability(product);
         } catch (error) {
             logger.error('Error fetching product by ID', { error: error.message, productId });
             throw error;
@@ -267,12 +302,12 @@ class ProductService {
                 const cachedProduct = await this.redis.getCachedData(cacheKey);
                 if (cachedProduct) {
                     logger.debug('Product served from cache by slug', { slug });
-                    return cachedProduct;
+                    return await this.withAvailability(cachedProduct);
                 }
             }
 
             const result = await this.db.query(`
-                SELECT p.*, c.name as category_name, c.slug as category_slug
+                SELECT p.*, c.name as category_name, c.name_bn as category_name_bn, c.slug as category_slug
                 FROM products p
                 LEFT JOIN categories c ON p.category_id = c.id
                 WHERE p.slug = $1 AND p.is_active = true
@@ -280,19 +315,24 @@ class ProductService {
 
             const product = result.rows[0] || null;
 
+            if (product) {
+                Object.assign(product, await this.getVariantDetails(product.id));
+                product.images = await this.getProductImages(product.id);
+            }
+
             if (product && this.redis && this.redis.isConnected) {
                 await this.redis.setCachedData(cacheKey, product, this.cacheTTL);
             }
 
-            return product;
+            return product && await this.withAvailability(product);
         } catch (error) {
             logger.error('Error fetching product by slug', { error: error.message, slug });
             throw error;
         }
     }
 
-    async updateProduct(productId, updateData) {
-        const { name, description, price, stockQuantity, categoryId, imageUrl, sku, isActive } = updateData;
+    async updateProduct(productId, updateData, adminId = null) {
+        const { name, description, nameBn, descriptionBn, price, stockQuantity, categoryId, imageUrl, sku, isActive, weightGrams, brand, color, material, specs, taxClassId } = updateData;
 
         try {
             // Check if product exists
@@ -313,6 +353,9 @@ class ProductService {
                 }
             }
 
+            // With variants, stock_quantity is kept as their total
+            const newStockQuantity = existingProduct.variants?.length > 0 ? null : stockQuantity;
+
             // Check if SKU already exists (if being updated)
             if (sku && sku !== existingProduct.sku) {
                 const existingBySku = await this.findProductBySku(sku);
@@ -321,27 +364,48 @@ class ProductService {
                 }
             }
 
-            const result = await this.db.query(`
-                UPDATE products 
-                SET name = COALESCE($2, name),
-                    description = COALESCE($3, description),
-                    price = COALESCE($4, price),
-                    stock_quantity = COALESCE($5, stock_quantity),
-                    category_id = COALESCE($6, category_id),
-                    image_url = COALESCE($7, image_url),
-                    slug = COALESCE($8, slug),
-                    sku = COALESCE($9, sku),
-                    is_active = COALESCE($10, is_active),
-                    updated_at = CURRENT_TIMESTAMP
-                WHERE id = $1 AND is_active = true
-                RETURNING *
-            `, [productId, name, description, price, stockQuantity, categoryId, imageUrl, slug, sku, isActive]);
+            const product = await this.db.transaction(async (client) => {
+                const result = await client.query(`
+                    UPDATE products 
+                    SET name = COALESCE($2, name),
+                        description = COALESCE($3, description),
+                        price = COALESCE($4, price),
+                        category_id = COALESCE($5, category_id),
+                        image_url = COALESCE($6, image_url),
+                        slug = COALESCE($7, slug),
+                        sku = COALESCE($8, sku),
+                        is_active = COALESCE($9, is_active),
+                        weight_grams = COALESCE($10, weight_grams),
+                        name_bn = COALESCE($11, name_bn),
+                        description_bn = COALESCE($12, description_bn),
+                        -- An empty attribute clears it; left out, it is kept
+                        brand = CASE WHEN $13::varchar IS NULL THEN brand ELSE NULLIF($13, '') END,
+                        color = CASE WHEN $14::varchar IS NULL THEN color ELSE NULLIF($14, '') END,
+                        material = CASE WHEN $15::varchar IS NULL THEN material ELSE NULLIF($15, '') END,
+                        specs = COALESCE($16::jsonb, specs),
+                        -- A null tax class hands the product back to its category's
+                        tax_class_id = CASE WHEN $17::boolean THEN $18::integer ELSE tax_class_id END,
+                        updated_at = CURRENT_TIMESTAMP
+                    WHERE id = $1 AND is_active = true
+                    RETURNING *
+                `, [productId, name, description, price, categoryId, imageUrl, slug, sku, isActive, weightGrams, nameBn, descriptionBn,
+                    brand, color, material, specs ? JSON.stringify(specs) : null, taxClassId !== undefined, taxClassId ?? null]);
 
-            if (result.rows.length === 0) {
-                throw new Error('Product not found or inactive');
-            }
+                if (result.rows.length === 0) {
+                    throw new Error('Product not found or inactive');
+                }
 
-            const product = result.rows[0];
+                // Stock set from the product form is the total across warehouses
+                if (newStockQuantity === undefined || newStockQuantity === null) {
+                    return result.rows[0];
+                }
+
+                return await this.inventoryService.applyStockChange(client, {
+                    productId,
+                    quantity: newStockQuantity,
+                    operation: 'set'
+                }, { kind: 'adjustment', actor: 'admin', createdBy: adminId });
+            });
 
             // Clear cache
             await this.clearProductCache(productId);
@@ -359,6 +423,9 @@ class ProductService {
 
             return product;
         } catch (error) {
+            if (error.code === '23503' && error.constraint?.includes('tax_class')) {
+                throw new Error('Tax class not found');
+            }
             logger.error('Error updating product', { error: error.message, productId, updateData });
             throw error;
         }
@@ -401,45 +468,37 @@ class ProductService {
         }
     }
 
-    async updateStock(productId, quantity, operation = 'set') {
-        try {
-            let query;
-            let params;
+    // Without a warehouse, increments go to the default warehouse, decrements
+    // come out of the warehouses in turn and a set sets the total (see
+    // InventoryService.applyStockChange). `movement` says why, for the
+    // inventory ledger.
+    async updateStock(productId, quantity, operation = 'set', variantId = null, warehouseId = null, movement = {}) {
+        if (variantId) {
+            return await this.updateVariantStock(productId, variantId, quantity, operation, warehouseId, movement);
+        }
 
-            if (operation === 'increment') {
-                query = `
-                    UPDATE products 
-                    SET stock_quantity = stock_quantity + $2, updated_at = CURRENT_TIMESTAMP
-                    WHERE id = $1 AND is_active = true
-                    RETURNING *
-                `;
-                params = [productId, quantity];
-            } else if (operation === 'decrement') {
-                query = `
-                    UPDATE products 
-                    SET stock_quantity = GREATEST(stock_quantity - $2, 0), updated_at = CURRENT_TIMESTAMP
-                    WHERE id = $1 AND is_active = true
-                    RETURNING *
-                `;
-                params = [productId, quantity];
-            } else {
-                // Default: set
-                query = `
-                    UPDATE products 
-                    SET stock_quantity = $2, updated_at = CURRENT_TIMESTAMP
-                    WHERE id = $1 AND is_active = true
-                    RETURNING *
-                `;
-                params = [productId, quantity];
+        try {
+            // A product with variants holds the sum of its variants' stock
+            const variantResult = await this.db.query(
+                'SELECT 1 FROM product_variants WHERE product_id = $1 LIMIT 1',
+                [productId]
+            );
+            if (variantResult.rows.length > 0) {
+                throw new Error('Stock for products with variants must be updated per variant');
             }
 
-            const result = await this.db.query(query, params);
+            const product = await this.db.transaction(async (client) => {
+                const productResult = await client.query(
+                    'SELECT id FROM products WHERE id = $1 AND is_active = true FOR UPDATE',
+                    [productId]
+                );
 
-            if (result.rows.length === 0) {
-                throw new Error('Product not found or inactive');
-            }
+                if (productResult.rows.length === 0) {
+                    throw new Error('Product not found or inactive');
+                }
 
-            const product = result.rows[0];
+                return await this.inventoryService.applyStockChange(client, { productId, warehouseId, quantity, operation }, movement);
+            });
 
             // Clear cache
             await this.clearProductCache(productId);
@@ -449,16 +508,296 @@ class ProductService {
                 productId: product.id,
                 newStock: product.stock_quantity,
                 operation,
-                quantity
+                quantity,
+                warehouseId
             });
 
             return product;
         } catch (error) {
-            logger.error('Error updating product stock', { error: error.message, productId, quantity, operation });
+            logger.error('Error updating product stock', { error: error.message, productId, quantity, operation, warehouseId });
+            throw error;
+        }
+    }
+
+    // Options in display order and every variant, inactive ones included so
+    // the admin editor can re-enable them
+    async getVariantDetails(productId, client = this.db) {
+        try {
+            const optionsResult = await client.query(`
+                SELECT id, name, choices, position
+                FROM product_options
+                WHERE product_id = $1
+                ORDER BY position ASC, id ASC
+            `, [productId]);
+
+            const variantsResult = await client.query(`
+                SELECT id, sku, title, price, stock_quantity, weight_grams, image_url,
+                       option_values, is_active, position
+                FROM product_variants
+                WHERE product_id = $1
+                ORDER BY position ASC, id ASC
+            `, [productId]);
+
+            return { options: optionsResult.rows, variants: variantsResult.rows };
+        } catch (error) {
+            logger.error('Error fetching product variants', { error: error.message, productId });
             throw error;
         }
     }
 
+    // Units held by checkouts awaiting payment (see StockReservationService),
+    // per variant_id. Read on every request rather than cached with the
+    // product, since reservations come and go without touching it.
+    async getReservedStock(productId, client = this.db) {
+        const result = await client.query(`
+            SELECT variant_id, SUM(quantity)::int as reserved
+            FROM stock_reservations
+            WHERE product_id = $1 AND status = 'active' AND expires_at > CURRENT_TIMESTAMP
+            GROUP BY variant_id
+        `, [productId]);
+
+        return result.rows;
+    }
+
+    // Adds reserved_quantity and available_quantity to the product and its
+    // variants; stock_quantity stays the count on hand
+    async withAvailability(product, client = this.db) {
+        const reservedRows = await this.getReservedStock(product.id, client);
+        const reserved = reservedRows.reduce((total, row) => total + row.reserved, 0);
+
+        return {
+            ...product,
+            reserved_quantity: reserved,
+            available_quantity: Math.max(product.stock_quantity - reserved, 0),
+            variants: (product.variants || []).map(variant => {
+                const variantReserved = reservedRows.find(row => row.variant_id === variant.id)?.reserved || 0;
+                return {
+                    ...variant,
+                    reserved_quantity: variantReserved,
+                    available_quantity: Math.max(variant.stock_quantity - variantReserved, 0)
+                };
+            })
+        };
+    }
+
+    // Gallery in display order; the primary image is also products.image_url
+    async getProductImages(productId, client = this.db) {
+        try {
+            const result = await client.query(`
+                SELECT id, thumbnail_url, medium_url, large_url, alt_text,
+                       width, height, position, is_primary
+                FROM product_images
+                WHERE product_id = $1
+                ORDER BY position ASC, id ASC
+            `, [productId]);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Error fetching product images', { error: error.message, productId });
+            throw error;
+        }
+    }
+
+    // Replaces the product's options and variant matrix. Variants are matched
+    // on their option values, so existing combinations keep their IDs (and
+    // the cart lines and order history pointing at them); combinations no
+    // longer listed are removed.
+    async saveVariants(productId, { options, variants }, adminId = null) {
+        try {
+            const normalizedOptions = options.map(option => ({
+                name: option.name.trim(),
+                choices: [...new Set(option.values.map(value => value.trim()))]
+            }));
+
+            const seen = new Set();
+            const normalizedVariants = variants.map((variant, index) => {
+                const optionValues = {};
+                for (const option of normalizedOptions) {
+                    const value = variant.optionValues[option.name];
+                    if (!option.choices.includes(value)) {
+                        throw new Error(`Variant ${index + 1} needs one of the ${option.name} values`);
+                    }
+                    optionValues[option.name] = value;
+                }
+
+                if (Object.keys(variant.optionValues).length !== normalizedOptions.length) {
+                    throw new Error(`Variant ${index + 1} has values for unknown options`);
+                }
+
+                const title = normalizedOptions.map(option => optionValues[option.name]).join(' / ');
+                if (seen.has(title)) {
+                    throw new Error(`Duplicate variant ${title}`);
+                }
+                seen.add(title);
+
+                return { ...variant, optionValues, title, position: index };
+            });
+
+            const movement = { kind: 'adjustment', actor: 'admin', createdBy: adminId };
+
+            const saved = await this.db.transaction(async (client) => {
+                const productResult = await client.query(
+                    'SELECT id FROM products WHERE id = $1 AND is_active = true FOR UPDATE',
+                    [productId]
+                );
+
+                if (productResult.rows.length === 0) {
+                    throw new Error('Product not found or inactive');
+                }
+
+                await client.query('DELETE FROM product_options WHERE product_id = $1', [productId]);
+
+                for (const [position, option] of normalizedOptions.entries()) {
+                    await client.query(`
+                        INSERT INTO product_options (product_id, name, choices, position)
+                        VALUES ($1, $2, $3, $4)
+                    `, [productId, option.name, option.choices, position]);
+                }
+
+                const keptIds = [];
+                for (const variant of normalizedVariants) {
+                    const result = await client.query(`
+                        INSERT INTO product_variants (
+                            product_id, sku, title, price, stock_quantity, weight_grams,
+                            image_url, option_values, is_active, position
+                        )
+                        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                        ON CONFLICT (product_id, option_values) DO UPDATE
+                        SET sku = EXCLUDED.sku,
+                            title = EXCLUDED.title,
+                            price = EXCLUDED.price,
+                            stock_quantity = EXCLUDED.stock_quantity,
+                            weight_grams = EXCLUDED.weight_grams,
+                            image_url = EXCLUDED.image_url,
+                            is_active = EXCLUDED.is_active,
+                            position = EXCLUDED.position
+                        RETURNING id
+                    `, [
+                        productId,
+                        variant.sku || null,
+                        variant.title,
+                        variant.price ?? null,
+                        variant.stockQuantity || 0,
+                        variant.weightGrams || null,
+                        variant.imageUrl || null,
+                        JSON.stringify(variant.optionValues),
+                        variant.isActive !== false,
+                        variant.position
+                    ]);
+                    keptIds.push(result.rows[0].id);
+
+                    // The stock entered is the variant's total across warehouses
+                    await this.inventoryService.applyStockChange(client, {
+                        productId,
+                        variantId: result.rows[0].id,
+                        quantity: variant.stockQuantity || 0,
+                        operation: 'set'
+                    }, movement);
+                }
+
+                // Stock of removed variants, and the product's own once it is
+                // split into variants, is written off in the ledger
+                await this.inventoryService.removeLevels(client, productId, keptIds.length > 0 ? keptIds : [null], {
+                    ...movement,
+                    note: 'Variant matrix changed'
+                });
+
+                // Cart lines for removed variants go with them; order items keep
+                // their SKU and label snapshot
+                await client.query(
+                    'DELETE FROM product_variants WHERE product_id = $1 AND NOT (id = ANY($2::int[]))',
+                    [productId, keptIds]
+                );
+
+                if (keptIds.length > 0) {
+                    await this.syncVariantStock(productId, client);
+                } else {
+                    await this.inventoryService.syncTotals(client, productId);
+                }
+
+                return await this.getVariantDetails(productId, client);
+            });
+
+            await this.clearProductCache(productId);
+            await this.clearProductsCache();
+
+            if (this.searchService) {
+                await this.searchService.indexProduct(productId);
+            }
+
+            logger.info('Product variants saved successfully', {
+                productId,
+                optionCount: saved.options.length,
+                variantCount: saved.variants.length
+            });
+
+            return saved;
+        } catch (error) {
+            if (error.code === '23505') {
+                error.message = 'Variant SKU already exists';
+            }
+            logger.error('Error saving product variants', { error: error.message, productId });
+            throw error;
+        }
+    }
+
+    async updateVariantStock(productId, variantId, quantity, operation = 'set', warehouseId = null, movement = {}) {
+        try {
+            const product = await this.db.transaction(async (client) => {
+                const variantResult = await client.query(`
+                    SELECT pv.id
+                    FROM product_variants pv
+                    JOIN products p ON p.id = pv.product_id
+                    WHERE pv.id = $1 AND pv.product_id = $2 AND p.is_active = true
+                    FOR UPDATE OF pv
+                `, [variantId, productId]);
+
+                if (variantResult.rows.length === 0) {
+                    throw new Error('Product variant not found or inactive');
+                }
+
+                return await this.inventoryService.applyStockChange(client, { productId, variantId, warehouseId, quantity, operation }, movement);
+            });
+
+            await this.clearProductCache(productId);
+            await this.clearProductsCache();
+
+            logger.info('Product variant stock updated successfully', {
+                productId,
+                variantId,
+                newStock: product.variant.stock_quantity,
+                productStock: product.stock_quantity,
+                operation,
+                quantity,
+                warehouseId
+            });
+
+            return product;
+        } catch (error) {
+            logger.error('Error updating product variant stock', { error: error.message, productId, variantId, quantity, operation, warehouseId });
+            throw error;
+        }
+    }
+
+    // Keep products.stock_quantity equal to the stock of the product's active
+    // variants. Products without variants are left alone.
+    async syncVariantStock(productId, client = this.db) {
+        const result = await client.query(`
+            UPDATE products p
+            SET stock_quantity = v.total, updated_at = CURRENT_TIMESTAMP
+            FROM (
+                SELECT COALESCE(SUM(stock_quantity) FILTER (WHERE is_active), 0)::int as total
+                FROM product_variants
+                WHERE product_id = $1
+                HAVING COUNT(*) > 0
+            ) v
+            WHERE p.id = $1
+            RETURNING p.*
+        `, [productId]);
+
+        return result.rows[0] || null;
+    }
+
     // Helper methods
     async findProductBySlug(slug) {
         try {
@@ -0,0 +1,705 @@
+const InventoryService = require('./inventoryService');
+const logger = require('../logger');
+
+// Statuses a purchase order can move to from each status. Admins send and
+// cancel orders; receiving stock moves a sent order on by itself.
+const PURCHASE_ORDER_TRANSITIONS = {
+    draft: ['sent', 'cancelled'],
+    sent: ['partially_received', 'received', 'cancelled'],
+    partially_received: ['received', 'cancelled'],
+    received: [],
+    cancelled: []
+};
+
+const itemName = (row) => (row.variant_title ? `${row.name} (${row.variant_title})` : row.name);
+
+// Restocking from suppliers. Each product can have a reorder rule naming its
+// supplier; when its stock on hand (or a variant's) falls to the reorder
+// point, draftReorders adds it to an open draft purchase order for that
+// supplier. Stock received against a purchase order goes through
+// InventoryService.applyStockChange and enters the ledger as a
+// purchase_receipt.
+class PurchaseOrderService {
+    constructor(dbPool, redisPool) {
+        this.db = dbPool;
+        this.redis = redisPool;
+        this.inventoryService = new InventoryService(dbPool, redisPool);
+        this.reorderIntervalMs = (parseInt(process.env.REORDER_CHECK_INTERVAL_MINUTES) || 15) * 60 * 1000;
+        this.intervalId = null;
+    }
+
+    static canTransition(from, to) {
+        return (PURCHASE_ORDER_TRANSITIONS[from] || []).includes(to);
+    }
+
+    static assertTransition(from, to, action) {
+        if (!PurchaseOrderService.canTransition(from, to)) {
+            throw new Error(`Purchase order is ${from.replace(/_/g, ' ')} and cannot be ${action}`);
+        }
+    }
+
+    // Suppliers
+    async getSuppliers({ includeInactive = false } = {}) {
+        try {
+            const result = await this.db.query(`
+                SELECT s.*,
+                    (SELECT COUNT(*)::int FROM product_reorder_rules r WHERE r.supplier_id = s.id) as product_count,
+                    (SELECT COUNT(*)::int FROM purchase_orders po
+                     WHERE po.supplier_id = s.id AND po.status = ANY($2::text[])) as open_order_count
+                FROM suppliers s
+                WHERE $1::boolean OR s.is_active = true
+                ORDER BY s.name ASC, s.id ASC
+            `, [includeInactive, PurchaseOrderService.OPEN_STATUSES]);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Error fetching suppliers', { error: error.message });
+            throw error;
+        }
+    }
+
+    async createSupplier(supplierData) {
+        const {
+            name, contactName = null, email = null, phone = null, address = null,
+            leadTimeDays = 7, notes = null, isActive = true
+        } = supplierData;
+
+        try {
+            const result = await this.db.query(`
+                INSERT INTO suppliers (name, contact_name, email, phone, address, lead_time_days, notes, is_active)
+                VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                RETURNING *
+            `, [name, contactName, email, phone, address, leadTimeDays, notes, isActive]);
+
+            logger.info('Supplier created', { supplierId: result.rows[0].id, name });
+
+            return result.rows[0];
+        } catch (error) {
+            if (error.code === '23505') {
+                throw new Error('Supplier name already exists');
+            }
+            logger.error('Error creating supplier', { error: error.message, name });
+            throw error;
+        }
+    }
+
+    // Inactive suppliers keep their orders but are no longer reordered from
+    async updateSupplier(supplierId, supplierData) {
+        const { name, contactName, email, phone, address, leadTimeDays, notes, isActive } = supplierData;
+
+        try {
+            const result = await this.db.query(`
+                UPDATE suppliers
+                SET name = COALESCE($2, name),
+                    contact_name = CASE WHEN $3::boolean THEN $4 ELSE contact_name END,
+                    email = CASE WHEN $5::boolean THEN $6 ELSE email END,
+                    phone = CASE WHEN $7::boolean THEN $8 ELSE phone END,
+                    address = CASE WHEN $9::boolean THEN $10 ELSE address END,
+                    lead_time_days = COALESCE($11, lead_time_days),
+                    notes = CASE WHEN $12::boolean THEN $13 ELSE notes END,
+                    is_active = COALESCE($14, is_active)
+                WHERE id = $1
+                RETURNING *
+            `, [
+                supplierId, name,
+                contactName !== undefined, contactName || null,
+                email !== undefined, email || null,
+                phone !== undefined, phone || null,
+                address !== undefined, address || null,
+                leadTimeDays,
+                notes !== undefined, notes || null,
+                isActive
+            ]);
+
+            if (result.rows.length === 0) {
+                throw new Error('Supplier not found');
+            }
+
+            logger.info('Supplier updated', { supplierId, isActive: result.rows[0].is_active });
+
+            return result.rows[0];
+        } catch (error) {
+            if (error.code === '23505') {
+                throw new Error('Supplier name already exists');
+            }
+            logger.error('Error updating supplier', { error: error.message, supplierId });
+            throw error;
+        }
+    }
+
+    // Reorder rules
+    async getReorderRule(productId) {
+        try {
+            const result = await this.db.query(`
+                SELECT r.*, s.name as supplier_name, s.is_active as supplier_is_active
+                FROM product_reorder_rules r
+                JOIN suppliers s ON s.id = r.supplier_id
+                WHERE r.product_id = $1
+            `, [productId]);
+
+            return result.rows[0] || null;
+        } catch (error) {
+            logger.error('Error fetching reorder rule', { error: error.message, productId });
+            throw error;
+        }
+    }
+
+    // A product already at its reorder point is reordered straight away
+    async setReorderRule(productId, { supplierId, reorderPoint, reorderQuantity }) {
+        try {
+            const productResult = await this.db.query('SELECT id FROM products WHERE id = $1', [productId]);
+            if (productResult.rows.length === 0) {
+                throw new Error('Product not found');
+            }
+
+            const supplierResult = await this.db.query(
+                'SELECT id FROM suppliers WHERE id = $1 AND is_active = true',
+                [supplierId]
+            );
+            if (supplierResult.rows.length === 0) {
+                throw new Error('Supplier not found');
+            }
+
+            await this.db.query(`
+                INSERT INTO product_reorder_rules (product_id, supplier_id, reorder_point, reorder_quantity)
+                VALUES ($1, $2, $3, $4)
+                ON CONFLICT (product_id) DO UPDATE
+                SET supplier_id = EXCLUDED.supplier_id,
+                    reorder_point = EXCLUDED.reorder_point,
+                    reorder_quantity = EXCLUDED.reorder_quantity
+            `, [productId, supplierId, reorderPoint, reorderQuantity]);
+
+            logger.info('Reorder rule saved', { productId, supplierId, reorderPoint, reorderQuantity });
+
+            await this.draftReorders([parseInt(productId)]);
+
+            return await this.getReorderRule(productId);
+        } catch (error) {
+            logger.error('Error saving reorder rule', { error: error.message, productId });
+            throw error;
+        }
+    }
+
+    async removeReorderRule(productId) {
+        try {
+            const result = await this.db.query(
+                'DELETE FROM product_reorder_rules WHERE product_id = $1 RETURNING product_id',
+                [productId]
+            );
+
+            if (result.rows.length === 0) {
+                throw new Error('Reorder rule not found');
+            }
+
+            logger.info('Reorder rule removed', { productId });
+        } catch (error) {
+            logger.error('Error removing reorder rule', { error: error.message, productId });
+            throw error;
+        }
+    }
+
+    // Purchase orders
+    async getPurchaseOrders(filters = {}) {
+        const { page = 1, limit = 20, status, supplierId } = filters;
+
+        try {
+            const offset = (page - 1) * limit;
+            const conditions = [];
+            const params = [];
+
+            if (status) {
+                params.push(status);
+                conditions.push(`po.status = $${params.length}`);
+            }
+            if (supplierId) {
+                params.push(supplierId);
+                conditions.push(`po.supplier_id = $${params.length}`);
+            }
+
+            const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const result = await this.db.query(`
+                SELECT po.*, s.name as supplier_name, w.name as warehouse_name,
+                       totals.line_count, totals.units_ordered, totals.units_received, totals.total_cost
+                FROM purchase_orders po
+                JOIN suppliers s ON s.id = po.supplier_id
+                JOIN warehouses w ON w.id = po.warehouse_id
+                CROSS JOIN LATERAL (
+                    SELECT COUNT(*)::int as line_count,
+                           COALESCE(SUM(poi.quantity_ordered), 0)::int as units_ordered,
+                           COALESCE(SUM(poi.quantity_received), 0)::int as units_received,
+                           COALESCE(SUM(poi.quantity_ordered * poi.unit_cost), 0) as total_cost
+                    FROM purchase_order_items poi
+                    WHERE poi.purchase_order_id = po.id
+                ) totals
+                ${whereClause}
+                ORDER BY po.created_at DESC, po.id DESC
+                LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+            `, [...params, limit, offset]);
+
+            const countResult = await this.db.query(`
+                SELECT COUNT(*) as total FROM purchase_orders po ${whereClause}
+            `, params);
+            const total = parseInt(countResult.rows[0].total);
+
+            return {
+                purchaseOrders: result.rows,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / limit),
+                    hasNext: page * limit < total,
+                    hasPrev: page > 1
+                }
+            };
+        } catch (error) {
+            logger.error('Error fetching purchase orders', { error: error.message, filters });
+            throw error;
+        }
+    }
+
+    async getPurchaseOrderById(purchaseOrderId, client = this.db) {
+        const result = await client.query(`
+            SELECT po.*, s.name as supplier_name, s.contact_name as supplier_contact_name,
+                   s.email as supplier_email, s.phone as supplier_phone, s.address as supplier_address,
+                   w.name as warehouse_name, w.address as warehouse_address
+            FROM purchase_orders po
+            JOIN suppliers s ON s.id = po.supplier_id
+            JOIN warehouses w ON w.id = po.warehouse_id
+            WHERE po.id = $1
+        `, [purchaseOrderId]);
+
+        if (result.rows.length === 0) {
+            throw new Error('Purchase order not found');
+        }
+
+        const itemsResult = await client.query(`
+            SELECT poi.*, p.name as product_name, COALESCE(pv.sku, p.sku) as sku, pv.title as variant_title
+            FROM purchase_order_items poi
+            JOIN products p ON p.id = poi.product_id
+            LEFT JOIN product_variants pv ON pv.id = poi.variant_id
+            WHERE poi.purchase_order_id = $1
+            ORDER BY poi.id ASC
+        `, [purchaseOrderId]);
+
+        return { ...result.rows[0], items: itemsResult.rows };
+    }
+
+    // Products with variants are ordered per variant
+    async checkItems(client, items) {
+        const result = await client.query(`
+            SELECT g.product_id, g.variant_id, p.name, pv.title as variant_title,
+                   EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id) as has_variants,
+                   (g.variant_id IS NULL OR pv.id IS NOT NULL) as known
+            FROM unnest($1::int[], $2::int[]) AS g(product_id, variant_id)
+            JOIN products p ON p.id = g.product_id
+            LEFT JOIN product_variants pv ON pv.id = g.variant_id AND pv.product_id = p.id
+        `, [items.map(item => item.productId), items.map(item => item.variantId || null)]);
+
+        for (const item of items) {
+            const row = result.rows.find(line =>
+                line.product_id === item.productId && line.variant_id === (item.variantId || null));
+
+            if (!row || !row.known) {
+                throw new Error('Product not found');
+            }
+            if (row.has_variants && !item.variantId) {
+                throw new Error(`Choose a variant of "${itemName(row)}" to order`);
+            }
+        }
+    }
+
+    async insertItems(client, purchaseOrderId, items) {
+        await client.query(`
+            INSERT INTO purchase_order_items (purchase_order_id, product_id, variant_id, quantity_ordered, unit_cost)
+            SELECT $1, * FROM unnest($2::int[], $3::int[], $4::int[], $5::numeric[])
+        `, [
+            purchaseOrderId,
+            items.map(item => item.productId),
+            items.map(item => item.variantId || null),
+            items.map(item => item.quantity),
+            items.map(item => item.unitCost || 0)
+        ]);
+    }
+
+    // Stock is delivered to the named warehouse, or the default one
+    async findWarehouse(client, warehouseId) {
+        const result = await client.query(
+            'SELECT id FROM warehouses WHERE is_active = true AND ($1::int IS NULL AND is_default = true OR id = $1)',
+            [warehouseId || null]
+        );
+
+        if (result.rows.length === 0) {
+            throw new Error('Warehouse not found');
+        }
+
+        return result.rows[0].id;
+    }
+
+    async createPurchaseOrder({ supplierId, warehouseId = null, expectedAt = null, note = null, items }, adminId) {
+        try {
+            const purchaseOrderId = await this.db.transaction(async (client) => {
+                const supplierResult = await client.query(
+                    'SELECT id FROM suppliers WHERE id = $1 AND is_active = true',
+                    [supplierId]
+                );
+                if (supplierResult.rows.length === 0) {
+                    throw new Error('Supplier not found');
+                }
+
+                const deliverTo = await this.findWarehouse(client, warehouseId);
+                await this.checkItems(client, items);
+
+                const result = await client.query(`
+                    INSERT INTO purchase_orders (supplier_id, warehouse_id, expected_at, note, created_by)
+                    VALUES ($1, $2, $3, $4, $5)
+                    RETURNING id
+                `, [supplierId, deliverTo, expectedAt, note, adminId]);
+                const id = result.rows[0].id;
+
+                await this.insertItems(client, id, items);
+
+                return id;
+            });
+
+            logger.info('Purchase order created', { purchaseOrderId, supplierId, lineCount: items.length, adminId });
+
+            return await this.getPurchaseOrderById(purchaseOrderId);
+        } catch (error) {
+            logger.error('Error creating purchase order', { error: error.message, supplierId, adminId });
+            throw error;
+        }
+    }
+
+    // Drafts can be changed until they are sent; items replace the lines
+    async updatePurchaseOrder(purchaseOrderId, { warehouseId, expectedAt, note, items }, adminId) {
+        try {
+            await this.db.transaction(async (client) => {
+                const result = await client.query(
+                    'SELECT id, status FROM purchase_orders WHERE id = $1 FOR UPDATE',
+                    [purchaseOrderId]
+                );
+
+                if (result.rows.length === 0) {
+                    throw new Error('Purchase order not found');
+                }
+                if (result.rows[0].status !== 'draft') {
+                    throw new Error(`Purchase order is ${result.rows[0].status.replace(/_/g, ' ')} and cannot be edited`);
+                }
+
+                const deliverTo = warehouseId ? await this.findWarehouse(client, warehouseId) : null;
+
+                await client.query(`
+                    UPDATE purchase_orders
+                    SET warehouse_id = COALESCE($2, warehouse_id),
+                        expected_at = CASE WHEN $3::boolean THEN $4::date ELSE expected_at END,
+                        note = CASE WHEN $5::boolean THEN $6 ELSE note END
+                    WHERE id = $1
+                `, [purchaseOrderId, deliverTo, expectedAt !== undefined, expectedAt || null, note !== undefined, note || null]);
+
+                if (items) {
+                    await this.checkItems(client, items);
+                    await client.query('DELETE FROM purchase_order_items WHERE purchase_order_id = $1', [purchaseOrderId]);
+                    await this.insertItems(client, purchaseOrderId, items);
+                }
+            });
+
+            logger.info('Purchase order updated', { purchaseOrderId, adminId });
+
+            return await this.getPurchaseOrderById(purchaseOrderId);
+        } catch (error) {
+            logger.error('Error updating purchase order', { error: error.message, purchaseOrderId, adminId });
+            throw error;
+        }
+    }
+
+    // The order goes out to the supplier, who is expected to deliver within
+    // their lead time unless the draft named a date
+    async sendPurchaseOrder(purchaseOrderId, adminId) {
+        try {
+            await this.db.transaction(async (client) => {
+                const result = await client.query(`
+                    SELECT po.id, po.status, s.lead_time_days,
+                           (SELECT COUNT(*)::int FROM purchase_order_items poi WHERE poi.purchase_order_id = po.id) as line_count
+                    FROM purchase_orders po
+                    JOIN suppliers s ON s.id = po.supplier_id
+                    WHERE po.id = $1
+                    FOR UPDATE OF po
+                `, [purchaseOrderId]);
+
+                if (result.rows.length === 0) {
+                    throw new Error('Purchase order not found');
+                }
+
+                const purchaseOrder = result.rows[0];
+                PurchaseOrderService.assertTransition(purchaseOrder.status, 'sent', 'sent');
+
+                if (purchaseOrder.line_count === 0) {
+                    throw new Error('Add at least one item before sending the purchase order');
+                }
+
+                await client.query(`
+                    UPDATE purchase_orders
+                    SET status = 'sent',
+                        sent_at = CURRENT_TIMESTAMP,
+                        expected_at = COALESCE(expected_at, CURRENT_DATE + $2::int)
+                    WHERE id = $1
+                `, [purchaseOrderId, purchaseOrder.lead_time_days]);
+            });
+
+            logger.info('Purchase order sent', { purchaseOrderId, adminId });
+
+            return await this.getPurchaseOrderById(purchaseOrderId);
+        } catch (error) {
+            logger.error('Error sending purchase order', { error: error.message, purchaseOrderId, adminId });
+            throw error;
+        }
+    }
+
+    // Stock already received stays; the rest is no longer expected
+    async cancelPurchaseOrder(purchaseOrderId, adminId) {
+        try {
+            await this.db.transaction(async (client) => {
+                const result = await client.query(
+                    'SELECT id, status FROM purchase_orders WHERE id = $1 FOR UPDATE',
+                    [purchaseOrderId]
+                );
+
+                if (result.rows.length === 0) {
+                    throw new Error('Purchase order not found');
+                }
+
+                PurchaseOrderService.assertTransition(result.rows[0].status, 'cancelled', 'cancelled');
+
+                await client.query(`
+                    UPDATE purchase_orders SET status = 'cancelled', cancelled_at = CURRENT_TIMESTAMP WHERE id = $1
+                `, [purchaseOrderId]);
+            });
+
+            logger.info('Purchase order cancelled', { purchaseOrderId, adminId });
+
+            return await this.getPurchaseOrderById(purchaseOrderId);
+        } catch (error) {
+            logger.error('Error cancelling purchase order', { error: error.message, purchaseOrderId, adminId });
+            throw error;
+        }
+    }
+
+    // A delivery against a sent order: each line's units go into stock at the
+    // order's warehouse. The order is received once every line has arrived
+    // in full, partially received until then.
+    async receivePurchaseOrder(purchaseOrderId, { items, note = null }, adminId) {
+        try {
+            await this.db.transaction(async (client) => {
+                const result = await client.query(
+                    'SELECT id, status, warehouse_id FROM purchase_orders WHERE id = $1 FOR UPDATE',
+                    [purchaseOrderId]
+                );
+
+                if (result.rows.length === 0) {
+                    throw new Error('Purchase order not found');
+                }
+
+                const purchaseOrder = result.rows[0];
+                PurchaseOrderService.assertTransition(purchaseOrder.status, 'received', 'received');
+
+                const linesResult = await client.query(`
+                    SELECT poi.id, poi.product_id, poi.variant_id, poi.quantity_ordered, poi.quantity_received,
+                           p.name, pv.title as variant_title,
+                           (poi.variant_id IS NULL OR pv.id IS NOT NULL) as known
+                    FROM purchase_order_items poi
+                    JOIN products p ON p.id = poi.product_id
+                    LEFT JOIN product_variants pv ON pv.id = poi.variant_id
+                    WHERE poi.purchase_order_id = $1
+                    ORDER BY poi.id ASC
+                    FOR UPDATE OF poi
+                `, [purchaseOrderId]);
+                const lines = linesResult.rows;
+
+                for (const item of items) {
+                    const line = lines.find(row => row.id === item.itemId);
+
+                    if (!line) {
+                        throw new Error('Purchase order item not found');
+                    }
+
+                    const outstanding = line.quantity_ordered - line.quantity_received;
+                    if (item.quantity > outstanding) {
+                        throw new Error(`Only ${outstanding} of "${itemName(line)}" still to be received`);
+                    }
+                    if (!line.known) {
+                        throw new Error(`"${itemName(line)}" no longer exists and cannot be received`);
+                    }
+                }
+
+                for (const item of items) {
+                    const line = lines.find(row => row.id === item.itemId);
+
+                    await client.query(
+                        'UPDATE purchase_order_items SET quantity_received = quantity_received + $2 WHERE id = $1',
+                        [line.id, item.quantity]
+                    );
+                    line.quantity_received += item.quantity;
+
+                    await this.inventoryService.applyStockChange(client, {
+                        productId: line.product_id,
+                        variantId: line.variant_id,
+                        warehouseId: purchaseOrder.warehouse_id,
+                        quantity: item.quantity,
+                        operation: 'increment'
+                    }, { kind: 'purchase_receipt', actor: 'admin', createdBy: adminId, purchaseOrderId: purchaseOrder.id, note });
+                }
+
+                const complete = lines.every(line => line.quantity_received >= line.quantity_ordered);
+                await client.query(`
+                    UPDATE purchase_orders
+                    SET status = $2, received_at = CASE WHEN $2 = 'received' THEN CURRENT_TIMESTAMP ELSE received_at END
+                    WHERE id = $1
+                `, [purchaseOrderId, complete ? 'received' : 'partially_received']);
+            });
+
+            logger.info('Purchase order stock received', {
+                purchaseOrderId,
+                units: items.reduce((total, item) => total + item.quantity, 0),
+                adminId
+            });
+
+            return await this.getPurchaseOrderById(purchaseOrderId);
+        } catch (error) {
+            logger.error('Error receiving purchase order', { error: error.message, purchaseOrderId, adminId });
+            throw error;
+        }
+    }
+
+    // Draft purchase orders for products (or variants) whose stock on hand is
+    // at or below their reorder point and that are not already on an open
+    // order. Lines are added to the supplier's open automatic draft, or a new
+    // one for the default warehouse, at the cost last paid to that supplier.
+    // Checks only productIds when given. Returns the drafts touched.
+    async draftReorders(productIds = null) {
+        try {
+            const drafts = await this.db.transaction(async (client) => {
+                // One check at a time, so two cannot draft the same line
+                await client.query("SELECT pg_advisory_xact_lock(hashtext('purchase_order_reorders'))");
+
+                const lowResult = await client.query(`
+                    WITH stock AS (
+                        SELECT r.product_id, NULL::int as variant_id, p.stock_quantity,
+                               r.supplier_id, r.reorder_point, r.reorder_quantity
+                        FROM product_reorder_rules r
+                        JOIN products p ON p.id = r.product_id AND p.is_active = true
+                        WHERE NOT EXISTS (SELECT 1 FROM product_variants pv WHERE pv.product_id = p.id)
+                        UNION ALL
+                        SELECT r.product_id, pv.id, pv.stock_quantity,
+                               r.supplier_id, r.reorder_point, r.reorder_quantity
+                        FROM product_reorder_rules r
+                        JOIN products p ON p.id = r.product_id AND p.is_active = true
+                        JOIN product_variants pv ON pv.product_id = p.id AND pv.is_active = true
+                    )
+                    SELECT s.product_id, s.variant_id, s.supplier_id, s.reorder_quantity,
+                           (SELECT poi.unit_cost
+                            FROM purchase_order_items poi
+                            JOIN purchase_orders po ON po.id = poi.purchase_order_id
+                            WHERE po.supplier_id = s.supplier_id AND poi.product_id = s.product_id
+                              AND COALESCE(poi.variant_id, 0) = COALESCE(s.variant_id, 0)
+                            ORDER BY po.created_at DESC, poi.id DESC
+                            LIMIT 1) as last_unit_cost
+                    FROM stock s
+                    JOIN suppliers sup ON sup.id = s.supplier_id AND sup.is_active = true
+                    WHERE s.stock_quantity <= s.reorder_point
+                      AND ($1::int[] IS NULL OR s.product_id = ANY($1::int[]))
+                      AND NOT EXISTS (
+                          SELECT 1
+                          FROM purchase_order_items poi
+                          JOIN purchase_orders po ON po.id = poi.purchase_order_id
+                          WHERE po.status = ANY($2::text[]) AND poi.product_id = s.product_id
+                            AND COALESCE(poi.variant_id, 0) = COALESCE(s.variant_id, 0)
+                      )
+                    ORDER BY s.supplier_id, s.product_id, s.variant_id NULLS FIRST
+                `, [productIds, PurchaseOrderService.OPEN_STATUSES]);
+
+                const bySupplier = new Map();
+                for (const row of lowResult.rows) {
+                    bySupplier.set(row.supplier_id, [...(bySupplier.get(row.supplier_id) || []), row]);
+                }
+
+                const touched = [];
+                for (const [supplierId, rows] of bySupplier) {
+                    const draftResult = await client.query(`
+                        SELECT id FROM purchase_orders
+                        WHERE supplier_id = $1 AND status = 'draft' AND auto_generated = true
+                        ORDER BY created_at DESC, id DESC
+                        LIMIT 1
+                    `, [supplierId]);
+
+                    let purchaseOrderId = draftResult.rows[0]?.id;
+                    if (!purchaseOrderId) {
+                        const createdResult = await client.query(`
+                            INSERT INTO purchase_orders (supplier_id, warehouse_id, auto_generated, note)
+                            SELECT $1, id, true, 'Drafted when stock reached the reorder point'
+                            FROM warehouses WHERE is_default = true
+                            RETURNING id
+                        `, [supplierId]);
+                        purchaseOrderId = createdResult.rows[0].id;
+                    }
+
+                    await this.insertItems(client, purchaseOrderId, rows.map(row => ({
+                        productId: row.product_id,
+                        variantId: row.variant_id,
+                        quantity: row.reorder_quantity,
+                        unitCost: row.last_unit_cost
+                    })));
+
+                    touched.push({ purchaseOrderId, supplierId, lineCount: rows.length });
+                }
+
+                return touched;
+            });
+
+            for (const draft of drafts) {
+                logger.info('Purchase order drafted for low stock', draft);
+            }
+
+            return drafts;
+        } catch (error) {
+            logger.error('Error drafting purchase orders for low stock', { error: error.message, productIds });
+            throw error;
+        }
+    }
+
+    // Sweeper: sales take stock without an admin looking, so every product
+    // with a reorder rule is checked on an interval as well
+    start() {
+        if (this.intervalId) {
+            logger.warn('Reorder check already running');
+            return;
+        }
+
+        this.intervalId = setInterval(async () => {
+            try {
+                await this.draftReorders();
+            } catch (error) {
+                logger.error('Reorder check failed', { error: error.message });
+            }
+        }, this.reorderIntervalMs);
+
+        logger.info(`Reorder check started (interval: ${this.reorderIntervalMs}ms)`);
+    }
+
+    stop() {
+        if (!this.intervalId) {
+            return;
+        }
+
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+        logger.info('Reorder check stopped');
+    }
+}
+
+// Orders whose stock is still to come; products on one are not reordered
+PurchaseOrderService.OPEN_STATUSES = ['draft', 'sent', 'partially_received'];
+PurchaseOrderService.STATUSES = Object.keys(PURCHASE_ORDER_TRANSITIONS);
+
+module.exports = PurchaseOrderService;
@@ -0,0 +1,635 @@
+const crypto = require('crypto');
+const InventoryService = require('./inventoryService');
+const MediaService = require('./mediaService');
+const PaymentService = require('./paymentService');
+const ProductService = require('./productService');
+const StockReservationService = require('./stockReservationService');
+const logger = require('../logger');
+
+const MAX_RETURN_PHOTOS = 5;
+
+// Statuses each step can start from. A pickup can be rebooked until the
+// item arrives; the customer can cancel until a courier is booked. A refund
+// the provider has not confirmed is retried by completing the return again.
+const ALLOWED_FROM = {
+    approve: ['requested'],
+    reject: ['requested'],
+    cancel: ['requested', 'approved'],
+    schedulePickup: ['approved', 'pickup_scheduled'],
+    receive: ['approved', 'pickup_scheduled'],
+    complete: ['received', 'refunding'],
+    settleRefund: ['refunding'],
+    declineRefund: ['refunding'],
+    addPhotos: ['requested', 'approved', 'pickup_scheduled']
+};
+
+// For status errors, e.g. "Return request is rejected and cannot be approved"
+const ACTION_LABELS = {
+    approve: 'approved',
+    reject: 'rejected',
+    cancel: 'cancelled',
+    schedulePickup: 'scheduled for pickup',
+    receive: 'received',
+    complete: 'completed',
+    settleRefund: 'refunded',
+    declineRefund: 'declined a refund',
+    addPhotos: 'given photos'
+};
+
+// Requests that no longer claim any of the order line
+const CLOSED_STATUSES = ['rejected', 'cancelled'];
+
+// Refund errors raised before the provider is asked, so nothing was refunded
+const REFUND_REFUSALS = ['refundable balance', 'not in paid status', 'No payment transaction', 'does not support refunds'];
+
+// Returns and exchanges of delivered order lines (RMA). Customers ask to
+// return or exchange part of a line; admins review the request, book the
+// pickup, receive the item (restocking it when it can be sold again) and
+// finish with a partial refund or by sending the replacement.
+class ReturnService {
+    constructor(dbPool, redisPool, mediaService = new MediaService()) {
+        this.db = dbPool;
+        this.redis = redisPool;
+        this.mediaService = mediaService;
+        this.productService = new ProductService(dbPool, redisPool);
+        this.inventoryService = new InventoryService(dbPool, redisPool);
+        this.paymentService = new PaymentService(dbPool, redisPool);
+        // Days after delivery a line can still be returned
+        this.returnWindowDays = parseInt(process.env.RETURN_WINDOW_DAYS) || 7;
+    }
+
+    async createReturn(userId, returnData) {
+        const { orderItemId, type, quantity, reason, details = null, exchangeVariantId = null } = returnData;
+
+        try {
+            const returnRequest = await this.db.transaction(async (client) => {
+                // Locking the line makes concurrent requests for it take turns
+                // at the quantity check. The window runs from when the order
+                // became delivered, which later payment updates don't move.
+                const itemResult = await client.query(`
+                    SELECT oi.id, oi.order_id, oi.product_id, oi.variant_id, oi.quantity,
+                           o.status as order_status,
+                           (SELECT MAX(h.created_at) FROM order_status_history h
+                            WHERE h.order_id = o.id AND h.to_status = 'delivered') as delivered_at
+                    FROM order_items oi
+                    JOIN orders o ON oi.order_id = o.id
+                    WHERE oi.id = $1 AND o.user_id = $2
+                    FOR UPDATE OF oi
+                `, [orderItemId, userId]);
+
+                if (itemResult.rows.length === 0) {
+                    throw new Error('Order item not found');
+                }
+
+                const item = itemResult.rows[0];
+
+                if (item.order_status !== 'delivered') {
+                    throw new Error('Only delivered orders can be returned');
+                }
+
+                const windowEnds = new Date(item.delivered_at);
+                windowEnds.setDate(windowEnds.getDate() + this.returnWindowDays);
+                if (windowEnds < new Date()) {
+                    throw new Error(`Items can only be returned within ${this.returnWindowDays} days of delivery`);
+                }
+
+                const claimedResult = await client.query(`
+                    SELECT COALESCE(SUM(quantity), 0)::int as claimed
+                    FROM return_requests
+                    WHERE order_item_id = $1 AND status <> ALL($2)
+                `, [orderItemId, CLOSED_STATUSES]);
+
+                const returnable = item.quantity - claimedResult.rows[0].claimed;
+                if (quantity > returnable) {
+                    throw new Error(returnable > 0
+                        ? `Only ${returnable} of this item can still be returned`
+                        : 'This item has already been returned');
+                }
+
+                if (type === 'exchange' && exchangeVariantId) {
+                    const variantResult = await client.query(`
+                        SELECT 1 FROM product_variants
+                        WHERE id = $1 AND product_id = $2 AND is_active = true
+                    `, [exchangeVariantId, item.product_id]);
+
+                    if (variantResult.rows.length === 0) {
+                        throw new Error('Exchange variant not found');
+                    }
+                }
+
+                const result = await client.query(`
+                    INSERT INTO return_requests (
+                        order_id, order_item_id, user_id, type, quantity, reason, details, exchange_variant_id
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+                    RETURNING *
+                `, [
+                    item.order_id,
+                    orderItemId,
+                    userId,
+                    type,
+                    quantity,
+                    reason,
+                    details,
+                    type === 'exchange' ? exchangeVariantId : null
+                ]);
+
+                return result.rows[0];
+            });
+
+            logger.info('Return requested', {
+                returnId: returnRequest.id,
+                returnNumber: returnRequest.return_number,
+                orderItemId,
+                userId,
+                type,
+                quantity,
+                reason
+            });
+
+            return this.getReturnById(returnRequest.id, userId);
+        } catch (error) {
+            logger.error('Error creating return request', { error: error.message, orderItemId, userId, type });
+            throw error;
+        }
+    }
+
+    // Only the customer who asked can add photos, and only while the request
+    // is open. The limit is checked again with the request locked, so
+    // concurrent uploads can neither go over it nor share a position.
+    async addPhotos(returnId, userId, files) {
+        try {
+            await this.checkPhotoLimit(this.db, returnId, userId, files.length);
+
+            const processed = await this.mediaService.processImages(files, `returns/${returnId}`);
+
+            try {
+                await this.db.transaction(async (client) => {
+                    const returnRequest = await this.checkPhotoLimit(client, returnId, userId, processed.length, true);
+
+                    let position = returnRequest.next_position;
+                    for (const image of processed) {
+                        await client.query(`
+                            INSERT INTO return_media (
+                                return_id, media_url, media_medium_url, media_thumbnail_url,
+                                storage_keys, width, height, file_size, mime_type, position
+                            ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+                        `, [
+                            returnId,
+                            image.renditions.large,
+                            image.renditions.medium,
+                            image.renditions.thumbnail,
+                            image.storageKeys,
+                            image.width,
+                            image.height,
+                            image.fileSize,
+                            image.mimeType,
+                            position++
+                        ]);
+                    }
+                });
+            } catch (error) {
+                await this.mediaService.deleteObjects(processed.flatMap(image => image.storageKeys));
+                throw error;
+            }
+
+            logger.info('Return photos uploaded', { returnId, userId, uploaded: processed.length });
+
+            return this.getReturnMedia(returnId);
+        } catch (error) {
+            logger.error('Error uploading return photos', { error: error.message, returnId, userId });
+            throw error;
+        }
+    }
+
+    // The customer's open request with its photo count and next free
+    // position, once `adding` more photos is known to fit. `lock` takes the
+    // request row for the rest of the caller's transaction.
+    async checkPhotoLimit(client, returnId, userId, adding, lock = false) {
+        const returnResult = await client.query(`
+            SELECT rr.status,
+                   (SELECT COUNT(*)::int FROM return_media rm WHERE rm.return_id = rr.id) as media_count,
+                   (SELECT COALESCE(MAX(rm.position) + 1, 0) FROM return_media rm WHERE rm.return_id = rr.id) as next_position
+            FROM return_requests rr
+            WHERE rr.id = $1 AND rr.user_id = $2
+            ${lock ? 'FOR UPDATE' : ''}
+        `, [returnId, userId]);
+
+        if (returnResult.rows.length === 0) {
+            throw new Error('Return request not found');
+        }
+
+        const returnRequest = returnResult.rows[0];
+        ReturnService.assertStatus(returnRequest, 'addPhotos');
+
+        if (returnRequest.media_count + adding > MAX_RETURN_PHOTOS) {
+            throw new Error(`A return request can have at most ${MAX_RETURN_PHOTOS} photos`);
+        }
+
+        return returnRequest;
+    }
+
+    async getReturnMedia(returnId) {
+        const result = await this.db.query(`
+            SELECT id, media_url, media_medium_url, media_thumbnail_url, width, height, position
+            FROM return_media
+            WHERE return_id = $1
+            ORDER BY position ASC, created_at ASC
+        `, [returnId]);
+
+        return result.rows;
+    }
+
+    // A customer's own request, or any request when userId is null (admins).
+    // Includes the line, the customer and the order's language, which the
+    // status emails need.
+    async getReturnById(returnId, userId = null) {
+        try {
+            const result = await this.db.query(`
+                SELECT rr.*,
+                       o.order_number, o.locale as order_locale, o.payment_method, o.payment_status,
+                       oi.product_id, oi.variant_id, oi.variant_label, oi.unit_price,
+                       oi.quantity as ordered_quantity,
+                       p.name as product_name, p.name_bn as product_name_bn, p.image_url as product_image,
+                       ev.title as exchange_variant_title,
+                       u.email as user_email, u.first_name as user_first_name,
+                       u.last_name as user_last_name, u.locale as user_locale
+                FROM return_requests rr
+                JOIN orders o ON rr.order_id = o.id
+                JOIN order_items oi ON rr.order_item_id = oi.id
+                JOIN products p ON oi.product_id = p.id
+                JOIN users u ON rr.user_id = u.id
+                LEFT JOIN product_variants ev ON rr.exchange_variant_id = ev.id
+                WHERE rr.id = $1 AND ($2::int IS NULL OR rr.user_id = $2)
+            `, [returnId, userId]);
+
+            if (result.rows.length === 0) {
+                throw new Error('Return request not found');
+            }
+
+            return {
+                ...result.rows[0],
+                media: await this.getReturnMedia(returnId)
+            };
+        } catch (error) {
+            logger.error('Error fetching return request', { error: error.message, returnId, userId });
+            throw error;
+        }
+    }
+
+    // A customer's requests (userId set) or every request (admins)
+    async getReturns(filters = {}) {
+        const { page = 1, limit = 20, status, type, orderId, userId } = filters;
+
+        try {
+            const offset = (page - 1) * limit;
+            const conditions = [];
+            const params = [];
+
+            if (userId) {
+                params.push(userId);
+                conditions.push(`rr.user_id = $${params.length}`);
+            }
+            if (status) {
+                params.push(status);
+                conditions.push(`rr.status = $${params.length}`);
+            }
+            if (type) {
+                params.push(type);
+                conditions.push(`rr.type = $${params.length}`);
+            }
+            if (orderId) {
+                params.push(orderId);
+                conditions.push(`rr.order_id = $${params.length}`);
+            }
+
+            const whereClause = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+            const result = await this.db.query(`
+                SELECT rr.*,
+                       o.order_number,
+                       oi.variant_label, oi.unit_price,
+                       p.name as product_name, p.name_bn as product_name_bn, p.image_url as product_image,
+                       ev.title as exchange_variant_title,
+                       u.email as user_email, u.first_name as user_first_name, u.last_name as user_last_name,
+                       (SELECT COUNT(*)::int FROM return_media rm WHERE rm.return_id = rr.id) as media_count
+                FROM return_requests rr
+                JOIN orders o ON rr.order_id = o.id
+                JOIN order_items oi ON rr.order_item_id = oi.id
+                JOIN products p ON oi.product_id = p.id
+                JOIN users u ON rr.user_id = u.id
+                LEFT JOIN product_variants ev ON rr.exchange_variant_id = ev.id
+                ${whereClause}
+                ORDER BY rr.created_at DESC
+                LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+            `, [...params, limit, offset]);
+
+            const countResult = await this.db.query(`
+                SELECT COUNT(*) as total FROM return_requests rr ${whereClause}
+            `, params);
+            const total = parseInt(countResult.rows[0].total);
+
+            return {
+                returns: result.rows,
+                pagination: {
+                    page: parseInt(page),
+                    limit: parseInt(limit),
+                    total,
+                    totalPages: Math.ceil(total / limit),
+                    hasNext: page * limit < total,
+                    hasPrev: page > 1
+                }
+            };
+        } catch (error) {
+            logger.error('Error fetching return requests', { error: error.message, filters });
+            throw error;
+        }
+    }
+
+    async cancelReturn(returnId, userId) {
+        return this.changeStatus(returnId, 'cancel', { userId }, async (client) => {
+            await client.query(`
+                UPDATE return_requests SET status = 'cancelled' WHERE id = $1
+            `, [returnId]);
+        });
+    }
+
+    async reviewReturn(returnId, { decision, note = null }, adminId) {
+        const action = decision === 'approve' ? 'approve' : 'reject';
+
+        return this.changeStatus(returnId, action, { adminId }, async (client) => {
+            await client.query(`
+                UPDATE return_requests
+                SET status = $2,
+                    admin_note = $3,
+                    reviewed_by = $4,
+                    reviewed_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [returnId, action === 'approve' ? 'approved' : 'rejected', note, adminId]);
+        });
+    }
+
+    async schedulePickup(returnId, { pickupDate, note }, adminId) {
+        return this.changeStatus(returnId, 'schedulePickup', { adminId }, async (client) => {
+            await client.query(`
+                UPDATE return_requests
+                SET status = 'pickup_scheduled',
+                    pickup_date = $2,
+                    admin_note = COALESCE($3, admin_note)
+                WHERE id = $1
+            `, [returnId, pickupDate, note || null]);
+        });
+    }
+
+    // Items that can be sold again go back into stock, at the warehouse the
+    // line shipped from, in the same transaction as the status change;
+    // damaged ones are only recorded
+    async receiveReturn(returnId, { restock, note }, adminId) {
+        let productId = null;
+
+        const returnRequest = await this.changeStatus(returnId, 'receive', { adminId }, async (client, locked) => {
+            if (restock) {
+                await this.inventoryService.applyStockChange(client, {
+                    productId: locked.product_id,
+                    variantId: locked.variant_id,
+                    warehouseId: locked.warehouse_id,
+                    quantity: locked.quantity,
+                    operation: 'increment'
+                }, { kind: 'return', actor: 'admin', createdBy: adminId, orderId: locked.order_id, returnId: locked.id });
+                productId = locked.product_id;
+            }
+
+            await client.query(`
+                UPDATE return_requests
+                SET status = 'received',
+                    restocked = $2,
+                    admin_note = COALESCE($3, admin_note),
+                    received_at = CURRENT_TIMESTAMP
+                WHERE id = $1
+            `, [returnId, restock, note || null]);
+        });
+
+        if (productId) {
+            await this.clearProductCaches(productId);
+        }
+
+        return returnRequest;
+    }
+
+    // What the customer paid for the returned units: the line less its share
+    // of the coupon, plus its VAT when that was charged on top
+    static paidForUnits(returnRequest) {
+        const paid = parseFloat(returnRequest.total_price) -
+            parseFloat(returnRequest.discount_amount) +
+            (returnRequest.prices_include_tax ? 0 : parseFloat(returnRequest.tax_amount));
+
+        return Math.round(paid * returnRequest.quantity / returnRequest.item_quantity * 100) / 100;
+    }
+
+    // A return is refunded through the order's payment provider, by default
+    // the price paid for the returned units; cash on delivery orders are
+    // refunded by hand and the refund is only recorded. An exchange takes the
+    // replacement from stock; shipping it is booked like any shipment.
+    // Completing a request still refunding asks the provider again for the
+    // refund it was first asked for, under the same key.
+    async completeReturn(returnId, { refundAmount = null, note }, adminId) {
+        let refund = null;
+
+        const returnRequest = await this.changeStatus(returnId, 'complete', { adminId }, async (client, locked) => {
+            if (locked.status === 'refunding') {
+                refund = { orderId: locked.order_id, amount: parseFloat(locked.refund_amount), key: locked.refund_key };
+                return;
+            }
+
+            if (locked.type === 'exchange') {
+                const variantId = locked.exchange_variant_id || locked.variant_id;
+                await this.takeReplacement(client, locked.product_id, variantId, locked.quantity, {
+                    kind: 'sale',
+                    actor: 'admin',
+                    createdBy: adminId,
+                    orderId: locked.order_id,
+                    returnId: locked.id,
+                    note: 'Exchange replacement'
+                });
+
+                await client.query(`
+                    UPDATE return_requests
+                    SET status = 'exchanged',
+                        admin_note = COALESCE($2, admin_note),
+                        completed_at = CURRENT_TIMESTAMP
+                    WHERE id = $1
+                `, [returnId, note || null]);
+                return;
+            }
+
+            const amount = refundAmount ?? ReturnService.paidForUnits(locked);
+
+            if (locked.payment_method === 'cash_on_delivery') {
+                const cashRefund = await this.paymentService.recordCashRefund(
+                    locked.order_id,
+                    amount,
+                    locked.return_number,
+                    'requested_by_customer',
+                    client
+                );
+
+                await this.markRefunded(client, returnId, cashRefund, note);
+                return;
+            }
+
+            // The provider is called once this is committed, so the request
+            // is not held locked while it answers
+            const key = crypto.randomUUID();
+            await client.query(`
+                UPDATE return_requests
+                SET status = 'refunding',
+                    refund_amount = $2,
+                    refund_key = $3
+                WHERE id = $1
+            `, [returnId, amount, key]);
+
+            refund = { orderId: locked.order_id, amount, key };
+        });
+
+        if (returnRequest.type === 'exchange') {
+            await this.clearProductCaches(returnRequest.product_id);
+        }
+
+        if (!refund) {
+            return returnRequest;
+        }
+
+        return this.refundThroughProvider(returnId, refund, note, adminId);
+    }
+
+    // Second half of completing a return: ask the provider for the refund
+    // and settle the request on its answer. A refund the provider turned
+    // down puts the request back to received. Without an answer the refund
+    // may have gone through, so the request stays refunding until it is
+    // completed again.
+    async refundThroughProvider(returnId, { orderId, amount, key }, note, adminId) {
+        let refund;
+        try {
+            refund = await this.paymentService.refundPayment(orderId, amount, 'requested_by_customer', key);
+        } catch (error) {
+            if (REFUND_REFUSALS.some(message => error.message.includes(message))) {
+                await this.declineRefund(returnId, adminId);
+                throw error;
+            }
+
+            logger.error('Refund not confirmed by the payment provider', { error: error.message, returnId, orderId, amount, adminId });
+            throw new Error('Refund not confirmed by the payment provider; complete the return again to retry it');
+        }
+
+        if (refund.status === 'failed') {
+            await this.declineRefund(returnId, adminId);
+            throw new Error('Refund failed at the payment provider');
+        }
+
+        const returnRequest = await this.changeStatus(returnId, 'settleRefund', { adminId }, async (client) => {
+            await this.markRefunded(client, returnId, refund, note);
+        });
+
+        logger.info('Return request refunded', { returnId, orderId, refundId: refund.refundId, amount: refund.amount, adminId });
+
+        return returnRequest;
+    }
+
+    async declineRefund(returnId, adminId) {
+        await this.changeStatus(returnId, 'declineRefund', { adminId }, async (client) => {
+            await client.query(`
+                UPDATE return_requests
+                SET status = 'received',
+                    refund_amount = NULL,
+                    refund_key = NULL
+                WHERE id = $1
+            `, [returnId]);
+        });
+    }
+
+    async markRefunded(client, returnId, refund, note) {
+        await client.query(`
+            UPDATE return_requests
+            SET status = 'refunded',
+                refund_amount = $2,
+                refund_id = $3,
+                admin_note = COALESCE($4, admin_note),
+                completed_at = CURRENT_TIMESTAMP
+            WHERE id = $1
+        `, [returnId, refund.amount, refund.refundId, note || null]);
+    }
+
+    // Take the replacement from sellable stock, net of what checkouts have
+    // reserved. The product is locked first, as checkout does, so the check
+    // and the decrement see the same stock.
+    async takeReplacement(client, productId, variantId, quantity, movement = {}) {
+        await client.query('SELECT id FROM products WHERE id = $1 FOR UPDATE', [productId]);
+
+        const stockResult = await client.query(`
+            SELECT ${StockReservationService.availableStockSql('p', 'pv')} as available
+            FROM products p
+            LEFT JOIN product_variants pv ON pv.id = $2 AND pv.product_id = p.id
+            WHERE p.id = $1
+        `, [productId, variantId]);
+
+        if ((stockResult.rows[0]?.available || 0) < quantity) {
+            throw new Error('Not enough stock for the replacement');
+        }
+
+        await this.inventoryService.applyStockChange(client, {
+            productId,
+            variantId,
+            quantity,
+            operation: 'decrement'
+        }, movement);
+    }
+
+    async clearProductCaches(productId) {
+        await this.productService.clearProductCache(productId);
+        await this.productService.clearProductsCache();
+    }
+
+    // Lock the request, check the step is allowed from its status, apply it
+    // and return the updated request. `apply` runs in the transaction.
+    async changeStatus(returnId, action, { userId = null, adminId = null }, apply) {
+        try {
+            await this.db.transaction(async (client) => {
+                const result = await client.query(`
+                    SELECT rr.*, oi.product_id, oi.variant_id, oi.unit_price,
+                           oi.quantity as item_quantity, oi.total_price, oi.discount_amount, oi.tax_amount,
+                           o.prices_include_tax, o.payment_method,
+                           (SELECT a.warehouse_id FROM order_item_allocations a
+                            WHERE a.order_item_id = oi.id ORDER BY a.quantity DESC, a.id LIMIT 1) as warehouse_id
+                    FROM return_requests rr
+                    JOIN order_items oi ON rr.order_item_id = oi.id
+                    JOIN orders o ON oi.order_id = o.id
+                    WHERE rr.id = $1 AND ($2::int IS NULL OR rr.user_id = $2)
+                    FOR UPDATE OF rr
+                `, [returnId, userId]);
+
+                if (result.rows.length === 0) {
+                    throw new Error('Return request not found');
+                }
+
+                const returnRequest = result.rows[0];
+                ReturnService.assertStatus(returnRequest, action);
+
+                await apply(client, returnRequest);
+            });
+
+            logger.info('Return request updated', { returnId, action, userId, adminId });
+
+            return this.getReturnById(returnId);
+        } catch (error) {
+            logger.error('Error updating return request', { error: error.message, returnId, action, userId, adminId });
+            throw error;
+        }
+    }
+
+    static assertStatus(returnRequest, action) {
+        if (!ALLOWED_FROM[action].includes(returnRequest.status)) {
+            throw new Error(`Return request is ${returnRequest.status.replace('_', ' ')} and cannot be ${ACTION_LABELS[action]}`);
+        }
+    }
+}
+
+module.exports = ReturnService;
@@ -0,0 +1,140 @@
+const MediaService = require('./mediaService');
+const logger = require('../logger');
+
+const MAX_REVIEW_PHOTOS = 5;
+
+// Photos attached to product reviews, stored through the same pipeline as
+// product images. media_url holds the large rendition.
+class ReviewMediaService {
+    constructor(dbPool, redisPool, mediaService = new MediaService()) {
+        this.dbPool = dbPool;
+        this.redisPool = redisPool;
+        this.mediaService = mediaService;
+    }
+
+    async getReviewMedia(reviewId) {
+        const result = await this.dbPool.query(`
+            SELECT id, media_type, media_url, media_medium_url, media_thumbnail_url,
+                   alt_text, width, height, position
+            FROM review_media
+            WHERE review_id = $1
+            ORDER BY position ASC, created_at ASC
+        `, [reviewId]);
+
+        return result.rows;
+    }
+
+    // Only the review's author can add photos. The count is checked before
+    // the images are processed and again with the review locked, so
+    // concurrent uploads can neither go over the limit nor share a position.
+    async addPhotos(reviewId, userId, files, { altText = null } = {}) {
+        try {
+            const review = await this.checkPhotoLimit(this.dbPool, reviewId, userId, files.length);
+
+            const processed = await this.mediaService.processImages(files, `reviews/${reviewId}`);
+
+            try {
+                await this.dbPool.transaction(async (client) => {
+                    const locked = await this.checkPhotoLimit(client, reviewId, userId, processed.length, true);
+
+                    let position = locked.next_position;
+                    for (const image of processed) {
+                        await client.query(`
+                            INSERT INTO review_media (
+                                review_id, media_type, media_url, media_medium_url, media_thumbnail_url,
+                                storage_keys, alt_text, width, height, file_size, mime_type, position
+                            ) VALUES ($1, 'image', $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+                        `, [
+                            reviewId,
+                            image.renditions.large,
+                            image.renditions.medium,
+                            image.renditions.thumbnail,
+                            image.storageKeys,
+                            altText || null,
+                            image.width,
+                            image.height,
+                            image.fileSize,
+                            image.mimeType,
+                            position++
+                        ]);
+                    }
+                });
+            } catch (error) {
+                await this.mediaService.deleteObjects(processed.flatMap(image => image.storageKeys));
+                throw error;
+            }
+
+            await this.clearReviewCache(review.product_id);
+
+            logger.info('Review photos uploaded', { reviewId, userId, uploaded: processed.length });
+
+            return this.getReviewMedia(reviewId);
+        } catch (error) {
+            logger.error('Error uploading review photos', { error: error.message, reviewId, userId });
+            throw error;
+        }
+    }
+
+    // The author's review with its photo count and next free position, once
+    // `adding` more photos is known to fit. `lock` takes the review row for
+    // the rest of the caller's transaction.
+    async checkPhotoLimit(client, reviewId, userId, adding, lock = false) {
+        const reviewResult = await client.query(`
+            SELECT pr.product_id,
+                   (SELECT COUNT(*)::int FROM review_media rm WHERE rm.review_id = pr.id) as media_count,
+                   (SELECT COALESCE(MAX(rm.position) + 1, 0) FROM review_media rm WHERE rm.review_id = pr.id) as next_position
+            FROM product_reviews pr
+            WHERE pr.id = $1 AND pr.user_id = $2
+            ${lock ? 'FOR UPDATE' : ''}
+        `, [reviewId, userId]);
+
+        if (reviewResult.rows.length === 0) {
+            throw new Error('Review not found or you do not have permission to add photos to it');
+        }
+
+        const review = reviewResult.rows[0];
+
+        if (review.media_count + adding > MAX_REVIEW_PHOTOS) {
+            throw new Error(`A review can have at most ${MAX_REVIEW_PHOTOS} photos`);
+        }
+
+        return review;
+    }
+
+    // Authors can remove their own photos; admins can remove any
+    async deletePhoto(reviewId, mediaId, userId, isAdmin = false) {
+        try {
+            const result = await this.dbPool.query(`
+                DELETE FROM review_media rm
+                USING product_reviews pr
+                WHERE rm.id = $1 AND rm.review_id = $2 AND pr.id = rm.review_id
+                  AND (pr.user_id = $3 OR $4)
+                RETURNING rm.storage_keys, pr.product_id
+            `, [mediaId, reviewId, userId, isAdmin]);
+
+            if (result.rows.length === 0) {
+                throw new Error('Review photo not found or you do not have permission to delete it');
+            }
+
+            const deleted = result.rows[0];
+
+            await this.mediaService.deleteObjects(deleted.storage_keys);
+            await this.clearReviewCache(deleted.product_id);
+
+            logger.info('Review photo deleted', { reviewId, mediaId, userId });
+
+            return this.getReviewMedia(reviewId);
+        } catch (error) {
+            logger.error('Error deleting review photo', { error: error.message, reviewId, mediaId, userId });
+            throw error;
+        }
+    }
+
+    async clearReviewCache(productId) {
+        if (this.redisPool && this.redisPool.isConnected) {
+            await this.redisPool.deleteCachedData(`product:${productId}:reviews`);
+        }
+    }
+}
+
+module.exports = ReviewMediaService;
@@ -135,10 +135,11 @@ class ReviewService {
             // Get review media for each review
             const reviews = await Promise.all(reviewsResult.rows.map(async (review) => {
                 const mediaResult = await this.dbPool.query(`
-                    SELECT media_type, media_url, media_thumbnail_url, alt_text
+                    SELECT id, media_type, media_url, media_medium_url, media_thumbnail_url,
+                           alt_text, width, height
                     FROM review_media
                     WHERE review_id = $1 AND is_approved = true
-                    ORDER BY created_at
+                    ORDER BY position, created_at
                 `, [review.id]);
 
                 return {
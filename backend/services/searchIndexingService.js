@@ -0,0 +1,162 @@
+const logger = require('../logger');
+
+// Outbox rows claimed per run of processBatch
+const BATCH_SIZE = 500;
+
+// Keep the search index in step with Postgres. Database triggers write the
+// products whose search document changed to search_index_outbox in the same
+// transaction as the change; this worker drains the outbox into
+// Elasticsearch bulk requests. Flash sales also start and end without a
+// write, so products are queued when one does.
+class SearchIndexingService {
+    constructor(dbPool, searchService) {
+        this.db = dbPool;
+        this.searchService = searchService;
+        this.intervalMs = parseInt(process.env.SEARCH_INDEX_INTERVAL_MS) || 5000;
+        this.intervalId = null;
+        this.isProcessing = false;
+        this.saleCheckedAt = null;
+        this.lastPurgeAt = 0;
+        this.lastConnectAttemptAt = 0;
+    }
+
+    // Claim pending rows, skipping any another worker holds, and index their
+    // products in one bulk request. The claim commits only once Elasticsearch
+    // accepted the request, so a failed request leaves the rows pending.
+    // Returns the numbers of products processed and queued for a retry.
+    async processBatch() {
+        return this.db.transaction(async (client) => {
+            const claimed = await client.query(`
+                UPDATE search_index_outbox
+                SET processed_at = CURRENT_TIMESTAMP
+                WHERE id IN (
+                    SELECT id FROM search_index_outbox
+                    WHERE processed_at IS NULL
+                    ORDER BY id
+                    LIMIT $1
+                    FOR UPDATE SKIP LOCKED
+                )
+                RETURNING product_id
+            `, [BATCH_SIZE]);
+
+            const productIds = [...new Set(claimed.rows.map(row => row.product_id))];
+            if (productIds.length === 0) {
+                return { processed: 0, retried: 0 };
+            }
+
+            const { retry } = await this.searchService.bulkIndexProducts(productIds);
+
+            // Turned away while Elasticsearch was busy; queued for the next run
+            if (retry.length > 0) {
+                await client.query(`
+                    INSERT INTO search_index_outbox (product_id, reason)
+                    SELECT unnest($1::int[]), 'retry'
+                `, [retry]);
+            }
+
+            return { processed: productIds.length, retried: retry.length };
+        });
+    }
+
+    // Queue the products of flash sales that started or ended since the last
+    // check; the first check looks back a day
+    async queueFlashSaleChanges() {
+        const now = await this.db.query('SELECT LOCALTIMESTAMP::text as now');
+        const checkedAt = now.rows[0].now;
+
+        const result = await this.db.query(`
+            INSERT INTO search_index_outbox (product_id, reason)
+            SELECT DISTINCT fsp.product_id, 'flash_sale_schedule'
+            FROM flash_sale_products fsp
+            JOIN flash_sales fs ON fsp.flash_sale_id = fs.id
+            WHERE (fs.starts_at > COALESCE($1::timestamp, $2::timestamp - INTERVAL '1 day') AND fs.starts_at <= $2::timestamp)
+            OR (fs.expires_at > COALESCE($1::timestamp, $2::timestamp - INTERVAL '1 day') AND fs.expires_at <= $2::timestamp)
+        `, [this.saleCheckedAt, checkedAt]);
+
+        this.saleCheckedAt = checkedAt;
+
+        return result.rowCount;
+    }
+
+    // Processed rows are only kept for replays after a full reindex
+    async purgeProcessed() {
+        const result = await this.db.query(`
+            DELETE FROM search_index_outbox
+            WHERE processed_at < NOW() - INTERVAL '1 day'
+        `);
+
+        return result.rowCount;
+    }
+
+    async run() {
+        if (!this.searchService.indexReady) {
+            // Elasticsearch was down at startup; try to set it up again, at
+            // most once a minute, and keep the changes queued until then
+            if (Date.now() - this.lastConnectAttemptAt < 60 * 1000) {
+                return;
+            }
+            this.lastConnectAttemptAt = Date.now();
+            await this.searchService.initializeIndices();
+            if (!this.searchService.indexReady) {
+                return;
+            }
+        }
+
+        await this.queueFlashSaleChanges();
+
+        // Drain the backlog, backing off to the next run once Elasticsearch
+        // starts turning documents away
+        let processed = 0;
+        let batch;
+        do {
+            batch = await this.processBatch();
+            processed += batch.processed;
+        } while (batch.processed > 0 && batch.retried === 0);
+
+        if (processed > 0) {
+            logger.info('Search index updated from outbox', { products: processed });
+        }
+
+        if (Date.now() - this.lastPurgeAt > 60 * 60 * 1000) {
+            await this.purgeProcessed();
+            this.lastPurgeAt = Date.now();
+        }
+    }
+
+    start() {
+        if (this.intervalId) {
+            logger.warn('Search indexing worker already running');
+            return;
+        }
+
+        this.intervalId = setInterval(async () => {
+            // A run can outlast the interval while a backlog drains
+            if (this.isProcessing) {
+                return;
+            }
+
+            this.isProcessing = true;
+            try {
+                await this.run();
+            } catch (error) {
+                logger.error('Search indexing run failed', { error: error.message });
+            } finally {
+                this.isProcessing = false;
+            }
+        }, this.intervalMs);
+
+        logger.info(`Search indexing worker started (interval: ${this.intervalMs}ms)`);
+    }
+
+    stop() {
+        if (!this.intervalId) {
+            return;
+        }
+
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+        logger.info('Search indexing worker stopped');
+    }
+}
+
+module.exports = SearchIndexingService;
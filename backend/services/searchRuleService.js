@@ -0,0 +1,180 @@
+const logger = require('../logger');
+const SearchService = require('./searchService');
+
+// Messages for the search_rules check constraints, for rules that became
+// invalid through a partial update
+const CONSTRAINT_MESSAGES = {
+    search_rules_valid_dates: 'A rule must start before it expires',
+    search_rules_pin_target: 'Pin rules need a query, a product and a position',
+    search_rules_redirect_target: 'Redirect rules need a query and a category',
+    search_rules_ranking_target: 'Boost and bury rules need exactly one of a product, a category, a brand or out-of-stock products'
+};
+
+// Columns a rule update may change, by request field
+const UPDATABLE_FIELDS = {
+    name: 'name',
+    query: 'query',
+    action: 'action',
+    productId: 'product_id',
+    categoryId: 'category_id',
+    brand: 'brand',
+    outOfStock: 'out_of_stock',
+    position: 'position',
+    isActive: 'is_active',
+    startsAt: 'starts_at',
+    expiresAt: 'expires_at'
+};
+
+// Merchandising rules for product search: pins, boosts, buries and
+// redirects. SearchService reads the rules in effect on every uncached
+// search, so a change only has to clear the cached results.
+class SearchRuleService {
+    constructor(dbPool, redisPool) {
+        this.db = dbPool;
+        this.redis = redisPool;
+    }
+
+    async getRules() {
+        try {
+            const result = await this.db.query(`
+                SELECT r.*, p.name as product_name, c.name as category_name
+                FROM search_rules r
+                LEFT JOIN products p ON r.product_id = p.id
+                LEFT JOIN categories c ON r.category_id = c.id
+                ORDER BY r.is_active DESC, r.query NULLS FIRST, r.action, r.position NULLS LAST, r.created_at DESC
+            `);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Error getting search rules', { error: error.message });
+            throw error;
+        }
+    }
+
+    async createRule(ruleData, userId) {
+        const {
+            name,
+            query = null,
+            action,
+            productId = null,
+            categoryId = null,
+            brand = null,
+            outOfStock = false,
+            position = null,
+            isActive = true,
+            startsAt = null,
+            expiresAt = null
+        } = ruleData;
+
+        try {
+            const result = await this.db.query(`
+                INSERT INTO search_rules (
+                    name, query, action, product_id, category_id, brand,
+                    out_of_stock, position, is_active, starts_at, expires_at, created_by
+                ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
+                RETURNING *
+            `, [
+                name,
+                query && SearchService.normalizeQuery(query),
+                action,
+                productId,
+                categoryId,
+                brand,
+                outOfStock,
+                position,
+                isActive,
+                startsAt,
+                expiresAt,
+                userId
+            ]);
+
+            const rule = result.rows[0];
+            logger.info('Search rule created', { ruleId: rule.id, action, query: rule.query });
+
+            await this.clearSearchCache();
+            return rule;
+        } catch (error) {
+            logger.error('Error creating search rule', { error: error.message, action, query });
+            throw SearchRuleService.describe(error);
+        }
+    }
+
+    // Only the given fields change; null clears a field, e.g. the end date
+    async updateRule(ruleId, updates) {
+        try {
+            const setClauses = [];
+            const values = [ruleId];
+
+            for (const [field, column] of Object.entries(UPDATABLE_FIELDS)) {
+                if (updates[field] !== undefined) {
+                    const value = field === 'query' && updates.query
+                        ? SearchService.normalizeQuery(updates.query)
+                        : updates[field];
+                    values.push(value);
+                    setClauses.push(`${column} = $${values.length}`);
+                }
+            }
+
+            const result = await this.db.query(`
+                UPDATE search_rules
+                SET ${setClauses.join(', ')}
+                WHERE id = $1
+                RETURNING *
+            `, values);
+
+            if (result.rows.length === 0) {
+                throw new Error('Search rule not found');
+            }
+
+            logger.info('Search rule updated', { ruleId, fields: Object.keys(updates) });
+
+            await this.clearSearchCache();
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Error updating search rule', { error: error.message, ruleId });
+            throw SearchRuleService.describe(error);
+        }
+    }
+
+    async deleteRule(ruleId) {
+        try {
+            const result = await this.db.query(
+                'DELETE FROM search_rules WHERE id = $1 RETURNING *',
+                [ruleId]
+            );
+
+            if (result.rows.length === 0) {
+                throw new Error('Search rule not found');
+            }
+
+            logger.info('Search rule deleted', { ruleId });
+
+            await this.clearSearchCache();
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Error deleting search rule', { error: error.message, ruleId });
+            throw error;
+        }
+    }
+
+    // Cached search results were ranked under the old rules
+    async clearSearchCache() {
+        if (this.redis && this.redis.isConnected) {
+            await this.redis.invalidateCache('search:*');
+        }
+    }
+
+    static describe(error) {
+        if (CONSTRAINT_MESSAGES[error.constraint]) {
+            return new Error(CONSTRAINT_MESSAGES[error.constraint]);
+        }
+        if (error.code === '23503') {
+            return new Error(error.constraint?.includes('product')
+                ? 'Product not found'
+                : 'Category not found');
+        }
+        return error;
+    }
+}
+
+module.exports = SearchRuleService;
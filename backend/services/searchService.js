@@ -1,5 +1,34 @@
 const { Client } = require('@elastic/elasticsearch');
 const logger = require('../logger');
+const { transliterateBangla } = require('../locale');
+const ProductService = require('./productService');
+
+// Attributes shoppers can filter by; each is a products column and a keyword
+// field in the index of the same name
+const ATTRIBUTE_FACETS = ['brand', 'color', 'material'];
+
+// Bumped whenever the product mapping or analysis settings change; an index
+// with another version is recreated on startup
+const PRODUCT_MAPPING_VERSION = 4;
+
+// Values listed per facet, and values accepted per filter
+const FACET_SIZE = 50;
+const MAX_FILTER_VALUES = 20;
+
+// Products per bulk request when indexing
+const BULK_SIZE = 500;
+
+// Score factors of boost and bury rules; both multiply text relevance
+const BOOST_WEIGHT = 10;
+const BURY_WEIGHT = 0.01;
+
+// Selected values stay listed, with a zero count, so they can be unticked
+const withSelected = (values, selected = []) => [
+    ...values,
+    ...selected
+        .filter(value => !values.some(item => item.value === value))
+        .map(value => ({ value, count: 0 }))
+];
 
 class SearchService {
     constructor(dbPool, redisPool) {
@@ -18,26 +47,465 @@ class SearchService {
 
         this.productIndex = 'products';
         this.searchAnalyticsIndex = 'search_analytics';
+        this.synonymsSet = 'product-synonyms';
         this.cachePrefix = 'search:';
         this.cacheTTL = 300; // 5 minutes
+        // Set once the products alias points at an index of the current
+        // mapping; the indexing worker waits for it
+        this.indexReady = false;
+        this.initializing = null;
 
         this.initializeIndices();
     }
 
-    async initializeIndices() {
+    // Facet filters from the query string. Attributes take several values,
+    // repeated (?brand=Walton&brand=Singer) or comma-separated; specs are
+    // "Name:Value" pairs (?spec=RAM:8 GB). Values of one facet are OR'ed,
+    // different facets AND'ed.
+    static parseFacetFilters(params = {}) {
+        const toList = (value, splitCommas) => [].concat(value ?? [])
+            .flatMap(item => (splitCommas ? String(item).split(',') : [String(item)]))
+            .map(item => item.trim())
+            .filter((item, index, list) => item && item.length <= 100 && list.indexOf(item) === index)
+            .slice(0, MAX_FILTER_VALUES);
+
+        const filters = {
+            inStock: ['true', '1'].includes(String(params.inStock)),
+            specs: {}
+        };
+
+        for (const facet of ATTRIBUTE_FACETS) {
+            filters[facet] = toList(params[facet], true);
+        }
+
+        for (const pair of toList(params.spec, false)) {
+            const separator = pair.indexOf(':');
+            const name = pair.slice(0, separator).trim();
+            const value = pair.slice(separator + 1).trim();
+            if (separator > 0 && name && value) {
+                filters.specs[name] = [...(filters.specs[name] || []), value];
+            }
+        }
+
+        return filters;
+    }
+
+    // Index fields derived from the product row: specs as name/value pairs
+    // for the nested facet, and whether there is stock on hand
+    static attributeFields(product) {
+        return {
+            specs: Object.entries(product.specs || {}).map(([name, value]) => ({ name, value: String(value) })),
+            in_stock: product.stock_quantity > 0
+        };
+    }
+
+    // Facet filter clauses keyed by facet ("spec:<name>" for each spec), so
+    // every facet can be counted with all filters but its own applied
+    static facetClauses(filters) {
+        const clauses = {};
+
+        if (filters.category) {
+            clauses.category = { term: { category_slug: filters.category } };
+        }
+
+        for (const facet of ATTRIBUTE_FACETS) {
+            if (filters[facet]?.length) {
+                clauses[facet] = { terms: { [facet]: filters[facet] } };
+            }
+        }
+
+        if (filters.inStock) {
+            clauses.availability = { term: { in_stock: true } };
+        }
+
+        for (const [name, values] of Object.entries(filters.specs || {})) {
+            clauses[`spec:${name}`] = {
+                nested: {
+                    path: 'specs',
+                    query: {
+                        bool: {
+                            filter: [
+                                { term: { 'specs.name': name } },
+                                { terms: { 'specs.value': values } }
+                            ]
+                        }
+                    }
+                }
+            };
+        }
+
+        return clauses;
+    }
+
+    // The facet filters go in post_filter so the hits are narrowed without
+    // narrowing the aggregations; each aggregation then applies every facet
+    // filter except its own. Ticking a brand thus still shows the other
+    // brands' counts, while colours count only that brand's products.
+    static facetSearch(filters) {
+        const clauses = SearchService.facetClauses(filters);
+        const except = (key) => ({
+            bool: {
+                filter: Object.entries(clauses)
+                    .filter(([facet]) => facet !== key)
+                    .map(([, clause]) => clause)
+            }
+        });
+        const specValues = {
+            terms: { field: 'specs.value', size: FACET_SIZE },
+            aggs: { products: { reverse_nested: {} } }
+        };
+
+        const aggs = {
+            category: {
+                filter: except('category'),
+                aggs: {
+                    values: {
+                        terms: { field: 'category_slug', size: FACET_SIZE },
+                        aggs: {
+                            label: { top_hits: { size: 1, _source: ['category_name', 'category_name_bn'] } }
+                        }
+                    }
+                }
+            },
+            availability: {
+                filter: except('availability'),
+                aggs: { values: { terms: { field: 'in_stock' } } }
+            },
+            // Specs nobody has filtered on yet; the selected ones follow below
+            specs: {
+                filter: except(null),
+                aggs: {
+                    specs: {
+                        nested: { path: 'specs' },
+                        aggs: {
+                            names: {
+                                terms: { field: 'specs.name', size: FACET_SIZE },
+                                aggs: { values: specValues }
+                            }
+                        }
+                    }
+                }
+            }
+        };
+
+        for (const facet of ATTRIBUTE_FACETS) {
+            aggs[facet] = {
+                filter: except(facet),
+                aggs: { values: { terms: { field: facet, size: FACET_SIZE } } }
+            };
+        }
+
+        Object.keys(filters.specs || {}).forEach((name, index) => {
+            aggs[`spec_${index}`] = {
+                filter: except(`spec:${name}`),
+                aggs: {
+                    specs: {
+                        nested: { path: 'specs' },
+                        aggs: {
+                            name: {
+                                filter: { term: { 'specs.name': name } },
+                                aggs: { values: specValues }
+                            }
+                        }
+                    }
+                }
+            };
+        });
+
+        return {
+            postFilter: Object.keys(clauses).length > 0 ? except(null) : null,
+            aggs
+        };
+    }
+
+    // Turn the aggregations built by facetSearch into the facets response:
+    // { category, brand, color, material: [{ value, count }], availability,
+    //   specs: [{ name, values: [{ value, count }] }] }
+    static facetsFromAggregations(aggregations, filters) {
+        const counts = (buckets = []) => buckets.map(bucket => ({
+            value: bucket.key,
+            count: bucket.products ? bucket.products.doc_count : bucket.doc_count
+        }));
+        const availability = aggregations.availability.values.buckets;
+        const selectedSpecs = filters.specs || {};
+
+        const facets = {
+            category: withSelected(
+                aggregations.category.values.buckets.map(bucket => {
+                    const source = bucket.label.hits.hits[0]?._source || {};
+                    return {
+                        value: bucket.key,
+                        label: source.category_name,
+                        labelBn: source.category_name_bn || null,
+                        count: bucket.doc_count
+                    };
+                }),
+                filters.category ? [filters.category] : []
+            ),
+            availability: {
+                inStock: availability.find(bucket => bucket.key_as_string === 'true')?.doc_count || 0,
+                outOfStock: availability.find(bucket => bucket.key_as_string === 'false')?.doc_count || 0
+            },
+            specs: aggregations.specs.specs.names.buckets
+                .filter(bucket => !selectedSpecs[bucket.key])
+                .map(bucket => ({ name: bucket.key, values: counts(bucket.values.buckets) }))
+        };
+
+        for (const facet of ATTRIBUTE_FACETS) {
+            facets[facet] = withSelected(counts(aggregations[facet].values.buckets), filters[facet]);
+        }
+
+        Object.keys(selectedSpecs).forEach((name, index) => {
+            facets.specs.push({
+                name,
+                values: withSelected(
+                    counts(aggregations[`spec_${index}`].specs.name.values.buckets),
+                    selectedSpecs[name]
+                )
+            });
+        });
+
+        // By name, so a spec does not jump around once it is ticked
+        facets.specs.sort((a, b) => a.name.localeCompare(b.name));
+
+        return facets;
+    }
+
+    // WHERE clause of the database fallback search. `exclude` leaves one
+    // facet's filter out, for counting that facet; `param` binds further
+    // values after the ones already used.
+    static fallbackConditions(query, filters, exclude = null, pinnedIds = []) {
+        const conditions = ['p.is_active = true'];
+        const params = [];
+        const param = (value) => {
+            params.push(value);
+            return `$${params.length}`;
+        };
+
+        if (query && query.trim()) {
+            const textSearch = ProductService.textSearchSql(query, param(`%${query.trim()}%`));
+            // Pinned products show whether or not they match the text
+            conditions.push(pinnedIds.length > 0
+                ? `(${textSearch} OR p.id = ANY(${param(pinnedIds)}))`
+                : textSearch);
+        }
+
+        if (filters.minPrice) {
+            conditions.push(`p.price >= ${param(filters.minPrice)}`);
+        }
+
+        if (filters.maxPrice) {
+            conditions.push(`p.price <= ${param(filters.maxPrice)}`);
+        }
+
+        if (filters.category && exclude !== 'category') {
+            conditions.push(`c.slug = ${param(filters.category)}`);
+        }
+
+        for (const facet of ATTRIBUTE_FACETS) {
+            if (filters[facet]?.length && exclude !== facet) {
+                conditions.push(`p.${facet} = ANY(${param(filters[facet])})`);
+            }
+        }
+
+        if (filters.inStock && exclude !== 'availability') {
+            conditions.push('p.stock_quantity > 0');
+        }
+
+        for (const [name, values] of Object.entries(filters.specs || {})) {
+            if (exclude !== `spec:${name}`) {
+                conditions.push(`p.specs ->> ${param(name)} = ANY(${param(values)})`);
+            }
+        }
+
+        return { where: conditions.join(' AND '), params, param };
+    }
+
+    // Queries as search_rules stores them
+    static normalizeQuery(query) {
+        return (query || '').trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    // Pinned products of the rules, in position order
+    static pinnedIds(rules) {
+        return [...new Set(rules
+            .filter(rule => rule.action === 'pin')
+            .sort((a, b) => a.position - b.position)
+            .map(rule => rule.product_id))];
+    }
+
+    // Category page a redirect rule sends the query to
+    static ruleRedirect(rules) {
+        const rule = rules.find(item => item.action === 'redirect');
+        if (!rule) {
+            return null;
+        }
+
+        return { category: rule.category_slug, label: rule.category_name, labelBn: rule.category_name_bn };
+    }
+
+    // The products a boost or bury rule ranks, as an index filter
+    static ruleTarget(rule) {
+        if (rule.product_id) {
+            return { ids: { values: [String(rule.product_id)] } };
+        }
+        if (rule.category_id) {
+            return { term: { category_id: rule.category_id } };
+        }
+        if (rule.brand) {
+            return { term: { brand: rule.brand } };
+        }
+        return { term: { in_stock: false } };
+    }
+
+    // ...and as a condition of the database fallback
+    static ruleTargetSql(rule, param) {
+        if (rule.product_id) {
+            return `p.id = ${param(rule.product_id)}`;
+        }
+        if (rule.category_id) {
+            return `p.category_id = ${param(rule.category_id)}`;
+        }
+        if (rule.brand) {
+            return `p.brand = ${param(rule.brand)}`;
+        }
+        return 'p.stock_quantity <= 0';
+    }
+
+    // Wrap the relevance query with the rules: boosts and buries scale the
+    // score of their targets, pins go above everything in position order.
+    // The filters are repeated outside the pin so pinned products still
+    // have to be active and in the price range.
+    static merchandisedQuery(query, rules) {
+        let merchandised = query;
+
+        const functions = rules
+            .filter(rule => rule.action === 'boost' || rule.action === 'bury')
+            .map(rule => ({
+                filter: SearchService.ruleTarget(rule),
+                weight: rule.action === 'boost' ? BOOST_WEIGHT : BURY_WEIGHT
+            }));
+        if (functions.length > 0) {
+            merchandised = {
+                function_score: {
+                    query: merchandised,
+                    functions,
+                    score_mode: 'multiply',
+                    boost_mode: 'multiply'
+                }
+            };
+        }
+
+        const pinnedIds = SearchService.pinnedIds(rules);
+        if (pinnedIds.length > 0) {
+            merchandised = {
+                bool: {
+                    must: [{ pinned: { ids: pinnedIds.map(String), organic: merchandised } }],
+                    filter: [{ term: { is_active: true } }, ...query.bool.filter]
+                }
+            };
+        }
+
+        return merchandised;
+    }
+
+    // ORDER BY terms giving the fallback the ranking merchandisedQuery gives
+    // the index: pins first, then by the product of boost and bury weights
+    static fallbackRanking(rules, param) {
+        const ranking = [];
+
+        const pinnedIds = SearchService.pinnedIds(rules);
+        if (pinnedIds.length > 0) {
+            ranking.push(`array_position(${param(pinnedIds)}::int[], p.id) NULLS LAST`);
+        }
+
+        const weights = rules
+            .filter(rule => rule.action === 'boost' || rule.action === 'bury')
+            .map(rule => `(CASE WHEN ${SearchService.ruleTargetSql(rule, param)} THEN ${rule.action === 'boost' ? BOOST_WEIGHT : BURY_WEIGHT} ELSE 1 END)`);
+        if (weights.length > 0) {
+            ranking.push(`${weights.join(' * ')} DESC`);
+        }
+
+        return ranking;
+    }
+
+    // Rule for a search_synonyms row in the Solr format the synonyms set
+    // takes: "mobile, phone" or "phone cover => case"
+    static synonymRule({ terms, replacements }) {
+        return replacements && replacements.length > 0
+            ? `${terms.join(', ')} => ${replacements.join(', ')}`
+            : terms.join(', ');
+    }
+
+    // Phrase suggester for "did you mean". Words are corrected against the
+    // names, brands and categories in the catalog, and a correction is only
+    // offered when it finds products itself.
+    static didYouMeanSuggest(text) {
+        return {
+            did_you_mean: {
+                text,
+                phrase: {
+                    field: 'spelling',
+                    size: 1,
+                    gram_size: 3,
+                    max_errors: 2,
+                    direct_generator: [{
+                        field: 'spelling',
+                        suggest_mode: 'always',
+                        min_word_length: 3
+                    }],
+                    highlight: { pre_tag: '<em>', post_tag: '</em>' },
+                    collate: {
+                        query: {
+                            source: {
+                                match: {
+                                    spelling: { query: '{{suggestion}}', operator: 'and' }
+                                }
+                            }
+                        },
+                        prune: false
+                    }
+                }
+            }
+        };
+    }
+
+    static didYouMean(suggest, query) {
+        const option = suggest?.did_you_mean?.[0]?.options?.[0];
+        if (!option || option.text === query.trim().toLowerCase()) {
+            return null;
+        }
+
+        return { text: option.text, highlighted: option.highlighted };
+    }
+
+    // One setup at a time: the indexing worker retries it while
+    // Elasticsearch is down, and a rebuild can take a while
+    initializeIndices() {
+        if (!this.initializing) {
+            this.initializing = this.setUpIndices().finally(() => {
+                this.initializing = null;
+            });
+        }
+        return this.initializing;
+    }
+
+    async setUpIndices() {
         try {
             // Check if Elasticsearch is available
             await this.client.ping();
             logger.info('Elasticsearch connection established');
 
-            // Create product index if it doesn't exist
+            // The query analyzers read the synonyms set, so it has to exist
+            // before the product index is created
+            await this.syncSynonyms();
+
+            // Create the product index, or rebuild it for a new mapping;
+            // otherwise the outbox has kept it up to date
             await this.createProductIndex();
 
             // Create search analytics index if it doesn't exist
             await this.createSearchAnalyticsIndex();
-
-            // Index existing products
-            await this.indexAllProducts();
         } catch (error) {
             logger.warn('Elasticsearch not available, search features will be limited', {
                 error: error.message
@@ -45,70 +513,288 @@ class SearchService {
         }
     }
 
+    // Searches go through the products alias; the index behind it is
+    // replaced whole when the mapping changes, see rebuildProductIndex
     async createProductIndex() {
         try {
-            const exists = await this.client.indices.exists({ index: this.productIndex });
+            const aliased = await this.client.indices.existsAlias({ name: this.productIndex });
+
+            if (aliased) {
+                const mapping = await this.client.indices.getMapping({ index: this.productIndex });
+                const current = Object.values(mapping)[0];
+                if (current?.mappings?._meta?.version === PRODUCT_MAPPING_VERSION) {
+                    this.indexReady = true;
+                    return;
+                }
+            }
 
-            if (!exists) {
-                await this.client.indices.create({
-                    index: this.productIndex,
-                    body: {
-                        settings: {
-                            analysis: {
-                                analyzer: {
-                                    product_analyzer: {
-                                        type: 'custom',
-                                        tokenizer: 'standard',
-                                        filter: ['lowercase', 'stop', 'snowball']
-                                    }
-                                }
-                            }
+            // Missing, built from an older mapping, or a plain index from
+            // before the alias
+            await this.rebuildProductIndex();
+        } catch (error) {
+            logger.error('Error creating product index', { error: error.message });
+            throw error;
+        }
+    }
+
+    // Settings and mapping of a product index
+    productIndexBody() {
+        return {
+            settings: {
+                analysis: {
+                    char_filter: {
+                        // Banglish is spelled many ways ("chaal", "chal";
+                        // "shari", "saree"); fold the common variations
+                        banglish_spelling: {
+                            type: 'mapping',
+                            mappings: ['aa => a', 'ee => i', 'oo => u', 'ph => f', 'chh => ch', 'sh => s', 'z => j']
+                        }
+                    },
+                    filter: {
+                        bengali_stop: {
+                            type: 'stop',
+                            stopwords: '_bengali_'
                         },
-                        mappings: {
-                            properties: {
-                                id: { type: 'integer' },
-                                name: {
-                                    type: 'text',
-                                    analyzer: 'product_analyzer',
-                                    fields: {
-                                        keyword: { type: 'keyword' },
-                                        suggest: { type: 'completion' }
-                                    }
-                                },
-                                description: {
-                                    type: 'text',
-                                    analyzer: 'product_analyzer'
-                                },
-                                price: { type: 'float' },
-                                stock_quantity: { type: 'integer' },
-                                category_id: { type: 'integer' },
-                                category_name: {
-                                    type: 'text',
-                                    fields: { keyword: { type: 'keyword' } }
-                                },
-                                category_slug: { type: 'keyword' },
-                                image_url: { type: 'keyword' },
-                                slug: { type: 'keyword' },
-                                sku: { type: 'keyword' },
-                                is_active: { type: 'boolean' },
-                                created_at: { type: 'date' },
-                                updated_at: { type: 'date' },
-                                popularity_score: { type: 'float' },
-                                rating_average: { type: 'float' },
-                                rating_count: { type: 'integer' }
-                            }
+                        bengali_stemmer: {
+                            type: 'stemmer',
+                            language: 'bengali'
+                        },
+                        // Merchandiser-managed synonyms, applied to
+                        // queries only so rule changes need no reindex
+                        product_synonyms: {
+                            type: 'synonym_graph',
+                            synonyms_set: this.synonymsSet,
+                            updateable: true
+                        },
+                        spelling_shingle: {
+                            type: 'shingle',
+                            min_shingle_size: 2,
+                            max_shingle_size: 3
+                        }
+                    },
+                    analyzer: {
+                        product_analyzer: {
+                            type: 'custom',
+                            tokenizer: 'standard',
+                            filter: ['lowercase', 'stop', 'snowball']
+                        },
+                        bangla_analyzer: {
+                            type: 'custom',
+                            tokenizer: 'standard',
+                            filter: [
+                                'lowercase',
+                                'decimal_digit',
+                                'indic_normalization',
+                                'bengali_normalization',
+                                'bengali_stop',
+                                'bengali_stemmer'
+                            ]
+                        },
+                        banglish_analyzer: {
+                            type: 'custom',
+                            char_filter: ['banglish_spelling'],
+                            tokenizer: 'standard',
+                            filter: ['lowercase', 'asciifolding']
+                        },
+                        // Query-time counterparts of the analyzers above
+                        product_search_analyzer: {
+                            type: 'custom',
+                            tokenizer: 'standard',
+                            filter: ['lowercase', 'stop', 'product_synonyms', 'snowball']
+                        },
+                        bangla_search_analyzer: {
+                            type: 'custom',
+                            tokenizer: 'standard',
+                            filter: [
+                                'lowercase',
+                                'decimal_digit',
+                                'indic_normalization',
+                                'bengali_normalization',
+                                'bengali_stop',
+                                'product_synonyms',
+                                'bengali_stemmer'
+                            ]
+                        },
+                        banglish_search_analyzer: {
+                            type: 'custom',
+                            char_filter: ['banglish_spelling'],
+                            tokenizer: 'standard',
+                            filter: ['lowercase', 'asciifolding', 'product_synonyms']
+                        },
+                        // Word pairs and triples for the "did you mean" suggester
+                        spelling_analyzer: {
+                            type: 'custom',
+                            tokenizer: 'standard',
+                            filter: ['lowercase', 'spelling_shingle']
                         }
                     }
-                });
+                }
+            },
+            mappings: {
+                _meta: { version: PRODUCT_MAPPING_VERSION },
+                properties: {
+                    id: { type: 'integer' },
+                    name: {
+                        type: 'text',
+                        analyzer: 'product_analyzer',
+                        search_analyzer: 'product_search_analyzer',
+                        copy_to: 'spelling',
+                        fields: {
+                            keyword: { type: 'keyword' },
+                            suggest: { type: 'completion' }
+                        }
+                    },
+                    description: {
+                        type: 'text',
+                        analyzer: 'product_analyzer',
+                        search_analyzer: 'product_search_analyzer'
+                    },
+                    name_bn: {
+                        type: 'text',
+                        analyzer: 'bangla_analyzer',
+                        search_analyzer: 'bangla_search_analyzer',
+                        copy_to: 'spelling',
+                        fields: {
+                            keyword: { type: 'keyword' },
+                            suggest: { type: 'completion', analyzer: 'simple' }
+                        }
+                    },
+                    description_bn: {
+                        type: 'text',
+                        analyzer: 'bangla_analyzer',
+                        search_analyzer: 'bangla_search_analyzer'
+                    },
+                    // Romanized name_bn, so Banglish queries find Bangla names
+                    name_translit: {
+                        type: 'text',
+                        analyzer: 'banglish_analyzer',
+                        search_analyzer: 'banglish_search_analyzer',
+                        copy_to: 'spelling'
+                    },
+                    // The catalog's vocabulary, for spelling corrections
+                    spelling: {
+                        type: 'text',
+                        analyzer: 'spelling_analyzer'
+                    },
+                    price: { type: 'float' },
+                    stock_quantity: { type: 'integer' },
+                    category_id: { type: 'integer' },
+                    category_name: {
+                        type: 'text',
+                        copy_to: 'spelling',
+                        fields: { keyword: { type: 'keyword' } }
+                    },
+                    category_name_bn: {
+                        type: 'text',
+                        analyzer: 'bangla_analyzer',
+                        fields: { keyword: { type: 'keyword' } }
+                    },
+                    category_slug: { type: 'keyword' },
+                    image_url: { type: 'keyword' },
+                    slug: { type: 'keyword' },
+                    sku: { type: 'keyword' },
+                    brand: { type: 'keyword', copy_to: 'spelling' },
+                    color: { type: 'keyword' },
+                    material: { type: 'keyword' },
+                    specs: {
+                        type: 'nested',
+                        properties: {
+                            name: { type: 'keyword' },
+                            value: { type: 'keyword' }
+                        }
+                    },
+                    in_stock: { type: 'boolean' },
+                    is_active: { type: 'boolean' },
+                    created_at: { type: 'date' },
+                    updated_at: { type: 'date' },
+                    popularity_score: { type: 'float' },
+                    rating_average: { type: 'float' },
+                    rating_count: { type: 'integer' },
+                    // Price in a running flash sale
+                    sale_price: { type: 'float' },
+                    sale_ends_at: { type: 'date' }
+                }
+            }
+        };
+    }
+
+    // Zero-downtime reindex: load a new index from Postgres beside the live
+    // one and swap the alias over in one step. Changes made while it loaded
+    // reached the old index through the outbox, so they are queued again.
+    async rebuildProductIndex() {
+        const index = `${this.productIndex}_${Date.now()}`;
+        let swapped = false;
 
-                logger.info('Product index created successfully');
+        try {
+            const started = await this.db.query('SELECT LOCALTIMESTAMP::text as started_at');
+            const startedAt = started.rows[0].started_at;
+
+            await this.client.indices.create({ index, body: this.productIndexBody() });
+            const count = await this.indexAllProducts(index);
+            await this.client.indices.refresh({ index });
+
+            const previous = await this.aliasedIndices();
+            const actions = previous.map(name => ({ remove: { index: name, alias: this.productIndex } }));
+            if (previous.length === 0 && await this.client.indices.exists({ index: this.productIndex })) {
+                // A plain index holds the alias's name; it goes in the same step
+                actions.push({ remove_index: { index: this.productIndex } });
             }
+            actions.push({ add: { index, alias: this.productIndex } });
+
+            await this.client.indices.updateAliases({ body: { actions } });
+            swapped = true;
+            this.indexReady = true;
+
+            await this.replayOutbox(startedAt);
+
+            for (const name of previous) {
+                await this.client.indices.delete({ index: name });
+            }
+
+            logger.info('Product index rebuilt', { index, count, replaced: previous });
+
+            return { index, count };
         } catch (error) {
-            logger.error('Error creating product index', { error: error.message });
+            logger.error('Error rebuilding product index', { error: error.message, index });
+
+            if (!swapped) {
+                await this.client.indices.delete({ index }).catch(() => {});
+            }
+            throw error;
+        }
+    }
+
+    // Indices the products alias points at
+    async aliasedIndices() {
+        try {
+            const aliases = await this.client.indices.getAlias({ name: this.productIndex });
+            return Object.keys(aliases);
+        } catch (error) {
+            if (error.meta?.statusCode === 404) {
+                return [];
+            }
             throw error;
         }
     }
 
+    // Queue again the products changed since `since`, with a minute's margin
+    // for transactions that were still open then
+    async replayOutbox(since) {
+        try {
+            const result = await this.db.query(`
+                INSERT INTO search_index_outbox (product_id, reason)
+                SELECT DISTINCT product_id, 'reindex_replay'
+                FROM search_index_outbox
+                WHERE created_at >= $1::timestamp - INTERVAL '1 minute'
+            `, [since]);
+
+            return result.rowCount;
+        } catch (error) {
+            logger.warn('Could not replay search index changes after rebuild', { error: error.message });
+            return 0;
+        }
+    }
+
     async createSearchAnalyticsIndex() {
         try {
             const exists = await this.client.indices.exists({ index: this.searchAnalyticsIndex });
@@ -125,6 +811,8 @@ class SearchService {
                                 },
                                 user_id: { type: 'integer' },
                                 results_count: { type: 'integer' },
+                                // Searches narrowed by filters, left out of the zero-result report
+                                has_filters: { type: 'boolean' },
                                 clicked_product_id: { type: 'integer' },
                                 session_id: { type: 'keyword' },
                                 ip_address: { type: 'ip' },
@@ -143,86 +831,136 @@ class SearchService {
         }
     }
 
-    async indexAllProducts() {
+    // Load every active product into `index`, in bulk requests of
+    // BULK_SIZE. Returns the number indexed.
+    async indexAllProducts(index = this.productIndex) {
         try {
-            // Get all active products from database
-            const result = await this.db.query(`
-                SELECT p.*, c.name as category_name, c.slug as category_slug,
-                       COALESCE(AVG(r.rating), 0) as rating_average,
-                       COUNT(r.id) as rating_count
-                FROM products p
-                LEFT JOIN categories c ON p.category_id = c.id
-                LEFT JOIN reviews r ON p.id = r.product_id AND r.is_approved = true
-                WHERE p.is_active = true
-                GROUP BY p.id, c.name, c.slug
-            `);
-
-            if (result.rows.length === 0) {
-                logger.info('No products to index');
-                return;
-            }
-
-            // Prepare bulk index operations
-            const body = [];
-            for (const product of result.rows) {
-                body.push({ index: { _index: this.productIndex, _id: product.id } });
-                body.push({
-                    ...product,
-                    popularity_score: await this.calculatePopularityScore(product.id),
-                    rating_average: parseFloat(product.rating_average) || 0,
-                    rating_count: parseInt(product.rating_count) || 0
-                });
-            }
+            let count = 0;
+            let lastId = 0;
+            let batch;
+
+            do {
+                batch = await this.db.query(`
+                    SELECT id FROM products
+                    WHERE is_active = true AND id > $1
+                    ORDER BY id
+                    LIMIT $2
+                `, [lastId, BULK_SIZE]);
+
+                if (batch.rows.length > 0) {
+                    const productIds = batch.rows.map(row => row.id);
+                    const { indexed } = await this.bulkIndexProducts(productIds, index);
+                    count += indexed;
+                    lastId = productIds[productIds.length - 1];
+                }
+            } while (batch.rows.length === BULK_SIZE);
 
-            // Bulk index products
-            const response = await this.client.bulk({ body });
+            logger.info('Products indexed successfully', { count, index });
 
-            if (response.errors) {
-                logger.error('Errors occurred during bulk indexing', { errors: response.items });
-            } else {
-                logger.info('Products indexed successfully', { count: result.rows.length });
-            }
+            return count;
         } catch (error) {
-            logger.error('Error indexing products', { error: error.message });
+            logger.error('Error indexing products', { error: error.message, index });
+            throw error;
         }
     }
 
     async indexProduct(productId) {
         try {
-            // Get product data from database
-            const result = await this.db.query(`
-                SELECT p.*, c.name as category_name, c.slug as category_slug,
-                       COALESCE(AVG(r.rating), 0) as rating_average,
-                       COUNT(r.id) as rating_count
-                FROM products p
-                LEFT JOIN categories c ON p.category_id = c.id
-                LEFT JOIN reviews r ON p.id = r.product_id AND r.is_approved = true
-                WHERE p.id = $1
-                GROUP BY p.id, c.name, c.slug
-            `, [productId]);
+            await this.bulkIndexProducts([productId]);
 
-            if (result.rows.length === 0) {
-                logger.warn('Product not found for indexing', { productId });
-                return;
+            logger.info('Product indexed successfully', { productId });
+        } catch (error) {
+            logger.error('Error indexing product', { error: error.message, productId });
+        }
+    }
+
+    // Search documents of the products, by id. Products that no longer
+    // exist are left out.
+    async productDocuments(productIds) {
+        const result = await this.db.query(`
+            SELECT p.*, c.name as category_name, c.name_bn as category_name_bn, c.slug as category_slug,
+                   COALESCE(r.rating_average, 0) as rating_average,
+                   COALESCE(r.rating_count, 0) as rating_count,
+                   sale.sale_price, sale.sale_ends_at
+            FROM products p
+            LEFT JOIN categories c ON p.category_id = c.id
+            LEFT JOIN LATERAL (
+                SELECT AVG(pr.rating) as rating_average, COUNT(*) as rating_count
+                FROM product_reviews pr
+                WHERE pr.product_id = p.id AND pr.is_approved = true
+            ) r ON true
+            LEFT JOIN LATERAL (
+                SELECT fsp.sale_price, fs.expires_at as sale_ends_at
+                FROM flash_sale_products fsp
+                JOIN flash_sales fs ON fsp.flash_sale_id = fs.id
+                WHERE fsp.product_id = p.id
+                AND fs.is_active = true
+                AND fs.starts_at <= NOW() AND fs.expires_at > NOW()
+                AND (fsp.stock_limit IS NULL OR fsp.sold_count < fsp.stock_limit)
+                ORDER BY fsp.sale_price
+                LIMIT 1
+            ) sale ON true
+            WHERE p.id = ANY($1::int[])
+        `, [productIds]);
+
+        const documents = new Map();
+        for (const product of result.rows) {
+            documents.set(product.id, {
+                ...product,
+                ...SearchService.attributeFields(product),
+                name_translit: transliterateBangla(product.name_bn),
+                popularity_score: await this.calculatePopularityScore(product.id),
+                rating_average: parseFloat(product.rating_average) || 0,
+                rating_count: parseInt(product.rating_count) || 0,
+                sale_price: product.sale_price === null ? null : parseFloat(product.sale_price)
+            });
+        }
+
+        return documents;
+    }
+
+    // Bring the products' documents in `index` up to date in one bulk
+    // request: active products are indexed, the rest removed. Throws when
+    // the request fails as a whole; products Elasticsearch was too busy for
+    // come back in `retry`, other per-document failures are only logged.
+    async bulkIndexProducts(productIds, index = this.productIndex) {
+        const documents = await this.productDocuments(productIds);
+
+        const operations = [];
+        for (const productId of productIds) {
+            const document = documents.get(productId);
+            if (document && document.is_active) {
+                operations.push({ index: { _index: index, _id: productId } }, document);
+            } else {
+                operations.push({ delete: { _index: index, _id: productId } });
             }
+        }
 
-            const product = result.rows[0];
+        const response = await this.client.bulk({ body: operations });
 
-            await this.client.index({
-                index: this.productIndex,
-                id: productId,
-                body: {
-                    ...product,
-                    popularity_score: await this.calculatePopularityScore(productId),
-                    rating_average: parseFloat(product.rating_average) || 0,
-                    rating_count: parseInt(product.rating_count) || 0
+        const retry = [];
+        let indexed = 0;
+        response.items.forEach((item, position) => {
+            const [action, result] = Object.entries(item)[0];
+            if (!result.error) {
+                if (action === 'index') {
+                    indexed++;
                 }
-            });
+                return;
+            }
 
-            logger.info('Product indexed successfully', { productId });
-        } catch (error) {
-            logger.error('Error indexing product', { error: error.message, productId });
-        }
+            if (result.status === 429) {
+                retry.push(productIds[position]);
+            } else {
+                logger.error('Product could not be indexed', {
+                    productId: productIds[position],
+                    action,
+                    error: result.error.reason || result.error.type
+                });
+            }
+        });
+
+        return { indexed, retry };
     }
 
     async removeProduct(productId) {
@@ -247,6 +985,11 @@ class SearchService {
             category,
             minPrice,
             maxPrice,
+            brand = [],
+            color = [],
+            material = [],
+            inStock = false,
+            specs = {},
             sortBy = 'relevance',
             userId = null,
             sessionId = null,
@@ -267,6 +1010,7 @@ class SearchService {
             }
 
             const from = (page - 1) * limit;
+            const rules = await this.getSearchRules(query);
 
             // Build Elasticsearch query
             const searchBody = {
@@ -284,7 +1028,9 @@ class SearchService {
                 highlight: {
                     fields: {
                         name: {},
-                        description: {}
+                        description: {},
+                        name_bn: {},
+                        description_bn: {}
                     }
                 }
             };
@@ -295,7 +1041,11 @@ class SearchService {
                     {
                         multi_match: {
                             query: query.trim(),
-                            fields: ['name^3', 'description^1', 'category_name^2'],
+                            fields: [
+                                'name^3', 'description^1', 'category_name^2',
+                                'name_bn^3', 'description_bn^1', 'category_name_bn^2',
+                                'name_translit^2'
+                            ],
                             type: 'best_fields',
                             fuzziness: 'AUTO'
                         }
@@ -307,21 +1057,24 @@ class SearchService {
                                 boost: 2
                             }
                         }
+                    },
+                    {
+                        match_phrase_prefix: {
+                            name_bn: {
+                                query: query.trim(),
+                                boost: 2
+                            }
+                        }
                     }
                 );
                 searchBody.query.bool.minimum_should_match = 1;
+                searchBody.suggest = SearchService.didYouMeanSuggest(query.trim());
             } else {
                 // If no query, match all active products
                 searchBody.query.bool.must.push({ match_all: {} });
             }
 
             // Add filters
-            if (category) {
-                searchBody.query.bool.filter.push({
-                    term: { category_slug: category }
-                });
-            }
-
             if (minPrice || maxPrice) {
                 const priceRange = {};
                 if (minPrice) priceRange.gte = minPrice;
@@ -332,6 +1085,19 @@ class SearchService {
                 });
             }
 
+            // Category and attribute filters, with a count for every facet value
+            const facetSearch = SearchService.facetSearch(filters);
+            searchBody.aggs = facetSearch.aggs;
+            if (facetSearch.postFilter) {
+                searchBody.post_filter = facetSearch.postFilter;
+            }
+
+            // Merchandising rules rank the relevance order only; a shopper
+            // sorting by price or rating gets exactly that
+            if (sortBy === 'relevance') {
+                searchBody.query = SearchService.merchandisedQuery(searchBody.query, rules);
+            }
+
             // Add sorting
             switch (sortBy) {
                 case 'price_asc':
@@ -384,11 +1150,19 @@ class SearchService {
                     hasNext: from + limit < response.hits.total.value,
                     hasPrev: page > 1
                 },
+                facets: SearchService.facetsFromAggregations(response.aggregations, filters),
+                didYouMean: query ? SearchService.didYouMean(response.suggest, query) : null,
+                redirect: SearchService.ruleRedirect(rules),
                 query: query || '',
                 filters: {
                     category,
                     minPrice,
                     maxPrice,
+                    brand,
+                    color,
+                    material,
+                    inStock,
+                    specs,
                     sortBy
                 },
                 took: response.took
@@ -404,6 +1178,10 @@ class SearchService {
                 query: query || '',
                 userId,
                 resultsCount: response.hits.total.value,
+                hasFilters: Boolean(
+                    category || minPrice || maxPrice || inStock ||
+                    brand.length || color.length || material.length || Object.keys(specs).length
+                ),
                 sessionId,
                 ipAddress,
                 userAgent
@@ -425,6 +1203,28 @@ class SearchService {
         }
     }
 
+    // Merchandising rules in effect for a query: its own and those for every
+    // search. Search goes on without rules if they cannot be read.
+    async getSearchRules(query) {
+        try {
+            const result = await this.db.query(`
+                SELECT r.*, c.slug as category_slug, c.name as category_name, c.name_bn as category_name_bn
+                FROM search_rules r
+                LEFT JOIN categories c ON r.category_id = c.id
+                WHERE r.is_active = true
+                AND (r.starts_at IS NULL OR r.starts_at <= NOW())
+                AND (r.expires_at IS NULL OR r.expires_at > NOW())
+                AND (r.query IS NULL OR r.query = $1)
+                ORDER BY r.id
+            `, [SearchService.normalizeQuery(query)]);
+
+            return result.rows;
+        } catch (error) {
+            logger.warn('Search rules unavailable, searching without them', { error: error.message, query });
+            return [];
+        }
+    }
+
     async getSearchSuggestions(query, limit = 10) {
         try {
             if (!query || query.trim().length < 2) {
@@ -441,15 +1241,30 @@ class SearchService {
                                 field: 'name.suggest',
                                 size: limit
                             }
+                        },
+                        product_suggest_bn: {
+                            prefix: query.trim(),
+                            completion: {
+                                field: 'name_bn.suggest',
+                                size: limit
+                            }
                         }
                     }
                 }
             });
 
-            const suggestions = response.suggest.product_suggest[0].options.map(option => ({
-                text: option.text,
-                score: option._score
-            }));
+            const options = [
+                ...response.suggest.product_suggest[0].options,
+                ...response.suggest.product_suggest_bn[0].options
+            ];
+
+            const suggestions = options
+                .sort((a, b) => b._score - a._score)
+                .slice(0, limit)
+                .map(option => ({
+                    text: option.text,
+                    score: option._score
+                }));
 
             return suggestions;
         } catch (error) {
@@ -496,12 +1311,107 @@ class SearchService {
         }
     }
 
+    // Queries are stored trimmed and lowercased so the reports count
+    // "Mobile" and "mobile " as one
+    // Unfiltered searches that found nothing, most frequent first, so
+    // merchandisers can add synonyms or products for them.
+    // `coveredBySynonym` flags queries an active synonym now includes.
+    async getZeroResultQueries({ days = 30, limit = 50 } = {}) {
+        try {
+            const response = await this.client.search({
+                index: this.searchAnalyticsIndex,
+                body: {
+                    size: 0,
+                    query: {
+                        bool: {
+                            filter: [
+                                { range: { timestamp: { gte: `now-${days}d` } } },
+                                { term: { results_count: 0 } }
+                            ],
+                            must_not: [
+                                { term: { has_filters: true } },
+                                { term: { 'query.keyword': '' } }
+                            ]
+                        }
+                    },
+                    aggs: {
+                        queries: {
+                            terms: { field: 'query.keyword', size: limit },
+                            aggs: {
+                                sessions: { cardinality: { field: 'session_id' } },
+                                last_searched: { max: { field: 'timestamp' } }
+                            }
+                        }
+                    }
+                }
+            });
+
+            const buckets = response.aggregations.queries.buckets;
+            const covered = await this.db.query(`
+                SELECT DISTINCT lower(term) as term
+                FROM search_synonyms, unnest(terms) as term
+                WHERE is_active = true AND lower(term) = ANY($1)
+            `, [buckets.map(bucket => bucket.key)]);
+            const coveredTerms = covered.rows.map(row => row.term);
+
+            return buckets.map(bucket => ({
+                query: bucket.key,
+                searches: bucket.doc_count,
+                sessions: bucket.sessions.value,
+                lastSearchedAt: bucket.last_searched.value_as_string || null,
+                coveredBySynonym: coveredTerms.includes(bucket.key)
+            }));
+        } catch (error) {
+            logger.error('Error getting zero-result queries', { error: error.message, days, limit });
+            throw error;
+        }
+    }
+
+    // Push the active synonym rules to the synonyms set the query analyzers
+    // read. Elasticsearch reloads those analyzers itself, so a change applies
+    // from the next search on, without reindexing.
+    async syncSynonyms() {
+        try {
+            const result = await this.db.query(`
+                SELECT id, terms, replacements
+                FROM search_synonyms
+                WHERE is_active = true
+                ORDER BY id
+            `);
+
+            await this.client.synonyms.putSynonym({
+                id: this.synonymsSet,
+                synonyms_set: result.rows.map(row => ({
+                    id: `synonym-${row.id}`,
+                    synonyms: SearchService.synonymRule(row)
+                }))
+            });
+
+            // Cached results were found with the old rules
+            if (this.redis && this.redis.isConnected) {
+                await this.redis.invalidateCache(`${this.cachePrefix}*`);
+            }
+
+            logger.info('Search synonyms updated', { rules: result.rows.length });
+            return result.rows.length;
+        } catch (error) {
+            logger.error('Error updating search synonyms', { error: error.message });
+            throw error;
+        }
+    }
+
     async logSearchAnalytics(data) {
         try {
             await this.client.index({
                 index: this.searchAnalyticsIndex,
                 body: {
-                    ...data,
+                    query: (data.query || '').trim().toLowerCase(),
+                    user_id: data.userId,
+                    results_count: data.resultsCount,
+                    has_filters: Boolean(data.hasFilters),
+                    session_id: data.sessionId,
+                    ip_address: data.ipAddress,
+                    user_agent: data.userAgent,
                     timestamp: new Date()
                 }
             });
@@ -584,49 +1494,26 @@ class SearchService {
                 category,
                 minPrice,
                 maxPrice,
+                brand = [],
+                color = [],
+                material = [],
+                inStock = false,
+                specs = {},
                 sortBy = 'relevance'
             } = filters;
 
             const offset = (page - 1) * limit;
+            const rules = await this.getSearchRules(query);
+            const pinnedIds = sortBy === 'relevance' ? SearchService.pinnedIds(rules) : [];
+            const { where, params, param } = SearchService.fallbackConditions(query, filters, null, pinnedIds);
+            const countParams = [...params];
 
             let searchQuery = `
-                SELECT p.*, c.name as category_name, c.slug as category_slug
+                SELECT p.*, c.name as category_name, c.name_bn as category_name_bn, c.slug as category_slug
                 FROM products p
                 LEFT JOIN categories c ON p.category_id = c.id
-                WHERE p.is_active = true
+                WHERE ${where}
             `;
-            let params = [];
-            let paramCount = 0;
-
-            // Add text search
-            if (query && query.trim()) {
-                paramCount++;
-                searchQuery += ` AND (
-                    p.name ILIKE $${paramCount} OR 
-                    p.description ILIKE $${paramCount} OR
-                    to_tsvector('english', p.name || ' ' || COALESCE(p.description, '')) @@ plainto_tsquery('english', $${paramCount})
-                )`;
-                params.push(`%${query.trim()}%`);
-            }
-
-            // Add filters
-            if (category) {
-                paramCount++;
-                searchQuery += ` AND c.slug = $${paramCount}`;
-                params.push(category);
-            }
-
-            if (minPrice) {
-                paramCount++;
-                searchQuery += ` AND p.price >= $${paramCount}`;
-                params.push(minPrice);
-            }
-
-            if (maxPrice) {
-                paramCount++;
-                searchQuery += ` AND p.price <= $${paramCount}`;
-                params.push(maxPrice);
-            }
 
             // Add sorting
             switch (sortBy) {
@@ -639,60 +1526,25 @@ class SearchService {
                 case 'newest':
                     searchQuery += ' ORDER BY p.created_at DESC';
                     break;
+                case 'relevance':
+                    searchQuery += ` ORDER BY ${[...SearchService.fallbackRanking(rules, param), 'p.created_at DESC'].join(', ')}`;
+                    break;
                 default:
                     searchQuery += ' ORDER BY p.created_at DESC';
             }
 
             // Add pagination
-            paramCount++;
-            searchQuery += ` LIMIT $${paramCount}`;
-            params.push(limit);
-
-            paramCount++;
-            searchQuery += ` OFFSET $${paramCount}`;
-            params.push(offset);
+            searchQuery += ` LIMIT ${param(limit)} OFFSET ${param(offset)}`;
 
             const result = await this.db.query(searchQuery, params);
 
-            // Get total count
-            let countQuery = `
+            // Get total count, with only the WHERE clause's values
+            const countResult = await this.db.query(`
                 SELECT COUNT(*) as total
                 FROM products p
                 LEFT JOIN categories c ON p.category_id = c.id
-                WHERE p.is_active = true
-            `;
-            let countParams = [];
-            let countParamCount = 0;
-
-            if (query && query.trim()) {
-                countParamCount++;
-                countQuery += ` AND (
-                    p.name ILIKE $${countParamCount} OR 
-                    p.description ILIKE $${countParamCount} OR
-                    to_tsvector('english', p.name || ' ' || COALESCE(p.description, '')) @@ plainto_tsquery('english', $${countParamCount})
-                )`;
-                countParams.push(`%${query.trim()}%`);
-            }
-
-            if (category) {
-                countParamCount++;
-                countQuery += ` AND c.slug = $${countParamCount}`;
-                countParams.push(category);
-            }
-
-            if (minPrice) {
-                countParamCount++;
-                countQuery += ` AND p.price >= $${countParamCount}`;
-                countParams.push(minPrice);
-            }
-
-            if (maxPrice) {
-                countParamCount++;
-                countQuery += ` AND p.price <= $${countParamCount}`;
-                countParams.push(maxPrice);
-            }
-
-            const countResult = await this.db.query(countQuery, countParams);
+                WHERE ${where}
+            `, countParams);
             const total = parseInt(countResult.rows[0]?.total || 0);
 
             return {
@@ -705,11 +1557,19 @@ class SearchService {
                     hasNext: page * limit < total,
                     hasPrev: page > 1
                 },
+                facets: await this.fallbackFacets(query, filters, pinnedIds),
+                didYouMean: null,
+                redirect: SearchService.ruleRedirect(rules),
                 query: query || '',
                 filters: {
                     category,
                     minPrice,
                     maxPrice,
+                    brand,
+                    color,
+                    material,
+                    inStock,
+                    specs,
                     sortBy
                 },
                 fallback: true
@@ -719,6 +1579,117 @@ class SearchService {
             throw error;
         }
     }
+
+    // The same facets as facetsFromAggregations, counted in Postgres: one
+    // query per facet with every filter but its own applied
+    async fallbackFacets(query, filters, pinnedIds = []) {
+        const count = (exclude, buildSql) => {
+            const { where, params, param } = SearchService.fallbackConditions(query, filters, exclude, pinnedIds);
+            return this.db.query(buildSql(where, param), params);
+        };
+        const selectedSpecs = Object.keys(filters.specs || {});
+
+        const categoryCounts = count('category', where => `
+            SELECT c.slug as value, c.name as label, c.name_bn as label_bn, COUNT(*)::int as count
+            FROM products p
+            JOIN categories c ON p.category_id = c.id
+            WHERE ${where}
+            GROUP BY c.slug, c.name, c.name_bn
+            ORDER BY count DESC, c.slug
+            LIMIT ${FACET_SIZE}
+        `);
+
+        const availabilityCounts = count('availability', where => `
+            SELECT COUNT(*) FILTER (WHERE p.stock_quantity > 0)::int as in_stock,
+                   COUNT(*) FILTER (WHERE p.stock_quantity <= 0)::int as out_of_stock
+            FROM products p
+            LEFT JOIN categories c ON p.category_id = c.id
+            WHERE ${where}
+        `);
+
+        const attributeCounts = ATTRIBUTE_FACETS.map(facet => count(facet, where => `
+            SELECT p.${facet} as value, COUNT(*)::int as count
+            FROM products p
+            LEFT JOIN categories c ON p.category_id = c.id
+            WHERE ${where} AND p.${facet} IS NOT NULL
+            GROUP BY p.${facet}
+            ORDER BY count DESC, p.${facet}
+            LIMIT ${FACET_SIZE}
+        `));
+
+        // The specs nobody has filtered on, then each selected spec on its own
+        const specCounts = [null, ...selectedSpecs].map(name => count(name && `spec:${name}`, (where, param) => `
+            SELECT name, value, count
+            FROM (
+                SELECT s.key as name, s.value, COUNT(*)::int as count,
+                       ROW_NUMBER() OVER (PARTITION BY s.key ORDER BY COUNT(*) DESC, s.value) as rank
+                FROM products p
+                LEFT JOIN categories c ON p.category_id = c.id
+                CROSS JOIN LATERAL jsonb_each_text(p.specs) s
+                WHERE ${where} AND ${name ? `s.key = ${param(name)}` : `NOT (s.key = ANY(${param(selectedSpecs)}))`}
+                GROUP BY s.key, s.value
+            ) spec_counts
+            WHERE rank <= ${FACET_SIZE}
+            ORDER BY name, count DESC, value
+        `));
+
+        const [categories, availability, ...rest] = await Promise.all([
+            categoryCounts,
+            availabilityCounts,
+            ...attributeCounts,
+            ...specCounts
+        ]);
+        const attributes = rest.slice(0, ATTRIBUTE_FACETS.length);
+        const [unselectedSpecs, ...selected] = rest.slice(ATTRIBUTE_FACETS.length);
+
+        const groupSpecs = (rows) => rows.reduce((specs, row) => {
+            let spec = specs.find(item => item.name === row.name);
+            if (!spec) {
+                spec = { name: row.name, values: [] };
+                specs.push(spec);
+            }
+            spec.values.push({ value: row.value, count: row.count });
+            return specs;
+        }, []);
+
+        const facets = {
+            category: withSelected(
+                categories.rows.map(row => ({
+                    value: row.value,
+                    label: row.label,
+                    labelBn: row.label_bn || null,
+                    count: row.count
+                })),
+                filters.category ? [filters.category] : []
+            ),
+            availability: {
+                inStock: availability.rows[0]?.in_stock || 0,
+                outOfStock: availability.rows[0]?.out_of_stock || 0
+            },
+            specs: groupSpecs(unselectedSpecs.rows)
+        };
+
+        ATTRIBUTE_FACETS.forEach((facet, index) => {
+            facets[facet] = withSelected(
+                attributes[index].rows.map(row => ({ value: row.value, count: row.count })),
+                filters[facet]
+            );
+        });
+
+        selectedSpecs.forEach((name, index) => {
+            facets.specs.push({
+                name,
+                values: withSelected(
+                    selected[index].rows.map(row => ({ value: row.value, count: row.count })),
+                    filters.specs[name]
+                )
+            });
+        });
+
+        facets.specs.sort((a, b) => a.name.localeCompare(b.name));
+
+        return facets;
+    }
 }
 
 module.exports = SearchService;
\ No newline at end of file
@@ -0,0 +1,111 @@
+const logger = require('../logger');
+
+// Synonym rules for product search. Rules live in Postgres; every change is
+// pushed to Elasticsearch through SearchService.syncSynonyms. When
+// Elasticsearch cannot be reached the change is still saved, and goes out
+// with the next change or on the next startup.
+class SearchSynonymService {
+    constructor(dbPool, redisPool, searchService) {
+        this.db = dbPool;
+        this.redis = redisPool;
+        this.searchService = searchService;
+    }
+
+    async getSynonyms() {
+        try {
+            const result = await this.db.query(`
+                SELECT *
+                FROM search_synonyms
+                ORDER BY is_active DESC, created_at DESC
+            `);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Error getting search synonyms', { error: error.message });
+            throw error;
+        }
+    }
+
+    async createSynonym({ terms, replacements = null, isActive = true }, userId) {
+        try {
+            const result = await this.db.query(`
+                INSERT INTO search_synonyms (terms, replacements, is_active, created_by)
+                VALUES ($1, $2, $3, $4)
+                RETURNING *
+            `, [terms, replacements, isActive, userId]);
+
+            const synonym = result.rows[0];
+            logger.info('Search synonym created', { synonymId: synonym.id, terms });
+
+            return { synonym, applied: await this.apply() };
+        } catch (error) {
+            logger.error('Error creating search synonym', { error: error.message, terms });
+            throw SearchSynonymService.describe(error);
+        }
+    }
+
+    // `replacements: null` turns a one-way rule into an equivalence
+    async updateSynonym(synonymId, { terms, replacements, isActive }) {
+        try {
+            const result = await this.db.query(`
+                UPDATE search_synonyms
+                SET terms = COALESCE($2, terms),
+                    replacements = CASE WHEN $4 THEN $3::text[] ELSE replacements END,
+                    is_active = COALESCE($5, is_active)
+                WHERE id = $1
+                RETURNING *
+            `, [synonymId, terms, replacements ?? null, replacements !== undefined, isActive]);
+
+            if (result.rows.length === 0) {
+                throw new Error('Search synonym not found');
+            }
+
+            logger.info('Search synonym updated', { synonymId });
+
+            return { synonym: result.rows[0], applied: await this.apply() };
+        } catch (error) {
+            logger.error('Error updating search synonym', { error: error.message, synonymId });
+            throw SearchSynonymService.describe(error);
+        }
+    }
+
+    async deleteSynonym(synonymId) {
+        try {
+            const result = await this.db.query(
+                'DELETE FROM search_synonyms WHERE id = $1 RETURNING *',
+                [synonymId]
+            );
+
+            if (result.rows.length === 0) {
+                throw new Error('Search synonym not found');
+            }
+
+            logger.info('Search synonym deleted', { synonymId });
+
+            return { synonym: result.rows[0], applied: await this.apply() };
+        } catch (error) {
+            logger.error('Error deleting search synonym', { error: error.message, synonymId });
+            throw error;
+        }
+    }
+
+    // Whether the rules reached Elasticsearch
+    async apply() {
+        try {
+            await this.searchService.syncSynonyms();
+            return true;
+        } catch (error) {
+            logger.warn('Search synonyms saved but not yet applied', { error: error.message });
+            return false;
+        }
+    }
+
+    static describe(error) {
+        if (error.constraint === 'search_synonyms_equivalent_terms') {
+            return new Error('Synonyms without replacements need at least two terms');
+        }
+        return error;
+    }
+}
+
+module.exports = SearchSynonymService;
@@ -0,0 +1,513 @@
+const OrderService = require('./orderService');
+const { createCourierProviders } = require('./couriers');
+const logger = require('../logger');
+
+// Parcels without a recorded weight are booked at this weight
+const DEFAULT_PARCEL_WEIGHT_GRAMS = 500;
+
+// An order's status follows its shipments. Orders only ever move forward
+// along ORDER_PROGRESS, so late or replayed events never roll an order back.
+const ORDER_PROGRESS = ['pending', 'confirmed', 'processing', 'partially_shipped', 'shipped', 'delivered'];
+
+// Shipment states in which the parcel has left with the courier
+const SHIPPED_STATUSES = ['picked_up', 'in_transit', 'out_for_delivery', 'delivered'];
+
+// Shipments in these states no longer carry their items
+const CLOSED_SHIPMENT_STATUSES = ['cancelled', 'returned'];
+
+class ShipmentService {
+    constructor(dbPool, redisPool, providers = createCourierProviders()) {
+        this.db = dbPool;
+        this.redis = redisPool;
+        this.providers = providers;
+        this.orderService = new OrderService(dbPool, redisPool);
+    }
+
+    getProvider(name) {
+        const provider = this.providers[name];
+
+        if (!provider) {
+            throw new Error(`Unsupported courier: ${name}`);
+        }
+
+        return provider;
+    }
+
+    getCouriers() {
+        return Object.values(this.providers).map(provider => ({
+            name: provider.name,
+            configured: provider.isConfigured()
+        }));
+    }
+
+    // Shipments of an order with their items and tracking history, newest
+    // event first
+    async getOrderShipments(orderId, client = this.db) {
+        const result = await client.query(`
+            SELECT s.*,
+                COALESCE((
+                    SELECT json_agg(json_build_object(
+                        'orderItemId', si.order_item_id,
+                        'name', COALESCE(p.name || ' (' || oi.variant_label || ')', p.name),
+                        'quantity', si.quantity
+                    ) ORDER BY si.order_item_id)
+                    FROM shipment_items si
+                    JOIN order_items oi ON si.order_item_id = oi.id
+                    JOIN products p ON oi.product_id = p.id
+                    WHERE si.shipment_id = s.id
+                ), '[]'::json) as items,
+                COALESCE((
+                    SELECT json_agg(json_build_object(
+                        'id', e.id,
+                        'status', e.status,
+                        'courierStatus', e.courier_status,
+                        'description', e.description,
+                        'location', e.location,
+                        'occurredAt', e.occurred_at
+                    ) ORDER BY e.occurred_at DESC, e.id DESC)
+                    FROM shipment_events e WHERE e.shipment_id = s.id
+                ), '[]'::json) as events
+            FROM shipments s
+            WHERE s.order_id = $1
+            ORDER BY s.created_at DESC
+        `, [orderId]);
+
+        return result.rows;
+    }
+
+    // Order lines with how many units are not yet in an open shipment
+    async getUnshippedItems(orderId, client = this.db) {
+        const result = await client.query(`
+            SELECT oi.id, oi.quantity, oi.unit_price,
+                   COALESCE(p.name || ' (' || oi.variant_label || ')', p.name) as name,
+                   oi.quantity - COALESCE((
+                       SELECT SUM(si.quantity)
+                       FROM shipment_items si
+                       JOIN shipments s ON si.shipment_id = s.id
+                       WHERE si.order_item_id = oi.id AND s.status <> ALL($2::text[])
+                   ), 0)::int as unshipped
+            FROM order_items oi
+            JOIN products p ON oi.product_id = p.id
+            WHERE oi.order_id = $1
+            ORDER BY oi.id
+        `, [orderId, CLOSED_SHIPMENT_STATUSES]);
+
+        return result.rows;
+    }
+
+    // Tracking for a customer's own order
+    async getCustomerTracking(userId, orderId) {
+        try {
+            const orderResult = await this.db.query(
+                'SELECT id, status FROM orders WHERE id = $1 AND user_id = $2',
+                [orderId, userId]
+            );
+
+            if (orderResult.rows.length === 0) {
+                throw new Error('Order not found');
+            }
+
+            const shipments = await this.getOrderShipments(orderId);
+            const lines = await this.getUnshippedItems(orderId);
+            const history = await this.orderService.getStatusHistory(orderId);
+
+            return {
+                orderId: orderResult.rows[0].id,
+                status: orderResult.rows[0].status,
+                shipments: shipments.map(({ created_by: _createdBy, note: _note, ...shipment }) => shipment),
+                unshippedItems: lines
+                    .filter(line => line.unshipped > 0)
+                    .map(line => ({ orderItemId: line.id, name: line.name, quantity: line.unshipped })),
+                // Customers see who moved their order along, not which admin;
+                // only their own reasons are shown back to them
+                history: history.map(entry => ({
+                    fromStatus: entry.from_status,
+                    toStatus: entry.to_status,
+                    actor: entry.actor.split(':')[0],
+                    reason: entry.actor === 'customer' ? entry.reason : null,
+                    createdAt: entry.created_at
+                }))
+            };
+        } catch (error) {
+            logger.error('Error fetching order tracking', { error: error.message, userId, orderId });
+            throw error;
+        }
+    }
+
+    toRecipient(order) {
+        const address = order.shipping_address || {};
+
+        if (!address.phone) {
+            throw new Error('Order shipping address is missing a phone number');
+        }
+
+        const district = address.district || address.city;
+
+        return {
+            name: [address.firstName, address.lastName].filter(Boolean).join(' '),
+            phone: address.phone,
+            address: [address.addressLine1, address.addressLine2, address.thana, district]
+                .filter(Boolean).join(', '),
+            thana: address.thana || null,
+            district,
+            division: address.division || address.state || null
+        };
+    }
+
+    // Pick the units a shipment carries. Without a selection it takes
+    // everything not yet shipped.
+    static selectItems(lines, items = null) {
+        if (!items || items.length === 0) {
+            return lines
+                .filter(line => line.unshipped > 0)
+                .map(line => ({ ...line, quantity: line.unshipped }));
+        }
+
+        return items.map(({ orderItemId, quantity }) => {
+            const line = lines.find(candidate => candidate.id === orderItemId);
+
+            if (!line) {
+                throw new Error(`Order item ${orderItemId} not found`);
+            }
+            if (quantity > line.unshipped) {
+                throw new Error(`Only ${line.unshipped} of ${line.name} can still be shipped`);
+            }
+
+            return { ...line, quantity };
+        });
+    }
+
+    // Book a consignment with a courier for some or all of an order's units.
+    // Prepaid orders must be paid first. COD shipments collect the value of
+    // their items; the one that completes the order collects what is left of
+    // the order total, so the shipments add up to it.
+    //
+    // The order and its lines stay locked while the courier is called, so two
+    // admins booking the same order at once cannot both ship its units. The
+    // booking reference only changes once a shipment is saved, so a retry
+    // after a courier timeout or a failed save goes out under the reference
+    // the courier already has, rather than as a second parcel.
+    async createShipment(orderId, { courier, weightGrams = null, note = null, items = null }, adminId) {
+        try {
+            const provider = this.getProvider(courier);
+            if (!provider.isConfigured()) {
+                throw new Error(`Courier ${courier} is not configured`);
+            }
+
+            const { order, shipment, unitsSelected, unitsLeft } = await this.db.transaction(async (client) => {
+                const booking = await this.bookConsignment(client, orderId, provider, { weightGrams, note, items });
+
+                const result = await client.query(`
+                    INSERT INTO shipments (
+                        order_id, courier, consignment_id, tracking_number, tracking_url, status,
+                        courier_status, cod_amount, delivery_fee, weight_grams, note, created_by,
+                        booking_reference, last_event_at
+                    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, CURRENT_TIMESTAMP)
+                    RETURNING *
+                `, [
+                    orderId, courier, booking.consignment.consignmentId, booking.consignment.trackingNumber,
+                    booking.consignment.trackingUrl, booking.consignment.status, booking.consignment.courierStatus,
+                    booking.parcel.codAmount, booking.consignment.deliveryFee, booking.parcel.weightGrams, note,
+                    adminId, booking.parcel.reference
+                ]);
+
+                await client.query(`
+                    INSERT INTO shipment_items (shipment_id, order_item_id, quantity)
+                    SELECT $1, * FROM unnest($2::int[], $3::int[])
+                `, [result.rows[0].id, booking.selected.map(item => item.id), booking.selected.map(item => item.quantity)]);
+
+                await client.query(`
+                    INSERT INTO shipment_events (shipment_id, status, courier_status, description, occurred_at, raw)
+                    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, $5)
+                `, [result.rows[0].id, booking.consignment.status, booking.consignment.courierStatus,
+                    `Consignment booked with ${courier}`, JSON.stringify(booking.consignment.raw || {})]);
+
+                return { ...booking, shipment: result.rows[0] };
+            });
+
+            // A booked parcel means the order is being prepared
+            const updatedOrder = await this.syncOrderStatus(order, `courier:${courier}`);
+
+            logger.info('Shipment created', {
+                orderId,
+                shipmentId: shipment.id,
+                courier,
+                consignmentId: shipment.consignment_id,
+                bookingReference: shipment.booking_reference,
+                units: unitsSelected,
+                unitsLeft: unitsLeft - unitsSelected,
+                adminId
+            });
+
+            return {
+                shipment,
+                order: updatedOrder || order,
+                orderStatusChanged: Boolean(updatedOrder)
+            };
+        } catch (error) {
+            if (error.code === '23505') {
+                throw new Error('Consignment already exists for another shipment');
+            }
+            logger.error('Error creating shipment', { error: error.message, orderId, courier, adminId });
+            throw error;
+        }
+    }
+
+    // Lock the order and its lines, work out the parcel and book it with the
+    // courier. Runs inside createShipment's transaction.
+    async bookConsignment(client, orderId, provider, { weightGrams, note, items }) {
+        const orderResult = await client.query('SELECT * FROM orders WHERE id = $1 FOR UPDATE', [orderId]);
+        if (orderResult.rows.length === 0) {
+            throw new Error('Order not found');
+        }
+        const order = orderResult.rows[0];
+
+        if (['cancelled', 'delivered'].includes(order.status)) {
+            throw new Error(`Cannot ship an order that is ${order.status}`);
+        }
+
+        const isCod = order.cod_status === 'pending';
+        if (order.cod_status === null && order.payment_status !== 'paid') {
+            throw new Error('Order must be paid before it can be shipped');
+        }
+
+        await client.query('SELECT id FROM order_items WHERE order_id = $1 ORDER BY id FOR UPDATE', [orderId]);
+
+        const lines = await this.getUnshippedItems(orderId, client);
+        const selected = ShipmentService.selectItems(lines, items);
+        if (selected.length === 0) {
+            throw new Error('All items of this order are already in a shipment');
+        }
+
+        const orderedUnits = lines.reduce((sum, line) => sum + line.quantity, 0);
+        const unitsLeft = lines.reduce((sum, line) => sum + line.unshipped, 0);
+        const unitsSelected = selected.reduce((sum, item) => sum + item.quantity, 0);
+        const itemsValue = selected.reduce((sum, item) => sum + parseFloat(item.unit_price) * item.quantity, 0);
+        const orderTotal = parseFloat(order.total_amount);
+
+        let codAmount = 0;
+        if (isCod) {
+            const bookedResult = await client.query(
+                'SELECT COALESCE(SUM(cod_amount), 0) as booked FROM shipments WHERE order_id = $1 AND status <> ALL($2::text[])',
+                [orderId, CLOSED_SHIPMENT_STATUSES]
+            );
+            const remaining = Math.max(orderTotal - parseFloat(bookedResult.rows[0].booked), 0);
+            codAmount = unitsSelected === unitsLeft ? remaining : Math.min(itemsValue, remaining);
+            codAmount = Math.round(codAmount * 100) / 100;
+        }
+
+        const countResult = await client.query('SELECT COUNT(*)::int as count FROM shipments WHERE order_id = $1', [orderId]);
+
+        const parcel = {
+            orderId: order.id,
+            orderNumber: order.order_number,
+            reference: `${order.order_number}-${countResult.rows[0].count + 1}`,
+            recipient: this.toRecipient(order),
+            codAmount,
+            value: unitsSelected === orderedUnits ? orderTotal : itemsValue,
+            weightGrams: weightGrams || order.shipping_weight_grams || DEFAULT_PARCEL_WEIGHT_GRAMS,
+            itemCount: unitsSelected,
+            description: selected.map(item => `${item.quantity} x ${item.name}`).join(', ').slice(0, 200),
+            note
+        };
+
+        const consignment = await provider.createConsignment(parcel);
+
+        return { order, parcel, consignment, selected, unitsSelected, unitsLeft };
+    }
+
+    // Order status implied by how many units of each line are booked,
+    // on their way and delivered. null while nothing is booked.
+    static deriveOrderStatus(lines) {
+        if (lines.length === 0) {
+            return null;
+        }
+        if (lines.every(line => line.delivered >= line.quantity)) {
+            return 'delivered';
+        }
+        if (lines.every(line => line.shipped >= line.quantity)) {
+            return 'shipped';
+        }
+        if (lines.some(line => line.shipped > 0)) {
+            return 'partially_shipped';
+        }
+        if (lines.some(line => line.booked > 0)) {
+            return 'processing';
+        }
+        return null;
+    }
+
+    // Bring an order's status in line with its shipments. Returns the updated
+    // order, or null when it did not change.
+    async syncOrderStatus(order, updatedBy) {
+        // Cancelled and delivered orders stay where they are
+        if (!ORDER_PROGRESS.includes(order.status) || order.status === 'delivered') {
+            return null;
+        }
+
+        const result = await this.db.query(`
+            SELECT oi.id, oi.quantity,
+                   COALESCE(SUM(si.quantity) FILTER (WHERE s.id IS NOT NULL), 0)::int as booked,
+                   COALESCE(SUM(si.quantity) FILTER (WHERE s.status = ANY($2::text[])), 0)::int as shipped,
+                   COALESCE(SUM(si.quantity) FILTER (WHERE s.status = 'delivered'), 0)::int as delivered
+            FROM order_items oi
+            LEFT JOIN shipment_items si ON si.order_item_id = oi.id
+            LEFT JOIN shipments s ON si.shipment_id = s.id AND s.status <> ALL($3::text[])
+            WHERE oi.order_id = $1
+            GROUP BY oi.id
+        `, [order.id, SHIPPED_STATUSES, CLOSED_SHIPMENT_STATUSES]);
+
+        const targetStatus = ShipmentService.deriveOrderStatus(result.rows);
+        if (!targetStatus) {
+            return null;
+        }
+
+        return this.advanceOrder(order, targetStatus, updatedBy);
+    }
+
+    // Move an order forward to the given status. Returns the updated order,
+    // or null when the order is already there, further along or cancelled.
+    async advanceOrder(order, targetStatus, updatedBy) {
+        const current = ORDER_PROGRESS.indexOf(order.status);
+        const target = ORDER_PROGRESS.indexOf(targetStatus);
+
+        if (current === -1 || target <= current) {
+            return null;
+        }
+
+        return this.orderService.updateOrderStatus(order.id, targetStatus, updatedBy);
+    }
+
+    async handleWebhook(courier, payload, headers = {}, query = {}) {
+        try {
+            const event = await this.getProvider(courier).handleWebhook(payload, headers, query);
+
+            if (!event) {
+                logger.info('Unhandled courier notification', { courier });
+                return null;
+            }
+
+            return await this.recordTrackingEvent(courier, event);
+        } catch (error) {
+            logger.error('Courier notification handling failed', { error: error.message, courier });
+            throw error;
+        }
+    }
+
+    // Poll the courier for shipments whose webhooks were missed
+    async refreshTracking(shipmentId) {
+        try {
+            const shipmentResult = await this.db.query('SELECT * FROM shipments WHERE id = $1', [shipmentId]);
+            if (shipmentResult.rows.length === 0) {
+                throw new Error('Shipment not found');
+            }
+            const shipment = shipmentResult.rows[0];
+
+            const event = await this.getProvider(shipment.courier).trackConsignment(shipment);
+
+            if (event.courierStatus === shipment.courier_status) {
+                const order = await this.db.query('SELECT * FROM orders WHERE id = $1', [shipment.order_id]);
+                return { shipment, event: null, order: order.rows[0], orderStatusChanged: false, duplicate: true };
+            }
+
+            return await this.recordTrackingEvent(shipment.courier, event);
+        } catch (error) {
+            logger.error('Error refreshing shipment tracking', { error: error.message, shipmentId });
+            throw error;
+        }
+    }
+
+    // Store a normalized tracking event and apply it to the shipment and its
+    // order. Redelivered events are recorded once; events older than the
+    // latest one are kept in the history without changing the status.
+    async recordTrackingEvent(courier, event) {
+        const { shipment, storedEvent } = await this.db.transaction(async (client) => {
+            const shipmentResult = await client.query(`
+                SELECT * FROM shipments
+                WHERE courier = $1 AND consignment_id = $2
+                FOR UPDATE
+            `, [courier, String(event.consignmentId)]);
+
+            if (shipmentResult.rows.length === 0) {
+                throw new Error('Shipment not found');
+            }
+            const current = shipmentResult.rows[0];
+
+            const eventResult = await client.query(`
+                INSERT INTO shipment_events
+                    (shipment_id, status, courier_status, description, location, occurred_at, raw)
+                VALUES ($1, $2, $3, $4, $5, $6, $7)
+                ON CONFLICT (shipment_id, courier_status, occurred_at) DO NOTHING
+                RETURNING *
+            `, [current.id, event.status, event.courierStatus, event.description, event.location,
+                event.occurredAt, JSON.stringify(event.raw || {})]);
+
+            if (eventResult.rows.length === 0) {
+                return { shipment: current, storedEvent: null };
+            }
+
+            const isLatest = !current.last_event_at || new Date(event.occurredAt) >= new Date(current.last_event_at);
+            if (!isLatest || !event.status) {
+                return { shipment: current, storedEvent: eventResult.rows[0] };
+            }
+
+            const updateResult = await client.query(`
+                UPDATE shipments
+                SET status = $2,
+                    courier_status = $3,
+                    last_event_at = $4,
+                    picked_up_at = CASE
+                        WHEN $2 IN ('picked_up', 'in_transit', 'out_for_delivery', 'delivered')
+                        THEN COALESCE(picked_up_at, $4::timestamp)
+                        ELSE picked_up_at
+                    END,
+                    delivered_at = CASE WHEN $2 = 'delivered' THEN $4::timestamp ELSE delivered_at END
+                WHERE id = $1
+                RETURNING *
+            `, [current.id, event.status, event.courierStatus, event.occurredAt]);
+
+            return { shipment: updateResult.rows[0], storedEvent: eventResult.rows[0] };
+        });
+
+        const orderResult = await this.db.query('SELECT * FROM orders WHERE id = $1', [shipment.order_id]);
+        let order = orderResult.rows[0];
+        let orderStatusChanged = false;
+
+        if (storedEvent && SHIPPED_STATUSES.includes(shipment.status)) {
+            const updatedOrder = await this.syncOrderStatus(order, `courier:${courier}`);
+            if (updatedOrder) {
+                order = updatedOrder;
+                orderStatusChanged = true;
+            }
+        }
+
+        logger.info('Shipment tracking event recorded', {
+            shipmentId: shipment.id,
+            courier,
+            courierStatus: event.courierStatus,
+            status: shipment.status,
+            duplicate: !storedEvent,
+            orderStatusChanged
+        });
+
+        return { shipment, event: storedEvent, order, orderStatusChanged, duplicate: !storedEvent };
+    }
+
+    // Tracking summary attached to order websocket notifications
+    toTrackingUpdate(shipment, event = null) {
+        return {
+            shipmentId: shipment.id,
+            courier: shipment.courier,
+            trackingNumber: shipment.tracking_number,
+            trackingUrl: shipment.tracking_url,
+            status: shipment.status,
+            courierStatus: event?.courier_status || shipment.courier_status,
+            description: event?.description || null,
+            occurredAt: event?.occurred_at || shipment.last_event_at
+        };
+    }
+}
+
+ShipmentService.CLOSED_SHIPMENT_STATUSES = CLOSED_SHIPMENT_STATUSES;
+
+module.exports = ShipmentService;
@@ -0,0 +1,384 @@
+const PromotionalService = require('./promotionalService');
+const TaxService = require('./taxService');
+const logger = require('../logger');
+
+// Products with no weight_grams are quoted at this weight per unit
+const DEFAULT_ITEM_WEIGHT_GRAMS = 500;
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+class ShippingService {
+    constructor(dbPool, redisPool) {
+        this.db = dbPool;
+        this.redis = redisPool;
+        this.promotionalService = new PromotionalService(dbPool);
+        this.taxService = new TaxService(dbPool, redisPool);
+    }
+
+    // Zone for an address: a thana listed for the district wins, then the
+    // district itself, then the default zone. Legacy addresses only carry city.
+    async resolveZone(address, client = this.db) {
+        const district = address?.district || address?.city || null;
+        const thana = address?.thana || null;
+
+        const result = await client.query(`
+            SELECT z.*
+            FROM shipping_zones z
+            LEFT JOIN shipping_zone_areas a ON a.zone_id = z.id
+                AND LOWER(a.district) = LOWER($1)
+                AND (a.thana IS NULL OR LOWER(a.thana) = LOWER($2))
+            WHERE z.is_active = true AND (a.id IS NOT NULL OR z.is_default = true)
+            ORDER BY (a.thana IS NOT NULL) DESC, (a.id IS NOT NULL) DESC
+            LIMIT 1
+        `, [district, thana]);
+
+        return result.rows[0] || null;
+    }
+
+    calculateWeight(items) {
+        return items.reduce((sum, item) => {
+            const unitWeight = item.product_weight ? parseInt(item.product_weight) : DEFAULT_ITEM_WEIGHT_GRAMS;
+            return sum + unitWeight * item.quantity;
+        }, 0);
+    }
+
+    // Weight tiers cover (min, max] grams, with the first tier starting at 0;
+    // order value tiers cover [min, max). The most specific matching tier wins.
+    selectRate(rates, weightGrams, subtotal) {
+        const matching = rates.filter(rate => {
+            const minWeight = rate.min_weight_grams;
+            const maxWeight = rate.max_weight_grams;
+            const minAmount = parseFloat(rate.min_order_amount);
+            const maxAmount = rate.max_order_amount !== null ? parseFloat(rate.max_order_amount) : null;
+
+            return rate.is_active &&
+                (weightGrams > minWeight || minWeight === 0) &&
+                (maxWeight === null || weightGrams <= maxWeight) &&
+                subtotal >= minAmount &&
+                (maxAmount === null || subtotal < maxAmount);
+        });
+
+        matching.sort((a, b) => parseFloat(b.min_order_amount) - parseFloat(a.min_order_amount) ||
+            b.min_weight_grams - a.min_weight_grams);
+
+        return matching[0] || null;
+    }
+
+    calculateRate(rate, weightGrams) {
+        const extraKg = Math.ceil(Math.max(weightGrams - rate.min_weight_grams, 0) / 1000);
+        return roundMoney(parseFloat(rate.base_rate) + extraKg * parseFloat(rate.per_kg_rate));
+    }
+
+    // Price the shipping line for cart-shaped items (quantity, product_price,
+    // product_weight). A free_shipping coupon waives the line; other coupon
+    // types discount the subtotal. VAT is worked out on the discounted items
+    // and only added to the total when prices exclude it. Used by the quote
+    // endpoint, cart validation and order creation so all three agree on the total.
+    async quote({ items, shippingAddress, couponCode = null, userId = null }, client = this.db) {
+        try {
+            const subtotal = roundMoney(items.reduce(
+                (sum, item) => sum + item.quantity * parseFloat(item.product_price), 0
+            ));
+            const weightGrams = this.calculateWeight(items);
+
+            const zone = await this.resolveZone(shippingAddress, client);
+            if (!zone) {
+                throw new Error('Shipping is not available to this address');
+            }
+
+            const ratesResult = await client.query(
+                'SELECT * FROM shipping_rates WHERE zone_id = $1 AND is_active = true',
+                [zone.id]
+            );
+            const rate = this.selectRate(ratesResult.rows, weightGrams, subtotal);
+            if (!rate) {
+                throw new Error(`Shipping is not available for this order in ${zone.name}`);
+            }
+
+            const shippingCost = this.calculateRate(rate, weightGrams);
+            let coupon = null;
+            let discount = 0;
+            let shippingDiscount = 0;
+
+            if (couponCode) {
+                const validation = await this.promotionalService.validateCoupon(couponCode, userId, subtotal);
+                if (!validation.valid) {
+                    throw new Error(`Coupon cannot be applied: ${validation.error}`);
+                }
+
+                coupon = validation.coupon;
+                if (coupon.type === 'free_shipping') {
+                    shippingDiscount = shippingCost;
+                } else {
+                    discount = parseFloat(validation.discount);
+                }
+            }
+
+            const shipping = roundMoney(shippingCost - shippingDiscount);
+            const tax = await this.taxService.calculate(items, discount, client);
+
+            return {
+                zone: { id: zone.id, code: zone.code, name: zone.name },
+                rateId: rate.id,
+                weightGrams,
+                subtotal,
+                discount,
+                shippingCost,
+                shippingDiscount,
+                shipping,
+                tax,
+                total: roundMoney(subtotal - discount + (tax.pricesIncludeTax ? 0 : tax.amount) + shipping),
+                coupon: coupon ? { id: coupon.id, code: coupon.code, type: coupon.type } : null
+            };
+        } catch (error) {
+            logger.error('Error calculating shipping quote', { error: error.message, userId, couponCode });
+            throw error;
+        }
+    }
+
+    // Cart-shaped items for a list of { productId, variantId, quantity }. A
+    // variant's own price and weight win over the product's.
+    async loadItems(items, client = this.db) {
+        const result = await client.query(`
+            SELECT
+                p.id as product_id,
+                pv.id as variant_id,
+                p.name as product_name,
+                COALESCE(pv.price, p.price) as product_price,
+                COALESCE(pv.weight_grams, p.weight_grams) as product_weight
+            FROM products p
+            LEFT JOIN product_variants pv ON pv.product_id = p.id AND pv.id = ANY($2::int[])
+            WHERE p.id = ANY($1::int[]) AND p.is_active = true
+        `, [items.map(item => item.productId), items.map(item => item.variantId).filter(Boolean)]);
+
+        return items.map(item => {
+            const product = result.rows.find(row =>
+                row.product_id === item.productId && (row.variant_id || null) === (item.variantId || null));
+            if (!product) {
+                throw new Error('Product not found');
+            }
+            return { ...product, quantity: item.quantity };
+        });
+    }
+
+    // Zones with their areas and rate tables, as managed from admin
+    async getZones({ includeInactive = false } = {}) {
+        try {
+            const result = await this.db.query(`
+                SELECT z.*,
+                    COALESCE((
+                        SELECT json_agg(json_build_object('id', a.id, 'district', a.district, 'thana', a.thana)
+                            ORDER BY a.district, a.thana NULLS FIRST)
+                        FROM shipping_zone_areas a WHERE a.zone_id = z.id
+                    ), '[]'::json) as areas,
+                    COALESCE((
+                        SELECT json_agg(r ORDER BY r.min_order_amount, r.min_weight_grams)
+                        FROM shipping_rates r WHERE r.zone_id = z.id
+                    ), '[]'::json) as rates
+                FROM shipping_zones z
+                WHERE $1::boolean OR z.is_active = true
+                ORDER BY z.sort_order, z.id
+            `, [includeInactive]);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Error fetching shipping zones', { error: error.message });
+            throw error;
+        }
+    }
+
+    async createZone(zoneData) {
+        const { code, name, description = null, isActive = true, sortOrder = 0, areas = [] } = zoneData;
+
+        try {
+            return await this.db.transaction(async (client) => {
+                const result = await client.query(`
+                    INSERT INTO shipping_zones (code, name, description, is_active, sort_order)
+                    VALUES ($1, $2, $3, $4, $5)
+                    RETURNING *
+                `, [code, name, description, isActive, sortOrder]);
+
+                const zone = result.rows[0];
+                await this.replaceAreas(client, zone.id, areas);
+
+                logger.info('Shipping zone created', { zoneId: zone.id, code });
+
+                return zone;
+            });
+        } catch (error) {
+            if (error.code === '23505') {
+                throw new Error('Shipping zone code or area already exists');
+            }
+            logger.error('Error creating shipping zone', { error: error.message, code });
+            throw error;
+        }
+    }
+
+    async updateZone(zoneId, zoneData) {
+        const { name, description, isActive, sortOrder, areas } = zoneData;
+
+        try {
+            return await this.db.transaction(async (client) => {
+                const result = await client.query(`
+                    UPDATE shipping_zones
+                    SET name = COALESCE($2, name),
+                        description = COALESCE($3, description),
+                        is_active = CASE WHEN is_default THEN true ELSE COALESCE($4, is_active) END,
+                        sort_order = COALESCE($5, sort_order)
+                    WHERE id = $1
+                    RETURNING *
+                `, [zoneId, name, description, isActive, sortOrder]);
+
+                if (result.rows.length === 0) {
+                    throw new Error('Shipping zone not found');
+                }
+
+                if (areas) {
+                    await this.replaceAreas(client, zoneId, areas);
+                }
+
+                logger.info('Shipping zone updated', { zoneId });
+
+                return result.rows[0];
+            });
+        } catch (error) {
+            if (error.code === '23505') {
+                throw new Error('Shipping zone area already belongs to another zone');
+            }
+            logger.error('Error updating shipping zone', { error: error.message, zoneId });
+            throw error;
+        }
+    }
+
+    async replaceAreas(client, zoneId, areas) {
+        await client.query('DELETE FROM shipping_zone_areas WHERE zone_id = $1', [zoneId]);
+
+        if (areas.length > 0) {
+            await client.query(`
+                INSERT INTO shipping_zone_areas (zone_id, district, thana)
+                SELECT $1, a.district, a.thana
+                FROM unnest($2::text[], $3::text[]) AS a(district, thana)
+            `, [zoneId, areas.map(area => area.district), areas.map(area => area.thana || null)]);
+        }
+    }
+
+    async deleteZone(zoneId) {
+        try {
+            const result = await this.db.query(
+                'DELETE FROM shipping_zones WHERE id = $1 AND is_default = false RETURNING *',
+                [zoneId]
+            );
+
+            if (result.rows.length === 0) {
+                throw new Error('Shipping zone not found or is the default zone');
+            }
+
+            logger.info('Shipping zone deleted', { zoneId, code: result.rows[0].code });
+
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Error deleting shipping zone', { error: error.message, zoneId });
+            throw error;
+        }
+    }
+
+    async createRate(zoneId, rateData) {
+        const {
+            minWeightGrams = 0,
+            maxWeightGrams = null,
+            minOrderAmount = 0,
+            maxOrderAmount = null,
+            baseRate,
+            perKgRate = 0,
+            isActive = true
+        } = rateData;
+
+        try {
+            const result = await this.db.query(`
+                INSERT INTO shipping_rates
+                    (zone_id, min_weight_grams, max_weight_grams, min_order_amount, max_order_amount, base_rate, per_kg_rate, is_active)
+                SELECT id, $2, $3, $4, $5, $6, $7, $8
+                FROM shipping_zones WHERE id = $1
+                RETURNING *
+            `, [zoneId, minWeightGrams, maxWeightGrams, minOrderAmount, maxOrderAmount, baseRate, perKgRate, isActive]);
+
+            if (result.rows.length === 0) {
+                throw new Error('Shipping zone not found');
+            }
+
+            logger.info('Shipping rate created', { zoneId, rateId: result.rows[0].id });
+
+            return result.rows[0];
+        } catch (error) {
+            if (error.code === '23514') {
+                throw new Error('Invalid shipping rate: maximum bounds must be greater than minimum bounds');
+            }
+            logger.error('Error creating shipping rate', { error: error.message, zoneId });
+            throw error;
+        }
+    }
+
+    async updateRate(rateId, rateData) {
+        const { minWeightGrams, maxWeightGrams, minOrderAmount, maxOrderAmount, baseRate, perKgRate, isActive } = rateData;
+
+        try {
+            // Open-ended bounds are cleared by sending null explicitly
+            const result = await this.db.query(`
+                UPDATE shipping_rates
+                SET min_weight_grams = COALESCE($2, min_weight_grams),
+                    max_weight_grams = CASE WHEN $3::boolean THEN $4::integer ELSE max_weight_grams END,
+                    min_order_amount = COALESCE($5, min_order_amount),
+                    max_order_amount = CASE WHEN $6::boolean THEN $7::numeric ELSE max_order_amount END,
+                    base_rate = COALESCE($8, base_rate),
+                    per_kg_rate = COALESCE($9, per_kg_rate),
+                    is_active = COALESCE($10, is_active)
+                WHERE id = $1
+                RETURNING *
+            `, [
+                rateId,
+                minWeightGrams,
+                maxWeightGrams !== undefined,
+                maxWeightGrams ?? null,
+                minOrderAmount,
+                maxOrderAmount !== undefined,
+                maxOrderAmount ?? null,
+                baseRate,
+                perKgRate,
+                isActive
+            ]);
+
+            if (result.rows.length === 0) {
+                throw new Error('Shipping rate not found');
+            }
+
+            logger.info('Shipping rate updated', { rateId });
+
+            return result.rows[0];
+        } catch (error) {
+            if (error.code === '23514') {
+                throw new Error('Invalid shipping rate: maximum bounds must be greater than minimum bounds');
+            }
+            logger.error('Error updating shipping rate', { error: error.message, rateId });
+            throw error;
+        }
+    }
+
+    async deleteRate(rateId) {
+        try {
+            const result = await this.db.query('DELETE FROM shipping_rates WHERE id = $1 RETURNING *', [rateId]);
+
+            if (result.rows.length === 0) {
+                throw new Error('Shipping rate not found');
+            }
+
+            logger.info('Shipping rate deleted', { rateId, zoneId: result.rows[0].zone_id });
+
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Error deleting shipping rate', { error: error.message, rateId });
+            throw error;
+        }
+    }
+}
+
+module.exports = ShippingService;
@@ -0,0 +1,382 @@
+const InventoryService = require('./inventoryService');
+const ProductService = require('./productService');
+const PurchaseOrderService = require('./purchaseOrderService');
+const logger = require('../logger');
+
+// Orders paid online hold their stock in stock_reservations while the
+// customer pays instead of taking it at placement. stock_quantity stays the
+// count on hand and sellable stock is stock_quantity less the live (active,
+// unexpired) reservations. Payment success commits a reservation and takes
+// the stock; failure, cancellation or the expiry sweeper releases it. Each
+// reservation holds its units at the warehouse the line was allocated to.
+class StockReservationService {
+    constructor(dbPool, redisPool, webSocketService = null) {
+        this.db = dbPool;
+        this.redis = redisPool;
+        this.webSocketService = webSocketService;
+        this.productService = new ProductService(dbPool, redisPool);
+        this.inventoryService = new InventoryService(dbPool, redisPool);
+        this.purchaseOrderService = new PurchaseOrderService(dbPool, redisPool);
+        this.ttlMinutes = parseInt(process.env.STOCK_RESERVATION_TTL_MINUTES) || 15;
+        this.sweepIntervalMs = 60 * 1000;
+        this.intervalId = null;
+    }
+
+    static holdsStock(paymentMethod) {
+        return StockReservationService.RESERVED_PAYMENT_METHODS.includes(paymentMethod);
+    }
+
+    // Units held by live reservations for the product or variant row aliased as `alias`
+    static reservedQuantitySql(alias, column = 'product_id') {
+        return `(SELECT COALESCE(SUM(sr.quantity), 0)::int FROM stock_reservations sr
+                 WHERE sr.${column} = ${alias}.id AND sr.status = 'active' AND sr.expires_at > CURRENT_TIMESTAMP)`;
+    }
+
+    // Sellable stock for a line: the joined variant's when there is one,
+    // otherwise the product's
+    static availableStockSql(productAlias = 'p', variantAlias = null) {
+        const productStock = `GREATEST(${productAlias}.stock_quantity - ${StockReservationService.reservedQuantitySql(productAlias)}, 0)`;
+
+        if (!variantAlias) {
+            return productStock;
+        }
+
+        const variantStock = `GREATEST(${variantAlias}.stock_quantity - ${StockReservationService.reservedQuantitySql(variantAlias, 'variant_id')}, 0)`;
+        return `CASE WHEN ${variantAlias}.id IS NULL THEN ${productStock} ELSE ${variantStock} END`;
+    }
+
+    // Check every line against sellable stock. The products are locked first
+    // so concurrent checkouts for the same product queue behind each other
+    // and see each other's reservations. Runs inside the caller's transaction.
+    async assertAvailable(client, items) {
+        const productIds = [...new Set(items.map(item => item.productId))];
+
+        await client.query(`
+            SELECT id FROM products WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE
+        `, [productIds]);
+
+        const result = await client.query(`
+            SELECT g.product_id, g.variant_id, ${StockReservationService.availableStockSql('p', 'pv')} as available
+            FROM unnest($1::int[], $2::int[]) AS g(product_id, variant_id)
+            JOIN products p ON p.id = g.product_id
+            LEFT JOIN product_variants pv ON pv.id = g.variant_id AND pv.product_id = p.id
+        `, [items.map(item => item.productId), items.map(item => item.variantId || null)]);
+
+        for (const item of items) {
+            const row = result.rows.find(line =>
+                line.product_id === item.productId && line.variant_id === (item.variantId || null));
+            const available = row ? row.available : 0;
+
+            if (available < item.quantity) {
+                throw new Error(`Insufficient stock for "${item.name}". Available: ${available}, Requested: ${item.quantity}`);
+            }
+        }
+    }
+
+    // Hold the order's allocated lines (see InventoryService.recordAllocations)
+    // for the reservation TTL. Returns when the hold lapses.
+    async reserve(client, orderId, lines) {
+        const result = await client.query(`
+            INSERT INTO stock_reservations (order_id, product_id, variant_id, warehouse_id, quantity, expires_at)
+            SELECT $1, g.product_id, g.variant_id, g.warehouse_id, g.quantity, CURRENT_TIMESTAMP + make_interval(mins => $6)
+            FROM unnest($2::int[], $3::int[], $4::int[], $5::int[]) AS g(product_id, variant_id, warehouse_id, quantity)
+            RETURNING expires_at
+        `, [
+            orderId,
+            lines.map(line => line.productId),
+            lines.map(line => line.variantId || null),
+            lines.map(line => line.warehouseId),
+            lines.map(line => line.quantity),
+            this.ttlMinutes
+        ]);
+
+        const expiresAt = result.rows[0]?.expires_at || null;
+
+        logger.info('Stock reserved for order', { orderId, lineCount: lines.length, expiresAt });
+
+        return expiresAt;
+    }
+
+    // Give a retried payment a fresh hold. Live reservations are extended;
+    // lapsed ones are placed again, from wherever the stock now is, if it is
+    // still there, which throws
+    // the usual insufficient stock error when it is not. Returns when the
+    // hold lapses, or null for orders that took their stock at placement.
+    async renew(orderId) {
+        try {
+            return await this.db.transaction(async (client) => {
+                const reservations = await this.getReservations(orderId, client, true);
+
+                if (reservations.length === 0 || reservations.some(reservation => reservation.status === 'committed')) {
+                    return null;
+                }
+
+                const live = reservations.filter(reservation =>
+                    reservation.status === 'active' && new Date(reservation.expires_at) > new Date());
+
+                if (live.length > 0) {
+                    const result = await client.query(`
+                        UPDATE stock_reservations
+                        SET expires_at = CURRENT_TIMESTAMP + make_interval(mins => $2)
+                        WHERE order_id = $1 AND status = 'active'
+                        RETURNING expires_at
+                    `, [orderId, this.ttlMinutes]);
+
+                    return result.rows[0].expires_at;
+                }
+
+                await this.release(orderId, 'expired', client);
+
+                const itemsResult = await client.query(`
+                    SELECT oi.id, oi.product_id, oi.variant_id, oi.variant_label, oi.quantity, p.name as product_name,
+                           o.shipping_address
+                    FROM order_items oi
+                    JOIN products p ON p.id = oi.product_id
+                    JOIN orders o ON o.id = oi.order_id
+                    WHERE oi.order_id = $1
+                    ORDER BY oi.id ASC
+                `, [orderId]);
+
+                const items = itemsResult.rows.map(item => ({
+                    id: item.id,
+                    productId: item.product_id,
+                    variantId: item.variant_id,
+                    quantity: item.quantity,
+                    name: item.variant_label ? `${item.product_name} (${item.variant_label})` : item.product_name
+                }));
+
+                await this.assertAvailable(client, items);
+
+                const shippingAddress = itemsResult.rows[0]?.shipping_address || {};
+                const allocations = await this.inventoryService.allocate(client, items, shippingAddress);
+
+                await client.query(`
+                    DELETE FROM order_item_allocations
+                    WHERE order_item_id = ANY($1::int[])
+                `, [items.map(item => item.id)]);
+                const lines = await this.inventoryService.recordAllocations(client, items, allocations);
+
+                return await this.reserve(client, orderId, lines);
+            });
+        } catch (error) {
+            logger.error('Error renewing stock reservation', { error: error.message, orderId });
+            throw error;
+        }
+    }
+
+    // Payment succeeded: take the stock from the warehouses the order was
+    // allocated to. A payment that lands after its hold lapsed still takes
+    // the stock, floored at zero since the units may have been sold in the
+    // meantime. `by` ({ actor, createdBy }) says who settled the payment, for
+    // the inventory ledger. Returns whether stock was taken.
+    async commit(orderId, client = this.db, by = {}) {
+        const reservations = await this.getReservations(orderId, client, true);
+
+        if (reservations.length === 0 || reservations.some(reservation => reservation.status === 'committed')) {
+            return false;
+        }
+
+        const active = reservations.filter(reservation => reservation.status === 'active');
+
+        const allocations = await this.inventoryService.getAllocations(orderId, client);
+
+        for (const allocation of allocations) {
+            await this.takeStock(client, allocation.product_id, allocation.variant_id, allocation.quantity, allocation.warehouse_id, {
+                kind: 'sale',
+                actor: 'system',
+                ...by,
+                orderId
+            });
+        }
+
+        if (active.length > 0) {
+            await client.query(`
+                UPDATE stock_reservations
+                SET status = 'committed'
+                WHERE id = ANY($1::int[])
+            `, [active.map(reservation => reservation.id)]);
+        } else {
+            logger.warn('Payment received after the stock reservation lapsed', { orderId });
+
+            await client.query(`
+                INSERT INTO stock_reservations (order_id, product_id, variant_id, warehouse_id, quantity, status, expires_at)
+                SELECT oi.order_id, oi.product_id, oi.variant_id, a.warehouse_id, a.quantity, 'committed', CURRENT_TIMESTAMP
+                FROM order_item_allocations a
+                JOIN order_items oi ON oi.id = a.order_item_id
+                WHERE oi.order_id = $1
+            `, [orderId]);
+        }
+
+        logger.info('Stock reservation committed', { orderId, lineCount: allocations.length });
+
+        return true;
+    }
+
+    // Payment failed or the order was cancelled. Returns the released lines.
+    async release(orderId, reason, client = this.db) {
+        const result = await client.query(`
+            UPDATE stock_reservations
+            SET status = $3, released_at = CURRENT_TIMESTAMP, release_reason = $2
+            WHERE order_id = $1 AND status = 'active'
+            RETURNING product_id, variant_id, quantity
+        `, [orderId, reason, reason === 'expired' ? 'expired' : 'released']);
+
+        if (result.rows.length > 0) {
+            logger.info('Stock reservation released', { orderId, reason, lineCount: result.rows.length });
+        }
+
+        return result.rows;
+    }
+
+    // Whether the order's stock has left stock_quantity: taken at placement
+    // (no reservations) or by a committed payment
+    async hasTakenStock(orderId, client = this.db) {
+        const reservations = await this.getReservations(orderId, client);
+
+        return reservations.length === 0 || reservations.some(reservation => reservation.status === 'committed');
+    }
+
+    async getReservations(orderId, client = this.db, forUpdate = false) {
+        const result = await client.query(`
+            SELECT id, product_id, variant_id, quantity, status, expires_at
+            FROM stock_reservations
+            WHERE order_id = $1
+            ORDER BY id ASC
+            ${forUpdate ? 'FOR UPDATE' : ''}
+        `, [orderId]);
+
+        return result.rows;
+    }
+
+    async takeStock(client, productId, variantId, quantity, warehouseId, movement = {}) {
+        await this.inventoryService.applyStockChange(client, {
+            productId,
+            variantId,
+            warehouseId,
+            quantity,
+            operation: 'decrement'
+        }, movement);
+    }
+
+    // Sellable stock for a product and its variants
+    async getAvailability(productId) {
+        const result = await this.db.query(`
+            SELECT p.id, p.stock_quantity, r.reorder_point
+            FROM products p
+            LEFT JOIN product_reorder_rules r ON r.product_id = p.id
+            WHERE p.id = $1
+        `, [productId]);
+
+        if (result.rows.length === 0) {
+            return null;
+        }
+
+        const { variants } = await this.productService.getVariantDetails(productId);
+        return await this.productService.withAvailability({ ...result.rows[0], variants });
+    }
+
+    // Push sellable stock to product pages, once per changed variant or once
+    // for the product when no variant is named. Admins get a low stock alert
+    // at the product's reorder point, or LOW_STOCK_THRESHOLD without a
+    // reorder rule; products with one are also checked for reordering.
+    async notifyAvailability(productId, variantIds = []) {
+        if (!this.webSocketService) {
+            return;
+        }
+
+        try {
+            const product = await this.getAvailability(productId);
+
+            if (!product) {
+                return;
+            }
+
+            const reorders = Number.isInteger(product.reorder_point);
+            const threshold = reorders ? product.reorder_point : StockReservationService.LOW_STOCK_THRESHOLD;
+            const variants = product.variants.filter(variant => variantIds.includes(variant.id));
+
+            if (variants.length === 0) {
+                await this.webSocketService.notifyInventoryUpdate(productId, product.available_quantity, threshold);
+            }
+
+            for (const variant of variants) {
+                await this.webSocketService.notifyInventoryUpdate(productId, product.available_quantity,
+                    threshold, { ...variant, stock_quantity: variant.available_quantity });
+            }
+
+            if (reorders) {
+                await this.purchaseOrderService.draftReorders([productId]);
+            }
+        } catch (error) {
+            logger.error('Error sending stock availability update', { error: error.message, productId });
+        }
+    }
+
+    // Sweeper: expire lapsed holds so their units can be sold again
+    async expireReservations() {
+        const result = await this.db.query(`
+            UPDATE stock_reservations
+            SET status = 'expired', released_at = CURRENT_TIMESTAMP, release_reason = 'expired'
+            WHERE status = 'active' AND expires_at <= CURRENT_TIMESTAMP
+            RETURNING order_id, product_id, variant_id
+        `);
+
+        if (result.rows.length === 0) {
+            return 0;
+        }
+
+        const changed = new Map();
+        for (const row of result.rows) {
+            const variantIds = changed.get(row.product_id) || [];
+            if (row.variant_id) {
+                variantIds.push(row.variant_id);
+            }
+            changed.set(row.product_id, variantIds);
+        }
+
+        for (const [productId, variantIds] of changed) {
+            await this.notifyAvailability(productId, variantIds);
+        }
+
+        logger.info('Expired stock reservations', {
+            reservations: result.rows.length,
+            orders: new Set(result.rows.map(row => row.order_id)).size
+        });
+
+        return result.rows.length;
+    }
+
+    start() {
+        if (this.intervalId) {
+            logger.warn('Stock reservation sweeper already running');
+            return;
+        }
+
+        this.intervalId = setInterval(async () => {
+            try {
+                await this.expireReservations();
+            } catch (error) {
+                logger.error('Stock reservation sweep failed', { error: error.message });
+            }
+        }, this.sweepIntervalMs);
+
+        logger.info(`Stock reservation sweeper started (interval: ${this.sweepIntervalMs}ms, TTL: ${this.ttlMinutes}m)`);
+    }
+
+    stop() {
+        if (!this.intervalId) {
+            return;
+        }
+
+        clearInterval(this.intervalId);
+        this.intervalId = null;
+        logger.info('Stock reservation sweeper stopped');
+    }
+}
+
+// Payment methods settled online, whose orders hold stock until paid. Cash
+// on delivery and bank transfer orders take their stock at placement.
+StockReservationService.RESERVED_PAYMENT_METHODS = ['stripe_card', 'credit_card', 'debit_card', 'mobile_banking'];
+StockReservationService.LOW_STOCK_THRESHOLD = 10;
+
+module.exports = StockReservationService;
@@ -0,0 +1,44 @@
+const LocalStorageDriver = require('./localStorageDriver');
+const S3StorageDriver = require('./s3StorageDriver');
+
+const STORAGE_CLASSES = {
+    local: LocalStorageDriver,
+    s3: S3StorageDriver
+};
+
+const STORAGE_DRIVERS = Object.keys(STORAGE_CLASSES);
+
+// Media storage settings come from the environment. MEDIA_STORAGE_DRIVER
+// picks the driver; local disk is the default for development.
+const loadStorageConfig = (env = process.env) => ({
+    driver: env.MEDIA_STORAGE_DRIVER || 'local',
+    local: {
+        rootDir: env.MEDIA_LOCAL_DIR,
+        publicUrl: env.MEDIA_PUBLIC_URL || (env.API_BASE_URL ? `${env.API_BASE_URL.replace(/\/+$/, '')}/media` : undefined)
+    },
+    s3: {
+        endpoint: env.S3_ENDPOINT,
+        region: env.S3_REGION,
+        bucket: env.S3_BUCKET,
+        accessKeyId: env.S3_ACCESS_KEY_ID,
+        secretAccessKey: env.S3_SECRET_ACCESS_KEY,
+        forcePathStyle: env.S3_FORCE_PATH_STYLE !== 'false',
+        publicUrl: env.MEDIA_PUBLIC_URL
+    }
+});
+
+const createStorage = (config = loadStorageConfig()) => {
+    const StorageClass = STORAGE_CLASSES[config.driver];
+
+    if (!StorageClass) {
+        throw new Error(`Unknown media storage driver "${config.driver}"`);
+    }
+
+    return new StorageClass(config[config.driver] || {});
+};
+
+module.exports = {
+    STORAGE_DRIVERS,
+    loadStorageConfig,
+    createStorage
+};
@@ -0,0 +1,54 @@
+const fs = require('fs/promises');
+const path = require('path');
+const StorageDriver = require('./storageDriver');
+
+// Stores objects as files under rootDir. The API serves rootDir at /media,
+// so publicUrl normally points there; behind a CDN or separate web server it
+// can point anywhere that serves the same directory.
+class LocalStorageDriver extends StorageDriver {
+    constructor(config = {}) {
+        super('local', config);
+        this.rootDir = path.resolve(config.rootDir || 'uploads');
+        this.publicUrl = config.publicUrl || '/media';
+    }
+
+    resolvePath(key) {
+        return path.join(this.rootDir, ...this.normalizeKey(key).split('/'));
+    }
+
+    async put(key, body, _options = {}) {
+        const filePath = this.resolvePath(key);
+
+        await fs.mkdir(path.dirname(filePath), { recursive: true });
+        await fs.writeFile(filePath, body);
+
+        return { key: this.normalizeKey(key), url: this.getUrl(key), size: body.length };
+    }
+
+    async get(key) {
+        try {
+            return await fs.readFile(this.resolvePath(key));
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+    }
+
+    async delete(key) {
+        try {
+            await fs.unlink(this.resolvePath(key));
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        }
+    }
+
+    getUrl(key) {
+        return this.joinUrl(this.publicUrl, key);
+    }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,140 @@
+const crypto = require('crypto');
+const StorageDriver = require('./storageDriver');
+
+const sha256Hex = value => crypto.createHash('sha256').update(value).digest('hex');
+const hmac = (key, value) => crypto.createHmac('sha256', key).update(value).digest();
+
+// S3 wants every byte outside the unreserved set escaped, including the
+// characters encodeURIComponent leaves alone
+const encodeRfc3986 = value => encodeURIComponent(value)
+    .replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// Stores objects in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2,
+// DigitalOcean Spaces). Requests are signed with Signature Version 4 and sent
+// with fetch. Path-style addressing is the default since MinIO and most
+// self-hosted endpoints expect it. Objects are served from publicUrl (a CDN
+// or the bucket's public endpoint), so the bucket must allow public reads.
+class S3StorageDriver extends StorageDriver {
+    constructor(config = {}) {
+        super('s3', config);
+        this.region = config.region || 'us-east-1';
+        this.endpoint = (config.endpoint || `https://s3.${this.region}.amazonaws.com`).replace(/\/+$/, '');
+        this.bucket = config.bucket;
+        this.accessKeyId = config.accessKeyId;
+        this.secretAccessKey = config.secretAccessKey;
+        this.forcePathStyle = config.forcePathStyle !== false;
+        this.publicUrl = config.publicUrl || null;
+    }
+
+    isConfigured() {
+        return Boolean(this.bucket && this.accessKeyId && this.secretAccessKey);
+    }
+
+    async put(key, body, { contentType = 'application/octet-stream', cacheControl } = {}) {
+        const headers = { 'content-type': contentType };
+        if (cacheControl) {
+            headers['cache-control'] = cacheControl;
+        }
+
+        await this.request('PUT', key, { body, headers });
+
+        return { key: this.normalizeKey(key), url: this.getUrl(key), size: body.length };
+    }
+
+    async get(key) {
+        const response = await this.request('GET', key, { allowNotFound: true });
+        return response ? Buffer.from(await response.arrayBuffer()) : null;
+    }
+
+    async delete(key) {
+        await this.request('DELETE', key, { allowNotFound: true });
+    }
+
+    getUrl(key) {
+        if (this.publicUrl) {
+            return this.joinUrl(this.publicUrl, key);
+        }
+        return this.objectUrl(key).toString();
+    }
+
+    objectUrl(key) {
+        const url = new URL(this.endpoint);
+        const basePath = url.pathname.replace(/\/+$/, '');
+        const objectPath = this.normalizeKey(key).split('/').map(encodeRfc3986).join('/');
+
+        if (this.forcePathStyle) {
+            url.pathname = `${basePath}/${encodeRfc3986(this.bucket)}/${objectPath}`;
+        } else {
+            url.hostname = `${this.bucket}.${url.hostname}`;
+            url.pathname = `${basePath}/${objectPath}`;
+        }
+
+        return url;
+    }
+
+    // Signature Version 4 headers for a request without a query string.
+    // The payload hash is always sent, as S3 requires it for every request.
+    signRequest(method, url, headers, payload, now = new Date()) {
+        const amzDate = now.toISOString().replace(/[:-]|\.\d{3}/g, '');
+        const dateStamp = amzDate.slice(0, 8);
+        const payloadHash = sha256Hex(payload);
+
+        const signed = {
+            ...headers,
+            host: url.host,
+            'x-amz-content-sha256': payloadHash,
+            'x-amz-date': amzDate
+        };
+        const names = Object.keys(signed).sort();
+        const canonicalHeaders = names.map(name => `${name}:${String(signed[name]).trim()}\n`).join('');
+        const signedHeaders = names.join(';');
+
+        const canonicalRequest = [method, url.pathname, '', canonicalHeaders, signedHeaders, payloadHash].join('\n');
+        const scope = `${dateStamp}/${this.region}/s3/aws4_request`;
+        const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256Hex(canonicalRequest)].join('\n');
+
+        const signingKey = ['s3', 'aws4_request'].reduce(
+            (key, part) => hmac(key, part),
+            hmac(hmac(`AWS4${this.secretAccessKey}`, dateStamp), this.region)
+        );
+        const signature = hmac(signingKey, stringToSign).toString('hex');
+
+        // fetch sets Host itself from the URL
+        delete signed.host;
+
+        return {
+            ...signed,
+            authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+        };
+    }
+
+    async request(method, key, { body, headers = {}, allowNotFound = false } = {}) {
+        if (!this.isConfigured()) {
+            throw new Error('Storage s3 is not configured');
+        }
+
+        const url = this.objectUrl(key);
+        const payload = body || Buffer.alloc(0);
+
+        const response = await fetch(url, {
+            method,
+            headers: this.signRequest(method, url, headers, payload),
+            body: body === undefined ? undefined : body
+        });
+
+        if (response.status === 404 && allowNotFound) {
+            return null;
+        }
+
+        if (!response.ok) {
+            const text = await response.text();
+            const code = (text.match(/<Code>([^<]*)<\/Code>/) || [])[1];
+            const message = (text.match(/<Message>([^<]*)<\/Message>/) || [])[1];
+            throw new Error(`Storage s3 ${method} failed with HTTP ${response.status}${code ? ` (${code}${message ? `: ${message}` : ''})` : ''}`);
+        }
+
+        return response;
+    }
+}
+
+module.exports = S3StorageDriver;
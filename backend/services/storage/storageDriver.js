@@ -0,0 +1,51 @@
+// Base class for media storage. MediaService only stores and removes objects
+// through these methods, so images can move between local disk and an
+// S3-compatible bucket without touching the upload pipeline.
+//
+// Keys are slash separated relative paths such as
+// "products/12/6f1c.../medium.webp"; drivers map them onto files or objects.
+class StorageDriver {
+    constructor(name, config = {}) {
+        this.name = name;
+        this.config = config;
+    }
+
+    // Store body (a Buffer) under key. Returns { key, url, size }
+    async put(_key, _body, _options = {}) {
+        throw new Error(`Storage ${this.name} does not support writing objects`);
+    }
+
+    // Stored bytes as a Buffer, or null when the key does not exist
+    async get(_key) {
+        throw new Error(`Storage ${this.name} does not support reading objects`);
+    }
+
+    // Remove the object. Missing keys are not an error.
+    async delete(_key) {
+        throw new Error(`Storage ${this.name} does not support deleting objects`);
+    }
+
+    // Public URL the object is served from
+    getUrl(_key) {
+        throw new Error(`Storage ${this.name} does not support public URLs`);
+    }
+
+    // Keys come from the upload pipeline, but are checked anyway so nothing can
+    // be written outside the storage root
+    normalizeKey(key) {
+        const segments = String(key || '').split('/').filter(Boolean);
+
+        if (segments.length === 0 || segments.some(segment => segment === '.' || segment === '..')) {
+            throw new Error(`Invalid storage key "${key}"`);
+        }
+
+        return segments.join('/');
+    }
+
+    joinUrl(baseUrl, key) {
+        const path = this.normalizeKey(key).split('/').map(encodeURIComponent).join('/');
+        return `${String(baseUrl).replace(/\/+$/, '')}/${path}`;
+    }
+}
+
+module.exports = StorageDriver;
@@ -0,0 +1,203 @@
+const logger = require('../logger');
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+class TaxService {
+    constructor(dbPool, redisPool) {
+        this.db = dbPool;
+        this.redis = redisPool;
+        // Catalogue prices include VAT unless PRICES_INCLUDE_TAX=false, in
+        // which case VAT is added on top at checkout
+        this.pricesIncludeTax = process.env.PRICES_INCLUDE_TAX !== 'false';
+    }
+
+    // Tax class for each product: its own, then its category's, then the
+    // default class. Inactive classes are skipped.
+    async resolveClasses(productIds, client = this.db) {
+        const result = await client.query(`
+            SELECT p.id as product_id, t.id, t.code, t.name, t.rate
+            FROM products p
+            LEFT JOIN categories c ON c.id = p.category_id
+            JOIN tax_classes t ON t.id = COALESCE(
+                (SELECT id FROM tax_classes WHERE id = p.tax_class_id AND is_active = true),
+                (SELECT id FROM tax_classes WHERE id = c.tax_class_id AND is_active = true),
+                (SELECT id FROM tax_classes WHERE is_default = true)
+            )
+            WHERE p.id = ANY($1::int[])
+        `, [[...new Set(productIds)]]);
+
+        return new Map(result.rows.map(row => [row.product_id, row]));
+    }
+
+    // VAT on cart-shaped items (product_id, quantity, product_price) after the
+    // coupon discount. The discount is shared across items in proportion to
+    // their amount, the last item taking the rounding remainder, and each item
+    // is taxed on what is left of it. Shipping and the COD fee carry no VAT.
+    static taxItems(items, classes, discount, pricesIncludeTax) {
+        const amounts = items.map(item => roundMoney(item.quantity * parseFloat(item.product_price)));
+        const subtotal = roundMoney(amounts.reduce((sum, amount) => sum + amount, 0));
+        let remaining = roundMoney(Math.min(discount, subtotal));
+
+        const taxedItems = items.map((item, index) => {
+            const share = index === items.length - 1
+                ? remaining
+                : Math.min(remaining, roundMoney(subtotal > 0 ? discount * amounts[index] / subtotal : 0));
+            remaining = roundMoney(remaining - share);
+
+            const taxClass = classes.get(item.product_id) || null;
+            const rate = taxClass ? parseFloat(taxClass.rate) : 0;
+            const net = roundMoney(amounts[index] - share);
+            const taxAmount = roundMoney(pricesIncludeTax ? net * rate / (100 + rate) : net * rate / 100);
+
+            return {
+                productId: item.product_id,
+                variantId: item.variant_id || null,
+                taxClassId: taxClass?.id || null,
+                rate,
+                discount: share,
+                taxableAmount: pricesIncludeTax ? roundMoney(net - taxAmount) : net,
+                taxAmount
+            };
+        });
+
+        // One line per class, as stored on the order and printed on the invoice
+        const lines = new Map();
+        for (const item of taxedItems) {
+            const taxClass = classes.get(item.productId);
+            const key = item.taxClassId || 'none';
+            const line = lines.get(key) || {
+                taxClassId: item.taxClassId,
+                code: taxClass?.code || null,
+                name: taxClass?.name || 'No VAT',
+                rate: item.rate,
+                taxableAmount: 0,
+                taxAmount: 0
+            };
+            line.taxableAmount = roundMoney(line.taxableAmount + item.taxableAmount);
+            line.taxAmount = roundMoney(line.taxAmount + item.taxAmount);
+            lines.set(key, line);
+        }
+
+        return {
+            pricesIncludeTax,
+            amount: roundMoney(taxedItems.reduce((sum, item) => sum + item.taxAmount, 0)),
+            lines: [...lines.values()].sort((a, b) => b.rate - a.rate),
+            items: taxedItems
+        };
+    }
+
+    async calculate(items, discount = 0, client = this.db) {
+        const classes = await this.resolveClasses(items.map(item => item.product_id), client);
+        return TaxService.taxItems(items, classes, discount, this.pricesIncludeTax);
+    }
+
+    // Tax classes as managed from admin, with how many products and categories use each
+    async getClasses({ includeInactive = false } = {}) {
+        try {
+            const result = await this.db.query(`
+                SELECT t.*,
+                    (SELECT COUNT(*) FROM products p WHERE p.tax_class_id = t.id)::int as product_count,
+                    (SELECT COUNT(*) FROM categories c WHERE c.tax_class_id = t.id)::int as category_count
+                FROM tax_classes t
+                WHERE $1::boolean OR t.is_active = true
+                ORDER BY t.is_default DESC, t.rate DESC, t.name
+            `, [includeInactive]);
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Error fetching tax classes', { error: error.message });
+            throw error;
+        }
+    }
+
+    async createClass(classData) {
+        const { code, name, description = null, rate, isDefault = false, isActive = true } = classData;
+
+        try {
+            return await this.db.transaction(async (client) => {
+                if (isDefault) {
+                    await client.query('UPDATE tax_classes SET is_default = false WHERE is_default = true');
+                }
+
+                const result = await client.query(`
+                    INSERT INTO tax_classes (code, name, description, rate, is_default, is_active)
+                    VALUES ($1, $2, $3, $4, $5, $6)
+                    RETURNING *
+                `, [code, name, description, rate, isDefault, isDefault || isActive]);
+
+                logger.info('Tax class created', { taxClassId: result.rows[0].id, code, rate });
+
+                return result.rows[0];
+            });
+        } catch (error) {
+            if (error.code === '23505') {
+                throw new Error('Tax class code already exists');
+            }
+            logger.error('Error creating tax class', { error: error.message, code });
+            throw error;
+        }
+    }
+
+    // Rate changes apply to orders placed from now on; placed orders keep the
+    // rate they were taxed at
+    async updateClass(classId, classData) {
+        const { name, description, rate, isDefault, isActive } = classData;
+
+        try {
+            return await this.db.transaction(async (client) => {
+                if (isDefault) {
+                    await client.query(
+                        'UPDATE tax_classes SET is_default = false WHERE is_default = true AND id <> $1',
+                        [classId]
+                    );
+                }
+
+                // The default class stays active, and stays the default until another takes over
+                const result = await client.query(`
+                    UPDATE tax_classes
+                    SET name = COALESCE($2, name),
+                        description = COALESCE($3, description),
+                        rate = COALESCE($4, rate),
+                        is_default = is_default OR COALESCE($5, false),
+                        is_active = CASE WHEN is_default OR COALESCE($5, false) THEN true ELSE COALESCE($6, is_active) END
+                    WHERE id = $1
+                    RETURNING *
+                `, [classId, name, description, rate, isDefault, isActive]);
+
+                if (result.rows.length === 0) {
+                    throw new Error('Tax class not found');
+                }
+
+                logger.info('Tax class updated', { taxClassId: classId, rate: result.rows[0].rate });
+
+                return result.rows[0];
+            });
+        } catch (error) {
+            logger.error('Error updating tax class', { error: error.message, classId });
+            throw error;
+        }
+    }
+
+    // Products and categories on a deleted class fall back to the next class in line
+    async deleteClass(classId) {
+        try {
+            const result = await this.db.query(
+                'DELETE FROM tax_classes WHERE id = $1 AND is_default = false RETURNING *',
+                [classId]
+            );
+
+            if (result.rows.length === 0) {
+                throw new Error('Tax class not found or is the default class');
+            }
+
+            logger.info('Tax class deleted', { taxClassId: classId, code: result.rows[0].code });
+
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Error deleting tax class', { error: error.message, classId });
+            throw error;
+        }
+    }
+}
+
+module.exports = TaxService;
@@ -1,6 +1,7 @@
 const passwordManager = require('../auth/password');
 const jwtManager = require('../auth/jwt');
 const logger = require('../logger');
+const { DEFAULT_LOCALE } = require('../locale');
 
 class UserService {
     constructor(dbPool, redisPool) {
@@ -9,7 +10,7 @@ class UserService {
     }
 
     async createUser(userData) {
-        const { email, password, firstName, lastName, phone } = userData;
+        const { email, password, firstName, lastName, phone, locale } = userData;
 
         try {
             // Check if user already exists
@@ -26,10 +27,10 @@ class UserService {
 
             // Create user in database
             const result = await this.db.query(`
-                INSERT INTO users (email, password_hash, first_name, last_name, phone, email_verified)
-                VALUES ($1, $2, $3, $4, $5, false)
-                RETURNING id, email, first_name, last_name, phone, is_active, email_verified, created_at
-            `, [email, passwordHash, firstName, lastName, phone]);
+                INSERT INTO users (email, password_hash, first_name, last_name, phone, email_verified, locale)
+                VALUES ($1, $2, $3, $4, $5, false, $6)
+                RETURNING id, email, first_name, last_name, phone, is_active, email_verified, locale, created_at
+            `, [email, passwordHash, firstName, lastName, phone, locale || DEFAULT_LOCALE]);
 
             const user = result.rows[0];
 
@@ -134,7 +135,7 @@ class UserService {
     }
 
     async updateUser(userId, updateData) {
-        const { firstName, lastName, phone } = updateData;
+        const { firstName, lastName, phone, locale } = updateData;
 
         try {
             const result = await this.db.query(`
@@ -142,10 +143,11 @@ class UserService {
                 SET first_name = COALESCE($2, first_name),
                     last_name = COALESCE($3, last_name),
                     phone = COALESCE($4, phone),
+                    locale = COALESCE($5, locale),
                     updated_at = CURRENT_TIMESTAMP
                 WHERE id = $1 AND is_active = true
-                RETURNING id, email, first_name, last_name, phone, is_active, email_verified, created_at, updated_at
-            `, [userId, firstName, lastName, phone]);
+                RETURNING id, email, first_name, last_name, phone, is_active, email_verified, locale, created_at, updated_at
+            `, [userId, firstName, lastName, phone, locale]);
 
             if (result.rows.length === 0) {
                 throw new Error('User not found or inactive');
@@ -266,28 +266,37 @@ class WebSocketService {
 
     // Public methods for other services to use
 
-    async notifyInventoryUpdate(productId, stockQuantity, threshold = 10) {
+    // variant ({id, sku, title, stock_quantity}) is set when the change was to
+    // one variant; stockQuantity is then the product's total across variants
+    // and the low stock check applies to the variant
+    async notifyInventoryUpdate(productId, stockQuantity, threshold = 10, variant = null) {
         try {
+            const checkedStock = variant ? variant.stock_quantity : stockQuantity;
             const notification = {
                 productId,
                 stockQuantity,
+                variantId: variant ? variant.id : null,
+                variantStockQuantity: variant ? variant.stock_quantity : null,
+                variantTitle: variant ? variant.title : null,
                 timestamp: new Date().toISOString(),
-                lowStock: stockQuantity <= threshold
+                lowStock: checkedStock <= threshold
             };
 
             // Notify users subscribed to this product
             this.io.to(`inventory:${productId}`).emit('inventory:updated', notification);
 
             // If low stock, notify admins
-            if (stockQuantity <= threshold) {
+            if (notification.lowStock) {
+                const subject = variant ? `Product ${productId} (${variant.title})` : `Product ${productId}`;
                 this.io.to('admin').emit('inventory:low_stock', {
                     ...notification,
-                    message: `Low stock alert: Product ${productId} has ${stockQuantity} items remaining`
+                    message: `Low stock alert: ${subject} has ${checkedStock} items remaining`
                 });
             }
 
             logger.info('Inventory update notification sent', {
                 productId,
+                variantId: notification.variantId,
                 stockQuantity,
                 lowStock: notification.lowStock,
                 subscribedUsers: this.io.sockets.adapter.rooms.get(`inventory:${productId}`)?.size || 0
@@ -310,7 +319,9 @@ class WebSocketService {
                 status: orderData.status,
                 totalAmount: orderData.total_amount,
                 timestamp: new Date().toISOString(),
-                message: this.getOrderStatusMessage(orderData.status)
+                message: this.getOrderStatusMessage(orderData.status),
+                // Latest courier tracking event, when the update came from a shipment
+                tracking: orderData.tracking || null
             };
 
             // Notify specific user
@@ -343,11 +354,88 @@ class WebSocketService {
         }
     }
 
+    async notifyReturnUpdate(userId, returnRequest) {
+        try {
+            const notification = {
+                returnId: returnRequest.id,
+                returnNumber: returnRequest.return_number,
+                orderId: returnRequest.order_id,
+                orderItemId: returnRequest.order_item_id,
+                type: returnRequest.type,
+                status: returnRequest.status,
+                pickupDate: returnRequest.pickup_date || null,
+                refundAmount: returnRequest.refund_amount || null,
+                timestamp: new Date().toISOString()
+            };
+
+            this.io.to(`user:${userId}`).emit('return:status_updated', notification);
+
+            // New requests wait for an admin to review them
+            if (returnRequest.status === 'requested') {
+                this.io.to('admin').emit('return:new_request', {
+                    ...notification,
+                    userId,
+                    reason: returnRequest.reason
+                });
+            }
+
+            logger.info('Return update notification sent', {
+                userId,
+                returnId: returnRequest.id,
+                status: returnRequest.status
+            });
+
+            return true;
+        } catch (error) {
+            logger.error('Error sending return notification', {
+                userId,
+                returnId: returnRequest.id,
+                error: error.message
+            });
+            return false;
+        }
+    }
+
+    // A back-in-stock or price-drop alert the customer subscribed to has fired
+    async notifyProductAlert(userId, alert) {
+        try {
+            const notification = {
+                alertId: alert.id,
+                kind: alert.kind,
+                productId: alert.product_id,
+                variantId: alert.variant_id || null,
+                productName: alert.product_name,
+                variantTitle: alert.variant_title || null,
+                price: alert.price,
+                targetPrice: alert.target_price || null,
+                timestamp: new Date().toISOString()
+            };
+
+            this.io.to(`user:${userId}`).emit('product:alert', notification);
+
+            logger.info('Product alert notification sent', {
+                userId,
+                alertId: alert.id,
+                kind: alert.kind
+            });
+
+            return true;
+        } catch (error) {
+            logger.error('Error sending product alert notification', {
+                userId,
+                alertId: alert.id,
+                error: error.message
+            });
+            return false;
+        }
+    }
+
     getOrderStatusMessage(status) {
         const messages = {
             'pending': 'Your order has been received and is being processed',
             'confirmed': 'Your order has been confirmed',
             'processing': 'Your order is being prepared',
+            'partially_shipped': 'Part of your order has been shipped',
             'shipped': 'Your order has been shipped',
             'delivered': 'Your order has been delivered',
             'cancelled': 'Your order has been cancelled'
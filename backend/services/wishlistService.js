@@ -0,0 +1,237 @@
+const CartService = require('./cartService');
+const StockReservationService = require('./stockReservationService');
+const logger = require('../logger');
+
+class WishlistService {
+    constructor(dbPool, redisPool) {
+        this.db = dbPool;
+        this.redis = redisPool;
+        this.cartService = new CartService(dbPool, redisPool);
+    }
+
+    async getOrCreateWishlist(userId) {
+        try {
+            const result = await this.db.query(`
+                INSERT INTO wishlists (user_id)
+                VALUES ($1)
+                ON CONFLICT (user_id) DO UPDATE SET user_id = EXCLUDED.user_id
+                RETURNING *
+            `, [userId]);
+
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Error getting or creating wishlist', { error: error.message, userId });
+            throw error;
+        }
+    }
+
+    async getWishlist(userId) {
+        try {
+            const result = await this.db.query(`
+                SELECT
+                    wi.id,
+                    wi.product_id,
+                    wi.created_at as added_at,
+                    p.name as product_name,
+                    p.price as product_price,
+                    p.image_url as product_image,
+                    p.slug as product_slug,
+                    ${StockReservationService.availableStockSql('p')} as product_stock,
+                    p.is_active as product_active
+                FROM wishlists w
+                JOIN wishlist_items wi ON wi.wishlist_id = w.id
+                JOIN products p ON wi.product_id = p.id
+                WHERE w.user_id = $1
+                ORDER BY wi.created_at DESC
+            `, [userId]);
+
+            const items = result.rows;
+
+            logger.info('Wishlist fetched successfully', {
+                userId,
+                itemCount: items.length
+            });
+
+            return {
+                userId,
+                items,
+                summary: {
+                    itemCount: items.length,
+                    inStockCount: items.filter(item => item.product_active && item.product_stock > 0).length
+                }
+            };
+        } catch (error) {
+            logger.error('Error fetching wishlist', { error: error.message, userId });
+            throw error;
+        }
+    }
+
+    async addToWishlist(userId, productId) {
+        try {
+            const productResult = await this.db.query(
+                'SELECT id, is_active FROM products WHERE id = $1',
+                [productId]
+            );
+
+            if (productResult.rows.length === 0) {
+                throw new Error('Product not found');
+            }
+
+            if (!productResult.rows[0].is_active) {
+                throw new Error('Product is not available');
+            }
+
+            const wishlist = await this.getOrCreateWishlist(userId);
+
+            // Adding a product twice is a no-op rather than an error
+            const insertResult = await this.db.query(`
+                INSERT INTO wishlist_items (wishlist_id, product_id)
+                VALUES ($1, $2)
+                ON CONFLICT (wishlist_id, product_id) DO NOTHING
+                RETURNING *
+            `, [wishlist.id, productId]);
+
+            const wishlistItem = insertResult.rows[0] || null;
+
+            logger.info('Item added to wishlist successfully', {
+                userId,
+                productId,
+                alreadyPresent: !wishlistItem
+            });
+
+            return { wishlistItem, alreadyPresent: !wishlistItem };
+        } catch (error) {
+            logger.error('Error adding item to wishlist', { error: error.message, userId, productId });
+            throw error;
+        }
+    }
+
+    async removeFromWishlist(userId, productId) {
+        try {
+            const result = await this.db.query(`
+                DELETE FROM wishlist_items wi
+                USING wishlists w
+                WHERE wi.wishlist_id = w.id AND w.user_id = $1 AND wi.product_id = $2
+                RETURNING wi.*
+            `, [userId, productId]);
+
+            if (result.rows.length === 0) {
+                throw new Error('Wishlist item not found');
+            }
+
+            logger.info('Item removed from wishlist successfully', { userId, productId });
+
+            return result.rows[0];
+        } catch (error) {
+            logger.error('Error removing item from wishlist', { error: error.message, userId, productId });
+            throw error;
+        }
+    }
+
+    async clearWishlist(userId) {
+        try {
+            const result = await this.db.query(`
+                DELETE FROM wishlist_items wi
+                USING wishlists w
+                WHERE wi.wishlist_id = w.id AND w.user_id = $1
+                RETURNING wi.*
+            `, [userId]);
+
+            logger.info('Wishlist cleared successfully', {
+                userId,
+                itemsRemoved: result.rows.length
+            });
+
+            return result.rows;
+        } catch (error) {
+            logger.error('Error clearing wishlist', { error: error.message, userId });
+            throw error;
+        }
+    }
+
+    async moveToCart(userId, productId, quantity = 1) {
+        try {
+            const inWishlist = await this.db.query(`
+                SELECT wi.id
+                FROM wishlist_items wi
+                JOIN wishlists w ON wi.wishlist_id = w.id
+                WHERE w.user_id = $1 AND wi.product_id = $2
+            `, [userId, productId]);
+
+            if (inWishlist.rows.length === 0) {
+                throw new Error('Wishlist item not found');
+            }
+
+            // Only drop the wishlist entry once the cart accepted the item
+            const cartItem = await this.cartService.addToCart(userId, productId, quantity);
+            await this.removeFromWishlist(userId, productId);
+
+            logger.info('Wishlist item moved to cart successfully', {
+                userId,
+                productId,
+                quantity,
+                cartItemId: cartItem.id
+            });
+
+            return cartItem;
+        } catch (error) {
+            logger.error('Error moving wishlist item to cart', { error: error.message, userId, productId, quantity });
+            throw error;
+        }
+    }
+
+    // One-time import of a wishlist kept in browser storage before it moved server-side
+    async mergeWishlist(userId, productIds) {
+        try {
+            const uniqueIds = [...new Set(productIds)];
+
+            if (uniqueIds.length === 0) {
+                return { merged: 0, skipped: 0 };
+            }
+
+            const wishlist = await this.getOrCreateWishlist(userId);
+
+            // Unknown or inactive products are silently skipped
+            const result = await this.db.query(`
+                INSERT INTO wishlist_items (wishlist_id, product_id)
+                SELECT $1, p.id
+                FROM products p
+                WHERE p.id = ANY($2::int[]) AND p.is_active = true
+                ON CONFLICT (wishlist_id, product_id) DO NOTHING
+                RETURNING product_id
+            `, [wishlist.id, uniqueIds]);
+
+            const merged = result.rows.length;
+
+            logger.info('Wishlist merged successfully', {
+                userId,
+                requested: uniqueIds.length,
+                merged
+            });
+
+            return { merged, skipped: uniqueIds.length - merged };
+        } catch (error) {
+            logger.error('Error merging wishlist', { error: error.message, userId });
+            throw error;
+        }
+    }
+
+    // Product IDs wishlisted by a user, for recommendation and campaign consumers
+    async getWishlistProductIds(userId) {
+        try {
+            const result = await this.db.query(`
+                SELECT wi.product_id
+                FROM wishlist_items wi
+                JOIN wishlists w ON wi.wishlist_id = w.id
+                WHERE w.user_id = $1
+            `, [userId]);
+
+            return result.rows.map(row => row.product_id);
+        } catch (error) {
+            logger.error('Error fetching wishlist product IDs', { error: error.message, userId });
+            throw error;
+        }
+    }
+}
+
+module.exports = WishlistService;
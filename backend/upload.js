@@ -0,0 +1,58 @@
+const multer = require('multer');
+
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/avif'];
+const MAX_IMAGE_BYTES = 10 * 1024 * 1024; // 10 MB
+
+// Multipart image uploads are kept in memory; MediaService resizes them and
+// only the renditions reach storage.
+const imageUploader = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: MAX_IMAGE_BYTES
+    },
+    fileFilter: (req, file, callback) => {
+        if (!IMAGE_MIME_TYPES.includes(file.mimetype)) {
+            const error = new Error(`"${file.originalname}" must be a JPEG, PNG, WebP, GIF or AVIF image`);
+            error.code = 'UNSUPPORTED_IMAGE_TYPE';
+            return callback(error);
+        }
+        callback(null, true);
+    }
+});
+
+// Accept up to maxCount images in the given form field, reporting multer
+// errors in the API's error format instead of passing them to the default
+// error handler
+const uploadImages = (field, maxCount) => {
+    const handler = imageUploader.array(field, maxCount);
+
+    return (req, res, next) => {
+        handler(req, res, (error) => {
+            if (!error) {
+                if (!req.files || req.files.length === 0) {
+                    return res.status(400).json({
+                        error: `At least one image is required in the "${field}" field`,
+                        code: 'NO_FILES_UPLOADED',
+                        timestamp: new Date().toISOString(),
+                        correlationId: req.correlationId
+                    });
+                }
+                return next();
+            }
+
+            const message = error.code === 'LIMIT_FILE_SIZE' ? `Images must be smaller than ${MAX_IMAGE_BYTES / (1024 * 1024)} MB` :
+                error.code === 'LIMIT_UNEXPECTED_FILE' ? `Upload at most ${maxCount} images in the "${field}" field` :
+                    error.message;
+            const invalid = error instanceof multer.MulterError || error.code === 'UNSUPPORTED_IMAGE_TYPE';
+
+            res.status(invalid ? 400 : 500).json({
+                error: message,
+                code: 'INVALID_UPLOAD',
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        });
+    };
+};
+
+module.exports = { uploadImages };
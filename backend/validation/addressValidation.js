@@ -0,0 +1,188 @@
+const Joi = require('joi');
+const { resolveLocation } = require('../data/bangladeshLocations');
+
+// Replaces division/district/thana with their canonical spelling, rejecting
+// combinations that do not exist in the Bangladesh location data
+const validateLocation = (value, helpers) => {
+    if (value.division === undefined) {
+        return value;
+    }
+
+    const location = resolveLocation(value.division, value.district, value.thana);
+    if (!location) {
+        return helpers.error('address.location');
+    }
+
+    return { ...value, ...location };
+};
+
+const addressFields = {
+    label: Joi.string()
+        .max(50)
+        .optional()
+        .allow('')
+        .messages({
+            'string.max': 'Label must be less than 50 characters'
+        }),
+
+    firstName: Joi.string()
+        .min(1)
+        .max(50)
+        .messages({
+            'string.min': 'First name is required',
+            'string.max': 'First name must be less than 50 characters',
+            'any.required': 'First name is required'
+        }),
+
+    lastName: Joi.string()
+        .min(1)
+        .max(50)
+        .messages({
+            'string.min': 'Last name is required',
+            'string.max': 'Last name must be less than 50 characters',
+            'any.required': 'Last name is required'
+        }),
+
+    phone: Joi.string()
+        .pattern(/^(\+88)?01[3-9]\d{8}$/)
+        .messages({
+            'string.pattern.base': 'Please provide a valid Bangladeshi phone number (e.g., 01712345678 or +8801712345678)',
+            'any.required': 'Phone number is required'
+        }),
+
+    addressLine1: Joi.string()
+        .min(1)
+        .max(255)
+        .messages({
+            'string.min': 'Address line 1 is required',
+            'string.max': 'Address line 1 must be less than 255 characters',
+            'any.required': 'Address line 1 is required'
+        }),
+
+    addressLine2: Joi.string()
+        .max(255)
+        .optional()
+        .allow('')
+        .messages({
+            'string.max': 'Address line 2 must be less than 255 characters'
+        }),
+
+    division: Joi.string()
+        .max(50)
+        .messages({
+            'any.required': 'Division is required'
+        }),
+
+    district: Joi.string()
+        .max(50)
+        .messages({
+            'any.required': 'District is required'
+        }),
+
+    thana: Joi.string()
+        .max(100)
+        .messages({
+            'any.required': 'Thana is required'
+        }),
+
+    postalCode: Joi.string()
+        .pattern(/^\d{4}$/)
+        .optional()
+        .allow('')
+        .messages({
+            'string.pattern.base': 'Postal code must be 4 digits'
+        }),
+
+    isDefaultShipping: Joi.boolean()
+        .optional()
+        .messages({
+            'boolean.base': 'Default shipping flag must be true or false'
+        }),
+
+    isDefaultBilling: Joi.boolean()
+        .optional()
+        .messages({
+            'boolean.base': 'Default billing flag must be true or false'
+        })
+};
+
+const locationMessages = {
+    'address.location': 'Division, district and thana do not match a known Bangladesh location'
+};
+
+// Create address validation schema
+const createAddressSchema = Joi.object({
+    ...addressFields,
+    firstName: addressFields.firstName.required(),
+    lastName: addressFields.lastName.required(),
+    phone: addressFields.phone.required(),
+    addressLine1: addressFields.addressLine1.required(),
+    division: addressFields.division.required(),
+    district: addressFields.district.required(),
+    thana: addressFields.thana.required()
+}).custom(validateLocation).messages(locationMessages);
+
+// Update address validation schema (location fields must change together)
+const updateAddressSchema = Joi.object(addressFields)
+    .and('division', 'district', 'thana')
+    .min(1)
+    .custom(validateLocation)
+    .messages({
+        ...locationMessages,
+        'object.and': 'Division, district and thana must be updated together',
+        'object.min': 'At least one field must be provided for update'
+    });
+
+// Set default address validation schema
+const setDefaultAddressSchema = Joi.object({
+    type: Joi.string()
+        .valid('shipping', 'billing')
+        .required()
+        .messages({
+            'any.only': 'Default type must be either shipping or billing',
+            'any.required': 'Default type is required'
+        })
+});
+
+// Validation middleware factory
+const validate = (schema) => {
+    return (req, res, next) => {
+        const dataToValidate = req.method === 'GET' ? req.query : req.body;
+
+        const { error, value } = schema.validate(dataToValidate, {
+            abortEarly: false,
+            stripUnknown: true,
+            convert: true
+        });
+
+        if (error) {
+            const errors = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                code: 'VALIDATION_ERROR',
+                details: errors,
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+
+        if (req.method === 'GET') {
+            req.validatedQuery = value;
+        } else {
+            req.validatedData = value;
+        }
+
+        next();
+    };
+};
+
+module.exports = {
+    createAddressSchema,
+    updateAddressSchema,
+    setDefaultAddressSchema,
+    validate
+};
@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const { getDivisions } = require('../data/bangladeshLocations');
+const { COURIER_NAMES } = require('../services/couriers');
 
 // User query validation schema (for admin user management)
 const userQuerySchema = Joi.object({
@@ -93,10 +95,10 @@ const adminOrderQuerySchema = Joi.object({
         }),
 
     status: Joi.string()
-        .valid('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled')
+        .valid('pending', 'confirmed', 'processing', 'partially_shipped', 'shipped', 'delivered', 'cancelled')
         .optional()
         .messages({
-            'any.only': 'Status must be one of: pending, confirmed, processing, shipped, delivered, cancelled'
+            'any.only': 'Status must be one of: pending, confirmed, processing, partially_shipped, shipped, delivered, cancelled'
         }),
 
     paymentStatus: Joi.string()
@@ -128,11 +130,21 @@ const adminOrderQuerySchema = Joi.object({
 // Update order status validation schema
 const updateOrderStatusSchema = Joi.object({
     status: Joi.string()
-        .valid('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled')
+        .valid('pending', 'confirmed', 'processing', 'partially_shipped', 'shipped', 'delivered', 'cancelled')
         .required()
         .messages({
-            'any.only': 'Status must be one of: pending, confirmed, processing, shipped, delivered, cancelled',
+            'any.only': 'Status must be one of: pending, confirmed, processing, partially_shipped, shipped, delivered, cancelled',
             'any.required': 'Status is required'
+        }),
+
+    // Kept in the order's status history
+    reason: Joi.string()
+        .trim()
+        .max(500)
+        .allow('')
+        .optional()
+        .messages({
+            'string.max': 'Reason must be less than 500 characters'
         })
 });
 
@@ -255,6 +267,626 @@ const reportQuerySchema = Joi.object({
         })
 });
 
+// COD fee rule validation schema; leaving division out edits the default rule
+const codRuleSchema = Joi.object({
+    division: Joi.string()
+        .valid(...getDivisions())
+        .allow(null)
+        .optional()
+        .default(null)
+        .messages({
+            'any.only': 'Division must be a valid Bangladesh division'
+        }),
+
+    isEnabled: Joi.boolean()
+        .optional()
+        .default(true),
+
+    feeFlat: Joi.number()
+        .min(0)
+        .precision(2)
+        .optional()
+        .default(0)
+        .messages({
+            'number.min': 'Flat fee cannot be negative'
+        }),
+
+    feePercent: Joi.number()
+        .min(0)
+        .max(100)
+        .precision(2)
+        .optional()
+        .default(0)
+        .messages({
+            'number.min': 'Fee percentage cannot be negative',
+            'number.max': 'Fee percentage cannot exceed 100'
+        }),
+
+    feeMin: Joi.number()
+        .min(0)
+        .precision(2)
+        .allow(null)
+        .optional()
+        .default(null)
+        .messages({
+            'number.min': 'Minimum fee cannot be negative'
+        }),
+
+    feeMax: Joi.number()
+        .min(Joi.ref('feeMin'))
+        .precision(2)
+        .allow(null)
+        .optional()
+        .default(null)
+        .messages({
+            'number.min': 'Maximum fee cannot be less than the minimum fee'
+        }),
+
+    maxOrderAmount: Joi.number()
+        .min(0)
+        .precision(2)
+        .allow(null)
+        .optional()
+        .default(null)
+        .messages({
+            'number.min': 'Maximum order amount cannot be negative'
+        })
+});
+
+// Per-customer COD limit; null falls back to the regional limit
+const updateUserCodLimitSchema = Joi.object({
+    codLimit: Joi.number()
+        .min(0)
+        .precision(2)
+        .allow(null)
+        .required()
+        .messages({
+            'number.min': 'COD limit cannot be negative',
+            'any.required': 'COD limit is required (use null to clear it)'
+        })
+});
+
+// Courier remittance import validation schema
+const codRemittanceSchema = Joi.object({
+    courier: Joi.string()
+        .trim()
+        .min(1)
+        .max(50)
+        .required()
+        .messages({
+            'string.empty': 'Courier is required',
+            'any.required': 'Courier is required'
+        }),
+
+    reference: Joi.string()
+        .trim()
+        .max(100)
+        .allow('', null)
+        .optional(),
+
+    fileName: Joi.string()
+        .max(255)
+        .allow('', null)
+        .optional(),
+
+    // Sent inside the JSON body, so bounded by the JSON parser's 100kb limit
+    csv: Joi.string()
+        .min(1)
+        .max(100 * 1024)
+        .required()
+        .messages({
+            'string.empty': 'Remittance file is empty',
+            'string.max': 'Remittance file must be smaller than 100KB',
+            'any.required': 'Remittance file is required'
+        }),
+
+    dryRun: Joi.boolean()
+        .optional()
+        .default(false)
+});
+
+// COD remittance history query validation schema
+const codRemittanceQuerySchema = Joi.object({
+    page: Joi.number()
+        .integer()
+        .min(1)
+        .optional()
+        .default(1),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(100)
+        .optional()
+        .default(20)
+});
+
+// Shipping zone area: a whole district, or one thana within it
+const shippingZoneAreaSchema = Joi.object({
+    district: Joi.string().trim().min(1).max(100).required(),
+    thana: Joi.string().trim().max(100).allow(null, '').optional()
+});
+
+// Shipping zone validation schemas
+const createShippingZoneSchema = Joi.object({
+    code: Joi.string()
+        .pattern(/^[a-z0-9_]+$/)
+        .max(50)
+        .required()
+        .messages({
+            'string.pattern.base': 'Zone code may only contain lowercase letters, numbers and underscores',
+            'any.required': 'Zone code is required'
+        }),
+
+    name: Joi.string()
+        .trim()
+        .min(1)
+        .max(100)
+        .required()
+        .messages({
+            'any.required': 'Zone name is required'
+        }),
+
+    description: Joi.string().max(500).allow('', null).optional(),
+    isActive: Joi.boolean().optional().default(true),
+    sortOrder: Joi.number().integer().min(0).optional().default(0),
+
+    areas: Joi.array()
+        .items(shippingZoneAreaSchema)
+        .max(500)
+        .optional()
+        .default([])
+});
+
+const updateShippingZoneSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    description: Joi.string().max(500).allow('', null).optional(),
+    isActive: Joi.boolean().optional(),
+    sortOrder: Joi.number().integer().min(0).optional(),
+    areas: Joi.array().items(shippingZoneAreaSchema).max(500).optional()
+}).min(1).messages({
+    'object.min': 'At least one field is required'
+});
+
+// Shipping rate tier validation schemas; null max bounds are open-ended
+const shippingRateFields = {
+    minWeightGrams: Joi.number().integer().min(0),
+    maxWeightGrams: Joi.number().integer().positive().allow(null),
+    minOrderAmount: Joi.number().min(0).precision(2),
+    maxOrderAmount: Joi.number().positive().precision(2).allow(null),
+    baseRate: Joi.number().min(0).precision(2),
+    perKgRate: Joi.number().min(0).precision(2),
+    isActive: Joi.boolean()
+};
+
+const createShippingRateSchema = Joi.object({
+    ...shippingRateFields,
+    baseRate: shippingRateFields.baseRate.required().messages({
+        'any.required': 'Base rate is required'
+    })
+});
+
+const updateShippingRateSchema = Joi.object(shippingRateFields).min(1).messages({
+    'object.min': 'At least one field is required'
+});
+
+// VAT classes; the rate is a percentage
+const createTaxClassSchema = Joi.object({
+    code: Joi.string()
+        .pattern(/^[a-z0-9_]+$/)
+        .max(50)
+        .required()
+        .messages({
+            'string.pattern.base': 'Tax class code may only contain lowercase letters, numbers and underscores',
+            'any.required': 'Tax class code is required'
+        }),
+
+    name: Joi.string()
+        .trim()
+        .min(1)
+        .max(100)
+        .required()
+        .messages({
+            'any.required': 'Tax class name is required'
+        }),
+
+    description: Joi.string().max(500).allow('', null).optional(),
+
+    rate: Joi.number()
+        .min(0)
+        .less(100)
+        .precision(2)
+        .required()
+        .messages({
+            'number.min': 'Tax rate cannot be negative',
+            'number.less': 'Tax rate must be less than 100%',
+            'any.required': 'Tax rate is required'
+        }),
+
+    isDefault: Joi.boolean().optional().default(false),
+    isActive: Joi.boolean().optional().default(true)
+});
+
+const updateTaxClassSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    description: Joi.string().max(500).allow('', null).optional(),
+    rate: Joi.number().min(0).less(100).precision(2).optional().messages({
+        'number.min': 'Tax rate cannot be negative',
+        'number.less': 'Tax rate must be less than 100%'
+    }),
+    isDefault: Joi.boolean().valid(true).optional().messages({
+        'any.only': 'Make another class the default instead'
+    }),
+    isActive: Joi.boolean().optional()
+}).min(1).messages({
+    'object.min': 'At least one field is required'
+});
+
+// Warehouse validation schemas. Orders ship from the warehouse in the
+// customer's district first, then those serving their division.
+const warehouseDivision = Joi.string()
+    .valid(...getDivisions())
+    .messages({
+        'any.only': 'Division must be a valid Bangladesh division',
+        'any.required': 'Division is required'
+    });
+
+const serviceDivisions = Joi.array()
+    .items(Joi.string().valid(...getDivisions()))
+    .unique()
+    .messages({
+        'any.only': 'Service divisions must be valid Bangladesh divisions',
+        'array.unique': 'Each division can only be listed once'
+    });
+
+const createWarehouseSchema = Joi.object({
+    code: Joi.string()
+        .pattern(/^[A-Z0-9_]+$/)
+        .max(20)
+        .required()
+        .messages({
+            'string.pattern.base': 'Warehouse code may only contain uppercase letters, numbers and underscores',
+            'any.required': 'Warehouse code is required'
+        }),
+
+    name: Joi.string()
+        .trim()
+        .min(1)
+        .max(100)
+        .required()
+        .messages({
+            'any.required': 'Warehouse name is required'
+        }),
+
+    address: Joi.string().max(500).allow('', null).optional(),
+    division: warehouseDivision.required(),
+    district: Joi.string().trim().min(1).max(100).required().messages({
+        'any.required': 'District is required'
+    }),
+    serviceDivisions: serviceDivisions.optional().default([]),
+    isDefault: Joi.boolean().optional().default(false),
+    isActive: Joi.boolean().optional().default(true),
+    sortOrder: Joi.number().integer().min(0).optional().default(0)
+});
+
+const updateWarehouseSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(100).optional(),
+    address: Joi.string().max(500).allow('', null).optional(),
+    division: warehouseDivision.optional(),
+    district: Joi.string().trim().min(1).max(100).optional(),
+    serviceDivisions: serviceDivisions.optional(),
+    isDefault: Joi.boolean().valid(true).optional().messages({
+        'any.only': 'Make another warehouse the default instead'
+    }),
+    isActive: Joi.boolean().optional(),
+    sortOrder: Joi.number().integer().min(0).optional()
+}).min(1).messages({
+    'object.min': 'At least one field is required'
+});
+
+// Stock transfers between warehouses
+const createStockTransferSchema = Joi.object({
+    fromWarehouseId: Joi.number().integer().positive().required().messages({
+        'any.required': 'Source warehouse is required'
+    }),
+
+    toWarehouseId: Joi.number().integer().positive().invalid(Joi.ref('fromWarehouseId')).required().messages({
+        'any.invalid': 'Stock must be transferred to a different warehouse',
+        'any.required': 'Destination warehouse is required'
+    }),
+
+    items: Joi.array()
+        .items(Joi.object({
+            productId: Joi.number().integer().positive().required(),
+            variantId: Joi.number().integer().positive().allow(null).optional(),
+            quantity: Joi.number().integer().min(1).required().messages({
+                'number.min': 'Quantity must be at least 1'
+            })
+        }))
+        .min(1)
+        .max(100)
+        .unique((a, b) => a.productId === b.productId && (a.variantId || null) === (b.variantId || null))
+        .required()
+        .messages({
+            'array.min': 'Add at least one item to transfer',
+            'array.max': 'A transfer can have at most 100 items',
+            'array.unique': 'Each product or variant can only be listed once',
+            'any.required': 'Items are required'
+        }),
+
+    note: Joi.string().max(500).allow('', null).optional()
+});
+
+const stockTransferQuerySchema = Joi.object({
+    page: Joi.number()
+        .integer()
+        .min(1)
+        .optional()
+        .default(1),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(100)
+        .optional()
+        .default(20),
+
+    status: Joi.string()
+        .valid('in_transit', 'received', 'cancelled')
+        .optional(),
+
+    warehouseId: Joi.number()
+        .integer()
+        .positive()
+        .optional()
+});
+
+// A product's inventory ledger
+const inventoryMovementQuerySchema = Joi.object({
+    page: Joi.number()
+        .integer()
+        .min(1)
+        .optional()
+        .default(1),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(100)
+        .optional()
+        .default(50),
+
+    kind: Joi.string()
+        .valid('opening_balance', 'sale', 'cancellation', 'return', 'adjustment',
+            'damage', 'stock_count', 'transfer_out', 'transfer_in', 'purchase_receipt')
+        .optional(),
+
+    warehouseId: Joi.number()
+        .integer()
+        .positive()
+        .optional(),
+
+    variantId: Joi.number()
+        .integer()
+        .positive()
+        .optional()
+});
+
+// Suppliers and restocking
+const createSupplierSchema = Joi.object({
+    name: Joi.string()
+        .trim()
+        .min(1)
+        .max(200)
+        .required()
+        .messages({
+            'any.required': 'Supplier name is required'
+        }),
+
+    contactName: Joi.string().trim().max(100).allow('', null).optional(),
+    email: Joi.string().email().max(255).allow('', null).optional(),
+    phone: Joi.string().trim().max(30).allow('', null).optional(),
+    address: Joi.string().max(500).allow('', null).optional(),
+    leadTimeDays: Joi.number().integer().min(0).max(365).optional().default(7),
+    notes: Joi.string().max(1000).allow('', null).optional(),
+    isActive: Joi.boolean().optional().default(true)
+});
+
+const updateSupplierSchema = Joi.object({
+    name: Joi.string().trim().min(1).max(200).optional(),
+    contactName: Joi.string().trim().max(100).allow('', null).optional(),
+    email: Joi.string().email().max(255).allow('', null).optional(),
+    phone: Joi.string().trim().max(30).allow('', null).optional(),
+    address: Joi.string().max(500).allow('', null).optional(),
+    leadTimeDays: Joi.number().integer().min(0).max(365).optional(),
+    notes: Joi.string().max(1000).allow('', null).optional(),
+    isActive: Joi.boolean().optional()
+}).min(1).messages({
+    'object.min': 'At least one field is required'
+});
+
+// Stock at or below reorderPoint drafts an order for reorderQuantity units
+const reorderRuleSchema = Joi.object({
+    supplierId: Joi.number().integer().positive().required().messages({
+        'any.required': 'Supplier is required'
+    }),
+
+    reorderPoint: Joi.number().integer().min(0).max(100000).required().messages({
+        'any.required': 'Reorder point is required'
+    }),
+
+    reorderQuantity: Joi.number().integer().min(1).max(100000).required().messages({
+        'number.min': 'Reorder quantity must be at least 1',
+        'any.required': 'Reorder quantity is required'
+    })
+});
+
+const purchaseOrderItems = Joi.array()
+    .items(Joi.object({
+        productId: Joi.number().integer().positive().required(),
+        variantId: Joi.number().integer().positive().allow(null).optional(),
+        quantity: Joi.number().integer().min(1).max(100000).required().messages({
+            'number.min': 'Quantity must be at least 1'
+        }),
+        unitCost: Joi.number().precision(2).min(0).optional().default(0)
+    }))
+    .min(1)
+    .max(200)
+    .unique((a, b) => a.productId === b.productId && (a.variantId || null) === (b.variantId || null))
+    .messages({
+        'array.min': 'Add at least one item to order',
+        'array.max': 'A purchase order can have at most 200 items',
+        'array.unique': 'Each product or variant can only be listed once'
+    });
+
+const createPurchaseOrderSchema = Joi.object({
+    supplierId: Joi.number().integer().positive().required().messages({
+        'any.required': 'Supplier is required'
+    }),
+
+    warehouseId: Joi.number().integer().positive().allow(null).optional(),
+    expectedAt: Joi.date().iso().allow(null).optional(),
+    note: Joi.string().max(1000).allow('', null).optional(),
+    items: purchaseOrderItems.required().messages({
+        'any.required': 'Items are required'
+    })
+});
+
+const updatePurchaseOrderSchema = Joi.object({
+    warehouseId: Joi.number().integer().positive().optional(),
+    expectedAt: Joi.date().iso().allow(null).optional(),
+    note: Joi.string().max(1000).allow('', null).optional(),
+    items: purchaseOrderItems.optional()
+}).min(1).messages({
+    'object.min': 'At least one field is required'
+});
+
+const receivePurchaseOrderSchema = Joi.object({
+    items: Joi.array()
+        .items(Joi.object({
+            itemId: Joi.number().integer().positive().required(),
+            quantity: Joi.number().integer().min(1).required().messages({
+                'number.min': 'Quantity must be at least 1'
+            })
+        }))
+        .min(1)
+        .unique('itemId')
+        .required()
+        .messages({
+            'array.min': 'Receive at least one item',
+            'array.unique': 'Each item can only be listed once',
+            'any.required': 'Items are required'
+        }),
+
+    note: Joi.string().max(500).allow('', null).optional()
+});
+
+const purchaseOrderQuerySchema = Joi.object({
+    page: Joi.number()
+        .integer()
+        .min(1)
+        .optional()
+        .default(1),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(100)
+        .optional()
+        .default(20),
+
+    status: Joi.string()
+        .valid('draft', 'sent', 'partially_received', 'received', 'cancelled')
+        .optional(),
+
+    supplierId: Joi.number()
+        .integer()
+        .positive()
+        .optional()
+});
+
+const purchaseOrderExportSchema = Joi.object({
+    format: Joi.string()
+        .valid('pdf', 'csv')
+        .optional()
+        .default('pdf')
+});
+
+// Courier consignment booking for an order
+const createShipmentSchema = Joi.object({
+    courier: Joi.string()
+        .valid(...COURIER_NAMES)
+        .required()
+        .messages({
+            'any.only': `Courier must be one of: ${COURIER_NAMES.join(', ')}`,
+            'any.required': 'Courier is required'
+        }),
+
+    weightGrams: Joi.number()
+        .integer()
+        .positive()
+        .max(100000)
+        .optional()
+        .messages({
+            'number.integer': 'Parcel weight must be a whole number of grams',
+            'number.max': 'Parcel weight cannot exceed 100 kg'
+        }),
+
+    note: Joi.string()
+        .trim()
+        .max(500)
+        .allow('')
+        .optional()
+        .messages({
+            'string.max': 'Courier note must be less than 500 characters'
+        }),
+
+    // Units to put in this parcel; without a list everything not yet shipped goes
+    items: Joi.array()
+        .items(Joi.object({
+            orderItemId: Joi.number()
+                .integer()
+                .positive()
+                .required()
+                .messages({
+                    'number.base': 'Order item ID must be a number',
+                    'any.required': 'Order item ID is required'
+                }),
+            quantity: Joi.number()
+                .integer()
+                .min(1)
+                .required()
+                .messages({
+                    'number.base': 'Quantity must be a number',
+                    'number.min': 'Quantity must be at least 1',
+                    'any.required': 'Quantity is required'
+                })
+        }))
+        .min(1)
+        .unique('orderItemId')
+        .optional()
+        .messages({
+            'array.min': 'Select at least one item to ship',
+            'array.unique': 'Each order item can only be listed once'
+        })
+});
+
+// Batch of orders to print a pick list and packing slips for
+const packingSlipsSchema = Joi.object({
+    orderIds: Joi.array()
+        .items(Joi.number().integer().positive())
+        .min(1)
+        .max(100)
+        .unique()
+        .required()
+        .messages({
+            'array.min': 'Select at least one order',
+            'array.max': 'Packing slips can be printed for at most 100 orders at a time',
+            'array.unique': 'Each order can only be listed once',
+            'any.required': 'Order IDs are required'
+        })
+});
+
 // Validation middleware factory
 const validate = (schema) => {
     return (req, res, next) => {
@@ -303,5 +935,30 @@ module.exports = {
     systemConfigSchema,
     bulkOperationSchema,
     reportQuerySchema,
+    codRuleSchema,
+    updateUserCodLimitSchema,
+    codRemittanceSchema,
+    codRemittanceQuerySchema,
+    createShippingZoneSchema,
+    updateShippingZoneSchema,
+    createShippingRateSchema,
+    updateShippingRateSchema,
+    createTaxClassSchema,
+    updateTaxClassSchema,
+    createWarehouseSchema,
+    updateWarehouseSchema,
+    createStockTransferSchema,
+    stockTransferQuerySchema,
+    inventoryMovementQuerySchema,
+    createSupplierSchema,
+    updateSupplierSchema,
+    reorderRuleSchema,
+    createPurchaseOrderSchema,
+    updatePurchaseOrderSchema,
+    receivePurchaseOrderSchema,
+    purchaseOrderQuerySchema,
+    purchaseOrderExportSchema,
+    createShipmentSchema,
+    packingSlipsSchema,
     validate
 };
\ No newline at end of file
@@ -1,4 +1,6 @@
 const Joi = require('joi');
+const { createAddressSchema } = require('./addressValidation');
+const { SUPPORTED_LOCALES } = require('../locale');
 
 // Add to cart validation schema
 const addToCartSchema = Joi.object({
@@ -12,6 +14,16 @@ const addToCartSchema = Joi.object({
             'any.required': 'Product ID is required'
         }),
 
+    variantId: Joi.number()
+        .integer()
+        .positive()
+        .optional()
+        .allow(null)
+        .messages({
+            'number.integer': 'Variant ID must be a whole number',
+            'number.positive': 'Variant ID must be a positive number'
+        }),
+
     quantity: Joi.number()
         .integer()
         .min(1)
@@ -126,9 +138,16 @@ const createOrderSchema = Joi.object({
             .messages({
                 'string.pattern.base': 'Please provide a valid Bangladeshi phone number (e.g., 01712345678 or +8801712345678)'
             })
-    }).required().messages({
-        'any.required': 'Shipping address is required'
-    }),
+    }).optional(),
+
+    shippingAddressId: Joi.number()
+        .integer()
+        .positive()
+        .optional()
+        .messages({
+            'number.integer': 'Shipping address ID must be a whole number',
+            'number.positive': 'Shipping address ID must be a positive number'
+        }),
 
     billingAddress: Joi.object({
         firstName: Joi.string()
@@ -216,6 +235,15 @@ const createOrderSchema = Joi.object({
             })
     }).optional(),
 
+    billingAddressId: Joi.number()
+        .integer()
+        .positive()
+        .optional()
+        .messages({
+            'number.integer': 'Billing address ID must be a whole number',
+            'number.positive': 'Billing address ID must be a positive number'
+        }),
+
     paymentMethod: Joi.string()
         .valid('cash_on_delivery', 'credit_card', 'debit_card', 'mobile_banking', 'bank_transfer')
         .required()
@@ -224,6 +252,16 @@ const createOrderSchema = Joi.object({
             'any.required': 'Payment method is required'
         }),
 
+    couponCode: Joi.string()
+        .trim()
+        .min(3)
+        .max(50)
+        .optional()
+        .messages({
+            'string.min': 'Coupon code must be at least 3 characters',
+            'string.max': 'Coupon code must be less than 50 characters'
+        }),
+
     notes: Joi.string()
         .max(500)
         .optional()
@@ -231,6 +269,64 @@ const createOrderSchema = Joi.object({
         .messages({
             'string.max': 'Notes must be less than 500 characters'
         })
+}).xor('shippingAddress', 'shippingAddressId')
+    .oxor('billingAddress', 'billingAddressId')
+    .messages({
+        'object.missing': 'Shipping address is required',
+        'object.xor': 'Provide either a shipping address or a saved shipping address ID, not both',
+        'object.oxor': 'Provide either a billing address or a saved billing address ID, not both'
+    });
+
+// Guest checkout validation schema (no account, address entered inline)
+const guestCheckoutSchema = Joi.object({
+    email: Joi.string()
+        .email()
+        .max(255)
+        .required()
+        .messages({
+            'string.email': 'Please provide a valid email address',
+            'any.required': 'Email is required'
+        }),
+
+    shippingAddress: createAddressSchema.required().messages({
+        'any.required': 'Shipping address is required'
+    }),
+
+    billingAddress: createAddressSchema.optional(),
+
+    paymentMethod: Joi.string()
+        .valid('cash_on_delivery', 'credit_card', 'debit_card', 'mobile_banking', 'bank_transfer')
+        .required()
+        .messages({
+            'any.only': 'Payment method must be one of: cash_on_delivery, credit_card, debit_card, mobile_banking, bank_transfer',
+            'any.required': 'Payment method is required'
+        }),
+
+    couponCode: Joi.string()
+        .trim()
+        .min(3)
+        .max(50)
+        .optional()
+        .messages({
+            'string.min': 'Coupon code must be at least 3 characters',
+            'string.max': 'Coupon code must be less than 50 characters'
+        }),
+
+    notes: Joi.string()
+        .max(500)
+        .optional()
+        .allow('')
+        .messages({
+            'string.max': 'Notes must be less than 500 characters'
+        }),
+
+    // Language for the order emails; defaults to the browser's language
+    locale: Joi.string()
+        .valid(...SUPPORTED_LOCALES)
+        .optional()
+        .messages({
+            'any.only': `Language must be one of: ${SUPPORTED_LOCALES.join(', ')}`
+        })
 });
 
 // Order query validation schema
@@ -258,10 +354,10 @@ const orderQuerySchema = Joi.object({
         }),
 
     status: Joi.string()
-        .valid('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled')
+        .valid('pending', 'confirmed', 'processing', 'partially_shipped', 'shipped', 'delivered', 'cancelled')
         .optional()
         .messages({
-            'any.only': 'Status must be one of: pending, confirmed, processing, shipped, delivered, cancelled'
+            'any.only': 'Status must be one of: pending, confirmed, processing, partially_shipped, shipped, delivered, cancelled'
         }),
 
     paymentStatus: Joi.string()
@@ -281,13 +377,26 @@ const orderQuerySchema = Joi.object({
         })
 });
 
+// Cash on delivery quote validation schema
+const codQuoteQuerySchema = Joi.object({
+    division: Joi.string()
+        .trim()
+        .min(1)
+        .max(100)
+        .required()
+        .messages({
+            'string.empty': 'Division is required',
+            'any.required': 'Division is required'
+        })
+});
+
 // Order status update validation schema
 const updateOrderStatusSchema = Joi.object({
     status: Joi.string()
-        .valid('pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled')
+        .valid('pending', 'confirmed', 'processing', 'partially_shipped', 'shipped', 'delivered', 'cancelled')
         .required()
         .messages({
-            'any.only': 'Status must be one of: pending, confirmed, processing, shipped, delivered, cancelled',
+            'any.only': 'Status must be one of: pending, confirmed, processing, partially_shipped, shipped, delivered, cancelled',
             'any.required': 'Status is required'
         })
 });
@@ -356,9 +465,11 @@ module.exports = {
     addToCartSchema,
     updateCartItemSchema,
     createOrderSchema,
+    guestCheckoutSchema,
     orderQuerySchema,
     updateOrderStatusSchema,
     updatePaymentStatusSchema,
     cancelOrderSchema,
+    codQuoteQuerySchema,
     validate
 };
\ No newline at end of file
@@ -0,0 +1,77 @@
+const Joi = require('joi');
+
+const altText = Joi.string()
+    .trim()
+    .max(200)
+    .allow('')
+    .messages({
+        'string.max': 'Alt text must be less than 200 characters'
+    });
+
+// Text fields sent alongside multipart image uploads
+const imageUploadSchema = Joi.object({
+    altText: altText.optional()
+});
+
+const productImageUpdateSchema = Joi.object({
+    altText: altText.optional(),
+
+    isPrimary: Joi.boolean()
+        .valid(true)
+        .optional()
+        .messages({
+            'any.only': 'Make another image primary instead'
+        })
+}).min(1).messages({
+    'object.min': 'Provide altText or isPrimary'
+});
+
+const productImageOrderSchema = Joi.object({
+    imageIds: Joi.array()
+        .items(Joi.number().integer().positive())
+        .min(1)
+        .unique()
+        .required()
+        .messages({
+            'array.min': 'At least one image ID is required',
+            'array.unique': 'Each image can only appear once',
+            'any.required': 'Image IDs are required'
+        })
+});
+
+// Validation middleware; runs after the upload middleware for multipart
+// requests, once multer has filled req.body with the text fields
+const validate = (schema) => {
+    return (req, res, next) => {
+        const { error, value } = schema.validate(req.body || {}, {
+            abortEarly: false,
+            stripUnknown: true,
+            convert: true
+        });
+
+        if (error) {
+            const errors = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                code: 'VALIDATION_ERROR',
+                details: errors,
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+
+        req.validatedData = value;
+        next();
+    };
+};
+
+module.exports = {
+    validate,
+    imageUploadSchema,
+    productImageUpdateSchema,
+    productImageOrderSchema
+};
@@ -1,4 +1,5 @@
 const Joi = require('joi');
+const { PROVIDER_NAMES } = require('../services/payments');
 
 // Create payment intent validation schema
 const createPaymentIntentSchema = Joi.object({
@@ -15,7 +16,35 @@ const createPaymentIntentSchema = Joi.object({
     currency: Joi.string()
         .valid('usd', 'eur', 'gbp', 'bdt')
         .optional()
-        .default('usd')
+        .default('bdt')
+        .messages({
+            'any.only': 'Currency must be one of: usd, eur, gbp, bdt'
+        }),
+
+    metadata: Joi.object()
+        .optional()
+        .default({})
+        .messages({
+            'object.base': 'Metadata must be an object'
+        })
+});
+
+// Initiate payment with a specific provider
+const initiatePaymentSchema = Joi.object({
+    orderId: Joi.number()
+        .integer()
+        .positive()
+        .required()
+        .messages({
+            'number.integer': 'Order ID must be a whole number',
+            'number.positive': 'Order ID must be a positive number',
+            'any.required': 'Order ID is required'
+        }),
+
+    currency: Joi.string()
+        .valid('usd', 'eur', 'gbp', 'bdt')
+        .optional()
+        .default('bdt')
         .messages({
             'any.only': 'Currency must be one of: usd, eur, gbp, bdt'
         }),
@@ -201,7 +230,9 @@ const enhancedCheckoutSchema = Joi.object({
         postalCode: Joi.string().min(1).max(20).required(),
         country: Joi.string().min(1).max(100).required(),
         phone: Joi.string().pattern(/^(\+88)?01[3-9]\d{8}$/).optional()
-    }).required(),
+    }).optional(),
+
+    shippingAddressId: Joi.number().integer().positive().optional(),
 
     billingAddress: Joi.object({
         firstName: Joi.string().min(1).max(50).required(),
@@ -215,6 +246,8 @@ const enhancedCheckoutSchema = Joi.object({
         phone: Joi.string().pattern(/^(\+88)?01[3-9]\d{8}$/).optional()
     }).optional(),
 
+    billingAddressId: Joi.number().integer().positive().optional(),
+
     // Payment details
     paymentMethod: Joi.string()
         .valid('stripe_card', 'cash_on_delivery', 'mobile_banking', 'bank_transfer')
@@ -224,6 +257,19 @@ const enhancedCheckoutSchema = Joi.object({
             'any.required': 'Payment method is required'
         }),
 
+    // Gateway for wallet and hosted card payments (required for mobile banking)
+    paymentProvider: Joi.string()
+        .valid(...PROVIDER_NAMES)
+        .when('paymentMethod', {
+            is: 'mobile_banking',
+            then: Joi.required(),
+            otherwise: Joi.optional()
+        })
+        .messages({
+            'any.only': `Payment provider must be one of: ${PROVIDER_NAMES.join(', ')}`,
+            'any.required': 'Payment provider is required for mobile banking payments'
+        }),
+
     // Stripe-specific fields (required when paymentMethod is 'stripe_card')
     paymentMethodId: Joi.string()
         .when('paymentMethod', {
@@ -245,11 +291,21 @@ const enhancedCheckoutSchema = Joi.object({
     currency: Joi.string()
         .valid('usd', 'eur', 'gbp', 'bdt')
         .optional()
-        .default('usd')
+        .default('bdt')
         .messages({
             'any.only': 'Currency must be one of: usd, eur, gbp, bdt'
         }),
 
+    couponCode: Joi.string()
+        .trim()
+        .min(3)
+        .max(50)
+        .optional()
+        .messages({
+            'string.min': 'Coupon code must be at least 3 characters',
+            'string.max': 'Coupon code must be less than 50 characters'
+        }),
+
     notes: Joi.string()
         .max(500)
         .optional()
@@ -257,7 +313,8 @@ const enhancedCheckoutSchema = Joi.object({
         .messages({
             'string.max': 'Notes must be less than 500 characters'
         })
-});
+}).xor('shippingAddress', 'shippingAddressId')
+    .oxor('billingAddress', 'billingAddressId');
 
 // Validation middleware factory
 const validate = (schema) => {
@@ -311,8 +368,23 @@ const validateWebhook = (req, res, next) => {
     next();
 };
 
+// Reject unknown providers in /:provider routes before they reach the controller
+const validateProvider = (req, res, next) => {
+    if (!PROVIDER_NAMES.includes(req.params.provider)) {
+        return res.status(404).json({
+            error: 'Unsupported payment provider',
+            code: 'PROVIDER_NOT_FOUND',
+            timestamp: new Date().toISOString(),
+            correlationId: req.correlationId
+        });
+    }
+
+    next();
+};
+
 module.exports = {
     createPaymentIntentSchema,
+    initiatePaymentSchema,
     confirmPaymentSchema,
     refundPaymentSchema,
     createCustomerSchema,
@@ -320,5 +392,6 @@ module.exports = {
     paymentMethodSchema,
     enhancedCheckoutSchema,
     validate,
-    validateWebhook
+    validateWebhook,
+    validateProvider
 };
\ No newline at end of file
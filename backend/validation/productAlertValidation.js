@@ -0,0 +1,102 @@
+const Joi = require('joi');
+
+// Back-in-stock or price-drop alert validation schema
+const createAlertSchema = Joi.object({
+    productId: Joi.number()
+        .integer()
+        .positive()
+        .required()
+        .messages({
+            'number.integer': 'Product ID must be a whole number',
+            'number.positive': 'Product ID must be a positive number',
+            'any.required': 'Product ID is required'
+        }),
+
+    variantId: Joi.number()
+        .integer()
+        .positive()
+        .allow(null)
+        .optional()
+        .messages({
+            'number.integer': 'Variant ID must be a whole number',
+            'number.positive': 'Variant ID must be a positive number'
+        }),
+
+    kind: Joi.string()
+        .valid('back_in_stock', 'price_drop')
+        .required()
+        .messages({
+            'any.only': 'Alert must be back_in_stock or price_drop',
+            'any.required': 'Alert kind is required'
+        }),
+
+    targetPrice: Joi.when('kind', {
+        is: 'price_drop',
+        then: Joi.number()
+            .positive()
+            .precision(2)
+            .required()
+            .messages({
+                'number.positive': 'Target price must be a positive number',
+                'any.required': 'Target price is required for price drop alerts'
+            }),
+        otherwise: Joi.forbidden()
+            .messages({
+                'any.unknown': 'Target price only applies to price drop alerts'
+            })
+    })
+});
+
+// Alert list query validation schema
+const alertQuerySchema = Joi.object({
+    productId: Joi.number()
+        .integer()
+        .positive()
+        .optional()
+        .messages({
+            'number.integer': 'Product ID must be a whole number',
+            'number.positive': 'Product ID must be a positive number'
+        })
+});
+
+// Validation middleware factory
+const validate = (schema) => {
+    return (req, res, next) => {
+        const dataToValidate = req.method === 'GET' ? req.query : req.body;
+
+        const { error, value } = schema.validate(dataToValidate, {
+            abortEarly: false,
+            stripUnknown: true,
+            convert: true
+        });
+
+        if (error) {
+            const errors = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                code: 'VALIDATION_ERROR',
+                details: errors,
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+
+        if (req.method === 'GET') {
+            req.validatedQuery = value;
+        } else {
+            req.validatedData = value;
+        }
+
+        next();
+    };
+};
+
+module.exports = {
+    createAlertSchema,
+    alertQuerySchema,
+    validate
+};
@@ -1,5 +1,16 @@
 const Joi = require('joi');
 
+// VAT class for a product or category; null falls back to the next class in line
+const taxClassId = Joi.number()
+    .integer()
+    .positive()
+    .optional()
+    .allow(null)
+    .messages({
+        'number.integer': 'Tax class ID must be a whole number',
+        'number.positive': 'Tax class ID must be a positive number'
+    });
+
 // Product creation validation schema
 const createProductSchema = Joi.object({
     name: Joi.string()
@@ -20,6 +31,22 @@ const createProductSchema = Joi.object({
             'string.max': 'Product description must be less than 2000 characters'
         }),
 
+    nameBn: Joi.string()
+        .max(255)
+        .optional()
+        .allow('')
+        .messages({
+            'string.max': 'Product Bangla name must be less than 255 characters'
+        }),
+
+    descriptionBn: Joi.string()
+        .max(2000)
+        .optional()
+        .allow('')
+        .messages({
+            'string.max': 'Product Bangla description must be less than 2000 characters'
+        }),
+
     price: Joi.number()
         .positive()
         .precision(2)
@@ -62,7 +89,60 @@ const createProductSchema = Joi.object({
         .allow('')
         .messages({
             'string.max': 'SKU must be less than 100 characters'
-        })
+        }),
+    weightGrams: Joi.number()
+        .integer()
+        .positive()
+        .max(100000)
+        .optional()
+        .messages({
+            'number.integer': 'Weight must be a whole number of grams',
+            'number.positive': 'Weight must be a positive number',
+            'number.max': 'Weight cannot exceed 100 kg'
+        }),
+
+    brand: Joi.string()
+        .trim()
+        .max(100)
+        .optional()
+        .allow('')
+        .messages({
+            'string.max': 'Brand must be less than 100 characters'
+        }),
+
+    color: Joi.string()
+        .trim()
+        .max(50)
+        .optional()
+        .allow('')
+        .messages({
+            'string.max': 'Colour must be less than 50 characters'
+        }),
+
+    material: Joi.string()
+        .trim()
+        .max(100)
+        .optional()
+        .allow('')
+        .messages({
+            'string.max': 'Material must be less than 100 characters'
+        }),
+
+    // Free-form specifications shown and filtered on as "Name: Value"
+    specs: Joi.object()
+        .pattern(
+            Joi.string().trim().min(1).max(50),
+            Joi.string().trim().min(1).max(100)
+        )
+        .max(30)
+        .optional()
+        .messages({
+            'object.max': 'A product can have at most 30 specifications',
+            'string.min': 'Specification names and values cannot be empty',
+            'string.max': 'Specification names must be less than 50 characters and values less than 100'
+        }),
+
+    taxClassId
 });
 
 // Product update validation schema
@@ -84,6 +164,22 @@ const updateProductSchema = Joi.object({
             'string.max': 'Product description must be less than 2000 characters'
         }),
 
+    nameBn: Joi.string()
+        .max(255)
+        .optional()
+        .allow('')
+        .messages({
+            'string.max': 'Product Bangla name must be less than 255 characters'
+        }),
+
+    descriptionBn: Joi.string()
+        .max(2000)
+        .optional()
+        .allow('')
+        .messages({
+            'string.max': 'Product Bangla description must be less than 2000 characters'
+        }),
+
     price: Joi.number()
         .positive()
         .precision(2)
@@ -126,12 +222,65 @@ const updateProductSchema = Joi.object({
         .messages({
             'string.max': 'SKU must be less than 100 characters'
         }),
+    weightGrams: Joi.number()
+        .integer()
+        .positive()
+        .max(100000)
+        .optional()
+        .messages({
+            'number.integer': 'Weight must be a whole number of grams',
+            'number.positive': 'Weight must be a positive number',
+            'number.max': 'Weight cannot exceed 100 kg'
+        }),
+
+    brand: Joi.string()
+        .trim()
+        .max(100)
+        .optional()
+        .allow('')
+        .messages({
+            'string.max': 'Brand must be less than 100 characters'
+        }),
+
+    color: Joi.string()
+        .trim()
+        .max(50)
+        .optional()
+        .allow('')
+        .messages({
+            'string.max': 'Colour must be less than 50 characters'
+        }),
+
+    material: Joi.string()
+        .trim()
+        .max(100)
+        .optional()
+        .allow('')
+        .messages({
+            'string.max': 'Material must be less than 100 characters'
+        }),
+
+    // Free-form specifications shown and filtered on as "Name: Value"
+    specs: Joi.object()
+        .pattern(
+            Joi.string().trim().min(1).max(50),
+            Joi.string().trim().min(1).max(100)
+        )
+        .max(30)
+        .optional()
+        .messages({
+            'object.max': 'A product can have at most 30 specifications',
+            'string.min': 'Specification names and values cannot be empty',
+            'string.max': 'Specification names must be less than 50 characters and values less than 100'
+        }),
 
     isActive: Joi.boolean()
         .optional()
         .messages({
             'boolean.base': 'isActive must be true or false'
-        })
+        }),
+
+    taxClassId
 });
 
 // Product query validation schema
@@ -243,6 +392,156 @@ const stockUpdateSchema = Joi.object({
         .default('set')
         .messages({
             'any.only': 'Operation must be one of: set, increment, decrement'
+        }),
+
+    variantId: Joi.number()
+        .integer()
+        .positive()
+        .optional()
+        .messages({
+            'number.integer': 'Variant ID must be a whole number',
+            'number.positive': 'Variant ID must be a positive number'
+        }),
+
+    // Left out, the change applies to the total across warehouses
+    warehouseId: Joi.number()
+        .integer()
+        .positive()
+        .optional()
+        .messages({
+            'number.integer': 'Warehouse ID must be a whole number',
+            'number.positive': 'Warehouse ID must be a positive number'
+        }),
+
+    // Why stock changed, for the inventory ledger. Damaged units are taken
+    // out; a stock count sets what was counted.
+    reason: Joi.string()
+        .when('operation', {
+            switch: [
+                { is: 'set', then: Joi.valid('adjustment', 'stock_count') },
+                { is: 'decrement', then: Joi.valid('adjustment', 'damage') }
+            ],
+            otherwise: Joi.valid('adjustment')
+        })
+        .optional()
+        .default('adjustment')
+        .messages({
+            'any.only': 'Reason must be adjustment, or stock_count with a set, or damage with a decrement'
+        }),
+
+    note: Joi.string()
+        .trim()
+        .max(500)
+        .allow('')
+        .optional()
+        .messages({
+            'string.max': 'Note cannot exceed 500 characters'
+        })
+});
+
+// Variant matrix: the product's options and one entry per combination
+const productVariantsSchema = Joi.object({
+    options: Joi.array()
+        .items(Joi.object({
+            name: Joi.string()
+                .trim()
+                .min(1)
+                .max(50)
+                .required()
+                .messages({
+                    'string.min': 'Option name is required',
+                    'string.max': 'Option name must be less than 50 characters',
+                    'any.required': 'Option name is required'
+                }),
+
+            values: Joi.array()
+                .items(Joi.string().trim().min(1).max(50))
+                .min(1)
+                .max(50)
+                .required()
+                .messages({
+                    'array.min': 'Each option needs at least one value',
+                    'array.max': 'An option can have at most 50 values',
+                    'any.required': 'Option values are required'
+                })
+        }))
+        .max(3)
+        .unique((a, b) => a.name.toLowerCase() === b.name.toLowerCase())
+        .required()
+        .messages({
+            'array.max': 'A product can have at most 3 options',
+            'array.unique': 'Option names must be unique',
+            'any.required': 'Options are required'
+        }),
+
+    variants: Joi.array()
+        .items(Joi.object({
+            optionValues: Joi.object()
+                .pattern(Joi.string(), Joi.string().trim().min(1).max(50))
+                .min(1)
+                .required()
+                .messages({
+                    'object.min': 'Variant option values are required',
+                    'any.required': 'Variant option values are required'
+                }),
+
+            sku: Joi.string()
+                .max(100)
+                .optional()
+                .allow('', null)
+                .messages({
+                    'string.max': 'SKU must be less than 100 characters'
+                }),
+
+            price: Joi.number()
+                .positive()
+                .precision(2)
+                .optional()
+                .allow(null)
+                .messages({
+                    'number.positive': 'Variant price must be a positive number'
+                }),
+
+            stockQuantity: Joi.number()
+                .integer()
+                .min(0)
+                .default(0)
+                .messages({
+                    'number.integer': 'Stock quantity must be a whole number',
+                    'number.min': 'Stock quantity cannot be negative'
+                }),
+
+            weightGrams: Joi.number()
+                .integer()
+                .positive()
+                .max(100000)
+                .optional()
+                .allow(null)
+                .messages({
+                    'number.positive': 'Weight must be a positive number of grams'
+                }),
+
+            imageUrl: Joi.string()
+                .uri()
+                .optional()
+                .allow('', null)
+                .messages({
+                    'string.uri': 'Image URL must be a valid URL'
+                }),
+
+            isActive: Joi.boolean()
+                .default(true)
+        }))
+        .max(200)
+        .required()
+        .when('options', {
+            is: Joi.array().min(1),
+            then: Joi.array().min(1)
+        })
+        .messages({
+            'array.min': 'Add at least one variant for the options',
+            'array.max': 'A product can have at most 200 variants',
+            'any.required': 'Variants are required'
         })
 });
 
@@ -264,7 +563,25 @@ const createCategorySchema = Joi.object({
         .allow('')
         .messages({
             'string.max': 'Category description must be less than 500 characters'
-        })
+        }),
+
+    nameBn: Joi.string()
+        .max(100)
+        .optional()
+        .allow('')
+        .messages({
+            'string.max': 'Category Bangla name must be less than 100 characters'
+        }),
+
+    descriptionBn: Joi.string()
+        .max(500)
+        .optional()
+        .allow('')
+        .messages({
+            'string.max': 'Category Bangla description must be less than 500 characters'
+        }),
+
+    taxClassId
 });
 
 const updateCategorySchema = Joi.object({
@@ -285,11 +602,29 @@ const updateCategorySchema = Joi.object({
             'string.max': 'Category description must be less than 500 characters'
         }),
 
+    nameBn: Joi.string()
+        .max(100)
+        .optional()
+        .allow('')
+        .messages({
+            'string.max': 'Category Bangla name must be less than 100 characters'
+        }),
+
+    descriptionBn: Joi.string()
+        .max(500)
+        .optional()
+        .allow('')
+        .messages({
+            'string.max': 'Category Bangla description must be less than 500 characters'
+        }),
+
     isActive: Joi.boolean()
         .optional()
         .messages({
             'boolean.base': 'isActive must be true or false'
-        })
+        }),
+
+    taxClassId
 });
 
 // Validation middleware factory
@@ -333,6 +668,7 @@ module.exports = {
     updateProductSchema,
     productQuerySchema,
     stockUpdateSchema,
+    productVariantsSchema,
     createCategorySchema,
     updateCategorySchema,
     validate
@@ -0,0 +1,220 @@
+const Joi = require('joi');
+
+// Validation middleware
+const validate = (schema) => {
+    return (req, res, next) => {
+        const dataToValidate = req.method === 'GET' ? req.query : req.body;
+
+        const { error, value } = schema.validate(dataToValidate, {
+            abortEarly: false,
+            stripUnknown: true
+        });
+
+        if (error) {
+            const errors = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message,
+                value: detail.context.value
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                code: 'VALIDATION_ERROR',
+                details: errors,
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+
+        if (req.method === 'GET') {
+            req.validatedQuery = value;
+        } else {
+            req.validatedData = value;
+        }
+
+        next();
+    };
+};
+
+const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'size_or_fit', 'changed_mind', 'other'];
+const RETURN_STATUSES = ['requested', 'approved', 'rejected', 'pickup_scheduled', 'received', 'refunding', 'refunded', 'exchanged', 'cancelled'];
+
+const note = Joi.string()
+    .max(500)
+    .optional()
+    .allow('')
+    .messages({
+        'string.max': 'Note must be less than 500 characters'
+    });
+
+// A customer's request to return or exchange part of an order line
+const createReturnSchema = Joi.object({
+    orderItemId: Joi.number()
+        .integer()
+        .positive()
+        .required()
+        .messages({
+            'number.base': 'Order item ID must be a number',
+            'any.required': 'Order item ID is required'
+        }),
+
+    type: Joi.string()
+        .valid('return', 'exchange')
+        .required()
+        .messages({
+            'any.only': 'Type must be return or exchange',
+            'any.required': 'Type is required'
+        }),
+
+    quantity: Joi.number()
+        .integer()
+        .min(1)
+        .optional()
+        .default(1)
+        .messages({
+            'number.base': 'Quantity must be a number',
+            'number.integer': 'Quantity must be an integer',
+            'number.min': 'Quantity must be at least 1'
+        }),
+
+    reason: Joi.string()
+        .valid(...RETURN_REASONS)
+        .required()
+        .messages({
+            'any.only': `Reason must be one of: ${RETURN_REASONS.join(', ')}`,
+            'any.required': 'Reason is required'
+        }),
+
+    details: Joi.string()
+        .max(1000)
+        .optional()
+        .allow('')
+        .messages({
+            'string.max': 'Details must be less than 1000 characters'
+        }),
+
+    // Another variant of the same product; without one the same item is sent
+    exchangeVariantId: Joi.number()
+        .integer()
+        .positive()
+        .optional()
+        .messages({
+            'number.base': 'Exchange variant ID must be a number'
+        })
+});
+
+const returnQuerySchema = Joi.object({
+    page: Joi.number()
+        .integer()
+        .min(1)
+        .optional()
+        .default(1)
+        .messages({
+            'number.base': 'Page must be a number',
+            'number.integer': 'Page must be an integer',
+            'number.min': 'Page must be at least 1'
+        }),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(50)
+        .optional()
+        .default(20)
+        .messages({
+            'number.base': 'Limit must be a number',
+            'number.integer': 'Limit must be an integer',
+            'number.min': 'Limit must be at least 1',
+            'number.max': 'Limit must be at most 50'
+        }),
+
+    status: Joi.string()
+        .valid(...RETURN_STATUSES)
+        .optional()
+        .messages({
+            'any.only': `Status must be one of: ${RETURN_STATUSES.join(', ')}`
+        }),
+
+    type: Joi.string()
+        .valid('return', 'exchange')
+        .optional()
+        .messages({
+            'any.only': 'Type must be return or exchange'
+        }),
+
+    orderId: Joi.number()
+        .integer()
+        .positive()
+        .optional()
+        .messages({
+            'number.base': 'Order ID must be a number'
+        })
+});
+
+// Customers are told why a request was turned down
+const reviewReturnSchema = Joi.object({
+    decision: Joi.string()
+        .valid('approve', 'reject')
+        .required()
+        .messages({
+            'any.only': 'Decision must be approve or reject',
+            'any.required': 'Decision is required'
+        }),
+
+    note: note.when('decision', {
+        is: 'reject',
+        then: Joi.string().min(1).required().messages({
+            'string.empty': 'A note explaining the rejection is required',
+            'any.required': 'A note explaining the rejection is required'
+        })
+    })
+});
+
+const schedulePickupSchema = Joi.object({
+    pickupDate: Joi.date()
+        .iso()
+        .required()
+        .messages({
+            'date.base': 'Pickup date must be a valid date',
+            'date.format': 'Pickup date must be in YYYY-MM-DD format',
+            'any.required': 'Pickup date is required'
+        }),
+
+    note
+});
+
+const receiveReturnSchema = Joi.object({
+    // False for items that cannot be sold again
+    restock: Joi.boolean()
+        .required()
+        .messages({
+            'boolean.base': 'Restock must be a boolean',
+            'any.required': 'Restock is required'
+        }),
+
+    note
+});
+
+const completeReturnSchema = Joi.object({
+    // Defaults to the price paid for the returned units
+    refundAmount: Joi.number()
+        .positive()
+        .precision(2)
+        .optional()
+        .messages({
+            'number.base': 'Refund amount must be a number',
+            'number.positive': 'Refund amount must be positive'
+        }),
+
+    note
+});
+
+module.exports = {
+    validate,
+    createReturnSchema,
+    returnQuerySchema,
+    reviewReturnSchema,
+    schedulePickupSchema,
+    receiveReturnSchema,
+    completeReturnSchema
+};
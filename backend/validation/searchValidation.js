@@ -0,0 +1,225 @@
+const Joi = require('joi');
+
+// A synonym term is a word or phrase; commas and "=>" are the rule syntax
+const synonymTerm = Joi.string()
+    .trim()
+    .lowercase()
+    .min(1)
+    .max(50)
+    .pattern(/^(?!.*=>)[^,]+$/)
+    .messages({
+        'string.min': 'Synonym terms cannot be empty',
+        'string.max': 'Synonym terms must be less than 50 characters',
+        'string.pattern.base': 'Synonym terms cannot contain commas or "=>"'
+    });
+
+const synonymTerms = Joi.array()
+    .items(synonymTerm)
+    .min(1)
+    .max(20)
+    .unique()
+    .messages({
+        'array.min': 'At least one term is required',
+        'array.max': 'A synonym can have at most 20 terms',
+        'array.unique': 'Synonym terms must be unique'
+    });
+
+const createSynonymSchema = Joi.object({
+    terms: synonymTerms
+        .required()
+        .when('replacements', {
+            is: Joi.array().min(1).required(),
+            otherwise: Joi.array().min(2)
+        })
+        .messages({
+            'array.min': 'Synonyms without replacements need at least two terms',
+            'any.required': 'Terms are required'
+        }),
+
+    // Searching a term also searches these, but not the other way round
+    replacements: synonymTerms
+        .allow(null)
+        .optional(),
+
+    isActive: Joi.boolean()
+        .optional()
+        .default(true)
+});
+
+const updateSynonymSchema = Joi.object({
+    terms: synonymTerms.optional(),
+    replacements: synonymTerms.allow(null).optional(),
+    isActive: Joi.boolean().optional()
+}).min(1)
+    .messages({
+        'object.min': 'Nothing to update'
+    });
+
+// Queries are matched as typed, ignoring case and extra spaces
+const ruleQuery = Joi.string()
+    .trim()
+    .lowercase()
+    .replace(/\s+/g, ' ')
+    .min(1)
+    .max(100)
+    .messages({
+        'string.max': 'Query must be less than 100 characters'
+    });
+
+const ruleFields = {
+    name: Joi.string()
+        .trim()
+        .min(1)
+        .max(100)
+        .messages({
+            'string.max': 'Name must be less than 100 characters'
+        }),
+    query: ruleQuery.allow(null),
+    action: Joi.string()
+        .valid('pin', 'boost', 'bury', 'redirect')
+        .messages({
+            'any.only': 'Action must be one of pin, boost, bury or redirect'
+        }),
+    productId: Joi.number().integer().positive().allow(null),
+    categoryId: Joi.number().integer().positive().allow(null),
+    brand: Joi.string().trim().max(100).allow(null),
+    outOfStock: Joi.boolean(),
+    position: Joi.number()
+        .integer()
+        .min(1)
+        .max(100)
+        .allow(null)
+        .messages({
+            'number.min': 'Position must be at least 1',
+            'number.max': 'Position cannot exceed 100'
+        }),
+    isActive: Joi.boolean(),
+    startsAt: Joi.date().iso().allow(null),
+    expiresAt: Joi.date().iso().allow(null)
+};
+
+// Each action names its own target; the table's check constraints have the
+// last word, also for updates
+const createRuleSchema = Joi.object({
+    ...ruleFields,
+    name: ruleFields.name.required(),
+    action: ruleFields.action.required(),
+    query: Joi.when('action', {
+        is: Joi.valid('pin', 'redirect'),
+        then: ruleQuery.required(),
+        otherwise: ruleFields.query.optional()
+    }).messages({
+        'any.required': 'Pin and redirect rules need a query'
+    }),
+    productId: Joi.when('action', {
+        is: 'pin',
+        then: ruleFields.productId.invalid(null).required(),
+        otherwise: Joi.when('action', {
+            is: 'redirect',
+            then: Joi.forbidden(),
+            otherwise: ruleFields.productId.optional()
+        })
+    }).messages({
+        'any.required': 'Pin rules need a product',
+        'any.unknown': 'Redirect rules cannot name a product'
+    }),
+    categoryId: Joi.when('action', {
+        is: 'redirect',
+        then: ruleFields.categoryId.invalid(null).required(),
+        otherwise: Joi.when('action', {
+            is: 'pin',
+            then: Joi.forbidden(),
+            otherwise: ruleFields.categoryId.optional()
+        })
+    }).messages({
+        'any.required': 'Redirect rules need a category',
+        'any.unknown': 'Pin rules cannot name a category'
+    }),
+    position: Joi.when('action', {
+        is: 'pin',
+        then: ruleFields.position.default(1),
+        otherwise: Joi.forbidden()
+    }).messages({
+        'any.unknown': 'Only pin rules have a position'
+    }),
+    expiresAt: Joi.when('startsAt', {
+        is: Joi.date().required(),
+        then: ruleFields.expiresAt.greater(Joi.ref('startsAt')),
+        otherwise: ruleFields.expiresAt
+    }).messages({
+        'date.greater': 'A rule must start before it expires'
+    })
+});
+
+const updateRuleSchema = Joi.object(ruleFields)
+    .min(1)
+    .messages({
+        'object.min': 'Nothing to update'
+    });
+
+const zeroResultQuerySchema = Joi.object({
+    days: Joi.number()
+        .integer()
+        .min(1)
+        .max(365)
+        .default(30)
+        .messages({
+            'number.min': 'Days must be at least 1',
+            'number.max': 'Days cannot exceed 365'
+        }),
+
+    limit: Joi.number()
+        .integer()
+        .min(1)
+        .max(200)
+        .default(50)
+        .messages({
+            'number.min': 'Limit must be at least 1',
+            'number.max': 'Limit cannot exceed 200'
+        })
+});
+
+// Validation middleware factory
+const validate = (schema) => {
+    return (req, res, next) => {
+        const dataToValidate = req.method === 'GET' ? req.query : req.body;
+
+        const { error, value } = schema.validate(dataToValidate, {
+            abortEarly: false,
+            stripUnknown: true,
+            convert: true
+        });
+
+        if (error) {
+            const errors = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                code: 'VALIDATION_ERROR',
+                details: errors,
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+
+        if (req.method === 'GET') {
+            req.validatedQuery = value;
+        } else {
+            req.validatedData = value;
+        }
+
+        next();
+    };
+};
+
+module.exports = {
+    createSynonymSchema,
+    updateSynonymSchema,
+    zeroResultQuerySchema,
+    createRuleSchema,
+    updateRuleSchema,
+    validate
+};
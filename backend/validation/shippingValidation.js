@@ -0,0 +1,115 @@
+const Joi = require('joi');
+const { COURIER_NAMES } = require('../services/couriers');
+
+// Shipping quote validation schema. Items default to the caller's cart
+// (signed-in cart, or the guest cart named by X-Cart-Token).
+const shippingQuoteSchema = Joi.object({
+    shippingAddress: Joi.object({
+        division: Joi.string().max(100).optional(),
+        district: Joi.string().max(100).optional(),
+        thana: Joi.string().max(100).optional(),
+        city: Joi.string().max(100).optional(),
+        state: Joi.string().max(100).optional()
+    }).or('district', 'city')
+        .messages({
+            'object.missing': 'Shipping address must include a district or city'
+        }),
+
+    shippingAddressId: Joi.number()
+        .integer()
+        .positive()
+        .messages({
+            'number.integer': 'Shipping address ID must be a whole number',
+            'number.positive': 'Shipping address ID must be a positive number'
+        }),
+
+    items: Joi.array()
+        .items(Joi.object({
+            productId: Joi.number().integer().positive().required(),
+            variantId: Joi.number().integer().positive().allow(null).optional(),
+            quantity: Joi.number().integer().min(1).max(100).required()
+        }))
+        .min(1)
+        .max(100)
+        .optional()
+        .messages({
+            'array.min': 'At least one item is required',
+            'array.max': 'Cannot quote more than 100 items at once'
+        }),
+
+    couponCode: Joi.string()
+        .trim()
+        .min(3)
+        .max(50)
+        .optional()
+        .messages({
+            'string.min': 'Coupon code must be at least 3 characters',
+            'string.max': 'Coupon code must be less than 50 characters'
+        }),
+
+    paymentMethod: Joi.string()
+        .valid('cash_on_delivery', 'credit_card', 'debit_card', 'mobile_banking', 'bank_transfer', 'stripe_card')
+        .optional()
+        .messages({
+            'any.only': 'Payment method is not supported'
+        })
+}).xor('shippingAddress', 'shippingAddressId')
+    .messages({
+        'object.missing': 'Shipping address is required',
+        'object.xor': 'Provide either a shipping address or a saved shipping address ID, not both'
+    });
+
+// Validation middleware factory
+const validate = (schema) => {
+    return (req, res, next) => {
+        const dataToValidate = req.method === 'GET' ? req.query : req.body;
+
+        const { error, value } = schema.validate(dataToValidate, {
+            abortEarly: false,
+            stripUnknown: true,
+            convert: true
+        });
+
+        if (error) {
+            const errors = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                code: 'VALIDATION_ERROR',
+                details: errors,
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+
+        if (req.method === 'GET') {
+            req.validatedQuery = value;
+        } else {
+            req.validatedData = value;
+        }
+
+        next();
+    };
+};
+
+const validateCourier = (req, res, next) => {
+    if (!COURIER_NAMES.includes(req.params.courier)) {
+        return res.status(404).json({
+            error: 'Unsupported courier',
+            code: 'COURIER_NOT_FOUND',
+            timestamp: new Date().toISOString(),
+            correlationId: req.correlationId
+        });
+    }
+
+    next();
+};
+
+module.exports = {
+    shippingQuoteSchema,
+    validate,
+    validateCourier
+};
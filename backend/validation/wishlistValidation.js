@@ -0,0 +1,85 @@
+const Joi = require('joi');
+
+// Add to wishlist validation schema
+const addToWishlistSchema = Joi.object({
+    productId: Joi.number()
+        .integer()
+        .positive()
+        .required()
+        .messages({
+            'number.integer': 'Product ID must be a whole number',
+            'number.positive': 'Product ID must be a positive number',
+            'any.required': 'Product ID is required'
+        })
+});
+
+// Move to cart validation schema
+const moveToCartSchema = Joi.object({
+    quantity: Joi.number()
+        .integer()
+        .min(1)
+        .max(100)
+        .optional()
+        .default(1)
+        .messages({
+            'number.integer': 'Quantity must be a whole number',
+            'number.min': 'Quantity must be at least 1',
+            'number.max': 'Quantity cannot exceed 100'
+        })
+});
+
+// Merge local wishlist validation schema
+const mergeWishlistSchema = Joi.object({
+    productIds: Joi.array()
+        .items(Joi.number().integer().positive())
+        .max(200)
+        .required()
+        .messages({
+            'array.base': 'Product IDs must be an array',
+            'array.max': 'Cannot merge more than 200 products at once',
+            'any.required': 'Product IDs are required'
+        })
+});
+
+// Validation middleware factory
+const validate = (schema) => {
+    return (req, res, next) => {
+        const dataToValidate = req.method === 'GET' ? req.query : req.body;
+
+        const { error, value } = schema.validate(dataToValidate, {
+            abortEarly: false,
+            stripUnknown: true,
+            convert: true
+        });
+
+        if (error) {
+            const errors = error.details.map(detail => ({
+                field: detail.path.join('.'),
+                message: detail.message
+            }));
+
+            return res.status(400).json({
+                error: 'Validation failed',
+                code: 'VALIDATION_ERROR',
+                details: errors,
+                timestamp: new Date().toISOString(),
+                correlationId: req.correlationId
+            });
+        }
+
+        if (req.method === 'GET') {
+            req.validatedQuery = value;
+        } else {
+            req.validatedData = value;
+        }
+
+        next();
+    };
+};
+
+module.exports = {
+    addToWishlistSchema,
+    moveToCartSchema,
+    mergeWishlistSchema,
+    validate
+};
@@ -5,6 +5,7 @@ import logger from './logger';
 
 // WebSocket Context and Hooks
 import { WebSocketProvider } from './contexts/WebSocketContext';
+import { I18nProvider } from './contexts/I18nContext';
 import useWebSocketConnection from './hooks/useWebSocketConnection';
 
 // Real-time Components
@@ -27,6 +28,7 @@ import CartPage from './pages/CartPage';
 import CheckoutPage from './pages/CheckoutPage';
 import OrderSuccessPage from './pages/OrderSuccessPage';
 import OrderHistoryPage from './pages/OrderHistoryPage';
+import ReturnsPage from './pages/ReturnsPage';
 import WishlistPage from './pages/WishlistPage';
 import AddressBookPage from './pages/AddressBookPage';
 
@@ -36,6 +38,9 @@ import AdminDashboardPage from './pages/AdminDashboardPage';
 import AdminProductsPage from './pages/AdminProductsPage';
 import AdminOrdersPage from './pages/AdminOrdersPage';
 import AdminUsersPage from './pages/AdminUsersPage';
+import AdminSearchPage from './pages/AdminSearchPage';
+import AdminReturnsPage from './pages/AdminReturnsPage';
+import AdminPurchaseOrdersPage from './pages/AdminPurchaseOrdersPage';
 import AdminProductFormPage from './pages/AdminProductFormPage';
 
 // Placeholder components for routes (to be implemented in later subtasks)
@@ -159,6 +164,7 @@ function AppContent() {
             <Route path="/checkout" element={<CheckoutPage />} />
             <Route path="/order-success" element={<OrderSuccessPage />} />
             <Route path="/orders" element={<OrderHistoryPage />} />
+            <Route path="/returns" element={<ReturnsPage />} />
             <Route path="/wishlist" element={<WishlistPage updateCartCount={updateCartCount} />} />
             <Route path="/addresses" element={<AddressBookPage />} />
             <Route path="/account" element={<AccountPage />} />
@@ -171,6 +177,9 @@ function AppContent() {
             <Route path="/admin/products/:id/edit" element={<AdminProductFormPage />} />
             <Route path="/admin/orders" element={<AdminOrdersPage />} />
             <Route path="/admin/users" element={<AdminUsersPage />} />
+            <Route path="/admin/search" element={<AdminSearchPage />} />
+            <Route path="/admin/returns" element={<AdminReturnsPage />} />
+            <Route path="/admin/purchase-orders" element={<AdminPurchaseOrdersPage />} />
           </Routes>
         </main>
 
@@ -186,11 +195,12 @@ function AppContent() {
 
 function App() {
   return (
-    <WebSocketProvider>
-      <AppContent />
-    </WebSocketProvider>
+    <I18nProvider>
+      <WebSocketProvider>
+        <AppContent />
+      </WebSocketProvider>
+    </I18nProvider>
   );
 }
-}
 
 export default App;
\ No newline at end of file
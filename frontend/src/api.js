@@ -4,6 +4,13 @@ import logger from './logger';
 class ApiClient {
     constructor(baseURL = process.env.REACT_APP_API_URL || 'http://localhost:5000') {
         this.baseURL = baseURL;
+        this.locale = null;
+    }
+
+    // Sent as Accept-Language so the backend can pick the customer's
+    // language, e.g. for the emails of a new account or a guest order
+    setLocale(locale) {
+        this.locale = locale;
     }
 
     async request(endpoint, options = {}) {
@@ -14,8 +21,10 @@ class ApiClient {
         const requestOptions = {
             ...options,
             headers: {
-                'Content-Type': 'application/json',
+                // FormData bodies get a multipart Content-Type with boundary from the browser
+                ...(options.body instanceof FormData ? {} : { 'Content-Type': 'application/json' }),
                 'x-correlation-id': correlationId,
+                ...(this.locale ? { 'Accept-Language': this.locale } : {}),
                 ...options.headers
             }
         };
@@ -46,7 +55,8 @@ class ApiClient {
                 throw new Error(`HTTP ${response.status}: ${response.statusText}`);
             }
 
-            const data = await response.json();
+            // Files such as invoice PDFs come back as a Blob
+            const data = requestOptions.responseType === 'blob' ? await response.blob() : await response.json();
 
             logger.info('API request completed', {
                 method: requestOptions.method || 'GET',
@@ -54,7 +64,7 @@ class ApiClient {
                 status: response.status,
                 correlationId,
                 responseTime,
-                dataSize: JSON.stringify(data).length
+                dataSize: data instanceof Blob ? data.size : JSON.stringify(data).length
             });
 
             return {
@@ -106,9 +116,34 @@ class ApiClient {
         });
     }
 
+    async upload(endpoint, formData, options = {}) {
+        return this.request(endpoint, {
+            ...options,
+            method: 'POST',
+            body: formData
+        });
+    }
+
     async delete(endpoint, options = {}) {
         return this.request(endpoint, { ...options, method: 'DELETE' });
     }
+
+    // Fetch a file and hand it to the browser as a download. Pass method and
+    // body in options for files generated from a POST.
+    async download(endpoint, fileName, options = {}) {
+        const response = await this.request(endpoint, { method: 'GET', ...options, responseType: 'blob' });
+
+        const url = URL.createObjectURL(response.data);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+
+        return response;
+    }
 }
 
 // Create singleton instance
@@ -1,55 +1,53 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
+import { useI18n } from '../../contexts/I18nContext';
 
 const CategoryShowcase = () => {
+    const { t, formatNumber } = useI18n();
+
+    // Names and descriptions come from the message catalogs under "showcase.<key>"
     const categories = [
         {
             id: 1,
-            name: 'Electronics',
-            description: 'Latest gadgets and tech',
+            key: 'electronics',
             icon: '📱',
             color: 'linear-gradient(to right, #60a5fa, #2563eb)',
-            itemCount: '500+ items'
+            itemCount: 500
         },
         {
             id: 2,
-            name: 'Fashion',
-            description: 'Trendy clothing and accessories',
+            key: 'fashion',
             icon: '👕',
             color: 'linear-gradient(to right, #f472b6, #db2777)',
-            itemCount: '1200+ items'
+            itemCount: 1200
         },
         {
             id: 3,
-            name: 'Home & Garden',
-            description: 'Everything for your home',
+            key: 'homeGarden',
             icon: '🏠',
             color: 'linear-gradient(to right, #4ade80, #16a34a)',
-            itemCount: '800+ items'
+            itemCount: 800
         },
         {
             id: 4,
-            name: 'Sports & Fitness',
-            description: 'Gear for active lifestyle',
+            key: 'sports',
             icon: '⚽',
             color: 'linear-gradient(to right, #fb923c, #ea580c)',
-            itemCount: '300+ items'
+            itemCount: 300
         },
         {
             id: 5,
-            name: 'Books & Media',
-            description: 'Knowledge and entertainment',
+            key: 'books',
             icon: '📚',
             color: 'linear-gradient(to right, #c084fc, #9333ea)',
-            itemCount: '2000+ items'
+            itemCount: 2000
         },
         {
             id: 6,
-            name: 'Beauty & Health',
-            description: 'Care for your wellbeing',
+            key: 'beauty',
             icon: '💄',
             color: 'linear-gradient(to right, #f87171, #dc2626)',
-            itemCount: '400+ items'
+            itemCount: 400
         }
     ];
 
@@ -161,9 +159,9 @@ const CategoryShowcase = () => {
         <section style={sectionStyle}>
             <div style={containerStyle}>
                 <div style={headerStyle}>
-                    <h2 style={titleStyle}>Shop by Category</h2>
+                    <h2 style={titleStyle}>{t('showcase.title')}</h2>
                     <p style={subtitleStyle}>
-                        Explore our wide range of product categories
+                        {t('showcase.subtitle')}
                     </p>
                 </div>
 
@@ -187,14 +185,16 @@ const CategoryShowcase = () => {
                             </div>
                             <div style={contentStyle}>
                                 <h3 style={categoryNameStyle}>
-                                    {category.name}
+                                    {t(`showcase.${category.key}`)}
                                 </h3>
                                 <p style={descriptionStyle}>
-                                    {category.description}
+                                    {t(`showcase.${category.key}Description`)}
                                 </p>
                                 <div style={footerStyle}>
-                                    <span style={itemCountStyle}>{category.itemCount}</span>
-                                    <span style={arrowStyle}>Explore →</span>
+                                    <span style={itemCountStyle}>
+                                        {t('showcase.itemCount', { count: formatNumber(category.itemCount) })}
+                                    </span>
+                                    <span style={arrowStyle}>{t('showcase.explore')} →</span>
                                 </div>
                             </div>
                         </Link>
@@ -203,7 +203,7 @@ const CategoryShowcase = () => {
 
                 <div style={viewAllStyle}>
                     <Link to="/categories" style={viewAllButtonStyle}>
-                        View All Categories
+                        {t('showcase.viewAll')}
                     </Link>
                 </div>
             </div>
@@ -2,8 +2,10 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import apiClient from '../../api';
 import logger from '../../logger';
+import { useI18n } from '../../contexts/I18nContext';
 
 const FeaturedProducts = () => {
+    const { t, formatCurrency, localize } = useI18n();
     const [products, setProducts] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
@@ -26,9 +28,9 @@ const FeaturedProducts = () => {
                 productCount: response.data.data?.length || 0
             });
         } catch (err) {
-            const errorMessage = 'Failed to load featured products';
-            setError(errorMessage);
-            logger.error(errorMessage, { error: err.message });
+            // Kept as a message key so it follows a language switch
+            setError('featured.loadFailed');
+            logger.error('Failed to load featured products', { error: err.message });
         } finally {
             setLoading(false);
         }
@@ -153,8 +155,8 @@ const FeaturedProducts = () => {
             <section style={sectionStyle}>
                 <div style={containerStyle}>
                     <div style={headerStyle}>
-                        <h2 style={titleStyle}>Featured Products</h2>
-                        <div style={loadingStyle}>Loading our best products...</div>
+                        <h2 style={titleStyle}>{t('featured.title')}</h2>
+                        <div style={loadingStyle}>{t('featured.loading')}</div>
                     </div>
                 </div>
             </section>
@@ -166,11 +168,11 @@ const FeaturedProducts = () => {
             <section style={sectionStyle}>
                 <div style={containerStyle}>
                     <div style={headerStyle}>
-                        <h2 style={titleStyle}>Featured Products</h2>
+                        <h2 style={titleStyle}>{t('featured.title')}</h2>
                         <div style={errorStyle}>
-                            <p>{error}</p>
+                            <p>{t(error)}</p>
                             <button onClick={loadFeaturedProducts} style={buttonStyle}>
-                                Try Again
+                                {t('common.tryAgain')}
                             </button>
                         </div>
                     </div>
@@ -183,9 +185,9 @@ const FeaturedProducts = () => {
         <section style={sectionStyle}>
             <div style={containerStyle}>
                 <div style={headerStyle}>
-                    <h2 style={titleStyle}>Featured Products</h2>
+                    <h2 style={titleStyle}>{t('featured.title')}</h2>
                     <p style={subtitleStyle}>
-                        Discover our most popular and highly-rated products
+                        {t('featured.subtitle')}
                     </p>
                 </div>
 
@@ -196,7 +198,7 @@ const FeaturedProducts = () => {
                                 {product.image_url ? (
                                     <img
                                         src={product.image_url}
-                                        alt={product.name}
+                                        alt={localize(product, 'name')}
                                         style={{ width: '100%', height: '100%', objectFit: 'cover' }}
                                     />
                                 ) : (
@@ -206,26 +208,26 @@ const FeaturedProducts = () => {
                             <div style={contentStyle}>
                                 <h3 style={productNameStyle}>
                                     <Link to={`/products/${product.id}`} style={{ textDecoration: 'none', color: 'inherit' }}>
-                                        {product.name}
+                                        {localize(product, 'name')}
                                     </Link>
                                 </h3>
                                 <div style={{ display: 'flex', alignItems: 'center', marginBottom: '0.5rem' }}>
                                     <span style={{ color: '#facc15' }}>⭐⭐⭐⭐⭐</span>
                                     <span style={{ marginLeft: '0.5rem', fontSize: '0.875rem', color: '#6b7280' }}>(24)</span>
                                 </div>
-                                {product.description && (
+                                {localize(product, 'description') && (
                                     <p style={{ fontSize: '0.875rem', color: '#6b7280', marginBottom: '1rem' }}>
-                                        {product.description.length > 100
-                                            ? product.description.substring(0, 100) + '...'
-                                            : product.description}
+                                        {localize(product, 'description').length > 100
+                                            ? localize(product, 'description').substring(0, 100) + '...'
+                                            : localize(product, 'description')}
                                     </p>
                                 )}
                                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                                     <p style={priceStyle}>
-                                        ${parseFloat(product.price).toFixed(2)}
+                                        {formatCurrency(product.price)}
                                     </p>
                                     <button style={buttonStyle}>
-                                        Add to Cart
+                                        {t('common.addToCart')}
                                     </button>
                                 </div>
                             </div>
@@ -236,7 +238,7 @@ const FeaturedProducts = () => {
                 {products.length > 0 && (
                     <div style={viewAllStyle}>
                         <Link to="/products" style={viewAllButtonStyle}>
-                            View All Products
+                            {t('featured.viewAll')}
                         </Link>
                     </div>
                 )}
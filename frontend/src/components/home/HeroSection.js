@@ -1,7 +1,10 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
+import { useI18n } from '../../contexts/I18nContext';
 
 const HeroSection = () => {
+    const { t } = useI18n();
+
     const heroStyle = {
         background: 'linear-gradient(to right, #2563eb, #7c3aed)',
         color: 'white',
@@ -86,25 +89,24 @@ const HeroSection = () => {
             <div style={containerStyle}>
                 <div style={contentStyle}>
                     <h1 style={titleStyle}>
-                        Welcome to <span style={{ color: '#fcd34d' }}>DhakaCart</span>
+                        {t('hero.titleBefore')}<span style={{ color: '#fcd34d' }}>{t('hero.brand')}</span>{t('hero.titleAfter')}
                     </h1>
                     <p style={subtitleStyle}>
-                        Discover amazing products at unbeatable prices. From electronics to fashion,
-                        home essentials to gifts - we have everything you need, delivered right to your doorstep.
+                        {t('hero.subtitle')}
                     </p>
                     <div style={buttonContainerStyle}>
                         <Link to="/products" style={primaryButtonStyle}>
-                            Shop Now
+                            {t('hero.shopNow')}
                         </Link>
                         <Link to="/categories" style={secondaryButtonStyle}>
-                            Browse Categories
+                            {t('hero.browseCategories')}
                         </Link>
                     </div>
                 </div>
 
                 <div style={imageStyle}>
                     <div style={{ fontSize: '4rem', marginBottom: '1rem' }}>🛒</div>
-                    <p style={{ fontSize: '1.25rem', fontWeight: '600' }}>Your Shopping Destination</p>
+                    <p style={{ fontSize: '1.25rem', fontWeight: '600' }}>{t('hero.tagline')}</p>
                 </div>
             </div>
         </div>
@@ -6,7 +6,7 @@ import {
     ClockIcon
 } from '@heroicons/react/24/outline';
 
-const InventoryStatus = ({ productId, currentStock, threshold = 10, className = '' }) => {
+const InventoryStatus = ({ productId, variantId = null, currentStock, threshold = 10, className = '' }) => {
     const { getInventoryUpdate, subscribeToInventory, isConnected } = useWebSocket();
 
     // Subscribe to inventory updates for this product
@@ -16,11 +16,13 @@ const InventoryStatus = ({ productId, currentStock, threshold = 10, className =
         }
     }, [isConnected, productId, subscribeToInventory]);
 
-    // Get real-time inventory update
-    const inventoryUpdate = getInventoryUpdate(productId);
+    // Get real-time inventory update; with a variant, its own stock is shown.
+    // Both are sellable stock: units held by unpaid checkouts are excluded.
+    const inventoryUpdate = getInventoryUpdate(productId, variantId);
+    const liveStock = inventoryUpdate && (variantId ? inventoryUpdate.variantStockQuantity : inventoryUpdate.stockQuantity);
 
     // Use real-time stock if available, otherwise use current stock
-    const displayStock = inventoryUpdate ? inventoryUpdate.stockQuantity : currentStock;
+    const displayStock = inventoryUpdate ? liveStock : currentStock;
     const isLowStock = displayStock <= threshold;
     const isOutOfStock = displayStock === 0;
 
@@ -1,7 +1,10 @@
 import React from 'react';
 import { Link } from 'react-router-dom';
+import { useI18n } from '../../contexts/I18nContext';
 
 const Footer = () => {
+    const { t, formatNumber } = useI18n();
+
     const footerStyle = {
         backgroundColor: '#111827',
         color: 'white',
@@ -77,8 +80,7 @@ const Footer = () => {
                     <div>
                         <div style={logoStyle}>DhakaCart</div>
                         <p style={textStyle}>
-                            Your trusted online marketplace for quality products at great prices.
-                            We bring you the best shopping experience with fast delivery and excellent customer service.
+                            {t('footer.about')}
                         </p>
                         <div style={socialStyle}>
                             <a href="#" style={socialLinkStyle}>📘</a>
@@ -90,34 +92,34 @@ const Footer = () => {
 
                     {/* Quick Links */}
                     <div>
-                        <h3 style={headingStyle}>Quick Links</h3>
-                        <Link to="/products" style={linkStyle}>All Products</Link>
-                        <Link to="/categories" style={linkStyle}>Categories</Link>
-                        <Link to="/deals" style={linkStyle}>Special Deals</Link>
-                        <Link to="/new-arrivals" style={linkStyle}>New Arrivals</Link>
-                        <Link to="/bestsellers" style={linkStyle}>Best Sellers</Link>
+                        <h3 style={headingStyle}>{t('footer.quickLinks')}</h3>
+                        <Link to="/products" style={linkStyle}>{t('footer.allProducts')}</Link>
+                        <Link to="/categories" style={linkStyle}>{t('footer.categories')}</Link>
+                        <Link to="/deals" style={linkStyle}>{t('footer.specialDeals')}</Link>
+                        <Link to="/new-arrivals" style={linkStyle}>{t('footer.newArrivals')}</Link>
+                        <Link to="/bestsellers" style={linkStyle}>{t('footer.bestSellers')}</Link>
                     </div>
 
                     {/* Customer Service */}
                     <div>
-                        <h3 style={headingStyle}>Customer Service</h3>
-                        <Link to="/contact" style={linkStyle}>Contact Us</Link>
-                        <Link to="/faq" style={linkStyle}>FAQ</Link>
-                        <Link to="/shipping" style={linkStyle}>Shipping Info</Link>
-                        <Link to="/returns" style={linkStyle}>Returns & Exchanges</Link>
-                        <Link to="/support" style={linkStyle}>Support Center</Link>
+                        <h3 style={headingStyle}>{t('footer.customerService')}</h3>
+                        <Link to="/contact" style={linkStyle}>{t('footer.contactUs')}</Link>
+                        <Link to="/faq" style={linkStyle}>{t('footer.faq')}</Link>
+                        <Link to="/shipping" style={linkStyle}>{t('footer.shippingInfo')}</Link>
+                        <Link to="/returns" style={linkStyle}>{t('footer.returns')}</Link>
+                        <Link to="/support" style={linkStyle}>{t('footer.supportCenter')}</Link>
                     </div>
                 </div>
 
                 {/* Bottom Section */}
                 <div style={bottomStyle}>
                     <div style={{ color: '#d1d5db', fontSize: '0.875rem' }}>
-                        © 2024 DhakaCart. All rights reserved.
+                        {t('footer.copyright', { year: formatNumber(2024, { useGrouping: false }) })}
                     </div>
                     <div style={{ display: 'flex', gap: '1.5rem', fontSize: '0.875rem' }}>
-                        <Link to="/privacy" style={linkStyle}>Privacy Policy</Link>
-                        <Link to="/terms" style={linkStyle}>Terms of Service</Link>
-                        <Link to="/cookies" style={linkStyle}>Cookie Policy</Link>
+                        <Link to="/privacy" style={linkStyle}>{t('footer.privacy')}</Link>
+                        <Link to="/terms" style={linkStyle}>{t('footer.terms')}</Link>
+                        <Link to="/cookies" style={linkStyle}>{t('footer.cookies')}</Link>
                     </div>
                 </div>
             </div>
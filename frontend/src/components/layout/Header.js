@@ -1,9 +1,12 @@
 import React, { useState } from 'react';
 import { Link } from 'react-router-dom';
+import { useI18n } from '../../contexts/I18nContext';
+import { SUPPORTED_LOCALES, LOCALE_NAMES } from '../../i18n';
 
 const Header = ({ cartItemCount = 0, user = null, onSearch }) => {
     const [isMenuOpen, setIsMenuOpen] = useState(false);
     const [searchQuery, setSearchQuery] = useState('');
+    const { t, locale, setLocale } = useI18n();
 
     const handleSearch = (e) => {
         e.preventDefault();
@@ -81,6 +84,16 @@ const Header = ({ cartItemCount = 0, user = null, onSearch }) => {
         cursor: 'pointer'
     };
 
+    const languageSelectStyle = {
+        padding: '0.375rem 0.5rem',
+        border: '1px solid #d1d5db',
+        borderRadius: '0.375rem',
+        fontSize: '0.875rem',
+        color: '#374151',
+        backgroundColor: 'white',
+        cursor: 'pointer'
+    };
+
     const cartStyle = {
         position: 'relative',
         color: '#374151',
@@ -114,11 +127,11 @@ const Header = ({ cartItemCount = 0, user = null, onSearch }) => {
 
                 {/* Desktop Navigation */}
                 <nav style={{ ...navStyle, display: window.innerWidth >= 768 ? 'flex' : 'none' }}>
-                    <Link to="/" style={linkStyle}>Home</Link>
-                    <Link to="/products" style={linkStyle}>Products</Link>
-                    <Link to="/categories" style={linkStyle}>Categories</Link>
-                    <Link to="/about" style={linkStyle}>About</Link>
-                    <Link to="/contact" style={linkStyle}>Contact</Link>
+                    <Link to="/" style={linkStyle}>{t('header.home')}</Link>
+                    <Link to="/products" style={linkStyle}>{t('header.products')}</Link>
+                    <Link to="/categories" style={linkStyle}>{t('header.categories')}</Link>
+                    <Link to="/about" style={linkStyle}>{t('header.about')}</Link>
+                    <Link to="/contact" style={linkStyle}>{t('header.contact')}</Link>
                 </nav>
 
                 {/* Search Bar */}
@@ -126,7 +139,7 @@ const Header = ({ cartItemCount = 0, user = null, onSearch }) => {
                     <form onSubmit={handleSearch} style={{ width: '100%' }}>
                         <input
                             type="text"
-                            placeholder="Search products..."
+                            placeholder={t('header.searchPlaceholder')}
                             value={searchQuery}
                             onChange={(e) => setSearchQuery(e.target.value)}
                             style={inputStyle}
@@ -136,6 +149,18 @@ const Header = ({ cartItemCount = 0, user = null, onSearch }) => {
 
                 {/* Right side */}
                 <div style={{ display: 'flex', alignItems: 'center', gap: '1rem' }}>
+                    {/* Language Switcher */}
+                    <select
+                        value={locale}
+                        onChange={(e) => setLocale(e.target.value)}
+                        style={languageSelectStyle}
+                        aria-label={t('header.language')}
+                    >
+                        {SUPPORTED_LOCALES.map(code => (
+                            <option key={code} value={code} lang={code}>{LOCALE_NAMES[code]}</option>
+                        ))}
+                    </select>
+
                     {/* User Menu */}
                     {user ? (
                         <Link to="/account" style={linkStyle}>
@@ -143,14 +168,14 @@ const Header = ({ cartItemCount = 0, user = null, onSearch }) => {
                         </Link>
                     ) : (
                         <div style={{ display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
-                            <Link to="/login" style={linkStyle}>Login</Link>
+                            <Link to="/login" style={linkStyle}>{t('header.login')}</Link>
                             <span style={{ color: '#d1d5db' }}>|</span>
-                            <Link to="/register" style={linkStyle}>Register</Link>
+                            <Link to="/register" style={linkStyle}>{t('header.register')}</Link>
                         </div>
                     )}
 
                     {/* Shopping Cart */}
-                    <Link to="/cart" style={cartStyle}>
+                    <Link to="/cart" style={cartStyle} aria-label={t('header.cart')}>
                         🛒
                         {cartItemCount > 0 && (
                             <span style={badgeStyle}>
@@ -183,7 +208,7 @@ const Header = ({ cartItemCount = 0, user = null, onSearch }) => {
                     <form onSubmit={handleSearch} style={{ marginBottom: '1rem' }}>
                         <input
                             type="text"
-                            placeholder="Search products..."
+                            placeholder={t('header.searchPlaceholder')}
                             value={searchQuery}
                             onChange={(e) => setSearchQuery(e.target.value)}
                             style={inputStyle}
@@ -192,11 +217,11 @@ const Header = ({ cartItemCount = 0, user = null, onSearch }) => {
 
                     {/* Mobile Navigation Links */}
                     <div style={{ display: 'flex', flexDirection: 'column', gap: '0.5rem' }}>
-                        <Link to="/" style={linkStyle} onClick={() => setIsMenuOpen(false)}>Home</Link>
-                        <Link to="/products" style={linkStyle} onClick={() => setIsMenuOpen(false)}>Products</Link>
-                        <Link to="/categories" style={linkStyle} onClick={() => setIsMenuOpen(false)}>Categories</Link>
-                        <Link to="/about" style={linkStyle} onClick={() => setIsMenuOpen(false)}>About</Link>
-                        <Link to="/contact" style={linkStyle} onClick={() => setIsMenuOpen(false)}>Contact</Link>
+                        <Link to="/" style={linkStyle} onClick={() => setIsMenuOpen(false)}>{t('header.home')}</Link>
+                        <Link to="/products" style={linkStyle} onClick={() => setIsMenuOpen(false)}>{t('header.products')}</Link>
+                        <Link to="/categories" style={linkStyle} onClick={() => setIsMenuOpen(false)}>{t('header.categories')}</Link>
+                        <Link to="/about" style={linkStyle} onClick={() => setIsMenuOpen(false)}>{t('header.about')}</Link>
+                        <Link to="/contact" style={linkStyle} onClick={() => setIsMenuOpen(false)}>{t('header.contact')}</Link>
                     </div>
                 </div>
             )}
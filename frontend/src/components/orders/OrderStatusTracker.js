@@ -1,5 +1,8 @@
-import React, { useEffect, useState } from 'react';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
 import { useWebSocket } from '../../contexts/WebSocketContext';
+import { useI18n } from '../../contexts/I18nContext';
+import apiClient from '../../api';
+import logger from '../../logger';
 import {
     ClockIcon,
     CheckCircleIcon,
@@ -8,10 +11,66 @@ import {
     CogIcon
 } from '@heroicons/react/24/outline';
 
+// Steps of a single parcel's journey; on_hold and failed sit on the step
+// the parcel last reached
+const SHIPMENT_STEPS = [
+    { key: 'created', label: 'Booked' },
+    { key: 'picked_up', label: 'Picked up' },
+    { key: 'in_transit', label: 'In transit' },
+    { key: 'out_for_delivery', label: 'Out for delivery' },
+    { key: 'delivered', label: 'Delivered' }
+];
+
+// Who moved the order along, as the status history names them
+const ACTOR_LABELS = {
+    customer: 'By you',
+    admin: 'By the store',
+    payment: 'Payment received',
+    courier: 'Courier update',
+    system: 'Automatic update'
+};
+
+const getShipmentStepIndex = (shipment) => {
+    const index = SHIPMENT_STEPS.findIndex(step => step.key === shipment.status);
+    if (index !== -1) {
+        return index;
+    }
+    // Fall back to the furthest step in the tracking history
+    return shipment.events.reduce((furthest, event) => Math.max(
+        furthest,
+        SHIPMENT_STEPS.findIndex(step => step.key === event.status)
+    ), 0);
+};
+
 const OrderStatusTracker = ({ orderId, currentStatus, className = '' }) => {
     const { subscribeToOrders, isConnected, notifications } = useWebSocket();
+    const { formatDate } = useI18n();
     const [realtimeStatus, setRealtimeStatus] = useState(currentStatus);
     const [lastUpdate, setLastUpdate] = useState(null);
+    const [shipments, setShipments] = useState([]);
+    const [unshippedItems, setUnshippedItems] = useState([]);
+    const [history, setHistory] = useState([]);
+    const handledNotificationId = useRef(null);
+
+    // Courier shipments, their tracking history, the items still to ship
+    // and every status the order has been through
+    const loadTracking = useCallback(async () => {
+        try {
+            const response = await apiClient.get(`/cart/orders/${orderId}/tracking`, {
+                headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
+            });
+            setShipments(response.data.data.shipments);
+            setUnshippedItems(response.data.data.unshippedItems || []);
+            setHistory(response.data.data.history || []);
+            setRealtimeStatus(response.data.data.status);
+        } catch (error) {
+            logger.error('Failed to load order tracking', { error: error.message, orderId });
+        }
+    }, [orderId]);
+
+    useEffect(() => {
+        loadTracking();
+    }, [loadTracking]);
 
     // Subscribe to order updates
     useEffect(() => {
@@ -23,15 +82,27 @@ const OrderStatusTracker = ({ orderId, currentStatus, className = '' }) => {
     // Listen for order status updates
     useEffect(() => {
         const orderNotifications = notifications.filter(
-            notification => notification.orderId === orderId
+            notification => String(notification.orderId) === String(orderId)
         );
 
         if (orderNotifications.length > 0) {
             const latestNotification = orderNotifications[orderNotifications.length - 1];
-            // Extract status from notification message if needed
+            if (latestNotification.id === handledNotificationId.current) {
+                return;
+            }
+            handledNotificationId.current = latestNotification.id;
+
+            if (latestNotification.status) {
+                setRealtimeStatus(latestNotification.status);
+            }
             setLastUpdate(latestNotification.timestamp);
+
+            // Notifications carry only the latest step; reload the full history
+            if (latestNotification.status || latestNotification.tracking) {
+                loadTracking();
+            }
         }
-    }, [notifications, orderId]);
+    }, [notifications, orderId, loadTracking]);
 
     const statusSteps = [
         { key: 'pending', label: 'Order Placed', icon: ClockIcon },
@@ -44,6 +115,8 @@ const OrderStatusTracker = ({ orderId, currentStatus, className = '' }) => {
     const getCurrentStepIndex = () => {
         const status = realtimeStatus || currentStatus;
         if (status === 'cancelled') return -1;
+        // Some parcels are on their way while others wait
+        if (status === 'partially_shipped') return statusSteps.findIndex(step => step.key === 'shipped');
         return statusSteps.findIndex(step => step.key === status);
     };
 
@@ -135,7 +208,7 @@ const OrderStatusTracker = ({ orderId, currentStatus, className = '' }) => {
                             {/* Step label */}
                             <div className="ml-4 flex-1">
                                 <p className={`text-sm transition-colors duration-300 ${styles.text}`}>
-                                    {step.label}
+                                    {step.key === 'shipped' && displayStatus === 'partially_shipped' ? 'Partially Shipped' : step.label}
                                 </p>
                             </div>
 
@@ -151,12 +224,115 @@ const OrderStatusTracker = ({ orderId, currentStatus, className = '' }) => {
                 })}
             </div>
 
+            {/* Courier tracking, one timeline per parcel; the newest parcel comes first */}
+            {shipments.map((shipment, index) => (
+                <div key={shipment.id} className="mt-4 p-3 border border-gray-200 rounded-lg">
+                    <div className="flex items-center justify-between mb-2">
+                        <div className="flex items-center space-x-2">
+                            <TruckIcon className="h-4 w-4 text-gray-500" />
+                            {shipments.length > 1 && (
+                                <span className="text-sm font-medium">
+                                    Shipment {shipments.length - index} of {shipments.length}
+                                </span>
+                            )}
+                            <span className="text-sm font-medium capitalize">{shipment.courier}</span>
+                            {shipment.tracking_url ? (
+                                <a
+                                    href={shipment.tracking_url}
+                                    target="_blank"
+                                    rel="noopener noreferrer"
+                                    className="text-sm text-blue-600 font-mono"
+                                >
+                                    {shipment.tracking_number}
+                                </a>
+                            ) : (
+                                <span className="text-sm font-mono">{shipment.tracking_number}</span>
+                            )}
+                        </div>
+                        <span className="text-xs text-blue-600 capitalize">
+                            {shipment.status.replace(/_/g, ' ')}
+                        </span>
+                    </div>
+
+                    {shipment.items && shipment.items.length > 0 && (
+                        <p className="text-xs text-gray-700 mb-2">
+                            {shipment.items.map(item => `${item.quantity} × ${item.name}`).join(', ')}
+                        </p>
+                    )}
+
+                    {!['cancelled', 'returned'].includes(shipment.status) && (
+                        <div className="flex items-center mb-2">
+                            {SHIPMENT_STEPS.map((step, stepIndex) => {
+                                const reached = stepIndex <= getShipmentStepIndex(shipment);
+                                return (
+                                    <React.Fragment key={step.key}>
+                                        {stepIndex > 0 && (
+                                            <div className={`flex-1 h-0.5 ${reached ? 'bg-green-500' : 'bg-gray-300'}`} />
+                                        )}
+                                        <div
+                                            title={step.label}
+                                            className={`w-3 h-3 rounded-full ${reached ? 'bg-green-500' : 'bg-gray-300'}`}
+                                        />
+                                    </React.Fragment>
+                                );
+                            })}
+                        </div>
+                    )}
+
+                    <ul className="space-y-1">
+                        {shipment.events.map(event => (
+                            <li key={event.id} className="flex justify-between text-xs text-gray-600">
+                                <span>{event.description || event.courierStatus}</span>
+                                <span className="text-gray-400 ml-2">
+                                    {formatDate(event.occurredAt, 'dateTime')}
+                                </span>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            ))}
+
+            {/* Items not yet in a parcel */}
+            {unshippedItems.length > 0 && shipments.length > 0 && displayStatus !== 'cancelled' && (
+                <div className="mt-4 p-3 border border-dashed border-gray-300 rounded-lg">
+                    <div className="flex items-center space-x-2 mb-1">
+                        <ClockIcon className="h-4 w-4 text-gray-500" />
+                        <span className="text-sm font-medium">Waiting to ship</span>
+                    </div>
+                    <p className="text-xs text-gray-700">
+                        {unshippedItems.map(item => `${item.quantity} × ${item.name}`).join(', ')}
+                    </p>
+                </div>
+            )}
+
+            {/* Every status change, oldest first */}
+            {history.length > 0 && (
+                <div className="mt-4">
+                    <p className="text-sm font-medium mb-2">History</p>
+                    <ol className="ml-1 border-l border-gray-200 space-y-2">
+                        {history.map(entry => (
+                            <li key={`${entry.createdAt}-${entry.toStatus}`} className="relative pl-4">
+                                <div className={`absolute -left-1 top-1 w-2 h-2 rounded-full ${entry.toStatus === 'cancelled' ? 'bg-red-500' : 'bg-green-500'}`} />
+                                <div className="flex justify-between text-xs">
+                                    <span className="font-medium capitalize">{entry.toStatus.replace(/_/g, ' ')}</span>
+                                    <span className="text-gray-400 ml-2">{formatDate(entry.createdAt, 'dateTime')}</span>
+                                </div>
+                                <p className="text-xs text-gray-500">
+                                    {ACTOR_LABELS[entry.actor] || entry.actor}
+                                    {entry.reason && ` • ${entry.reason}`}
+                                </p>
+                            </li>
+                        ))}
+                    </ol>
+                </div>
+            )}
+
             {/* Status summary */}
             <div className="mt-4 p-3 bg-gray-50 rounded-lg">
                 <div className="flex items-center justify-between">
                     <span className="text-sm text-gray-600">Current Status:</span>
                     <span className="text-sm font-medium capitalize">
-                        {displayStatus.replace('_', ' ')}
+                        {displayStatus.replace(/_/g, ' ')}
                     </span>
                 </div>
 
@@ -164,7 +340,7 @@ const OrderStatusTracker = ({ orderId, currentStatus, className = '' }) => {
                     <div className="flex items-center justify-between mt-1">
                         <span className="text-xs text-gray-500">Last Updated:</span>
                         <span className="text-xs text-gray-500">
-                            {new Date(lastUpdate).toLocaleString()}
+                            {formatDate(lastUpdate, 'dateTime')}
                         </span>
                     </div>
                 )}
@@ -1,7 +1,9 @@
 import React, { useState } from 'react';
 import './CouponValidator.css';
+import { useI18n } from '../../contexts/I18nContext';
 
 const CouponValidator = ({ orderAmount, onCouponApplied, onCouponRemoved, appliedCoupon }) => {
+    const { t, formatCurrency } = useI18n();
     const [couponCode, setCouponCode] = useState('');
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
@@ -9,12 +11,12 @@ const CouponValidator = ({ orderAmount, onCouponApplied, onCouponRemoved, applie
 
     const validateCoupon = async () => {
         if (!couponCode.trim()) {
-            setError('Please enter a coupon code');
+            setError(t('coupon.enterCode'));
             return;
         }
 
         if (!orderAmount || orderAmount <= 0) {
-            setError('Invalid order amount');
+            setError(t('coupon.invalidAmount'));
             return;
         }
 
@@ -30,11 +32,11 @@ const CouponValidator = ({ orderAmount, onCouponApplied, onCouponRemoved, applie
             const data = await response.json();
 
             if (!response.ok) {
-                throw new Error(data.error || 'Failed to validate coupon');
+                throw new Error(data.error || t('coupon.validateFailed'));
             }
 
             if (data.valid) {
-                setSuccess(`Coupon applied! You save $${data.discount.toFixed(2)}`);
+                setSuccess(t('coupon.applied', { amount: formatCurrency(data.discount) }));
                 setCouponCode('');
 
                 if (onCouponApplied) {
@@ -46,11 +48,11 @@ const CouponValidator = ({ orderAmount, onCouponApplied, onCouponRemoved, applie
                     });
                 }
             } else {
-                setError(data.error || 'Invalid coupon code');
+                setError(data.error || t('coupon.invalidCode'));
             }
         } catch (err) {
             console.error('Error validating coupon:', err);
-            setError(err.message || 'Failed to validate coupon');
+            setError(err.message || t('coupon.validateFailed'));
         } finally {
             setLoading(false);
         }
@@ -82,7 +84,7 @@ const CouponValidator = ({ orderAmount, onCouponApplied, onCouponRemoved, applie
             <div className="coupon-validator__header">
                 <h3 className="coupon-validator__title">
                     <span className="coupon-validator__icon">🎫</span>
-                    Promo Code
+                    {t('coupon.title')}
                 </h3>
             </div>
 
@@ -93,13 +95,13 @@ const CouponValidator = ({ orderAmount, onCouponApplied, onCouponRemoved, applie
                             <span className="applied-coupon__code">{appliedCoupon.code}</span>
                             <span className="applied-coupon__name">{appliedCoupon.name}</span>
                             <span className="applied-coupon__discount">
-                                -${appliedCoupon.discount.toFixed(2)}
+                                -{formatCurrency(appliedCoupon.discount)}
                             </span>
                         </div>
                         <button
                             className="applied-coupon__remove"
                             onClick={removeCoupon}
-                            title="Remove coupon"
+                            title={t('coupon.remove')}
                         >
                             ✕
                         </button>
@@ -111,7 +113,7 @@ const CouponValidator = ({ orderAmount, onCouponApplied, onCouponRemoved, applie
                         <input
                             type="text"
                             className="coupon-validator__input"
-                            placeholder="Enter coupon code"
+                            placeholder={t('coupon.placeholder')}
                             value={couponCode}
                             onChange={(e) => setCouponCode(e.target.value.toUpperCase())}
                             onKeyPress={handleKeyPress}
@@ -126,7 +128,7 @@ const CouponValidator = ({ orderAmount, onCouponApplied, onCouponRemoved, applie
                             {loading ? (
                                 <span className="coupon-validator__spinner">⟳</span>
                             ) : (
-                                'Apply'
+                                t('coupon.apply')
                             )}
                         </button>
                     </div>
@@ -148,11 +150,11 @@ const CouponValidator = ({ orderAmount, onCouponApplied, onCouponRemoved, applie
             )}
 
             <div className="coupon-validator__suggestions">
-                <p className="suggestions-title">Available Offers:</p>
+                <p className="suggestions-title">{t('coupon.offers')}</p>
                 <div className="suggestions-list">
-                    <span className="suggestion-item">WELCOME10 - 10% off first order</span>
-                    <span className="suggestion-item">FREESHIP - Free shipping over $50</span>
-                    <span className="suggestion-item">SAVE20 - $20 off orders over $100</span>
+                    <span className="suggestion-item">WELCOME10 - {t('coupon.welcomeOffer')}</span>
+                    <span className="suggestion-item">FREESHIP - {t('coupon.freeShipOffer', { amount: formatCurrency(50) })}</span>
+                    <span className="suggestion-item">SAVE20 - {t('coupon.saveOffer', { amount: formatCurrency(20), minimum: formatCurrency(100) })}</span>
                 </div>
             </div>
         </div>
@@ -1,7 +1,9 @@
 import React, { useState, useEffect } from 'react';
 import './FlashSales.css';
+import { useI18n } from '../../contexts/I18nContext';
 
 const FlashSales = () => {
+    const { t, formatNumber } = useI18n();
     const [flashSales, setFlashSales] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
@@ -35,7 +37,7 @@ const FlashSales = () => {
         const diff = expiry - now;
 
         if (diff <= 0) {
-            return 'Expired';
+            return t('flashSales.expired');
         }
 
         const days = Math.floor(diff / (1000 * 60 * 60 * 24));
@@ -43,22 +45,22 @@ const FlashSales = () => {
         const minutes = Math.floor((diff % (1000 * 60 * 60)) / (1000 * 60));
 
         if (days > 0) {
-            return `${days}d ${hours}h`;
+            return t('flashSales.daysHours', { days: formatNumber(days), hours: formatNumber(hours) });
         } else if (hours > 0) {
-            return `${hours}h ${minutes}m`;
+            return t('flashSales.hoursMinutes', { hours: formatNumber(hours), minutes: formatNumber(minutes) });
         } else {
-            return `${minutes}m`;
+            return t('flashSales.minutes', { minutes: formatNumber(minutes) });
         }
     };
 
     const getStatusBadge = (status) => {
         switch (status) {
             case 'active':
-                return <span className="flash-sale__badge flash-sale__badge--active">🔥 Live Now</span>;
+                return <span className="flash-sale__badge flash-sale__badge--active">🔥 {t('flashSales.live')}</span>;
             case 'upcoming':
-                return <span className="flash-sale__badge flash-sale__badge--upcoming">⏰ Coming Soon</span>;
+                return <span className="flash-sale__badge flash-sale__badge--upcoming">⏰ {t('flashSales.upcoming')}</span>;
             case 'expired':
-                return <span className="flash-sale__badge flash-sale__badge--expired">⏰ Ended</span>;
+                return <span className="flash-sale__badge flash-sale__badge--expired">⏰ {t('flashSales.ended')}</span>;
             default:
                 return null;
         }
@@ -68,7 +70,7 @@ const FlashSales = () => {
         return (
             <div className="flash-sales">
                 <div className="flash-sales__header">
-                    <h2 className="flash-sales__title">⚡ Flash Sales</h2>
+                    <h2 className="flash-sales__title">⚡ {t('flashSales.title')}</h2>
                 </div>
                 <div className="flash-sales__loading">
                     <div className="flash-sale-skeleton">
@@ -87,7 +89,7 @@ const FlashSales = () => {
             <div className="flash-sales">
                 <div className="flash-sales__error">
                     <span className="error-icon">⚠️</span>
-                    <p>Unable to load flash sales</p>
+                    <p>{t('flashSales.loadFailed')}</p>
                 </div>
             </div>
         );
@@ -98,8 +100,8 @@ const FlashSales = () => {
             <div className="flash-sales">
                 <div className="flash-sales__empty">
                     <span className="empty-icon">⚡</span>
-                    <p>No flash sales available right now</p>
-                    <small>Check back later for amazing deals!</small>
+                    <p>{t('flashSales.empty')}</p>
+                    <small>{t('flashSales.emptyHint')}</small>
                 </div>
             </div>
         );
@@ -110,9 +112,9 @@ const FlashSales = () => {
             <div className="flash-sales__header">
                 <h2 className="flash-sales__title">
                     <span className="title-icon">⚡</span>
-                    Flash Sales
+                    {t('flashSales.title')}
                 </h2>
-                <p className="flash-sales__subtitle">Limited time offers - Don't miss out!</p>
+                <p className="flash-sales__subtitle">{t('flashSales.subtitle')}</p>
             </div>
 
             <div className="flash-sales__grid">
@@ -130,6 +132,7 @@ const FlashSales = () => {
 };
 
 const FlashSaleCard = ({ sale, formatTimeRemaining, getStatusBadge }) => {
+    const { t, formatCurrency, formatNumber, localize } = useI18n();
     const [products, setProducts] = useState([]);
     const [loadingProducts, setLoadingProducts] = useState(false);
     const [showProducts, setShowProducts] = useState(false);
@@ -170,20 +173,20 @@ const FlashSaleCard = ({ sale, formatTimeRemaining, getStatusBadge }) => {
 
             <div className="flash-sale-card__details">
                 <div className="flash-sale-detail">
-                    <span className="detail-label">Discount:</span>
+                    <span className="detail-label">{t('flashSales.discount')}</span>
                     <span className="detail-value discount-value">
-                        {sale.discount_percentage}% OFF
+                        {t('flashSales.percentOff', { percent: formatNumber(sale.discount_percentage) })}
                     </span>
                 </div>
 
                 <div className="flash-sale-detail">
-                    <span className="detail-label">Products:</span>
-                    <span className="detail-value">{sale.product_count || 0}</span>
+                    <span className="detail-label">{t('flashSales.products')}</span>
+                    <span className="detail-value">{formatNumber(sale.product_count || 0)}</span>
                 </div>
 
                 {sale.status === 'active' && (
                     <div className="flash-sale-detail">
-                        <span className="detail-label">Ends in:</span>
+                        <span className="detail-label">{t('flashSales.endsIn')}</span>
                         <span className="detail-value timer-value">
                             {formatTimeRemaining(sale.expires_at)}
                         </span>
@@ -192,7 +195,7 @@ const FlashSaleCard = ({ sale, formatTimeRemaining, getStatusBadge }) => {
 
                 {sale.status === 'upcoming' && (
                     <div className="flash-sale-detail">
-                        <span className="detail-label">Starts in:</span>
+                        <span className="detail-label">{t('flashSales.startsIn')}</span>
                         <span className="detail-value timer-value">
                             {formatTimeRemaining(sale.starts_at)}
                         </span>
@@ -209,9 +212,9 @@ const FlashSaleCard = ({ sale, formatTimeRemaining, getStatusBadge }) => {
                     {loadingProducts ? (
                         <span className="button-spinner">⟳</span>
                     ) : showProducts ? (
-                        'Hide Products'
+                        t('flashSales.hideProducts')
                     ) : (
-                        'View Products'
+                        t('flashSales.viewProducts')
                     )}
                 </button>
             </div>
@@ -223,13 +226,13 @@ const FlashSaleCard = ({ sale, formatTimeRemaining, getStatusBadge }) => {
                             {products.slice(0, 4).map((product) => (
                                 <div key={product.id} className="product-item">
                                     <div className="product-info">
-                                        <h4 className="product-name">{product.name}</h4>
+                                        <h4 className="product-name">{localize(product, 'name')}</h4>
                                         <div className="product-prices">
                                             <span className="original-price">
-                                                ${product.original_price}
+                                                {formatCurrency(product.original_price)}
                                             </span>
                                             <span className="sale-price">
-                                                ${product.sale_price}
+                                                {formatCurrency(product.sale_price)}
                                             </span>
                                         </div>
                                     </div>
@@ -237,7 +240,7 @@ const FlashSaleCard = ({ sale, formatTimeRemaining, getStatusBadge }) => {
                             ))}
                         </div>
                     ) : (
-                        <p className="no-products">No products available</p>
+                        <p className="no-products">{t('flashSales.noProducts')}</p>
                     )}
                 </div>
             )}
@@ -7,8 +7,10 @@ import {
     UserCircleIcon
 } from '@heroicons/react/24/outline';
 import { StarIcon as StarIconSolid } from '@heroicons/react/24/solid';
+import { useI18n } from '../../contexts/I18nContext';
 
 const ProductReviews = ({ productId, onReviewSubmit }) => {
+    const { t, formatNumber } = useI18n();
     const [reviews, setReviews] = useState([]);
     const [stats, setStats] = useState(null);
     const [loading, setLoading] = useState(true);
@@ -55,10 +57,10 @@ const ProductReviews = ({ productId, onReviewSubmit }) => {
                     totalPages: data.data.pagination.totalPages
                 }));
             } else {
-                setError('Failed to load reviews');
+                setError('reviews.loadFailed');
             }
         } catch (err) {
-            setError('Failed to load reviews');
+            setError('reviews.loadFailed');
         } finally {
             setLoading(false);
         }
@@ -90,7 +92,7 @@ const ProductReviews = ({ productId, onReviewSubmit }) => {
         try {
             const token = localStorage.getItem('authToken');
             if (!token) {
-                alert('Please log in to vote on reviews');
+                alert(t('reviews.loginToVote'));
                 return;
             }
 
@@ -108,10 +110,10 @@ const ProductReviews = ({ productId, onReviewSubmit }) => {
                 fetchReviews();
             } else {
                 const data = await response.json();
-                alert(data.error || 'Failed to vote on review');
+                alert(data.error || t('reviews.voteFailed'));
             }
         } catch (err) {
-            alert('Failed to vote on review');
+            alert(t('reviews.voteFailed'));
         }
     };
 
@@ -119,7 +121,7 @@ const ProductReviews = ({ productId, onReviewSubmit }) => {
         try {
             const token = localStorage.getItem('authToken');
             if (!token) {
-                alert('Please log in to report reviews');
+                alert(t('reviews.loginToReport'));
                 return;
             }
 
@@ -133,13 +135,13 @@ const ProductReviews = ({ productId, onReviewSubmit }) => {
             });
 
             if (response.ok) {
-                alert('Review reported successfully');
+                alert(t('reviews.reported'));
             } else {
                 const data = await response.json();
-                alert(data.error || 'Failed to report review');
+                alert(data.error || t('reviews.reportFailed'));
             }
         } catch (err) {
-            alert('Failed to report review');
+            alert(t('reviews.reportFailed'));
         }
     };
 
@@ -180,7 +182,7 @@ const ProductReviews = ({ productId, onReviewSubmit }) => {
                                         : 'hover:bg-gray-100'
                                     }`}
                             >
-                                <span>{rating}</span>
+                                <span>{formatNumber(rating)}</span>
                                 <StarIconSolid className="w-3 h-3 text-yellow-400" />
                             </button>
                             <div className="flex-1 bg-gray-200 rounded-full h-2">
@@ -189,7 +191,7 @@ const ProductReviews = ({ productId, onReviewSubmit }) => {
                                     style={{ width: `${percentage}%` }}
                                 />
                             </div>
-                            <span className="text-gray-600 w-8 text-right">{count}</span>
+                            <span className="text-gray-600 w-8 text-right">{formatNumber(count)}</span>
                         </div>
                     );
                 })}
@@ -221,12 +223,14 @@ const ProductReviews = ({ productId, onReviewSubmit }) => {
                 <div className="bg-white rounded-lg border p-6">
                     <div className="flex items-start justify-between">
                         <div>
-                            <h3 className="text-lg font-semibold mb-2">Customer Reviews</h3>
+                            <h3 className="text-lg font-semibold mb-2">{t('reviews.title')}</h3>
                             <div className="flex items-center space-x-4">
                                 <div className="flex items-center space-x-2">
                                     {renderStars(Math.round(stats.averageRating), 'w-5 h-5')}
-                                    <span className="text-lg font-medium">{stats.averageRating.toFixed(1)}</span>
-                                    <span className="text-gray-500">({stats.reviewCount} reviews)</span>
+                                    <span className="text-lg font-medium">
+                                        {formatNumber(stats.averageRating, { minimumFractionDigits: 1, maximumFractionDigits: 1 })}
+                                    </span>
+                                    <span className="text-gray-500">{t('reviews.count', { count: formatNumber(stats.reviewCount) })}</span>
                                 </div>
                             </div>
                         </div>
@@ -236,14 +240,14 @@ const ProductReviews = ({ productId, onReviewSubmit }) => {
                                 onClick={onReviewSubmit}
                                 className="px-4 py-2 bg-blue-600 text-white rounded-lg hover:bg-blue-700 transition-colors"
                             >
-                                Write a Review
+                                {t('reviews.write')}
                             </button>
                         )}
                     </div>
 
                     {/* Rating Distribution */}
                     <div className="mt-6">
-                        <h4 className="font-medium mb-3">Rating Breakdown</h4>
+                        <h4 className="font-medium mb-3">{t('reviews.breakdown')}</h4>
                         {renderRatingDistribution()}
                     </div>
                 </div>
@@ -253,15 +257,15 @@ const ProductReviews = ({ productId, onReviewSubmit }) => {
             <div className="bg-white rounded-lg border p-4">
                 <div className="flex flex-wrap items-center gap-4">
                     <div className="flex items-center space-x-2">
-                        <label className="text-sm font-medium">Sort by:</label>
+                        <label className="text-sm font-medium">{t('reviews.sortBy')}</label>
                         <select
                             value={filters.sortBy}
                             onChange={(e) => handleFilterChange({ sortBy: e.target.value })}
                             className="border rounded px-3 py-1 text-sm"
                         >
-                            <option value="created_at">Most Recent</option>
-                            <option value="helpful_count">Most Helpful</option>
-                            <option value="rating">Highest Rating</option>
+                            <option value="created_at">{t('reviews.sortRecent')}</option>
+                            <option value="helpful_count">{t('reviews.sortHelpful')}</option>
+                            <option value="rating">{t('reviews.sortRating')}</option>
                         </select>
                     </div>
 
@@ -274,7 +278,7 @@ const ProductReviews = ({ productId, onReviewSubmit }) => {
                             className="rounded"
                         />
                         <label htmlFor="verifiedOnly" className="text-sm">
-                            Verified purchases only
+                            {t('reviews.verifiedOnly')}
                         </label>
                     </div>
 
@@ -283,7 +287,7 @@ const ProductReviews = ({ productId, onReviewSubmit }) => {
                             onClick={() => handleFilterChange({ rating: null })}
                             className="px-3 py-1 bg-gray-100 text-gray-700 rounded-full text-sm hover:bg-gray-200 transition-colors"
                         >
-                            Clear rating filter ✕
+                            {t('reviews.clearRating')} ✕
                         </button>
                     )}
                 </div>
@@ -294,7 +298,7 @@ const ProductReviews = ({ productId, onReviewSubmit }) => {
                 {reviews.length === 0 ? (
                     <div className="text-center py-12 text-gray-500">
                         <StarIcon className="w-12 h-12 mx-auto mb-4 text-gray-300" />
-                        <p>No reviews yet. Be the first to review this product!</p>
+                        <p>{t('reviews.empty')}</p>
                     </div>
                 ) : (
                     reviews.map((review) => (
@@ -316,11 +320,11 @@ const ProductReviews = ({ productId, onReviewSubmit }) => {
                         disabled={pagination.page === 1}
                         className="px-3 py-2 border rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
                     >
-                        Previous
+                        {t('common.previous')}
                     </button>
 
                     <span className="px-4 py-2 text-sm text-gray-600">
-                        Page {pagination.page} of {pagination.totalPages}
+                        {t('common.pageOf', { page: formatNumber(pagination.page), total: formatNumber(pagination.totalPages) })}
                     </span>
 
                     <button
@@ -328,7 +332,7 @@ const ProductReviews = ({ productId, onReviewSubmit }) => {
                         disabled={pagination.page === pagination.totalPages}
                         className="px-3 py-2 border rounded-lg disabled:opacity-50 disabled:cursor-not-allowed hover:bg-gray-50"
                     >
-                        Next
+                        {t('common.next')}
                     </button>
                 </div>
             )}
@@ -338,13 +342,14 @@ const ProductReviews = ({ productId, onReviewSubmit }) => {
 
 // Individual Review Card Component
 const ReviewCard = ({ review, onHelpfulVote, onReport }) => {
+    const { t, formatNumber, formatDate } = useI18n();
     const [showReportForm, setShowReportForm] = useState(false);
     const [reportReason, setReportReason] = useState('');
     const [reportDescription, setReportDescription] = useState('');
 
     const handleReport = () => {
         if (!reportReason) {
-            alert('Please select a reason for reporting');
+            alert(t('reviews.selectReasonAlert'));
             return;
         }
 
@@ -381,14 +386,14 @@ const ReviewCard = ({ review, onHelpfulVote, onReport }) => {
                             </span>
                             {review.is_verified_purchase && (
                                 <span className="px-2 py-1 bg-green-100 text-green-800 text-xs rounded-full">
-                                    Verified Purchase
+                                    {t('reviews.verifiedPurchase')}
                                 </span>
                             )}
                         </div>
                         <div className="flex items-center space-x-2 mt-1">
                             {renderStars(review.rating)}
                             <span className="text-sm text-gray-500">
-                                {new Date(review.created_at).toLocaleDateString()}
+                                {formatDate(review.created_at)}
                             </span>
                         </div>
                     </div>
@@ -397,7 +402,7 @@ const ReviewCard = ({ review, onHelpfulVote, onReport }) => {
                 <button
                     onClick={() => setShowReportForm(!showReportForm)}
                     className="text-gray-400 hover:text-gray-600 p-1"
-                    title="Report review"
+                    title={t('reviews.report')}
                 >
                     <ExclamationTriangleIcon className="w-5 h-5" />
                 </button>
@@ -414,6 +419,26 @@ const ReviewCard = ({ review, onHelpfulVote, onReport }) => {
                 </p>
             )}
 
+            {review.media && review.media.length > 0 && (
+                <div className="flex flex-wrap gap-2 mb-4">
+                    {review.media.map(media => (
+                        <a
+                            key={media.id}
+                            href={media.media_url}
+                            target="_blank"
+                            rel="noopener noreferrer"
+                        >
+                            <img
+                                src={media.media_thumbnail_url || media.media_url}
+                                alt={media.alt_text || t('reviews.customerPhoto')}
+                                className="w-20 h-20 object-cover rounded-lg border"
+                                loading="lazy"
+                            />
+                        </a>
+                    ))}
+                </div>
+            )}
+
             {/* Review Actions */}
             <div className="flex items-center justify-between pt-4 border-t">
                 <div className="flex items-center space-x-4">
@@ -422,7 +447,7 @@ const ReviewCard = ({ review, onHelpfulVote, onReport }) => {
                         className="flex items-center space-x-1 text-sm text-gray-600 hover:text-green-600 transition-colors"
                     >
                         <HandThumbUpIcon className="w-4 h-4" />
-                        <span>Helpful ({review.helpful_count})</span>
+                        <span>{t('reviews.helpful', { count: formatNumber(review.helpful_count) })}</span>
                     </button>
 
                     <button
@@ -430,7 +455,7 @@ const ReviewCard = ({ review, onHelpfulVote, onReport }) => {
                         className="flex items-center space-x-1 text-sm text-gray-600 hover:text-red-600 transition-colors"
                     >
                         <HandThumbDownIcon className="w-4 h-4" />
-                        <span>Not Helpful</span>
+                        <span>{t('reviews.notHelpful')}</span>
                     </button>
                 </div>
             </div>
@@ -438,34 +463,34 @@ const ReviewCard = ({ review, onHelpfulVote, onReport }) => {
             {/* Report Form */}
             {showReportForm && (
                 <div className="mt-4 p-4 bg-gray-50 rounded-lg">
-                    <h5 className="font-medium mb-3">Report this review</h5>
+                    <h5 className="font-medium mb-3">{t('reviews.reportTitle')}</h5>
                     <div className="space-y-3">
                         <div>
-                            <label className="block text-sm font-medium mb-1">Reason</label>
+                            <label className="block text-sm font-medium mb-1">{t('reviews.reason')}</label>
                             <select
                                 value={reportReason}
                                 onChange={(e) => setReportReason(e.target.value)}
                                 className="w-full border rounded px-3 py-2"
                             >
-                                <option value="">Select a reason</option>
-                                <option value="spam">Spam</option>
-                                <option value="inappropriate">Inappropriate content</option>
-                                <option value="fake">Fake review</option>
-                                <option value="offensive">Offensive language</option>
-                                <option value="other">Other</option>
+                                <option value="">{t('reviews.selectReason')}</option>
+                                <option value="spam">{t('reviews.reasonSpam')}</option>
+                                <option value="inappropriate">{t('reviews.reasonInappropriate')}</option>
+                                <option value="fake">{t('reviews.reasonFake')}</option>
+                                <option value="offensive">{t('reviews.reasonOffensive')}</option>
+                                <option value="other">{t('reviews.reasonOther')}</option>
                             </select>
                         </div>
 
                         <div>
                             <label className="block text-sm font-medium mb-1">
-                                Description (optional)
+                                {t('reviews.description')}
                             </label>
                             <textarea
                                 value={reportDescription}
                                 onChange={(e) => setReportDescription(e.target.value)}
                                 className="w-full border rounded px-3 py-2"
                                 rows="3"
-                                placeholder="Provide additional details..."
+                                placeholder={t('reviews.descriptionPlaceholder')}
                             />
                         </div>
 
@@ -474,13 +499,13 @@ const ReviewCard = ({ review, onHelpfulVote, onReport }) => {
                                 onClick={handleReport}
                                 className="px-4 py-2 bg-red-600 text-white rounded hover:bg-red-700 transition-colors"
                             >
-                                Submit Report
+                                {t('reviews.submitReport')}
                             </button>
                             <button
                                 onClick={() => setShowReportForm(false)}
                                 className="px-4 py-2 border rounded hover:bg-gray-50 transition-colors"
                             >
-                                Cancel
+                                {t('common.cancel')}
                             </button>
                         </div>
                     </div>
@@ -8,9 +8,42 @@ const ReviewForm = ({ productId, onSubmit, onCancel, existingReview = null }) =>
         title: existingReview?.title || '',
         reviewText: existingReview?.review_text || ''
     });
+    const [photos, setPhotos] = useState([]);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
 
+    const existingPhotoCount = existingReview?.media?.length || 0;
+    const maxPhotos = 5 - existingPhotoCount;
+
+    const handlePhotoChange = (e) => {
+        const selected = Array.from(e.target.files);
+        if (selected.length > maxPhotos) {
+            setError(`You can add up to ${maxPhotos} more photo${maxPhotos === 1 ? '' : 's'}`);
+        }
+        setPhotos(selected.slice(0, maxPhotos));
+    };
+
+    // Photos are attached once the review exists. The review is kept even if
+    // the upload fails.
+    const uploadPhotos = async (reviewId, token) => {
+        const upload = new FormData();
+        photos.forEach(photo => upload.append('images', photo));
+
+        const response = await fetch(`/api/media/reviews/${reviewId}`, {
+            method: 'POST',
+            headers: {
+                'Authorization': `Bearer ${token}`
+            },
+            body: upload
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            throw new Error(data.error || 'Failed to upload photos');
+        }
+        return data.data.media;
+    };
+
     const handleRatingClick = (rating) => {
         setFormData(prev => ({ ...prev, rating }));
     };
@@ -61,7 +94,15 @@ const ReviewForm = ({ productId, onSubmit, onCancel, existingReview = null }) =>
             const data = await response.json();
 
             if (data.success) {
-                onSubmit(data.data.review);
+                const review = data.data.review;
+                if (photos.length > 0) {
+                    try {
+                        review.media = await uploadPhotos(review.id, token);
+                    } catch (uploadError) {
+                        alert(`Your review was saved, but the photos could not be uploaded: ${uploadError.message}`);
+                    }
+                }
+                onSubmit(review);
             } else {
                 setError(data.error || 'Failed to submit review');
             }
@@ -156,6 +197,28 @@ const ReviewForm = ({ productId, onSubmit, onCancel, existingReview = null }) =>
                     </div>
                 </div>
 
+                {/* Photos */}
+                {maxPhotos > 0 && (
+                    <div>
+                        <label htmlFor="reviewPhotos" className="block text-sm font-medium mb-2">
+                            Photos (optional)
+                        </label>
+                        <input
+                            type="file"
+                            id="reviewPhotos"
+                            accept="image/jpeg,image/png,image/webp,image/gif,image/avif"
+                            multiple
+                            onChange={handlePhotoChange}
+                            className="block w-full text-sm text-gray-600"
+                        />
+                        <div className="text-xs text-gray-500 mt-1">
+                            {photos.length > 0 ?
+                                `${photos.length} photo${photos.length === 1 ? '' : 's'} selected` :
+                                `Up to ${maxPhotos} images, 10 MB each`}
+                        </div>
+                    </div>
+                )}
+
                 {/* Guidelines */}
                 <div className="bg-blue-50 border border-blue-200 rounded-lg p-3">
                     <h4 className="text-sm font-medium text-blue-800 mb-2">Review Guidelines</h4>
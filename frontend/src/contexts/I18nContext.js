@@ -0,0 +1,107 @@
+import React, { createContext, useContext, useEffect, useState, useCallback, useMemo } from 'react';
+import apiClient from '../api';
+import logger from '../logger';
+import { DEFAULT_LOCALE, normalizeLocale, translate } from '../i18n';
+import { formatCurrency, formatNumber, formatDate } from '../i18n/format';
+
+const I18nContext = createContext();
+
+export const useI18n = () => {
+    const context = useContext(I18nContext);
+    if (!context) {
+        throw new Error('useI18n must be used within an I18nProvider');
+    }
+    return context;
+};
+
+// A signed-in customer's profile language wins, then the last choice made on
+// this device, then the browser's language
+const getInitialLocale = () => {
+    try {
+        const storedUser = JSON.parse(localStorage.getItem('user') || 'null');
+        if (storedUser && storedUser.locale) {
+            return normalizeLocale(storedUser.locale);
+        }
+    } catch (error) {
+        // Ignore a malformed stored user; App clears it on load
+    }
+
+    return normalizeLocale(localStorage.getItem('locale') || navigator.language || DEFAULT_LOCALE);
+};
+
+export const I18nProvider = ({ children }) => {
+    const [locale, setLocaleState] = useState(getInitialLocale);
+    const [banglaNumerals, setBanglaNumeralsState] = useState(
+        () => localStorage.getItem('banglaNumerals') !== 'false'
+    );
+
+    useEffect(() => {
+        document.documentElement.lang = locale;
+        apiClient.setLocale(locale);
+    }, [locale]);
+
+    // Switch language. Signed-in customers also get it saved to their profile
+    // so their emails arrive in the same language; `save: false` applies a
+    // language that came from the profile, e.g. on login.
+    const setLocale = useCallback(async (nextLocale, { save = true } = {}) => {
+        const normalized = normalizeLocale(nextLocale);
+        setLocaleState(normalized);
+        localStorage.setItem('locale', normalized);
+
+        const token = localStorage.getItem('authToken');
+        if (!save || !token) {
+            return;
+        }
+
+        try {
+            await apiClient.put('/auth/profile', { locale: normalized }, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            const storedUser = JSON.parse(localStorage.getItem('user') || 'null');
+            if (storedUser) {
+                localStorage.setItem('user', JSON.stringify({ ...storedUser, locale: normalized }));
+            }
+            logger.info('Language preference saved', { locale: normalized });
+        } catch (error) {
+            logger.error('Failed to save language preference', { error: error.message, locale: normalized });
+        }
+    }, []);
+
+    const setBanglaNumerals = useCallback((enabled) => {
+        setBanglaNumeralsState(enabled);
+        localStorage.setItem('banglaNumerals', String(enabled));
+    }, []);
+
+    const value = useMemo(() => ({
+        locale,
+        setLocale,
+        banglaNumerals,
+        setBanglaNumerals,
+
+        t: (key, params) => translate(locale, key, params),
+
+        formatCurrency: (amount) => formatCurrency(amount, locale, { banglaNumerals }),
+        formatNumber: (number, options = {}) => formatNumber(number, locale, { ...options, banglaNumerals }),
+        formatDate: (date, format) => formatDate(date, locale, format, { banglaNumerals }),
+
+        // Catalog records carry Bangla text in "<field>_bn"; use it when
+        // browsing in Bangla and it has been filled in
+        localize: (record, field) => {
+            if (!record) {
+                return '';
+            }
+            return (locale === 'bn' && record[`${field}_bn`]) || record[field];
+        }
+    }), [locale, setLocale, banglaNumerals, setBanglaNumerals]);
+
+    return (
+        <I18nContext.Provider value={value}>
+            {children}
+        </I18nContext.Provider>
+    );
+};
+
+export default I18nContext;
@@ -67,15 +67,19 @@ export const WebSocketProvider = ({ children }) => {
         // Inventory updates
         newSocket.on('inventory:updated', (data) => {
             console.log('Inventory update received:', data);
+            // Variant changes are also kept under "productId:variantId"
             setInventoryUpdates(prev => ({
                 ...prev,
-                [data.productId]: data
+                [data.productId]: data,
+                ...(data.variantId ? { [`${data.productId}:${data.variantId}`]: data } : {})
             }));
 
             if (data.lowStock) {
                 addNotification({
                     type: 'warning',
-                    message: `Low stock alert: Product ${data.productId} has ${data.stockQuantity} items remaining`,
+                    message: data.variantId
+                        ? `Low stock alert: Product ${data.productId} (${data.variantTitle}) has ${data.variantStockQuantity} items remaining`
+                        : `Low stock alert: Product ${data.productId} has ${data.stockQuantity} items remaining`,
                     timestamp: data.timestamp
                 });
             }
@@ -97,7 +101,9 @@ export const WebSocketProvider = ({ children }) => {
                 type: 'info',
                 message: `Order #${data.orderId}: ${data.message}`,
                 timestamp: data.timestamp,
-                orderId: data.orderId
+                orderId: data.orderId,
+                status: data.status,
+                tracking: data.tracking
             });
         });
 
@@ -111,6 +117,42 @@ export const WebSocketProvider = ({ children }) => {
             });
         });
 
+        // Return updates
+        newSocket.on('return:status_updated', (data) => {
+            console.log('Return status update:', data);
+            addNotification({
+                type: 'info',
+                message: `Return ${data.returnNumber}: ${data.status.replace(/_/g, ' ')}`,
+                timestamp: data.timestamp,
+                returnId: data.returnId,
+                status: data.status
+            });
+        });
+
+        newSocket.on('return:new_request', (data) => {
+            console.log('New return request:', data);
+            addNotification({
+                type: 'info',
+                message: `New ${data.type} request ${data.returnNumber} for order #${data.orderId}`,
+                timestamp: data.timestamp,
+                returnId: data.returnId
+            });
+        });
+
+        // Back-in-stock and price-drop alerts
+        newSocket.on('product:alert', (data) => {
+            console.log('Product alert received:', data);
+            const name = data.variantTitle ? `${data.productName} (${data.variantTitle})` : data.productName;
+            addNotification({
+                type: 'success',
+                message: data.kind === 'price_drop'
+                    ? `Price drop: ${name} is now ৳${data.price}`
+                    : `Back in stock: ${name}`,
+                timestamp: data.timestamp,
+                productId: data.productId
+            });
+        });
+
         // Chat messages
         newSocket.on('chat:message:sent', (data) => {
             console.log('Chat message sent:', data);
@@ -225,9 +267,9 @@ export const WebSocketProvider = ({ children }) => {
         setChatMessages([]);
     }, []);
 
-    // Get inventory update for specific product
-    const getInventoryUpdate = useCallback((productId) => {
-        return inventoryUpdates[productId] || null;
+    // Get inventory update for specific product, or one of its variants
+    const getInventoryUpdate = useCallback((productId, variantId = null) => {
+        return inventoryUpdates[variantId ? `${productId}:${variantId}` : productId] || null;
     }, [inventoryUpdates]);
 
     // Clear inventory updates
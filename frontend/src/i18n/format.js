@@ -0,0 +1,60 @@
+// Locale-aware formatting for prices, numbers and dates.
+//
+// Bangla uses the bn-BD conventions (lakh grouping, Bangla month names);
+// its digits are Bangla (১২৩) unless the shopper turns Bangla numerals off.
+
+export const CURRENCY_SYMBOL = '৳';
+
+const LANGUAGE_TAGS = {
+    en: 'en-BD',
+    bn: 'bn-BD'
+};
+
+export const getLanguageTag = (locale, banglaNumerals = true) => {
+    const tag = LANGUAGE_TAGS[locale] || LANGUAGE_TAGS.en;
+    return locale === 'bn' && !banglaNumerals ? `${tag}-u-nu-latn` : tag;
+};
+
+const toNumber = (value) => {
+    const number = typeof value === 'number' ? value : parseFloat(value);
+    return Number.isFinite(number) ? number : 0;
+};
+
+export const formatNumber = (value, locale, { banglaNumerals = true, ...options } = {}) => {
+    return new Intl.NumberFormat(getLanguageTag(locale, banglaNumerals), options).format(toNumber(value));
+};
+
+// Prices are always BDT and shown as "৳1,250.00" / "৳১,২৫০.০০". The symbol
+// is placed in front in both languages, as shoppers in Bangladesh write it.
+export const formatCurrency = (amount, locale, { banglaNumerals = true } = {}) => {
+    const number = toNumber(amount);
+    const formatted = formatNumber(Math.abs(number), locale, {
+        banglaNumerals,
+        minimumFractionDigits: 2,
+        maximumFractionDigits: 2
+    });
+
+    return `${number < 0 ? '-' : ''}${CURRENCY_SYMBOL}${formatted}`;
+};
+
+export const DATE_FORMATS = {
+    date: { year: 'numeric', month: 'long', day: 'numeric' },
+    shortDate: { year: 'numeric', month: 'short', day: 'numeric' },
+    dateTime: { year: 'numeric', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' },
+    time: { hour: '2-digit', minute: '2-digit' }
+};
+
+// `format` is one of DATE_FORMATS or a set of Intl.DateTimeFormat options
+export const formatDate = (value, locale, format = 'shortDate', { banglaNumerals = true } = {}) => {
+    if (!value) {
+        return '';
+    }
+
+    const date = value instanceof Date ? value : new Date(value);
+    if (Number.isNaN(date.getTime())) {
+        return '';
+    }
+
+    const options = typeof format === 'string' ? DATE_FORMATS[format] : format;
+    return new Intl.DateTimeFormat(getLanguageTag(locale, banglaNumerals), options).format(date);
+};
@@ -0,0 +1,41 @@
+import en from './messages/en';
+import bn from './messages/bn';
+
+// Same locales as the backend accepts for users and orders
+export const SUPPORTED_LOCALES = ['en', 'bn'];
+export const DEFAULT_LOCALE = 'en';
+
+// Each language is named in itself for the switcher
+export const LOCALE_NAMES = {
+    en: 'English',
+    bn: 'বাংলা'
+};
+
+const catalogs = { en, bn };
+
+export const normalizeLocale = (value) => {
+    const language = String(value || '').toLowerCase().split(/[-_]/)[0];
+    return SUPPORTED_LOCALES.includes(language) ? language : DEFAULT_LOCALE;
+};
+
+const lookup = (catalog, key) => key.split('.').reduce(
+    (node, part) => (node && typeof node === 'object' ? node[part] : undefined),
+    catalog
+);
+
+// Look up a dotted key ("cart.title") and fill "{name}" placeholders.
+// Falls back to English, then to the key itself, so a missing Bangla string
+// never leaves a blank in the page.
+export const translate = (locale, key, params = {}) => {
+    let message = lookup(catalogs[locale], key);
+    if (typeof message !== 'string') {
+        message = lookup(catalogs[DEFAULT_LOCALE], key);
+    }
+    if (typeof message !== 'string') {
+        return key;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) =>
+        params[name] !== undefined && params[name] !== null ? String(params[name]) : match
+    );
+};
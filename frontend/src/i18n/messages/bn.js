@@ -0,0 +1,527 @@
+// Bangla storefront messages, keyed the same as en.js. Anything missing
+// here falls back to English.
+
+const messages = {
+    common: {
+        tryAgain: 'আবার চেষ্টা করুন',
+        addToCart: 'কার্টে যোগ করুন',
+        shipping: 'ডেলিভারি চার্জ',
+        free: 'ফ্রি',
+        tax: 'ট্যাক্স',
+        total: 'মোট',
+        subtotal: 'সাবটোটাল',
+        loading: 'লোড হচ্ছে...',
+        previous: 'আগের',
+        next: 'পরের',
+        pageOf: 'পৃষ্ঠা {page} / {total}',
+        cancel: 'বাতিল'
+    },
+    header: {
+        home: 'হোম',
+        products: 'পণ্য',
+        categories: 'ক্যাটাগরি',
+        about: 'আমাদের সম্পর্কে',
+        contact: 'যোগাযোগ',
+        searchPlaceholder: 'পণ্য খুঁজুন...',
+        language: 'ভাষা',
+        login: 'লগইন',
+        register: 'রেজিস্টার',
+        cart: 'কার্ট'
+    },
+    footer: {
+        about: 'ভালো দামে মানসম্মত পণ্যের জন্য আপনার বিশ্বস্ত অনলাইন মার্কেটপ্লেস। দ্রুত ডেলিভারি আর চমৎকার গ্রাহকসেবা দিয়ে আমরা আপনাকে দিই কেনাকাটার সেরা অভিজ্ঞতা।',
+        quickLinks: 'দ্রুত লিংক',
+        allProducts: 'সব পণ্য',
+        categories: 'ক্যাটাগরি',
+        specialDeals: 'বিশেষ অফার',
+        newArrivals: 'নতুন পণ্য',
+        bestSellers: 'সেরা বিক্রিত',
+        customerService: 'গ্রাহকসেবা',
+        contactUs: 'যোগাযোগ করুন',
+        faq: 'সাধারণ জিজ্ঞাসা',
+        shippingInfo: 'ডেলিভারি তথ্য',
+        returns: 'রিটার্ন ও এক্সচেঞ্জ',
+        supportCenter: 'সাপোর্ট সেন্টার',
+        copyright: '© {year} ঢাকাকার্ট। সর্বস্বত্ব সংরক্ষিত।',
+        privacy: 'গোপনীয়তা নীতি',
+        terms: 'সেবার শর্তাবলি',
+        cookies: 'কুকি নীতি'
+    },
+    home: {
+        whyTitle: 'কেন ঢাকাকার্ট?',
+        whySubtitle: 'কেনাকাটার সেরা অভিজ্ঞতা দিতে আমরা প্রতিশ্রুতিবদ্ধ',
+        fastDelivery: 'দ্রুত ডেলিভারি',
+        fastDeliveryText: '{amount}-এর বেশি অর্ডারে ফ্রি ডেলিভারি। নির্দিষ্ট এলাকায় একই দিনে ডেলিভারি।',
+        securePayment: 'নিরাপদ পেমেন্ট',
+        securePaymentText: 'আপনার পেমেন্টের তথ্য এনক্রিপ্ট করা এবং আন্তর্জাতিক মানের সুরক্ষায় নিরাপদ।',
+        easyReturns: 'সহজ রিটার্ন',
+        easyReturnsText: '৩০ দিনের রিটার্ন নীতি। পুরোপুরি সন্তুষ্ট না হলে কোনো প্রশ্ন ছাড়াই ফেরত।',
+        support: '২৪/৭ সাপোর্ট',
+        supportText: 'আপনাকে সাহায্য করতে আমাদের গ্রাহকসেবা টিম দিনরাত প্রস্তুত।',
+        newsletterTitle: 'আপডেট থাকুন',
+        newsletterSubtitle: 'এক্সক্লুসিভ অফার আর নতুন পণ্যের খবর পেতে আমাদের নিউজলেটারে সাবস্ক্রাইব করুন',
+        emailPlaceholder: 'আপনার ইমেইল লিখুন',
+        subscribe: 'সাবস্ক্রাইব'
+    },
+    hero: {
+        titleBefore: '',
+        brand: 'ঢাকাকার্ট',
+        titleAfter: '-এ স্বাগতম',
+        subtitle: 'অবিশ্বাস্য দামে দারুণ সব পণ্য খুঁজে নিন। ইলেকট্রনিক্স থেকে ফ্যাশন, ঘরের দরকারি জিনিস থেকে উপহার - আপনার যা দরকার সবই আছে, পৌঁছে যাবে আপনার দোরগোড়ায়।',
+        shopNow: 'এখনই কিনুন',
+        browseCategories: 'ক্যাটাগরি দেখুন',
+        tagline: 'আপনার কেনাকাটার ঠিকানা'
+    },
+    featured: {
+        title: 'বাছাই করা পণ্য',
+        loading: 'আমাদের সেরা পণ্যগুলো লোড হচ্ছে...',
+        loadFailed: 'বাছাই করা পণ্য লোড করা যায়নি',
+        subtitle: 'আমাদের সবচেয়ে জনপ্রিয় ও উচ্চ রেটিংয়ের পণ্যগুলো দেখুন',
+        viewAll: 'সব পণ্য দেখুন'
+    },
+    showcase: {
+        title: 'ক্যাটাগরি অনুযায়ী কেনাকাটা',
+        subtitle: 'আমাদের বিস্তৃত পণ্য ক্যাটাগরিগুলো ঘুরে দেখুন',
+        electronics: 'ইলেকট্রনিক্স',
+        electronicsDescription: 'সর্বশেষ গ্যাজেট ও প্রযুক্তি',
+        fashion: 'ফ্যাশন',
+        fashionDescription: 'ট্রেন্ডি পোশাক ও এক্সেসরিজ',
+        homeGarden: 'ঘর ও বাগান',
+        homeGardenDescription: 'আপনার ঘরের সবকিছু',
+        sports: 'খেলাধুলা ও ফিটনেস',
+        sportsDescription: 'সক্রিয় জীবনের সরঞ্জাম',
+        books: 'বই ও মিডিয়া',
+        booksDescription: 'জ্ঞান ও বিনোদন',
+        beauty: 'সৌন্দর্য ও স্বাস্থ্য',
+        beautyDescription: 'আপনার সুস্থতার যত্ন',
+        itemCount: '{count}+ পণ্য',
+        explore: 'দেখুন',
+        viewAll: 'সব ক্যাটাগরি দেখুন'
+    },
+    products: {
+        loading: 'পণ্য লোড হচ্ছে...',
+        loadFailed: 'পণ্য লোড করা যায়নি',
+        title: 'পণ্য',
+        found: '{count}টি পণ্য পাওয়া গেছে',
+        foundFor: '"{search}"-এর জন্য {count}টি পণ্য পাওয়া গেছে',
+        search: 'খুঁজুন',
+        category: 'ক্যাটাগরি',
+        allCategories: 'সব ক্যাটাগরি',
+        priceRange: 'দামের সীমা',
+        min: 'সর্বনিম্ন',
+        max: 'সর্বোচ্চ',
+        sortBy: 'সাজান',
+        sortRelevance: 'সবচেয়ে মানানসই',
+        sortPopular: 'সবচেয়ে জনপ্রিয়',
+        sortRating: 'সেরা রেটিং',
+        sortPriceAsc: 'দাম: কম থেকে বেশি',
+        sortPriceDesc: 'দাম: বেশি থেকে কম',
+        sortNewest: 'নতুনগুলো আগে',
+        brand: 'ব্র্যান্ড',
+        color: 'রং',
+        material: 'উপকরণ',
+        availability: 'প্রাপ্যতা',
+        inStockOnly: 'শুধু স্টকে থাকা পণ্য',
+        facetCount: '({count})',
+        showMore: 'আরও দেখুন',
+        showLess: 'কম দেখুন',
+        applyFilters: 'ফিল্টার প্রয়োগ করুন',
+        clearFilters: 'ফিল্টার মুছুন',
+        showing: '{count}টি পণ্য দেখানো হচ্ছে',
+        grid: 'গ্রিড',
+        list: 'তালিকা',
+        noResults: 'কোনো পণ্য পাওয়া যায়নি',
+        noResultsHint: 'খোঁজার শব্দ বা ফিল্টার বদলে আবার চেষ্টা করুন।',
+        didYouMean: 'আপনি কি {suggestion} খুঁজছেন?'
+    },
+    productDetail: {
+        loadFailed: 'পণ্যের বিস্তারিত লোড করা যায়নি',
+        chooseOptions: 'অনুগ্রহ করে {options} বেছে নিন।',
+        addedToCart: '{name} কার্টে যোগ হয়েছে!',
+        addToCartFailed: 'পণ্যটি কার্টে যোগ করা যায়নি। আবার চেষ্টা করুন।',
+        wishlistFailed: 'পছন্দের তালিকা আপডেট করা যায়নি। আবার চেষ্টা করুন।',
+        loading: 'পণ্যের বিস্তারিত লোড হচ্ছে...',
+        notFound: 'পণ্যটি পাওয়া যায়নি',
+        backToProducts: 'পণ্যের তালিকায় ফিরে যান',
+        chooseOne: 'একটি বেছে নিন',
+        unavailableCombination: 'এই সমন্বয়টি পাওয়া যাচ্ছে না',
+        description: 'বিবরণ',
+        specifications: 'বিবরণী',
+        quantity: 'পরিমাণ:',
+        adding: 'কার্টে যোগ হচ্ছে...',
+        outOfStock: 'স্টকে নেই',
+        removeFromWishlist: 'পছন্দের তালিকা থেকে সরান',
+        addToWishlist: 'পছন্দের তালিকায় যোগ করুন',
+        freeShipping: '{amount}-এর বেশি অর্ডারে ফ্রি ডেলিভারি',
+        securePayment: 'নিরাপদ পেমেন্ট',
+        related: 'সম্পর্কিত পণ্য',
+        notifyBackInStock: 'আবার স্টকে এলে আমাকে জানান',
+        backInStockSubscribed: 'আবার স্টকে এলে আমরা আপনাকে ইমেইল করব।',
+        priceAlertLabel: 'দাম কমে এই পরিমাণ হলে জানান',
+        priceAlertButton: 'অ্যালার্ট দিন',
+        priceAlertSubscribed: 'দাম কমে {price} হলে আমরা আপনাকে ইমেইল করব।',
+        cancelAlert: 'অ্যালার্ট বাতিল করুন',
+        alertFailed: 'অ্যালার্ট আপডেট করা যায়নি। আবার চেষ্টা করুন।'
+    },
+    reviews: {
+        loadFailed: 'রিভিউ লোড করা যায়নি',
+        loginToVote: 'রিভিউতে ভোট দিতে লগ ইন করুন',
+        voteFailed: 'ভোট দেওয়া যায়নি',
+        loginToReport: 'রিভিউ রিপোর্ট করতে লগ ইন করুন',
+        reported: 'রিভিউটি রিপোর্ট করা হয়েছে',
+        reportFailed: 'রিভিউ রিপোর্ট করা যায়নি',
+        title: 'ক্রেতাদের রিভিউ',
+        count: '({count}টি রিভিউ)',
+        write: 'রিভিউ লিখুন',
+        breakdown: 'রেটিং বিভাজন',
+        sortBy: 'সাজান:',
+        sortRecent: 'সাম্প্রতিক',
+        sortHelpful: 'সবচেয়ে সহায়ক',
+        sortRating: 'সর্বোচ্চ রেটিং',
+        verifiedOnly: 'শুধু যাচাইকৃত কেনাকাটা',
+        clearRating: 'রেটিং ফিল্টার মুছুন',
+        empty: 'এখনও কোনো রিভিউ নেই। প্রথম রিভিউটি আপনিই লিখুন!',
+        selectReasonAlert: 'রিপোর্টের একটি কারণ বেছে নিন',
+        verifiedPurchase: 'যাচাইকৃত ক্রেতা',
+        report: 'রিভিউ রিপোর্ট করুন',
+        customerPhoto: 'ক্রেতার ছবি',
+        helpful: 'সহায়ক ({count})',
+        notHelpful: 'সহায়ক নয়',
+        reportTitle: 'এই রিভিউটি রিপোর্ট করুন',
+        reason: 'কারণ',
+        selectReason: 'একটি কারণ বেছে নিন',
+        reasonSpam: 'স্প্যাম',
+        reasonInappropriate: 'অনুপযুক্ত বিষয়বস্তু',
+        reasonFake: 'ভুয়া রিভিউ',
+        reasonOffensive: 'আপত্তিকর ভাষা',
+        reasonOther: 'অন্যান্য',
+        description: 'বিবরণ (ঐচ্ছিক)',
+        descriptionPlaceholder: 'আরও বিস্তারিত লিখুন...',
+        submitReport: 'রিপোর্ট জমা দিন'
+    },
+    categories: {
+        loadFailed: 'ক্যাটাগরি লোড করা যায়নি',
+        loading: 'ক্যাটাগরি লোড হচ্ছে...',
+        title: 'ক্যাটাগরি অনুযায়ী কেনাকাটা',
+        subtitle: 'আমাদের নানা ধরনের ক্যাটাগরি ঘুরে দেখুন এবং ঠিক যা খুঁজছেন তা খুঁজে নিন। ইলেকট্রনিক্স থেকে ফ্যাশন, সবই আছে এখানে।',
+        productCount: '{count}টি পণ্য',
+        popular: 'এই সপ্তাহের জনপ্রিয়',
+        popularSubtitle: 'এই সপ্তাহের সবচেয়ে জনপ্রিয় ক্যাটাগরিগুলো দেখুন',
+        itemCount: '{count}টি পণ্য'
+    },
+    cart: {
+        loading: 'কার্ট লোড হচ্ছে...',
+        title: 'শপিং কার্ট',
+        empty: 'আপনার কার্ট খালি',
+        emptyHint: 'মনে হচ্ছে আপনি এখনও কার্টে কোনো পণ্য যোগ করেননি।',
+        startShopping: 'কেনাকাটা শুরু করুন',
+        itemCountOne: 'আপনার কার্টে {count}টি পণ্য',
+        itemCount: 'আপনার কার্টে {count}টি পণ্য',
+        items: 'কার্টের পণ্য',
+        clear: 'কার্ট খালি করুন',
+        each: 'প্রতিটি {price}',
+        remove: 'পণ্যটি সরান',
+        summary: 'অর্ডারের সারসংক্ষেপ',
+        subtotalItems: 'সাবটোটাল ({count}টি পণ্য)',
+        freeShippingQualified: 'আপনি ফ্রি ডেলিভারি পাচ্ছেন!',
+        freeShippingRemaining: 'ফ্রি ডেলিভারির জন্য আরও {amount} যোগ করুন',
+        vatAtCheckout: 'চেকআউটে হিসাব করা হবে',
+        checkout: 'চেকআউট করুন',
+        continueShopping: 'কেনাকাটা চালিয়ে যান',
+        secureCheckout: 'নিরাপদ চেকআউট',
+        returnPolicy: '৩০ দিনের রিটার্ন নীতি',
+        support: 'গ্রাহক সহায়তা'
+    },
+    coupon: {
+        enterCode: 'একটি কুপন কোড লিখুন',
+        invalidAmount: 'অর্ডারের পরিমাণ সঠিক নয়',
+        validateFailed: 'কুপন যাচাই করা যায়নি',
+        applied: 'কুপন প্রয়োগ হয়েছে! আপনার সাশ্রয় {amount}',
+        invalidCode: 'কুপন কোডটি সঠিক নয়',
+        title: 'প্রোমো কোড',
+        remove: 'কুপন সরান',
+        placeholder: 'কুপন কোড লিখুন',
+        apply: 'প্রয়োগ করুন',
+        offers: 'চলমান অফার:',
+        welcomeOffer: 'প্রথম অর্ডারে ১০% ছাড়',
+        freeShipOffer: '{amount}-এর বেশি অর্ডারে ফ্রি ডেলিভারি',
+        saveOffer: '{minimum}-এর বেশি অর্ডারে {amount} ছাড়'
+    },
+    checkout: {
+        firstNameRequired: 'নামের প্রথম অংশ দিতে হবে',
+        lastNameRequired: 'নামের শেষ অংশ দিতে হবে',
+        emailRequired: 'ইমেইল দিতে হবে',
+        emailInvalid: 'ইমেইলটি সঠিক নয়',
+        phoneRequired: 'ফোন নম্বর দিতে হবে',
+        phoneInvalid: 'সঠিক বাংলাদেশি ফোন নম্বর দিন',
+        addressRequired: 'ঠিকানা দিতে হবে',
+        divisionRequired: 'বিভাগ বেছে নিন',
+        districtRequired: 'জেলা বেছে নিন',
+        thanaRequired: 'থানা বেছে নিন',
+        cardNumberRequired: 'কার্ড নম্বর দিতে হবে',
+        cardNumberInvalid: 'কার্ড নম্বরটি সঠিক নয়',
+        expiryRequired: 'মেয়াদ শেষের তারিখ দিতে হবে',
+        cvvRequired: 'CVV দিতে হবে',
+        cvvInvalid: 'CVV সঠিক নয়',
+        cardNameRequired: 'কার্ডধারীর নাম দিতে হবে',
+        placeOrderFailed: 'অর্ডার করা যায়নি। আবার চেষ্টা করুন।',
+        title: 'চেকআউট',
+        stepShipping: 'ডেলিভারি',
+        stepPayment: 'পেমেন্ট',
+        stepReview: 'পর্যালোচনা',
+        shippingInfo: 'ডেলিভারির তথ্য',
+        savedAddresses: 'সংরক্ষিত ঠিকানা',
+        newAddress: 'নতুন ঠিকানা ব্যবহার করুন',
+        firstName: 'নামের প্রথম অংশ *',
+        lastName: 'নামের শেষ অংশ *',
+        email: 'ইমেইল *',
+        phone: 'ফোন *',
+        address: 'ঠিকানা *',
+        addressPlaceholder: 'বাড়ি, রোড, এলাকা',
+        division: 'বিভাগ *',
+        selectDivision: 'বিভাগ বেছে নিন',
+        district: 'জেলা *',
+        selectDistrict: 'জেলা বেছে নিন',
+        thana: 'থানা *',
+        selectThana: 'থানা বেছে নিন',
+        postalCode: 'পোস্ট কোড',
+        saveAddress: 'এই ঠিকানাটি আমার ঠিকানা বইতে সংরক্ষণ করুন',
+        continueToPayment: 'পেমেন্টে যান',
+        paymentInfo: 'পেমেন্টের তথ্য',
+        cardNumber: 'কার্ড নম্বর *',
+        expiryDate: 'মেয়াদ শেষের তারিখ *',
+        cvv: 'CVV *',
+        cardName: 'কার্ডধারীর নাম *',
+        orderNotes: 'অর্ডার নোট (ঐচ্ছিক)',
+        orderNotesPlaceholder: 'আপনার অর্ডারের জন্য বিশেষ কোনো নির্দেশনা...',
+        backToShipping: 'ডেলিভারির তথ্যে ফিরে যান',
+        reviewOrder: 'অর্ডার পর্যালোচনা করুন',
+        reviewTitle: 'আপনার অর্ডার পর্যালোচনা করুন',
+        shippingAddress: 'ডেলিভারির ঠিকানা',
+        paymentMethod: 'পেমেন্ট পদ্ধতি',
+        backToPayment: 'পেমেন্টে ফিরে যান',
+        placingOrder: 'অর্ডার করা হচ্ছে...',
+        placeOrder: 'অর্ডার করুন',
+        secureSsl: 'নিরাপদ SSL এনক্রিপশন',
+        moneyBack: '৩০ দিনের মানি-ব্যাক গ্যারান্টি',
+        vat: 'ভ্যাট',
+        vatIncluded: 'ভ্যাট (দামের মধ্যে অন্তর্ভুক্ত)'
+    },
+    orderSuccess: {
+        title: 'অর্ডার নিশ্চিত হয়েছে!',
+        subtitle: 'কেনাকাটার জন্য ধন্যবাদ। আপনার অর্ডারটি সফলভাবে সম্পন্ন হয়েছে।',
+        orderNumber: 'অর্ডার নম্বর:',
+        totalAmount: 'মোট পরিমাণ:',
+        viewOrders: 'অর্ডারগুলো দেখুন',
+        whatsNext: 'এরপর কী?',
+        emailNotice: 'শিগগিরই আপনি অর্ডার নিশ্চিতকরণ ইমেইল পাবেন',
+        trackingNotice: 'অর্ডার পাঠানো হলে আমরা ট্র্যাকিং তথ্য পাঠাব',
+        deliveryEstimate: 'আনুমানিক ডেলিভারি: ৩-৫ কর্মদিবস',
+        questions: 'কোনো প্রশ্ন? আমাদের সাপোর্ট টিমের সাথে যোগাযোগ করুন'
+    },
+    orders: {
+        loading: 'অর্ডার লোড হচ্ছে...',
+        loadFailed: 'অর্ডার লোড করা যায়নি',
+        title: 'অর্ডারের ইতিহাস',
+        subtitle: 'আপনার অর্ডার ট্র্যাক করুন ও কেনাকাটার ইতিহাস দেখুন',
+        empty: 'এখনও কোনো অর্ডার নেই',
+        emptyHint: 'আপনি এখনও কোনো অর্ডার করেননি। কেনাকাটা শুরু করলে এখানে অর্ডারের ইতিহাস দেখতে পাবেন।',
+        orderNumber: 'অর্ডার #{id}',
+        placedOn: 'অর্ডারের তারিখ: {date}',
+        quantityPrice: 'পরিমাণ: {quantity} × {price}',
+        trackingNumber: 'ট্র্যাকিং নম্বর:',
+        total: 'মোট: {amount}',
+        viewDetails: 'বিস্তারিত দেখুন',
+        reorder: 'আবার অর্ডার করুন',
+        downloadInvoice: 'ইনভয়েস ডাউনলোড করুন',
+        downloadingInvoice: 'ইনভয়েস তৈরি হচ্ছে...',
+        invoiceFailed: 'ইনভয়েস ডাউনলোড করা যায়নি। আবার চেষ্টা করুন।',
+        backToAccount: 'অ্যাকাউন্টে ফিরে যান',
+        returns: 'রিটার্ন ও এক্সচেঞ্জ'
+    },
+    returns: {
+        loading: 'রিটার্ন অনুরোধ লোড হচ্ছে...',
+        loadFailed: 'রিটার্ন অনুরোধ লোড করা যায়নি',
+        ordersLoadFailed: 'আপনার অর্ডার লোড করা যায়নি',
+        title: 'রিটার্ন ও এক্সচেঞ্জ',
+        subtitle: 'ডেলিভারি পাওয়া অর্ডারের পণ্য ৭ দিনের মধ্যে ফেরত পাঠান',
+        newRequest: 'রিটার্নের অনুরোধ করুন',
+        noDeliveredOrders: 'ফেরত দেওয়ার মতো ডেলিভারি হওয়া কোনো অর্ডার এখনও নেই।',
+        order: 'অর্ডার',
+        chooseOrder: 'একটি অর্ডার বেছে নিন',
+        item: 'পণ্য',
+        chooseItem: 'একটি পণ্য বেছে নিন',
+        type: 'অনুরোধ',
+        quantity: 'পরিমাণ',
+        exchangeFor: 'যার সাথে বদলাবেন',
+        sameItem: 'একই পণ্য',
+        outOfStock: 'স্টকে নেই',
+        reason: 'কারণ',
+        details: 'আরও জানান (ঐচ্ছিক)',
+        photos: 'ছবি (সর্বোচ্চ {count}টি)',
+        tooManyPhotos: 'আপনি সর্বোচ্চ {count}টি ছবি যুক্ত করতে পারবেন',
+        photosFailed: 'আপনার অনুরোধ পাঠানো হয়েছে, কিন্তু ছবিগুলো আপলোড করা যায়নি',
+        submit: 'অনুরোধ পাঠান',
+        submitting: 'পাঠানো হচ্ছে...',
+        submitFailed: 'রিটার্নের অনুরোধ পাঠানো যায়নি। আবার চেষ্টা করুন।',
+        confirmCancel: 'রিটার্ন অনুরোধ {number} বাতিল করবেন?',
+        cancelRequest: 'অনুরোধ বাতিল করুন',
+        cancelFailed: 'রিটার্ন অনুরোধ বাতিল করা যায়নি',
+        empty: 'কোনো রিটার্ন অনুরোধ নেই',
+        emptyHint: 'ডেলিভারি হওয়া অর্ডারের জন্য করা অনুরোধগুলো এখানে দেখা যাবে।',
+        forOrder: 'অর্ডার {order} · অনুরোধের তারিখ: {date}',
+        pickupOn: 'পিকআপের তারিখ: {date}',
+        refunded: '{amount} ফেরত দেওয়া হয়েছে',
+        note: 'আমাদের বার্তা: {note}',
+        backToOrders: 'অর্ডারে ফিরে যান',
+        types: {
+            return: 'রিটার্ন',
+            exchange: 'এক্সচেঞ্জ'
+        },
+        reasons: {
+            damaged: 'ক্ষতিগ্রস্ত অবস্থায় এসেছে',
+            defective: 'ত্রুটিপূর্ণ',
+            wrong_item: 'ভুল পণ্য পাঠানো হয়েছে',
+            not_as_described: 'বর্ণনার সাথে মেলে না',
+            size_or_fit: 'সাইজ বা ফিটিং',
+            changed_mind: 'মত বদলেছি',
+            other: 'অন্যান্য'
+        },
+        statuses: {
+            requested: 'অনুরোধ করা হয়েছে',
+            approved: 'অনুমোদিত',
+            rejected: 'প্রত্যাখ্যাত',
+            pickup_scheduled: 'পিকআপ নির্ধারিত',
+            received: 'গৃহীত',
+            refunding: 'টাকা ফেরত প্রক্রিয়াধীন',
+            refunded: 'টাকা ফেরত দেওয়া হয়েছে',
+            exchanged: 'বদলে দেওয়া হয়েছে',
+            cancelled: 'বাতিল'
+        }
+    },
+    orderStatus: {
+        pending: 'অপেক্ষমাণ',
+        confirmed: 'নিশ্চিত',
+        processing: 'প্রক্রিয়াধীন',
+        partially_shipped: 'আংশিক পাঠানো হয়েছে',
+        shipped: 'পাঠানো হয়েছে',
+        delivered: 'ডেলিভারি হয়েছে',
+        cancelled: 'বাতিল',
+        unknown: 'অজানা'
+    },
+    wishlist: {
+        loadFailed: 'পছন্দের তালিকা লোড করা যায়নি',
+        removeFailed: 'পছন্দের তালিকা থেকে সরানো যায়নি। আবার চেষ্টা করুন।',
+        confirmClear: 'আপনি কি পুরো পছন্দের তালিকা খালি করতে চান?',
+        clearFailed: 'পছন্দের তালিকা খালি করা যায়নি। আবার চেষ্টা করুন।',
+        loading: 'পছন্দের তালিকা লোড হচ্ছে...',
+        title: 'আমার পছন্দের তালিকা',
+        subtitle: 'পরে কেনার জন্য পণ্য সংরক্ষণ করুন',
+        empty: 'আপনার পছন্দের তালিকা খালি',
+        emptyHint: 'পছন্দের পণ্যের হার্ট আইকনে ক্লিক করে তালিকায় যোগ করুন।',
+        browse: 'পণ্য দেখুন',
+        itemCountOne: 'আপনার তালিকায় {count}টি পণ্য',
+        itemCount: 'আপনার তালিকায় {count}টি পণ্য',
+        clear: 'তালিকা খালি করুন',
+        moveToCart: 'কার্টে নিন'
+    },
+    account: {
+        loadFailed: 'ব্যবহারকারীর তথ্য লোড করা যায়নি',
+        profileUpdated: 'প্রোফাইল আপডেট হয়েছে!',
+        profileUpdateFailed: 'প্রোফাইল আপডেট করা যায়নি',
+        passwordMismatch: 'নতুন পাসওয়ার্ড দুটি মিলছে না',
+        passwordUpdated: 'পাসওয়ার্ড আপডেট হয়েছে!',
+        passwordUpdateFailed: 'পাসওয়ার্ড আপডেট করা যায়নি',
+        languageSaved: 'ভাষা পরিবর্তন হয়েছে। এখন থেকে ইমেইলও বাংলায় পাঠানো হবে।',
+        goToLogin: 'লগ ইনে যান',
+        title: 'আমার অ্যাকাউন্ট',
+        welcome: 'আবারও স্বাগতম, {name}',
+        profile: 'প্রোফাইলের তথ্য',
+        changePassword: 'পাসওয়ার্ড পরিবর্তন',
+        languageTab: 'ভাষা ও অঞ্চল',
+        wishlist: 'পছন্দের তালিকা',
+        addresses: 'ঠিকানা',
+        logout: 'লগ আউট',
+        firstName: 'নামের প্রথম অংশ',
+        lastName: 'নামের শেষ অংশ',
+        email: 'ইমেইল ঠিকানা',
+        phone: 'ফোন নম্বর',
+        updating: 'আপডেট হচ্ছে...',
+        updateProfile: 'প্রোফাইল আপডেট করুন',
+        currentPassword: 'বর্তমান পাসওয়ার্ড',
+        newPassword: 'নতুন পাসওয়ার্ড',
+        confirmPassword: 'নতুন পাসওয়ার্ড নিশ্চিত করুন',
+        updatePassword: 'পাসওয়ার্ড আপডেট করুন',
+        language: 'ভাষা',
+        languageHint: 'স্টোর এবং আমাদের পাঠানো ইমেইলে এই ভাষা ব্যবহার হবে।',
+        banglaNumerals: 'দাম ও তারিখ বাংলা সংখ্যায় দেখান',
+        formatPreview: 'দাম ও তারিখ দেখাবে এভাবে: {price}, {date}',
+        alerts: 'স্টক ও দামের অ্যালার্ট',
+        noAlerts: 'আপনার কোনো অ্যালার্ট নেই। পণ্য স্টকে না থাকলে বা কাঙ্ক্ষিত দামের জন্য পণ্যের পাতা থেকে অ্যালার্ট দিন।',
+        alertBackInStock: 'আবার স্টকে এলে',
+        alertPriceDrop: 'দাম কমে {price} হলে',
+        alertExpires: '{date} পর্যন্ত',
+        alertSending: 'আপনার ইনবক্সে পাঠানো হচ্ছে',
+        removeAlert: 'সরান',
+        alertsLoadFailed: 'আপনার অ্যালার্টগুলো লোড করা যায়নি',
+        alertRemoveFailed: 'অ্যালার্টটি সরানো যায়নি'
+    },
+    auth: {
+        loginFailed: 'লগ ইন করা যায়নি',
+        signInTitle: 'DhakaCart-এ লগ ইন করুন',
+        emailPlaceholder: 'আপনার ইমেইল লিখুন',
+        password: 'পাসওয়ার্ড',
+        passwordPlaceholder: 'আপনার পাসওয়ার্ড লিখুন',
+        signingIn: 'লগ ইন হচ্ছে...',
+        signIn: 'লগ ইন',
+        orContinueWith: 'অথবা চালিয়ে যান',
+        continueWith: '{provider} দিয়ে চালিয়ে যান',
+        noAccount: 'অ্যাকাউন্ট নেই?',
+        signUpHere: 'এখানে নিবন্ধন করুন',
+        forgotPassword: 'পাসওয়ার্ড ভুলে গেছেন?',
+        passwordRequired: 'পাসওয়ার্ড দিতে হবে',
+        passwordTooShort: 'পাসওয়ার্ড কমপক্ষে ৬ অক্ষরের হতে হবে',
+        passwordMismatch: 'পাসওয়ার্ড দুটি মিলছে না',
+        mustAgree: 'শর্তাবলিতে সম্মতি দিতে হবে',
+        registrationFailed: 'নিবন্ধন করা যায়নি',
+        registerTitle: 'আপনার অ্যাকাউন্ট তৈরি করুন',
+        firstNamePlaceholder: 'নামের প্রথম অংশ লিখুন',
+        lastNamePlaceholder: 'নামের শেষ অংশ লিখুন',
+        phonePlaceholder: 'আপনার ফোন নম্বর লিখুন',
+        createPassword: 'একটি পাসওয়ার্ড তৈরি করুন',
+        confirmPassword: 'পাসওয়ার্ড নিশ্চিত করুন',
+        confirmPasswordPlaceholder: 'পাসওয়ার্ডটি আবার লিখুন',
+        agreeTo: 'আমি এতে সম্মত:',
+        and: 'এবং',
+        creatingAccount: 'অ্যাকাউন্ট তৈরি হচ্ছে...',
+        createAccount: 'অ্যাকাউন্ট তৈরি করুন',
+        orSignUpWith: 'অথবা নিবন্ধন করুন',
+        signUpWith: '{provider} দিয়ে নিবন্ধন করুন',
+        haveAccount: 'আগে থেকেই অ্যাকাউন্ট আছে?',
+        signInHere: 'এখানে লগ ইন করুন'
+    },
+    flashSales: {
+        expired: 'মেয়াদোত্তীর্ণ',
+        daysHours: '{days} দিন {hours} ঘণ্টা',
+        hoursMinutes: '{hours} ঘণ্টা {minutes} মিনিট',
+        minutes: '{minutes} মিনিট',
+        live: 'এখন চলছে',
+        upcoming: 'শিগগিরই আসছে',
+        ended: 'শেষ হয়েছে',
+        title: 'ফ্ল্যাশ সেল',
+        loadFailed: 'ফ্ল্যাশ সেল লোড করা যায়নি',
+        empty: 'এই মুহূর্তে কোনো ফ্ল্যাশ সেল নেই',
+        emptyHint: 'দারুণ অফারের জন্য পরে আবার দেখুন!',
+        subtitle: 'সীমিত সময়ের অফার - মিস করবেন না!',
+        discount: 'ছাড়:',
+        percentOff: '{percent}% ছাড়',
+        products: 'পণ্য:',
+        endsIn: 'শেষ হবে:',
+        startsIn: 'শুরু হবে:',
+        hideProducts: 'পণ্য লুকান',
+        viewProducts: 'পণ্য দেখুন',
+        noProducts: 'কোনো পণ্য নেই'
+    }
+};
+
+export default messages;
@@ -0,0 +1,527 @@
+// English storefront messages. Keys are grouped by page or component;
+// "{name}" placeholders are filled in by translate().
+
+const messages = {
+    common: {
+        tryAgain: 'Try Again',
+        addToCart: 'Add to Cart',
+        shipping: 'Shipping',
+        free: 'Free',
+        tax: 'Tax',
+        total: 'Total',
+        subtotal: 'Subtotal',
+        loading: 'Loading...',
+        previous: 'Previous',
+        next: 'Next',
+        pageOf: 'Page {page} of {total}',
+        cancel: 'Cancel'
+    },
+    header: {
+        home: 'Home',
+        products: 'Products',
+        categories: 'Categories',
+        about: 'About',
+        contact: 'Contact',
+        searchPlaceholder: 'Search products...',
+        language: 'Language',
+        login: 'Login',
+        register: 'Register',
+        cart: 'Cart'
+    },
+    footer: {
+        about: 'Your trusted online marketplace for quality products at great prices. We bring you the best shopping experience with fast delivery and excellent customer service.',
+        quickLinks: 'Quick Links',
+        allProducts: 'All Products',
+        categories: 'Categories',
+        specialDeals: 'Special Deals',
+        newArrivals: 'New Arrivals',
+        bestSellers: 'Best Sellers',
+        customerService: 'Customer Service',
+        contactUs: 'Contact Us',
+        faq: 'FAQ',
+        shippingInfo: 'Shipping Info',
+        returns: 'Returns & Exchanges',
+        supportCenter: 'Support Center',
+        copyright: '© {year} DhakaCart. All rights reserved.',
+        privacy: 'Privacy Policy',
+        terms: 'Terms of Service',
+        cookies: 'Cookie Policy'
+    },
+    home: {
+        whyTitle: 'Why Choose DhakaCart?',
+        whySubtitle: 'We\'re committed to providing the best shopping experience',
+        fastDelivery: 'Fast Delivery',
+        fastDeliveryText: 'Free shipping on orders over {amount}. Same-day delivery available in select areas.',
+        securePayment: 'Secure Payment',
+        securePaymentText: 'Your payment information is encrypted and secure with industry-standard protection.',
+        easyReturns: 'Easy Returns',
+        easyReturnsText: '30-day return policy. No questions asked if you\'re not completely satisfied.',
+        support: '24/7 Support',
+        supportText: 'Our customer service team is available around the clock to help you.',
+        newsletterTitle: 'Stay Updated',
+        newsletterSubtitle: 'Subscribe to our newsletter for exclusive deals and new product announcements',
+        emailPlaceholder: 'Enter your email',
+        subscribe: 'Subscribe'
+    },
+    hero: {
+        titleBefore: 'Welcome to ',
+        brand: 'DhakaCart',
+        titleAfter: '',
+        subtitle: 'Discover amazing products at unbeatable prices. From electronics to fashion, home essentials to gifts - we have everything you need, delivered right to your doorstep.',
+        shopNow: 'Shop Now',
+        browseCategories: 'Browse Categories',
+        tagline: 'Your Shopping Destination'
+    },
+    featured: {
+        title: 'Featured Products',
+        loading: 'Loading our best products...',
+        loadFailed: 'Failed to load featured products',
+        subtitle: 'Discover our most popular and highly-rated products',
+        viewAll: 'View All Products'
+    },
+    showcase: {
+        title: 'Shop by Category',
+        subtitle: 'Explore our wide range of product categories',
+        electronics: 'Electronics',
+        electronicsDescription: 'Latest gadgets and tech',
+        fashion: 'Fashion',
+        fashionDescription: 'Trendy clothing and accessories',
+        homeGarden: 'Home & Garden',
+        homeGardenDescription: 'Everything for your home',
+        sports: 'Sports & Fitness',
+        sportsDescription: 'Gear for active lifestyle',
+        books: 'Books & Media',
+        booksDescription: 'Knowledge and entertainment',
+        beauty: 'Beauty & Health',
+        beautyDescription: 'Care for your wellbeing',
+        itemCount: '{count}+ items',
+        explore: 'Explore',
+        viewAll: 'View All Categories'
+    },
+    products: {
+        loading: 'Loading products...',
+        loadFailed: 'Failed to load products',
+        title: 'Products',
+        found: '{count} products found',
+        foundFor: '{count} products found for "{search}"',
+        search: 'Search',
+        category: 'Category',
+        allCategories: 'All Categories',
+        priceRange: 'Price Range',
+        min: 'Min',
+        max: 'Max',
+        sortBy: 'Sort By',
+        sortRelevance: 'Best Match',
+        sortPopular: 'Most Popular',
+        sortRating: 'Top Rated',
+        sortPriceAsc: 'Price: Low to High',
+        sortPriceDesc: 'Price: High to Low',
+        sortNewest: 'Newest First',
+        brand: 'Brand',
+        color: 'Colour',
+        material: 'Material',
+        availability: 'Availability',
+        inStockOnly: 'In stock only',
+        facetCount: '({count})',
+        showMore: 'Show more',
+        showLess: 'Show less',
+        applyFilters: 'Apply Filters',
+        clearFilters: 'Clear Filters',
+        showing: 'Showing {count} products',
+        grid: 'Grid',
+        list: 'List',
+        noResults: 'No products found',
+        noResultsHint: 'Try adjusting your search criteria or filters.',
+        didYouMean: 'Did you mean {suggestion}?'
+    },
+    productDetail: {
+        loadFailed: 'Failed to load product details',
+        chooseOptions: 'Please choose {options}.',
+        addedToCart: '{name} added to cart!',
+        addToCartFailed: 'Failed to add product to cart. Please try again.',
+        wishlistFailed: 'Failed to update wishlist. Please try again.',
+        loading: 'Loading product details...',
+        notFound: 'Product not found',
+        backToProducts: 'Back to Products',
+        chooseOne: 'Choose one',
+        unavailableCombination: 'This combination is not available',
+        description: 'Description',
+        specifications: 'Specifications',
+        quantity: 'Quantity:',
+        adding: 'Adding to Cart...',
+        outOfStock: 'Out of Stock',
+        removeFromWishlist: 'Remove from wishlist',
+        addToWishlist: 'Add to wishlist',
+        freeShipping: 'Free shipping on orders over {amount}',
+        securePayment: 'Secure payment processing',
+        related: 'Related Products',
+        notifyBackInStock: 'Notify me when it is back in stock',
+        backInStockSubscribed: 'We will email you when it is back in stock.',
+        priceAlertLabel: 'Tell me if the price drops to',
+        priceAlertButton: 'Set Alert',
+        priceAlertSubscribed: 'We will email you when the price drops to {price}.',
+        cancelAlert: 'Cancel alert',
+        alertFailed: 'Failed to update the alert. Please try again.'
+    },
+    reviews: {
+        loadFailed: 'Failed to load reviews',
+        loginToVote: 'Please log in to vote on reviews',
+        voteFailed: 'Failed to vote on review',
+        loginToReport: 'Please log in to report reviews',
+        reported: 'Review reported successfully',
+        reportFailed: 'Failed to report review',
+        title: 'Customer Reviews',
+        count: '({count} reviews)',
+        write: 'Write a Review',
+        breakdown: 'Rating Breakdown',
+        sortBy: 'Sort by:',
+        sortRecent: 'Most Recent',
+        sortHelpful: 'Most Helpful',
+        sortRating: 'Highest Rating',
+        verifiedOnly: 'Verified purchases only',
+        clearRating: 'Clear rating filter',
+        empty: 'No reviews yet. Be the first to review this product!',
+        selectReasonAlert: 'Please select a reason for reporting',
+        verifiedPurchase: 'Verified Purchase',
+        report: 'Report review',
+        customerPhoto: 'Customer photo',
+        helpful: 'Helpful ({count})',
+        notHelpful: 'Not Helpful',
+        reportTitle: 'Report this review',
+        reason: 'Reason',
+        selectReason: 'Select a reason',
+        reasonSpam: 'Spam',
+        reasonInappropriate: 'Inappropriate content',
+        reasonFake: 'Fake review',
+        reasonOffensive: 'Offensive language',
+        reasonOther: 'Other',
+        description: 'Description (optional)',
+        descriptionPlaceholder: 'Provide additional details...',
+        submitReport: 'Submit Report'
+    },
+    categories: {
+        loadFailed: 'Failed to load categories',
+        loading: 'Loading categories...',
+        title: 'Shop by Category',
+        subtitle: 'Explore our wide range of product categories and find exactly what you\'re looking for. From electronics to fashion, we have everything you need.',
+        productCount: '{count} products',
+        popular: 'Popular This Week',
+        popularSubtitle: 'Check out the most popular categories this week',
+        itemCount: '{count} items'
+    },
+    cart: {
+        loading: 'Loading cart...',
+        title: 'Shopping Cart',
+        empty: 'Your cart is empty',
+        emptyHint: 'Looks like you haven\'t added any items to your cart yet.',
+        startShopping: 'Start Shopping',
+        itemCountOne: '{count} item in your cart',
+        itemCount: '{count} items in your cart',
+        items: 'Cart Items',
+        clear: 'Clear Cart',
+        each: '{price} each',
+        remove: 'Remove item',
+        summary: 'Order Summary',
+        subtotalItems: 'Subtotal ({count} items)',
+        freeShippingQualified: 'You qualify for free shipping!',
+        freeShippingRemaining: 'Add {amount} more for free shipping',
+        vatAtCheckout: 'Calculated at checkout',
+        checkout: 'Proceed to Checkout',
+        continueShopping: 'Continue Shopping',
+        secureCheckout: 'Secure checkout',
+        returnPolicy: '30-day return policy',
+        support: 'Customer support'
+    },
+    coupon: {
+        enterCode: 'Please enter a coupon code',
+        invalidAmount: 'Invalid order amount',
+        validateFailed: 'Failed to validate coupon',
+        applied: 'Coupon applied! You save {amount}',
+        invalidCode: 'Invalid coupon code',
+        title: 'Promo Code',
+        remove: 'Remove coupon',
+        placeholder: 'Enter coupon code',
+        apply: 'Apply',
+        offers: 'Available Offers:',
+        welcomeOffer: '10% off first order',
+        freeShipOffer: 'Free shipping over {amount}',
+        saveOffer: '{amount} off orders over {minimum}'
+    },
+    checkout: {
+        firstNameRequired: 'First name is required',
+        lastNameRequired: 'Last name is required',
+        emailRequired: 'Email is required',
+        emailInvalid: 'Email is invalid',
+        phoneRequired: 'Phone number is required',
+        phoneInvalid: 'Enter a valid Bangladeshi phone number',
+        addressRequired: 'Address is required',
+        divisionRequired: 'Division is required',
+        districtRequired: 'District is required',
+        thanaRequired: 'Thana is required',
+        cardNumberRequired: 'Card number is required',
+        cardNumberInvalid: 'Card number is invalid',
+        expiryRequired: 'Expiry date is required',
+        cvvRequired: 'CVV is required',
+        cvvInvalid: 'CVV is invalid',
+        cardNameRequired: 'Cardholder name is required',
+        placeOrderFailed: 'Failed to place order. Please try again.',
+        title: 'Checkout',
+        stepShipping: 'Shipping',
+        stepPayment: 'Payment',
+        stepReview: 'Review',
+        shippingInfo: 'Shipping Information',
+        savedAddresses: 'Saved Addresses',
+        newAddress: 'Use a new address',
+        firstName: 'First Name *',
+        lastName: 'Last Name *',
+        email: 'Email *',
+        phone: 'Phone *',
+        address: 'Address *',
+        addressPlaceholder: 'House, road, area',
+        division: 'Division *',
+        selectDivision: 'Select division',
+        district: 'District *',
+        selectDistrict: 'Select district',
+        thana: 'Thana *',
+        selectThana: 'Select thana',
+        postalCode: 'Postal Code',
+        saveAddress: 'Save this address to my address book',
+        continueToPayment: 'Continue to Payment',
+        paymentInfo: 'Payment Information',
+        cardNumber: 'Card Number *',
+        expiryDate: 'Expiry Date *',
+        cvv: 'CVV *',
+        cardName: 'Cardholder Name *',
+        orderNotes: 'Order Notes (Optional)',
+        orderNotesPlaceholder: 'Any special instructions for your order...',
+        backToShipping: 'Back to Shipping',
+        reviewOrder: 'Review Order',
+        reviewTitle: 'Review Your Order',
+        shippingAddress: 'Shipping Address',
+        paymentMethod: 'Payment Method',
+        backToPayment: 'Back to Payment',
+        placingOrder: 'Placing Order...',
+        placeOrder: 'Place Order',
+        secureSsl: 'Secure SSL encryption',
+        moneyBack: '30-day money-back guarantee',
+        vat: 'VAT',
+        vatIncluded: 'VAT (included in prices)'
+    },
+    orderSuccess: {
+        title: 'Order Confirmed!',
+        subtitle: 'Thank you for your purchase. Your order has been successfully placed.',
+        orderNumber: 'Order Number:',
+        totalAmount: 'Total Amount:',
+        viewOrders: 'View Orders',
+        whatsNext: 'What\'s Next?',
+        emailNotice: 'You\'ll receive an order confirmation email shortly',
+        trackingNotice: 'We\'ll send you tracking information when your order ships',
+        deliveryEstimate: 'Estimated delivery: 3-5 business days',
+        questions: 'Questions? Contact our support team'
+    },
+    orders: {
+        loading: 'Loading orders...',
+        loadFailed: 'Failed to load orders',
+        title: 'Order History',
+        subtitle: 'Track your orders and view purchase history',
+        empty: 'No orders yet',
+        emptyHint: 'You haven\'t placed any orders yet. Start shopping to see your order history here.',
+        orderNumber: 'Order #{id}',
+        placedOn: 'Placed on {date}',
+        quantityPrice: 'Qty: {quantity} × {price}',
+        trackingNumber: 'Tracking Number:',
+        total: 'Total: {amount}',
+        viewDetails: 'View Details',
+        reorder: 'Reorder',
+        downloadInvoice: 'Download Invoice',
+        downloadingInvoice: 'Preparing invoice...',
+        invoiceFailed: 'Could not download the invoice. Please try again.',
+        backToAccount: 'Back to Account',
+        returns: 'Returns & Exchanges'
+    },
+    returns: {
+        loading: 'Loading return requests...',
+        loadFailed: 'Failed to load return requests',
+        ordersLoadFailed: 'Failed to load your orders',
+        title: 'Returns & Exchanges',
+        subtitle: 'Send back items from delivered orders within 7 days',
+        newRequest: 'Request a Return',
+        noDeliveredOrders: 'You have no delivered orders to return yet.',
+        order: 'Order',
+        chooseOrder: 'Choose an order',
+        item: 'Item',
+        chooseItem: 'Choose an item',
+        type: 'Request',
+        quantity: 'Quantity',
+        exchangeFor: 'Exchange for',
+        sameItem: 'The same item',
+        outOfStock: 'out of stock',
+        reason: 'Reason',
+        details: 'Tell us more (optional)',
+        photos: 'Photos (up to {count})',
+        tooManyPhotos: 'You can attach up to {count} photos',
+        photosFailed: 'Your request was sent but the photos could not be uploaded',
+        submit: 'Submit Request',
+        submitting: 'Submitting...',
+        submitFailed: 'Failed to submit return request. Please try again.',
+        confirmCancel: 'Cancel return request {number}?',
+        cancelRequest: 'Cancel Request',
+        cancelFailed: 'Failed to cancel return request',
+        empty: 'No return requests',
+        emptyHint: 'Requests you make for delivered orders will show up here.',
+        forOrder: 'Order {order} · requested on {date}',
+        pickupOn: 'Pickup on {date}',
+        refunded: 'Refunded {amount}',
+        note: 'Note from us: {note}',
+        backToOrders: 'Back to Orders',
+        types: {
+            return: 'Return',
+            exchange: 'Exchange'
+        },
+        reasons: {
+            damaged: 'Arrived damaged',
+            defective: 'Defective',
+            wrong_item: 'Wrong item sent',
+            not_as_described: 'Not as described',
+            size_or_fit: 'Size or fit',
+            changed_mind: 'Changed my mind',
+            other: 'Other'
+        },
+        statuses: {
+            requested: 'Requested',
+            approved: 'Approved',
+            rejected: 'Rejected',
+            pickup_scheduled: 'Pickup scheduled',
+            received: 'Received',
+            refunding: 'Refund in progress',
+            refunded: 'Refunded',
+            exchanged: 'Exchanged',
+            cancelled: 'Cancelled'
+        }
+    },
+    orderStatus: {
+        pending: 'Pending',
+        confirmed: 'Confirmed',
+        processing: 'Processing',
+        partially_shipped: 'Partially Shipped',
+        shipped: 'Shipped',
+        delivered: 'Delivered',
+        cancelled: 'Cancelled',
+        unknown: 'Unknown'
+    },
+    wishlist: {
+        loadFailed: 'Failed to load wishlist',
+        removeFailed: 'Failed to remove item from wishlist. Please try again.',
+        confirmClear: 'Are you sure you want to clear your entire wishlist?',
+        clearFailed: 'Failed to clear wishlist. Please try again.',
+        loading: 'Loading wishlist...',
+        title: 'My Wishlist',
+        subtitle: 'Save items for later and never lose track of what you want',
+        empty: 'Your wishlist is empty',
+        emptyHint: 'Start adding items to your wishlist by clicking the heart icon on products you love.',
+        browse: 'Browse Products',
+        itemCountOne: '{count} item in your wishlist',
+        itemCount: '{count} items in your wishlist',
+        clear: 'Clear Wishlist',
+        moveToCart: 'Move to Cart'
+    },
+    account: {
+        loadFailed: 'Failed to load user data',
+        profileUpdated: 'Profile updated successfully!',
+        profileUpdateFailed: 'Failed to update profile',
+        passwordMismatch: 'New passwords do not match',
+        passwordUpdated: 'Password updated successfully!',
+        passwordUpdateFailed: 'Failed to update password',
+        languageSaved: 'Language updated. Your emails will now be sent in English.',
+        goToLogin: 'Go to Login',
+        title: 'My Account',
+        welcome: 'Welcome back, {name}',
+        profile: 'Profile Information',
+        changePassword: 'Change Password',
+        languageTab: 'Language & Region',
+        wishlist: 'Wishlist',
+        addresses: 'Addresses',
+        logout: 'Logout',
+        firstName: 'First Name',
+        lastName: 'Last Name',
+        email: 'Email Address',
+        phone: 'Phone Number',
+        updating: 'Updating...',
+        updateProfile: 'Update Profile',
+        currentPassword: 'Current Password',
+        newPassword: 'New Password',
+        confirmPassword: 'Confirm New Password',
+        updatePassword: 'Update Password',
+        language: 'Language',
+        languageHint: 'Used for the store and for the emails we send you.',
+        banglaNumerals: 'Show prices and dates in Bangla numerals',
+        formatPreview: 'Prices and dates look like this: {price}, {date}',
+        alerts: 'Stock & Price Alerts',
+        noAlerts: 'You have no alerts. Ask to be told from a product page when it is sold out, or set the price you are waiting for.',
+        alertBackInStock: 'Back in stock',
+        alertPriceDrop: 'Price drops to {price}',
+        alertExpires: 'until {date}',
+        alertSending: 'on its way to your inbox',
+        removeAlert: 'Remove',
+        alertsLoadFailed: 'Failed to load your alerts',
+        alertRemoveFailed: 'Failed to remove the alert'
+    },
+    auth: {
+        loginFailed: 'Login failed',
+        signInTitle: 'Sign In to DhakaCart',
+        emailPlaceholder: 'Enter your email',
+        password: 'Password',
+        passwordPlaceholder: 'Enter your password',
+        signingIn: 'Signing In...',
+        signIn: 'Sign In',
+        orContinueWith: 'Or continue with',
+        continueWith: 'Continue with {provider}',
+        noAccount: 'Don\'t have an account?',
+        signUpHere: 'Sign up here',
+        forgotPassword: 'Forgot your password?',
+        passwordRequired: 'Password is required',
+        passwordTooShort: 'Password must be at least 6 characters',
+        passwordMismatch: 'Passwords do not match',
+        mustAgree: 'You must agree to the terms and conditions',
+        registrationFailed: 'Registration failed',
+        registerTitle: 'Create Your Account',
+        firstNamePlaceholder: 'Enter your first name',
+        lastNamePlaceholder: 'Enter your last name',
+        phonePlaceholder: 'Enter your phone number',
+        createPassword: 'Create a password',
+        confirmPassword: 'Confirm Password',
+        confirmPasswordPlaceholder: 'Confirm your password',
+        agreeTo: 'I agree to the',
+        and: 'and',
+        creatingAccount: 'Creating Account...',
+        createAccount: 'Create Account',
+        orSignUpWith: 'Or sign up with',
+        signUpWith: 'Sign up with {provider}',
+        haveAccount: 'Already have an account?',
+        signInHere: 'Sign in here'
+    },
+    flashSales: {
+        expired: 'Expired',
+        daysHours: '{days}d {hours}h',
+        hoursMinutes: '{hours}h {minutes}m',
+        minutes: '{minutes}m',
+        live: 'Live Now',
+        upcoming: 'Coming Soon',
+        ended: 'Ended',
+        title: 'Flash Sales',
+        loadFailed: 'Unable to load flash sales',
+        empty: 'No flash sales available right now',
+        emptyHint: 'Check back later for amazing deals!',
+        subtitle: 'Limited time offers - Don\'t miss out!',
+        discount: 'Discount:',
+        percentOff: '{percent}% OFF',
+        products: 'Products:',
+        endsIn: 'Ends in:',
+        startsIn: 'Starts in:',
+        hideProducts: 'Hide Products',
+        viewProducts: 'View Products',
+        noProducts: 'No products available'
+    }
+};
+
+export default messages;
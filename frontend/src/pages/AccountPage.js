@@ -2,8 +2,11 @@ import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import apiClient from '../api';
 import logger from '../logger';
+import { useI18n } from '../contexts/I18nContext';
+import { SUPPORTED_LOCALES, LOCALE_NAMES, translate } from '../i18n';
 
 const AccountPage = () => {
+    const { t, locale, setLocale, banglaNumerals, setBanglaNumerals, formatCurrency, formatDate } = useI18n();
     const [user, setUser] = useState(null);
     const [activeTab, setActiveTab] = useState('profile');
     const [loading, setLoading] = useState(true);
@@ -21,12 +24,19 @@ const AccountPage = () => {
     });
     const [updateLoading, setUpdateLoading] = useState(false);
     const [updateMessage, setUpdateMessage] = useState(null);
+    const [alerts, setAlerts] = useState([]);
     const navigate = useNavigate();
 
     useEffect(() => {
         loadUserData();
     }, []);
 
+    useEffect(() => {
+        if (activeTab === 'alerts') {
+            loadAlerts();
+        }
+    }, [activeTab]);
+
     const loadUserData = async () => {
         try {
             const token = localStorage.getItem('authToken');
@@ -48,7 +58,7 @@ const AccountPage = () => {
 
             setLoading(false);
         } catch (err) {
-            setError('Failed to load user data');
+            setError('account.loadFailed');
             setLoading(false);
         }
     };
@@ -73,17 +83,28 @@ const AccountPage = () => {
         setUpdateMessage(null);
 
         try {
-            const response = await apiClient.put('/auth/profile', profileData);
-            const updatedUser = response.data.user;
+            const { firstName, lastName, phone } = profileData;
+            const response = await apiClient.put('/auth/profile', { firstName, lastName, phone }, {
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+                }
+            });
+            const updatedUser = {
+                ...user,
+                firstName,
+                lastName,
+                phone,
+                locale: response.data.data.user.locale
+            };
 
             // Update localStorage
             localStorage.setItem('user', JSON.stringify(updatedUser));
             setUser(updatedUser);
 
-            setUpdateMessage({ type: 'success', text: 'Profile updated successfully!' });
+            setUpdateMessage({ type: 'success', text: t('account.profileUpdated') });
             logger.info('Profile updated successfully');
         } catch (err) {
-            setUpdateMessage({ type: 'error', text: err.message || 'Failed to update profile' });
+            setUpdateMessage({ type: 'error', text: err.message || t('account.profileUpdateFailed') });
             logger.error('Profile update failed', { error: err.message });
         } finally {
             setUpdateLoading(false);
@@ -94,7 +115,7 @@ const AccountPage = () => {
         e.preventDefault();
 
         if (passwordData.newPassword !== passwordData.confirmPassword) {
-            setUpdateMessage({ type: 'error', text: 'New passwords do not match' });
+            setUpdateMessage({ type: 'error', text: t('account.passwordMismatch') });
             return;
         }
 
@@ -113,16 +134,52 @@ const AccountPage = () => {
                 confirmPassword: ''
             });
 
-            setUpdateMessage({ type: 'success', text: 'Password updated successfully!' });
+            setUpdateMessage({ type: 'success', text: t('account.passwordUpdated') });
             logger.info('Password updated successfully');
         } catch (err) {
-            setUpdateMessage({ type: 'error', text: err.message || 'Failed to update password' });
+            setUpdateMessage({ type: 'error', text: err.message || t('account.passwordUpdateFailed') });
             logger.error('Password update failed', { error: err.message });
         } finally {
             setUpdateLoading(false);
         }
     };
 
+    // The language is saved to the profile as well, so order and account
+    // emails arrive in it
+    const handleLocaleChange = async (e) => {
+        await setLocale(e.target.value);
+        setUser(prev => ({ ...prev, locale: e.target.value }));
+        setUpdateMessage({ type: 'success', text: translate(e.target.value, 'account.languageSaved') });
+    };
+
+    const loadAlerts = async () => {
+        try {
+            const response = await apiClient.get('/product-alerts', {
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+                }
+            });
+            setAlerts(response.data.data.alerts);
+        } catch (err) {
+            logger.error('Failed to load product alerts', { error: err.message });
+            setUpdateMessage({ type: 'error', text: t('account.alertsLoadFailed') });
+        }
+    };
+
+    const handleRemoveAlert = async (alertId) => {
+        try {
+            await apiClient.delete(`/product-alerts/${alertId}`, {
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+                }
+            });
+            setAlerts(prev => prev.filter(existing => existing.id !== alertId));
+        } catch (err) {
+            logger.error('Failed to remove product alert', { error: err.message, alertId });
+            setUpdateMessage({ type: 'error', text: t('account.alertRemoveFailed') });
+        }
+    };
+
     const handleLogout = () => {
         localStorage.removeItem('authToken');
         localStorage.removeItem('user');
@@ -261,7 +318,7 @@ const AccountPage = () => {
             <div style={containerStyle}>
                 <div style={innerContainerStyle}>
                     <div style={{ textAlign: 'center', padding: '4rem' }}>
-                        <h2>Loading...</h2>
+                        <h2>{t('common.loading')}</h2>
                     </div>
                 </div>
             </div>
@@ -273,9 +330,9 @@ const AccountPage = () => {
             <div style={containerStyle}>
                 <div style={innerContainerStyle}>
                     <div style={{ textAlign: 'center', padding: '4rem' }}>
-                        <h2 style={{ color: '#dc2626' }}>{error}</h2>
+                        <h2 style={{ color: '#dc2626' }}>{t(error)}</h2>
                         <Link to="/login" style={{ color: '#2563eb', textDecoration: 'none' }}>
-                            Go to Login
+                            {t('account.goToLogin')}
                         </Link>
                     </div>
                 </div>
@@ -287,9 +344,9 @@ const AccountPage = () => {
         <div style={containerStyle}>
             <div style={innerContainerStyle}>
                 <div style={headerStyle}>
-                    <h1 style={titleStyle}>My Account</h1>
+                    <h1 style={titleStyle}>{t('account.title')}</h1>
                     <p style={subtitleStyle}>
-                        Welcome back, {user?.firstName} {user?.lastName}
+                        {t('account.welcome', { name: `${user?.firstName || ''} ${user?.lastName || ''}`.trim() })}
                     </p>
                 </div>
 
@@ -300,37 +357,49 @@ const AccountPage = () => {
                             onClick={() => setActiveTab('profile')}
                             style={tabStyle(activeTab === 'profile')}
                         >
-                            👤 Profile Information
+                            👤 {t('account.profile')}
                         </button>
                         <button
                             onClick={() => setActiveTab('password')}
                             style={tabStyle(activeTab === 'password')}
                         >
-                            🔒 Change Password
+                            🔒 {t('account.changePassword')}
+                        </button>
+                        <button
+                            onClick={() => setActiveTab('language')}
+                            style={tabStyle(activeTab === 'language')}
+                        >
+                            🌐 {t('account.languageTab')}
                         </button>
                         <Link
                             to="/orders"
                             style={tabStyle(false)}
                         >
-                            📦 Order History
+                            📦 {t('orders.title')}
                         </Link>
                         <Link
                             to="/wishlist"
                             style={tabStyle(false)}
                         >
-                            ❤️ Wishlist
+                            ❤️ {t('account.wishlist')}
                         </Link>
                         <Link
                             to="/addresses"
                             style={tabStyle(false)}
                         >
-                            📍 Addresses
+                            📍 {t('account.addresses')}
                         </Link>
+                        <button
+                            onClick={() => setActiveTab('alerts')}
+                            style={tabStyle(activeTab === 'alerts')}
+                        >
+                            🔔 {t('account.alerts')}
+                        </button>
                         <button
                             onClick={handleLogout}
                             style={{ ...tabStyle(false), color: '#dc2626', marginTop: '1rem' }}
                         >
-                            🚪 Logout
+                            🚪 {t('account.logout')}
                         </button>
                     </div>
 
@@ -345,13 +414,13 @@ const AccountPage = () => {
                         {activeTab === 'profile' && (
                             <div>
                                 <h2 style={{ fontSize: '1.5rem', fontWeight: '700', marginBottom: '1.5rem' }}>
-                                    Profile Information
+                                    {t('account.profile')}
                                 </h2>
                                 <form onSubmit={handleProfileUpdate} style={formStyle}>
                                     <div style={{ display: 'flex', gap: '1rem' }}>
                                         <div style={{ flex: 1 }}>
                                             <label htmlFor="firstName" style={labelStyle}>
-                                                First Name
+                                                {t('account.firstName')}
                                             </label>
                                             <input
                                                 type="text"
@@ -364,7 +433,7 @@ const AccountPage = () => {
                                         </div>
                                         <div style={{ flex: 1 }}>
                                             <label htmlFor="lastName" style={labelStyle}>
-                                                Last Name
+                                                {t('account.lastName')}
                                             </label>
                                             <input
                                                 type="text"
@@ -379,21 +448,21 @@ const AccountPage = () => {
 
                                     <div>
                                         <label htmlFor="email" style={labelStyle}>
-                                            Email Address
+                                            {t('account.email')}
                                         </label>
                                         <input
                                             type="email"
                                             id="email"
                                             name="email"
                                             value={profileData.email}
-                                            onChange={handleProfileChange}
-                                            style={inputStyle}
+                                            style={{ ...inputStyle, backgroundColor: '#f3f4f6' }}
+                                            readOnly
                                         />
                                     </div>
 
                                     <div>
                                         <label htmlFor="phone" style={labelStyle}>
-                                            Phone Number
+                                            {t('account.phone')}
                                         </label>
                                         <input
                                             type="tel"
@@ -410,7 +479,7 @@ const AccountPage = () => {
                                         disabled={updateLoading}
                                         style={buttonStyle}
                                     >
-                                        {updateLoading ? 'Updating...' : 'Update Profile'}
+                                        {updateLoading ? t('account.updating') : t('account.updateProfile')}
                                     </button>
                                 </form>
                             </div>
@@ -419,12 +488,12 @@ const AccountPage = () => {
                         {activeTab === 'password' && (
                             <div>
                                 <h2 style={{ fontSize: '1.5rem', fontWeight: '700', marginBottom: '1.5rem' }}>
-                                    Change Password
+                                    {t('account.changePassword')}
                                 </h2>
                                 <form onSubmit={handlePasswordUpdate} style={formStyle}>
                                     <div>
                                         <label htmlFor="currentPassword" style={labelStyle}>
-                                            Current Password
+                                            {t('account.currentPassword')}
                                         </label>
                                         <input
                                             type="password"
@@ -439,7 +508,7 @@ const AccountPage = () => {
 
                                     <div>
                                         <label htmlFor="newPassword" style={labelStyle}>
-                                            New Password
+                                            {t('account.newPassword')}
                                         </label>
                                         <input
                                             type="password"
@@ -454,7 +523,7 @@ const AccountPage = () => {
 
                                     <div>
                                         <label htmlFor="confirmPassword" style={labelStyle}>
-                                            Confirm New Password
+                                            {t('account.confirmPassword')}
                                         </label>
                                         <input
                                             type="password"
@@ -472,11 +541,112 @@ const AccountPage = () => {
                                         disabled={updateLoading}
                                         style={buttonStyle}
                                     >
-                                        {updateLoading ? 'Updating...' : 'Update Password'}
+                                        {updateLoading ? t('account.updating') : t('account.updatePassword')}
                                     </button>
                                 </form>
                             </div>
                         )}
+
+                        {activeTab === 'alerts' && (
+                            <div>
+                                <h2 style={{ fontSize: '1.5rem', fontWeight: '700', marginBottom: '1.5rem' }}>
+                                    {t('account.alerts')}
+                                </h2>
+                                {alerts.length === 0 ? (
+                                    <p style={subtitleStyle}>{t('account.noAlerts')}</p>
+                                ) : (
+                                    <div style={{ display: 'flex', flexDirection: 'column', gap: '0.75rem' }}>
+                                        {alerts.map(productAlert => (
+                                            <div
+                                                key={productAlert.id}
+                                                style={{
+                                                    display: 'flex',
+                                                    justifyContent: 'space-between',
+                                                    alignItems: 'center',
+                                                    gap: '1rem',
+                                                    padding: '1rem',
+                                                    border: '1px solid #e5e7eb',
+                                                    borderRadius: '0.375rem'
+                                                }}
+                                            >
+                                                <div>
+                                                    <Link
+                                                        to={`/products/${productAlert.product_id}`}
+                                                        style={{ fontWeight: '600', color: '#111827', textDecoration: 'none' }}
+                                                    >
+                                                        {(locale === 'bn' && productAlert.product_name_bn) || productAlert.product_name}
+                                                        {productAlert.variant_title ? ` (${productAlert.variant_title})` : ''}
+                                                    </Link>
+                                                    <p style={{ ...subtitleStyle, fontSize: '0.875rem', margin: '0.25rem 0 0' }}>
+                                                        {productAlert.kind === 'price_drop'
+                                                            ? t('account.alertPriceDrop', { price: formatCurrency(productAlert.target_price) })
+                                                            : t('account.alertBackInStock')}
+                                                        {' · '}
+                                                        {productAlert.status === 'triggered'
+                                                            ? t('account.alertSending')
+                                                            : t('account.alertExpires', { date: formatDate(productAlert.expires_at, 'date') })}
+                                                    </p>
+                                                </div>
+                                                {productAlert.status === 'active' && (
+                                                    <button
+                                                        onClick={() => handleRemoveAlert(productAlert.id)}
+                                                        style={{ ...logoutButtonStyle, padding: '0.5rem 1rem', fontSize: '0.875rem' }}
+                                                    >
+                                                        {t('account.removeAlert')}
+                                                    </button>
+                                                )}
+                                            </div>
+                                        ))}
+                                    </div>
+                                )}
+                            </div>
+                        )}
+
+                        {activeTab === 'language' && (
+                            <div>
+                                <h2 style={{ fontSize: '1.5rem', fontWeight: '700', marginBottom: '1.5rem' }}>
+                                    {t('account.languageTab')}
+                                </h2>
+                                <div style={formStyle}>
+                                    <div>
+                                        <label htmlFor="locale" style={labelStyle}>
+                                            {t('account.language')}
+                                        </label>
+                                        <select
+                                            id="locale"
+                                            value={locale}
+                                            onChange={handleLocaleChange}
+                                            style={inputStyle}
+                                        >
+                                            {SUPPORTED_LOCALES.map((code) => (
+                                                <option key={code} value={code}>{LOCALE_NAMES[code]}</option>
+                                            ))}
+                                        </select>
+                                        <p style={{ ...subtitleStyle, fontSize: '0.875rem', marginTop: '0.5rem' }}>
+                                            {t('account.languageHint')}
+                                        </p>
+                                    </div>
+
+                                    {locale === 'bn' && (
+                                        <label style={{ ...labelStyle, display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                            <input
+                                                type="checkbox"
+                                                checked={banglaNumerals}
+                                                onChange={(e) => setBanglaNumerals(e.target.checked)}
+                                            />
+                                            {t('account.banglaNumerals')}
+                                        </label>
+                                    )}
+
+                                    <p style={subtitleStyle}>
+                                        {t('account.formatPreview', {
+                                            price: formatCurrency(1250),
+                                            date: formatDate(new Date(), 'date')
+                                        })}
+                                    </p>
+                                </div>
+                            </div>
+                        )}
                     </div>
                 </div>
             </div>
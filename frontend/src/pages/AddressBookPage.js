@@ -3,25 +3,29 @@ import { Link, useNavigate } from 'react-router-dom';
 import apiClient from '../api';
 import logger from '../logger';
 
+const emptyAddress = {
+    label: '',
+    firstName: '',
+    lastName: '',
+    phone: '',
+    addressLine1: '',
+    addressLine2: '',
+    division: '',
+    district: '',
+    thana: '',
+    postalCode: '',
+    isDefaultShipping: false,
+    isDefaultBilling: false
+};
+
 const AddressBookPage = () => {
     const [addresses, setAddresses] = useState([]);
+    const [locations, setLocations] = useState({});
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
     const [showForm, setShowForm] = useState(false);
     const [editingAddress, setEditingAddress] = useState(null);
-    const [formData, setFormData] = useState({
-        firstName: '',
-        lastName: '',
-        company: '',
-        address: '',
-        address2: '',
-        city: '',
-        state: '',
-        zipCode: '',
-        country: 'United States',
-        phone: '',
-        isDefault: false
-    });
+    const [formData, setFormData] = useState(emptyAddress);
     const [formErrors, setFormErrors] = useState({});
     const [saving, setSaving] = useState(false);
     const navigate = useNavigate();
@@ -30,6 +34,10 @@ const AddressBookPage = () => {
         loadAddresses();
     }, []);
 
+    const getAuthHeaders = () => ({
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
+    });
+
     const loadAddresses = async () => {
         try {
             const token = localStorage.getItem('authToken');
@@ -41,31 +49,21 @@ const AddressBookPage = () => {
             setLoading(true);
             setError(null);
 
-            // Load addresses from localStorage (in a real app, this would be from the backend)
-            const addressData = localStorage.getItem('addresses');
-            if (addressData) {
-                const savedAddresses = JSON.parse(addressData);
-                setAddresses(savedAddresses);
-                logger.info('Addresses loaded', { addressCount: savedAddresses.length });
-            } else {
-                // Initialize with a default address if none exist
-                const defaultAddress = {
-                    id: '1',
-                    firstName: 'John',
-                    lastName: 'Doe',
-                    address: '123 Main St',
-                    city: 'New York',
-                    state: 'NY',
-                    zipCode: '10001',
-                    country: 'United States',
-                    phone: '+1 (555) 123-4567',
-                    isDefault: true
-                };
-                setAddresses([defaultAddress]);
-                localStorage.setItem('addresses', JSON.stringify([defaultAddress]));
-            }
+            const [addressResponse, locationResponse] = await Promise.all([
+                apiClient.get('/auth/addresses', getAuthHeaders()),
+                apiClient.get('/auth/addresses/locations')
+            ]);
+
+            const savedAddresses = addressResponse.data.data.addresses;
+            setAddresses(savedAddresses);
+            setLocations(locationResponse.data.data.locations);
+            logger.info('Addresses loaded', { addressCount: savedAddresses.length });
 
         } catch (err) {
+            if (err.response?.status === 401) {
+                navigate('/login');
+                return;
+            }
             const errorMessage = 'Failed to load addresses';
             setError(errorMessage);
             logger.error(errorMessage, { error: err.message });
@@ -76,10 +74,22 @@ const AddressBookPage = () => {
 
     const handleInputChange = (e) => {
         const { name, value, type, checked } = e.target;
-        setFormData(prev => ({
-            ...prev,
-            [name]: type === 'checkbox' ? checked : value
-        }));
+        setFormData(prev => {
+            const next = {
+                ...prev,
+                [name]: type === 'checkbox' ? checked : value
+            };
+
+            // Changing a parent location invalidates the levels below it
+            if (name === 'division') {
+                next.district = '';
+                next.thana = '';
+            } else if (name === 'district') {
+                next.thana = '';
+            }
+
+            return next;
+        });
 
         // Clear error when user starts typing
         if (formErrors[name]) {
@@ -95,10 +105,13 @@ const AddressBookPage = () => {
 
         if (!formData.firstName.trim()) errors.firstName = 'First name is required';
         if (!formData.lastName.trim()) errors.lastName = 'Last name is required';
-        if (!formData.address.trim()) errors.address = 'Address is required';
-        if (!formData.city.trim()) errors.city = 'City is required';
-        if (!formData.state.trim()) errors.state = 'State is required';
-        if (!formData.zipCode.trim()) errors.zipCode = 'ZIP code is required';
+        if (!formData.phone.trim()) errors.phone = 'Phone number is required';
+        else if (!/^(\+88)?01[3-9]\d{8}$/.test(formData.phone.trim())) errors.phone = 'Enter a valid Bangladeshi phone number';
+        if (!formData.addressLine1.trim()) errors.addressLine1 = 'Address is required';
+        if (!formData.division) errors.division = 'Division is required';
+        if (!formData.district) errors.district = 'District is required';
+        if (!formData.thana) errors.thana = 'Thana is required';
+        if (formData.postalCode && !/^\d{4}$/.test(formData.postalCode)) errors.postalCode = 'Postal code must be 4 digits';
 
         setFormErrors(errors);
         return Object.keys(errors).length === 0;
@@ -114,57 +127,34 @@ const AddressBookPage = () => {
         setSaving(true);
 
         try {
-            let updatedAddresses;
+            const payload = {
+                ...formData,
+                phone: formData.phone.trim()
+            };
 
             if (editingAddress) {
-                // Update existing address
-                updatedAddresses = addresses.map(addr =>
-                    addr.id === editingAddress.id
-                        ? { ...formData, id: editingAddress.id }
-                        : addr
-                );
+                await apiClient.put(`/auth/addresses/${editingAddress.id}`, payload, getAuthHeaders());
                 logger.info('Address updated', { addressId: editingAddress.id });
             } else {
-                // Add new address
-                const newAddress = {
-                    ...formData,
-                    id: Date.now().toString()
-                };
-                updatedAddresses = [...addresses, newAddress];
-                logger.info('New address added', { addressId: newAddress.id });
-            }
-
-            // If this address is set as default, remove default from others
-            if (formData.isDefault) {
-                updatedAddresses = updatedAddresses.map(addr => ({
-                    ...addr,
-                    isDefault: addr.id === (editingAddress?.id || updatedAddresses[updatedAddresses.length - 1].id)
-                }));
+                const response = await apiClient.post('/auth/addresses', payload, getAuthHeaders());
+                logger.info('New address added', { addressId: response.data.data.address.id });
             }
 
-            setAddresses(updatedAddresses);
-            localStorage.setItem('addresses', JSON.stringify(updatedAddresses));
+            // Default flags may have moved between addresses, so reload the list
+            await loadAddresses();
 
             // Reset form
             setShowForm(false);
             setEditingAddress(null);
-            setFormData({
-                firstName: '',
-                lastName: '',
-                company: '',
-                address: '',
-                address2: '',
-                city: '',
-                state: '',
-                zipCode: '',
-                country: 'United States',
-                phone: '',
-                isDefault: false
-            });
+            setFormData(emptyAddress);
 
         } catch (err) {
+            const details = err.response?.data?.details;
+            if (details) {
+                setFormErrors(details.reduce((acc, detail) => ({ ...acc, [detail.field || 'form']: detail.message }), {}));
+            }
             logger.error('Failed to save address', { error: err.message });
-            alert('Failed to save address. Please try again.');
+            alert(err.response?.data?.error || 'Failed to save address. Please try again.');
         } finally {
             setSaving(false);
         }
@@ -172,54 +162,60 @@ const AddressBookPage = () => {
 
     const handleEdit = (address) => {
         setEditingAddress(address);
-        setFormData({ ...address });
+        setFormData({
+            label: address.label || '',
+            firstName: address.first_name,
+            lastName: address.last_name,
+            phone: address.phone,
+            addressLine1: address.address_line1,
+            addressLine2: address.address_line2 || '',
+            division: address.division,
+            district: address.district,
+            thana: address.thana,
+            postalCode: address.postal_code || '',
+            isDefaultShipping: address.is_default_shipping,
+            isDefaultBilling: address.is_default_billing
+        });
+        setFormErrors({});
         setShowForm(true);
     };
 
-    const handleDelete = (addressId) => {
+    const handleDelete = async (addressId) => {
         if (window.confirm('Are you sure you want to delete this address?')) {
-            const updatedAddresses = addresses.filter(addr => addr.id !== addressId);
-
-            // If we deleted the default address, make the first remaining address default
-            if (updatedAddresses.length > 0 && !updatedAddresses.some(addr => addr.isDefault)) {
-                updatedAddresses[0].isDefault = true;
+            try {
+                await apiClient.delete(`/auth/addresses/${addressId}`, getAuthHeaders());
+                logger.info('Address deleted', { addressId });
+                await loadAddresses();
+            } catch (err) {
+                logger.error('Failed to delete address', { error: err.message });
+                alert('Failed to delete address. Please try again.');
             }
-
-            setAddresses(updatedAddresses);
-            localStorage.setItem('addresses', JSON.stringify(updatedAddresses));
-            logger.info('Address deleted', { addressId });
         }
     };
 
-    const handleSetDefault = (addressId) => {
-        const updatedAddresses = addresses.map(addr => ({
-            ...addr,
-            isDefault: addr.id === addressId
-        }));
-        setAddresses(updatedAddresses);
-        localStorage.setItem('addresses', JSON.stringify(updatedAddresses));
-        logger.info('Default address updated', { addressId });
+    const handleSetDefault = async (addressId, type) => {
+        try {
+            await apiClient.post(`/auth/addresses/${addressId}/default`, { type }, getAuthHeaders());
+            logger.info('Default address updated', { addressId, type });
+            await loadAddresses();
+        } catch (err) {
+            logger.error('Failed to update default address', { error: err.message });
+            alert('Failed to update default address. Please try again.');
+        }
     };
 
     const handleCancel = () => {
         setShowForm(false);
         setEditingAddress(null);
-        setFormData({
-            firstName: '',
-            lastName: '',
-            company: '',
-            address: '',
-            address2: '',
-            city: '',
-            state: '',
-            zipCode: '',
-            country: 'United States',
-            phone: '',
-            isDefault: false
-        });
+        setFormData(emptyAddress);
         setFormErrors({});
     };
 
+    const districts = formData.division ? Object.keys(locations[formData.division] || {}) : [];
+    const thanas = formData.division && formData.district
+        ? (locations[formData.division]?.[formData.district] || [])
+        : [];
+
     const containerStyle = {
         minHeight: '100vh',
         backgroundColor: '#f9fafb',
@@ -453,6 +449,7 @@ const AddressBookPage = () => {
                     </button>
                 </div>
 
+
                 {showForm && (
                     <div style={formStyle}>
                         <h2 style={formTitleStyle}>
@@ -486,117 +483,154 @@ const AddressBookPage = () => {
                                 </div>
                             </div>
 
-                            <div style={formGroupStyle}>
-                                <label style={labelStyle}>Company (Optional)</label>
-                                <input
-                                    type="text"
-                                    name="company"
-                                    value={formData.company}
-                                    onChange={handleInputChange}
-                                    style={inputStyle}
-                                />
+                            <div style={formRowStyle}>
+                                <div style={formGroupStyle}>
+                                    <label style={labelStyle}>Label (Optional)</label>
+                                    <input
+                                        type="text"
+                                        name="label"
+                                        value={formData.label}
+                                        onChange={handleInputChange}
+                                        style={inputStyle}
+                                        placeholder="Home, Office, etc."
+                                    />
+                                </div>
+
+                                <div style={formGroupStyle}>
+                                    <label style={labelStyle}>Phone *</label>
+                                    <input
+                                        type="tel"
+                                        name="phone"
+                                        value={formData.phone}
+                                        onChange={handleInputChange}
+                                        style={formErrors.phone ? errorInputStyle : inputStyle}
+                                        placeholder="01712345678"
+                                    />
+                                    {formErrors.phone && <div style={errorTextStyle}>{formErrors.phone}</div>}
+                                </div>
                             </div>
 
                             <div style={formGroupStyle}>
                                 <label style={labelStyle}>Address *</label>
                                 <input
                                     type="text"
-                                    name="address"
-                                    value={formData.address}
+                                    name="addressLine1"
+                                    value={formData.addressLine1}
                                     onChange={handleInputChange}
-                                    style={formErrors.address ? errorInputStyle : inputStyle}
+                                    style={formErrors.addressLine1 ? errorInputStyle : inputStyle}
+                                    placeholder="House, road, area"
                                 />
-                                {formErrors.address && <div style={errorTextStyle}>{formErrors.address}</div>}
+                                {formErrors.addressLine1 && <div style={errorTextStyle}>{formErrors.addressLine1}</div>}
                             </div>
 
                             <div style={formGroupStyle}>
                                 <label style={labelStyle}>Address Line 2 (Optional)</label>
                                 <input
                                     type="text"
-                                    name="address2"
-                                    value={formData.address2}
+                                    name="addressLine2"
+                                    value={formData.addressLine2}
                                     onChange={handleInputChange}
                                     style={inputStyle}
-                                    placeholder="Apartment, suite, etc."
+                                    placeholder="Apartment, floor, landmark, etc."
                                 />
                             </div>
 
                             <div style={formRowStyle}>
                                 <div style={formGroupStyle}>
-                                    <label style={labelStyle}>City *</label>
-                                    <input
-                                        type="text"
-                                        name="city"
-                                        value={formData.city}
+                                    <label style={labelStyle}>Division *</label>
+                                    <select
+                                        name="division"
+                                        value={formData.division}
                                         onChange={handleInputChange}
-                                        style={formErrors.city ? errorInputStyle : inputStyle}
-                                    />
-                                    {formErrors.city && <div style={errorTextStyle}>{formErrors.city}</div>}
+                                        style={formErrors.division ? errorInputStyle : inputStyle}
+                                    >
+                                        <option value="">Select division</option>
+                                        {Object.keys(locations).map(division => (
+                                            <option key={division} value={division}>{division}</option>
+                                        ))}
+                                    </select>
+                                    {formErrors.division && <div style={errorTextStyle}>{formErrors.division}</div>}
                                 </div>
 
                                 <div style={formGroupStyle}>
-                                    <label style={labelStyle}>State *</label>
-                                    <input
-                                        type="text"
-                                        name="state"
-                                        value={formData.state}
+                                    <label style={labelStyle}>District *</label>
+                                    <select
+                                        name="district"
+                                        value={formData.district}
                                         onChange={handleInputChange}
-                                        style={formErrors.state ? errorInputStyle : inputStyle}
-                                    />
-                                    {formErrors.state && <div style={errorTextStyle}>{formErrors.state}</div>}
+                                        disabled={!formData.division}
+                                        style={formErrors.district ? errorInputStyle : inputStyle}
+                                    >
+                                        <option value="">Select district</option>
+                                        {districts.map(district => (
+                                            <option key={district} value={district}>{district}</option>
+                                        ))}
+                                    </select>
+                                    {formErrors.district && <div style={errorTextStyle}>{formErrors.district}</div>}
                                 </div>
 
                                 <div style={formGroupStyle}>
-                                    <label style={labelStyle}>ZIP Code *</label>
-                                    <input
-                                        type="text"
-                                        name="zipCode"
-                                        value={formData.zipCode}
+                                    <label style={labelStyle}>Thana *</label>
+                                    <select
+                                        name="thana"
+                                        value={formData.thana}
                                         onChange={handleInputChange}
-                                        style={formErrors.zipCode ? errorInputStyle : inputStyle}
-                                    />
-                                    {formErrors.zipCode && <div style={errorTextStyle}>{formErrors.zipCode}</div>}
+                                        disabled={!formData.district}
+                                        style={formErrors.thana ? errorInputStyle : inputStyle}
+                                    >
+                                        <option value="">Select thana</option>
+                                        {thanas.map(thana => (
+                                            <option key={thana} value={thana}>{thana}</option>
+                                        ))}
+                                    </select>
+                                    {formErrors.thana && <div style={errorTextStyle}>{formErrors.thana}</div>}
                                 </div>
                             </div>
 
                             <div style={formRowStyle}>
                                 <div style={formGroupStyle}>
-                                    <label style={labelStyle}>Country</label>
-                                    <select
-                                        name="country"
-                                        value={formData.country}
+                                    <label style={labelStyle}>Postal Code (Optional)</label>
+                                    <input
+                                        type="text"
+                                        name="postalCode"
+                                        value={formData.postalCode}
                                         onChange={handleInputChange}
-                                        style={inputStyle}
-                                    >
-                                        <option value="United States">United States</option>
-                                        <option value="Canada">Canada</option>
-                                        <option value="United Kingdom">United Kingdom</option>
-                                        <option value="Australia">Australia</option>
-                                    </select>
+                                        style={formErrors.postalCode ? errorInputStyle : inputStyle}
+                                    />
+                                    {formErrors.postalCode && <div style={errorTextStyle}>{formErrors.postalCode}</div>}
                                 </div>
 
                                 <div style={formGroupStyle}>
-                                    <label style={labelStyle}>Phone (Optional)</label>
+                                    <label style={labelStyle}>Country</label>
                                     <input
-                                        type="tel"
-                                        name="phone"
-                                        value={formData.phone}
-                                        onChange={handleInputChange}
+                                        type="text"
+                                        value="Bangladesh"
+                                        disabled
                                         style={inputStyle}
                                     />
                                 </div>
                             </div>
 
                             <div style={{ marginBottom: '1rem' }}>
+                                <label style={{ display: 'flex', alignItems: 'center', fontSize: '0.875rem', marginBottom: '0.5rem' }}>
+                                    <input
+                                        type="checkbox"
+                                        name="isDefaultShipping"
+                                        checked={formData.isDefaultShipping}
+                                        onChange={handleInputChange}
+                                        style={checkboxStyle}
+                                    />
+                                    Use as default shipping address
+                                </label>
                                 <label style={{ display: 'flex', alignItems: 'center', fontSize: '0.875rem' }}>
                                     <input
                                         type="checkbox"
-                                        name="isDefault"
-                                        checked={formData.isDefault}
+                                        name="isDefaultBilling"
+                                        checked={formData.isDefaultBilling}
                                         onChange={handleInputChange}
                                         style={checkboxStyle}
                                     />
-                                    Set as default address
+                                    Use as default billing address
                                 </label>
                             </div>
 
@@ -627,29 +661,29 @@ const AddressBookPage = () => {
                 <div>
                     {addresses.map((address) => (
                         <div key={address.id} style={addressCardStyle}>
-                            {address.isDefault && (
-                                <div style={defaultBadgeStyle}>Default</div>
+                            {(address.is_default_shipping || address.is_default_billing) && (
+                                <div style={defaultBadgeStyle}>
+                                    {address.is_default_shipping && address.is_default_billing
+                                        ? 'Default'
+                                        : address.is_default_shipping ? 'Default Shipping' : 'Default Billing'}
+                                </div>
                             )}
 
                             <div style={addressNameStyle}>
-                                {address.firstName} {address.lastName}
-                                {address.company && ` - ${address.company}`}
+                                {address.first_name} {address.last_name}
+                                {address.label && ` - ${address.label}`}
                             </div>
 
                             <div style={addressTextStyle}>
-                                {address.address}
-                                {address.address2 && <br />}
-                                {address.address2}
+                                {address.address_line1}
+                                {address.address_line2 && <br />}
+                                {address.address_line2}
                                 <br />
-                                {address.city}, {address.state} {address.zipCode}
+                                {address.thana}, {address.district}
                                 <br />
-                                {address.country}
-                                {address.phone && (
-                                    <>
-                                        <br />
-                                        {address.phone}
-                                    </>
-                                )}
+                                {address.division} {address.postal_code}, {address.country}
+                                <br />
+                                {address.phone}
                             </div>
 
                             <div style={buttonGroupStyle}>
@@ -659,22 +693,28 @@ const AddressBookPage = () => {
                                 >
                                     Edit
                                 </button>
-                                {!address.isDefault && (
+                                {!address.is_default_shipping && (
                                     <button
-                                        onClick={() => handleSetDefault(address.id)}
+                                        onClick={() => handleSetDefault(address.id, 'shipping')}
                                         style={secondaryButtonStyle}
                                     >
-                                        Set as Default
+                                        Set as Shipping Default
                                     </button>
                                 )}
-                                {addresses.length > 1 && (
+                                {!address.is_default_billing && (
                                     <button
-                                        onClick={() => handleDelete(address.id)}
-                                        style={dangerButtonStyle}
+                                        onClick={() => handleSetDefault(address.id, 'billing')}
+                                        style={secondaryButtonStyle}
                                     >
-                                        Delete
+                                        Set as Billing Default
                                     </button>
                                 )}
+                                <button
+                                    onClick={() => handleDelete(address.id)}
+                                    style={dangerButtonStyle}
+                                >
+                                    Delete
+                                </button>
                             </div>
                         </div>
                     ))}
@@ -690,4 +730,4 @@ const AddressBookPage = () => {
     );
 };
 
-export default AddressBookPage;
\ No newline at end of file
+export default AddressBookPage;
@@ -2,8 +2,10 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import apiClient from '../api';
 import logger from '../logger';
+import { useI18n } from '../contexts/I18nContext';
 
 const AdminDashboardPage = () => {
+    const { formatCurrency, formatNumber, formatDate } = useI18n();
     const [stats, setStats] = useState(null);
     const [analytics, setAnalytics] = useState(null);
     const [loading, setLoading] = useState(true);
@@ -67,7 +69,7 @@ const AdminDashboardPage = () => {
                 }
             });
 
-            setAnalytics(response.data.analytics);
+            setAnalytics(response.data.data.analytics);
             setLoading(false);
         } catch (err) {
             setError('Failed to load analytics data');
@@ -81,17 +83,6 @@ const AdminDashboardPage = () => {
         navigate('/admin/login');
     };
 
-    const formatCurrency = (amount) => {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-        }).format(amount);
-    };
-
-    const formatNumber = (num) => {
-        return new Intl.NumberFormat('en-US').format(num);
-    };
-
     if (loading) {
         return (
             <div style={{
@@ -238,6 +229,24 @@ const AdminDashboardPage = () => {
                     >
                         Users
                     </button>
+                    <button
+                        onClick={() => navigate('/admin/returns')}
+                        style={navButtonStyle}
+                    >
+                        Returns
+                    </button>
+                    <button
+                        onClick={() => navigate('/admin/purchase-orders')}
+                        style={navButtonStyle}
+                    >
+                        Purchasing
+                    </button>
+                    <button
+                        onClick={() => navigate('/admin/search')}
+                        style={navButtonStyle}
+                    >
+                        Search
+                    </button>
                     <button
                         onClick={handleLogout}
                         style={logoutButtonStyle}
@@ -322,6 +331,12 @@ const AdminDashboardPage = () => {
                                 </div>
                                 <div style={{ fontSize: '0.875rem', color: '#6b7280' }}>Avg Order Value</div>
                             </div>
+                            <div style={{ textAlign: 'center' }}>
+                                <div style={{ fontSize: '1.5rem', fontWeight: '600', color: '#8b5cf6' }}>
+                                    {formatCurrency(analytics.data.reduce((sum, item) => sum + item.taxCollected, 0))}
+                                </div>
+                                <div style={{ fontSize: '0.875rem', color: '#6b7280' }}>VAT Collected</div>
+                            </div>
                         </div>
 
                         {/* Simple chart representation */}
@@ -354,12 +369,40 @@ const AdminDashboardPage = () => {
                                                 position: 'relative',
                                                 cursor: 'pointer'
                                             }}
-                                            title={`${new Date(item.date).toLocaleDateString()}: ${formatCurrency(item.revenue)}`}
+                                            title={`${formatDate(item.date)}: ${formatCurrency(item.revenue)}`}
                                         />
                                     );
                                 })}
                             </div>
                         </div>
+
+                        {analytics.taxCollected && analytics.taxCollected.length > 0 && (
+                            <div style={{ marginTop: '1.5rem' }}>
+                                <h3 style={{ fontSize: '1rem', fontWeight: '600', marginBottom: '1rem' }}>
+                                    VAT by Class (paid orders)
+                                </h3>
+                                <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+                                    <thead>
+                                        <tr style={{ textAlign: 'left', color: '#6b7280', borderBottom: '1px solid #e5e7eb' }}>
+                                            <th style={{ padding: '0.5rem' }}>Class</th>
+                                            <th style={{ padding: '0.5rem', textAlign: 'right' }}>Rate</th>
+                                            <th style={{ padding: '0.5rem', textAlign: 'right' }}>Taxable Amount</th>
+                                            <th style={{ padding: '0.5rem', textAlign: 'right' }}>VAT</th>
+                                        </tr>
+                                    </thead>
+                                    <tbody>
+                                        {analytics.taxCollected.map(line => (
+                                            <tr key={`${line.name}-${line.rate}`} style={{ borderBottom: '1px solid #f3f4f6' }}>
+                                                <td style={{ padding: '0.5rem' }}>{line.name}</td>
+                                                <td style={{ padding: '0.5rem', textAlign: 'right' }}>{line.rate}%</td>
+                                                <td style={{ padding: '0.5rem', textAlign: 'right' }}>{formatCurrency(line.taxableAmount)}</td>
+                                                <td style={{ padding: '0.5rem', textAlign: 'right' }}>{formatCurrency(line.taxAmount)}</td>
+                                            </tr>
+                                        ))}
+                                    </tbody>
+                                </table>
+                            </div>
+                        )}
                     </div>
                 ) : (
                     <div style={{ textAlign: 'center', color: '#6b7280', padding: '2rem' }}>
@@ -2,8 +2,10 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import apiClient from '../api';
 import logger from '../logger';
+import { useI18n } from '../contexts/I18nContext';
 
 const AdminOrdersPage = () => {
+    const { formatCurrency, formatDate: formatLocaleDate } = useI18n();
     const [orders, setOrders] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
@@ -18,6 +20,26 @@ const AdminOrdersPage = () => {
     const [selectedOrder, setSelectedOrder] = useState(null);
     const [showOrderModal, setShowOrderModal] = useState(false);
     const [updatingStatus, setUpdatingStatus] = useState(false);
+    const [statusReason, setStatusReason] = useState('');
+    const [selectedOrderIds, setSelectedOrderIds] = useState([]);
+    const [printingDocuments, setPrintingDocuments] = useState(false);
+    const [showCodPanel, setShowCodPanel] = useState(false);
+    const [remittance, setRemittance] = useState({
+        courier: 'pathao',
+        reference: '',
+        fileName: '',
+        csv: '',
+        dryRun: true
+    });
+    const [remittanceReport, setRemittanceReport] = useState(null);
+    const [importingRemittance, setImportingRemittance] = useState(false);
+    const [couriers, setCouriers] = useState([]);
+    const [shipments, setShipments] = useState([]);
+    const [unshippedItems, setUnshippedItems] = useState([]);
+    const [shipQuantities, setShipQuantities] = useState({});
+    const [shipmentForm, setShipmentForm] = useState({ courier: '', weightGrams: '', note: '' });
+    const [bookingShipment, setBookingShipment] = useState(false);
+    const [shipmentError, setShipmentError] = useState(null);
     const navigate = useNavigate();
 
     useEffect(() => {
@@ -82,19 +104,148 @@ const AdminOrdersPage = () => {
                 }
             });
 
-            setSelectedOrder(response.data.order);
+            setSelectedOrder(response.data.data.order);
+            setStatusReason('');
             setShowOrderModal(true);
+            setShipmentError(null);
+            fetchShipments(orderId);
         } catch (err) {
             setError('Failed to load order details');
             logger.error('Order details fetch failed', { error: err.message, orderId });
         }
     };
+
+    const fetchShipments = async (orderId) => {
+        try {
+            const headers = { 'Authorization': `Bearer ${localStorage.getItem('adminToken')}` };
+            const [shipmentResponse, courierResponse] = await Promise.all([
+                apiClient.get(`/admin/orders/${orderId}/shipments`, { headers }),
+                couriers.length > 0 ? null : apiClient.get('/admin/couriers', { headers })
+            ]);
+
+            const { shipments: orderShipments, unshippedItems: lines } = shipmentResponse.data.data;
+            const waiting = lines.filter(line => line.unshipped > 0);
+            setShipments(orderShipments);
+            setUnshippedItems(waiting);
+            // Everything still waiting is selected until a line is changed
+            setShipQuantities(Object.fromEntries(waiting.map(line => [line.id, line.unshipped])));
+            if (courierResponse) {
+                const available = courierResponse.data.data.couriers;
+                setCouriers(available);
+                const firstConfigured = available.find(courier => courier.configured);
+                setShipmentForm(prev => ({ ...prev, courier: prev.courier || (firstConfigured ? firstConfigured.name : '') }));
+            }
+        } catch (err) {
+            logger.error('Order shipments fetch failed', { error: err.message, orderId });
+        }
+    };
+
+    const selectedShipItems = unshippedItems
+        .map(line => ({ orderItemId: line.id, quantity: parseInt(shipQuantities[line.id]) || 0 }))
+        .filter(item => item.quantity > 0);
+
+    // Book a parcel with the selected units; the rest can follow in another
+    const bookShipment = async () => {
+        setBookingShipment(true);
+        setShipmentError(null);
+        try {
+            const token = localStorage.getItem('adminToken');
+            const response = await apiClient.post(`/admin/orders/${selectedOrder.id}/shipments`,
+                {
+                    courier: shipmentForm.courier,
+                    weightGrams: shipmentForm.weightGrams ? parseInt(shipmentForm.weightGrams) : undefined,
+                    note: shipmentForm.note || undefined,
+                    items: selectedShipItems
+                },
+                {
+                    headers: {
+                        'Authorization': `Bearer ${token}`
+                    }
+                }
+            );
+
+            const { order } = response.data.data;
+            setSelectedOrder({ ...selectedOrder, status: order.status });
+            setOrders(orders.map(o => o.id === order.id ? { ...o, status: order.status } : o));
+            setShipmentForm(prev => ({ ...prev, weightGrams: '', note: '' }));
+            await fetchShipments(selectedOrder.id);
+
+            logger.info('Consignment booked', {
+                orderId: selectedOrder.id,
+                courier: shipmentForm.courier,
+                units: selectedShipItems.reduce((sum, item) => sum + item.quantity, 0)
+            });
+        } catch (err) {
+            setShipmentError(err.response?.data?.error || 'Failed to book consignment');
+            logger.error('Consignment booking failed', { error: err.message, orderId: selectedOrder.id });
+        } finally {
+            setBookingShipment(false);
+        }
+    };
+
+    const refreshShipment = async (shipmentId) => {
+        setShipmentError(null);
+        try {
+            const token = localStorage.getItem('adminToken');
+            const response = await apiClient.post(`/admin/shipments/${shipmentId}/refresh`, {}, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            const { order } = response.data.data;
+            setSelectedOrder({ ...selectedOrder, status: order.status });
+            setOrders(orders.map(o => o.id === order.id ? { ...o, status: order.status } : o));
+            await fetchShipments(selectedOrder.id);
+        } catch (err) {
+            setShipmentError(err.response?.data?.error || 'Failed to refresh tracking');
+            logger.error('Shipment tracking refresh failed', { error: err.message, shipmentId });
+        }
+    };
+    const toggleOrderSelection = (orderId) => {
+        setSelectedOrderIds(selectedOrderIds.includes(orderId)
+            ? selectedOrderIds.filter(id => id !== orderId)
+            : [...selectedOrderIds, orderId]);
+    };
+
+    const printPackingSlips = async () => {
+        setPrintingDocuments(true);
+        setError(null);
+        try {
+            await apiClient.download('/admin/orders/packing-slips', 'packing-slips.pdf', {
+                method: 'POST',
+                body: JSON.stringify({ orderIds: selectedOrderIds }),
+                headers: { 'Authorization': `Bearer ${localStorage.getItem('adminToken')}` }
+            });
+            logger.info('Packing slips printed', { orderCount: selectedOrderIds.length });
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to print packing slips');
+            logger.error('Packing slip printing failed', { error: err.message, orderIds: selectedOrderIds });
+        } finally {
+            setPrintingDocuments(false);
+        }
+    };
+
+    const downloadInvoice = async (order) => {
+        setPrintingDocuments(true);
+        try {
+            await apiClient.download(`/admin/orders/${order.id}/invoice`, `invoice-${order.order_number}.pdf`, {
+                headers: { 'Authorization': `Bearer ${localStorage.getItem('adminToken')}` }
+            });
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to download invoice');
+            logger.error('Invoice download failed', { error: err.message, orderId: order.id });
+        } finally {
+            setPrintingDocuments(false);
+        }
+    };
+
     const updateOrderStatus = async (orderId, newStatus) => {
         setUpdatingStatus(true);
         try {
             const token = localStorage.getItem('adminToken');
             await apiClient.patch(`/admin/orders/${orderId}/status`,
-                { status: newStatus },
+                { status: newStatus, reason: statusReason },
                 {
                     headers: {
                         'Authorization': `Bearer ${token}`
@@ -109,14 +260,20 @@ const AdminOrdersPage = () => {
                     : order
             ));
 
-            // Update selected order if it's the same
+            // Reload the selected order so its history shows the change
             if (selectedOrder && selectedOrder.id === orderId) {
-                setSelectedOrder({ ...selectedOrder, status: newStatus });
+                const response = await apiClient.get(`/admin/orders/${orderId}`, {
+                    headers: {
+                        'Authorization': `Bearer ${token}`
+                    }
+                });
+                setSelectedOrder(response.data.data.order);
+                setStatusReason('');
             }
 
             logger.info('Order status updated successfully', { orderId, newStatus });
         } catch (err) {
-            setError('Failed to update order status');
+            setError(err.response?.data?.error || 'Failed to update order status');
             logger.error('Order status update failed', { error: err.message, orderId, newStatus });
         } finally {
             setUpdatingStatus(false);
@@ -157,6 +314,77 @@ const AdminOrdersPage = () => {
         }
     };
 
+    const handleRemittanceFile = (file) => {
+        setRemittanceReport(null);
+        if (!file) {
+            setRemittance(prev => ({ ...prev, fileName: '', csv: '' }));
+            return;
+        }
+
+        // Matches the size the API accepts for the CSV body
+        if (file.size > 100 * 1024) {
+            setError('Remittance file must be smaller than 100KB');
+            return;
+        }
+
+        const reader = new FileReader();
+        reader.onload = () => {
+            setRemittance(prev => ({ ...prev, fileName: file.name, csv: reader.result }));
+        };
+        reader.onerror = () => {
+            setError('Failed to read remittance file');
+        };
+        reader.readAsText(file);
+    };
+
+    const importRemittance = async () => {
+        setImportingRemittance(true);
+        setError(null);
+        try {
+            const token = localStorage.getItem('adminToken');
+            const response = await apiClient.post('/admin/cod/remittances',
+                remittance,
+                {
+                    headers: {
+                        'Authorization': `Bearer ${token}`
+                    }
+                }
+            );
+
+            const { report } = response.data;
+            setRemittanceReport(report);
+
+            if (!report.dryRun) {
+                fetchOrders();
+            }
+
+            logger.info('COD remittance imported', {
+                courier: remittance.courier,
+                dryRun: report.dryRun,
+                matched: report.matchedCount,
+                mismatches: report.mismatchCount
+            });
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to import remittance');
+            logger.error('COD remittance import failed', { error: err.message, courier: remittance.courier });
+        } finally {
+            setImportingRemittance(false);
+        }
+    };
+
+    const formatMismatchReason = (reason) => {
+        const reasons = {
+            invalid_row: 'Unreadable row',
+            duplicate_row: 'Duplicate row',
+            order_not_found: 'Order not found',
+            not_cod_order: 'Not a COD order',
+            order_cancelled: 'Order cancelled',
+            already_collected: 'Already collected',
+            amount_mismatch: 'Amount mismatch'
+        };
+        return reasons[reason] || reason;
+    };
+
     const handleFilterChange = (key, value) => {
         setFilters(prev => ({
             ...prev,
@@ -172,27 +400,13 @@ const AdminOrdersPage = () => {
         }));
     };
 
-    const formatCurrency = (amount) => {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-        }).format(amount);
-    };
-
-    const formatDate = (dateString) => {
-        return new Date(dateString).toLocaleDateString('en-US', {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
-        });
-    };
+    const formatDate = (dateString) => formatLocaleDate(dateString, 'dateTime');
 
     const getStatusColor = (status) => {
         const colors = {
             pending: { bg: '#fef3c7', text: '#92400e' },
             processing: { bg: '#dbeafe', text: '#1e40af' },
+            partially_shipped: { bg: '#e0f2fe', text: '#075985' },
             shipped: { bg: '#d1fae5', text: '#065f46' },
             delivered: { bg: '#dcfce7', text: '#166534' },
             cancelled: { bg: '#fee2e2', text: '#991b1b' }
@@ -200,6 +414,8 @@ const AdminOrdersPage = () => {
         return colors[status] || { bg: '#f3f4f6', text: '#374151' };
     };
 
+    const formatStatus = (status) => (status.charAt(0).toUpperCase() + status.slice(1)).replace(/_/g, ' ');
+
     const getPaymentStatusColor = (status) => {
         const colors = {
             pending: { bg: '#fef3c7', text: '#92400e' },
@@ -314,12 +530,31 @@ const AdminOrdersPage = () => {
             {/* Header */}
             <div style={headerStyle}>
                 <h1 style={titleStyle}>Order Management</h1>
-                <button
-                    onClick={() => navigate('/admin/dashboard')}
-                    style={backButtonStyle}
-                >
-                    ← Back to Dashboard
-                </button>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <button
+                        onClick={printPackingSlips}
+                        disabled={selectedOrderIds.length === 0 || printingDocuments}
+                        style={{
+                            ...backButtonStyle,
+                            backgroundColor: '#059669',
+                            opacity: selectedOrderIds.length === 0 || printingDocuments ? 0.6 : 1
+                        }}
+                    >
+                        {printingDocuments ? 'Preparing...' : `Print Packing Slips (${selectedOrderIds.length})`}
+                    </button>
+                    <button
+                        onClick={() => setShowCodPanel(!showCodPanel)}
+                        style={{ ...backButtonStyle, backgroundColor: showCodPanel ? '#1e40af' : '#3b82f6' }}
+                    >
+                        COD Reconciliation
+                    </button>
+                    <button
+                        onClick={() => navigate('/admin/dashboard')}
+                        style={backButtonStyle}
+                    >
+                        ← Back to Dashboard
+                    </button>
+                </div>
             </div>
 
             {error && (
@@ -334,6 +569,140 @@ const AdminOrdersPage = () => {
                     {error}
                 </div>
             )}
+
+            {/* COD Reconciliation */}
+            {showCodPanel && (
+                <div style={{ ...cardStyle, marginBottom: '2rem' }}>
+                    <div style={{ padding: '1.5rem', borderBottom: '1px solid #e5e7eb' }}>
+                        <h2 style={{ fontSize: '1.125rem', fontWeight: '600', margin: '0 0 0.25rem 0' }}>
+                            Courier Remittance Import
+                        </h2>
+                        <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: 0 }}>
+                            Upload the courier's CSV with order number and collected amount columns.
+                            Matching cash on delivery orders are marked collected and paid.
+                        </p>
+                    </div>
+                    <div style={filtersStyle}>
+                        <div>
+                            <label style={{ fontSize: '0.875rem', fontWeight: '500', marginBottom: '0.25rem', display: 'block' }}>
+                                Courier
+                            </label>
+                            <select
+                                value={remittance.courier}
+                                onChange={(e) => setRemittance({ ...remittance, courier: e.target.value })}
+                                style={inputStyle}
+                            >
+                                <option value="pathao">Pathao</option>
+                                <option value="steadfast">Steadfast</option>
+                                <option value="redx">RedX</option>
+                                <option value="other">Other</option>
+                            </select>
+                        </div>
+                        <div>
+                            <label style={{ fontSize: '0.875rem', fontWeight: '500', marginBottom: '0.25rem', display: 'block' }}>
+                                Remittance Reference
+                            </label>
+                            <input
+                                type="text"
+                                placeholder="e.g. invoice or payout ID"
+                                value={remittance.reference}
+                                onChange={(e) => setRemittance({ ...remittance, reference: e.target.value })}
+                                style={inputStyle}
+                            />
+                        </div>
+                        <div>
+                            <label style={{ fontSize: '0.875rem', fontWeight: '500', marginBottom: '0.25rem', display: 'block' }}>
+                                CSV File
+                            </label>
+                            <input
+                                type="file"
+                                accept=".csv,text/csv"
+                                onChange={(e) => handleRemittanceFile(e.target.files[0])}
+                                style={inputStyle}
+                            />
+                        </div>
+                        <div style={{ display: 'flex', gap: '1rem', alignItems: 'center' }}>
+                            <label style={{ fontSize: '0.875rem', display: 'flex', alignItems: 'center', gap: '0.25rem' }}>
+                                <input
+                                    type="checkbox"
+                                    checked={remittance.dryRun}
+                                    onChange={(e) => setRemittance({ ...remittance, dryRun: e.target.checked })}
+                                />
+                                Preview only
+                            </label>
+                            <button
+                                onClick={importRemittance}
+                                disabled={!remittance.csv || importingRemittance}
+                                style={{
+                                    ...backButtonStyle,
+                                    backgroundColor: '#059669',
+                                    opacity: !remittance.csv || importingRemittance ? 0.5 : 1,
+                                    cursor: !remittance.csv || importingRemittance ? 'not-allowed' : 'pointer'
+                                }}
+                            >
+                                {importingRemittance ? 'Importing...' : remittance.dryRun ? 'Preview' : 'Import & Mark Paid'}
+                            </button>
+                        </div>
+                    </div>
+
+                    {remittanceReport && (
+                        <div style={{ padding: '1.5rem' }}>
+                            <div style={{ display: 'flex', gap: '2rem', flexWrap: 'wrap', fontSize: '0.875rem', marginBottom: '1rem' }}>
+                                <span>
+                                    <strong>{remittanceReport.dryRun ? 'Preview' : 'Imported'}</strong>
+                                    {remittanceReport.reference && ` · ${remittanceReport.reference}`}
+                                </span>
+                                <span>Rows: <strong>{remittanceReport.totalRows}</strong></span>
+                                <span style={{ color: '#065f46' }}>
+                                    Matched: <strong>{remittanceReport.matchedCount}</strong>
+                                </span>
+                                <span style={{ color: remittanceReport.mismatchCount > 0 ? '#991b1b' : '#374151' }}>
+                                    Mismatches: <strong>{remittanceReport.mismatchCount}</strong>
+                                </span>
+                                <span>
+                                    Collected: <strong>{formatCurrency(remittanceReport.collectedAmount)}</strong>
+                                </span>
+                            </div>
+
+                            {remittanceReport.mismatches.length > 0 && (
+                                <div style={{ overflowX: 'auto' }}>
+                                    <table style={tableStyle}>
+                                        <thead>
+                                            <tr>
+                                                <th style={thStyle}>Row</th>
+                                                <th style={thStyle}>Order #</th>
+                                                <th style={thStyle}>Problem</th>
+                                                <th style={thStyle}>Expected</th>
+                                                <th style={thStyle}>Received</th>
+                                            </tr>
+                                        </thead>
+                                        <tbody>
+                                            {remittanceReport.mismatches.map(mismatch => (
+                                                <tr key={mismatch.row}>
+                                                    <td style={tdStyle}>{mismatch.row}</td>
+                                                    <td style={tdStyle}>{mismatch.orderNumber || '—'}</td>
+                                                    <td style={{ ...tdStyle, color: '#991b1b' }}>
+                                                        {formatMismatchReason(mismatch.reason)}
+                                                    </td>
+                                                    <td style={tdStyle}>
+                                                        {mismatch.expected !== null && mismatch.expected !== undefined
+                                                            ? formatCurrency(mismatch.expected) : '—'}
+                                                    </td>
+                                                    <td style={tdStyle}>
+                                                        {typeof mismatch.received === 'number'
+                                                            ? formatCurrency(mismatch.received) : (mismatch.received || '—')}
+                                                    </td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            )}
+                        </div>
+                    )}
+                </div>
+            )}
+
             {/* Orders Table */}
             <div style={cardStyle}>
                 {/* Filters */}
@@ -362,6 +731,7 @@ const AdminOrdersPage = () => {
                             <option value="">All Statuses</option>
                             <option value="pending">Pending</option>
                             <option value="processing">Processing</option>
+                            <option value="partially_shipped">Partially Shipped</option>
                             <option value="shipped">Shipped</option>
                             <option value="delivered">Delivered</option>
                             <option value="cancelled">Cancelled</option>
@@ -404,6 +774,16 @@ const AdminOrdersPage = () => {
                     <table style={tableStyle}>
                         <thead>
                             <tr>
+                                <th style={thStyle}>
+                                    <input
+                                        type="checkbox"
+                                        aria-label="Select all orders on this page"
+                                        checked={orders.length > 0 && orders.every(order => selectedOrderIds.includes(order.id))}
+                                        onChange={(e) => setSelectedOrderIds(e.target.checked
+                                            ? [...new Set([...selectedOrderIds, ...orders.map(order => order.id)])]
+                                            : selectedOrderIds.filter(id => !orders.some(order => order.id === id)))}
+                                    />
+                                </th>
                                 <th style={thStyle}>Order #</th>
                                 <th style={thStyle}>Customer</th>
                                 <th style={thStyle}>Items</th>
@@ -421,6 +801,14 @@ const AdminOrdersPage = () => {
 
                                 return (
                                     <tr key={order.id}>
+                                        <td style={tdStyle}>
+                                            <input
+                                                type="checkbox"
+                                                aria-label={`Select order ${order.order_number}`}
+                                                checked={selectedOrderIds.includes(order.id)}
+                                                onChange={() => toggleOrderSelection(order.id)}
+                                            />
+                                        </td>
                                         <td style={tdStyle}>
                                             <span style={{ fontWeight: '500' }}>
                                                 #{order.order_number}
@@ -453,7 +841,7 @@ const AdminOrdersPage = () => {
                                                 backgroundColor: statusColor.bg,
                                                 color: statusColor.text
                                             }}>
-                                                {order.status.charAt(0).toUpperCase() + order.status.slice(1)}
+                                                {formatStatus(order.status)}
                                             </span>
                                         </td>
                                         <td style={tdStyle}>
@@ -467,6 +855,11 @@ const AdminOrdersPage = () => {
                                             }}>
                                                 {order.payment_status.charAt(0).toUpperCase() + order.payment_status.slice(1)}
                                             </span>
+                                            {order.cod_status && (
+                                                <div style={{ fontSize: '0.75rem', color: '#6b7280', marginTop: '0.25rem' }}>
+                                                    COD · {order.cod_status === 'collected' ? 'Cash collected' : 'Awaiting cash'}
+                                                </div>
+                                            )}
                                         </td>
                                         <td style={tdStyle}>
                                             {formatDate(order.created_at)}
@@ -492,7 +885,7 @@ const AdminOrdersPage = () => {
                                 );
                             }) : (
                                 <tr>
-                                    <td colSpan={8} style={{ ...tdStyle, textAlign: 'center', padding: '2rem' }}>
+                                    <td colSpan={9} style={{ ...tdStyle, textAlign: 'center', padding: '2rem' }}>
                                         No orders found
                                     </td>
                                 </tr>
@@ -591,6 +984,22 @@ const AdminOrdersPage = () => {
                             <h3 style={{ fontSize: '1.25rem', fontWeight: '600', margin: 0 }}>
                                 Order #{selectedOrder.order_number}
                             </h3>
+                            <button
+                                onClick={() => downloadInvoice(selectedOrder)}
+                                disabled={printingDocuments}
+                                style={{
+                                    marginLeft: 'auto',
+                                    marginRight: '0.5rem',
+                                    padding: '0.375rem 0.75rem',
+                                    backgroundColor: 'white',
+                                    border: '1px solid #d1d5db',
+                                    borderRadius: '0.375rem',
+                                    cursor: 'pointer',
+                                    fontSize: '0.875rem'
+                                }}
+                            >
+                                Download Invoice
+                            </button>
                             <button
                                 onClick={() => {
                                     setShowOrderModal(false);
@@ -643,7 +1052,9 @@ const AdminOrdersPage = () => {
                                         }}
                                     >
                                         <option value="pending">Pending</option>
+                                        <option value="confirmed">Confirmed</option>
                                         <option value="processing">Processing</option>
+                                        <option value="partially_shipped">Partially Shipped</option>
                                         <option value="shipped">Shipped</option>
                                         <option value="delivered">Delivered</option>
                                         <option value="cancelled">Cancelled</option>
@@ -670,6 +1081,240 @@ const AdminOrdersPage = () => {
                                         </span>
                                     )}
                                 </div>
+                                <input
+                                    type="text"
+                                    value={statusReason}
+                                    onChange={(e) => setStatusReason(e.target.value)}
+                                    placeholder="Reason for the next status change (optional)"
+                                    maxLength={500}
+                                    style={{
+                                        marginTop: '0.5rem',
+                                        width: '100%',
+                                        padding: '0.5rem',
+                                        border: '1px solid #d1d5db',
+                                        borderRadius: '0.375rem',
+                                        fontSize: '0.875rem'
+                                    }}
+                                />
+                            </div>
+
+                            {/* Status History */}
+                            {selectedOrder.status_history && selectedOrder.status_history.length > 0 && (
+                                <div style={{ marginBottom: '2rem' }}>
+                                    <h4 style={{ fontSize: '1rem', fontWeight: '600', marginBottom: '0.5rem' }}>
+                                        Status History
+                                    </h4>
+                                    <ol style={{ listStyle: 'none', margin: 0, padding: 0, borderLeft: '2px solid #e5e7eb' }}>
+                                        {selectedOrder.status_history.map(entry => (
+                                            <li key={entry.id} style={{ position: 'relative', padding: '0 0 0.75rem 1rem' }}>
+                                                <span
+                                                    style={{
+                                                        position: 'absolute',
+                                                        left: '-5px',
+                                                        top: '0.375rem',
+                                                        width: '8px',
+                                                        height: '8px',
+                                                        borderRadius: '50%',
+                                                        backgroundColor: getStatusColor(entry.to_status).text
+                                                    }}
+                                                />
+                                                <div style={{ display: 'flex', justifyContent: 'space-between', fontSize: '0.875rem' }}>
+                                                    <span>
+                                                        {entry.from_status
+                                                            ? `${formatStatus(entry.from_status)} → ${formatStatus(entry.to_status)}`
+                                                            : formatStatus(entry.to_status)}
+                                                    </span>
+                                                    <span style={{ color: '#6b7280' }}>{formatDate(entry.created_at)}</span>
+                                                </div>
+                                                <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>
+                                                    {entry.changed_by_name ? `${entry.changed_by_name} (${entry.actor})` : entry.actor}
+                                                    {entry.reason && ` • ${entry.reason}`}
+                                                </div>
+                                            </li>
+                                        ))}
+                                    </ol>
+                                </div>
+                            )}
+
+                            {/* Courier Shipment */}
+                            <div style={{ marginBottom: '2rem' }}>
+                                <h4 style={{ fontSize: '1rem', fontWeight: '600', marginBottom: '0.5rem' }}>
+                                    Courier Shipments
+                                </h4>
+
+                                {shipments.map(shipment => (
+                                    <div
+                                        key={shipment.id}
+                                        style={{
+                                            border: '1px solid #e5e7eb',
+                                            borderRadius: '0.375rem',
+                                            padding: '1rem',
+                                            marginBottom: '0.75rem',
+                                            fontSize: '0.875rem'
+                                        }}
+                                    >
+                                        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '0.5rem' }}>
+                                            <div>
+                                                <span style={{ fontWeight: '600', textTransform: 'capitalize' }}>{shipment.courier}</span>
+                                                {' · '}
+                                                {shipment.tracking_url ? (
+                                                    <a href={shipment.tracking_url} target="_blank" rel="noopener noreferrer" style={{ color: '#2563eb', fontFamily: 'monospace' }}>
+                                                        {shipment.tracking_number}
+                                                    </a>
+                                                ) : (
+                                                    <span style={{ fontFamily: 'monospace' }}>{shipment.tracking_number}</span>
+                                                )}
+                                                {parseFloat(shipment.cod_amount) > 0 && (
+                                                    <span style={{ color: '#6b7280' }}> · Collect {formatCurrency(shipment.cod_amount)}</span>
+                                                )}
+                                            </div>
+                                            <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                                                <span style={{
+                                                    padding: '0.125rem 0.5rem',
+                                                    borderRadius: '9999px',
+                                                    backgroundColor: '#eff6ff',
+                                                    color: '#1d4ed8',
+                                                    fontSize: '0.75rem',
+                                                    textTransform: 'capitalize'
+                                                }}>
+                                                    {shipment.status.replace(/_/g, ' ')}
+                                                </span>
+                                                <button
+                                                    onClick={() => refreshShipment(shipment.id)}
+                                                    style={{
+                                                        padding: '0.25rem 0.5rem',
+                                                        border: '1px solid #d1d5db',
+                                                        borderRadius: '0.375rem',
+                                                        backgroundColor: 'white',
+                                                        fontSize: '0.75rem',
+                                                        cursor: 'pointer'
+                                                    }}
+                                                >
+                                                    Refresh
+                                                </button>
+                                            </div>
+                                        </div>
+                                        <div style={{ marginBottom: '0.5rem', color: '#374151' }}>
+                                            {shipment.items.map(item => `${item.quantity} × ${item.name}`).join(', ')}
+                                        </div>
+                                        {shipment.events.map(event => (
+                                            <div key={event.id} style={{ display: 'flex', gap: '0.75rem', color: '#6b7280', padding: '0.125rem 0' }}>
+                                                <span style={{ whiteSpace: 'nowrap' }}>{formatDate(event.occurredAt)}</span>
+                                                <span>{event.description || event.courierStatus}</span>
+                                            </div>
+                                        ))}
+                                    </div>
+                                ))}
+
+                                {unshippedItems.length > 0 && !['cancelled', 'delivered'].includes(selectedOrder.status) && (
+                                    <div>
+                                        <div style={{ fontSize: '0.875rem', fontWeight: '500', marginBottom: '0.5rem' }}>
+                                            Ship selected items
+                                        </div>
+                                        {unshippedItems.map(line => (
+                                            <label
+                                                key={line.id}
+                                                style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', fontSize: '0.875rem', marginBottom: '0.375rem' }}
+                                            >
+                                                <input
+                                                    type="checkbox"
+                                                    checked={(parseInt(shipQuantities[line.id]) || 0) > 0}
+                                                    onChange={(e) => setShipQuantities({
+                                                        ...shipQuantities,
+                                                        [line.id]: e.target.checked ? line.unshipped : 0
+                                                    })}
+                                                />
+                                                <input
+                                                    type="number"
+                                                    min="0"
+                                                    max={line.unshipped}
+                                                    value={shipQuantities[line.id] ?? 0}
+                                                    onChange={(e) => setShipQuantities({
+                                                        ...shipQuantities,
+                                                        [line.id]: Math.min(Math.max(parseInt(e.target.value) || 0, 0), line.unshipped)
+                                                    })}
+                                                    style={{
+                                                        width: '4rem',
+                                                        padding: '0.25rem',
+                                                        border: '1px solid #d1d5db',
+                                                        borderRadius: '0.375rem',
+                                                        fontSize: '0.875rem'
+                                                    }}
+                                                />
+                                                <span>of {line.unshipped} × {line.name}</span>
+                                            </label>
+                                        ))}
+                                        <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', flexWrap: 'wrap', marginTop: '0.5rem' }}>
+                                            <select
+                                                value={shipmentForm.courier}
+                                                onChange={(e) => setShipmentForm({ ...shipmentForm, courier: e.target.value })}
+                                                style={{
+                                                    padding: '0.5rem',
+                                                    border: '1px solid #d1d5db',
+                                                    borderRadius: '0.375rem',
+                                                    fontSize: '0.875rem'
+                                                }}
+                                            >
+                                                <option value="">Select courier</option>
+                                                {couriers.map(courier => (
+                                                    <option key={courier.name} value={courier.name} disabled={!courier.configured}>
+                                                        {courier.name}{courier.configured ? '' : ' (not configured)'}
+                                                    </option>
+                                                ))}
+                                            </select>
+                                            <input
+                                                type="number"
+                                                min="1"
+                                                placeholder={selectedOrder.shipping_weight_grams ? `${selectedOrder.shipping_weight_grams} g` : 'Weight (g)'}
+                                                value={shipmentForm.weightGrams}
+                                                onChange={(e) => setShipmentForm({ ...shipmentForm, weightGrams: e.target.value })}
+                                                style={{
+                                                    width: '8rem',
+                                                    padding: '0.5rem',
+                                                    border: '1px solid #d1d5db',
+                                                    borderRadius: '0.375rem',
+                                                    fontSize: '0.875rem'
+                                                }}
+                                            />
+                                            <input
+                                                type="text"
+                                                placeholder="Note for the rider"
+                                                value={shipmentForm.note}
+                                                onChange={(e) => setShipmentForm({ ...shipmentForm, note: e.target.value })}
+                                                style={{
+                                                    flex: 1,
+                                                    minWidth: '10rem',
+                                                    padding: '0.5rem',
+                                                    border: '1px solid #d1d5db',
+                                                    borderRadius: '0.375rem',
+                                                    fontSize: '0.875rem'
+                                                }}
+                                            />
+                                            <button
+                                                onClick={bookShipment}
+                                                disabled={!shipmentForm.courier || bookingShipment || selectedShipItems.length === 0}
+                                                style={{
+                                                    padding: '0.5rem 1rem',
+                                                    backgroundColor: '#2563eb',
+                                                    color: 'white',
+                                                    border: 'none',
+                                                    borderRadius: '0.375rem',
+                                                    fontSize: '0.875rem',
+                                                    cursor: 'pointer',
+                                                    opacity: !shipmentForm.courier || bookingShipment || selectedShipItems.length === 0 ? 0.6 : 1
+                                                }}
+                                            >
+                                                {bookingShipment ? 'Booking...' : 'Book Consignment'}
+                                            </button>
+                                        </div>
+                                    </div>
+                                )}
+
+                                {shipmentError && (
+                                    <div style={{ marginTop: '0.5rem', fontSize: '0.875rem', color: '#dc2626' }}>
+                                        {shipmentError}
+                                    </div>
+                                )}
                             </div>
 
                             {/* Order Items */}
@@ -691,9 +1336,21 @@ const AdminOrdersPage = () => {
                                         >
                                             <div>
                                                 <div style={{ fontWeight: '500' }}>{item.product_name}</div>
+                                                {item.variant_label && (
+                                                    <div style={{ fontSize: '0.875rem', color: '#374151' }}>
+                                                        {item.variant_label}{item.variant_sku ? ` · SKU ${item.variant_sku}` : ''}
+                                                    </div>
+                                                )}
                                                 <div style={{ fontSize: '0.875rem', color: '#6b7280' }}>
                                                     Quantity: {item.quantity} × {formatCurrency(item.unit_price)}
                                                 </div>
+                                                {item.allocations && item.allocations.length > 0 && (
+                                                    <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>
+                                                        Ships from: {item.allocations
+                                                            .map(allocation => `${allocation.warehouse_name} (${allocation.quantity})`)
+                                                            .join(', ')}
+                                                    </div>
+                                                )}
                                             </div>
                                             <div style={{ fontWeight: '500' }}>
                                                 {formatCurrency(item.total_price)}
@@ -723,9 +1380,15 @@ const AdminOrdersPage = () => {
                                         <span>{formatCurrency(selectedOrder.shipping_cost || 0)}</span>
                                     </div>
                                     <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
-                                        <span>Tax:</span>
+                                        <span>{selectedOrder.prices_include_tax === false ? 'VAT:' : 'VAT (included):'}</span>
                                         <span>{formatCurrency(selectedOrder.tax_amount || 0)}</span>
                                     </div>
+                                    {parseFloat(selectedOrder.cod_fee) > 0 && (
+                                        <div style={{ display: 'flex', justifyContent: 'space-between', marginBottom: '0.5rem' }}>
+                                            <span>Cash on Delivery Fee:</span>
+                                            <span>{formatCurrency(selectedOrder.cod_fee)}</span>
+                                        </div>
+                                    )}
                                     <div style={{
                                         display: 'flex',
                                         justifyContent: 'space-between',
@@ -1,8 +1,42 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate, useParams } from 'react-router-dom';
+import { Link, useNavigate, useParams } from 'react-router-dom';
 import apiClient from '../api';
 import logger from '../logger';
 
+// Specifications are edited as "Name: Value" lines
+const specsToText = (specs) => Object.entries(specs || {})
+    .map(([name, value]) => `${name}: ${value}`)
+    .join('\n');
+
+const textToSpecs = (text) => text.split('\n').reduce((specs, line) => {
+    const separator = line.indexOf(':');
+    const name = line.slice(0, separator).trim();
+    const value = line.slice(separator + 1).trim();
+    return separator > 0 && name && value ? { ...specs, [name]: value } : specs;
+}, {});
+
+// Stock changes an admin can record by hand, as the operation and ledger
+// reason the stock endpoint takes
+const STOCK_ADJUSTMENTS = {
+    stock_count: { label: 'Stock count (set to)', operation: 'set', reason: 'stock_count' },
+    damage: { label: 'Damaged (remove)', operation: 'decrement', reason: 'damage' },
+    add: { label: 'Adjustment (add)', operation: 'increment', reason: 'adjustment' },
+    remove: { label: 'Adjustment (remove)', operation: 'decrement', reason: 'adjustment' }
+};
+
+const MOVEMENT_LABELS = {
+    opening_balance: 'Opening balance',
+    sale: 'Sale',
+    cancellation: 'Cancellation restock',
+    return: 'Return',
+    adjustment: 'Adjustment',
+    damage: 'Damage',
+    stock_count: 'Stock count',
+    transfer_out: 'Transfer out',
+    transfer_in: 'Transfer in',
+    purchase_receipt: 'Purchase receipt'
+};
+
 const AdminProductFormPage = () => {
     const { id } = useParams();
     const isEditing = Boolean(id);
@@ -11,22 +45,58 @@ const AdminProductFormPage = () => {
     const [formData, setFormData] = useState({
         name: '',
         description: '',
+        nameBn: '',
+        descriptionBn: '',
         price: '',
         stockQuantity: '',
+        weightGrams: '',
+        brand: '',
+        color: '',
+        material: '',
+        specsText: '',
         categoryId: '',
+        taxClassId: '',
         imageUrl: '',
         isActive: true
     });
     const [categories, setCategories] = useState([]);
+    const [taxClasses, setTaxClasses] = useState([]);
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState(null);
     const [success, setSuccess] = useState(null);
+    // Variant matrix: option values are edited as comma separated text
+    const [variantOptions, setVariantOptions] = useState([]);
+    const [variants, setVariants] = useState([]);
+    const [savingVariants, setSavingVariants] = useState(false);
+    const [variantMessage, setVariantMessage] = useState(null);
+    // Uploaded gallery; the primary image becomes the product's image URL
+    const [images, setImages] = useState([]);
+    const [uploadingImages, setUploadingImages] = useState(false);
+    const [imageMessage, setImageMessage] = useState(null);
+
+    const [inventory, setInventory] = useState(null);
+    const [movements, setMovements] = useState([]);
+    const [movementPagination, setMovementPagination] = useState(null);
+    const [adjustment, setAdjustment] = useState({ type: 'stock_count', warehouseId: '', variantId: '', quantity: '', note: '' });
+    const [adjustingStock, setAdjustingStock] = useState(false);
+    const [stockMessage, setStockMessage] = useState(null);
+
+    const [suppliers, setSuppliers] = useState([]);
+    const [reorderRule, setReorderRule] = useState(null);
+    const [reorderForm, setReorderForm] = useState({ supplierId: '', reorderPoint: '', reorderQuantity: '' });
+    const [savingReorderRule, setSavingReorderRule] = useState(false);
+    const [reorderMessage, setReorderMessage] = useState(null);
 
     useEffect(() => {
         checkAdminAuth();
         fetchCategories();
+        fetchTaxClasses();
         if (isEditing) {
             fetchProduct();
+            fetchInventory();
+            fetchMovements(1);
+            fetchSuppliers();
+            fetchReorderRule();
         }
     }, [id]);
 
@@ -64,6 +134,21 @@ const AdminProductFormPage = () => {
         }
     };
 
+    const fetchTaxClasses = async () => {
+        try {
+            const token = localStorage.getItem('adminToken');
+            const response = await apiClient.get('/admin/tax/classes', {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            setTaxClasses(response.data.data.taxClasses.filter(taxClass => taxClass.is_active));
+        } catch (err) {
+            logger.error('Tax classes fetch failed', { error: err.message });
+        }
+    };
+
     const fetchProduct = async () => {
         try {
             const token = localStorage.getItem('adminToken');
@@ -73,21 +158,365 @@ const AdminProductFormPage = () => {
                 }
             });
 
-            const product = response.data.product;
+            const product = response.data.data.product;
             setFormData({
                 name: product.name || '',
                 description: product.description || '',
+                nameBn: product.name_bn || '',
+                descriptionBn: product.description_bn || '',
                 price: product.price || '',
                 stockQuantity: product.stock_quantity || '',
+                weightGrams: product.weight_grams || '',
+                brand: product.brand || '',
+                color: product.color || '',
+                material: product.material || '',
+                specsText: specsToText(product.specs),
                 categoryId: product.category_id || '',
+                taxClassId: product.tax_class_id || '',
                 imageUrl: product.image_url || '',
                 isActive: product.is_active !== false
             });
+            setVariantOptions((product.options || []).map(option => ({
+                name: option.name,
+                values: option.choices.join(', ')
+            })));
+            setVariants((product.variants || []).map(toVariantRow));
+            setImages(product.images || []);
         } catch (err) {
             setError('Failed to load product');
             logger.error('Product fetch failed', { error: err.message, productId: id });
         }
     };
+
+    const fetchInventory = async () => {
+        try {
+            const token = localStorage.getItem('adminToken');
+            const response = await apiClient.get(`/admin/products/${id}/inventory`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            setInventory(response.data.data);
+        } catch (err) {
+            logger.error('Product inventory fetch failed', { error: err.message, productId: id });
+        }
+    };
+
+    const fetchMovements = async (page) => {
+        try {
+            const token = localStorage.getItem('adminToken');
+            const response = await apiClient.get(`/admin/products/${id}/inventory/movements?page=${page}&limit=20`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            setMovements(response.data.data.movements);
+            setMovementPagination(response.data.data.pagination);
+        } catch (err) {
+            logger.error('Inventory movements fetch failed', { error: err.message, productId: id });
+        }
+    };
+
+    const fetchSuppliers = async () => {
+        try {
+            const token = localStorage.getItem('adminToken');
+            const response = await apiClient.get('/admin/suppliers', {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            setSuppliers(response.data.data.suppliers);
+        } catch (err) {
+            logger.error('Suppliers fetch failed', { error: err.message });
+        }
+    };
+
+    const fetchReorderRule = async () => {
+        try {
+            const token = localStorage.getItem('adminToken');
+            const response = await apiClient.get(`/admin/products/${id}/reorder-rule`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            const rule = response.data.data.reorderRule;
+            setReorderRule(rule);
+            setReorderForm(rule
+                ? { supplierId: String(rule.supplier_id), reorderPoint: rule.reorder_point, reorderQuantity: rule.reorder_quantity }
+                : { supplierId: '', reorderPoint: '', reorderQuantity: '' });
+        } catch (err) {
+            logger.error('Reorder rule fetch failed', { error: err.message, productId: id });
+        }
+    };
+
+    const handleSaveReorderRule = async (e) => {
+        e.preventDefault();
+        setSavingReorderRule(true);
+        setReorderMessage(null);
+
+        try {
+            const token = localStorage.getItem('adminToken');
+            const response = await apiClient.put(`/admin/products/${id}/reorder-rule`, {
+                supplierId: parseInt(reorderForm.supplierId),
+                reorderPoint: parseInt(reorderForm.reorderPoint) || 0,
+                reorderQuantity: parseInt(reorderForm.reorderQuantity) || 0
+            }, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            setReorderRule(response.data.data.reorderRule);
+            setReorderMessage({ type: 'success', text: 'Reorder rule saved successfully!' });
+            logger.info('Reorder rule saved', { productId: id });
+        } catch (err) {
+            setReorderMessage({ type: 'error', text: err.message || 'Failed to save reorder rule' });
+            logger.error('Reorder rule save failed', { error: err.message, productId: id });
+        } finally {
+            setSavingReorderRule(false);
+        }
+    };
+
+    const handleRemoveReorderRule = async () => {
+        setSavingReorderRule(true);
+        setReorderMessage(null);
+
+        try {
+            const token = localStorage.getItem('adminToken');
+            await apiClient.delete(`/admin/products/${id}/reorder-rule`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            setReorderRule(null);
+            setReorderForm({ supplierId: '', reorderPoint: '', reorderQuantity: '' });
+            setReorderMessage({ type: 'success', text: 'Reorder rule removed.' });
+            logger.info('Reorder rule removed', { productId: id });
+        } catch (err) {
+            setReorderMessage({ type: 'error', text: err.message || 'Failed to remove reorder rule' });
+            logger.error('Reorder rule removal failed', { error: err.message, productId: id });
+        } finally {
+            setSavingReorderRule(false);
+        }
+    };
+
+    const handleAdjustStock = async (e) => {
+        e.preventDefault();
+        setAdjustingStock(true);
+        setStockMessage(null);
+
+        try {
+            const token = localStorage.getItem('adminToken');
+            const { operation, reason } = STOCK_ADJUSTMENTS[adjustment.type];
+            const response = await apiClient.patch(`/products/${id}/stock`, {
+                quantity: parseInt(adjustment.quantity) || 0,
+                operation,
+                reason,
+                ...(adjustment.variantId && { variantId: parseInt(adjustment.variantId) }),
+                ...(adjustment.warehouseId && { warehouseId: parseInt(adjustment.warehouseId) }),
+                ...(adjustment.note.trim() && { note: adjustment.note.trim() })
+            }, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            const { product, variant } = response.data.data;
+            setFormData(prev => ({ ...prev, stockQuantity: product.stock_quantity }));
+            if (variant) {
+                setVariants(prev => prev.map(row => (row.id === variant.id ? { ...row, stockQuantity: variant.stock_quantity } : row)));
+            }
+            setAdjustment(prev => ({ ...prev, quantity: '', note: '' }));
+            setStockMessage({ type: 'success', text: 'Stock updated successfully!' });
+            fetchInventory();
+            fetchMovements(1);
+            logger.info('Product stock adjusted', { productId: id, type: adjustment.type });
+        } catch (err) {
+            setStockMessage({ type: 'error', text: err.message || 'Failed to update stock' });
+            logger.error('Product stock adjustment failed', { error: err.message, productId: id });
+        } finally {
+            setAdjustingStock(false);
+        }
+    };
+
+    const toVariantRow = (variant) => ({
+        id: variant.id,
+        optionValues: variant.option_values,
+        title: variant.title,
+        sku: variant.sku || '',
+        price: variant.price || '',
+        stockQuantity: variant.stock_quantity,
+        isActive: variant.is_active
+    });
+
+    const parseOptionValues = (values) => [...new Set(values.split(',').map(value => value.trim()).filter(Boolean))];
+
+    const updateVariantOption = (index, field, value) => {
+        setVariantOptions(prev => prev.map((option, i) => (i === index ? { ...option, [field]: value } : option)));
+    };
+
+    // One row per combination of option values. Rows that already exist keep
+    // their SKU, price and stock.
+    const generateVariants = () => {
+        const options = variantOptions
+            .map(option => ({ name: option.name.trim(), values: parseOptionValues(option.values) }))
+            .filter(option => option.name && option.values.length > 0);
+
+        const combinations = options.reduce(
+            (rows, option) => rows.flatMap(row => option.values.map(value => ({ ...row, [option.name]: value }))),
+            [{}]
+        );
+
+        setVariants(options.length === 0 ? [] : combinations.map(optionValues => {
+            const title = options.map(option => optionValues[option.name]).join(' / ');
+            const existing = variants.find(variant => variant.title === title);
+            return existing
+                ? { ...existing, optionValues }
+                : { optionValues, title, sku: '', price: '', stockQuantity: 0, isActive: true };
+        }));
+    };
+
+    const updateVariant = (index, field, value) => {
+        setVariants(prev => prev.map((variant, i) => (i === index ? { ...variant, [field]: value } : variant)));
+    };
+
+    const handleSaveVariants = async () => {
+        setSavingVariants(true);
+        setVariantMessage(null);
+
+        try {
+            const token = localStorage.getItem('adminToken');
+            const response = await apiClient.put(`/products/${id}/variants`, {
+                options: variantOptions
+                    .filter(option => option.name.trim())
+                    .map(option => ({ name: option.name.trim(), values: parseOptionValues(option.values) })),
+                variants: variants.map(variant => ({
+                    optionValues: variant.optionValues,
+                    sku: variant.sku || null,
+                    price: variant.price !== '' ? parseFloat(variant.price) : null,
+                    stockQuantity: parseInt(variant.stockQuantity) || 0,
+                    isActive: variant.isActive
+                }))
+            }, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+
+            const saved = response.data.data;
+            setVariants(saved.variants.map(toVariantRow));
+            setFormData(prev => ({
+                ...prev,
+                stockQuantity: saved.variants
+                    .filter(variant => variant.is_active)
+                    .reduce((total, variant) => total + variant.stock_quantity, 0)
+            }));
+            setVariantMessage({ type: 'success', text: 'Variants saved successfully!' });
+            fetchInventory();
+            fetchMovements(1);
+            logger.info('Product variants saved', { productId: id, variantCount: saved.variants.length });
+        } catch (err) {
+            setVariantMessage({ type: 'error', text: err.message || 'Failed to save variants' });
+            logger.error('Product variants save failed', { error: err.message, productId: id });
+        } finally {
+            setSavingVariants(false);
+        }
+    };
+
+    const hasVariants = variants.length > 0;
+
+    // One row for the product, or one per variant, with a cell per warehouse
+    const inventoryRows = inventory
+        ? [...new Map(inventory.levels.map(level => [level.variant_id, level.variant_title])).entries()]
+            .map(([variantId, title]) => ({
+                variantId,
+                title: title || 'All stock',
+                levels: inventory.levels.filter(level => level.variant_id === variantId)
+            }))
+        : [];
+
+    const warehouseName = (warehouseId) =>
+        (inventory.warehouses.find(warehouse => warehouse.id === warehouseId) || {}).name || `Warehouse #${warehouseId}`;
+
+    const applyImages = (updatedImages, text) => {
+        const primary = updatedImages.find(image => image.is_primary);
+        setImages(updatedImages);
+        if (primary) {
+            setFormData(prev => ({ ...prev, imageUrl: primary.medium_url }));
+        }
+        if (text) {
+            setImageMessage({ type: 'success', text });
+        }
+    };
+
+    const imageRequest = async (request, successText, failureText) => {
+        setImageMessage(null);
+        try {
+            const response = await request({
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+                }
+            });
+            applyImages(response.data.data.images, successText);
+        } catch (err) {
+            setImageMessage({ type: 'error', text: err.message || failureText });
+            logger.error('Product image request failed', { error: err.message, productId: id });
+        }
+    };
+
+    const handleImageUpload = async (e) => {
+        const files = Array.from(e.target.files);
+        e.target.value = '';
+        if (files.length === 0) {
+            return;
+        }
+
+        const upload = new FormData();
+        files.forEach(file => upload.append('images', file));
+
+        setUploadingImages(true);
+        await imageRequest(
+            options => apiClient.upload(`/media/products/${id}/images`, upload, options),
+            `${files.length} image${files.length === 1 ? '' : 's'} uploaded`,
+            'Failed to upload images'
+        );
+        setUploadingImages(false);
+    };
+
+    const updateImage = (imageId, changes) => imageRequest(
+        options => apiClient.patch(`/media/products/${id}/images/${imageId}`, changes, options),
+        null,
+        'Failed to update image'
+    );
+
+    const moveImage = (index, offset) => {
+        const reordered = [...images];
+        const [moved] = reordered.splice(index, 1);
+        reordered.splice(index + offset, 0, moved);
+        setImages(reordered);
+        imageRequest(
+            options => apiClient.put(`/media/products/${id}/images/order`, { imageIds: reordered.map(image => image.id) }, options),
+            null,
+            'Failed to reorder images'
+        );
+    };
+
+    const deleteImage = (imageId) => {
+        if (!window.confirm('Delete this image?')) {
+            return;
+        }
+        imageRequest(
+            options => apiClient.delete(`/media/products/${id}/images/${imageId}`, options),
+            'Image deleted',
+            'Failed to delete image'
+        );
+    };
+
     const handleChange = (e) => {
         const { name, value, type, checked } = e.target;
         setFormData(prev => ({
@@ -107,9 +536,18 @@ const AdminProductFormPage = () => {
             const productData = {
                 name: formData.name,
                 description: formData.description,
+                nameBn: formData.nameBn,
+                descriptionBn: formData.descriptionBn,
                 price: parseFloat(formData.price),
-                stockQuantity: parseInt(formData.stockQuantity),
+                // Stock of a product with variants is managed per variant
+                stockQuantity: hasVariants ? undefined : parseInt(formData.stockQuantity),
+                weightGrams: formData.weightGrams ? parseInt(formData.weightGrams) : undefined,
+                brand: formData.brand.trim(),
+                color: formData.color.trim(),
+                material: formData.material.trim(),
+                specs: textToSpecs(formData.specsText),
                 categoryId: formData.categoryId ? parseInt(formData.categoryId) : null,
+                taxClassId: formData.taxClassId ? parseInt(formData.taxClassId) : null,
                 imageUrl: formData.imageUrl,
                 isActive: formData.isActive
             };
@@ -135,9 +573,17 @@ const AdminProductFormPage = () => {
                 setFormData({
                     name: '',
                     description: '',
+                    nameBn: '',
+                    descriptionBn: '',
                     price: '',
                     stockQuantity: '',
+                    weightGrams: '',
+                    brand: '',
+                    color: '',
+                    material: '',
+                    specsText: '',
                     categoryId: '',
+                    taxClassId: '',
                     imageUrl: '',
                     isActive: true
                 });
@@ -324,6 +770,37 @@ const AdminProductFormPage = () => {
                         />
                     </div>
 
+                    <div>
+                        <label htmlFor="nameBn" style={labelStyle}>
+                            Product Name (Bangla)
+                        </label>
+                        <input
+                            type="text"
+                            id="nameBn"
+                            name="nameBn"
+                            lang="bn"
+                            value={formData.nameBn}
+                            onChange={handleChange}
+                            style={inputStyle}
+                            placeholder="পণ্যের নাম লিখুন"
+                        />
+                    </div>
+
+                    <div>
+                        <label htmlFor="descriptionBn" style={labelStyle}>
+                            Description (Bangla)
+                        </label>
+                        <textarea
+                            id="descriptionBn"
+                            name="descriptionBn"
+                            lang="bn"
+                            value={formData.descriptionBn}
+                            onChange={handleChange}
+                            style={textareaStyle}
+                            placeholder="পণ্যের বিবরণ লিখুন"
+                        />
+                    </div>
+
                     <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '1rem' }}>
                         <div>
                             <label htmlFor="price" style={labelStyle}>
@@ -355,12 +832,96 @@ const AdminProductFormPage = () => {
                                 onChange={handleChange}
                                 required
                                 min="0"
+                                disabled={hasVariants}
                                 style={inputStyle}
                                 placeholder="0"
+                                title={hasVariants ? 'Total of the variant stock below' : undefined}
+                            />
+                        </div>
+                    </div>
+
+                    <div>
+                        <label htmlFor="weightGrams" style={labelStyle}>
+                            Shipping Weight (grams)
+                        </label>
+                        <input
+                            type="number"
+                            id="weightGrams"
+                            name="weightGrams"
+                            value={formData.weightGrams}
+                            onChange={handleChange}
+                            min="1"
+                            style={inputStyle}
+                            placeholder="500"
+                        />
+                    </div>
+
+                    <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr 1fr', gap: '1rem' }}>
+                        <div>
+                            <label htmlFor="brand" style={labelStyle}>
+                                Brand
+                            </label>
+                            <input
+                                type="text"
+                                id="brand"
+                                name="brand"
+                                value={formData.brand}
+                                onChange={handleChange}
+                                maxLength={100}
+                                style={inputStyle}
+                                placeholder="Walton"
+                            />
+                        </div>
+                        <div>
+                            <label htmlFor="color" style={labelStyle}>
+                                Colour
+                            </label>
+                            <input
+                                type="text"
+                                id="color"
+                                name="color"
+                                value={formData.color}
+                                onChange={handleChange}
+                                maxLength={50}
+                                style={inputStyle}
+                                placeholder="Black"
+                            />
+                        </div>
+                        <div>
+                            <label htmlFor="material" style={labelStyle}>
+                                Material
+                            </label>
+                            <input
+                                type="text"
+                                id="material"
+                                name="material"
+                                value={formData.material}
+                                onChange={handleChange}
+                                maxLength={100}
+                                style={inputStyle}
+                                placeholder="Cotton"
                             />
                         </div>
                     </div>
 
+                    <div>
+                        <label htmlFor="specsText" style={labelStyle}>
+                            Specifications
+                        </label>
+                        <textarea
+                            id="specsText"
+                            name="specsText"
+                            value={formData.specsText}
+                            onChange={handleChange}
+                            rows={4}
+                            style={textareaStyle}
+                            placeholder={'One per line, e.g.\nRAM: 8 GB\nScreen size: 6.5 in'}
+                        />
+                        <p style={{ fontSize: '0.75rem', color: '#6b7280', marginTop: '0.25rem' }}>
+                            Shoppers can filter the catalog by these, so keep names and values consistent across products.
+                        </p>
+                    </div>
+
                     <div>
                         <label htmlFor="categoryId" style={labelStyle}>
                             Category
@@ -381,6 +942,29 @@ const AdminProductFormPage = () => {
                         </select>
                     </div>
 
+                    <div>
+                        <label htmlFor="taxClassId" style={labelStyle}>
+                            VAT Class
+                        </label>
+                        <select
+                            id="taxClassId"
+                            name="taxClassId"
+                            value={formData.taxClassId}
+                            onChange={handleChange}
+                            style={inputStyle}
+                        >
+                            <option value="">Same as category</option>
+                            {taxClasses.map(taxClass => (
+                                <option key={taxClass.id} value={taxClass.id}>
+                                    {taxClass.name} ({Number(taxClass.rate)}%)
+                                </option>
+                            ))}
+                        </select>
+                        <p style={{ fontSize: '0.75rem', color: '#6b7280', marginTop: '0.25rem' }}>
+                            Products without a class use their category's, or the default class.
+                        </p>
+                    </div>
+
                     <div>
                         <label htmlFor="imageUrl" style={labelStyle}>
                             Image URL
@@ -391,8 +975,10 @@ const AdminProductFormPage = () => {
                             name="imageUrl"
                             value={formData.imageUrl}
                             onChange={handleChange}
+                            disabled={images.length > 0}
                             style={inputStyle}
                             placeholder="https://example.com/image.jpg"
+                            title={images.length > 0 ? 'Set by the primary image below' : undefined}
                         />
                     </div>
 
@@ -420,6 +1006,561 @@ const AdminProductFormPage = () => {
                     </button>
                 </form>
             </div>
+
+            {/* Images */}
+            {isEditing && (
+                <div style={{ ...cardStyle, maxWidth: '900px', marginTop: '2rem' }}>
+                    <h2 style={{ fontSize: '1.25rem', fontWeight: '700', color: '#111827', margin: '0 0 0.5rem 0' }}>
+                        Images
+                    </h2>
+                    <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: '0 0 1.5rem 0' }}>
+                        Upload JPEG, PNG, WebP, GIF or AVIF images up to 10 MB. They are resized into thumbnail, medium and large sizes.
+                        The primary image is shown in listings and the cart.
+                    </p>
+
+                    {imageMessage && (
+                        <div style={{ ...(imageMessage.type === 'error' ? errorStyle : successStyle), marginBottom: '1rem' }}>
+                            {imageMessage.text}
+                        </div>
+                    )}
+
+                    {images.length > 0 && (
+                        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(200px, 1fr))', gap: '1rem', marginBottom: '1.5rem' }}>
+                            {images.map((image, index) => (
+                                <div
+                                    key={image.id}
+                                    style={{
+                                        border: image.is_primary ? '2px solid #10b981' : '1px solid #e5e7eb',
+                                        borderRadius: '0.375rem',
+                                        padding: '0.5rem'
+                                    }}
+                                >
+                                    <img
+                                        src={image.thumbnail_url}
+                                        alt={image.alt_text || ''}
+                                        style={{ width: '100%', height: '140px', objectFit: 'contain', backgroundColor: '#f9fafb' }}
+                                    />
+                                    <input
+                                        type="text"
+                                        defaultValue={image.alt_text || ''}
+                                        onBlur={(e) => {
+                                            if (e.target.value !== (image.alt_text || '')) {
+                                                updateImage(image.id, { altText: e.target.value });
+                                            }
+                                        }}
+                                        maxLength={200}
+                                        style={{ ...inputStyle, padding: '0.5rem', fontSize: '0.875rem', margin: '0.5rem 0' }}
+                                        placeholder="Alt text"
+                                    />
+                                    <div style={{ display: 'flex', gap: '0.25rem', flexWrap: 'wrap' }}>
+                                        {image.is_primary ? (
+                                            <span style={{ fontSize: '0.75rem', fontWeight: '600', color: '#10b981', padding: '0.25rem' }}>
+                                                Primary
+                                            </span>
+                                        ) : (
+                                            <button
+                                                type="button"
+                                                onClick={() => updateImage(image.id, { isPrimary: true })}
+                                                style={{ ...backButtonStyle, padding: '0.25rem 0.5rem', fontSize: '0.75rem', backgroundColor: '#2563eb' }}
+                                            >
+                                                Make Primary
+                                            </button>
+                                        )}
+                                        <button
+                                            type="button"
+                                            onClick={() => moveImage(index, -1)}
+                                            disabled={index === 0}
+                                            style={{ ...backButtonStyle, padding: '0.25rem 0.5rem', fontSize: '0.75rem' }}
+                                            aria-label="Move image left"
+                                        >
+                                            ←
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => moveImage(index, 1)}
+                                            disabled={index === images.length - 1}
+                                            style={{ ...backButtonStyle, padding: '0.25rem 0.5rem', fontSize: '0.75rem' }}
+                                            aria-label="Move image right"
+                                        >
+                                            →
+                                        </button>
+                                        <button
+                                            type="button"
+                                            onClick={() => deleteImage(image.id)}
+                                            style={{ ...backButtonStyle, padding: '0.25rem 0.5rem', fontSize: '0.75rem', backgroundColor: '#dc2626' }}
+                                        >
+                                            Delete
+                                        </button>
+                                    </div>
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    <label style={{ ...backButtonStyle, display: 'inline-block', backgroundColor: uploadingImages ? '#9ca3af' : '#10b981' }}>
+                        {uploadingImages ? 'Uploading...' : '+ Upload Images'}
+                        <input
+                            type="file"
+                            accept="image/jpeg,image/png,image/webp,image/gif,image/avif"
+                            multiple
+                            onChange={handleImageUpload}
+                            disabled={uploadingImages || images.length >= 12}
+                            style={{ display: 'none' }}
+                        />
+                    </label>
+                </div>
+            )}
+
+            {/* Variants */}
+            {isEditing && (
+                <div style={{ ...cardStyle, maxWidth: '900px', marginTop: '2rem' }}>
+                    <h2 style={{ fontSize: '1.25rem', fontWeight: '700', color: '#111827', margin: '0 0 0.5rem 0' }}>
+                        Variants
+                    </h2>
+                    <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: '0 0 1.5rem 0' }}>
+                        Add options such as Size or Colour, generate the combinations, then set each variant's SKU, price and stock.
+                        Leave a price empty to use the product price.
+                    </p>
+
+                    {variantMessage && (
+                        <div style={{ ...(variantMessage.type === 'error' ? errorStyle : successStyle), marginBottom: '1rem' }}>
+                            {variantMessage.text}
+                        </div>
+                    )}
+
+                    {variantOptions.map((option, index) => (
+                        <div key={index} style={{ display: 'grid', gridTemplateColumns: '1fr 2fr auto', gap: '0.75rem', marginBottom: '0.75rem' }}>
+                            <input
+                                type="text"
+                                value={option.name}
+                                onChange={(e) => updateVariantOption(index, 'name', e.target.value)}
+                                style={inputStyle}
+                                placeholder="Option name, e.g. Size"
+                            />
+                            <input
+                                type="text"
+                                value={option.values}
+                                onChange={(e) => updateVariantOption(index, 'values', e.target.value)}
+                                style={inputStyle}
+                                placeholder="Values, e.g. S, M, L"
+                            />
+                            <button
+                                type="button"
+                                onClick={() => setVariantOptions(prev => prev.filter((_, i) => i !== index))}
+                                style={{ ...backButtonStyle, backgroundColor: '#dc2626' }}
+                            >
+                                Remove
+                            </button>
+                        </div>
+                    ))}
+
+                    <div style={{ display: 'flex', gap: '0.75rem', marginBottom: '1.5rem' }}>
+                        {variantOptions.length < 3 && (
+                            <button
+                                type="button"
+                                onClick={() => setVariantOptions(prev => [...prev, { name: '', values: '' }])}
+                                style={backButtonStyle}
+                            >
+                                + Add Option
+                            </button>
+                        )}
+                        <button
+                            type="button"
+                            onClick={generateVariants}
+                            style={{ ...backButtonStyle, backgroundColor: '#2563eb' }}
+                        >
+                            Generate Variants
+                        </button>
+                    </div>
+
+                    {hasVariants && (
+                        <div style={{ overflowX: 'auto', marginBottom: '1.5rem' }}>
+                            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+                                <thead>
+                                    <tr style={{ textAlign: 'left', color: '#374151', borderBottom: '1px solid #e5e7eb' }}>
+                                        <th style={{ padding: '0.5rem' }}>Variant</th>
+                                        <th style={{ padding: '0.5rem' }}>SKU</th>
+                                        <th style={{ padding: '0.5rem' }}>Price ($)</th>
+                                        <th style={{ padding: '0.5rem' }}>Stock</th>
+                                        <th style={{ padding: '0.5rem' }}>Active</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {variants.map((variant, index) => (
+                                        <tr key={variant.title} style={{ borderBottom: '1px solid #f3f4f6' }}>
+                                            <td style={{ padding: '0.5rem', fontWeight: '500' }}>{variant.title}</td>
+                                            <td style={{ padding: '0.5rem' }}>
+                                                <input
+                                                    type="text"
+                                                    value={variant.sku}
+                                                    onChange={(e) => updateVariant(index, 'sku', e.target.value)}
+                                                    style={{ ...inputStyle, padding: '0.5rem', fontSize: '0.875rem' }}
+                                                />
+                                            </td>
+                                            <td style={{ padding: '0.5rem' }}>
+                                                <input
+                                                    type="number"
+                                                    value={variant.price}
+                                                    onChange={(e) => updateVariant(index, 'price', e.target.value)}
+                                                    min="0"
+                                                    step="0.01"
+                                                    style={{ ...inputStyle, padding: '0.5rem', fontSize: '0.875rem' }}
+                                                    placeholder={formData.price || '0.00'}
+                                                />
+                                            </td>
+                                            <td style={{ padding: '0.5rem' }}>
+                                                <input
+                                                    type="number"
+                                                    value={variant.stockQuantity}
+                                                    onChange={(e) => updateVariant(index, 'stockQuantity', e.target.value)}
+                                                    min="0"
+                                                    style={{ ...inputStyle, padding: '0.5rem', fontSize: '0.875rem' }}
+                                                />
+                                            </td>
+                                            <td style={{ padding: '0.5rem', textAlign: 'center' }}>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={variant.isActive}
+                                                    onChange={(e) => updateVariant(index, 'isActive', e.target.checked)}
+                                                />
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    <button
+                        type="button"
+                        onClick={handleSaveVariants}
+                        disabled={savingVariants}
+                        style={{ ...buttonStyle, backgroundColor: savingVariants ? '#9ca3af' : '#10b981' }}
+                    >
+                        {savingVariants ? 'Saving Variants...' : 'Save Variants'}
+                    </button>
+                </div>
+            )}
+
+            {/* Stock by location */}
+            {isEditing && inventory && (
+                <div style={{ ...cardStyle, maxWidth: '900px', marginTop: '2rem' }}>
+                    <h2 style={{ fontSize: '1.25rem', fontWeight: '700', color: '#111827', margin: '0 0 0.5rem 0' }}>
+                        Stock by Location
+                    </h2>
+                    <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: '0 0 1.5rem 0' }}>
+                        Units on hand at each warehouse, with the units held for orders awaiting payment in brackets.
+                        Customers see the total across warehouses: {inventory.product.stock_quantity} in stock.
+                    </p>
+
+                    {inventory.drift.length > 0 && (
+                        <div style={{ ...errorStyle, marginBottom: '1rem' }}>
+                            {inventory.drift.map(flag => (
+                                <div key={flag.variant_id || 0}>
+                                    {flag.variant_title ? `${flag.variant_title}: ` : ''}
+                                    stock shows {flag.stock_quantity} but the movement history adds up to {flag.ledger_quantity}
+                                    {' '}(since {new Date(flag.detected_at).toLocaleString()}).
+                                </div>
+                            ))}
+                        </div>
+                    )}
+
+                    {inventoryRows.length === 0 ? (
+                        <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: 0 }}>No stock at any warehouse.</p>
+                    ) : (
+                        <div style={{ overflowX: 'auto' }}>
+                            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+                                <thead>
+                                    <tr style={{ textAlign: 'left', color: '#374151', borderBottom: '1px solid #e5e7eb' }}>
+                                        <th style={{ padding: '0.5rem' }}>{hasVariants ? 'Variant' : 'Product'}</th>
+                                        {inventory.warehouses.map(warehouse => (
+                                            <th key={warehouse.id} style={{ padding: '0.5rem' }}>
+                                                {warehouse.name}{warehouse.is_active ? '' : ' (inactive)'}
+                                            </th>
+                                        ))}
+                                        <th style={{ padding: '0.5rem' }}>Available</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {inventoryRows.map(row => (
+                                        <tr key={row.variantId || 0} style={{ borderBottom: '1px solid #f3f4f6' }}>
+                                            <td style={{ padding: '0.5rem', fontWeight: '500' }}>{row.title}</td>
+                                            {inventory.warehouses.map(warehouse => {
+                                                const level = row.levels.find(l => l.warehouse_id === warehouse.id);
+                                                return (
+                                                    <td key={warehouse.id} style={{ padding: '0.5rem' }}>
+                                                        {level ? level.quantity : 0}
+                                                        {level && level.reserved_quantity > 0 && (
+                                                            <span style={{ color: '#b45309' }}> ({level.reserved_quantity} held)</span>
+                                                        )}
+                                                    </td>
+                                                );
+                                            })}
+                                            <td style={{ padding: '0.5rem', fontWeight: '600' }}>
+                                                {row.levels.reduce((total, level) => total + level.available_quantity, 0)}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    {inventory.inTransit.length > 0 && (
+                        <div style={{ marginTop: '1.5rem' }}>
+                            <h3 style={{ fontSize: '1rem', fontWeight: '600', color: '#374151', margin: '0 0 0.5rem 0' }}>
+                                In Transit
+                            </h3>
+                            {inventory.inTransit.map(item => {
+                                const row = inventoryRows.find(r => r.variantId === item.variant_id);
+                                return (
+                                    <p key={`${item.transfer_id}-${item.variant_id || 0}`} style={{ fontSize: '0.875rem', color: '#6b7280', margin: '0 0 0.25rem 0' }}>
+                                        Transfer #{item.transfer_id}: {item.quantity} {row && item.variant_id ? `× ${row.title} ` : ''}
+                                        from {warehouseName(item.from_warehouse_id)} to {warehouseName(item.to_warehouse_id)}
+                                    </p>
+                                );
+                            })}
+                        </div>
+                    )}
+
+                    <form onSubmit={handleAdjustStock} style={{ marginTop: '1.5rem' }}>
+                        <h3 style={{ fontSize: '1rem', fontWeight: '600', color: '#374151', margin: '0 0 0.75rem 0' }}>
+                            Adjust Stock
+                        </h3>
+
+                        {stockMessage && (
+                            <div style={{ ...(stockMessage.type === 'error' ? errorStyle : successStyle), marginBottom: '1rem' }}>
+                                {stockMessage.text}
+                            </div>
+                        )}
+
+                        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: '0.75rem', marginBottom: '0.75rem' }}>
+                            <select
+                                value={adjustment.type}
+                                onChange={(e) => setAdjustment(prev => ({ ...prev, type: e.target.value }))}
+                                style={inputStyle}
+                            >
+                                {Object.entries(STOCK_ADJUSTMENTS).map(([type, { label }]) => (
+                                    <option key={type} value={type}>{label}</option>
+                                ))}
+                            </select>
+                            <select
+                                value={adjustment.warehouseId}
+                                onChange={(e) => setAdjustment(prev => ({ ...prev, warehouseId: e.target.value }))}
+                                style={inputStyle}
+                            >
+                                <option value="">All warehouses</option>
+                                {inventory.warehouses.filter(warehouse => warehouse.is_active).map(warehouse => (
+                                    <option key={warehouse.id} value={warehouse.id}>{warehouse.name}</option>
+                                ))}
+                            </select>
+                            {hasVariants && (
+                                <select
+                                    value={adjustment.variantId}
+                                    onChange={(e) => setAdjustment(prev => ({ ...prev, variantId: e.target.value }))}
+                                    style={inputStyle}
+                                    required
+                                >
+                                    <option value="">Choose a variant</option>
+                                    {variants.filter(variant => variant.id).map(variant => (
+                                        <option key={variant.id} value={variant.id}>{variant.title}</option>
+                                    ))}
+                                </select>
+                            )}
+                            <input
+                                type="number"
+                                value={adjustment.quantity}
+                                onChange={(e) => setAdjustment(prev => ({ ...prev, quantity: e.target.value }))}
+                                min="0"
+                                required
+                                style={inputStyle}
+                                placeholder="Quantity"
+                            />
+                        </div>
+                        <input
+                            type="text"
+                            value={adjustment.note}
+                            onChange={(e) => setAdjustment(prev => ({ ...prev, note: e.target.value }))}
+                            maxLength={500}
+                            style={{ ...inputStyle, marginBottom: '0.75rem' }}
+                            placeholder="Note, e.g. water damage in aisle 4"
+                        />
+                        <button
+                            type="submit"
+                            disabled={adjustingStock}
+                            style={{ ...buttonStyle, backgroundColor: adjustingStock ? '#9ca3af' : '#10b981' }}
+                        >
+                            {adjustingStock ? 'Updating Stock...' : 'Update Stock'}
+                        </button>
+                    </form>
+                </div>
+            )}
+
+            {/* Reorder rule */}
+            {isEditing && (
+                <div style={{ ...cardStyle, maxWidth: '900px', marginTop: '2rem' }}>
+                    <h2 style={{ fontSize: '1.25rem', fontWeight: '700', color: '#111827', margin: '0 0 0.5rem 0' }}>
+                        Restocking
+                    </h2>
+                    <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: '0 0 1.5rem 0' }}>
+                        When stock on hand{hasVariants ? ' of a variant' : ''} falls to the reorder point, a purchase order
+                        for the reorder quantity is drafted to the supplier.{' '}
+                        <Link to="/admin/purchase-orders" style={{ color: '#3b82f6' }}>View purchase orders</Link>
+                    </p>
+
+                    {reorderMessage && (
+                        <div style={{ ...(reorderMessage.type === 'error' ? errorStyle : successStyle), marginBottom: '1rem' }}>
+                            {reorderMessage.text}
+                        </div>
+                    )}
+
+                    {suppliers.length === 0 ? (
+                        <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: 0 }}>
+                            Add a supplier on the purchase orders page to reorder this product automatically.
+                        </p>
+                    ) : (
+                        <form onSubmit={handleSaveReorderRule}>
+                            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: '0.75rem', marginBottom: '0.75rem' }}>
+                                <select
+                                    value={reorderForm.supplierId}
+                                    onChange={(e) => setReorderForm(prev => ({ ...prev, supplierId: e.target.value }))}
+                                    style={inputStyle}
+                                    required
+                                >
+                                    <option value="">Choose a supplier</option>
+                                    {suppliers.filter(supplier => supplier.is_active || String(supplier.id) === reorderForm.supplierId).map(supplier => (
+                                        <option key={supplier.id} value={supplier.id}>
+                                            {supplier.name}{supplier.is_active ? '' : ' (inactive)'}
+                                        </option>
+                                    ))}
+                                </select>
+                                <input
+                                    type="number"
+                                    value={reorderForm.reorderPoint}
+                                    onChange={(e) => setReorderForm(prev => ({ ...prev, reorderPoint: e.target.value }))}
+                                    min="0"
+                                    required
+                                    style={inputStyle}
+                                    placeholder="Reorder point"
+                                />
+                                <input
+                                    type="number"
+                                    value={reorderForm.reorderQuantity}
+                                    onChange={(e) => setReorderForm(prev => ({ ...prev, reorderQuantity: e.target.value }))}
+                                    min="1"
+                                    required
+                                    style={inputStyle}
+                                    placeholder="Reorder quantity"
+                                />
+                            </div>
+                            <div style={{ display: 'flex', gap: '0.75rem' }}>
+                                <button
+                                    type="submit"
+                                    disabled={savingReorderRule}
+                                    style={{ ...buttonStyle, backgroundColor: savingReorderRule ? '#9ca3af' : '#3b82f6' }}
+                                >
+                                    {savingReorderRule ? 'Saving...' : 'Save Reorder Rule'}
+                                </button>
+                                {reorderRule && (
+                                    <button
+                                        type="button"
+                                        onClick={handleRemoveReorderRule}
+                                        disabled={savingReorderRule}
+                                        style={backButtonStyle}
+                                    >
+                                        Stop Reordering
+                                    </button>
+                                )}
+                            </div>
+                        </form>
+                    )}
+                </div>
+            )}
+
+            {/* Movement history */}
+            {isEditing && movementPagination && (
+                <div style={{ ...cardStyle, maxWidth: '900px', marginTop: '2rem' }}>
+                    <h2 style={{ fontSize: '1.25rem', fontWeight: '700', color: '#111827', margin: '0 0 0.5rem 0' }}>
+                        Movement History
+                    </h2>
+                    <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: '0 0 1.5rem 0' }}>
+                        Every change to this product's stock, newest first.
+                    </p>
+
+                    {movements.length === 0 ? (
+                        <p style={{ fontSize: '0.875rem', color: '#6b7280', margin: 0 }}>No stock movements yet.</p>
+                    ) : (
+                        <div style={{ overflowX: 'auto' }}>
+                            <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+                                <thead>
+                                    <tr style={{ textAlign: 'left', color: '#374151', borderBottom: '1px solid #e5e7eb' }}>
+                                        <th style={{ padding: '0.5rem' }}>When</th>
+                                        <th style={{ padding: '0.5rem' }}>Type</th>
+                                        {hasVariants && <th style={{ padding: '0.5rem' }}>Variant</th>}
+                                        <th style={{ padding: '0.5rem' }}>Warehouse</th>
+                                        <th style={{ padding: '0.5rem' }}>Change</th>
+                                        <th style={{ padding: '0.5rem' }}>After</th>
+                                        <th style={{ padding: '0.5rem' }}>By</th>
+                                        <th style={{ padding: '0.5rem' }}>Reference</th>
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {movements.map(movement => (
+                                        <tr key={movement.id} style={{ borderBottom: '1px solid #f3f4f6' }}>
+                                            <td style={{ padding: '0.5rem', whiteSpace: 'nowrap' }}>{new Date(movement.created_at).toLocaleString()}</td>
+                                            <td style={{ padding: '0.5rem' }}>
+                                                {MOVEMENT_LABELS[movement.kind] || movement.kind}
+                                                {movement.note && (
+                                                    <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>{movement.note}</div>
+                                                )}
+                                            </td>
+                                            {hasVariants && <td style={{ padding: '0.5rem' }}>{movement.variant_title || '-'}</td>}
+                                            <td style={{ padding: '0.5rem' }}>{movement.warehouse_name}</td>
+                                            <td style={{ padding: '0.5rem', fontWeight: '600', color: movement.quantity > 0 ? '#059669' : '#dc2626' }}>
+                                                {movement.quantity > 0 ? `+${movement.quantity}` : movement.quantity}
+                                            </td>
+                                            <td style={{ padding: '0.5rem' }}>{movement.quantity_after}</td>
+                                            <td style={{ padding: '0.5rem' }}>{movement.created_by_name || movement.actor}</td>
+                                            <td style={{ padding: '0.5rem' }}>
+                                                {[
+                                                    movement.order_number,
+                                                    movement.return_number,
+                                                    movement.po_number,
+                                                    movement.transfer_id && `Transfer #${movement.transfer_id}`
+                                                ].filter(Boolean).join(', ') || '-'}
+                                            </td>
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+                    )}
+
+                    {movementPagination.totalPages > 1 && (
+                        <div style={{ display: 'flex', gap: '0.75rem', alignItems: 'center', marginTop: '1rem' }}>
+                            <button
+                                type="button"
+                                onClick={() => fetchMovements(movementPagination.page - 1)}
+                                disabled={!movementPagination.hasPrev}
+                                style={backButtonStyle}
+                            >
+                                Newer
+                            </button>
+                            <span style={{ fontSize: '0.875rem', color: '#6b7280' }}>
+                                Page {movementPagination.page} of {movementPagination.totalPages}
+                            </span>
+                            <button
+                                type="button"
+                                onClick={() => fetchMovements(movementPagination.page + 1)}
+                                disabled={!movementPagination.hasNext}
+                                style={backButtonStyle}
+                            >
+                                Older
+                            </button>
+                        </div>
+                    )}
+                </div>
+            )}
         </div>
     );
 };
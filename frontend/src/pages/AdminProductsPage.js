@@ -2,8 +2,10 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import apiClient from '../api';
 import logger from '../logger';
+import { useI18n } from '../contexts/I18nContext';
 
 const AdminProductsPage = () => {
+    const { formatCurrency } = useI18n();
     const [products, setProducts] = useState([]);
     const [categories, setCategories] = useState([]);
     const [loading, setLoading] = useState(true);
@@ -121,13 +123,6 @@ const AdminProductsPage = () => {
         }));
     };
 
-    const formatCurrency = (amount) => {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-        }).format(amount);
-    };
-
     if (loading) {
         return (
             <div style={{
@@ -0,0 +1,813 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import apiClient from '../api';
+import logger from '../logger';
+
+const STATUS_LABELS = {
+    draft: 'Draft',
+    sent: 'Sent',
+    partially_received: 'Partially received',
+    received: 'Received',
+    cancelled: 'Cancelled'
+};
+
+const emptySupplier = {
+    name: '',
+    contactName: '',
+    email: '',
+    phone: '',
+    leadTimeDays: 7
+};
+
+const itemName = (item) => (item.variant_title ? `${item.product_name} (${item.variant_title})` : item.product_name);
+
+const AdminPurchaseOrdersPage = () => {
+    const [purchaseOrders, setPurchaseOrders] = useState([]);
+    const [pagination, setPagination] = useState({});
+    const [filters, setFilters] = useState({ status: '', supplierId: '', page: 1 });
+    const [suppliers, setSuppliers] = useState([]);
+    const [newSupplier, setNewSupplier] = useState(emptySupplier);
+    const [selected, setSelected] = useState(null);
+    const [lines, setLines] = useState([]);
+    const [receiving, setReceiving] = useState({});
+    const [receiptNote, setReceiptNote] = useState('');
+    const [loading, setLoading] = useState(true);
+    const [updating, setUpdating] = useState(false);
+    const [error, setError] = useState(null);
+    const [notice, setNotice] = useState(null);
+    const navigate = useNavigate();
+
+    useEffect(() => {
+        checkAdminAuth();
+        fetchSuppliers();
+    }, []);
+
+    useEffect(() => {
+        fetchPurchaseOrders();
+    }, [filters]);
+
+    const checkAdminAuth = () => {
+        const token = localStorage.getItem('adminToken');
+        const user = localStorage.getItem('adminUser');
+
+        if (!token || !user) {
+            navigate('/admin/login');
+            return;
+        }
+
+        try {
+            const userData = JSON.parse(user);
+            if (userData.role !== 'admin') {
+                navigate('/admin/login');
+            }
+        } catch (err) {
+            navigate('/admin/login');
+        }
+    };
+
+    const authHeaders = () => ({
+        'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+    });
+
+    const fetchPurchaseOrders = async () => {
+        try {
+            const params = new URLSearchParams({ page: filters.page, limit: 20 });
+            if (filters.status) params.append('status', filters.status);
+            if (filters.supplierId) params.append('supplierId', filters.supplierId);
+
+            const response = await apiClient.get(`/admin/purchase-orders?${params}`, {
+                headers: authHeaders()
+            });
+
+            setPurchaseOrders(response.data.data.purchaseOrders);
+            setPagination(response.data.data.pagination);
+        } catch (err) {
+            setError('Failed to load purchase orders');
+            logger.error('Purchase orders fetch failed', { error: err.message, filters });
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const fetchSuppliers = async () => {
+        try {
+            const response = await apiClient.get('/admin/suppliers', {
+                headers: authHeaders()
+            });
+
+            setSuppliers(response.data.data.suppliers);
+        } catch (err) {
+            logger.error('Suppliers fetch failed', { error: err.message });
+        }
+    };
+
+    const showPurchaseOrder = (purchaseOrder) => {
+        setSelected(purchaseOrder);
+        setLines(purchaseOrder.items.map(item => ({
+            productId: item.product_id,
+            variantId: item.variant_id,
+            quantity: item.quantity_ordered,
+            unitCost: item.unit_cost
+        })));
+        setReceiving({});
+        setReceiptNote('');
+    };
+
+    const openPurchaseOrder = async (purchaseOrderId) => {
+        setError(null);
+        setNotice(null);
+        try {
+            const response = await apiClient.get(`/admin/purchase-orders/${purchaseOrderId}`, {
+                headers: authHeaders()
+            });
+
+            showPurchaseOrder(response.data.data.purchaseOrder);
+        } catch (err) {
+            setError('Failed to load purchase order');
+            logger.error('Purchase order fetch failed', { error: err.message, purchaseOrderId });
+        }
+    };
+
+    const runAction = async (endpoint, body, method = 'post') => {
+        setUpdating(true);
+        setError(null);
+        setNotice(null);
+        try {
+            const path = endpoint ? `/admin/purchase-orders/${selected.id}/${endpoint}` : `/admin/purchase-orders/${selected.id}`;
+            const response = await apiClient[method](path, body, {
+                headers: authHeaders()
+            });
+
+            const updated = response.data.data.purchaseOrder;
+            showPurchaseOrder(updated);
+            setNotice(response.data.message);
+            fetchPurchaseOrders();
+            fetchSuppliers();
+
+            logger.info('Purchase order updated successfully', { purchaseOrderId: updated.id, status: updated.status });
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to update purchase order');
+            logger.error('Purchase order update failed', { error: err.message, purchaseOrderId: selected.id, endpoint });
+        } finally {
+            setUpdating(false);
+        }
+    };
+
+    const saveLines = () => {
+        runAction(null, {
+            items: lines.map(line => ({
+                productId: line.productId,
+                variantId: line.variantId,
+                quantity: parseInt(line.quantity) || 0,
+                unitCost: parseFloat(line.unitCost) || 0
+            }))
+        }, 'patch');
+    };
+
+    const receive = () => {
+        const items = Object.entries(receiving)
+            .map(([itemId, quantity]) => ({ itemId: parseInt(itemId), quantity: parseInt(quantity) || 0 }))
+            .filter(item => item.quantity > 0);
+
+        if (items.length === 0) {
+            setError('Enter the units that arrived');
+            return;
+        }
+        runAction('receive', { items, note: receiptNote });
+    };
+
+    const receiveEverything = () => {
+        setReceiving(Object.fromEntries(selected.items.map(item => [item.id, item.quantity_ordered - item.quantity_received])));
+    };
+
+    const exportPurchaseOrder = async (format) => {
+        setError(null);
+        try {
+            await apiClient.download(`/admin/purchase-orders/${selected.id}/export?format=${format}`, `${selected.po_number}.${format}`, {
+                headers: authHeaders()
+            });
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to export purchase order');
+            logger.error('Purchase order export failed', { error: err.message, purchaseOrderId: selected.id, format });
+        }
+    };
+
+    const checkReorders = async () => {
+        setUpdating(true);
+        setError(null);
+        setNotice(null);
+        try {
+            const response = await apiClient.post('/admin/purchase-orders/reorder', {}, {
+                headers: authHeaders()
+            });
+
+            setNotice(response.data.message);
+            fetchPurchaseOrders();
+            fetchSuppliers();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to check stock for reordering');
+            logger.error('Reorder check failed', { error: err.message });
+        } finally {
+            setUpdating(false);
+        }
+    };
+
+    const createSupplier = async (e) => {
+        e.preventDefault();
+        setUpdating(true);
+        setError(null);
+        setNotice(null);
+        try {
+            const response = await apiClient.post('/admin/suppliers', {
+                ...newSupplier,
+                leadTimeDays: parseInt(newSupplier.leadTimeDays) || 0
+            }, {
+                headers: authHeaders()
+            });
+
+            setNewSupplier(emptySupplier);
+            setNotice(response.data.message);
+            fetchSuppliers();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to create supplier');
+            logger.error('Supplier creation failed', { error: err.message });
+        } finally {
+            setUpdating(false);
+        }
+    };
+
+    const toggleSupplier = async (supplier) => {
+        setError(null);
+        setNotice(null);
+        try {
+            const response = await apiClient.patch(`/admin/suppliers/${supplier.id}`, { isActive: !supplier.is_active }, {
+                headers: authHeaders()
+            });
+
+            setNotice(response.data.message);
+            fetchSuppliers();
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to update supplier');
+            logger.error('Supplier update failed', { error: err.message, supplierId: supplier.id });
+        }
+    };
+
+    const getStatusColor = (status) => {
+        switch (status) {
+            case 'received':
+                return '#10b981';
+            case 'sent':
+            case 'partially_received':
+                return '#3b82f6';
+            case 'draft':
+                return '#f59e0b';
+            default:
+                return '#6b7280';
+        }
+    };
+
+    const formatPrice = (price) => {
+        return `৳${parseFloat(price).toFixed(2)}`;
+    };
+
+    const formatDate = (dateString) => {
+        return new Date(dateString).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+    };
+
+    if (loading) {
+        return (
+            <div style={{
+                minHeight: '100vh',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                backgroundColor: '#f9fafb'
+            }}>
+                <div style={{ textAlign: 'center' }}>
+                    <div style={{ fontSize: '2rem', marginBottom: '1rem' }}>⏳</div>
+                    <p>Loading purchase orders...</p>
+                </div>
+            </div>
+        );
+    }
+
+    const containerStyle = {
+        minHeight: '100vh',
+        backgroundColor: '#f9fafb',
+        padding: '1rem'
+    };
+
+    const headerStyle = {
+        backgroundColor: 'white',
+        padding: '1rem 2rem',
+        borderRadius: '0.5rem',
+        boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)',
+        marginBottom: '2rem',
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center'
+    };
+
+    const titleStyle = {
+        fontSize: '1.875rem',
+        fontWeight: '700',
+        color: '#111827',
+        margin: 0
+    };
+
+    const backButtonStyle = {
+        padding: '0.5rem 1rem',
+        backgroundColor: '#6b7280',
+        color: 'white',
+        border: 'none',
+        borderRadius: '0.375rem',
+        cursor: 'pointer',
+        textDecoration: 'none',
+        fontSize: '0.875rem',
+        fontWeight: '500'
+    };
+
+    const cardStyle = {
+        backgroundColor: 'white',
+        borderRadius: '0.5rem',
+        boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)',
+        overflow: 'hidden',
+        marginBottom: '2rem'
+    };
+
+    const cardHeaderStyle = {
+        padding: '1rem 1.5rem',
+        borderBottom: '1px solid #e5e7eb',
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        gap: '1rem'
+    };
+
+    const sectionTitleStyle = {
+        fontSize: '1.125rem',
+        fontWeight: '600',
+        color: '#111827',
+        margin: 0
+    };
+
+    const labelStyle = {
+        fontSize: '0.875rem',
+        fontWeight: '500',
+        marginBottom: '0.25rem',
+        display: 'block'
+    };
+
+    const inputStyle = {
+        width: '100%',
+        padding: '0.5rem',
+        border: '1px solid #d1d5db',
+        borderRadius: '0.375rem',
+        fontSize: '0.875rem',
+        boxSizing: 'border-box'
+    };
+
+    const buttonStyle = (color) => ({
+        padding: '0.5rem 1rem',
+        backgroundColor: color,
+        color: 'white',
+        border: 'none',
+        borderRadius: '0.375rem',
+        cursor: updating ? 'not-allowed' : 'pointer',
+        fontSize: '0.875rem',
+        fontWeight: '500',
+        marginRight: '0.5rem'
+    });
+
+    const tableStyle = {
+        width: '100%',
+        borderCollapse: 'collapse'
+    };
+
+    const thStyle = {
+        padding: '0.75rem 1rem',
+        textAlign: 'left',
+        fontSize: '0.875rem',
+        fontWeight: '600',
+        color: '#374151',
+        backgroundColor: '#f9fafb',
+        borderBottom: '1px solid #e5e7eb'
+    };
+
+    const tdStyle = {
+        padding: '0.75rem 1rem',
+        borderBottom: '1px solid #e5e7eb',
+        fontSize: '0.875rem'
+    };
+
+    const statusBadgeStyle = (status) => ({
+        padding: '0.25rem 0.5rem',
+        borderRadius: '9999px',
+        fontSize: '0.75rem',
+        fontWeight: '500',
+        backgroundColor: getStatusColor(status) + '20',
+        color: getStatusColor(status)
+    });
+
+    const detailRowStyle = {
+        fontSize: '0.875rem',
+        color: '#374151',
+        marginBottom: '0.5rem'
+    };
+
+    const isDraft = selected && selected.status === 'draft';
+    const isReceivable = selected && ['sent', 'partially_received'].includes(selected.status);
+
+    return (
+        <div style={containerStyle}>
+            {/* Header */}
+            <div style={headerStyle}>
+                <h1 style={titleStyle}>Purchase Orders</h1>
+                <div style={{ display: 'flex', gap: '0.5rem' }}>
+                    <button onClick={checkReorders} disabled={updating} style={buttonStyle('#3b82f6')}>
+                        Check Reorder Points
+                    </button>
+                    <button
+                        onClick={() => navigate('/admin/dashboard')}
+                        style={backButtonStyle}
+                    >
+                        ← Back to Dashboard
+                    </button>
+                </div>
+            </div>
+
+            {error && (
+                <div style={{
+                    backgroundColor: '#fef2f2',
+                    border: '1px solid #fecaca',
+                    color: '#dc2626',
+                    padding: '0.75rem',
+                    borderRadius: '0.375rem',
+                    marginBottom: '1rem'
+                }}>
+                    {error}
+                </div>
+            )}
+
+            {notice && (
+                <div style={{
+                    backgroundColor: '#f0fdf4',
+                    border: '1px solid #bbf7d0',
+                    color: '#166534',
+                    padding: '0.75rem',
+                    borderRadius: '0.375rem',
+                    marginBottom: '1rem'
+                }}>
+                    {notice}
+                </div>
+            )}
+
+            {/* Selected purchase order */}
+            {selected && (
+                <div style={cardStyle}>
+                    <div style={cardHeaderStyle}>
+                        <h2 style={sectionTitleStyle}>
+                            {selected.po_number} · {selected.supplier_name}
+                        </h2>
+                        <span style={statusBadgeStyle(selected.status)}>{STATUS_LABELS[selected.status]}</span>
+                    </div>
+                    <div style={{ padding: '1.5rem' }}>
+                        <div style={detailRowStyle}>
+                            <strong>Deliver to:</strong> {selected.warehouse_name}
+                        </div>
+                        {selected.expected_at && (
+                            <div style={detailRowStyle}>
+                                <strong>Expected:</strong> {formatDate(selected.expected_at)}
+                            </div>
+                        )}
+                        {selected.sent_at && (
+                            <div style={detailRowStyle}>
+                                <strong>Sent:</strong> {formatDate(selected.sent_at)}
+                            </div>
+                        )}
+                        {selected.received_at && (
+                            <div style={detailRowStyle}>
+                                <strong>Received:</strong> {formatDate(selected.received_at)}
+                            </div>
+                        )}
+                        {selected.note && (
+                            <div style={detailRowStyle}>
+                                <strong>Note:</strong> {selected.note}
+                            </div>
+                        )}
+
+                        <div style={{ overflowX: 'auto', margin: '1rem 0' }}>
+                            <table style={tableStyle}>
+                                <thead>
+                                    <tr>
+                                        <th style={thStyle}>Item</th>
+                                        <th style={thStyle}>Ordered</th>
+                                        <th style={thStyle}>Received</th>
+                                        <th style={thStyle}>Unit cost</th>
+                                        {isReceivable && <th style={thStyle}>Arrived now</th>}
+                                    </tr>
+                                </thead>
+                                <tbody>
+                                    {selected.items.map((item, index) => (
+                                        <tr key={item.id}>
+                                            <td style={tdStyle}>
+                                                <div style={{ fontWeight: '500' }}>{itemName(item)}</div>
+                                                {item.sku && <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>SKU: {item.sku}</div>}
+                                            </td>
+                                            <td style={tdStyle}>
+                                                {isDraft ? (
+                                                    <input
+                                                        type="number"
+                                                        min="1"
+                                                        value={lines[index].quantity}
+                                                        onChange={(e) => setLines(lines.map((line, i) => (i === index ? { ...line, quantity: e.target.value } : line)))}
+                                                        style={{ ...inputStyle, maxWidth: '100px' }}
+                                                    />
+                                                ) : item.quantity_ordered}
+                                            </td>
+                                            <td style={tdStyle}>{item.quantity_received}</td>
+                                            <td style={tdStyle}>
+                                                {isDraft ? (
+                                                    <input
+                                                        type="number"
+                                                        min="0"
+                                                        step="0.01"
+                                                        value={lines[index].unitCost}
+                                                        onChange={(e) => setLines(lines.map((line, i) => (i === index ? { ...line, unitCost: e.target.value } : line)))}
+                                                        style={{ ...inputStyle, maxWidth: '120px' }}
+                                                    />
+                                                ) : formatPrice(item.unit_cost)}
+                                            </td>
+                                            {isReceivable && (
+                                                <td style={tdStyle}>
+                                                    <input
+                                                        type="number"
+                                                        min="0"
+                                                        max={item.quantity_ordered - item.quantity_received}
+                                                        value={receiving[item.id] ?? ''}
+                                                        onChange={(e) => setReceiving({ ...receiving, [item.id]: e.target.value })}
+                                                        disabled={item.quantity_received >= item.quantity_ordered}
+                                                        style={{ ...inputStyle, maxWidth: '100px' }}
+                                                    />
+                                                </td>
+                                            )}
+                                        </tr>
+                                    ))}
+                                </tbody>
+                            </table>
+                        </div>
+
+                        {isDraft && (
+                            <div style={{ marginTop: '1rem' }}>
+                                <button onClick={saveLines} disabled={updating} style={buttonStyle('#6366f1')}>
+                                    Save Lines
+                                </button>
+                                <button onClick={() => runAction('send', {})} disabled={updating} style={buttonStyle('#10b981')}>
+                                    Mark Sent
+                                </button>
+                            </div>
+                        )}
+
+                        {isReceivable && (
+                            <div style={{ marginTop: '1rem' }}>
+                                <div style={{ marginBottom: '1rem' }}>
+                                    <label style={labelStyle}>Delivery note</label>
+                                    <input
+                                        type="text"
+                                        value={receiptNote}
+                                        onChange={(e) => setReceiptNote(e.target.value)}
+                                        maxLength={500}
+                                        style={inputStyle}
+                                        placeholder="e.g. challan number"
+                                    />
+                                </div>
+                                <button onClick={receiveEverything} disabled={updating} style={buttonStyle('#6b7280')}>
+                                    Fill Outstanding
+                                </button>
+                                <button onClick={receive} disabled={updating} style={buttonStyle('#10b981')}>
+                                    Receive Stock
+                                </button>
+                            </div>
+                        )}
+
+                        <div style={{ marginTop: '1rem' }}>
+                            <button onClick={() => exportPurchaseOrder('pdf')} style={buttonStyle('#3b82f6')}>
+                                Download PDF
+                            </button>
+                            <button onClick={() => exportPurchaseOrder('csv')} style={buttonStyle('#3b82f6')}>
+                                Download CSV
+                            </button>
+                            {(isDraft || isReceivable) && (
+                                <button onClick={() => runAction('cancel', {})} disabled={updating} style={buttonStyle('#ef4444')}>
+                                    Cancel Order
+                                </button>
+                            )}
+                            <button onClick={() => setSelected(null)} style={backButtonStyle}>
+                                Close
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Purchase orders */}
+            <div style={cardStyle}>
+                <div style={cardHeaderStyle}>
+                    <h2 style={sectionTitleStyle}>Purchase Orders ({pagination.total || 0})</h2>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                        <select
+                            value={filters.status}
+                            onChange={(e) => setFilters({ ...filters, status: e.target.value, page: 1 })}
+                            style={inputStyle}
+                        >
+                            <option value="">All statuses</option>
+                            {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                        <select
+                            value={filters.supplierId}
+                            onChange={(e) => setFilters({ ...filters, supplierId: e.target.value, page: 1 })}
+                            style={inputStyle}
+                        >
+                            <option value="">All suppliers</option>
+                            {suppliers.map(supplier => (
+                                <option key={supplier.id} value={supplier.id}>{supplier.name}</option>
+                            ))}
+                        </select>
+                    </div>
+                </div>
+                <div style={{ overflowX: 'auto' }}>
+                    <table style={tableStyle}>
+                        <thead>
+                            <tr>
+                                <th style={thStyle}>Order</th>
+                                <th style={thStyle}>Supplier</th>
+                                <th style={thStyle}>Warehouse</th>
+                                <th style={thStyle}>Units</th>
+                                <th style={thStyle}>Cost</th>
+                                <th style={thStyle}>Status</th>
+                                <th style={thStyle}>Created</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {purchaseOrders.length === 0 ? (
+                                <tr>
+                                    <td colSpan="7" style={{ ...tdStyle, textAlign: 'center', color: '#6b7280', padding: '2rem' }}>
+                                        No purchase orders found
+                                    </td>
+                                </tr>
+                            ) : purchaseOrders.map(purchaseOrder => (
+                                <tr
+                                    key={purchaseOrder.id}
+                                    onClick={() => openPurchaseOrder(purchaseOrder.id)}
+                                    style={{ cursor: 'pointer' }}
+                                >
+                                    <td style={tdStyle}>
+                                        <div style={{ fontWeight: '500' }}>{purchaseOrder.po_number}</div>
+                                        <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>
+                                            {purchaseOrder.line_count} lines{purchaseOrder.auto_generated ? ' · drafted for low stock' : ''}
+                                        </div>
+                                    </td>
+                                    <td style={tdStyle}>{purchaseOrder.supplier_name}</td>
+                                    <td style={tdStyle}>{purchaseOrder.warehouse_name}</td>
+                                    <td style={tdStyle}>{purchaseOrder.units_received} / {purchaseOrder.units_ordered}</td>
+                                    <td style={tdStyle}>{formatPrice(purchaseOrder.total_cost)}</td>
+                                    <td style={tdStyle}>
+                                        <span style={statusBadgeStyle(purchaseOrder.status)}>
+                                            {STATUS_LABELS[purchaseOrder.status]}
+                                        </span>
+                                    </td>
+                                    <td style={tdStyle}>{formatDate(purchaseOrder.created_at)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+                {pagination.totalPages > 1 && (
+                    <div style={{ padding: '1rem 1.5rem', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                        <button
+                            onClick={() => setFilters({ ...filters, page: filters.page - 1 })}
+                            disabled={filters.page <= 1}
+                            style={backButtonStyle}
+                        >
+                            Previous
+                        </button>
+                        <span style={{ fontSize: '0.875rem', color: '#6b7280' }}>
+                            Page {filters.page} of {pagination.totalPages}
+                        </span>
+                        <button
+                            onClick={() => setFilters({ ...filters, page: filters.page + 1 })}
+                            disabled={filters.page >= pagination.totalPages}
+                            style={backButtonStyle}
+                        >
+                            Next
+                        </button>
+                    </div>
+                )}
+            </div>
+
+            {/* Suppliers */}
+            <div style={cardStyle}>
+                <div style={cardHeaderStyle}>
+                    <h2 style={sectionTitleStyle}>Suppliers ({suppliers.length})</h2>
+                </div>
+                <div style={{ overflowX: 'auto' }}>
+                    <table style={tableStyle}>
+                        <thead>
+                            <tr>
+                                <th style={thStyle}>Supplier</th>
+                                <th style={thStyle}>Contact</th>
+                                <th style={thStyle}>Lead time</th>
+                                <th style={thStyle}>Products</th>
+                                <th style={thStyle}>Open orders</th>
+                                <th style={thStyle}></th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {suppliers.map(supplier => (
+                                <tr key={supplier.id} style={{ opacity: supplier.is_active ? 1 : 0.6 }}>
+                                    <td style={{ ...tdStyle, fontWeight: '500' }}>{supplier.name}</td>
+                                    <td style={tdStyle}>
+                                        {[supplier.contact_name, supplier.phone, supplier.email].filter(Boolean).join(' · ') || '-'}
+                                    </td>
+                                    <td style={tdStyle}>{supplier.lead_time_days} days</td>
+                                    <td style={tdStyle}>{supplier.product_count}</td>
+                                    <td style={tdStyle}>{supplier.open_order_count}</td>
+                                    <td style={tdStyle}>
+                                        <button
+                                            onClick={() => toggleSupplier(supplier)}
+                                            style={buttonStyle(supplier.is_active ? '#ef4444' : '#10b981')}
+                                        >
+                                            {supplier.is_active ? 'Deactivate' : 'Activate'}
+                                        </button>
+                                    </td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+                <form onSubmit={createSupplier} style={{ padding: '1.5rem' }}>
+                    <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(160px, 1fr))', gap: '0.75rem', marginBottom: '0.75rem' }}>
+                        <div>
+                            <label style={labelStyle}>Name</label>
+                            <input
+                                type="text"
+                                value={newSupplier.name}
+                                onChange={(e) => setNewSupplier({ ...newSupplier, name: e.target.value })}
+                                required
+                                style={inputStyle}
+                            />
+                        </div>
+                        <div>
+                            <label style={labelStyle}>Contact person</label>
+                            <input
+                                type="text"
+                                value={newSupplier.contactName}
+                                onChange={(e) => setNewSupplier({ ...newSupplier, contactName: e.target.value })}
+                                style={inputStyle}
+                            />
+                        </div>
+                        <div>
+                            <label style={labelStyle}>Email</label>
+                            <input
+                                type="email"
+                                value={newSupplier.email}
+                                onChange={(e) => setNewSupplier({ ...newSupplier, email: e.target.value })}
+                                style={inputStyle}
+                            />
+                        </div>
+                        <div>
+                            <label style={labelStyle}>Phone</label>
+                            <input
+                                type="tel"
+                                value={newSupplier.phone}
+                                onChange={(e) => setNewSupplier({ ...newSupplier, phone: e.target.value })}
+                                style={inputStyle}
+                            />
+                        </div>
+                        <div>
+                            <label style={labelStyle}>Lead time (days)</label>
+                            <input
+                                type="number"
+                                min="0"
+                                value={newSupplier.leadTimeDays}
+                                onChange={(e) => setNewSupplier({ ...newSupplier, leadTimeDays: e.target.value })}
+                                style={inputStyle}
+                            />
+                        </div>
+                    </div>
+                    <button type="submit" disabled={updating} style={buttonStyle('#10b981')}>
+                        Add Supplier
+                    </button>
+                </form>
+            </div>
+        </div>
+    );
+};
+
+export default AdminPurchaseOrdersPage;
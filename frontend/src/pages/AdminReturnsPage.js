@@ -0,0 +1,630 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import apiClient from '../api';
+import logger from '../logger';
+
+const STATUS_LABELS = {
+    requested: 'Requested',
+    approved: 'Approved',
+    rejected: 'Rejected',
+    pickup_scheduled: 'Pickup scheduled',
+    received: 'Received',
+    refunding: 'Refunding',
+    refunded: 'Refunded',
+    exchanged: 'Exchanged',
+    cancelled: 'Cancelled'
+};
+
+const REASON_LABELS = {
+    damaged: 'Arrived damaged',
+    defective: 'Defective',
+    wrong_item: 'Wrong item sent',
+    not_as_described: 'Not as described',
+    size_or_fit: 'Size or fit',
+    changed_mind: 'Changed mind',
+    other: 'Other'
+};
+
+const emptyAction = {
+    note: '',
+    pickupDate: '',
+    restock: true,
+    refundAmount: ''
+};
+
+const AdminReturnsPage = () => {
+    const [returns, setReturns] = useState([]);
+    const [pagination, setPagination] = useState({});
+    const [filters, setFilters] = useState({ status: '', type: '', page: 1 });
+    const [selected, setSelected] = useState(null);
+    const [action, setAction] = useState(emptyAction);
+    const [loading, setLoading] = useState(true);
+    const [updating, setUpdating] = useState(false);
+    const [error, setError] = useState(null);
+    const [notice, setNotice] = useState(null);
+    const navigate = useNavigate();
+
+    useEffect(() => {
+        checkAdminAuth();
+    }, []);
+
+    useEffect(() => {
+        fetchReturns();
+    }, [filters]);
+
+    const checkAdminAuth = () => {
+        const token = localStorage.getItem('adminToken');
+        const user = localStorage.getItem('adminUser');
+
+        if (!token || !user) {
+            navigate('/admin/login');
+            return;
+        }
+
+        try {
+            const userData = JSON.parse(user);
+            if (userData.role !== 'admin') {
+                navigate('/admin/login');
+            }
+        } catch (err) {
+            navigate('/admin/login');
+        }
+    };
+
+    const authHeaders = () => ({
+        'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+    });
+
+    const fetchReturns = async () => {
+        try {
+            const params = new URLSearchParams({ page: filters.page, limit: 20 });
+            if (filters.status) params.append('status', filters.status);
+            if (filters.type) params.append('type', filters.type);
+
+            const response = await apiClient.get(`/returns/admin?${params}`, {
+                headers: authHeaders()
+            });
+
+            setReturns(response.data.data.returns);
+            setPagination(response.data.data.pagination);
+        } catch (err) {
+            setError('Failed to load return requests');
+            logger.error('Return requests fetch failed', { error: err.message, filters });
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // The full request, with the customer's photos
+    const openReturn = async (returnId) => {
+        setError(null);
+        setNotice(null);
+        try {
+            const response = await apiClient.get(`/returns/${returnId}`, {
+                headers: authHeaders()
+            });
+
+            setSelected(response.data.data.return);
+            setAction(emptyAction);
+        } catch (err) {
+            setError('Failed to load return request');
+            logger.error('Return request fetch failed', { error: err.message, returnId });
+        }
+    };
+
+    const runAction = async (endpoint, body, method = 'post') => {
+        setUpdating(true);
+        setError(null);
+        setNotice(null);
+        try {
+            const response = await apiClient[method](`/returns/admin/${selected.id}/${endpoint}`, body, {
+                headers: authHeaders()
+            });
+
+            const updated = response.data.data.return;
+            setSelected(updated);
+            setAction(emptyAction);
+            setNotice(response.data.message);
+            fetchReturns();
+
+            logger.info('Return request updated successfully', { returnId: updated.id, status: updated.status });
+        } catch (err) {
+            setError(err.response?.data?.error || 'Failed to update return request');
+            logger.error('Return request update failed', { error: err.message, returnId: selected.id, endpoint });
+        } finally {
+            setUpdating(false);
+        }
+    };
+
+    const review = (decision) => {
+        if (decision === 'reject' && !action.note.trim()) {
+            setError('Add a note telling the customer why the request was rejected');
+            return;
+        }
+        runAction('review', { decision, note: action.note }, 'patch');
+    };
+
+    const schedulePickup = () => {
+        if (!action.pickupDate) {
+            setError('Choose a pickup date');
+            return;
+        }
+        runAction('pickup', { pickupDate: action.pickupDate, note: action.note });
+    };
+
+    const receive = () => {
+        runAction('receive', { restock: action.restock, note: action.note });
+    };
+
+    const complete = () => {
+        const body = { note: action.note };
+        if (selected.type === 'return' && action.refundAmount) {
+            body.refundAmount = parseFloat(action.refundAmount);
+        }
+        runAction('complete', body);
+    };
+
+    const getStatusColor = (status) => {
+        switch (status) {
+            case 'refunded':
+            case 'exchanged':
+                return '#10b981';
+            case 'approved':
+            case 'pickup_scheduled':
+            case 'received':
+            case 'refunding':
+                return '#3b82f6';
+            case 'requested':
+                return '#f59e0b';
+            case 'rejected':
+                return '#ef4444';
+            default:
+                return '#6b7280';
+        }
+    };
+
+    const formatPrice = (price) => {
+        return `৳${parseFloat(price).toFixed(2)}`;
+    };
+
+    const formatDate = (dateString) => {
+        return new Date(dateString).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+    };
+
+    if (loading) {
+        return (
+            <div style={{
+                minHeight: '100vh',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                backgroundColor: '#f9fafb'
+            }}>
+                <div style={{ textAlign: 'center' }}>
+                    <div style={{ fontSize: '2rem', marginBottom: '1rem' }}>⏳</div>
+                    <p>Loading return requests...</p>
+                </div>
+            </div>
+        );
+    }
+
+    const containerStyle = {
+        minHeight: '100vh',
+        backgroundColor: '#f9fafb',
+        padding: '1rem'
+    };
+
+    const headerStyle = {
+        backgroundColor: 'white',
+        padding: '1rem 2rem',
+        borderRadius: '0.5rem',
+        boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)',
+        marginBottom: '2rem',
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center'
+    };
+
+    const titleStyle = {
+        fontSize: '1.875rem',
+        fontWeight: '700',
+        color: '#111827',
+        margin: 0
+    };
+
+    const backButtonStyle = {
+        padding: '0.5rem 1rem',
+        backgroundColor: '#6b7280',
+        color: 'white',
+        border: 'none',
+        borderRadius: '0.375rem',
+        cursor: 'pointer',
+        textDecoration: 'none',
+        fontSize: '0.875rem',
+        fontWeight: '500'
+    };
+
+    const cardStyle = {
+        backgroundColor: 'white',
+        borderRadius: '0.5rem',
+        boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)',
+        overflow: 'hidden',
+        marginBottom: '2rem'
+    };
+
+    const cardHeaderStyle = {
+        padding: '1rem 1.5rem',
+        borderBottom: '1px solid #e5e7eb',
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        gap: '1rem'
+    };
+
+    const sectionTitleStyle = {
+        fontSize: '1.125rem',
+        fontWeight: '600',
+        color: '#111827',
+        margin: 0
+    };
+
+    const labelStyle = {
+        fontSize: '0.875rem',
+        fontWeight: '500',
+        marginBottom: '0.25rem',
+        display: 'block'
+    };
+
+    const inputStyle = {
+        width: '100%',
+        padding: '0.5rem',
+        border: '1px solid #d1d5db',
+        borderRadius: '0.375rem',
+        fontSize: '0.875rem',
+        boxSizing: 'border-box'
+    };
+
+    const buttonStyle = (color) => ({
+        padding: '0.5rem 1rem',
+        backgroundColor: color,
+        color: 'white',
+        border: 'none',
+        borderRadius: '0.375rem',
+        cursor: updating ? 'not-allowed' : 'pointer',
+        fontSize: '0.875rem',
+        fontWeight: '500',
+        marginRight: '0.5rem'
+    });
+
+    const tableStyle = {
+        width: '100%',
+        borderCollapse: 'collapse'
+    };
+
+    const thStyle = {
+        padding: '0.75rem 1rem',
+        textAlign: 'left',
+        fontSize: '0.875rem',
+        fontWeight: '600',
+        color: '#374151',
+        backgroundColor: '#f9fafb',
+        borderBottom: '1px solid #e5e7eb'
+    };
+
+    const tdStyle = {
+        padding: '0.75rem 1rem',
+        borderBottom: '1px solid #e5e7eb',
+        fontSize: '0.875rem'
+    };
+
+    const statusBadgeStyle = (status) => ({
+        padding: '0.25rem 0.5rem',
+        borderRadius: '9999px',
+        fontSize: '0.75rem',
+        fontWeight: '500',
+        backgroundColor: getStatusColor(status) + '20',
+        color: getStatusColor(status)
+    });
+
+    const detailRowStyle = {
+        fontSize: '0.875rem',
+        color: '#374151',
+        marginBottom: '0.5rem'
+    };
+
+    const noteField = (
+        <div style={{ marginBottom: '1rem' }}>
+            <label style={labelStyle}>Note to the customer</label>
+            <textarea
+                value={action.note}
+                onChange={(e) => setAction({ ...action, note: e.target.value })}
+                maxLength={500}
+                rows={2}
+                style={inputStyle}
+            />
+        </div>
+    );
+
+    return (
+        <div style={containerStyle}>
+            {/* Header */}
+            <div style={headerStyle}>
+                <h1 style={titleStyle}>Returns</h1>
+                <button
+                    onClick={() => navigate('/admin/dashboard')}
+                    style={backButtonStyle}
+                >
+                    ← Back to Dashboard
+                </button>
+            </div>
+
+            {error && (
+                <div style={{
+                    backgroundColor: '#fef2f2',
+                    border: '1px solid #fecaca',
+                    color: '#dc2626',
+                    padding: '0.75rem',
+                    borderRadius: '0.375rem',
+                    marginBottom: '1rem'
+                }}>
+                    {error}
+                </div>
+            )}
+
+            {notice && (
+                <div style={{
+                    backgroundColor: '#f0fdf4',
+                    border: '1px solid #bbf7d0',
+                    color: '#166534',
+                    padding: '0.75rem',
+                    borderRadius: '0.375rem',
+                    marginBottom: '1rem'
+                }}>
+                    {notice}
+                </div>
+            )}
+
+            {/* Selected request */}
+            {selected && (
+                <div style={cardStyle}>
+                    <div style={cardHeaderStyle}>
+                        <h2 style={sectionTitleStyle}>
+                            {selected.return_number} · Order {selected.order_number}
+                        </h2>
+                        <span style={statusBadgeStyle(selected.status)}>{STATUS_LABELS[selected.status]}</span>
+                    </div>
+                    <div style={{ padding: '1.5rem' }}>
+                        <div style={detailRowStyle}>
+                            <strong>{selected.type === 'exchange' ? 'Exchange' : 'Return'}:</strong>{' '}
+                            {selected.product_name}{selected.variant_label ? ` (${selected.variant_label})` : ''}
+                            {' × '}{selected.quantity} of {selected.ordered_quantity} at {formatPrice(selected.unit_price)}
+                            {selected.type === 'exchange' && ` → ${selected.exchange_variant_title || 'same item'}`}
+                        </div>
+                        <div style={detailRowStyle}>
+                            <strong>Customer:</strong> {selected.user_first_name} {selected.user_last_name} ({selected.user_email})
+                        </div>
+                        <div style={detailRowStyle}>
+                            <strong>Reason:</strong> {REASON_LABELS[selected.reason]}
+                            {selected.details ? ` — ${selected.details}` : ''}
+                        </div>
+                        {selected.pickup_date && (
+                            <div style={detailRowStyle}>
+                                <strong>Pickup:</strong> {formatDate(selected.pickup_date)}
+                            </div>
+                        )}
+                        {selected.received_at && (
+                            <div style={detailRowStyle}>
+                                <strong>Received:</strong> {formatDate(selected.received_at)}
+                                {selected.restocked ? ' and restocked' : ', not restocked'}
+                            </div>
+                        )}
+                        {selected.refund_amount && (
+                            <div style={detailRowStyle}>
+                                <strong>Refunded:</strong> {formatPrice(selected.refund_amount)} ({selected.refund_id})
+                            </div>
+                        )}
+                        {selected.admin_note && (
+                            <div style={detailRowStyle}>
+                                <strong>Note:</strong> {selected.admin_note}
+                            </div>
+                        )}
+
+                        {selected.media && selected.media.length > 0 && (
+                            <div style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap', margin: '1rem 0' }}>
+                                {selected.media.map(photo => (
+                                    <a key={photo.id} href={photo.media_url} target="_blank" rel="noopener noreferrer">
+                                        <img
+                                            src={photo.media_thumbnail_url || photo.media_url}
+                                            alt={`${selected.return_number} from the customer`}
+                                            style={{ width: '96px', height: '96px', objectFit: 'cover', borderRadius: '0.375rem' }}
+                                        />
+                                    </a>
+                                ))}
+                            </div>
+                        )}
+
+                        {selected.status === 'requested' && (
+                            <div style={{ marginTop: '1rem' }}>
+                                {noteField}
+                                <button onClick={() => review('approve')} disabled={updating} style={buttonStyle('#10b981')}>
+                                    Approve
+                                </button>
+                                <button onClick={() => review('reject')} disabled={updating} style={buttonStyle('#ef4444')}>
+                                    Reject
+                                </button>
+                            </div>
+                        )}
+
+                        {['approved', 'pickup_scheduled'].includes(selected.status) && (
+                            <div style={{ marginTop: '1rem' }}>
+                                <div style={{ marginBottom: '1rem', maxWidth: '240px' }}>
+                                    <label style={labelStyle}>Pickup date</label>
+                                    <input
+                                        type="date"
+                                        value={action.pickupDate}
+                                        onChange={(e) => setAction({ ...action, pickupDate: e.target.value })}
+                                        style={inputStyle}
+                                    />
+                                </div>
+                                <label style={{ ...labelStyle, display: 'flex', alignItems: 'center', gap: '0.5rem' }}>
+                                    <input
+                                        type="checkbox"
+                                        checked={action.restock}
+                                        onChange={(e) => setAction({ ...action, restock: e.target.checked })}
+                                    />
+                                    Put the item back in stock when received
+                                </label>
+                                {noteField}
+                                <button onClick={schedulePickup} disabled={updating} style={buttonStyle('#3b82f6')}>
+                                    {selected.status === 'pickup_scheduled' ? 'Reschedule Pickup' : 'Schedule Pickup'}
+                                </button>
+                                <button onClick={receive} disabled={updating} style={buttonStyle('#6366f1')}>
+                                    Mark Received
+                                </button>
+                            </div>
+                        )}
+
+                        {selected.status === 'received' && (
+                            <div style={{ marginTop: '1rem' }}>
+                                {selected.type === 'return' && (
+                                    <div style={{ marginBottom: '1rem', maxWidth: '240px' }}>
+                                        <label style={labelStyle}>
+                                            Refund amount (default {formatPrice(selected.unit_price * selected.quantity)})
+                                        </label>
+                                        <input
+                                            type="number"
+                                            min="0.01"
+                                            step="0.01"
+                                            value={action.refundAmount}
+                                            onChange={(e) => setAction({ ...action, refundAmount: e.target.value })}
+                                            style={inputStyle}
+                                        />
+                                    </div>
+                                )}
+                                {noteField}
+                                <button onClick={complete} disabled={updating} style={buttonStyle('#10b981')}>
+                                    {selected.type === 'return' ? 'Refund' : 'Send Replacement'}
+                                </button>
+                            </div>
+                        )}
+
+                        <div style={{ marginTop: '1rem' }}>
+                            <button onClick={() => setSelected(null)} style={backButtonStyle}>
+                                Close
+                            </button>
+                        </div>
+                    </div>
+                </div>
+            )}
+
+            {/* Requests */}
+            <div style={cardStyle}>
+                <div style={cardHeaderStyle}>
+                    <h2 style={sectionTitleStyle}>Return Requests ({pagination.total || 0})</h2>
+                    <div style={{ display: 'flex', gap: '0.5rem' }}>
+                        <select
+                            value={filters.status}
+                            onChange={(e) => setFilters({ ...filters, status: e.target.value, page: 1 })}
+                            style={inputStyle}
+                        >
+                            <option value="">All statuses</option>
+                            {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                                <option key={value} value={value}>{label}</option>
+                            ))}
+                        </select>
+                        <select
+                            value={filters.type}
+                            onChange={(e) => setFilters({ ...filters, type: e.target.value, page: 1 })}
+                            style={inputStyle}
+                        >
+                            <option value="">Returns and exchanges</option>
+                            <option value="return">Returns</option>
+                            <option value="exchange">Exchanges</option>
+                        </select>
+                    </div>
+                </div>
+                <div style={{ overflowX: 'auto' }}>
+                    <table style={tableStyle}>
+                        <thead>
+                            <tr>
+                                <th style={thStyle}>Request</th>
+                                <th style={thStyle}>Order</th>
+                                <th style={thStyle}>Customer</th>
+                                <th style={thStyle}>Item</th>
+                                <th style={thStyle}>Reason</th>
+                                <th style={thStyle}>Status</th>
+                                <th style={thStyle}>Requested</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {returns.length === 0 ? (
+                                <tr>
+                                    <td colSpan="7" style={{ ...tdStyle, textAlign: 'center', color: '#6b7280', padding: '2rem' }}>
+                                        No return requests found
+                                    </td>
+                                </tr>
+                            ) : returns.map(returnRequest => (
+                                <tr
+                                    key={returnRequest.id}
+                                    onClick={() => openReturn(returnRequest.id)}
+                                    style={{ cursor: 'pointer' }}
+                                >
+                                    <td style={tdStyle}>
+                                        <div style={{ fontWeight: '500' }}>{returnRequest.return_number}</div>
+                                        <div style={{ fontSize: '0.75rem', color: '#6b7280' }}>
+                                            {returnRequest.type === 'exchange' ? 'Exchange' : 'Return'}
+                                            {returnRequest.media_count > 0 && ` · ${returnRequest.media_count} photos`}
+                                        </div>
+                                    </td>
+                                    <td style={tdStyle}>{returnRequest.order_number}</td>
+                                    <td style={tdStyle}>
+                                        {returnRequest.user_first_name} {returnRequest.user_last_name}
+                                    </td>
+                                    <td style={tdStyle}>
+                                        {returnRequest.product_name}
+                                        {returnRequest.variant_label ? ` (${returnRequest.variant_label})` : ''}
+                                        {' × '}{returnRequest.quantity}
+                                    </td>
+                                    <td style={tdStyle}>{REASON_LABELS[returnRequest.reason]}</td>
+                                    <td style={tdStyle}>
+                                        <span style={statusBadgeStyle(returnRequest.status)}>
+                                            {STATUS_LABELS[returnRequest.status]}
+                                        </span>
+                                    </td>
+                                    <td style={tdStyle}>{formatDate(returnRequest.created_at)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </div>
+                {pagination.totalPages > 1 && (
+                    <div style={{ padding: '1rem 1.5rem', display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
+                        <button
+                            onClick={() => setFilters({ ...filters, page: filters.page - 1 })}
+                            disabled={filters.page <= 1}
+                            style={backButtonStyle}
+                        >
+                            Previous
+                        </button>
+                        <span style={{ fontSize: '0.875rem', color: '#6b7280' }}>
+                            Page {filters.page} of {pagination.totalPages}
+                        </span>
+                        <button
+                            onClick={() => setFilters({ ...filters, page: filters.page + 1 })}
+                            disabled={filters.page >= pagination.totalPages}
+                            style={backButtonStyle}
+                        >
+                            Next
+                        </button>
+                    </div>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default AdminReturnsPage;
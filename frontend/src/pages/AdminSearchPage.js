@@ -0,0 +1,941 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import apiClient from '../api';
+import logger from '../logger';
+
+const emptyForm = {
+    terms: '',
+    replacements: ''
+};
+
+const emptyRuleForm = {
+    name: '',
+    query: '',
+    action: 'pin',
+    target: 'category',
+    productId: '',
+    position: '1',
+    categoryId: '',
+    brand: '',
+    startsAt: '',
+    expiresAt: ''
+};
+
+const ACTION_LABELS = {
+    pin: 'Pin',
+    boost: 'Boost',
+    bury: 'Bury',
+    redirect: 'Redirect'
+};
+
+// Request body for the rule form; boost and bury rules rank one kind of target
+const ruleFromForm = (form) => {
+    const rule = {
+        name: form.name.trim(),
+        query: form.query.trim() || null,
+        action: form.action,
+        startsAt: form.startsAt ? new Date(form.startsAt).toISOString() : null,
+        expiresAt: form.expiresAt ? new Date(form.expiresAt).toISOString() : null
+    };
+
+    if (form.action === 'pin') {
+        return { ...rule, productId: parseInt(form.productId), position: parseInt(form.position) };
+    }
+    if (form.action === 'redirect') {
+        return { ...rule, categoryId: parseInt(form.categoryId) };
+    }
+
+    switch (form.target) {
+        case 'product':
+            return { ...rule, productId: parseInt(form.productId) };
+        case 'brand':
+            return { ...rule, brand: form.brand.trim() };
+        case 'outOfStock':
+            return { ...rule, outOfStock: true };
+        default:
+            return { ...rule, categoryId: parseInt(form.categoryId) };
+    }
+};
+
+const describeTarget = (rule) => {
+    if (rule.action === 'pin') {
+        return `${rule.product_name || `Product #${rule.product_id}`} at position ${rule.position}`;
+    }
+    if (rule.product_id) {
+        return rule.product_name || `Product #${rule.product_id}`;
+    }
+    if (rule.category_id) {
+        return `${rule.action === 'redirect' ? 'Category page: ' : ''}${rule.category_name}`;
+    }
+    if (rule.brand) {
+        return `Brand: ${rule.brand}`;
+    }
+    return 'Out-of-stock products';
+};
+
+// "mobile, phone" -> ['mobile', 'phone']
+const splitTerms = (text) => text
+    .split(',')
+    .map(term => term.trim().toLowerCase())
+    .filter(Boolean);
+
+const AdminSearchPage = () => {
+    const [synonyms, setSynonyms] = useState([]);
+    const [zeroResults, setZeroResults] = useState([]);
+    const [days, setDays] = useState(30);
+    const [form, setForm] = useState(emptyForm);
+    const [rules, setRules] = useState([]);
+    const [categories, setCategories] = useState([]);
+    const [ruleForm, setRuleForm] = useState(emptyRuleForm);
+    const [savingRule, setSavingRule] = useState(false);
+    const [updatingRule, setUpdatingRule] = useState(null);
+    const [loading, setLoading] = useState(true);
+    const [saving, setSaving] = useState(false);
+    const [updatingSynonym, setUpdatingSynonym] = useState(null);
+    const [error, setError] = useState(null);
+    const [notice, setNotice] = useState(null);
+    const navigate = useNavigate();
+
+    useEffect(() => {
+        checkAdminAuth();
+        fetchSynonyms();
+        fetchRules();
+        fetchCategories();
+    }, []);
+
+    useEffect(() => {
+        fetchZeroResults();
+    }, [days]);
+
+    const checkAdminAuth = () => {
+        const token = localStorage.getItem('adminToken');
+        const user = localStorage.getItem('adminUser');
+
+        if (!token || !user) {
+            navigate('/admin/login');
+            return;
+        }
+
+        try {
+            const userData = JSON.parse(user);
+            if (userData.role !== 'admin') {
+                navigate('/admin/login');
+            }
+        } catch (err) {
+            navigate('/admin/login');
+        }
+    };
+
+    const authHeaders = () => ({
+        'Authorization': `Bearer ${localStorage.getItem('adminToken')}`
+    });
+
+    const fetchSynonyms = async () => {
+        try {
+            const response = await apiClient.get('/search/admin/synonyms', {
+                headers: authHeaders()
+            });
+
+            setSynonyms(response.data.data.synonyms);
+        } catch (err) {
+            setError('Failed to load synonyms');
+            logger.error('Synonyms fetch failed', { error: err.message });
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    const fetchZeroResults = async () => {
+        try {
+            const response = await apiClient.get(`/search/admin/zero-results?days=${days}`, {
+                headers: authHeaders()
+            });
+
+            setZeroResults(response.data.data.queries);
+        } catch (err) {
+            setError('Failed to load the zero-result report');
+            logger.error('Zero-result report fetch failed', { error: err.message, days });
+        }
+    };
+
+    const fetchRules = async () => {
+        try {
+            const response = await apiClient.get('/search/admin/rules', {
+                headers: authHeaders()
+            });
+
+            setRules(response.data.data.rules);
+        } catch (err) {
+            setError('Failed to load merchandising rules');
+            logger.error('Search rules fetch failed', { error: err.message });
+        }
+    };
+
+    const fetchCategories = async () => {
+        try {
+            const response = await apiClient.get('/products/categories', {
+                headers: authHeaders()
+            });
+
+            setCategories(response.data.categories);
+        } catch (err) {
+            logger.error('Categories fetch failed', { error: err.message });
+        }
+    };
+
+    // Rules are saved even when Elasticsearch is down; say so, as they only
+    // take effect once the next change reaches it
+    const showApplied = (applied, message) => {
+        setNotice(applied
+            ? message
+            : `${message}, but it could not be applied to search yet. It will be applied with the next change.`);
+    };
+
+    const handleCreate = async (e) => {
+        e.preventDefault();
+        setError(null);
+        setNotice(null);
+
+        const terms = splitTerms(form.terms);
+        const replacements = splitTerms(form.replacements);
+
+        if (terms.length === 0 || (replacements.length === 0 && terms.length < 2)) {
+            setError('Enter at least two equivalent terms, or a term and its replacements');
+            return;
+        }
+
+        setSaving(true);
+        try {
+            const response = await apiClient.post('/search/admin/synonyms', {
+                terms,
+                replacements: replacements.length > 0 ? replacements : null
+            }, {
+                headers: authHeaders()
+            });
+
+            const { synonym, applied } = response.data.data;
+            setSynonyms([synonym, ...synonyms]);
+            setForm(emptyForm);
+            showApplied(applied, 'Synonym added');
+            fetchZeroResults();
+
+            logger.info('Synonym created successfully', { synonymId: synonym.id });
+        } catch (err) {
+            setError('Failed to add synonym');
+            logger.error('Synonym creation failed', { error: err.message, terms });
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleCreateRule = async (e) => {
+        e.preventDefault();
+        setError(null);
+        setNotice(null);
+
+        const rule = ruleFromForm(ruleForm);
+        setSavingRule(true);
+        try {
+            await apiClient.post('/search/admin/rules', rule, {
+                headers: authHeaders()
+            });
+
+            // Reload for the product and category names
+            await fetchRules();
+            setRuleForm(emptyRuleForm);
+            setNotice('Merchandising rule added');
+
+            logger.info('Search rule created successfully', { action: rule.action, query: rule.query });
+        } catch (err) {
+            setError('Failed to add merchandising rule. Check that the product or category exists and the dates are in order.');
+            logger.error('Search rule creation failed', { error: err.message, action: rule.action });
+        } finally {
+            setSavingRule(false);
+        }
+    };
+
+    const toggleRule = async (rule) => {
+        setUpdatingRule(rule.id);
+        setError(null);
+        setNotice(null);
+        try {
+            await apiClient.patch(`/search/admin/rules/${rule.id}`,
+                { isActive: !rule.is_active },
+                {
+                    headers: authHeaders()
+                }
+            );
+
+            setRules(rules.map(item => item.id === rule.id ? { ...item, is_active: !rule.is_active } : item));
+
+            logger.info('Search rule updated successfully', { ruleId: rule.id, isActive: !rule.is_active });
+        } catch (err) {
+            setError('Failed to update merchandising rule');
+            logger.error('Search rule update failed', { error: err.message, ruleId: rule.id });
+        } finally {
+            setUpdatingRule(null);
+        }
+    };
+
+    const deleteRule = async (rule) => {
+        if (!window.confirm(`Delete the rule "${rule.name}"?`)) {
+            return;
+        }
+
+        setUpdatingRule(rule.id);
+        setError(null);
+        setNotice(null);
+        try {
+            await apiClient.delete(`/search/admin/rules/${rule.id}`, {
+                headers: authHeaders()
+            });
+
+            setRules(rules.filter(item => item.id !== rule.id));
+            setNotice('Merchandising rule deleted');
+
+            logger.info('Search rule deleted successfully', { ruleId: rule.id });
+        } catch (err) {
+            setError('Failed to delete merchandising rule');
+            logger.error('Search rule deletion failed', { error: err.message, ruleId: rule.id });
+        } finally {
+            setUpdatingRule(null);
+        }
+    };
+
+    // Scheduled, running or over, from the rule's dates
+    const describeSchedule = (rule) => {
+        const now = new Date();
+        if (rule.expires_at && new Date(rule.expires_at) <= now) {
+            return `Ended ${formatDate(rule.expires_at)}`;
+        }
+        if (rule.starts_at && new Date(rule.starts_at) > now) {
+            return `Starts ${formatDate(rule.starts_at)}${rule.expires_at ? `, ends ${formatDate(rule.expires_at)}` : ''}`;
+        }
+        return rule.expires_at ? `Until ${formatDate(rule.expires_at)}` : 'Always';
+    };
+
+    const toggleSynonym = async (synonym) => {
+        setUpdatingSynonym(synonym.id);
+        setError(null);
+        setNotice(null);
+        try {
+            const response = await apiClient.patch(`/search/admin/synonyms/${synonym.id}`,
+                { isActive: !synonym.is_active },
+                {
+                    headers: authHeaders()
+                }
+            );
+
+            const { synonym: updated, applied } = response.data.data;
+            setSynonyms(synonyms.map(item => item.id === updated.id ? updated : item));
+            showApplied(applied, updated.is_active ? 'Synonym enabled' : 'Synonym disabled');
+
+            logger.info('Synonym updated successfully', { synonymId: synonym.id, isActive: updated.is_active });
+        } catch (err) {
+            setError('Failed to update synonym');
+            logger.error('Synonym update failed', { error: err.message, synonymId: synonym.id });
+        } finally {
+            setUpdatingSynonym(null);
+        }
+    };
+
+    const deleteSynonym = async (synonym) => {
+        if (!window.confirm(`Delete the synonym "${synonym.terms.join(', ')}"?`)) {
+            return;
+        }
+
+        setUpdatingSynonym(synonym.id);
+        setError(null);
+        setNotice(null);
+        try {
+            const response = await apiClient.delete(`/search/admin/synonyms/${synonym.id}`, {
+                headers: authHeaders()
+            });
+
+            setSynonyms(synonyms.filter(item => item.id !== synonym.id));
+            showApplied(response.data.data.applied, 'Synonym deleted');
+
+            logger.info('Synonym deleted successfully', { synonymId: synonym.id });
+        } catch (err) {
+            setError('Failed to delete synonym');
+            logger.error('Synonym deletion failed', { error: err.message, synonymId: synonym.id });
+        } finally {
+            setUpdatingSynonym(null);
+        }
+    };
+
+    // Start a rule from a query nobody found anything for, e.g. "mobil"
+    const addFromQuery = (query) => {
+        setForm({ terms: query, replacements: '' });
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    };
+
+    const formatDate = (dateString) => {
+        return new Date(dateString).toLocaleDateString('en-US', {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+    };
+
+    if (loading) {
+        return (
+            <div style={{
+                minHeight: '100vh',
+                display: 'flex',
+                alignItems: 'center',
+                justifyContent: 'center',
+                backgroundColor: '#f9fafb'
+            }}>
+                <div style={{ textAlign: 'center' }}>
+                    <div style={{ fontSize: '2rem', marginBottom: '1rem' }}>⏳</div>
+                    <p>Loading search settings...</p>
+                </div>
+            </div>
+        );
+    }
+
+    const containerStyle = {
+        minHeight: '100vh',
+        backgroundColor: '#f9fafb',
+        padding: '1rem'
+    };
+
+    const headerStyle = {
+        backgroundColor: 'white',
+        padding: '1rem 2rem',
+        borderRadius: '0.5rem',
+        boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)',
+        marginBottom: '2rem',
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center'
+    };
+
+    const titleStyle = {
+        fontSize: '1.875rem',
+        fontWeight: '700',
+        color: '#111827',
+        margin: 0
+    };
+
+    const backButtonStyle = {
+        padding: '0.5rem 1rem',
+        backgroundColor: '#6b7280',
+        color: 'white',
+        border: 'none',
+        borderRadius: '0.375rem',
+        cursor: 'pointer',
+        textDecoration: 'none',
+        fontSize: '0.875rem',
+        fontWeight: '500'
+    };
+
+    const cardStyle = {
+        backgroundColor: 'white',
+        borderRadius: '0.5rem',
+        boxShadow: '0 1px 3px rgba(0, 0, 0, 0.1)',
+        overflow: 'hidden',
+        marginBottom: '2rem'
+    };
+
+    const cardHeaderStyle = {
+        padding: '1rem 1.5rem',
+        borderBottom: '1px solid #e5e7eb',
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center'
+    };
+
+    const sectionTitleStyle = {
+        fontSize: '1.125rem',
+        fontWeight: '600',
+        color: '#111827',
+        margin: 0
+    };
+
+    const formStyle = {
+        padding: '1.5rem',
+        borderBottom: '1px solid #e5e7eb',
+        display: 'grid',
+        gridTemplateColumns: 'repeat(auto-fit, minmax(200px, 1fr))',
+        gap: '1rem',
+        alignItems: 'end'
+    };
+
+    const labelStyle = {
+        fontSize: '0.875rem',
+        fontWeight: '500',
+        marginBottom: '0.25rem',
+        display: 'block'
+    };
+
+    const inputStyle = {
+        width: '100%',
+        padding: '0.5rem',
+        border: '1px solid #d1d5db',
+        borderRadius: '0.375rem',
+        fontSize: '0.875rem',
+        boxSizing: 'border-box'
+    };
+
+    const primaryButtonStyle = {
+        padding: '0.5rem 1rem',
+        backgroundColor: '#3b82f6',
+        color: 'white',
+        border: 'none',
+        borderRadius: '0.375rem',
+        cursor: saving ? 'not-allowed' : 'pointer',
+        fontSize: '0.875rem',
+        fontWeight: '500'
+    };
+
+    const smallButtonStyle = {
+        padding: '0.25rem 0.5rem',
+        border: 'none',
+        borderRadius: '0.25rem',
+        fontSize: '0.75rem',
+        fontWeight: '500',
+        cursor: 'pointer'
+    };
+
+    const tableStyle = {
+        width: '100%',
+        borderCollapse: 'collapse'
+    };
+
+    const thStyle = {
+        padding: '0.75rem 1rem',
+        textAlign: 'left',
+        fontSize: '0.875rem',
+        fontWeight: '600',
+        color: '#374151',
+        backgroundColor: '#f9fafb',
+        borderBottom: '1px solid #e5e7eb'
+    };
+
+    const tdStyle = {
+        padding: '0.75rem 1rem',
+        borderBottom: '1px solid #e5e7eb',
+        fontSize: '0.875rem'
+    };
+
+    const emptyStyle = {
+        ...tdStyle,
+        textAlign: 'center',
+        color: '#6b7280',
+        padding: '2rem'
+    };
+
+    return (
+        <div style={containerStyle}>
+            {/* Header */}
+            <div style={headerStyle}>
+                <h1 style={titleStyle}>Search</h1>
+                <button
+                    onClick={() => navigate('/admin/dashboard')}
+                    style={backButtonStyle}
+                >
+                    ← Back to Dashboard
+                </button>
+            </div>
+
+            {error && (
+                <div style={{
+                    backgroundColor: '#fef2f2',
+                    border: '1px solid #fecaca',
+                    color: '#dc2626',
+                    padding: '0.75rem',
+                    borderRadius: '0.375rem',
+                    marginBottom: '1rem'
+                }}>
+                    {error}
+                </div>
+            )}
+
+            {notice && (
+                <div style={{
+                    backgroundColor: '#f0fdf4',
+                    border: '1px solid #bbf7d0',
+                    color: '#166534',
+                    padding: '0.75rem',
+                    borderRadius: '0.375rem',
+                    marginBottom: '1rem'
+                }}>
+                    {notice}
+                </div>
+            )}
+
+            {/* Synonyms */}
+            <div style={cardStyle}>
+                <div style={cardHeaderStyle}>
+                    <h2 style={sectionTitleStyle}>Synonyms</h2>
+                </div>
+                <form onSubmit={handleCreate} style={formStyle}>
+                    <div>
+                        <label style={labelStyle}>
+                            Terms
+                        </label>
+                        <input
+                            type="text"
+                            placeholder="mobile, phone, cellphone"
+                            value={form.terms}
+                            onChange={(e) => setForm({ ...form, terms: e.target.value })}
+                            style={inputStyle}
+                        />
+                    </div>
+                    <div>
+                        <label style={labelStyle}>
+                            Replacements (optional)
+                        </label>
+                        <input
+                            type="text"
+                            placeholder="case"
+                            value={form.replacements}
+                            onChange={(e) => setForm({ ...form, replacements: e.target.value })}
+                            style={inputStyle}
+                        />
+                    </div>
+                    <div>
+                        <button type="submit" disabled={saving} style={primaryButtonStyle}>
+                            {saving ? 'Adding...' : 'Add Synonym'}
+                        </button>
+                    </div>
+                </form>
+                <p style={{ margin: 0, padding: '0.75rem 1.5rem', fontSize: '0.75rem', color: '#6b7280' }}>
+                    Separate terms with commas. Without replacements the terms all find each other;
+                    with replacements a search for any of the terms also finds the replacements.
+                </p>
+                <div style={{ overflowX: 'auto' }}>
+                    <table style={tableStyle}>
+                        <thead>
+                            <tr>
+                                <th style={thStyle}>Terms</th>
+                                <th style={thStyle}>Replacements</th>
+                                <th style={thStyle}>Status</th>
+                                <th style={thStyle}>Updated</th>
+                                <th style={thStyle}>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {synonyms.length > 0 ? synonyms.map(synonym => (
+                                <tr key={synonym.id}>
+                                    <td style={tdStyle}>{synonym.terms.join(', ')}</td>
+                                    <td style={tdStyle}>
+                                        {synonym.replacements ? synonym.replacements.join(', ') : 'Equivalent'}
+                                    </td>
+                                    <td style={tdStyle}>
+                                        <button
+                                            onClick={() => toggleSynonym(synonym)}
+                                            disabled={updatingSynonym === synonym.id}
+                                            style={{
+                                                ...smallButtonStyle,
+                                                cursor: updatingSynonym === synonym.id ? 'not-allowed' : 'pointer',
+                                                backgroundColor: synonym.is_active ? '#d1fae5' : '#fee2e2',
+                                                color: synonym.is_active ? '#065f46' : '#991b1b'
+                                            }}
+                                        >
+                                            {updatingSynonym === synonym.id ? 'Updating...' : (synonym.is_active ? 'Active' : 'Inactive')}
+                                        </button>
+                                    </td>
+                                    <td style={tdStyle}>{formatDate(synonym.updated_at)}</td>
+                                    <td style={tdStyle}>
+                                        <button
+                                            onClick={() => deleteSynonym(synonym)}
+                                            disabled={updatingSynonym === synonym.id}
+                                            style={{ ...smallButtonStyle, backgroundColor: '#dc2626', color: 'white' }}
+                                        >
+                                            Delete
+                                        </button>
+                                    </td>
+                                </tr>
+                            )) : (
+                                <tr>
+                                    <td colSpan="5" style={emptyStyle}>No synonyms yet</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            {/* Merchandising rules */}
+            <div style={cardStyle}>
+                <div style={cardHeaderStyle}>
+                    <h2 style={sectionTitleStyle}>Merchandising Rules</h2>
+                </div>
+                <form onSubmit={handleCreateRule} style={formStyle}>
+                    <div>
+                        <label style={labelStyle}>
+                            Name
+                        </label>
+                        <input
+                            type="text"
+                            placeholder="Ramadan iftar campaign"
+                            value={ruleForm.name}
+                            onChange={(e) => setRuleForm({ ...ruleForm, name: e.target.value })}
+                            style={inputStyle}
+                            required
+                        />
+                    </div>
+                    <div>
+                        <label style={labelStyle}>
+                            Query {ruleForm.action === 'boost' || ruleForm.action === 'bury' ? '(blank for all searches)' : ''}
+                        </label>
+                        <input
+                            type="text"
+                            placeholder="iftar"
+                            value={ruleForm.query}
+                            onChange={(e) => setRuleForm({ ...ruleForm, query: e.target.value })}
+                            style={inputStyle}
+                            required={ruleForm.action === 'pin' || ruleForm.action === 'redirect'}
+                        />
+                    </div>
+                    <div>
+                        <label style={labelStyle}>
+                            Action
+                        </label>
+                        <select
+                            value={ruleForm.action}
+                            onChange={(e) => setRuleForm({ ...ruleForm, action: e.target.value })}
+                            style={inputStyle}
+                        >
+                            <option value="pin">Pin a product</option>
+                            <option value="boost">Boost</option>
+                            <option value="bury">Bury</option>
+                            <option value="redirect">Redirect to a category</option>
+                        </select>
+                    </div>
+                    {(ruleForm.action === 'boost' || ruleForm.action === 'bury') && (
+                        <div>
+                            <label style={labelStyle}>
+                                Products to {ruleForm.action}
+                            </label>
+                            <select
+                                value={ruleForm.target}
+                                onChange={(e) => setRuleForm({ ...ruleForm, target: e.target.value })}
+                                style={inputStyle}
+                            >
+                                <option value="category">A category</option>
+                                <option value="brand">A brand</option>
+                                <option value="product">One product</option>
+                                <option value="outOfStock">Out-of-stock products</option>
+                            </select>
+                        </div>
+                    )}
+                    {(ruleForm.action === 'pin' || (['boost', 'bury'].includes(ruleForm.action) && ruleForm.target === 'product')) && (
+                        <div>
+                            <label style={labelStyle}>
+                                Product ID
+                            </label>
+                            <input
+                                type="number"
+                                min="1"
+                                value={ruleForm.productId}
+                                onChange={(e) => setRuleForm({ ...ruleForm, productId: e.target.value })}
+                                style={inputStyle}
+                                required
+                            />
+                        </div>
+                    )}
+                    {ruleForm.action === 'pin' && (
+                        <div>
+                            <label style={labelStyle}>
+                                Position
+                            </label>
+                            <input
+                                type="number"
+                                min="1"
+                                max="100"
+                                value={ruleForm.position}
+                                onChange={(e) => setRuleForm({ ...ruleForm, position: e.target.value })}
+                                style={inputStyle}
+                                required
+                            />
+                        </div>
+                    )}
+                    {(ruleForm.action === 'redirect' || (['boost', 'bury'].includes(ruleForm.action) && ruleForm.target === 'category')) && (
+                        <div>
+                            <label style={labelStyle}>
+                                Category
+                            </label>
+                            <select
+                                value={ruleForm.categoryId}
+                                onChange={(e) => setRuleForm({ ...ruleForm, categoryId: e.target.value })}
+                                style={inputStyle}
+                                required
+                            >
+                                <option value="">Select a category</option>
+                                {categories.map(category => (
+                                    <option key={category.id} value={category.id}>
+                                        {category.name}
+                                    </option>
+                                ))}
+                            </select>
+                        </div>
+                    )}
+                    {['boost', 'bury'].includes(ruleForm.action) && ruleForm.target === 'brand' && (
+                        <div>
+                            <label style={labelStyle}>
+                                Brand
+                            </label>
+                            <input
+                                type="text"
+                                value={ruleForm.brand}
+                                onChange={(e) => setRuleForm({ ...ruleForm, brand: e.target.value })}
+                                style={inputStyle}
+                                required
+                            />
+                        </div>
+                    )}
+                    <div>
+                        <label style={labelStyle}>
+                            Starts (optional)
+                        </label>
+                        <input
+                            type="datetime-local"
+                            value={ruleForm.startsAt}
+                            onChange={(e) => setRuleForm({ ...ruleForm, startsAt: e.target.value })}
+                            style={inputStyle}
+                        />
+                    </div>
+                    <div>
+                        <label style={labelStyle}>
+                            Ends (optional)
+                        </label>
+                        <input
+                            type="datetime-local"
+                            value={ruleForm.expiresAt}
+                            onChange={(e) => setRuleForm({ ...ruleForm, expiresAt: e.target.value })}
+                            style={inputStyle}
+                        />
+                    </div>
+                    <div>
+                        <button
+                            type="submit"
+                            disabled={savingRule}
+                            style={{ ...primaryButtonStyle, cursor: savingRule ? 'not-allowed' : 'pointer' }}
+                        >
+                            {savingRule ? 'Adding...' : 'Add Rule'}
+                        </button>
+                    </div>
+                </form>
+                <p style={{ margin: 0, padding: '0.75rem 1.5rem', fontSize: '0.75rem', color: '#6b7280' }}>
+                    Rules change the default relevance order only; shoppers sorting by price or rating are not affected.
+                </p>
+                <div style={{ overflowX: 'auto' }}>
+                    <table style={tableStyle}>
+                        <thead>
+                            <tr>
+                                <th style={thStyle}>Name</th>
+                                <th style={thStyle}>Query</th>
+                                <th style={thStyle}>Action</th>
+                                <th style={thStyle}>Target</th>
+                                <th style={thStyle}>Schedule</th>
+                                <th style={thStyle}>Status</th>
+                                <th style={thStyle}>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {rules.length > 0 ? rules.map(rule => (
+                                <tr key={rule.id}>
+                                    <td style={tdStyle}>{rule.name}</td>
+                                    <td style={tdStyle}>{rule.query || 'All searches'}</td>
+                                    <td style={tdStyle}>{ACTION_LABELS[rule.action]}</td>
+                                    <td style={tdStyle}>{describeTarget(rule)}</td>
+                                    <td style={tdStyle}>{describeSchedule(rule)}</td>
+                                    <td style={tdStyle}>
+                                        <button
+                                            onClick={() => toggleRule(rule)}
+                                            disabled={updatingRule === rule.id}
+                                            style={{
+                                                ...smallButtonStyle,
+                                                cursor: updatingRule === rule.id ? 'not-allowed' : 'pointer',
+                                                backgroundColor: rule.is_active ? '#d1fae5' : '#fee2e2',
+                                                color: rule.is_active ? '#065f46' : '#991b1b'
+                                            }}
+                                        >
+                                            {updatingRule === rule.id ? 'Updating...' : (rule.is_active ? 'Active' : 'Inactive')}
+                                        </button>
+                                    </td>
+                                    <td style={tdStyle}>
+                                        <button
+                                            onClick={() => deleteRule(rule)}
+                                            disabled={updatingRule === rule.id}
+                                            style={{ ...smallButtonStyle, backgroundColor: '#dc2626', color: 'white' }}
+                                        >
+                                            Delete
+                                        </button>
+                                    </td>
+                                </tr>
+                            )) : (
+                                <tr>
+                                    <td colSpan="7" style={emptyStyle}>No merchandising rules yet</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+
+            {/* Zero-result queries */}
+            <div style={cardStyle}>
+                <div style={cardHeaderStyle}>
+                    <h2 style={sectionTitleStyle}>Searches With No Results</h2>
+                    <select
+                        value={days}
+                        onChange={(e) => setDays(parseInt(e.target.value))}
+                        style={{ ...inputStyle, width: 'auto' }}
+                    >
+                        <option value={7}>Last 7 days</option>
+                        <option value={30}>Last 30 days</option>
+                        <option value={90}>Last 90 days</option>
+                    </select>
+                </div>
+                <div style={{ overflowX: 'auto' }}>
+                    <table style={tableStyle}>
+                        <thead>
+                            <tr>
+                                <th style={thStyle}>Query</th>
+                                <th style={thStyle}>Searches</th>
+                                <th style={thStyle}>Shoppers</th>
+                                <th style={thStyle}>Last Searched</th>
+                                <th style={thStyle}>Actions</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            {zeroResults.length > 0 ? zeroResults.map(item => (
+                                <tr key={item.query}>
+                                    <td style={tdStyle}>{item.query}</td>
+                                    <td style={tdStyle}>{item.searches}</td>
+                                    <td style={tdStyle}>{item.sessions}</td>
+                                    <td style={tdStyle}>{item.lastSearchedAt ? formatDate(item.lastSearchedAt) : 'N/A'}</td>
+                                    <td style={tdStyle}>
+                                        {item.coveredBySynonym ? (
+                                            <span style={{ fontSize: '0.75rem', color: '#065f46' }}>
+                                                Covered by a synonym
+                                            </span>
+                                        ) : (
+                                            <button
+                                                onClick={() => addFromQuery(item.query)}
+                                                style={{ ...smallButtonStyle, backgroundColor: '#dbeafe', color: '#1e40af' }}
+                                            >
+                                                Add Synonym
+                                            </button>
+                                        )}
+                                    </td>
+                                </tr>
+                            )) : (
+                                <tr>
+                                    <td colSpan="5" style={emptyStyle}>No zero-result searches in this period</td>
+                                </tr>
+                            )}
+                        </tbody>
+                    </table>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default AdminSearchPage;
@@ -1,8 +1,10 @@
 import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import logger from '../logger';
+import { useI18n } from '../contexts/I18nContext';
 
 const CartPage = ({ updateCartCount }) => {
+    const { t, formatCurrency, formatNumber } = useI18n();
     const [cartItems, setCartItems] = useState([]);
     const [loading, setLoading] = useState(true);
     const navigate = useNavigate();
@@ -26,14 +28,17 @@ const CartPage = ({ updateCartCount }) => {
         }
     };
 
-    const updateQuantity = (productId, newQuantity) => {
+    // Lines are one per product, or per variant for products sold in variants
+    const isSameLine = (item, line) => item.productId === line.productId && (item.variantId || null) === (line.variantId || null);
+
+    const updateQuantity = (line, newQuantity) => {
         if (newQuantity <= 0) {
-            removeItem(productId);
+            removeItem(line);
             return;
         }
 
         const updatedCart = cartItems.map(item =>
-            item.productId === productId
+            isSameLine(item, line)
                 ? { ...item, quantity: newQuantity }
                 : item
         );
@@ -47,11 +52,11 @@ const CartPage = ({ updateCartCount }) => {
             updateCartCount(newCount);
         }
 
-        logger.info('Cart item quantity updated', { productId, newQuantity });
+        logger.info('Cart item quantity updated', { productId: line.productId, variantId: line.variantId, newQuantity });
     };
 
-    const removeItem = (productId) => {
-        const updatedCart = cartItems.filter(item => item.productId !== productId);
+    const removeItem = (line) => {
+        const updatedCart = cartItems.filter(item => !isSameLine(item, line));
         setCartItems(updatedCart);
         localStorage.setItem('cart', JSON.stringify(updatedCart));
 
@@ -61,7 +66,7 @@ const CartPage = ({ updateCartCount }) => {
             updateCartCount(newCount);
         }
 
-        logger.info('Item removed from cart', { productId });
+        logger.info('Item removed from cart', { productId: line.productId, variantId: line.variantId });
     };
 
     const clearCart = () => {
@@ -80,24 +85,19 @@ const CartPage = ({ updateCartCount }) => {
         return cartItems.reduce((total, item) => total + (parseFloat(item.price) * item.quantity), 0);
     };
 
-    const calculateTax = (subtotal) => {
-        return subtotal * 0.08; // 8% tax
-    };
-
     const calculateShipping = (subtotal) => {
         return subtotal >= 50 ? 0 : 9.99; // Free shipping over $50
     };
 
     const calculateTotal = () => {
         const subtotal = calculateSubtotal();
-        const tax = calculateTax(subtotal);
         const shipping = calculateShipping(subtotal);
-        return subtotal + tax + shipping;
+        return subtotal + shipping;
     };
 
     const handleCheckout = () => {
         if (cartItems.length === 0) {
-            alert('Your cart is empty');
+            alert(t('cart.empty'));
             return;
         }
 
@@ -333,7 +333,7 @@ const CartPage = ({ updateCartCount }) => {
             <div style={containerStyle}>
                 <div style={innerContainerStyle}>
                     <div style={{ textAlign: 'center', padding: '4rem' }}>
-                        <h2>Loading cart...</h2>
+                        <h2>{t('cart.loading')}</h2>
                     </div>
                 </div>
             </div>
@@ -345,17 +345,17 @@ const CartPage = ({ updateCartCount }) => {
             <div style={containerStyle}>
                 <div style={innerContainerStyle}>
                     <div style={headerStyle}>
-                        <h1 style={titleStyle}>Shopping Cart</h1>
+                        <h1 style={titleStyle}>{t('cart.title')}</h1>
                     </div>
 
                     <div style={emptyCartStyle}>
                         <div style={emptyIconStyle}>🛒</div>
-                        <h2 style={emptyTitleStyle}>Your cart is empty</h2>
+                        <h2 style={emptyTitleStyle}>{t('cart.empty')}</h2>
                         <p style={emptyDescStyle}>
-                            Looks like you haven't added any items to your cart yet.
+                            {t('cart.emptyHint')}
                         </p>
                         <Link to="/products" style={checkoutButtonStyle}>
-                            Start Shopping
+                            {t('cart.startShopping')}
                         </Link>
                     </div>
                 </div>
@@ -364,7 +364,6 @@ const CartPage = ({ updateCartCount }) => {
     }
 
     const subtotal = calculateSubtotal();
-    const tax = calculateTax(subtotal);
     const shipping = calculateShipping(subtotal);
     const total = calculateTotal();
 
@@ -372,9 +371,9 @@ const CartPage = ({ updateCartCount }) => {
         <div style={containerStyle}>
             <div style={innerContainerStyle}>
                 <div style={headerStyle}>
-                    <h1 style={titleStyle}>Shopping Cart</h1>
+                    <h1 style={titleStyle}>{t('cart.title')}</h1>
                     <p style={subtitleStyle}>
-                        {cartItems.length} item{cartItems.length !== 1 ? 's' : ''} in your cart
+                        {t(cartItems.length === 1 ? 'cart.itemCountOne' : 'cart.itemCount', { count: formatNumber(cartItems.length) })}
                     </p>
                 </div>
 
@@ -383,15 +382,15 @@ const CartPage = ({ updateCartCount }) => {
                     <div style={cartSectionStyle}>
                         <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem' }}>
                             <h2 style={{ fontSize: '1.25rem', fontWeight: '700', margin: 0 }}>
-                                Cart Items
+                                {t('cart.items')}
                             </h2>
                             <button onClick={clearCart} style={clearCartButtonStyle}>
-                                Clear Cart
+                                {t('cart.clear')}
                             </button>
                         </div>
 
                         {cartItems.map((item) => (
-                            <div key={item.productId} style={itemStyle}>
+                            <div key={`${item.productId}:${item.variantId || ''}`} style={itemStyle}>
                                 <div style={imageStyle}>
                                     {item.image ? (
                                         <img
@@ -413,14 +412,17 @@ const CartPage = ({ updateCartCount }) => {
                                             {item.name}
                                         </Link>
                                     </h3>
+                                    {item.variantTitle && (
+                                        <p style={{ ...itemPriceStyle, color: '#374151' }}>{item.variantTitle}</p>
+                                    )}
                                     <p style={itemPriceStyle}>
-                                        ${parseFloat(item.price).toFixed(2)} each
+                                        {t('cart.each', { price: formatCurrency(item.price) })}
                                     </p>
                                 </div>
 
                                 <div style={quantityControlStyle}>
                                     <button
-                                        onClick={() => updateQuantity(item.productId, item.quantity - 1)}
+                                        onClick={() => updateQuantity(item, item.quantity - 1)}
                                         style={quantityButtonStyle}
                                     >
                                         −
@@ -428,12 +430,12 @@ const CartPage = ({ updateCartCount }) => {
                                     <input
                                         type="number"
                                         value={item.quantity}
-                                        onChange={(e) => updateQuantity(item.productId, parseInt(e.target.value) || 1)}
+                                        onChange={(e) => updateQuantity(item, parseInt(e.target.value) || 1)}
                                         style={quantityInputStyle}
                                         min="1"
                                     />
                                     <button
-                                        onClick={() => updateQuantity(item.productId, item.quantity + 1)}
+                                        onClick={() => updateQuantity(item, item.quantity + 1)}
                                         style={quantityButtonStyle}
                                     >
                                         +
@@ -441,15 +443,15 @@ const CartPage = ({ updateCartCount }) => {
                                 </div>
 
                                 <button
-                                    onClick={() => removeItem(item.productId)}
+                                    onClick={() => removeItem(item)}
                                     style={removeButtonStyle}
-                                    title="Remove item"
+                                    title={t('cart.remove')}
                                 >
                                     ✕
                                 </button>
 
                                 <div style={totalPriceStyle}>
-                                    ${(parseFloat(item.price) * item.quantity).toFixed(2)}
+                                    {formatCurrency(parseFloat(item.price) * item.quantity)}
                                 </div>
                             </div>
                         ))}
@@ -457,21 +459,22 @@ const CartPage = ({ updateCartCount }) => {
 
                     {/* Order Summary */}
                     <div style={summaryStyle}>
-                        <h2 style={summaryTitleStyle}>Order Summary</h2>
+                        <h2 style={summaryTitleStyle}>{t('cart.summary')}</h2>
 
                         <div style={summaryRowStyle}>
-                            <span>Subtotal ({cartItems.length} items)</span>
-                            <span>${subtotal.toFixed(2)}</span>
+                            <span>{t('cart.subtotalItems', { count: formatNumber(cartItems.length) })}</span>
+                            <span>{formatCurrency(subtotal)}</span>
                         </div>
 
                         <div style={summaryRowStyle}>
-                            <span>Shipping</span>
-                            <span>{shipping === 0 ? 'Free' : `$${shipping.toFixed(2)}`}</span>
+                            <span>{t('common.shipping')}</span>
+                            <span>{shipping === 0 ? t('common.free') : formatCurrency(shipping)}</span>
                         </div>
 
+                        {/* VAT depends on each product's class and is worked out at checkout */}
                         <div style={summaryRowStyle}>
-                            <span>Tax</span>
-                            <span>${tax.toFixed(2)}</span>
+                            <span>{t('checkout.vat')}</span>
+                            <span>{t('cart.vatAtCheckout')}</span>
                         </div>
 
                         {shipping === 0 && (
@@ -481,7 +484,7 @@ const CartPage = ({ updateCartCount }) => {
                                 marginBottom: '0.75rem',
                                 fontWeight: '500'
                             }}>
-                                ✓ You qualify for free shipping!
+                                ✓ {t('cart.freeShippingQualified')}
                             </div>
                         )}
 
@@ -491,21 +494,21 @@ const CartPage = ({ updateCartCount }) => {
                                 color: '#d97706',
                                 marginBottom: '0.75rem'
                             }}>
-                                Add ${(50 - subtotal).toFixed(2)} more for free shipping
+                                {t('cart.freeShippingRemaining', { amount: formatCurrency(50 - subtotal) })}
                             </div>
                         )}
 
                         <div style={summaryTotalStyle}>
-                            <span>Total</span>
-                            <span>${total.toFixed(2)}</span>
+                            <span>{t('common.total')}</span>
+                            <span>{formatCurrency(total)}</span>
                         </div>
 
                         <button onClick={handleCheckout} style={checkoutButtonStyle}>
-                            Proceed to Checkout
+                            {t('cart.checkout')}
                         </button>
 
                         <Link to="/products" style={continueShoppingStyle}>
-                            Continue Shopping
+                            {t('cart.continueShopping')}
                         </Link>
 
                         <div style={{
@@ -514,9 +517,9 @@ const CartPage = ({ updateCartCount }) => {
                             marginTop: '1rem',
                             textAlign: 'center'
                         }}>
-                            <p>✓ Secure checkout</p>
-                            <p>✓ 30-day return policy</p>
-                            <p>✓ Customer support</p>
+                            <p>✓ {t('cart.secureCheckout')}</p>
+                            <p>✓ {t('cart.returnPolicy')}</p>
+                            <p>✓ {t('cart.support')}</p>
                         </div>
                     </div>
                 </div>
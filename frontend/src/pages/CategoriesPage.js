@@ -2,8 +2,10 @@ import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import apiClient from '../api';
 import logger from '../logger';
+import { useI18n } from '../contexts/I18nContext';
 
 const CategoriesPage = () => {
+    const { t, formatNumber, localize } = useI18n();
     const [categories, setCategories] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
@@ -103,9 +105,8 @@ const CategoriesPage = () => {
                 categoryCount: mockCategories.length
             });
         } catch (err) {
-            const errorMessage = 'Failed to load categories';
-            setError(errorMessage);
-            logger.error(errorMessage, { error: err.message });
+            setError('categories.loadFailed');
+            logger.error('Failed to load categories', { error: err.message });
         } finally {
             setLoading(false);
         }
@@ -235,7 +236,7 @@ const CategoriesPage = () => {
         return (
             <div style={containerStyle}>
                 <div style={innerContainerStyle}>
-                    <div style={loadingStyle}>Loading categories...</div>
+                    <div style={loadingStyle}>{t('categories.loading')}</div>
                 </div>
             </div>
         );
@@ -246,9 +247,9 @@ const CategoriesPage = () => {
             <div style={containerStyle}>
                 <div style={innerContainerStyle}>
                     <div style={errorStyle}>
-                        <p>{error}</p>
+                        <p>{t(error)}</p>
                         <button onClick={loadCategories} style={buttonStyle}>
-                            Try Again
+                            {t('common.tryAgain')}
                         </button>
                     </div>
                 </div>
@@ -260,10 +261,9 @@ const CategoriesPage = () => {
         <div style={containerStyle}>
             <div style={innerContainerStyle}>
                 <div style={headerStyle}>
-                    <h1 style={titleStyle}>Shop by Category</h1>
+                    <h1 style={titleStyle}>{t('categories.title')}</h1>
                     <p style={subtitleStyle}>
-                        Explore our wide range of product categories and find exactly what you're looking for.
-                        From electronics to fashion, we have everything you need.
+                        {t('categories.subtitle')}
                     </p>
                 </div>
 
@@ -271,7 +271,7 @@ const CategoriesPage = () => {
                     {categories.map((category) => (
                         <Link
                             key={category.id}
-                            to={`/products?category=${category.id}`}
+                            to={`/products?category=${category.slug}`}
                             style={cardStyle}
                             onMouseEnter={(e) => {
                                 e.currentTarget.style.transform = 'translateY(-4px)';
@@ -286,7 +286,7 @@ const CategoriesPage = () => {
                                 {category.image ? (
                                     <img
                                         src={category.image}
-                                        alt={category.name}
+                                        alt={localize(category, 'name')}
                                         style={{
                                             width: '100%',
                                             height: '100%',
@@ -299,15 +299,15 @@ const CategoriesPage = () => {
                             </div>
 
                             <div style={contentStyle}>
-                                <h2 style={categoryNameStyle}>{category.name}</h2>
-                                <p style={descriptionStyle}>{category.description}</p>
+                                <h2 style={categoryNameStyle}>{localize(category, 'name')}</h2>
+                                <p style={descriptionStyle}>{localize(category, 'description')}</p>
 
                                 <div style={footerStyle}>
                                     <span style={productCountStyle}>
-                                        {category.productCount} products
+                                        {t('categories.productCount', { count: formatNumber(category.productCount) })}
                                     </span>
                                     <span style={arrowStyle}>
-                                        Explore →
+                                        {t('showcase.explore')} →
                                     </span>
                                 </div>
                             </div>
@@ -318,9 +318,9 @@ const CategoriesPage = () => {
                 {/* Featured Categories Section */}
                 <div style={{ marginTop: '4rem' }}>
                     <div style={headerStyle}>
-                        <h2 style={{ ...titleStyle, fontSize: '2rem' }}>Popular This Week</h2>
+                        <h2 style={{ ...titleStyle, fontSize: '2rem' }}>{t('categories.popular')}</h2>
                         <p style={subtitleStyle}>
-                            Check out the most popular categories this week
+                            {t('categories.popularSubtitle')}
                         </p>
                     </div>
 
@@ -332,7 +332,7 @@ const CategoriesPage = () => {
                         {categories.slice(0, 4).map((category) => (
                             <Link
                                 key={`popular-${category.id}`}
-                                to={`/products?category=${category.id}`}
+                                to={`/products?category=${category.slug}`}
                                 style={{
                                     ...cardStyle,
                                     backgroundColor: 'white',
@@ -363,14 +363,14 @@ const CategoriesPage = () => {
                                         color: '#111827',
                                         marginBottom: '0.25rem'
                                     }}>
-                                        {category.name}
+                                        {localize(category, 'name')}
                                     </h3>
                                     <p style={{
                                         fontSize: '0.875rem',
                                         color: '#6b7280',
                                         margin: 0
                                     }}>
-                                        {category.productCount} items
+                                        {t('categories.itemCount', { count: formatNumber(category.productCount) })}
                                     </p>
                                 </div>
                             </Link>
@@ -2,8 +2,10 @@ import React, { useState, useEffect } from 'react';
 import { useNavigate } from 'react-router-dom';
 import apiClient from '../api';
 import logger from '../logger';
+import { useI18n } from '../contexts/I18nContext';
 
 const CheckoutPage = () => {
+    const { t, formatCurrency, formatNumber } = useI18n();
     const navigate = useNavigate();
     const [cartItems, setCartItems] = useState([]);
     const [loading, setLoading] = useState(false);
@@ -15,10 +17,10 @@ const CheckoutPage = () => {
         email: '',
         phone: '',
         address: '',
-        city: '',
-        state: '',
-        zipCode: '',
-        country: 'United States',
+        division: '',
+        district: '',
+        thana: '',
+        postalCode: '',
 
         // Payment Information
         cardNumber: '',
@@ -30,12 +32,55 @@ const CheckoutPage = () => {
         orderNotes: ''
     });
     const [errors, setErrors] = useState({});
+    const [savedAddresses, setSavedAddresses] = useState([]);
+    const [selectedAddressId, setSelectedAddressId] = useState(null);
+    const [saveAddress, setSaveAddress] = useState(true);
+    const [locations, setLocations] = useState({});
+    const [shippingQuote, setShippingQuote] = useState(null);
 
     useEffect(() => {
         loadCartItems();
         loadUserData();
+        loadAddressBook();
     }, []);
 
+    // Re-quote the delivery fee whenever the destination or the cart changes
+    useEffect(() => {
+        if (cartItems.length === 0 || !formData.district) {
+            setShippingQuote(null);
+            return;
+        }
+
+        let cancelled = false;
+        apiClient.post('/shipping/quote', {
+            items: cartItems.map(item => ({ productId: item.productId, variantId: item.variantId || null, quantity: item.quantity })),
+            shippingAddress: {
+                division: formData.division || undefined,
+                district: formData.district,
+                thana: formData.thana || undefined
+            }
+        })
+            .then(response => {
+                if (!cancelled) {
+                    setShippingQuote(response.data.data.quote);
+                }
+            })
+            .catch(error => {
+                logger.error('Failed to quote shipping', { error: error.message });
+                if (!cancelled) {
+                    setShippingQuote(null);
+                }
+            });
+
+        return () => {
+            cancelled = true;
+        };
+    }, [cartItems, formData.division, formData.district, formData.thana]);
+
+    const getAuthHeaders = () => ({
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
+    });
+
     const loadCartItems = () => {
         try {
             const cartData = localStorage.getItem('cart');
@@ -73,12 +118,74 @@ const CheckoutPage = () => {
         }
     };
 
-    const handleInputChange = (e) => {
-        const { name, value } = e.target;
+    const loadAddressBook = async () => {
+        try {
+            const locationResponse = await apiClient.get('/auth/addresses/locations');
+            setLocations(locationResponse.data.data.locations);
+
+            if (!localStorage.getItem('authToken')) {
+                return;
+            }
+
+            const response = await apiClient.get('/auth/addresses', getAuthHeaders());
+            const addresses = response.data.data.addresses;
+            setSavedAddresses(addresses);
+
+            const defaultAddress = addresses.find(address => address.is_default_shipping) || addresses[0];
+            if (defaultAddress) {
+                selectSavedAddress(defaultAddress);
+            }
+        } catch (error) {
+            logger.error('Failed to load address book', { error: error.message });
+        }
+    };
+
+    const selectSavedAddress = (address) => {
+        setSelectedAddressId(address.id);
         setFormData(prev => ({
             ...prev,
-            [name]: value
+            firstName: address.first_name,
+            lastName: address.last_name,
+            phone: address.phone,
+            address: address.address_line1 + (address.address_line2 ? `, ${address.address_line2}` : ''),
+            division: address.division,
+            district: address.district,
+            thana: address.thana,
+            postalCode: address.postal_code || ''
         }));
+        setErrors({});
+    };
+
+    const selectNewAddress = () => {
+        setSelectedAddressId(null);
+        setFormData(prev => ({
+            ...prev,
+            address: '',
+            division: '',
+            district: '',
+            thana: '',
+            postalCode: ''
+        }));
+    };
+
+    const handleInputChange = (e) => {
+        const { name, value } = e.target;
+        setFormData(prev => {
+            const next = {
+                ...prev,
+                [name]: value
+            };
+
+            // Changing a parent location invalidates the levels below it
+            if (name === 'division') {
+                next.district = '';
+                next.thana = '';
+            } else if (name === 'district') {
+                next.thana = '';
+            }
+
+            return next;
+        });
 
         // Clear error when user starts typing
         if (errors[name]) {
@@ -94,34 +201,65 @@ const CheckoutPage = () => {
 
         if (step === 1) {
             // Validate shipping information
-            if (!formData.firstName.trim()) newErrors.firstName = 'First name is required';
-            if (!formData.lastName.trim()) newErrors.lastName = 'Last name is required';
-            if (!formData.email.trim()) newErrors.email = 'Email is required';
-            else if (!/\S+@\S+\.\S+/.test(formData.email)) newErrors.email = 'Email is invalid';
-            if (!formData.address.trim()) newErrors.address = 'Address is required';
-            if (!formData.city.trim()) newErrors.city = 'City is required';
-            if (!formData.state.trim()) newErrors.state = 'State is required';
-            if (!formData.zipCode.trim()) newErrors.zipCode = 'ZIP code is required';
+            if (!formData.firstName.trim()) newErrors.firstName = t('checkout.firstNameRequired');
+            if (!formData.lastName.trim()) newErrors.lastName = t('checkout.lastNameRequired');
+            if (!formData.email.trim()) newErrors.email = t('checkout.emailRequired');
+            else if (!/\S+@\S+\.\S+/.test(formData.email)) newErrors.email = t('checkout.emailInvalid');
+            if (!selectedAddressId) {
+                if (!formData.phone.trim()) newErrors.phone = t('checkout.phoneRequired');
+                else if (!/^(\+88)?01[3-9]\d{8}$/.test(formData.phone.trim())) newErrors.phone = t('checkout.phoneInvalid');
+                if (!formData.address.trim()) newErrors.address = t('checkout.addressRequired');
+                if (!formData.division) newErrors.division = t('checkout.divisionRequired');
+                if (!formData.district) newErrors.district = t('checkout.districtRequired');
+                if (!formData.thana) newErrors.thana = t('checkout.thanaRequired');
+            }
         }
 
         if (step === 2) {
             // Validate payment information
-            if (!formData.cardNumber.trim()) newErrors.cardNumber = 'Card number is required';
-            else if (formData.cardNumber.replace(/\s/g, '').length < 16) newErrors.cardNumber = 'Card number is invalid';
-            if (!formData.expiryDate.trim()) newErrors.expiryDate = 'Expiry date is required';
-            if (!formData.cvv.trim()) newErrors.cvv = 'CVV is required';
-            else if (formData.cvv.length < 3) newErrors.cvv = 'CVV is invalid';
-            if (!formData.cardName.trim()) newErrors.cardName = 'Cardholder name is required';
+            if (!formData.cardNumber.trim()) newErrors.cardNumber = t('checkout.cardNumberRequired');
+            else if (formData.cardNumber.replace(/\s/g, '').length < 16) newErrors.cardNumber = t('checkout.cardNumberInvalid');
+            if (!formData.expiryDate.trim()) newErrors.expiryDate = t('checkout.expiryRequired');
+            if (!formData.cvv.trim()) newErrors.cvv = t('checkout.cvvRequired');
+            else if (formData.cvv.length < 3) newErrors.cvv = t('checkout.cvvInvalid');
+            if (!formData.cardName.trim()) newErrors.cardName = t('checkout.cardNameRequired');
         }
 
         setErrors(newErrors);
         return Object.keys(newErrors).length === 0;
     };
 
-    const handleNextStep = () => {
-        if (validateStep(currentStep)) {
-            setCurrentStep(currentStep + 1);
+    const handleNextStep = async () => {
+        if (!validateStep(currentStep)) {
+            return;
+        }
+
+        // Keep a newly entered address in the address book for next time
+        if (currentStep === 1 && !selectedAddressId && saveAddress && localStorage.getItem('authToken')) {
+            try {
+                const response = await apiClient.post('/auth/addresses', {
+                    firstName: formData.firstName,
+                    lastName: formData.lastName,
+                    phone: formData.phone.trim(),
+                    addressLine1: formData.address,
+                    division: formData.division,
+                    district: formData.district,
+                    thana: formData.thana,
+                    postalCode: formData.postalCode
+                }, getAuthHeaders());
+
+                const address = response.data.data.address;
+                setSavedAddresses(prev => [...prev, address]);
+                setSelectedAddressId(address.id);
+                logger.info('Checkout address saved to address book', { addressId: address.id });
+            } catch (error) {
+                logger.error('Failed to save checkout address', { error: error.message });
+                setErrors({ address: error.response?.data?.details?.[0]?.message || 'Could not save this address' });
+                return;
+            }
         }
+
+        setCurrentStep(currentStep + 1);
     };
 
     const handlePreviousStep = () => {
@@ -132,17 +270,23 @@ const CheckoutPage = () => {
         return cartItems.reduce((total, item) => total + (parseFloat(item.price) * item.quantity), 0);
     };
 
-    const calculateTax = (subtotal) => {
-        return subtotal * 0.08; // 8% tax
+    // VAT comes from the quote, worked out per product class on the server
+    const calculateTax = () => {
+        return shippingQuote ? shippingQuote.tax.amount : 0;
     };
 
+    const taxIncluded = () => !shippingQuote || shippingQuote.tax.pricesIncludeTax;
+
     const calculateShipping = (subtotal) => {
+        if (shippingQuote) {
+            return shippingQuote.shipping;
+        }
         return subtotal >= 50 ? 0 : 9.99; // Free shipping over $50
     };
 
     const calculateTotal = () => {
         const subtotal = calculateSubtotal();
-        const tax = calculateTax(subtotal);
+        const tax = taxIncluded() ? 0 : calculateTax();
         const shipping = calculateShipping(subtotal);
         return subtotal + tax + shipping;
     };
@@ -157,17 +301,22 @@ const CheckoutPage = () => {
         try {
             const orderData = {
                 items: cartItems,
-                shippingAddress: {
-                    firstName: formData.firstName,
-                    lastName: formData.lastName,
-                    email: formData.email,
-                    phone: formData.phone,
-                    address: formData.address,
-                    city: formData.city,
-                    state: formData.state,
-                    zipCode: formData.zipCode,
-                    country: formData.country
-                },
+                ...(selectedAddressId ? { shippingAddressId: selectedAddressId } : {
+                    shippingAddress: {
+                        firstName: formData.firstName,
+                        lastName: formData.lastName,
+                        phone: formData.phone,
+                        addressLine1: formData.address,
+                        thana: formData.thana,
+                        district: formData.district,
+                        division: formData.division,
+                        city: formData.district,
+                        state: formData.division,
+                        postalCode: formData.postalCode,
+                        country: 'Bangladesh'
+                    }
+                }),
+                email: formData.email,
                 paymentMethod: {
                     cardNumber: formData.cardNumber.replace(/\s/g, ''),
                     expiryDate: formData.expiryDate,
@@ -176,7 +325,7 @@ const CheckoutPage = () => {
                 },
                 orderNotes: formData.orderNotes,
                 subtotal: calculateSubtotal(),
-                tax: calculateTax(calculateSubtotal()),
+                tax: calculateTax(),
                 shipping: calculateShipping(calculateSubtotal()),
                 total: calculateTotal()
             };
@@ -207,7 +356,7 @@ const CheckoutPage = () => {
 
         } catch (error) {
             logger.error('Failed to place order', { error: error.message });
-            alert('Failed to place order. Please try again.');
+            alert(t('checkout.placeOrderFailed'));
         } finally {
             setLoading(false);
         }
@@ -236,6 +385,11 @@ const CheckoutPage = () => {
         }));
     };
 
+    const districts = formData.division ? Object.keys(locations[formData.division] || {}) : [];
+    const thanas = formData.division && formData.district
+        ? (locations[formData.division]?.[formData.district] || [])
+        : [];
+
     const containerStyle = {
         minHeight: '100vh',
         backgroundColor: '#f9fafb',
@@ -412,9 +566,9 @@ const CheckoutPage = () => {
             <div style={containerStyle}>
                 <div style={innerContainerStyle}>
                     <div style={{ textAlign: 'center', padding: '4rem' }}>
-                        <h2>Your cart is empty</h2>
+                        <h2>{t('cart.empty')}</h2>
                         <button onClick={() => navigate('/products')} style={buttonStyle}>
-                            Continue Shopping
+                            {t('cart.continueShopping')}
                         </button>
                     </div>
                 </div>
@@ -423,7 +577,7 @@ const CheckoutPage = () => {
     }
 
     const subtotal = calculateSubtotal();
-    const tax = calculateTax(subtotal);
+    const tax = calculateTax();
     const shipping = calculateShipping(subtotal);
     const total = calculateTotal();
 
@@ -431,23 +585,23 @@ const CheckoutPage = () => {
         <div style={containerStyle}>
             <div style={innerContainerStyle}>
                 <div style={headerStyle}>
-                    <h1 style={titleStyle}>Checkout</h1>
+                    <h1 style={titleStyle}>{t('checkout.title')}</h1>
 
                     {/* Step Indicator */}
                     <div style={stepIndicatorStyle}>
                         <div style={stepStyle(1)}>
                             <div style={stepCircleStyle(1)}>1</div>
-                            <span>Shipping</span>
+                            <span>{t('checkout.stepShipping')}</span>
                         </div>
                         <div style={{ margin: '0 1rem', color: '#d1d5db' }}>→</div>
                         <div style={stepStyle(2)}>
                             <div style={stepCircleStyle(2)}>2</div>
-                            <span>Payment</span>
+                            <span>{t('checkout.stepPayment')}</span>
                         </div>
                         <div style={{ margin: '0 1rem', color: '#d1d5db' }}>→</div>
                         <div style={stepStyle(3)}>
                             <div style={stepCircleStyle(3)}>3</div>
-                            <span>Review</span>
+                            <span>{t('checkout.stepReview')}</span>
                         </div>
                     </div>
                 </div>
@@ -457,11 +611,36 @@ const CheckoutPage = () => {
                     <div style={formSectionStyle}>
                         {currentStep === 1 && (
                             <div>
-                                <h2 style={sectionTitleStyle}>Shipping Information</h2>
+                                <h2 style={sectionTitleStyle}>{t('checkout.shippingInfo')}</h2>
+
+                                {savedAddresses.length > 0 && (
+                                    <div style={formGroupStyle}>
+                                        <label style={labelStyle}>{t('checkout.savedAddresses')}</label>
+                                        <select
+                                            value={selectedAddressId || ''}
+                                            onChange={(e) => {
+                                                const address = savedAddresses.find(addr => addr.id === parseInt(e.target.value));
+                                                if (address) {
+                                                    selectSavedAddress(address);
+                                                } else {
+                                                    selectNewAddress();
+                                                }
+                                            }}
+                                            style={inputStyle}
+                                        >
+                                            {savedAddresses.map(address => (
+                                                <option key={address.id} value={address.id}>
+                                                    {address.label ? `${address.label}: ` : ''}{address.address_line1}, {address.thana}, {address.district}
+                                                </option>
+                                            ))}
+                                            <option value="">{t('checkout.newAddress')}</option>
+                                        </select>
+                                    </div>
+                                )}
 
                                 <div style={formRowStyle}>
                                     <div style={formGroupStyle}>
-                                        <label style={labelStyle}>First Name *</label>
+                                        <label style={labelStyle}>{t('checkout.firstName')}</label>
                                         <input
                                             type="text"
                                             name="firstName"
@@ -473,7 +652,7 @@ const CheckoutPage = () => {
                                     </div>
 
                                     <div style={formGroupStyle}>
-                                        <label style={labelStyle}>Last Name *</label>
+                                        <label style={labelStyle}>{t('checkout.lastName')}</label>
                                         <input
                                             type="text"
                                             name="lastName"
@@ -487,7 +666,7 @@ const CheckoutPage = () => {
 
                                 <div style={formRowStyle}>
                                     <div style={formGroupStyle}>
-                                        <label style={labelStyle}>Email *</label>
+                                        <label style={labelStyle}>{t('checkout.email')}</label>
                                         <input
                                             type="email"
                                             name="email"
@@ -499,70 +678,122 @@ const CheckoutPage = () => {
                                     </div>
 
                                     <div style={formGroupStyle}>
-                                        <label style={labelStyle}>Phone</label>
+                                        <label style={labelStyle}>{t('checkout.phone')}</label>
                                         <input
                                             type="tel"
                                             name="phone"
                                             value={formData.phone}
                                             onChange={handleInputChange}
-                                            style={inputStyle}
+                                            disabled={!!selectedAddressId}
+                                            style={errors.phone ? errorInputStyle : inputStyle}
+                                            placeholder="01712345678"
                                         />
+                                        {errors.phone && <div style={errorTextStyle}>{errors.phone}</div>}
                                     </div>
                                 </div>
 
-                                <div style={formGroupStyle}>
-                                    <label style={labelStyle}>Address *</label>
-                                    <input
-                                        type="text"
-                                        name="address"
-                                        value={formData.address}
-                                        onChange={handleInputChange}
-                                        style={errors.address ? errorInputStyle : inputStyle}
-                                    />
-                                    {errors.address && <div style={errorTextStyle}>{errors.address}</div>}
-                                </div>
-
-                                <div style={formRowStyle}>
-                                    <div style={formGroupStyle}>
-                                        <label style={labelStyle}>City *</label>
-                                        <input
-                                            type="text"
-                                            name="city"
-                                            value={formData.city}
-                                            onChange={handleInputChange}
-                                            style={errors.city ? errorInputStyle : inputStyle}
-                                        />
-                                        {errors.city && <div style={errorTextStyle}>{errors.city}</div>}
-                                    </div>
-
-                                    <div style={formGroupStyle}>
-                                        <label style={labelStyle}>State *</label>
-                                        <input
-                                            type="text"
-                                            name="state"
-                                            value={formData.state}
-                                            onChange={handleInputChange}
-                                            style={errors.state ? errorInputStyle : inputStyle}
-                                        />
-                                        {errors.state && <div style={errorTextStyle}>{errors.state}</div>}
-                                    </div>
-
-                                    <div style={formGroupStyle}>
-                                        <label style={labelStyle}>ZIP Code *</label>
-                                        <input
-                                            type="text"
-                                            name="zipCode"
-                                            value={formData.zipCode}
-                                            onChange={handleInputChange}
-                                            style={errors.zipCode ? errorInputStyle : inputStyle}
-                                        />
-                                        {errors.zipCode && <div style={errorTextStyle}>{errors.zipCode}</div>}
+                                {selectedAddressId ? (
+                                    <div style={{ backgroundColor: '#f9fafb', padding: '1rem', borderRadius: '0.375rem' }}>
+                                        <p>{formData.address}</p>
+                                        <p>{formData.thana}, {formData.district}, {formData.division} {formData.postalCode}</p>
+                                        <p>{formData.phone}</p>
                                     </div>
-                                </div>
+                                ) : (
+                                    <>
+                                        <div style={formGroupStyle}>
+                                            <label style={labelStyle}>{t('checkout.address')}</label>
+                                            <input
+                                                type="text"
+                                                name="address"
+                                                value={formData.address}
+                                                onChange={handleInputChange}
+                                                style={errors.address ? errorInputStyle : inputStyle}
+                                                placeholder={t('checkout.addressPlaceholder')}
+                                            />
+                                            {errors.address && <div style={errorTextStyle}>{errors.address}</div>}
+                                        </div>
+
+                                        <div style={formRowStyle}>
+                                            <div style={formGroupStyle}>
+                                                <label style={labelStyle}>{t('checkout.division')}</label>
+                                                <select
+                                                    name="division"
+                                                    value={formData.division}
+                                                    onChange={handleInputChange}
+                                                    style={errors.division ? errorInputStyle : inputStyle}
+                                                >
+                                                    <option value="">{t('checkout.selectDivision')}</option>
+                                                    {Object.keys(locations).map(division => (
+                                                        <option key={division} value={division}>{division}</option>
+                                                    ))}
+                                                </select>
+                                                {errors.division && <div style={errorTextStyle}>{errors.division}</div>}
+                                            </div>
+
+                                            <div style={formGroupStyle}>
+                                                <label style={labelStyle}>{t('checkout.district')}</label>
+                                                <select
+                                                    name="district"
+                                                    value={formData.district}
+                                                    onChange={handleInputChange}
+                                                    disabled={!formData.division}
+                                                    style={errors.district ? errorInputStyle : inputStyle}
+                                                >
+                                                    <option value="">{t('checkout.selectDistrict')}</option>
+                                                    {districts.map(district => (
+                                                        <option key={district} value={district}>{district}</option>
+                                                    ))}
+                                                </select>
+                                                {errors.district && <div style={errorTextStyle}>{errors.district}</div>}
+                                            </div>
+                                        </div>
+
+                                        <div style={formRowStyle}>
+                                            <div style={formGroupStyle}>
+                                                <label style={labelStyle}>{t('checkout.thana')}</label>
+                                                <select
+                                                    name="thana"
+                                                    value={formData.thana}
+                                                    onChange={handleInputChange}
+                                                    disabled={!formData.district}
+                                                    style={errors.thana ? errorInputStyle : inputStyle}
+                                                >
+                                                    <option value="">{t('checkout.selectThana')}</option>
+                                                    {thanas.map(thana => (
+                                                        <option key={thana} value={thana}>{thana}</option>
+                                                    ))}
+                                                </select>
+                                                {errors.thana && <div style={errorTextStyle}>{errors.thana}</div>}
+                                            </div>
+
+                                            <div style={formGroupStyle}>
+                                                <label style={labelStyle}>{t('checkout.postalCode')}</label>
+                                                <input
+                                                    type="text"
+                                                    name="postalCode"
+                                                    value={formData.postalCode}
+                                                    onChange={handleInputChange}
+                                                    style={inputStyle}
+                                                />
+                                            </div>
+                                        </div>
+
+                                        {localStorage.getItem('authToken') && (
+                                            <label style={{ display: 'flex', alignItems: 'center', gap: '0.5rem', fontSize: '0.875rem' }}>
+                                                <input
+                                                    type="checkbox"
+                                                    checked={saveAddress}
+                                                    onChange={(e) => setSaveAddress(e.target.checked)}
+                                                />
+                                                {t('checkout.saveAddress')}
+                                            </label>
+                                        )}
+                                    </>
+                                )}
 
                                 <div style={{ display: 'flex', justifyContent: 'flex-end', marginTop: '2rem' }}>
                                     <button onClick={handleNextStep} style={buttonStyle}>
-                                        Continue to Payment
+                                        {t('checkout.continueToPayment')}
                                     </button>
                                 </div>
                             </div>
@@ -570,10 +801,10 @@ const CheckoutPage = () => {
 
                         {currentStep === 2 && (
                             <div>
-                                <h2 style={sectionTitleStyle}>Payment Information</h2>
+                                <h2 style={sectionTitleStyle}>{t('checkout.paymentInfo')}</h2>
 
                                 <div style={formGroupStyle}>
-                                    <label style={labelStyle}>Card Number *</label>
+                                    <label style={labelStyle}>{t('checkout.cardNumber')}</label>
                                     <input
                                         type="text"
                                         name="cardNumber"
@@ -588,7 +819,7 @@ const CheckoutPage = () => {
 
                                 <div style={formRowStyle}>
                                     <div style={formGroupStyle}>
-                                        <label style={labelStyle}>Expiry Date *</label>
+                                        <label style={labelStyle}>{t('checkout.expiryDate')}</label>
                                         <input
                                             type="text"
                                             name="expiryDate"
@@ -602,7 +833,7 @@ const CheckoutPage = () => {
                                     </div>
 
                                     <div style={formGroupStyle}>
-                                        <label style={labelStyle}>CVV *</label>
+                                        <label style={labelStyle}>{t('checkout.cvv')}</label>
                                         <input
                                             type="text"
                                             name="cvv"
@@ -617,7 +848,7 @@ const CheckoutPage = () => {
                                 </div>
 
                                 <div style={formGroupStyle}>
-                                    <label style={labelStyle}>Cardholder Name *</label>
+                                    <label style={labelStyle}>{t('checkout.cardName')}</label>
                                     <input
                                         type="text"
                                         name="cardName"
@@ -629,23 +860,23 @@ const CheckoutPage = () => {
                                 </div>
 
                                 <div style={formGroupStyle}>
-                                    <label style={labelStyle}>Order Notes (Optional)</label>
+                                    <label style={labelStyle}>{t('checkout.orderNotes')}</label>
                                     <textarea
                                         name="orderNotes"
                                         value={formData.orderNotes}
                                         onChange={handleInputChange}
                                         rows="3"
                                         style={{ ...inputStyle, resize: 'vertical' }}
-                                        placeholder="Any special instructions for your order..."
+                                        placeholder={t('checkout.orderNotesPlaceholder')}
                                     />
                                 </div>
 
                                 <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '2rem' }}>
                                     <button onClick={handlePreviousStep} style={secondaryButtonStyle}>
-                                        Back to Shipping
+                                        {t('checkout.backToShipping')}
                                     </button>
                                     <button onClick={handleNextStep} style={buttonStyle}>
-                                        Review Order
+                                        {t('checkout.reviewOrder')}
                                     </button>
                                 </div>
                             </div>
@@ -653,16 +884,16 @@ const CheckoutPage = () => {
 
                         {currentStep === 3 && (
                             <div>
-                                <h2 style={sectionTitleStyle}>Review Your Order</h2>
+                                <h2 style={sectionTitleStyle}>{t('checkout.reviewTitle')}</h2>
 
                                 <div style={{ marginBottom: '2rem' }}>
                                     <h3 style={{ fontSize: '1rem', fontWeight: '600', marginBottom: '1rem' }}>
-                                        Shipping Address
+                                        {t('checkout.shippingAddress')}
                                     </h3>
                                     <div style={{ backgroundColor: '#f9fafb', padding: '1rem', borderRadius: '0.375rem' }}>
                                         <p>{formData.firstName} {formData.lastName}</p>
                                         <p>{formData.address}</p>
-                                        <p>{formData.city}, {formData.state} {formData.zipCode}</p>
+                                        <p>{formData.thana}, {formData.district}, {formData.division} {formData.postalCode}</p>
                                         <p>{formData.email}</p>
                                         {formData.phone && <p>{formData.phone}</p>}
                                     </div>
@@ -670,7 +901,7 @@ const CheckoutPage = () => {
 
                                 <div style={{ marginBottom: '2rem' }}>
                                     <h3 style={{ fontSize: '1rem', fontWeight: '600', marginBottom: '1rem' }}>
-                                        Payment Method
+                                        {t('checkout.paymentMethod')}
                                     </h3>
                                     <div style={{ backgroundColor: '#f9fafb', padding: '1rem', borderRadius: '0.375rem' }}>
                                         <p>**** **** **** {formData.cardNumber.slice(-4)}</p>
@@ -680,7 +911,7 @@ const CheckoutPage = () => {
 
                                 <div style={{ display: 'flex', justifyContent: 'space-between', marginTop: '2rem' }}>
                                     <button onClick={handlePreviousStep} style={secondaryButtonStyle}>
-                                        Back to Payment
+                                        {t('checkout.backToPayment')}
                                     </button>
                                     <button
                                         onClick={handlePlaceOrder}
@@ -691,7 +922,7 @@ const CheckoutPage = () => {
                                             cursor: loading ? 'not-allowed' : 'pointer'
                                         }}
                                     >
-                                        {loading ? 'Placing Order...' : 'Place Order'}
+                                        {loading ? t('checkout.placingOrder') : t('checkout.placeOrder')}
                                     </button>
                                 </div>
                             </div>
@@ -700,10 +931,10 @@ const CheckoutPage = () => {
 
                     {/* Order Summary */}
                     <div style={summaryStyle}>
-                        <h2 style={sectionTitleStyle}>Order Summary</h2>
+                        <h2 style={sectionTitleStyle}>{t('cart.summary')}</h2>
 
                         {cartItems.map((item) => (
-                            <div key={item.productId} style={summaryItemStyle}>
+                            <div key={`${item.productId}:${item.variantId || ''}`} style={summaryItemStyle}>
                                 <div style={itemImageStyle}>
                                     {item.image ? (
                                         <img
@@ -719,35 +950,40 @@ const CheckoutPage = () => {
                                     <h4 style={{ fontSize: '0.875rem', fontWeight: '600', margin: '0 0 0.25rem 0' }}>
                                         {item.name}
                                     </h4>
+                                    {item.variantTitle && (
+                                        <p style={{ fontSize: '0.75rem', color: '#374151', margin: '0 0 0.25rem 0' }}>
+                                            {item.variantTitle}
+                                        </p>
+                                    )}
                                     <p style={{ fontSize: '0.75rem', color: '#6b7280', margin: 0 }}>
-                                        Qty: {item.quantity} × ${parseFloat(item.price).toFixed(2)}
+                                        {t('orders.quantityPrice', { quantity: formatNumber(item.quantity), price: formatCurrency(item.price) })}
                                     </p>
                                 </div>
                                 <div style={{ fontSize: '0.875rem', fontWeight: '600' }}>
-                                    ${(parseFloat(item.price) * item.quantity).toFixed(2)}
+                                    {formatCurrency(parseFloat(item.price) * item.quantity)}
                                 </div>
                             </div>
                         ))}
 
                         <div style={{ marginTop: '1rem' }}>
                             <div style={summaryRowStyle}>
-                                <span>Subtotal</span>
-                                <span>${subtotal.toFixed(2)}</span>
+                                <span>{t('common.subtotal')}</span>
+                                <span>{formatCurrency(subtotal)}</span>
                             </div>
 
                             <div style={summaryRowStyle}>
-                                <span>Shipping</span>
-                                <span>{shipping === 0 ? 'Free' : `$${shipping.toFixed(2)}`}</span>
+                                <span>{t('common.shipping')}{shippingQuote ? ` (${shippingQuote.zone.name})` : ''}</span>
+                                <span>{shipping === 0 ? t('common.free') : formatCurrency(shipping)}</span>
                             </div>
 
                             <div style={summaryRowStyle}>
-                                <span>Tax</span>
-                                <span>${tax.toFixed(2)}</span>
+                                <span>{taxIncluded() ? t('checkout.vatIncluded') : t('checkout.vat')}</span>
+                                <span>{formatCurrency(tax)}</span>
                             </div>
 
                             <div style={summaryTotalStyle}>
-                                <span>Total</span>
-                                <span>${total.toFixed(2)}</span>
+                                <span>{t('common.total')}</span>
+                                <span>{formatCurrency(total)}</span>
                             </div>
                         </div>
 
@@ -757,8 +993,8 @@ const CheckoutPage = () => {
                             marginTop: '1rem',
                             textAlign: 'center'
                         }}>
-                            <p>✓ Secure SSL encryption</p>
-                            <p>✓ 30-day money-back guarantee</p>
+                            <p>✓ {t('checkout.secureSsl')}</p>
+                            <p>✓ {t('checkout.moneyBack')}</p>
                         </div>
                     </div>
                 </div>
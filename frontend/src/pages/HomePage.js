@@ -2,8 +2,11 @@ import React from 'react';
 import HeroSection from '../components/home/HeroSection';
 import FeaturedProducts from '../components/home/FeaturedProducts';
 import CategoryShowcase from '../components/home/CategoryShowcase';
+import { useI18n } from '../contexts/I18nContext';
 
 const HomePage = () => {
+    const { t, formatCurrency } = useI18n();
+
     const sectionStyle = {
         padding: '4rem 0',
         backgroundColor: '#f9fafb'
@@ -123,9 +126,9 @@ const HomePage = () => {
             <section style={sectionStyle}>
                 <div style={containerStyle}>
                     <div style={headerStyle}>
-                        <h2 style={titleStyle}>Why Choose DhakaCart?</h2>
+                        <h2 style={titleStyle}>{t('home.whyTitle')}</h2>
                         <p style={subtitleStyle}>
-                            We're committed to providing the best shopping experience
+                            {t('home.whySubtitle')}
                         </p>
                     </div>
 
@@ -134,9 +137,9 @@ const HomePage = () => {
                             <div style={{ ...iconStyle, backgroundColor: '#3b82f6', color: 'white' }}>
                                 🚚
                             </div>
-                            <h3 style={featureTitleStyle}>Fast Delivery</h3>
+                            <h3 style={featureTitleStyle}>{t('home.fastDelivery')}</h3>
                             <p style={featureDescStyle}>
-                                Free shipping on orders over $50. Same-day delivery available in select areas.
+                                {t('home.fastDeliveryText', { amount: formatCurrency(50) })}
                             </p>
                         </div>
 
@@ -144,9 +147,9 @@ const HomePage = () => {
                             <div style={{ ...iconStyle, backgroundColor: '#10b981', color: 'white' }}>
                                 🔒
                             </div>
-                            <h3 style={featureTitleStyle}>Secure Payment</h3>
+                            <h3 style={featureTitleStyle}>{t('home.securePayment')}</h3>
                             <p style={featureDescStyle}>
-                                Your payment information is encrypted and secure with industry-standard protection.
+                                {t('home.securePaymentText')}
                             </p>
                         </div>
 
@@ -154,9 +157,9 @@ const HomePage = () => {
                             <div style={{ ...iconStyle, backgroundColor: '#8b5cf6', color: 'white' }}>
                                 ↩️
                             </div>
-                            <h3 style={featureTitleStyle}>Easy Returns</h3>
+                            <h3 style={featureTitleStyle}>{t('home.easyReturns')}</h3>
                             <p style={featureDescStyle}>
-                                30-day return policy. No questions asked if you're not completely satisfied.
+                                {t('home.easyReturnsText')}
                             </p>
                         </div>
 
@@ -164,9 +167,9 @@ const HomePage = () => {
                             <div style={{ ...iconStyle, backgroundColor: '#f97316', color: 'white' }}>
                                 🎧
                             </div>
-                            <h3 style={featureTitleStyle}>24/7 Support</h3>
+                            <h3 style={featureTitleStyle}>{t('home.support')}</h3>
                             <p style={featureDescStyle}>
-                                Our customer service team is available around the clock to help you.
+                                {t('home.supportText')}
                             </p>
                         </div>
                     </div>
@@ -177,19 +180,19 @@ const HomePage = () => {
             <section style={newsletterStyle}>
                 <div style={containerStyle}>
                     <div style={newsletterHeaderStyle}>
-                        <h2 style={newsletterTitleStyle}>Stay Updated</h2>
+                        <h2 style={newsletterTitleStyle}>{t('home.newsletterTitle')}</h2>
                         <p style={newsletterSubtitleStyle}>
-                            Subscribe to our newsletter for exclusive deals and new product announcements
+                            {t('home.newsletterSubtitle')}
                         </p>
                     </div>
                     <div style={formStyle}>
                         <input
                             type="email"
-                            placeholder="Enter your email"
+                            placeholder={t('home.emailPlaceholder')}
                             style={inputStyle}
                         />
                         <button style={buttonStyle}>
-                            Subscribe
+                            {t('home.subscribe')}
                         </button>
                     </div>
                 </div>
@@ -2,8 +2,10 @@ import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import apiClient from '../api';
 import logger from '../logger';
+import { useI18n } from '../contexts/I18nContext';
 
 const LoginPage = ({ onLogin }) => {
+    const { t, setLocale } = useI18n();
     const [formData, setFormData] = useState({
         email: '',
         password: ''
@@ -19,6 +21,32 @@ const LoginPage = ({ onLogin }) => {
         });
     };
 
+    // One-time import of a wishlist saved in this browser before wishlists moved to the server
+    const mergeLocalWishlist = async (token) => {
+        const wishlistData = localStorage.getItem('wishlist');
+        if (!wishlistData) {
+            return;
+        }
+
+        try {
+            const productIds = JSON.parse(wishlistData).map(item => Number(item.id)).filter(Boolean);
+
+            if (productIds.length > 0) {
+                await apiClient.post('/wishlist/merge', { productIds }, {
+                    headers: {
+                        'Authorization': `Bearer ${token}`
+                    }
+                });
+            }
+
+            localStorage.removeItem('wishlist');
+            logger.info('Local wishlist merged', { itemCount: productIds.length });
+        } catch (err) {
+            // Keep the local copy so the merge is retried on the next login
+            logger.error('Failed to merge local wishlist', { error: err.message });
+        }
+    };
+
     const handleSubmit = async (e) => {
         e.preventDefault();
         setLoading(true);
@@ -38,6 +66,13 @@ const LoginPage = ({ onLogin }) => {
             localStorage.setItem('authToken', token);
             localStorage.setItem('user', JSON.stringify(user));
 
+            await mergeLocalWishlist(token);
+
+            // Switch the storefront to the language saved on the profile
+            if (user.locale) {
+                setLocale(user.locale, { save: false });
+            }
+
             logger.info('User login successful', { userId: user.id, email: user.email });
 
             // Call parent component's onLogin if provided
@@ -49,7 +84,7 @@ const LoginPage = ({ onLogin }) => {
             navigate('/');
 
         } catch (err) {
-            const errorMessage = err.message || 'Login failed';
+            const errorMessage = err.message || t('auth.loginFailed');
             setError(errorMessage);
             logger.error('User login failed', {
                 email: formData.email,
@@ -184,7 +219,7 @@ const LoginPage = ({ onLogin }) => {
     return (
         <div style={containerStyle}>
             <div style={cardStyle}>
-                <h1 style={titleStyle}>Sign In to DhakaCart</h1>
+                <h1 style={titleStyle}>{t('auth.signInTitle')}</h1>
 
                 {error && (
                     <div style={errorStyle}>
@@ -195,7 +230,7 @@ const LoginPage = ({ onLogin }) => {
                 <form onSubmit={handleSubmit} style={formStyle}>
                     <div>
                         <label htmlFor="email" style={labelStyle}>
-                            Email Address
+                            {t('account.email')}
                         </label>
                         <input
                             type="email"
@@ -205,13 +240,13 @@ const LoginPage = ({ onLogin }) => {
                             onChange={handleChange}
                             required
                             style={inputStyle}
-                            placeholder="Enter your email"
+                            placeholder={t('auth.emailPlaceholder')}
                         />
                     </div>
 
                     <div>
                         <label htmlFor="password" style={labelStyle}>
-                            Password
+                            {t('auth.password')}
                         </label>
                         <input
                             type="password"
@@ -221,7 +256,7 @@ const LoginPage = ({ onLogin }) => {
                             onChange={handleChange}
                             required
                             style={inputStyle}
-                            placeholder="Enter your password"
+                            placeholder={t('auth.passwordPlaceholder')}
                         />
                     </div>
 
@@ -230,34 +265,34 @@ const LoginPage = ({ onLogin }) => {
                         disabled={loading}
                         style={buttonStyle}
                     >
-                        {loading ? 'Signing In...' : 'Sign In'}
+                        {loading ? t('auth.signingIn') : t('auth.signIn')}
                     </button>
                 </form>
 
                 <div style={dividerStyle}>
                     <div style={dividerLineStyle}></div>
-                    <span style={dividerTextStyle}>Or continue with</span>
+                    <span style={dividerTextStyle}>{t('auth.orContinueWith')}</span>
                 </div>
 
                 <button style={socialButtonStyle}>
                     <span>🔵</span>
-                    Continue with Google
+                    {t('auth.continueWith', { provider: 'Google' })}
                 </button>
 
                 <button style={socialButtonStyle}>
                     <span>📘</span>
-                    Continue with Facebook
+                    {t('auth.continueWith', { provider: 'Facebook' })}
                 </button>
 
                 <div style={linkContainerStyle}>
                     <p style={{ color: '#6b7280', margin: '0 0 0.5rem 0' }}>
-                        Don't have an account?{' '}
+                        {t('auth.noAccount')}{' '}
                         <Link to="/register" style={linkStyle}>
-                            Sign up here
+                            {t('auth.signUpHere')}
                         </Link>
                     </p>
                     <Link to="/forgot-password" style={linkStyle}>
-                        Forgot your password?
+                        {t('auth.forgotPassword')}
                     </Link>
                 </div>
             </div>
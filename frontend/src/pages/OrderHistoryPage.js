@@ -2,11 +2,15 @@ import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import apiClient from '../api';
 import logger from '../logger';
+import { useI18n } from '../contexts/I18nContext';
 
 const OrderHistoryPage = () => {
+    const { t, formatCurrency, formatNumber, formatDate } = useI18n();
     const [orders, setOrders] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    const [downloadingInvoice, setDownloadingInvoice] = useState(null);
+    const [invoiceError, setInvoiceError] = useState(null);
     const navigate = useNavigate();
 
     useEffect(() => {
@@ -24,85 +28,62 @@ const OrderHistoryPage = () => {
             setLoading(true);
             setError(null);
 
-            // In a real app, this would fetch from the backend
-            // const response = await apiClient.get('/orders');
-            // setOrders(response.data.data || []);
-
-            // For now, simulate with localStorage data
-            const mockOrders = [
-                {
-                    id: 'ORD-1234567890',
-                    date: '2024-12-30',
-                    status: 'delivered',
-                    total: 89.97,
-                    items: [
-                        { name: 'Wireless Headphones', quantity: 1, price: 59.99 },
-                        { name: 'Phone Case', quantity: 2, price: 14.99 }
-                    ],
-                    shippingAddress: {
-                        firstName: 'John',
-                        lastName: 'Doe',
-                        address: '123 Main St',
-                        city: 'New York',
-                        state: 'NY',
-                        zipCode: '10001'
-                    }
-                },
-                {
-                    id: 'ORD-1234567891',
-                    date: '2024-12-28',
-                    status: 'shipped',
-                    total: 149.99,
-                    items: [
-                        { name: 'Laptop Stand', quantity: 1, price: 149.99 }
-                    ],
-                    trackingNumber: 'TRK123456789',
-                    shippingAddress: {
-                        firstName: 'John',
-                        lastName: 'Doe',
-                        address: '123 Main St',
-                        city: 'New York',
-                        state: 'NY',
-                        zipCode: '10001'
-                    }
-                },
-                {
-                    id: 'ORD-1234567892',
-                    date: '2024-12-25',
-                    status: 'processing',
-                    total: 299.99,
-                    items: [
-                        { name: 'Gaming Mouse', quantity: 1, price: 79.99 },
-                        { name: 'Mechanical Keyboard', quantity: 1, price: 220.00 }
-                    ],
-                    shippingAddress: {
-                        firstName: 'John',
-                        lastName: 'Doe',
-                        address: '123 Main St',
-                        city: 'New York',
-                        state: 'NY',
-                        zipCode: '10001'
-                    }
-                }
-            ];
-
-            setOrders(mockOrders);
-            logger.info('Orders loaded successfully', { orderCount: mockOrders.length });
+            const headers = { 'Authorization': `Bearer ${token}` };
+            const response = await apiClient.get('/cart/orders', { headers });
+
+            // The list has no items; each order's details carry them
+            const details = await Promise.all(response.data.data.orders.map(order =>
+                apiClient.get(`/cart/orders/${order.id}`, { headers })
+            ));
+
+            const loadedOrders = details.map(({ data }) => {
+                const order = data.data.order;
+                return {
+                    id: order.id,
+                    orderNumber: order.order_number,
+                    date: order.created_at,
+                    status: order.status,
+                    total: Number(order.total_amount),
+                    items: order.items.map(item => ({
+                        name: item.variant_label ? `${item.product_name} (${item.variant_label})` : item.product_name,
+                        quantity: item.quantity,
+                        price: Number(item.unit_price)
+                    }))
+                };
+            });
+
+            setOrders(loadedOrders);
+            logger.info('Orders loaded successfully', { orderCount: loadedOrders.length });
 
         } catch (err) {
-            const errorMessage = 'Failed to load orders';
-            setError(errorMessage);
-            logger.error(errorMessage, { error: err.message });
+            setError('orders.loadFailed');
+            logger.error('Failed to load orders', { error: err.message });
         } finally {
             setLoading(false);
         }
     };
 
+    const downloadInvoice = async (order) => {
+        setDownloadingInvoice(order.id);
+        setInvoiceError(null);
+        try {
+            await apiClient.download(`/cart/orders/${order.id}/invoice`, `invoice-${order.orderNumber}.pdf`, {
+                headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
+            });
+        } catch (err) {
+            setInvoiceError(order.id);
+            logger.error('Invoice download failed', { error: err.message, orderId: order.id });
+        } finally {
+            setDownloadingInvoice(null);
+        }
+    };
+
     const getStatusColor = (status) => {
         switch (status) {
             case 'delivered':
                 return '#059669';
             case 'shipped':
+            case 'partially_shipped':
                 return '#2563eb';
             case 'processing':
                 return '#d97706';
@@ -116,15 +97,13 @@ const OrderHistoryPage = () => {
     const getStatusText = (status) => {
         switch (status) {
             case 'delivered':
-                return 'Delivered';
             case 'shipped':
-                return 'Shipped';
+            case 'partially_shipped':
             case 'processing':
-                return 'Processing';
             case 'cancelled':
-                return 'Cancelled';
+                return t(`orderStatus.${status}`);
             default:
-                return 'Unknown';
+                return t('orderStatus.unknown');
         }
     };
 
@@ -289,7 +268,7 @@ const OrderHistoryPage = () => {
             <div style={containerStyle}>
                 <div style={innerContainerStyle}>
                     <div style={{ textAlign: 'center', padding: '4rem' }}>
-                        <h2>Loading orders...</h2>
+                        <h2>{t('orders.loading')}</h2>
                     </div>
                 </div>
             </div>
@@ -301,9 +280,9 @@ const OrderHistoryPage = () => {
             <div style={containerStyle}>
                 <div style={innerContainerStyle}>
                     <div style={{ textAlign: 'center', padding: '4rem' }}>
-                        <h2 style={{ color: '#dc2626' }}>{error}</h2>
+                        <h2 style={{ color: '#dc2626' }}>{t(error)}</h2>
                         <button onClick={loadOrders} style={actionButtonStyle}>
-                            Try Again
+                            {t('common.tryAgain')}
                         </button>
                     </div>
                 </div>
@@ -315,21 +294,21 @@ const OrderHistoryPage = () => {
         <div style={containerStyle}>
             <div style={innerContainerStyle}>
                 <div style={headerStyle}>
-                    <h1 style={titleStyle}>Order History</h1>
+                    <h1 style={titleStyle}>{t('orders.title')}</h1>
                     <p style={subtitleStyle}>
-                        Track your orders and view purchase history
+                        {t('orders.subtitle')}
                     </p>
                 </div>
 
                 {orders.length === 0 ? (
                     <div style={emptyStateStyle}>
                         <div style={emptyIconStyle}>📦</div>
-                        <h2 style={emptyTitleStyle}>No orders yet</h2>
+                        <h2 style={emptyTitleStyle}>{t('orders.empty')}</h2>
                         <p style={emptyDescStyle}>
-                            You haven't placed any orders yet. Start shopping to see your order history here.
+                            {t('orders.emptyHint')}
                         </p>
                         <Link to="/products" style={actionButtonStyle}>
-                            Start Shopping
+                            {t('cart.startShopping')}
                         </Link>
                     </div>
                 ) : (
@@ -338,13 +317,9 @@ const OrderHistoryPage = () => {
                             <div key={order.id} style={orderCardStyle}>
                                 <div style={orderHeaderStyle}>
                                     <div style={orderInfoStyle}>
-                                        <div style={orderIdStyle}>Order #{order.id}</div>
+                                        <div style={orderIdStyle}>{t('orders.orderNumber', { id: order.orderNumber })}</div>
                                         <div style={orderDateStyle}>
-                                            Placed on {new Date(order.date).toLocaleDateString('en-US', {
-                                                year: 'numeric',
-                                                month: 'long',
-                                                day: 'numeric'
-                                            })}
+                                            {t('orders.placedOn', { date: formatDate(order.date, 'date') })}
                                         </div>
                                     </div>
                                     <div style={statusBadgeStyle(order.status)}>
@@ -358,11 +333,11 @@ const OrderHistoryPage = () => {
                                             <div>
                                                 <div style={itemNameStyle}>{item.name}</div>
                                                 <div style={itemDetailsStyle}>
-                                                    Qty: {item.quantity} × ${item.price.toFixed(2)}
+                                                    {t('orders.quantityPrice', { quantity: formatNumber(item.quantity), price: formatCurrency(item.price) })}
                                                 </div>
                                             </div>
                                             <div style={itemNameStyle}>
-                                                ${(item.quantity * item.price).toFixed(2)}
+                                                {formatCurrency(item.quantity * item.price)}
                                             </div>
                                         </div>
                                     ))}
@@ -370,7 +345,7 @@ const OrderHistoryPage = () => {
 
                                 {order.trackingNumber && (
                                     <div style={{ marginBottom: '1rem', fontSize: '0.875rem' }}>
-                                        <span style={{ fontWeight: '500' }}>Tracking Number: </span>
+                                        <span style={{ fontWeight: '500' }}>{t('orders.trackingNumber')} </span>
                                         <span style={{ color: '#2563eb', fontFamily: 'monospace' }}>
                                             {order.trackingNumber}
                                         </span>
@@ -379,17 +354,29 @@ const OrderHistoryPage = () => {
 
                                 <div style={orderFooterStyle}>
                                     <div style={totalStyle}>
-                                        Total: ${order.total.toFixed(2)}
+                                        {t('orders.total', { amount: formatCurrency(order.total) })}
                                     </div>
                                     <div>
                                         <Link to={`/orders/${order.id}`} style={secondaryButtonStyle}>
-                                            View Details
+                                            {t('orders.viewDetails')}
                                         </Link>
+                                        <button
+                                            onClick={() => downloadInvoice(order)}
+                                            disabled={downloadingInvoice === order.id}
+                                            style={secondaryButtonStyle}
+                                        >
+                                            {downloadingInvoice === order.id ? t('orders.downloadingInvoice') : t('orders.downloadInvoice')}
+                                        </button>
                                         {order.status === 'delivered' && (
                                             <button style={actionButtonStyle}>
-                                                Reorder
+                                                {t('orders.reorder')}
                                             </button>
                                         )}
+                                        {invoiceError === order.id && (
+                                            <div style={{ marginTop: '0.5rem', fontSize: '0.875rem', color: '#dc2626' }}>
+                                                {t('orders.invoiceFailed')}
+                                            </div>
+                                        )}
                                     </div>
                                 </div>
                             </div>
@@ -397,7 +384,10 @@ const OrderHistoryPage = () => {
 
                         <div style={{ textAlign: 'center', marginTop: '2rem' }}>
                             <Link to="/account" style={secondaryButtonStyle}>
-                                ← Back to Account
+                                ← {t('orders.backToAccount')}
+                            </Link>
+                            <Link to="/returns" style={secondaryButtonStyle}>
+                                {t('orders.returns')}
                             </Link>
                         </div>
                     </div>
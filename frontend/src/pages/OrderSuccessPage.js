@@ -1,8 +1,10 @@
 import React, { useEffect } from 'react';
 import { Link, useLocation, useNavigate } from 'react-router-dom';
 import logger from '../logger';
+import { useI18n } from '../contexts/I18nContext';
 
 const OrderSuccessPage = () => {
+    const { t, formatCurrency } = useI18n();
     const location = useLocation();
     const navigate = useNavigate();
     const { orderId, total } = location.state || {};
@@ -116,50 +118,50 @@ const OrderSuccessPage = () => {
             <div style={cardStyle}>
                 <div style={iconStyle}>✅</div>
 
-                <h1 style={titleStyle}>Order Confirmed!</h1>
+                <h1 style={titleStyle}>{t('orderSuccess.title')}</h1>
 
                 <p style={subtitleStyle}>
-                    Thank you for your purchase. Your order has been successfully placed.
+                    {t('orderSuccess.subtitle')}
                 </p>
 
                 <div style={orderInfoStyle}>
                     <div style={orderRowStyle}>
-                        <span>Order Number:</span>
+                        <span>{t('orderSuccess.orderNumber')}</span>
                         <span style={{ fontWeight: '600' }}>{orderId}</span>
                     </div>
 
                     <div style={totalRowStyle}>
-                        <span>Total Amount:</span>
-                        <span>${parseFloat(total).toFixed(2)}</span>
+                        <span>{t('orderSuccess.totalAmount')}</span>
+                        <span>{formatCurrency(total)}</span>
                     </div>
                 </div>
 
                 <div style={{ marginBottom: '2rem' }}>
                     <Link to="/products" style={buttonStyle}>
-                        Continue Shopping
+                        {t('cart.continueShopping')}
                     </Link>
 
                     <Link to="/account" style={secondaryButtonStyle}>
-                        View Orders
+                        {t('orderSuccess.viewOrders')}
                     </Link>
                 </div>
 
                 <div style={infoListStyle}>
                     <h3 style={{ fontSize: '1rem', fontWeight: '600', color: '#111827', marginBottom: '0.5rem' }}>
-                        What's Next?
+                        {t('orderSuccess.whatsNext')}
                     </h3>
                     <ul style={{ listStyle: 'none', padding: 0, margin: 0 }}>
                         <li style={{ marginBottom: '0.5rem' }}>
-                            📧 You'll receive an order confirmation email shortly
+                            📧 {t('orderSuccess.emailNotice')}
                         </li>
                         <li style={{ marginBottom: '0.5rem' }}>
-                            📦 We'll send you tracking information when your order ships
+                            📦 {t('orderSuccess.trackingNotice')}
                         </li>
                         <li style={{ marginBottom: '0.5rem' }}>
-                            🚚 Estimated delivery: 3-5 business days
+                            🚚 {t('orderSuccess.deliveryEstimate')}
                         </li>
                         <li>
-                            💬 Questions? Contact our support team
+                            💬 {t('orderSuccess.questions')}
                         </li>
                     </ul>
                 </div>
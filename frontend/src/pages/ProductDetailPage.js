@@ -2,8 +2,11 @@ import React, { useState, useEffect } from 'react';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import apiClient from '../api';
 import logger from '../logger';
+import InventoryStatus from '../components/inventory/InventoryStatus';
+import { useI18n } from '../contexts/I18nContext';
 
 const ProductDetailPage = ({ updateCartCount }) => {
+    const { t, formatCurrency, formatNumber, localize } = useI18n();
     const { id } = useParams();
     const navigate = useNavigate();
     const [product, setProduct] = useState(null);
@@ -15,12 +18,17 @@ const ProductDetailPage = ({ updateCartCount }) => {
     const [relatedProducts, setRelatedProducts] = useState([]);
     const [isInWishlist, setIsInWishlist] = useState(false);
     const [addingToWishlist, setAddingToWishlist] = useState(false);
+    const [selectedOptions, setSelectedOptions] = useState({});
+    const [alerts, setAlerts] = useState([]);
+    const [targetPrice, setTargetPrice] = useState('');
+    const [savingAlert, setSavingAlert] = useState(false);
 
     useEffect(() => {
         if (id) {
             loadProduct();
             loadRelatedProducts();
             checkWishlistStatus();
+            loadAlerts();
         }
     }, [id]);
 
@@ -32,16 +40,21 @@ const ProductDetailPage = ({ updateCartCount }) => {
             logger.info('Loading product details', { productId: id });
             const response = await apiClient.get(`/products/${id}`);
 
-            setProduct(response.data.data);
+            const loadedProduct = response.data.data.product;
+            setProduct(loadedProduct);
+
+            // Preselect the first variant that is in stock
+            const variants = (loadedProduct?.variants || []).filter(variant => variant.is_active);
+            const firstVariant = variants.find(variant => variant.available_quantity > 0) || variants[0];
+            setSelectedOptions(firstVariant ? { ...firstVariant.option_values } : {});
 
             logger.info('Product details loaded successfully', {
                 productId: id,
-                productName: response.data.data?.name
+                productName: loadedProduct?.name
             });
         } catch (err) {
-            const errorMessage = 'Failed to load product details';
-            setError(errorMessage);
-            logger.error(errorMessage, { productId: id, error: err.message });
+            setError('productDetail.loadFailed');
+            logger.error('Failed to load product details', { productId: id, error: err.message });
         } finally {
             setLoading(false);
         }
@@ -56,15 +69,48 @@ const ProductDetailPage = ({ updateCartCount }) => {
         }
     };
 
+    const options = product?.options || [];
+    const activeVariants = (product?.variants || []).filter(variant => variant.is_active);
+    const hasVariants = activeVariants.length > 0;
+
+    // Brand, colour and material first, then the free-form specs
+    const specifications = [
+        ['brand', 'products.brand'],
+        ['color', 'products.color'],
+        ['material', 'products.material']
+    ]
+        .filter(([field]) => product?.[field])
+        .map(([field, label]) => [t(label), product[field]])
+        .concat(Object.entries(product?.specs || {}));
+    const selectedVariant = activeVariants.find(variant =>
+        options.every(option => variant.option_values[option.name] === selectedOptions[option.name])
+    ) || null;
+
+    // A value can be picked when some in-stock variant has it along with the
+    // other options already chosen
+    const isOptionValueAvailable = (optionName, value) => activeVariants.some(variant =>
+        variant.available_quantity > 0 &&
+        variant.option_values[optionName] === value &&
+        options.every(option => option.name === optionName || variant.option_values[option.name] === selectedOptions[option.name])
+    );
+
     const handleAddToCart = async () => {
+        if (hasVariants && !selectedVariant) {
+            alert(t('productDetail.chooseOptions', { options: options.map(option => option.name.toLowerCase()).join(', ') }));
+            return;
+        }
+
         try {
             setAddingToCart(true);
 
             // Get current cart from localStorage
             const currentCart = JSON.parse(localStorage.getItem('cart') || '[]');
+            const variantId = selectedVariant ? selectedVariant.id : null;
 
-            // Check if product already exists in cart
-            const existingItemIndex = currentCart.findIndex(item => item.productId === product.id);
+            // Check if this product (and variant) already exists in cart
+            const existingItemIndex = currentCart.findIndex(item =>
+                item.productId === product.id && (item.variantId || null) === variantId
+            );
 
             if (existingItemIndex >= 0) {
                 // Update quantity
@@ -73,10 +119,12 @@ const ProductDetailPage = ({ updateCartCount }) => {
                 // Add new item
                 currentCart.push({
                     productId: product.id,
+                    variantId,
+                    variantTitle: selectedVariant ? selectedVariant.title : null,
                     name: product.name,
-                    price: product.price,
+                    price: selectedVariant?.price ?? product.price,
                     quantity: quantity,
-                    image: product.image_url
+                    image: selectedVariant?.image_url || product.image_url
                 });
             }
 
@@ -91,61 +139,140 @@ const ProductDetailPage = ({ updateCartCount }) => {
 
             logger.info('Product added to cart', {
                 productId: product.id,
+                variantId,
                 quantity: quantity
             });
 
             // Show success message (you could use a toast notification here)
-            alert(`${product.name} added to cart!`);
+            alert(t('productDetail.addedToCart', {
+                name: `${localize(product, 'name')}${selectedVariant ? ` (${selectedVariant.title})` : ''}`
+            }));
 
         } catch (err) {
             logger.error('Failed to add product to cart', { error: err.message });
-            alert('Failed to add product to cart. Please try again.');
+            alert(t('productDetail.addToCartFailed'));
         } finally {
             setAddingToCart(false);
         }
     };
 
-    const checkWishlistStatus = () => {
+    const checkWishlistStatus = async () => {
         try {
-            const wishlistData = localStorage.getItem('wishlist');
-            if (wishlistData) {
-                const wishlist = JSON.parse(wishlistData);
-                setIsInWishlist(wishlist.some(item => item.id === id));
+            const token = localStorage.getItem('authToken');
+            if (!token) {
+                return;
             }
+
+            const response = await apiClient.get('/wishlist', {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            const wishlist = response.data.data.wishlist;
+            setIsInWishlist(wishlist.items.some(item => String(item.product_id) === String(id)));
         } catch (err) {
             logger.error('Failed to check wishlist status', { error: err.message });
         }
     };
 
+    // Back-in-stock and price-drop alerts the customer has on this product
+    const loadAlerts = async () => {
+        try {
+            const token = localStorage.getItem('authToken');
+            if (!token) {
+                return;
+            }
+
+            const response = await apiClient.get(`/product-alerts?productId=${id}`, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            setAlerts(response.data.data.alerts);
+        } catch (err) {
+            logger.error('Failed to load product alerts', { error: err.message });
+        }
+    };
+
+    const handleCreateAlert = async (kind) => {
+        const token = localStorage.getItem('authToken');
+        if (!token) {
+            navigate('/login');
+            return;
+        }
+
+        try {
+            setSavingAlert(true);
+
+            await apiClient.post('/product-alerts', {
+                productId: product.id,
+                variantId: selectedVariant ? selectedVariant.id : null,
+                kind,
+                ...(kind === 'price_drop' ? { targetPrice: parseFloat(targetPrice) } : {})
+            }, {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            });
+            setTargetPrice('');
+            await loadAlerts();
+            logger.info('Product alert created', { productId: product.id, kind });
+        } catch (err) {
+            logger.error('Failed to create product alert', { error: err.message });
+            alert(err.response?.data?.error || t('productDetail.alertFailed'));
+        } finally {
+            setSavingAlert(false);
+        }
+    };
+
+    const handleDeleteAlert = async (alertId) => {
+        try {
+            setSavingAlert(true);
+
+            await apiClient.delete(`/product-alerts/${alertId}`, {
+                headers: {
+                    'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+                }
+            });
+            setAlerts(prev => prev.filter(existing => existing.id !== alertId));
+            logger.info('Product alert removed', { productId: product.id, alertId });
+        } catch (err) {
+            logger.error('Failed to remove product alert', { error: err.message });
+            alert(t('productDetail.alertFailed'));
+        } finally {
+            setSavingAlert(false);
+        }
+    };
+
     const handleToggleWishlist = async () => {
+        const token = localStorage.getItem('authToken');
+        if (!token) {
+            navigate('/login');
+            return;
+        }
+
         try {
             setAddingToWishlist(true);
 
-            const wishlistData = localStorage.getItem('wishlist');
-            let wishlist = wishlistData ? JSON.parse(wishlistData) : [];
+            const requestOptions = {
+                headers: {
+                    'Authorization': `Bearer ${token}`
+                }
+            };
 
             if (isInWishlist) {
-                // Remove from wishlist
-                wishlist = wishlist.filter(item => item.id !== product.id);
+                await apiClient.delete(`/wishlist/items/${product.id}`, requestOptions);
                 setIsInWishlist(false);
                 logger.info('Product removed from wishlist', { productId: product.id });
             } else {
-                // Add to wishlist
-                wishlist.push({
-                    id: product.id,
-                    name: product.name,
-                    price: product.price,
-                    image_url: product.image_url
-                });
+                await apiClient.post('/wishlist/items', { productId: product.id }, requestOptions);
                 setIsInWishlist(true);
                 logger.info('Product added to wishlist', { productId: product.id });
             }
 
-            localStorage.setItem('wishlist', JSON.stringify(wishlist));
-
         } catch (err) {
             logger.error('Failed to update wishlist', { error: err.message });
-            alert('Failed to update wishlist. Please try again.');
+            alert(t('productDetail.wishlistFailed'));
         } finally {
             setAddingToWishlist(false);
         }
@@ -313,6 +440,59 @@ const ProductDetailPage = ({ updateCartCount }) => {
         marginTop: '0.75rem'
     };
 
+    const optionGroupStyle = {
+        display: 'flex',
+        flexDirection: 'column',
+        gap: '0.5rem'
+    };
+
+    const optionValueStyle = (isSelected, isAvailable) => ({
+        padding: '0.5rem 1rem',
+        border: isSelected ? '2px solid #2563eb' : '1px solid #d1d5db',
+        borderRadius: '0.375rem',
+        backgroundColor: isSelected ? '#eff6ff' : 'white',
+        color: isAvailable ? '#111827' : '#9ca3af',
+        textDecoration: isAvailable ? 'none' : 'line-through',
+        cursor: 'pointer',
+        fontSize: '0.875rem',
+        fontWeight: '500'
+    });
+
+    const alertBoxStyle = {
+        display: 'flex',
+        flexWrap: 'wrap',
+        alignItems: 'center',
+        gap: '0.5rem',
+        padding: '0.75rem 1rem',
+        backgroundColor: '#f9fafb',
+        border: '1px solid #e5e7eb',
+        borderRadius: '0.375rem',
+        fontSize: '0.875rem',
+        color: '#374151',
+        marginBottom: '1.5rem'
+    };
+
+    const alertButtonStyle = {
+        padding: '0.5rem 1rem',
+        backgroundColor: savingAlert ? '#9ca3af' : '#2563eb',
+        color: 'white',
+        border: 'none',
+        borderRadius: '0.375rem',
+        fontSize: '0.875rem',
+        fontWeight: '600',
+        cursor: savingAlert ? 'not-allowed' : 'pointer'
+    };
+
+    const alertLinkStyle = {
+        padding: 0,
+        border: 'none',
+        backgroundColor: 'transparent',
+        color: '#dc2626',
+        fontSize: '0.875rem',
+        cursor: 'pointer',
+        textDecoration: 'underline'
+    };
+
     const buttonGroupStyle = {
         display: 'flex',
         gap: '0.75rem',
@@ -390,7 +570,7 @@ const ProductDetailPage = ({ updateCartCount }) => {
         return (
             <div style={containerStyle}>
                 <div style={innerContainerStyle}>
-                    <div style={loadingStyle}>Loading product details...</div>
+                    <div style={loadingStyle}>{t('productDetail.loading')}</div>
                 </div>
             </div>
         );
@@ -401,7 +581,7 @@ const ProductDetailPage = ({ updateCartCount }) => {
             <div style={containerStyle}>
                 <div style={innerContainerStyle}>
                     <div style={errorStyle}>
-                        <p>{error || 'Product not found'}</p>
+                        <p>{t(error || 'productDetail.notFound')}</p>
                         <button
                             onClick={() => navigate('/products')}
                             style={{
@@ -414,7 +594,7 @@ const ProductDetailPage = ({ updateCartCount }) => {
                                 cursor: 'pointer'
                             }}
                         >
-                            Back to Products
+                            {t('productDetail.backToProducts')}
                         </button>
                     </div>
                 </div>
@@ -422,19 +602,35 @@ const ProductDetailPage = ({ updateCartCount }) => {
         );
     }
 
-    // Mock images for demonstration
-    const images = product.image_url ? [product.image_url] : [];
+    // Uploaded gallery, or the single image URL for products without one; a
+    // variant's own image comes first
+    const gallery = product.images && product.images.length > 0 ?
+        product.images.map(image => ({ src: image.large_url, thumbnail: image.thumbnail_url, alt: image.alt_text })) :
+        [product.image_url].filter(Boolean).map(src => ({ src, thumbnail: src, alt: null }));
+    const images = selectedVariant?.image_url && !gallery.some(image => image.src === selectedVariant.image_url) ?
+        [{ src: selectedVariant.image_url, thumbnail: selectedVariant.image_url, alt: selectedVariant.title }, ...gallery] :
+        gallery;
+    const displayPrice = selectedVariant?.price ?? product.price;
+    // Stock held by other customers' unpaid checkouts is not for sale
+    const displayStock = selectedVariant ? selectedVariant.available_quantity : product.available_quantity;
+    // The customer's waiting alert of a kind for the product or chosen variant
+    const findAlert = (kind) => alerts.find(existing =>
+        existing.kind === kind &&
+        existing.status === 'active' &&
+        existing.variant_id === (selectedVariant ? selectedVariant.id : null));
+    const backInStockAlert = findAlert('back_in_stock');
+    const priceDropAlert = findAlert('price_drop');
 
     return (
         <div style={containerStyle}>
             <div style={innerContainerStyle}>
                 {/* Breadcrumb */}
                 <nav style={breadcrumbStyle}>
-                    <Link to="/" style={breadcrumbLinkStyle}>Home</Link>
+                    <Link to="/" style={breadcrumbLinkStyle}>{t('header.home')}</Link>
                     <span>›</span>
-                    <Link to="/products" style={breadcrumbLinkStyle}>Products</Link>
+                    <Link to="/products" style={breadcrumbLinkStyle}>{t('header.products')}</Link>
                     <span>›</span>
-                    <span>{product.name}</span>
+                    <span>{localize(product, 'name')}</span>
                 </nav>
 
                 <div style={contentStyle}>
@@ -445,8 +641,8 @@ const ProductDetailPage = ({ updateCartCount }) => {
                             <div style={mainImageStyle}>
                                 {images.length > 0 ? (
                                     <img
-                                        src={images[selectedImage]}
-                                        alt={product.name}
+                                        src={images[Math.min(selectedImage, images.length - 1)].src}
+                                        alt={images[Math.min(selectedImage, images.length - 1)].alt || localize(product, 'name')}
                                         style={{ width: '100%', height: '100%', objectFit: 'cover' }}
                                     />
                                 ) : (
@@ -463,8 +659,8 @@ const ProductDetailPage = ({ updateCartCount }) => {
                                             onClick={() => setSelectedImage(index)}
                                         >
                                             <img
-                                                src={image}
-                                                alt={`${product.name} ${index + 1}`}
+                                                src={image.thumbnail}
+                                                alt={image.alt || `${localize(product, 'name')} ${index + 1}`}
                                                 style={{ width: '100%', height: '100%', objectFit: 'cover' }}
                                             />
                                         </div>
@@ -475,30 +671,86 @@ const ProductDetailPage = ({ updateCartCount }) => {
 
                         {/* Product Info */}
                         <div style={productInfoStyle}>
-                            <h1 style={titleStyle}>{product.name}</h1>
+                            <h1 style={titleStyle}>{localize(product, 'name')}</h1>
 
                             <div style={ratingStyle}>
                                 <span style={{ color: '#facc15' }}>⭐⭐⭐⭐⭐</span>
                                 <span style={{ fontSize: '0.875rem', color: '#6b7280' }}>
-                                    4.5 (24 reviews)
+                                    {formatNumber(4.5)} {t('reviews.count', { count: formatNumber(24) })}
                                 </span>
                             </div>
 
                             <div style={priceStyle}>
-                                ${parseFloat(product.price).toFixed(2)}
+                                {formatCurrency(displayPrice)}
                             </div>
 
-                            {product.description && (
+                            {options.map(option => (
+                                <div key={option.name} style={optionGroupStyle}>
+                                    <span style={{ fontSize: '1rem', fontWeight: '600' }}>
+                                        {option.name}: <span style={{ fontWeight: '400' }}>{selectedOptions[option.name] || t('productDetail.chooseOne')}</span>
+                                    </span>
+                                    <div style={{ display: 'flex', flexWrap: 'wrap', gap: '0.5rem' }}>
+                                        {option.choices.map(value => (
+                                            <button
+                                                key={value}
+                                                type="button"
+                                                onClick={() => {
+                                                    setSelectedOptions(prev => ({ ...prev, [option.name]: value }));
+                                                    setSelectedImage(0);
+                                                }}
+                                                style={optionValueStyle(selectedOptions[option.name] === value, isOptionValueAvailable(option.name, value))}
+                                            >
+                                                {value}
+                                            </button>
+                                        ))}
+                                    </div>
+                                </div>
+                            ))}
+
+                            {(!hasVariants || selectedVariant) && (
+                                <InventoryStatus
+                                    productId={product.id}
+                                    variantId={selectedVariant ? selectedVariant.id : null}
+                                    currentStock={displayStock}
+                                />
+                            )}
+                            {hasVariants && !selectedVariant && (
+                                <p style={{ fontSize: '0.875rem', color: '#dc2626', margin: 0 }}>
+                                    {t('productDetail.unavailableCombination')}
+                                </p>
+                            )}
+
+                            {localize(product, 'description') && (
+                                <div>
+                                    <h3 style={{ fontSize: '1.125rem', fontWeight: '600', marginBottom: '0.5rem' }}>
+                                        {t('productDetail.description')}
+                                    </h3>
+                                    <p style={descriptionStyle}>{localize(product, 'description')}</p>
+                                </div>
+                            )}
+
+                            {specifications.length > 0 && (
                                 <div>
                                     <h3 style={{ fontSize: '1.125rem', fontWeight: '600', marginBottom: '0.5rem' }}>
-                                        Description
+                                        {t('productDetail.specifications')}
                                     </h3>
-                                    <p style={descriptionStyle}>{product.description}</p>
+                                    <table style={{ width: '100%', borderCollapse: 'collapse', fontSize: '0.875rem' }}>
+                                        <tbody>
+                                            {specifications.map(([name, value]) => (
+                                                <tr key={name} style={{ borderBottom: '1px solid #e5e7eb' }}>
+                                                    <th style={{ textAlign: 'left', padding: '0.375rem 0', color: '#6b7280', fontWeight: '500', width: '40%' }}>
+                                                        {name}
+                                                    </th>
+                                                    <td style={{ padding: '0.375rem 0', color: '#111827' }}>{value}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
                                 </div>
                             )}
 
                             <div style={quantityStyle}>
-                                <span style={{ fontSize: '1rem', fontWeight: '600' }}>Quantity:</span>
+                                <span style={{ fontSize: '1rem', fontWeight: '600' }}>{t('productDetail.quantity')}</span>
                                 <div style={quantityControlStyle}>
                                     <button
                                         onClick={() => setQuantity(Math.max(1, quantity - 1))}
@@ -525,26 +777,88 @@ const ProductDetailPage = ({ updateCartCount }) => {
                             <div style={buttonGroupStyle}>
                                 <button
                                     onClick={handleAddToCart}
-                                    disabled={addingToCart}
+                                    disabled={addingToCart || displayStock === 0}
                                     style={{ ...addToCartButtonStyle, flex: 2 }}
                                 >
-                                    {addingToCart ? 'Adding to Cart...' : 'Add to Cart'}
+                                    {addingToCart ? t('productDetail.adding') : (displayStock === 0 ? t('productDetail.outOfStock') : t('common.addToCart'))}
                                 </button>
 
                                 <button
                                     onClick={handleToggleWishlist}
                                     disabled={addingToWishlist}
                                     style={{ ...wishlistButtonStyle, flex: 1, marginTop: 0 }}
-                                    title={isInWishlist ? 'Remove from wishlist' : 'Add to wishlist'}
+                                    title={isInWishlist ? t('productDetail.removeFromWishlist') : t('productDetail.addToWishlist')}
                                 >
                                     {addingToWishlist ? '...' : (isInWishlist ? '❤️' : '🤍')}
                                 </button>
                             </div>
 
+                            {(!hasVariants || selectedVariant) && displayStock === 0 && (
+                                <div style={alertBoxStyle}>
+                                    {backInStockAlert ? (
+                                        <>
+                                            <span>🔔 {t('productDetail.backInStockSubscribed')}</span>
+                                            <button
+                                                onClick={() => handleDeleteAlert(backInStockAlert.id)}
+                                                disabled={savingAlert}
+                                                style={alertLinkStyle}
+                                            >
+                                                {t('productDetail.cancelAlert')}
+                                            </button>
+                                        </>
+                                    ) : (
+                                        <button
+                                            onClick={() => handleCreateAlert('back_in_stock')}
+                                            disabled={savingAlert}
+                                            style={alertButtonStyle}
+                                        >
+                                            🔔 {t('productDetail.notifyBackInStock')}
+                                        </button>
+                                    )}
+                                </div>
+                            )}
+
+                            {(!hasVariants || selectedVariant) && displayStock > 0 && (
+                                <div style={alertBoxStyle}>
+                                    {priceDropAlert ? (
+                                        <>
+                                            <span>🏷️ {t('productDetail.priceAlertSubscribed', { price: formatCurrency(priceDropAlert.target_price) })}</span>
+                                            <button
+                                                onClick={() => handleDeleteAlert(priceDropAlert.id)}
+                                                disabled={savingAlert}
+                                                style={alertLinkStyle}
+                                            >
+                                                {t('productDetail.cancelAlert')}
+                                            </button>
+                                        </>
+                                    ) : (
+                                        <>
+                                            <label htmlFor="targetPrice">🏷️ {t('productDetail.priceAlertLabel')}</label>
+                                            <input
+                                                id="targetPrice"
+                                                type="number"
+                                                min="1"
+                                                step="0.01"
+                                                value={targetPrice}
+                                                onChange={(e) => setTargetPrice(e.target.value)}
+                                                style={{ width: '7rem', padding: '0.5rem', border: '1px solid #d1d5db', borderRadius: '0.375rem' }}
+                                            />
+                                            <button
+                                                onClick={() => handleCreateAlert('price_drop')}
+                                                disabled={savingAlert || !(parseFloat(targetPrice) > 0)}
+                                                style={alertButtonStyle}
+                                            >
+                                                {t('productDetail.priceAlertButton')}
+                                            </button>
+                                        </>
+                                    )}
+                                </div>
+                            )}
+
                             <div style={{ fontSize: '0.875rem', color: '#6b7280' }}>
-                                <p>✓ Free shipping on orders over $50</p>
-                                <p>✓ 30-day return policy</p>
-                                <p>✓ Secure payment processing</p>
+                                <p>✓ {t('productDetail.freeShipping', { amount: formatCurrency(50) })}</p>
+                                <p>✓ {t('cart.returnPolicy')}</p>
+                                <p>✓ {t('productDetail.securePayment')}</p>
                             </div>
                         </div>
                     </div>
@@ -552,7 +866,7 @@ const ProductDetailPage = ({ updateCartCount }) => {
                     {/* Related Products */}
                     {relatedProducts.length > 0 && (
                         <div style={relatedSectionStyle}>
-                            <h2 style={sectionTitleStyle}>Related Products</h2>
+                            <h2 style={sectionTitleStyle}>{t('productDetail.related')}</h2>
                             <div style={relatedGridStyle}>
                                 {relatedProducts.map((relatedProduct) => (
                                     <Link
@@ -565,7 +879,7 @@ const ProductDetailPage = ({ updateCartCount }) => {
                                                 {relatedProduct.image_url ? (
                                                     <img
                                                         src={relatedProduct.image_url}
-                                                        alt={relatedProduct.name}
+                                                        alt={localize(relatedProduct, 'name')}
                                                         style={{ width: '100%', height: '100%', objectFit: 'cover' }}
                                                     />
                                                 ) : (
@@ -573,9 +887,9 @@ const ProductDetailPage = ({ updateCartCount }) => {
                                                 )}
                                             </div>
                                             <div style={relatedContentStyle}>
-                                                <h3 style={relatedNameStyle}>{relatedProduct.name}</h3>
+                                                <h3 style={relatedNameStyle}>{localize(relatedProduct, 'name')}</h3>
                                                 <p style={relatedPriceStyle}>
-                                                    ${parseFloat(relatedProduct.price).toFixed(2)}
+                                                    {formatCurrency(relatedProduct.price)}
                                                 </p>
                                             </div>
                                         </div>
@@ -2,25 +2,49 @@ import React, { useState, useEffect } from 'react';
 import { Link, useSearchParams } from 'react-router-dom';
 import apiClient from '../api';
 import logger from '../logger';
+import { useI18n } from '../contexts/I18nContext';
+
+// Attribute facets take several values, each a repeated URL parameter named
+// as the search API expects it
+const ATTRIBUTE_FACETS = ['brand', 'color', 'material'];
+
+// Values listed per facet before "Show more"
+const FACET_VALUES_SHOWN = 6;
+const PAGE_SIZE = 20;
+
+// Stands in for the suggestion when splitting the "did you mean" message
+const SUGGESTION_MARK = '\u0000';
+
+// The typed filters, applied with "Apply Filters" rather than per keystroke
+const draftFromParams = (searchParams) => ({
+    search: searchParams.get('search') || '',
+    minPrice: searchParams.get('minPrice') || '',
+    maxPrice: searchParams.get('maxPrice') || ''
+});
 
 const ProductsPage = () => {
+    const { t, formatCurrency, formatNumber, localize } = useI18n();
     const [products, setProducts] = useState([]);
+    const [facets, setFacets] = useState(null);
+    const [pagination, setPagination] = useState(null);
+    const [didYouMean, setDidYouMean] = useState(null);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
+    // The URL holds the applied filters, so a filtered listing can be
+    // bookmarked, shared and left with the back button
     const [searchParams, setSearchParams] = useSearchParams();
-    const [filters, setFilters] = useState({
-        search: searchParams.get('search') || '',
-        category: searchParams.get('category') || '',
-        minPrice: searchParams.get('minPrice') || '',
-        maxPrice: searchParams.get('maxPrice') || '',
-        sortBy: searchParams.get('sortBy') || 'name'
-    });
+    const [draft, setDraft] = useState(() => draftFromParams(searchParams));
     const [viewMode, setViewMode] = useState('grid');
-    const [categories, setCategories] = useState([]);
+    const [expandedFacets, setExpandedFacets] = useState({});
+
+    const search = searchParams.get('search') || '';
+    const category = searchParams.get('category') || '';
+    const sortBy = searchParams.get('sortBy') || 'relevance';
+    const specs = searchParams.getAll('spec');
 
     useEffect(() => {
+        setDraft(draftFromParams(searchParams));
         loadProducts();
-        loadCategories();
     }, [searchParams]);
 
     const loadProducts = async () => {
@@ -28,64 +52,96 @@ const ProductsPage = () => {
             setLoading(true);
             setError(null);
 
-            const queryParams = new URLSearchParams();
-            if (filters.search) queryParams.append('search', filters.search);
-            if (filters.category) queryParams.append('category', filters.category);
-            if (filters.minPrice) queryParams.append('minPrice', filters.minPrice);
-            if (filters.maxPrice) queryParams.append('maxPrice', filters.maxPrice);
-            if (filters.sortBy) queryParams.append('sortBy', filters.sortBy);
+            // The page's parameters are the search API's, but for the text query
+            const queryParams = new URLSearchParams(searchParams);
+            queryParams.delete('search');
+            if (search) queryParams.set('q', search);
+            queryParams.set('limit', PAGE_SIZE);
+
+            logger.info('Loading products with filters', { filters: queryParams.toString() });
+            const response = await apiClient.get(`/search/products?${queryParams.toString()}`);
+            const result = response.data.data || {};
 
-            logger.info('Loading products with filters', filters);
-            const response = await apiClient.get(`/products?${queryParams.toString()}`);
+            // Merchandisers send some queries straight to a category page
+            if (search && result.redirect) {
+                logger.info('Search redirected to category', { query: search, category: result.redirect.category });
+                setSearchParams({ category: result.redirect.category }, { replace: true });
+                return;
+            }
 
-            setProducts(response.data.data || []);
+            setProducts(result.products || []);
+            setFacets(result.facets || null);
+            setPagination(result.pagination || null);
+            setDidYouMean(result.didYouMean || null);
 
             logger.info('Products loaded successfully', {
-                productCount: response.data.data?.length || 0,
-                filters
+                productCount: result.products?.length || 0,
+                total: result.pagination?.total || 0,
+                fallback: result.fallback || false
             });
         } catch (err) {
-            const errorMessage = 'Failed to load products';
-            setError(errorMessage);
-            logger.error(errorMessage, { error: err.message });
+            setError('products.loadFailed');
+            logger.error('Failed to load products', { error: err.message });
         } finally {
             setLoading(false);
         }
     };
 
-    const loadCategories = async () => {
-        try {
-            const response = await apiClient.get('/categories');
-            setCategories(response.data.data || []);
-        } catch (err) {
-            logger.error('Failed to load categories', { error: err.message });
-        }
+    // Change the filters in the URL; a new set of results starts on page 1
+    const updateParams = (change) => {
+        const nextParams = new URLSearchParams(searchParams);
+        change(nextParams);
+        nextParams.delete('page');
+        setSearchParams(nextParams);
     };
 
-    const handleFilterChange = (key, value) => {
-        const newFilters = { ...filters, [key]: value };
-        setFilters(newFilters);
+    const handleParamChange = (key, value) => {
+        updateParams((params) => {
+            if (value) {
+                params.set(key, value);
+            } else {
+                params.delete(key);
+            }
+        });
+    };
 
-        // Update URL params
-        const newSearchParams = new URLSearchParams();
-        Object.entries(newFilters).forEach(([k, v]) => {
-            if (v) newSearchParams.set(k, v);
+    const toggleParamValue = (key, value) => {
+        updateParams((params) => {
+            const values = params.getAll(key);
+            params.delete(key);
+            (values.includes(value) ? values.filter(item => item !== value) : [...values, value])
+                .forEach(item => params.append(key, item));
+        });
+    };
+
+    const applyFilters = (e) => {
+        e?.preventDefault();
+        updateParams((params) => {
+            Object.entries(draft).forEach(([key, value]) => {
+                if (value) {
+                    params.set(key, value);
+                } else {
+                    params.delete(key);
+                }
+            });
         });
-        setSearchParams(newSearchParams);
     };
 
     const clearFilters = () => {
-        const clearedFilters = {
-            search: '',
-            category: '',
-            minPrice: '',
-            maxPrice: '',
-            sortBy: 'name'
-        };
-        setFilters(clearedFilters);
         setSearchParams({});
     };
 
+    const goToPage = (page) => {
+        const nextParams = new URLSearchParams(searchParams);
+        nextParams.set('page', page);
+        setSearchParams(nextParams);
+        window.scrollTo(0, 0);
+    };
+
+    const toggleExpanded = (facet) => {
+        setExpandedFacets({ ...expandedFacets, [facet]: !expandedFacets[facet] });
+    };
+
     const containerStyle = {
         minHeight: '100vh',
         backgroundColor: '#f9fafb',
@@ -139,6 +195,41 @@ const ProductsPage = () => {
         marginBottom: '0.75rem'
     };
 
+    const facetOptionStyle = (disabled) => ({
+        display: 'flex',
+        alignItems: 'center',
+        gap: '0.5rem',
+        padding: '0.25rem 0',
+        fontSize: '0.875rem',
+        color: disabled ? '#9ca3af' : '#374151',
+        cursor: disabled ? 'default' : 'pointer'
+    });
+
+    const facetCountStyle = {
+        fontSize: '0.75rem',
+        color: '#9ca3af'
+    };
+
+    const showMoreStyle = {
+        background: 'none',
+        border: 'none',
+        padding: 0,
+        marginTop: '0.25rem',
+        color: '#2563eb',
+        fontSize: '0.8125rem',
+        cursor: 'pointer'
+    };
+
+    const paginationStyle = {
+        display: 'flex',
+        justifyContent: 'center',
+        alignItems: 'center',
+        gap: '1rem',
+        marginTop: '2rem',
+        fontSize: '0.875rem',
+        color: '#6b7280'
+    };
+
     const inputStyle = {
         width: '100%',
         padding: '0.5rem',
@@ -301,11 +392,92 @@ const ProductsPage = () => {
         color: '#6b7280'
     };
 
-    if (loading) {
+    const didYouMeanStyle = {
+        marginBottom: '1rem',
+        fontSize: '1rem',
+        color: '#374151'
+    };
+
+    const didYouMeanLinkStyle = {
+        padding: 0,
+        border: 'none',
+        background: 'none',
+        color: '#2563eb',
+        fontSize: '1rem',
+        fontWeight: '600',
+        fontStyle: 'italic',
+        textDecoration: 'underline',
+        cursor: 'pointer'
+    };
+
+    // The suggestion sits mid-sentence in Bangla, so the message is split
+    // around it to make the suggestion itself the link
+    const renderDidYouMean = () => {
+        const [before, after] = t('products.didYouMean', { suggestion: SUGGESTION_MARK }).split(SUGGESTION_MARK);
+
+        return (
+            <p style={didYouMeanStyle}>
+                {before}
+                <button
+                    onClick={() => handleParamChange('search', didYouMean.text)}
+                    style={didYouMeanLinkStyle}
+                >
+                    {didYouMean.text}
+                </button>
+                {after}
+            </p>
+        );
+    };
+
+    // One facet as a list of values with their counts. Values nothing matches
+    // any more stay listed while ticked, so they can be unticked.
+    const renderFacet = (facet, title, options, isChecked, onToggle, { type = 'checkbox', name = facet } = {}) => {
+        if (!options || options.length === 0) {
+            return null;
+        }
+
+        const expanded = expandedFacets[facet];
+        const shown = expanded ? options : options.slice(0, FACET_VALUES_SHOWN);
+
+        return (
+            <div key={facet} style={filterSectionStyle}>
+                <h3 style={filterTitleStyle}>{title}</h3>
+                {shown.map((option) => {
+                    const checked = isChecked(option.value);
+                    const disabled = option.count === 0 && !checked;
+                    return (
+                        <label key={option.value} style={facetOptionStyle(disabled)}>
+                            <input
+                                type={type}
+                                name={name}
+                                checked={checked}
+                                disabled={disabled}
+                                onChange={() => onToggle(option.value)}
+                            />
+                            <span style={{ flex: 1 }}>{option.label || option.value}</span>
+                            {option.count !== undefined && (
+                                <span style={facetCountStyle}>
+                                    {t('products.facetCount', { count: formatNumber(option.count) })}
+                                </span>
+                            )}
+                        </label>
+                    );
+                })}
+                {options.length > FACET_VALUES_SHOWN && (
+                    <button type="button" onClick={() => toggleExpanded(facet)} style={showMoreStyle}>
+                        {expanded ? t('products.showLess') : t('products.showMore')}
+                    </button>
+                )}
+            </div>
+        );
+    };
+
+    // Only the first load replaces the page; later ones keep the sidebar in place
+    if (loading && !facets) {
         return (
             <div style={containerStyle}>
                 <div style={innerContainerStyle}>
-                    <div style={loadingStyle}>Loading products...</div>
+                    <div style={loadingStyle}>{t('products.loading')}</div>
                 </div>
             </div>
         );
@@ -316,9 +488,9 @@ const ProductsPage = () => {
             <div style={containerStyle}>
                 <div style={innerContainerStyle}>
                     <div style={errorStyle}>
-                        <p>{error}</p>
+                        <p>{t(error)}</p>
                         <button onClick={loadProducts} style={buttonStyle}>
-                            Try Again
+                            {t('common.tryAgain')}
                         </button>
                     </div>
                 </div>
@@ -330,82 +502,114 @@ const ProductsPage = () => {
         <div style={containerStyle}>
             <div style={innerContainerStyle}>
                 <div style={headerStyle}>
-                    <h1 style={titleStyle}>Products</h1>
+                    <h1 style={titleStyle}>{t('products.title')}</h1>
                     <p style={subtitleStyle}>
-                        {products.length} products found
-                        {filters.search && ` for "${filters.search}"`}
+                        {search
+                            ? t('products.foundFor', { count: formatNumber(pagination?.total || 0), search })
+                            : t('products.found', { count: formatNumber(pagination?.total || 0) })}
                     </p>
                 </div>
 
                 <div style={contentStyle}>
                     {/* Sidebar Filters */}
                     <div style={sidebarStyle}>
-                        <div style={filterSectionStyle}>
-                            <h3 style={filterTitleStyle}>Search</h3>
-                            <input
-                                type="text"
-                                placeholder="Search products..."
-                                value={filters.search}
-                                onChange={(e) => handleFilterChange('search', e.target.value)}
-                                style={inputStyle}
-                            />
-                        </div>
-
-                        <div style={filterSectionStyle}>
-                            <h3 style={filterTitleStyle}>Category</h3>
-                            <select
-                                value={filters.category}
-                                onChange={(e) => handleFilterChange('category', e.target.value)}
-                                style={selectStyle}
-                            >
-                                <option value="">All Categories</option>
-                                {categories.map((category) => (
-                                    <option key={category.id} value={category.id}>
-                                        {category.name}
-                                    </option>
-                                ))}
-                            </select>
-                        </div>
-
-                        <div style={filterSectionStyle}>
-                            <h3 style={filterTitleStyle}>Price Range</h3>
-                            <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem' }}>
+                        <form onSubmit={applyFilters}>
+                            <div style={filterSectionStyle}>
+                                <h3 style={filterTitleStyle}>{t('products.search')}</h3>
                                 <input
-                                    type="number"
-                                    placeholder="Min"
-                                    value={filters.minPrice}
-                                    onChange={(e) => handleFilterChange('minPrice', e.target.value)}
-                                    style={inputStyle}
-                                />
-                                <input
-                                    type="number"
-                                    placeholder="Max"
-                                    value={filters.maxPrice}
-                                    onChange={(e) => handleFilterChange('maxPrice', e.target.value)}
+                                    type="text"
+                                    placeholder={t('header.searchPlaceholder')}
+                                    value={draft.search}
+                                    onChange={(e) => setDraft({ ...draft, search: e.target.value })}
                                     style={inputStyle}
                                 />
                             </div>
-                        </div>
+
+                            <div style={filterSectionStyle}>
+                                <h3 style={filterTitleStyle}>{t('products.priceRange')}</h3>
+                                <div style={{ display: 'flex', gap: '0.5rem', marginBottom: '0.5rem' }}>
+                                    <input
+                                        type="number"
+                                        placeholder={t('products.min')}
+                                        value={draft.minPrice}
+                                        onChange={(e) => setDraft({ ...draft, minPrice: e.target.value })}
+                                        style={inputStyle}
+                                    />
+                                    <input
+                                        type="number"
+                                        placeholder={t('products.max')}
+                                        value={draft.maxPrice}
+                                        onChange={(e) => setDraft({ ...draft, maxPrice: e.target.value })}
+                                        style={inputStyle}
+                                    />
+                                </div>
+                                <button type="submit" style={{ ...buttonStyle, marginTop: 0 }}>
+                                    {t('products.applyFilters')}
+                                </button>
+                            </div>
+                        </form>
 
                         <div style={filterSectionStyle}>
-                            <h3 style={filterTitleStyle}>Sort By</h3>
+                            <h3 style={filterTitleStyle}>{t('products.sortBy')}</h3>
                             <select
-                                value={filters.sortBy}
-                                onChange={(e) => handleFilterChange('sortBy', e.target.value)}
+                                value={sortBy}
+                                onChange={(e) => handleParamChange('sortBy', e.target.value)}
                                 style={selectStyle}
                             >
-                                <option value="name">Name</option>
-                                <option value="price_asc">Price: Low to High</option>
-                                <option value="price_desc">Price: High to Low</option>
-                                <option value="newest">Newest First</option>
+                                <option value="relevance">{t('products.sortRelevance')}</option>
+                                <option value="popularity">{t('products.sortPopular')}</option>
+                                <option value="rating">{t('products.sortRating')}</option>
+                                <option value="price_asc">{t('products.sortPriceAsc')}</option>
+                                <option value="price_desc">{t('products.sortPriceDesc')}</option>
+                                <option value="newest">{t('products.sortNewest')}</option>
                             </select>
                         </div>
 
-                        <button onClick={loadProducts} style={buttonStyle}>
-                            Apply Filters
-                        </button>
+                        {facets && (
+                            <>
+                                {renderFacet(
+                                    'category',
+                                    t('products.category'),
+                                    [
+                                        { value: '', label: t('products.allCategories') },
+                                        ...facets.category.map(option => ({
+                                            ...option,
+                                            label: localize({ name: option.label || option.value, name_bn: option.labelBn }, 'name')
+                                        }))
+                                    ],
+                                    (value) => value === category,
+                                    (value) => handleParamChange('category', value),
+                                    { type: 'radio' }
+                                )}
+
+                                {renderFacet(
+                                    'availability',
+                                    t('products.availability'),
+                                    [{ value: 'true', label: t('products.inStockOnly'), count: facets.availability.inStock }],
+                                    () => searchParams.get('inStock') === 'true',
+                                    () => handleParamChange('inStock', searchParams.get('inStock') === 'true' ? '' : 'true')
+                                )}
+
+                                {ATTRIBUTE_FACETS.map(facet => renderFacet(
+                                    facet,
+                                    t(`products.${facet}`),
+                                    facets[facet],
+                                    (value) => searchParams.getAll(facet).includes(value),
+                                    (value) => toggleParamValue(facet, value)
+                                ))}
+
+                                {facets.specs.map(spec => renderFacet(
+                                    `spec:${spec.name}`,
+                                    spec.name,
+                                    spec.values,
+                                    (value) => specs.includes(`${spec.name}:${value}`),
+                                    (value) => toggleParamValue('spec', `${spec.name}:${value}`)
+                                ))}
+                            </>
+                        )}
+
                         <button onClick={clearFilters} style={clearButtonStyle}>
-                            Clear Filters
+                            {t('products.clearFilters')}
                         </button>
                     </div>
 
@@ -414,7 +618,7 @@ const ProductsPage = () => {
                         <div style={toolbarStyle}>
                             <div>
                                 <span style={{ fontSize: '0.875rem', color: '#6b7280' }}>
-                                    Showing {products.length} products
+                                    {t('products.showing', { count: formatNumber(products.length) })}
                                 </span>
                             </div>
                             <div style={viewToggleStyle}>
@@ -422,21 +626,23 @@ const ProductsPage = () => {
                                     onClick={() => setViewMode('grid')}
                                     style={viewButtonStyle(viewMode === 'grid')}
                                 >
-                                    ⊞ Grid
+                                    ⊞ {t('products.grid')}
                                 </button>
                                 <button
                                     onClick={() => setViewMode('list')}
                                     style={viewButtonStyle(viewMode === 'list')}
                                 >
-                                    ☰ List
+                                    ☰ {t('products.list')}
                                 </button>
                             </div>
                         </div>
 
+                        {didYouMean && renderDidYouMean()}
+
                         {products.length === 0 ? (
                             <div style={noResultsStyle}>
-                                <h3>No products found</h3>
-                                <p>Try adjusting your search criteria or filters.</p>
+                                <h3>{t('products.noResults')}</h3>
+                                <p>{t('products.noResultsHint')}</p>
                             </div>
                         ) : (
                             <div style={gridStyle}>
@@ -447,7 +653,7 @@ const ProductsPage = () => {
                                                 {product.image_url ? (
                                                     <img
                                                         src={product.image_url}
-                                                        alt={product.name}
+                                                        alt={localize(product, 'name')}
                                                         style={{ width: '100%', height: '100%', objectFit: 'cover' }}
                                                     />
                                                 ) : (
@@ -460,29 +666,29 @@ const ProductsPage = () => {
                                                         to={`/products/${product.id}`}
                                                         style={{ textDecoration: 'none', color: 'inherit' }}
                                                     >
-                                                        {product.name}
+                                                        {localize(product, 'name')}
                                                     </Link>
                                                 </h3>
                                                 <div style={{ display: 'flex', alignItems: 'center', marginBottom: '0.5rem' }}>
                                                     <span style={{ color: '#facc15' }}>⭐⭐⭐⭐⭐</span>
                                                     <span style={{ marginLeft: '0.5rem', fontSize: '0.875rem', color: '#6b7280' }}>
-                                                        (24)
+                                                        ({formatNumber(24)})
                                                     </span>
                                                 </div>
-                                                {product.description && (
+                                                {localize(product, 'description') && (
                                                     <p style={descriptionStyle}>
-                                                        {product.description.length > 100
-                                                            ? product.description.substring(0, 100) + '...'
-                                                            : product.description}
+                                                        {localize(product, 'description').length > 100
+                                                            ? localize(product, 'description').substring(0, 100) + '...'
+                                                            : localize(product, 'description')}
                                                     </p>
                                                 )}
                                                 <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center' }}>
                                                     <p style={priceStyle}>
-                                                        ${parseFloat(product.price).toFixed(2)}
+                                                        {formatCurrency(product.price)}
                                                     </p>
                                                 </div>
                                                 <button style={addToCartStyle}>
-                                                    Add to Cart
+                                                    {t('common.addToCart')}
                                                 </button>
                                             </div>
                                         </div>
@@ -492,7 +698,7 @@ const ProductsPage = () => {
                                                 {product.image_url ? (
                                                     <img
                                                         src={product.image_url}
-                                                        alt={product.name}
+                                                        alt={localize(product, 'name')}
                                                         style={{ width: '100%', height: '100%', objectFit: 'cover' }}
                                                     />
                                                 ) : (
@@ -505,29 +711,29 @@ const ProductsPage = () => {
                                                         to={`/products/${product.id}`}
                                                         style={{ textDecoration: 'none', color: 'inherit' }}
                                                     >
-                                                        {product.name}
+                                                        {localize(product, 'name')}
                                                     </Link>
                                                 </h3>
                                                 <div style={{ display: 'flex', alignItems: 'center', marginBottom: '0.5rem' }}>
                                                     <span style={{ color: '#facc15' }}>⭐⭐⭐⭐⭐</span>
                                                     <span style={{ marginLeft: '0.5rem', fontSize: '0.875rem', color: '#6b7280' }}>
-                                                        (24)
+                                                        ({formatNumber(24)})
                                                     </span>
                                                 </div>
-                                                {product.description && (
+                                                {localize(product, 'description') && (
                                                     <p style={descriptionStyle}>
-                                                        {product.description.length > 200
-                                                            ? product.description.substring(0, 200) + '...'
-                                                            : product.description}
+                                                        {localize(product, 'description').length > 200
+                                                            ? localize(product, 'description').substring(0, 200) + '...'
+                                                            : localize(product, 'description')}
                                                     </p>
                                                 )}
                                             </div>
                                             <div style={{ display: 'flex', flexDirection: 'column', alignItems: 'flex-end', gap: '0.5rem' }}>
                                                 <p style={priceStyle}>
-                                                    ${parseFloat(product.price).toFixed(2)}
+                                                    {formatCurrency(product.price)}
                                                 </p>
                                                 <button style={addToCartStyle}>
-                                                    Add to Cart
+                                                    {t('common.addToCart')}
                                                 </button>
                                             </div>
                                         </div>
@@ -535,6 +741,28 @@ const ProductsPage = () => {
                                 ))}
                             </div>
                         )}
+
+                        {pagination && pagination.totalPages > 1 && (
+                            <div style={paginationStyle}>
+                                <button
+                                    onClick={() => goToPage(pagination.page - 1)}
+                                    disabled={!pagination.hasPrev}
+                                    style={viewButtonStyle(false)}
+                                >
+                                    {t('common.previous')}
+                                </button>
+                                <span>
+                                    {t('common.pageOf', { page: formatNumber(pagination.page), total: formatNumber(pagination.totalPages) })}
+                                </span>
+                                <button
+                                    onClick={() => goToPage(pagination.page + 1)}
+                                    disabled={!pagination.hasNext}
+                                    style={viewButtonStyle(false)}
+                                >
+                                    {t('common.next')}
+                                </button>
+                            </div>
+                        )}
                     </div>
                 </div>
             </div>
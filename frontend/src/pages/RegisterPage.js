@@ -2,8 +2,10 @@ import React, { useState } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import apiClient from '../api';
 import logger from '../logger';
+import { useI18n } from '../contexts/I18nContext';
 
 const RegisterPage = ({ onRegister }) => {
+    const { t, locale } = useI18n();
     const [formData, setFormData] = useState({
         firstName: '',
         lastName: '',
@@ -38,31 +40,31 @@ const RegisterPage = ({ onRegister }) => {
         const errors = {};
 
         if (!formData.firstName.trim()) {
-            errors.firstName = 'First name is required';
+            errors.firstName = t('checkout.firstNameRequired');
         }
 
         if (!formData.lastName.trim()) {
-            errors.lastName = 'Last name is required';
+            errors.lastName = t('checkout.lastNameRequired');
         }
 
         if (!formData.email.trim()) {
-            errors.email = 'Email is required';
+            errors.email = t('checkout.emailRequired');
         } else if (!/\S+@\S+\.\S+/.test(formData.email)) {
-            errors.email = 'Email is invalid';
+            errors.email = t('checkout.emailInvalid');
         }
 
         if (!formData.password) {
-            errors.password = 'Password is required';
+            errors.password = t('auth.passwordRequired');
         } else if (formData.password.length < 6) {
-            errors.password = 'Password must be at least 6 characters';
+            errors.password = t('auth.passwordTooShort');
         }
 
         if (formData.password !== formData.confirmPassword) {
-            errors.confirmPassword = 'Passwords do not match';
+            errors.confirmPassword = t('auth.passwordMismatch');
         }
 
         if (!formData.agreeToTerms) {
-            errors.agreeToTerms = 'You must agree to the terms and conditions';
+            errors.agreeToTerms = t('auth.mustAgree');
         }
 
         return errors;
@@ -89,7 +91,8 @@ const RegisterPage = ({ onRegister }) => {
                 lastName: formData.lastName,
                 email: formData.email,
                 password: formData.password,
-                phone: formData.phone
+                phone: formData.phone,
+                locale
             });
 
             const { user, token } = response.data;
@@ -109,7 +112,7 @@ const RegisterPage = ({ onRegister }) => {
             navigate('/');
 
         } catch (err) {
-            const errorMessage = err.message || 'Registration failed';
+            const errorMessage = err.message || t('auth.registrationFailed');
             setError(errorMessage);
             logger.error('User registration failed', {
                 email: formData.email,
@@ -270,7 +273,7 @@ const RegisterPage = ({ onRegister }) => {
     return (
         <div style={containerStyle}>
             <div style={cardStyle}>
-                <h1 style={titleStyle}>Create Your Account</h1>
+                <h1 style={titleStyle}>{t('auth.registerTitle')}</h1>
 
                 {error && (
                     <div style={errorStyle}>
@@ -282,7 +285,7 @@ const RegisterPage = ({ onRegister }) => {
                     <div style={rowStyle}>
                         <div style={{ flex: 1 }}>
                             <label htmlFor="firstName" style={labelStyle}>
-                                First Name *
+                                {t('checkout.firstName')}
                             </label>
                             <input
                                 type="text"
@@ -291,7 +294,7 @@ const RegisterPage = ({ onRegister }) => {
                                 value={formData.firstName}
                                 onChange={handleChange}
                                 style={validationErrors.firstName ? errorInputStyle : inputStyle}
-                                placeholder="Enter your first name"
+                                placeholder={t('auth.firstNamePlaceholder')}
                             />
                             {validationErrors.firstName && (
                                 <div style={fieldErrorStyle}>{validationErrors.firstName}</div>
@@ -300,7 +303,7 @@ const RegisterPage = ({ onRegister }) => {
 
                         <div style={{ flex: 1 }}>
                             <label htmlFor="lastName" style={labelStyle}>
-                                Last Name *
+                                {t('checkout.lastName')}
                             </label>
                             <input
                                 type="text"
@@ -309,7 +312,7 @@ const RegisterPage = ({ onRegister }) => {
                                 value={formData.lastName}
                                 onChange={handleChange}
                                 style={validationErrors.lastName ? errorInputStyle : inputStyle}
-                                placeholder="Enter your last name"
+                                placeholder={t('auth.lastNamePlaceholder')}
                             />
                             {validationErrors.lastName && (
                                 <div style={fieldErrorStyle}>{validationErrors.lastName}</div>
@@ -319,7 +322,7 @@ const RegisterPage = ({ onRegister }) => {
 
                     <div>
                         <label htmlFor="email" style={labelStyle}>
-                            Email Address *
+                            {t('account.email')} *
                         </label>
                         <input
                             type="email"
@@ -328,7 +331,7 @@ const RegisterPage = ({ onRegister }) => {
                             value={formData.email}
                             onChange={handleChange}
                             style={validationErrors.email ? errorInputStyle : inputStyle}
-                            placeholder="Enter your email"
+                            placeholder={t('auth.emailPlaceholder')}
                         />
                         {validationErrors.email && (
                             <div style={fieldErrorStyle}>{validationErrors.email}</div>
@@ -337,7 +340,7 @@ const RegisterPage = ({ onRegister }) => {
 
                     <div>
                         <label htmlFor="phone" style={labelStyle}>
-                            Phone Number
+                            {t('account.phone')}
                         </label>
                         <input
                             type="tel"
@@ -346,13 +349,13 @@ const RegisterPage = ({ onRegister }) => {
                             value={formData.phone}
                             onChange={handleChange}
                             style={inputStyle}
-                            placeholder="Enter your phone number"
+                            placeholder={t('auth.phonePlaceholder')}
                         />
                     </div>
 
                     <div>
                         <label htmlFor="password" style={labelStyle}>
-                            Password *
+                            {t('auth.password')} *
                         </label>
                         <input
                             type="password"
@@ -361,7 +364,7 @@ const RegisterPage = ({ onRegister }) => {
                             value={formData.password}
                             onChange={handleChange}
                             style={validationErrors.password ? errorInputStyle : inputStyle}
-                            placeholder="Create a password"
+                            placeholder={t('auth.createPassword')}
                         />
                         {validationErrors.password && (
                             <div style={fieldErrorStyle}>{validationErrors.password}</div>
@@ -370,7 +373,7 @@ const RegisterPage = ({ onRegister }) => {
 
                     <div>
                         <label htmlFor="confirmPassword" style={labelStyle}>
-                            Confirm Password *
+                            {t('auth.confirmPassword')} *
                         </label>
                         <input
                             type="password"
@@ -379,7 +382,7 @@ const RegisterPage = ({ onRegister }) => {
                             value={formData.confirmPassword}
                             onChange={handleChange}
                             style={validationErrors.confirmPassword ? errorInputStyle : inputStyle}
-                            placeholder="Confirm your password"
+                            placeholder={t('auth.confirmPasswordPlaceholder')}
                         />
                         {validationErrors.confirmPassword && (
                             <div style={fieldErrorStyle}>{validationErrors.confirmPassword}</div>
@@ -396,10 +399,10 @@ const RegisterPage = ({ onRegister }) => {
                             style={checkboxStyle}
                         />
                         <label htmlFor="agreeToTerms" style={{ ...labelStyle, marginBottom: 0, fontSize: '0.875rem' }}>
-                            I agree to the{' '}
-                            <Link to="/terms" style={linkStyle}>Terms of Service</Link>
-                            {' '}and{' '}
-                            <Link to="/privacy" style={linkStyle}>Privacy Policy</Link>
+                            {t('auth.agreeTo')}{' '}
+                            <Link to="/terms" style={linkStyle}>{t('footer.terms')}</Link>
+                            {' '}{t('auth.and')}{' '}
+                            <Link to="/privacy" style={linkStyle}>{t('footer.privacy')}</Link>
                         </label>
                     </div>
                     {validationErrors.agreeToTerms && (
@@ -411,30 +414,30 @@ const RegisterPage = ({ onRegister }) => {
                         disabled={loading}
                         style={buttonStyle}
                     >
-                        {loading ? 'Creating Account...' : 'Create Account'}
+                        {loading ? t('auth.creatingAccount') : t('auth.createAccount')}
                     </button>
                 </form>
 
                 <div style={dividerStyle}>
                     <div style={dividerLineStyle}></div>
-                    <span style={dividerTextStyle}>Or sign up with</span>
+                    <span style={dividerTextStyle}>{t('auth.orSignUpWith')}</span>
                 </div>
 
                 <button style={socialButtonStyle}>
                     <span>🔵</span>
-                    Sign up with Google
+                    {t('auth.signUpWith', { provider: 'Google' })}
                 </button>
 
                 <button style={socialButtonStyle}>
                     <span>📘</span>
-                    Sign up with Facebook
+                    {t('auth.signUpWith', { provider: 'Facebook' })}
                 </button>
 
                 <div style={linkContainerStyle}>
                     <p style={{ color: '#6b7280', margin: 0 }}>
-                        Already have an account?{' '}
+                        {t('auth.haveAccount')}{' '}
                         <Link to="/login" style={linkStyle}>
-                            Sign in here
+                            {t('auth.signInHere')}
                         </Link>
                     </p>
                 </div>
@@ -0,0 +1,590 @@
+import React, { useState, useEffect } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import apiClient from '../api';
+import logger from '../logger';
+import { useI18n } from '../contexts/I18nContext';
+
+const RETURN_REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'size_or_fit', 'changed_mind', 'other'];
+const MAX_PHOTOS = 5;
+
+const emptyRequest = {
+    orderId: '',
+    orderItemId: '',
+    type: 'return',
+    quantity: 1,
+    reason: 'damaged',
+    details: '',
+    exchangeVariantId: ''
+};
+
+const ReturnsPage = () => {
+    const { t, localize, formatCurrency, formatNumber, formatDate } = useI18n();
+    const [returns, setReturns] = useState([]);
+    const [loading, setLoading] = useState(true);
+    const [error, setError] = useState(null);
+    const [showForm, setShowForm] = useState(false);
+    const [orders, setOrders] = useState([]);
+    const [orderItems, setOrderItems] = useState([]);
+    const [variants, setVariants] = useState([]);
+    const [formData, setFormData] = useState(emptyRequest);
+    const [photos, setPhotos] = useState([]);
+    const [saving, setSaving] = useState(false);
+    const navigate = useNavigate();
+
+    useEffect(() => {
+        loadReturns();
+    }, []);
+
+    const getAuthHeaders = () => ({
+        headers: { 'Authorization': `Bearer ${localStorage.getItem('authToken')}` }
+    });
+
+    const loadReturns = async () => {
+        try {
+            const token = localStorage.getItem('authToken');
+            if (!token) {
+                navigate('/login');
+                return;
+            }
+
+            setLoading(true);
+            setError(null);
+
+            const response = await apiClient.get('/returns', getAuthHeaders());
+            const myReturns = response.data.data.returns;
+            setReturns(myReturns);
+            logger.info('Return requests loaded', { returnCount: myReturns.length });
+        } catch (err) {
+            if (err.response?.status === 401) {
+                navigate('/login');
+                return;
+            }
+            setError('returns.loadFailed');
+            logger.error('Failed to load return requests', { error: err.message });
+        } finally {
+            setLoading(false);
+        }
+    };
+
+    // Only delivered orders can be returned
+    const openForm = async () => {
+        try {
+            const response = await apiClient.get('/cart/orders?status=delivered&limit=50', getAuthHeaders());
+            setOrders(response.data.data.orders);
+            setFormData(emptyRequest);
+            setOrderItems([]);
+            setVariants([]);
+            setPhotos([]);
+            setShowForm(true);
+        } catch (err) {
+            logger.error('Failed to load delivered orders', { error: err.message });
+            alert(t('returns.ordersLoadFailed'));
+        }
+    };
+
+    const handleOrderChange = async (orderId) => {
+        setFormData({ ...emptyRequest, orderId });
+        setOrderItems([]);
+        setVariants([]);
+        if (!orderId) {
+            return;
+        }
+
+        try {
+            const response = await apiClient.get(`/cart/orders/${orderId}`, getAuthHeaders());
+            setOrderItems(response.data.data.order.items);
+        } catch (err) {
+            logger.error('Failed to load order items', { orderId, error: err.message });
+            alert(t('returns.ordersLoadFailed'));
+        }
+    };
+
+    const selectedItem = orderItems.find(item => String(item.id) === String(formData.orderItemId));
+
+    // Exchanges go to another variant of the same product
+    const loadVariants = async (item) => {
+        setVariants([]);
+        if (!item || !item.variant_id) {
+            return;
+        }
+
+        try {
+            const response = await apiClient.get(`/products/${item.product_id}`);
+            const productVariants = response.data.data.product.variants || [];
+            setVariants(productVariants.filter(variant => variant.is_active));
+        } catch (err) {
+            logger.error('Failed to load product variants', { productId: item.product_id, error: err.message });
+        }
+    };
+
+    const handleItemChange = (orderItemId) => {
+        setFormData({ ...formData, orderItemId, quantity: 1, exchangeVariantId: '' });
+        const item = orderItems.find(orderItem => String(orderItem.id) === String(orderItemId));
+        if (formData.type === 'exchange') {
+            loadVariants(item);
+        }
+    };
+
+    const handleTypeChange = (type) => {
+        setFormData({ ...formData, type, exchangeVariantId: '' });
+        if (type === 'exchange') {
+            loadVariants(selectedItem);
+        }
+    };
+
+    const handlePhotosChange = (e) => {
+        const files = Array.from(e.target.files);
+        if (files.length > MAX_PHOTOS) {
+            alert(t('returns.tooManyPhotos', { count: formatNumber(MAX_PHOTOS) }));
+            e.target.value = '';
+            return;
+        }
+        setPhotos(files);
+    };
+
+    const handleSubmit = async (e) => {
+        e.preventDefault();
+
+        const payload = {
+            orderItemId: parseInt(formData.orderItemId, 10),
+            type: formData.type,
+            quantity: parseInt(formData.quantity, 10),
+            reason: formData.reason,
+            details: formData.details
+        };
+        if (formData.type === 'exchange' && formData.exchangeVariantId) {
+            payload.exchangeVariantId = parseInt(formData.exchangeVariantId, 10);
+        }
+
+        try {
+            setSaving(true);
+            const response = await apiClient.post('/returns', payload, getAuthHeaders());
+            const returnRequest = response.data.data.return;
+
+            if (photos.length > 0) {
+                const photoData = new FormData();
+                photos.forEach(photo => photoData.append('images', photo));
+                try {
+                    await apiClient.upload(`/returns/${returnRequest.id}/photos`, photoData, getAuthHeaders());
+                } catch (err) {
+                    // The request stands without its photos
+                    logger.error('Return photo upload failed', { returnId: returnRequest.id, error: err.message });
+                    alert(err.response?.data?.error || t('returns.photosFailed'));
+                }
+            }
+
+            logger.info('Return request submitted', { returnId: returnRequest.id, type: returnRequest.type });
+            setShowForm(false);
+            await loadReturns();
+        } catch (err) {
+            logger.error('Return request failed', { error: err.message });
+            const details = err.response?.data?.details;
+            alert(details ? details.map(detail => detail.message).join('\n') : err.response?.data?.error || t('returns.submitFailed'));
+        } finally {
+            setSaving(false);
+        }
+    };
+
+    const handleCancel = async (returnRequest) => {
+        if (!window.confirm(t('returns.confirmCancel', { number: returnRequest.return_number }))) {
+            return;
+        }
+
+        try {
+            await apiClient.post(`/returns/${returnRequest.id}/cancel`, {}, getAuthHeaders());
+            logger.info('Return request cancelled', { returnId: returnRequest.id });
+            await loadReturns();
+        } catch (err) {
+            logger.error('Return cancel failed', { returnId: returnRequest.id, error: err.message });
+            alert(err.response?.data?.error || t('returns.cancelFailed'));
+        }
+    };
+
+    const getStatusColor = (status) => {
+        switch (status) {
+            case 'refunded':
+            case 'exchanged':
+                return '#059669';
+            case 'approved':
+            case 'pickup_scheduled':
+            case 'received':
+            case 'refunding':
+                return '#2563eb';
+            case 'requested':
+                return '#d97706';
+            case 'rejected':
+                return '#dc2626';
+            default:
+                return '#6b7280';
+        }
+    };
+
+    const containerStyle = {
+        minHeight: '100vh',
+        backgroundColor: '#f9fafb',
+        padding: '2rem 0'
+    };
+
+    const innerContainerStyle = {
+        maxWidth: '1000px',
+        margin: '0 auto',
+        padding: '0 1rem'
+    };
+
+    const cardStyle = {
+        backgroundColor: 'white',
+        borderRadius: '0.5rem',
+        padding: '1.5rem',
+        marginBottom: '1.5rem',
+        boxShadow: '0 4px 6px rgba(0, 0, 0, 0.1)'
+    };
+
+    const headerStyle = {
+        ...cardStyle,
+        padding: '2rem',
+        display: 'flex',
+        justifyContent: 'space-between',
+        alignItems: 'center',
+        flexWrap: 'wrap',
+        gap: '1rem'
+    };
+
+    const titleStyle = {
+        fontSize: '2rem',
+        fontWeight: '800',
+        color: '#111827',
+        marginBottom: '0.5rem'
+    };
+
+    const subtitleStyle = {
+        color: '#6b7280',
+        fontSize: '1rem'
+    };
+
+    const labelStyle = {
+        display: 'block',
+        fontSize: '0.875rem',
+        fontWeight: '500',
+        color: '#374151',
+        marginBottom: '0.25rem'
+    };
+
+    const inputStyle = {
+        width: '100%',
+        padding: '0.5rem 0.75rem',
+        border: '1px solid #d1d5db',
+        borderRadius: '0.375rem',
+        fontSize: '0.875rem',
+        boxSizing: 'border-box'
+    };
+
+    const fieldStyle = {
+        marginBottom: '1rem'
+    };
+
+    const actionButtonStyle = {
+        padding: '0.5rem 1rem',
+        backgroundColor: '#2563eb',
+        color: 'white',
+        border: 'none',
+        borderRadius: '0.375rem',
+        fontSize: '0.875rem',
+        fontWeight: '600',
+        cursor: 'pointer',
+        textDecoration: 'none',
+        display: 'inline-block'
+    };
+
+    const secondaryButtonStyle = {
+        ...actionButtonStyle,
+        backgroundColor: 'white',
+        color: '#374151',
+        border: '1px solid #d1d5db',
+        marginRight: '0.5rem'
+    };
+
+    const statusBadgeStyle = (status) => ({
+        padding: '0.25rem 0.75rem',
+        borderRadius: '9999px',
+        fontSize: '0.75rem',
+        fontWeight: '600',
+        backgroundColor: getStatusColor(status) + '20',
+        color: getStatusColor(status),
+        textTransform: 'uppercase'
+    });
+
+    const detailStyle = {
+        fontSize: '0.875rem',
+        color: '#6b7280',
+        marginTop: '0.25rem'
+    };
+
+    if (loading) {
+        return (
+            <div style={containerStyle}>
+                <div style={innerContainerStyle}>
+                    <div style={{ textAlign: 'center', padding: '4rem' }}>
+                        <h2>{t('returns.loading')}</h2>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    if (error) {
+        return (
+            <div style={containerStyle}>
+                <div style={innerContainerStyle}>
+                    <div style={{ textAlign: 'center', padding: '4rem' }}>
+                        <h2 style={{ color: '#dc2626' }}>{t(error)}</h2>
+                        <button onClick={loadReturns} style={actionButtonStyle}>
+                            {t('common.tryAgain')}
+                        </button>
+                    </div>
+                </div>
+            </div>
+        );
+    }
+
+    return (
+        <div style={containerStyle}>
+            <div style={innerContainerStyle}>
+                <div style={headerStyle}>
+                    <div>
+                        <h1 style={titleStyle}>{t('returns.title')}</h1>
+                        <p style={subtitleStyle}>{t('returns.subtitle')}</p>
+                    </div>
+                    {!showForm && (
+                        <button onClick={openForm} style={actionButtonStyle}>
+                            {t('returns.newRequest')}
+                        </button>
+                    )}
+                </div>
+
+                {showForm && (
+                    <form onSubmit={handleSubmit} style={cardStyle}>
+                        <h2 style={{ fontSize: '1.25rem', fontWeight: '700', marginBottom: '1rem' }}>
+                            {t('returns.newRequest')}
+                        </h2>
+
+                        {orders.length === 0 ? (
+                            <p style={detailStyle}>{t('returns.noDeliveredOrders')}</p>
+                        ) : (
+                            <>
+                                <div style={fieldStyle}>
+                                    <label style={labelStyle}>{t('returns.order')}</label>
+                                    <select
+                                        value={formData.orderId}
+                                        onChange={(e) => handleOrderChange(e.target.value)}
+                                        style={inputStyle}
+                                        required
+                                    >
+                                        <option value="">{t('returns.chooseOrder')}</option>
+                                        {orders.map(order => (
+                                            <option key={order.id} value={order.id}>
+                                                {order.order_number} · {formatDate(order.created_at, 'date')}
+                                            </option>
+                                        ))}
+                                    </select>
+                                </div>
+
+                                {orderItems.length > 0 && (
+                                    <div style={fieldStyle}>
+                                        <label style={labelStyle}>{t('returns.item')}</label>
+                                        <select
+                                            value={formData.orderItemId}
+                                            onChange={(e) => handleItemChange(e.target.value)}
+                                            style={inputStyle}
+                                            required
+                                        >
+                                            <option value="">{t('returns.chooseItem')}</option>
+                                            {orderItems.map(item => (
+                                                <option key={item.id} value={item.id}>
+                                                    {item.product_name}{item.variant_label ? ` (${item.variant_label})` : ''} × {formatNumber(item.quantity)}
+                                                </option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                )}
+
+                                {selectedItem && (
+                                    <>
+                                        <div style={{ display: 'flex', gap: '1rem' }}>
+                                            <div style={{ ...fieldStyle, flex: 1 }}>
+                                                <label style={labelStyle}>{t('returns.type')}</label>
+                                                <select
+                                                    value={formData.type}
+                                                    onChange={(e) => handleTypeChange(e.target.value)}
+                                                    style={inputStyle}
+                                                >
+                                                    <option value="return">{t('returns.types.return')}</option>
+                                                    <option value="exchange">{t('returns.types.exchange')}</option>
+                                                </select>
+                                            </div>
+                                            <div style={{ ...fieldStyle, flex: 1 }}>
+                                                <label style={labelStyle}>{t('returns.quantity')}</label>
+                                                <input
+                                                    type="number"
+                                                    min="1"
+                                                    max={selectedItem.quantity}
+                                                    value={formData.quantity}
+                                                    onChange={(e) => setFormData({ ...formData, quantity: e.target.value })}
+                                                    style={inputStyle}
+                                                    required
+                                                />
+                                            </div>
+                                        </div>
+
+                                        {formData.type === 'exchange' && variants.length > 0 && (
+                                            <div style={fieldStyle}>
+                                                <label style={labelStyle}>{t('returns.exchangeFor')}</label>
+                                                <select
+                                                    value={formData.exchangeVariantId}
+                                                    onChange={(e) => setFormData({ ...formData, exchangeVariantId: e.target.value })}
+                                                    style={inputStyle}
+                                                >
+                                                    <option value="">{t('returns.sameItem')}</option>
+                                                    {variants.map(variant => (
+                                                        <option key={variant.id} value={variant.id} disabled={variant.stock_quantity < 1}>
+                                                            {variant.title}{variant.stock_quantity < 1 ? ` — ${t('returns.outOfStock')}` : ''}
+                                                        </option>
+                                                    ))}
+                                                </select>
+                                            </div>
+                                        )}
+
+                                        <div style={fieldStyle}>
+                                            <label style={labelStyle}>{t('returns.reason')}</label>
+                                            <select
+                                                value={formData.reason}
+                                                onChange={(e) => setFormData({ ...formData, reason: e.target.value })}
+                                                style={inputStyle}
+                                            >
+                                                {RETURN_REASONS.map(reason => (
+                                                    <option key={reason} value={reason}>{t(`returns.reasons.${reason}`)}</option>
+                                                ))}
+                                            </select>
+                                        </div>
+
+                                        <div style={fieldStyle}>
+                                            <label style={labelStyle}>{t('returns.details')}</label>
+                                            <textarea
+                                                value={formData.details}
+                                                onChange={(e) => setFormData({ ...formData, details: e.target.value })}
+                                                maxLength={1000}
+                                                rows={3}
+                                                style={inputStyle}
+                                            />
+                                        </div>
+
+                                        <div style={fieldStyle}>
+                                            <label style={labelStyle}>
+                                                {t('returns.photos', { count: formatNumber(MAX_PHOTOS) })}
+                                            </label>
+                                            <input
+                                                type="file"
+                                                accept="image/jpeg,image/png,image/webp"
+                                                multiple
+                                                onChange={handlePhotosChange}
+                                            />
+                                        </div>
+                                    </>
+                                )}
+                            </>
+                        )}
+
+                        <div>
+                            <button type="button" onClick={() => setShowForm(false)} style={secondaryButtonStyle}>
+                                {t('common.cancel')}
+                            </button>
+                            {orders.length > 0 && (
+                                <button type="submit" disabled={saving || !selectedItem} style={actionButtonStyle}>
+                                    {saving ? t('returns.submitting') : t('returns.submit')}
+                                </button>
+                            )}
+                        </div>
+                    </form>
+                )}
+
+                {returns.length === 0 ? (
+                    <div style={{ ...cardStyle, textAlign: 'center', padding: '4rem 2rem' }}>
+                        <div style={{ fontSize: '4rem', marginBottom: '1rem' }}>↩️</div>
+                        <h2 style={{ fontSize: '1.5rem', fontWeight: '700', color: '#111827', marginBottom: '0.5rem' }}>
+                            {t('returns.empty')}
+                        </h2>
+                        <p style={{ color: '#6b7280' }}>
+                            {t('returns.emptyHint')}
+                        </p>
+                    </div>
+                ) : (
+                    returns.map(returnRequest => (
+                        <div key={returnRequest.id} style={cardStyle}>
+                            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'flex-start' }}>
+                                <div>
+                                    <div style={{ fontSize: '1.125rem', fontWeight: '700', color: '#111827' }}>
+                                        {returnRequest.return_number}
+                                    </div>
+                                    <div style={detailStyle}>
+                                        {t('returns.forOrder', {
+                                            order: returnRequest.order_number,
+                                            date: formatDate(returnRequest.created_at, 'date')
+                                        })}
+                                    </div>
+                                </div>
+                                <div style={statusBadgeStyle(returnRequest.status)}>
+                                    {t(`returns.statuses.${returnRequest.status}`)}
+                                </div>
+                            </div>
+
+                            <div style={{ marginTop: '1rem', fontSize: '0.875rem', color: '#111827' }}>
+                                <strong>{t(`returns.types.${returnRequest.type}`)}:</strong>{' '}
+                                {localize(returnRequest, 'product_name')}
+                                {returnRequest.variant_label ? ` (${returnRequest.variant_label})` : ''}
+                                {' × '}{formatNumber(returnRequest.quantity)}
+                                {returnRequest.exchange_variant_title && (
+                                    <span> → {returnRequest.exchange_variant_title}</span>
+                                )}
+                            </div>
+                            <div style={detailStyle}>
+                                {t(`returns.reasons.${returnRequest.reason}`)}
+                                {returnRequest.details ? ` — ${returnRequest.details}` : ''}
+                            </div>
+
+                            {returnRequest.pickup_date && (
+                                <div style={detailStyle}>
+                                    {t('returns.pickupOn', { date: formatDate(returnRequest.pickup_date, 'date') })}
+                                </div>
+                            )}
+                            {returnRequest.refund_amount && (
+                                <div style={{ ...detailStyle, color: '#059669', fontWeight: '600' }}>
+                                    {t('returns.refunded', { amount: formatCurrency(returnRequest.refund_amount) })}
+                                </div>
+                            )}
+                            {returnRequest.admin_note && (
+                                <div style={detailStyle}>
+                                    {t('returns.note', { note: returnRequest.admin_note })}
+                                </div>
+                            )}
+
+                            {['requested', 'approved'].includes(returnRequest.status) && (
+                                <div style={{ marginTop: '1rem' }}>
+                                    <button onClick={() => handleCancel(returnRequest)} style={secondaryButtonStyle}>
+                                        {t('returns.cancelRequest')}
+                                    </button>
+                                </div>
+                            )}
+                        </div>
+                    ))
+                )}
+
+                <div style={{ textAlign: 'center', marginTop: '2rem' }}>
+                    <Link to="/orders" style={secondaryButtonStyle}>
+                        ← {t('returns.backToOrders')}
+                    </Link>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default ReturnsPage;
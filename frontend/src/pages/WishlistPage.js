@@ -2,8 +2,10 @@ import React, { useState, useEffect } from 'react';
 import { Link, useNavigate } from 'react-router-dom';
 import apiClient from '../api';
 import logger from '../logger';
+import { useI18n } from '../contexts/I18nContext';
 
 const WishlistPage = ({ updateCartCount }) => {
+    const { t, formatCurrency, formatNumber } = useI18n();
     const [wishlistItems, setWishlistItems] = useState([]);
     const [loading, setLoading] = useState(true);
     const [error, setError] = useState(null);
@@ -13,6 +15,12 @@ const WishlistPage = ({ updateCartCount }) => {
         loadWishlist();
     }, []);
 
+    const authHeaders = () => ({
+        headers: {
+            'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+        }
+    });
+
     const loadWishlist = async () => {
         try {
             const token = localStorage.getItem('authToken');
@@ -24,80 +32,75 @@ const WishlistPage = ({ updateCartCount }) => {
             setLoading(true);
             setError(null);
 
-            // Load wishlist from localStorage (in a real app, this would be from the backend)
-            const wishlistData = localStorage.getItem('wishlist');
-            if (wishlistData) {
-                const wishlist = JSON.parse(wishlistData);
-                setWishlistItems(wishlist);
-                logger.info('Wishlist loaded', { itemCount: wishlist.length });
-            }
+            const response = await apiClient.get('/wishlist', authHeaders());
+            const wishlist = response.data.data.wishlist;
+
+            setWishlistItems(wishlist.items.map(item => ({
+                id: item.product_id,
+                name: item.product_name,
+                price: item.product_price,
+                image_url: item.product_image,
+                stock_quantity: item.product_stock
+            })));
+            logger.info('Wishlist loaded', { itemCount: wishlist.items.length });
 
         } catch (err) {
-            const errorMessage = 'Failed to load wishlist';
-            setError(errorMessage);
-            logger.error(errorMessage, { error: err.message });
+            setError('wishlist.loadFailed');
+            logger.error('Failed to load wishlist', { error: err.message });
         } finally {
             setLoading(false);
         }
     };
 
-    const removeFromWishlist = (productId) => {
-        const updatedWishlist = wishlistItems.filter(item => item.id !== productId);
-        setWishlistItems(updatedWishlist);
-        localStorage.setItem('wishlist', JSON.stringify(updatedWishlist));
-        logger.info('Item removed from wishlist', { productId });
+    const removeFromWishlist = async (productId) => {
+        try {
+            await apiClient.delete(`/wishlist/items/${productId}`, authHeaders());
+            setWishlistItems(items => items.filter(item => item.id !== productId));
+            logger.info('Item removed from wishlist', { productId });
+        } catch (err) {
+            logger.error('Failed to remove item from wishlist', { error: err.message, productId });
+            alert(t('wishlist.removeFailed'));
+        }
     };
 
-    const addToCart = (item) => {
-        try {
-            // Get current cart from localStorage
-            const currentCart = JSON.parse(localStorage.getItem('cart') || '[]');
-
-            // Check if product already exists in cart
-            const existingItemIndex = currentCart.findIndex(cartItem => cartItem.productId === item.id);
-
-            if (existingItemIndex >= 0) {
-                // Update quantity
-                currentCart[existingItemIndex].quantity += 1;
-            } else {
-                // Add new item
-                currentCart.push({
-                    productId: item.id,
-                    name: item.name,
-                    price: item.price,
-                    quantity: 1,
-                    image: item.image_url
-                });
-            }
+    const refreshCartCount = async () => {
+        if (!updateCartCount) {
+            return;
+        }
 
-            // Save to localStorage
-            localStorage.setItem('cart', JSON.stringify(currentCart));
+        try {
+            const response = await apiClient.get('/cart', authHeaders());
+            updateCartCount(response.data.data.cart.summary.totalItems);
+        } catch (err) {
+            logger.error('Failed to refresh cart count', { error: err.message });
+        }
+    };
 
-            // Update cart count in header
-            if (updateCartCount) {
-                const newCount = currentCart.reduce((total, cartItem) => total + cartItem.quantity, 0);
-                updateCartCount(newCount);
-            }
+    const moveToCart = async (item) => {
+        try {
+            await apiClient.post(`/wishlist/items/${item.id}/move-to-cart`, { quantity: 1 }, authHeaders());
+            setWishlistItems(items => items.filter(wishlistItem => wishlistItem.id !== item.id));
+            await refreshCartCount();
 
-            logger.info('Product added to cart from wishlist', { productId: item.id });
-            alert(`${item.name} added to cart!`);
+            logger.info('Product moved from wishlist to cart', { productId: item.id });
+            alert(t('productDetail.addedToCart', { name: item.name }));
 
         } catch (err) {
-            logger.error('Failed to add product to cart', { error: err.message });
-            alert('Failed to add product to cart. Please try again.');
+            logger.error('Failed to move product to cart', { error: err.message, productId: item.id });
+            alert(t('productDetail.addToCartFailed'));
         }
     };
 
-    const moveToCart = (item) => {
-        addToCart(item);
-        removeFromWishlist(item.id);
-    };
-
-    const clearWishlist = () => {
-        if (window.confirm('Are you sure you want to clear your entire wishlist?')) {
-            setWishlistItems([]);
-            localStorage.removeItem('wishlist');
-            logger.info('Wishlist cleared');
+    const clearWishlist = async () => {
+        if (window.confirm(t('wishlist.confirmClear'))) {
+            try {
+                await apiClient.delete('/wishlist', authHeaders());
+                setWishlistItems([]);
+                logger.info('Wishlist cleared');
+            } catch (err) {
+                logger.error('Failed to clear wishlist', { error: err.message });
+                alert(t('wishlist.clearFailed'));
+            }
         }
     };
 
@@ -287,7 +290,7 @@ const WishlistPage = ({ updateCartCount }) => {
             <div style={containerStyle}>
                 <div style={innerContainerStyle}>
                     <div style={{ textAlign: 'center', padding: '4rem' }}>
-                        <h2>Loading wishlist...</h2>
+                        <h2>{t('wishlist.loading')}</h2>
                     </div>
                 </div>
             </div>
@@ -299,9 +302,9 @@ const WishlistPage = ({ updateCartCount }) => {
             <div style={containerStyle}>
                 <div style={innerContainerStyle}>
                     <div style={{ textAlign: 'center', padding: '4rem' }}>
-                        <h2 style={{ color: '#dc2626' }}>{error}</h2>
+                        <h2 style={{ color: '#dc2626' }}>{t(error)}</h2>
                         <button onClick={loadWishlist} style={actionButtonStyle}>
-                            Try Again
+                            {t('common.tryAgain')}
                         </button>
                     </div>
                 </div>
@@ -313,31 +316,31 @@ const WishlistPage = ({ updateCartCount }) => {
         <div style={containerStyle}>
             <div style={innerContainerStyle}>
                 <div style={headerStyle}>
-                    <h1 style={titleStyle}>My Wishlist</h1>
+                    <h1 style={titleStyle}>{t('wishlist.title')}</h1>
                     <p style={subtitleStyle}>
-                        Save items for later and never lose track of what you want
+                        {t('wishlist.subtitle')}
                     </p>
                 </div>
 
                 {wishlistItems.length === 0 ? (
                     <div style={emptyStateStyle}>
                         <div style={emptyIconStyle}>❤️</div>
-                        <h2 style={emptyTitleStyle}>Your wishlist is empty</h2>
+                        <h2 style={emptyTitleStyle}>{t('wishlist.empty')}</h2>
                         <p style={emptyDescStyle}>
-                            Start adding items to your wishlist by clicking the heart icon on products you love.
+                            {t('wishlist.emptyHint')}
                         </p>
                         <Link to="/products" style={actionButtonStyle}>
-                            Browse Products
+                            {t('wishlist.browse')}
                         </Link>
                     </div>
                 ) : (
                     <div>
                         <div style={actionsStyle}>
                             <div style={itemCountStyle}>
-                                {wishlistItems.length} item{wishlistItems.length !== 1 ? 's' : ''} in your wishlist
+                                {t(wishlistItems.length === 1 ? 'wishlist.itemCountOne' : 'wishlist.itemCount', { count: formatNumber(wishlistItems.length) })}
                             </div>
                             <button onClick={clearWishlist} style={clearButtonStyle}>
-                                Clear Wishlist
+                                {t('wishlist.clear')}
                             </button>
                         </div>
 
@@ -347,7 +350,7 @@ const WishlistPage = ({ updateCartCount }) => {
                                     <button
                                         onClick={() => removeFromWishlist(item.id)}
                                         style={removeButtonStyle}
-                                        title="Remove from wishlist"
+                                        title={t('productDetail.removeFromWishlist')}
                                     >
                                         ✕
                                     </button>
@@ -374,7 +377,7 @@ const WishlistPage = ({ updateCartCount }) => {
                                     </h3>
 
                                     <div style={itemPriceStyle}>
-                                        ${parseFloat(item.price).toFixed(2)}
+                                        {formatCurrency(item.price)}
                                     </div>
 
                                     <div style={buttonGroupStyle}>
@@ -382,13 +385,13 @@ const WishlistPage = ({ updateCartCount }) => {
                                             onClick={() => moveToCart(item)}
                                             style={primaryButtonStyle}
                                         >
-                                            Move to Cart
+                                            {t('wishlist.moveToCart')}
                                         </button>
                                         <Link
                                             to={`/products/${item.id}`}
                                             style={secondaryButtonStyle}
                                         >
-                                            View Details
+                                            {t('orders.viewDetails')}
                                         </Link>
                                     </div>
                                 </div>
@@ -397,7 +400,7 @@ const WishlistPage = ({ updateCartCount }) => {
 
                         <div style={{ textAlign: 'center', marginTop: '2rem' }}>
                             <Link to="/account" style={secondaryButtonStyle}>
-                                ← Back to Account
+                                ← {t('orders.backToAccount')}
                             </Link>
                         </div>
                     </div>